@@ -17,6 +17,15 @@ import deviceRoutes from './routes/devices.js';
 import attendanceRoutes from './routes/attendance.js';
 import reportRoutes from './routes/reports.js';
 import userRoutes from './routes/users.js';
+import firmwareRoutes from './routes/firmware.js';
+import visitorRoutes from './routes/visitors.js';
+import shiftRoutes from './routes/shifts.js';
+import notificationRoutes from './routes/notifications.js';
+import correctionRoutes from './routes/corrections.js';
+import selfRoutes from './routes/self.js';
+import holidayRoutes from './routes/holidays.js';
+import leaveRoutes from './routes/leave.js';
+import payrollTemplateRoutes from './routes/payrollTemplates.js';
 
 // Import middleware
 import { errorHandler } from './middleware/errorHandler.js';
@@ -34,6 +43,11 @@ import supabase from './config/database.js';
 
 // Import WebSocket handler
 import { setupWebSocket } from './websocket/index.js';
+import { checkRolloutHealth } from './utils/firmwareRollout.js';
+import { purgeTelemetry } from './utils/deviceTelemetry.js';
+import { expireVisitorPasses } from './utils/visitorPasses.js';
+import { detectMissingPunches } from './utils/missingPunches.js';
+import { failInterruptedExportJobs, purgeExpiredExports } from './utils/exportJobs.js';
 
 const app = express();
 const PORT = process.env.PORT || 3000;
@@ -108,6 +122,15 @@ app.use('/api/v1/devices', deviceRoutes);
 app.use('/api/v1/attendance', attendanceRoutes);
 app.use('/api/v1/reports', reportRoutes);
 app.use('/api/v1/users', userRoutes);
+app.use('/api/v1/firmware', firmwareRoutes);
+app.use('/api/v1/visitors', visitorRoutes);
+app.use('/api/v1/shifts', shiftRoutes);
+app.use('/api/v1/notifications', notificationRoutes);
+app.use('/api/v1/attendance-corrections', correctionRoutes);
+app.use('/api/v1/self', selfRoutes);
+app.use('/api/v1/holidays', holidayRoutes);
+app.use('/api/v1/leave', leaveRoutes);
+app.use('/api/v1/payroll-templates', payrollTemplateRoutes);
 
 // 404 handler
 app.use((req, res) => {
@@ -142,6 +165,35 @@ if (process.env.NODE_ENV !== 'test') {
     logger.info(`🌍 Environment: ${process.env.NODE_ENV}`);
     logger.info(`🌐 Accepting connections from all interfaces (0.0.0.0)`);
   });
+
+  // Halt firmware rollouts whose upgraded readers stop heartbeating
+  const rolloutHealthInterval = parseInt(process.env.ROLLOUT_HEALTH_INTERVAL_MS) || 5 * 60 * 1000;
+  setInterval(() => {
+    checkRolloutHealth().catch(error => logger.error('Rollout health check failed:', error));
+  }, rolloutHealthInterval).unref();
+
+  // Drop telemetry samples past their retention window
+  setInterval(() => {
+    purgeTelemetry().catch(error => logger.error('Telemetry purge failed:', error));
+  }, 6 * 60 * 60 * 1000).unref();
+
+  // Return visitor badges to the pool once their pass has run out
+  setInterval(() => {
+    expireVisitorPasses().catch(error => logger.error('Visitor pass expiry failed:', error));
+  }, 60 * 1000).unref();
+
+  // Close or flag days that ended on an IN; hourly so each company is checked soon after its local midnight
+  setInterval(() => {
+    detectMissingPunches().catch(error => logger.error('Missing punch detection failed:', error));
+  }, 60 * 60 * 1000).unref();
+
+  // Export jobs run in this process, so any a previous process left unfinished are dead
+  failInterruptedExportJobs().catch(error => logger.error('Export job cleanup failed:', error));
+
+  // Remove finished export files once their download window closes
+  setInterval(() => {
+    purgeExpiredExports().catch(error => logger.error('Export purge failed:', error));
+  }, 6 * 60 * 60 * 1000).unref();
 }
 
 // Graceful shutdown
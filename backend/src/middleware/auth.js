@@ -1,7 +1,9 @@
-import { verifyToken } from '../utils/auth.js';
+import { verifyToken, compareDeviceToken, getDeviceTokenKeyId } from '../utils/auth.js';
 import { supabase } from '../config/database.js';
 import logger from '../utils/logger.js';
-import bcrypt from 'bcrypt';
+
+// The only APIs self-service (role employee) accounts may call
+const SELF_SERVICE_PATHS = ['/api/v1/auth', '/api/v1/self', '/api/v1/attendance-corrections', '/api/v1/holidays', '/api/v1/leave'];
 
 /**
  * Middleware to authenticate user JWT tokens
@@ -26,7 +28,7 @@ export async function authenticate(req, res, next) {
     // Fetch user from database to ensure still active
     const { data: user, error } = await supabase
       .from('users')
-      .select('id, username, role, company_id, is_active')
+      .select('id, username, role, company_id, employee_id, is_active')
       .eq('id', decoded.id)
       .single();
 
@@ -40,6 +42,17 @@ export async function authenticate(req, res, next) {
       });
     }
 
+    // Most routes scope by company only, so employee accounts are kept to their own APIs
+    if (user.role === 'employee' && !SELF_SERVICE_PATHS.includes(req.baseUrl)) {
+      return res.status(403).json({
+        success: false,
+        error: {
+          code: 'FORBIDDEN',
+          message: 'Insufficient permissions',
+        },
+      });
+    }
+
     req.user = user;
     next();
   } catch (error) {
@@ -78,56 +91,68 @@ export async function authenticateDevice(req, res, next) {
     }
 
     const token = authHeader.substring(7);
-    logger.info('[AUTH] Token received', { 
-      tokenPrefix: token.substring(0, 20) + '...',
-      tokenLength: token.length 
+    logger.info('[AUTH] Token received', {
+      keyId: getDeviceTokenKeyId(token) || 'legacy',
+      tokenLength: token.length
     });
 
-    // Query device tokens and match using bcrypt
-    const { data: deviceTokens, error } = await supabase
-      .from('device_tokens')
-      .select(`
+    const tokenSelect = `
+      id,
+      device_id,
+      token_hash,
+      expires_at,
+      devices (
         id,
-        device_id,
-        token_hash,
-        expires_at,
-        devices (
-          id,
-          device_uuid,
-          device_name,
-          company_id,
-          is_active
-        )
-      `);
-
-    logger.info('[AUTH] Active tokens in DB', { 
-      count: deviceTokens?.length || 0,
-      hasError: !!error 
-    });
-
-    if (error || !deviceTokens || deviceTokens.length === 0) {
-      logger.error('[AUTH] No active device tokens found', { error });
-      return res.status(401).json({
-        success: false,
-        error: {
-          code: 'DEVICE_UNAUTHORIZED',
-          message: 'Invalid device token',
-        },
-      });
-    }
+        device_uuid,
+        device_name,
+        company_id,
+        location,
+        location_group,
+        is_active
+      )
+    `;
 
-    // Find matching token
+    // Tokens carry a public key_id, so only one hash needs verifying
+    const keyId = getDeviceTokenKeyId(token);
     let matchedToken = null;
-    for (const dt of deviceTokens) {
-      const isMatch = await bcrypt.compare(token, dt.token_hash);
-      logger.info('[AUTH] Token comparison', {
-        deviceId: dt.devices?.device_uuid,
-        hashPrefix: dt.token_hash.substring(0, 20) + '...',
-        matches: isMatch
-      });
-      if (isMatch) {
-        matchedToken = dt;
-        break;
+
+    if (keyId) {
+      const { data: deviceToken, error } = await supabase
+        .from('device_tokens')
+        .select(tokenSelect)
+        .eq('key_id', keyId)
+        .maybeSingle();
+
+      if (error) {
+        logger.error('[AUTH] Device token lookup failed', { error });
+      }
+
+      if (deviceToken && await compareDeviceToken(token, deviceToken.token_hash)) {
+        matchedToken = deviceToken;
+      }
+    } else {
+      // Legacy token (issued before key IDs) - only compare against legacy rows
+      // until the device re-registers and receives a keyed token
+      const { data: legacyTokens, error } = await supabase
+        .from('device_tokens')
+        .select(tokenSelect)
+        .is('key_id', null);
+
+      if (error) {
+        logger.error('[AUTH] Legacy device token lookup failed', { error });
+      }
+
+      for (const dt of legacyTokens || []) {
+        if (await compareDeviceToken(token, dt.token_hash)) {
+          matchedToken = dt;
+          break;
+        }
+      }
+
+      if (matchedToken) {
+        logger.warn('[AUTH] Legacy device token used - rotate by re-registering', {
+          deviceUuid: matchedToken.devices?.device_uuid,
+        });
       }
     }
 
@@ -149,7 +149,10 @@ export const auditLogger = (supabase) => async (req, res, next) => {
           resource_id,
           ip_address,
           user_agent: req.headers['user-agent'],
-          request_body: req.method === 'POST' || req.method === 'PUT' ? req.body : null,
+          // Binary uploads (firmware images) are summarized, not stored
+          request_body: req.method === 'POST' || req.method === 'PUT'
+            ? (Buffer.isBuffer(req.body) ? { size_bytes: req.body.length } : req.body)
+            : null,
         })
         .then(() => {
           console.log(`[AUDIT] ${user_id} ${action} ${resource_type}${resource_id ? '/' + resource_id : ''}`);
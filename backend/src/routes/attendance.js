@@ -1,8 +1,13 @@
 import express from 'express';
-import { query } from 'express-validator';
+import { body, query, validationResult } from 'express-validator';
 import { supabase } from '../config/database.js';
 import { authenticate, authorize } from '../middleware/auth.js';
 import { asyncHandler } from '../middleware/errorHandler.js';
+import { MAX_SESSION_RANGE_DAYS, buildSessions } from '../utils/sessions.js';
+import { addDays } from '../utils/shifts.js';
+import { DEFAULT_TIMEZONE, getZonedDate } from '../utils/attendance.js';
+import { MISSING_PUNCH_STATUSES, detectMissingPunches, insertClosingLog } from '../utils/missingPunches.js';
+import logger from '../utils/logger.js';
 
 const router = express.Router();
 
@@ -42,7 +47,8 @@ router.get(
         employees (id, name, employee_id),
         devices (device_uuid, location),
         companies (name)
-      `);
+      `)
+      .is('voided_at', null);
 
     // Apply company filter based on role
     // company_admin and technician can ONLY see their own company (ignore query params)
@@ -85,4 +91,263 @@ router.get(
   })
 );
 
+/**
+ * GET /api/v1/attendance/sessions
+ * Work sessions per employee per day, paired from IN/OUT scans: first in, last out,
+ * on-site and break minutes, unmatched punches, and per-employee totals
+ * Query: from, to (up to 93 days), company_id, employee_id
+ * Roles: All authenticated users (company_admin and technician see their own company)
+ */
+router.get(
+  '/sessions',
+  [
+    query('from').isISO8601({ strict: true }),
+    query('to').isISO8601({ strict: true }),
+    query('company_id').optional({ values: 'falsy' }).isUUID(),
+    query('employee_id').optional({ values: 'falsy' }).isUUID(),
+  ],
+  asyncHandler(async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'VALIDATION_ERROR',
+          details: errors.array(),
+        },
+      });
+    }
+
+    const { role, company_id: user_company_id } = req.user;
+    const { company_id, employee_id } = req.query;
+    const from = req.query.from.slice(0, 10);
+    const to = req.query.to.slice(0, 10);
+
+    if (from > to || addDays(from, MAX_SESSION_RANGE_DAYS) <= to) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'VALIDATION_ERROR',
+          message: `from must not be after to, and the range is limited to ${MAX_SESSION_RANGE_DAYS} days`,
+        },
+      });
+    }
+
+    const effectiveCompanyId = role === 'incubation_head' ? (company_id || null) : user_company_id;
+
+    const { days, employees } = await buildSessions({
+      companyId: effectiveCompanyId,
+      employeeId: employee_id || null,
+      from,
+      to,
+    });
+
+    res.json({
+      success: true,
+      data: {
+        from,
+        to,
+        employees,
+        days,
+      },
+    });
+  })
+);
+
+/**
+ * GET /api/v1/attendance/missing-punches
+ * Days that ended on an IN, newest first
+ * Query: status, company_id (incubation head), employee_id, from, to (work dates)
+ * Roles: incubation_head (all), company_admin (own company)
+ */
+router.get(
+  '/missing-punches',
+  authorize('incubation_head', 'company_admin'),
+  [
+    query('status').optional({ values: 'falsy' }).isIn(MISSING_PUNCH_STATUSES),
+    query('company_id').optional({ values: 'falsy' }).isUUID(),
+    query('employee_id').optional({ values: 'falsy' }).isUUID(),
+    query('from').optional({ values: 'falsy' }).isISO8601(),
+    query('to').optional({ values: 'falsy' }).isISO8601(),
+  ],
+  asyncHandler(async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'VALIDATION_ERROR',
+          details: errors.array(),
+        },
+      });
+    }
+
+    const { role, company_id: user_company_id } = req.user;
+    const { status, company_id, employee_id, from, to } = req.query;
+
+    let query = supabase
+      .from('missing_punches')
+      .select(`
+        *,
+        employees (id, name, employee_id),
+        companies (id, name, timezone),
+        in_log:in_log_id (id, recorded_at, devices (device_uuid, location)),
+        closing_log:closing_log_id (id, recorded_at, auto_closed)
+      `)
+      .order('work_date', { ascending: false })
+      .limit(500);
+
+    if (role !== 'incubation_head') {
+      query = query.eq('company_id', user_company_id);
+    } else if (company_id) {
+      query = query.eq('company_id', company_id);
+    }
+
+    if (status) query = query.eq('status', status);
+    if (employee_id) query = query.eq('employee_id', employee_id);
+    if (from) query = query.gte('work_date', from.slice(0, 10));
+    if (to) query = query.lte('work_date', to.slice(0, 10));
+
+    const { data, error } = await query;
+
+    if (error) throw new Error(error.message);
+
+    res.json({
+      success: true,
+      data,
+    });
+  })
+);
+
+/**
+ * POST /api/v1/attendance/missing-punches/detect
+ * Run the missing punch check now instead of waiting for the hourly job
+ * Roles: incubation_head
+ */
+router.post(
+  '/missing-punches/detect',
+  authorize('incubation_head'),
+  asyncHandler(async (req, res) => {
+    await detectMissingPunches();
+
+    res.json({
+      success: true,
+      message: 'Missing punch check completed',
+    });
+  })
+);
+
+/**
+ * POST /api/v1/attendance/missing-punches/:id/resolve
+ * Close a flagged missing punch with an OUT at `out_at` (same local day, after the IN),
+ * or dismiss it and leave the day open
+ * Roles: incubation_head (all), company_admin (own company)
+ */
+router.post(
+  '/missing-punches/:id/resolve',
+  authorize('incubation_head', 'company_admin'),
+  [
+    body('action').isIn(['close', 'dismiss']).withMessage('action must be close or dismiss'),
+    body('out_at').if(body('action').equals('close')).isISO8601().withMessage('out_at required to close'),
+    body('note').optional().trim().isLength({ max: 500 }),
+  ],
+  asyncHandler(async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'VALIDATION_ERROR',
+          details: errors.array(),
+        },
+      });
+    }
+
+    const { role, company_id: user_company_id } = req.user;
+    const { action, out_at, note } = req.body;
+
+    const { data: punch } = await supabase
+      .from('missing_punches')
+      .select('*, companies (timezone), in_log:in_log_id (id, employee_id, rfid_tag_id, company_id, recorded_at)')
+      .eq('id', req.params.id)
+      .maybeSingle();
+
+    if (!punch) {
+      return res.status(404).json({
+        success: false,
+        error: { code: 'NOT_FOUND', message: 'Missing punch not found' },
+      });
+    }
+
+    if (role !== 'incubation_head' && String(user_company_id) !== String(punch.company_id)) {
+      return res.status(403).json({
+        success: false,
+        error: { code: 'FORBIDDEN', message: 'Access denied to this company' },
+      });
+    }
+
+    if (punch.status !== 'pending_review') {
+      return res.status(409).json({
+        success: false,
+        error: { code: 'ALREADY_RESOLVED', message: `Missing punch is already ${punch.status.replace('_', ' ')}` },
+      });
+    }
+
+    const update = {
+      status: action === 'close' ? 'closed' : 'dismissed',
+      resolved_by: req.user.id,
+      resolved_at: new Date().toISOString(),
+      note: note || null,
+    };
+
+    if (action === 'close') {
+      const timeZone = punch.companies?.timezone || DEFAULT_TIMEZONE;
+      const outAt = new Date(out_at);
+
+      if (outAt <= new Date(punch.in_log.recorded_at) || getZonedDate(outAt, timeZone) !== punch.work_date) {
+        return res.status(400).json({
+          success: false,
+          error: { code: 'VALIDATION_ERROR', message: 'out_at must be after the IN and on the same local day' },
+        });
+      }
+
+      const { data: laterLog } = await supabase
+        .from('attendance_logs')
+        .select('id')
+        .eq('employee_id', punch.employee_id)
+        .is('voided_at', null)
+        .gt('recorded_at', punch.in_log.recorded_at)
+        .lte('recorded_at', outAt.toISOString())
+        .limit(1)
+        .maybeSingle();
+
+      if (laterLog) {
+        return res.status(409).json({
+          success: false,
+          error: { code: 'DAY_HAS_LATER_SCAN', message: 'The employee scanned again before out_at; dismiss this punch instead' },
+        });
+      }
+
+      const closingLog = await insertClosingLog(punch.in_log, outAt, { approvedBy: req.user.id });
+      update.closing_log_id = closingLog.id;
+    }
+
+    const { data, error } = await supabase
+      .from('missing_punches')
+      .update(update)
+      .eq('id', punch.id)
+      .select()
+      .single();
+
+    if (error) throw new Error(error.message);
+
+    logger.info(`Missing punch ${punch.id} ${update.status} by ${req.user.username}`);
+
+    res.json({
+      success: true,
+      data,
+    });
+  })
+);
+
 export default router;
@@ -122,6 +122,7 @@ router.post(
           role: user.role,
           company_id: user.company_id,
           company_name: companyName,
+          employee_id: user.employee_id,
         },
       },
     });
@@ -4,6 +4,8 @@ import bcrypt from 'bcryptjs';
 import { supabase } from '../config/database.js';
 import { authenticate, authorize } from '../middleware/auth.js';
 import { asyncHandler } from '../middleware/errorHandler.js';
+import { isValidTimeZone } from '../utils/attendance.js';
+import { MISSING_PUNCH_ACTIONS } from '../utils/missingPunches.js';
 import logger from '../utils/logger.js';
 
 const router = express.Router();
@@ -220,13 +222,38 @@ router.post(
 router.put(
   '/:id',
   authorize('incubation_head'),
+  [
+    body('timezone')
+      .optional()
+      .custom(isValidTimeZone)
+      .withMessage('timezone must be a valid IANA timezone'),
+    body('missing_punch_action')
+      .optional()
+      .isIn(MISSING_PUNCH_ACTIONS)
+      .withMessage('missing_punch_action must be auto_close or review'),
+    body('auto_close_time')
+      .optional()
+      .matches(/^([01]\d|2[0-3]):[0-5]\d(:[0-5]\d)?$/)
+      .withMessage('auto_close_time must be HH:MM'),
+  ],
   asyncHandler(async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'VALIDATION_ERROR',
+          details: errors.array(),
+        },
+      });
+    }
+
     const { id } = req.params;
-    const { name, code, is_active } = req.body;
+    const { name, code, is_active, timezone, missing_punch_action, auto_close_time } = req.body;
 
     const { data, error } = await supabase
       .from('companies')
-      .update({ name, code, is_active })
+      .update({ name, code, is_active, timezone, missing_punch_action, auto_close_time })
       .eq('id', id)
       .select()
       .single();
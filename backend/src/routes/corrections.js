@@ -0,0 +1,556 @@
+import express from 'express';
+import { body, query, validationResult } from 'express-validator';
+import { supabase } from '../config/database.js';
+import { authenticate, authorize } from '../middleware/auth.js';
+import { asyncHandler } from '../middleware/errorHandler.js';
+import { DEFAULT_TIMEZONE, getZonedDateBounds } from '../utils/attendance.js';
+import { CORRECTION_STATUSES, CORRECTION_TYPES, applyCorrection } from '../utils/corrections.js';
+import { createNotification } from '../utils/notifications.js';
+import logger from '../utils/logger.js';
+
+const router = express.Router();
+
+router.use(authenticate);
+router.use(authorize('incubation_head', 'company_admin', 'employee'));
+
+const CORRECTION_SELECT = `
+  *,
+  employees (id, name, employee_id),
+  companies (id, name, timezone),
+  requester:requested_by (id, username, full_name),
+  reviewer:reviewed_by (id, username, full_name)
+`;
+
+const CORRECTION_LABELS = {
+  add_punch: 'Add punch',
+  remove_punch: 'Remove punch',
+  change_punch: 'Change punch',
+};
+
+/**
+ * Load an employee the caller may file corrections for, or send 404/403
+ * Employee accounts always get their own record
+ */
+async function findAccessibleEmployee(req, res, employeeId) {
+  const { role, company_id: user_company_id } = req.user;
+
+  const { data: employee, error } = await supabase
+    .from('employees')
+    .select('id, name, employee_id, company_id, companies (name, timezone)')
+    .eq('id', role === 'employee' ? req.user.employee_id : employeeId)
+    .maybeSingle();
+
+  if (error) {
+    throw new Error(error.message);
+  }
+
+  if (!employee) {
+    res.status(404).json({
+      success: false,
+      error: { code: 'NOT_FOUND', message: 'Employee not found' },
+    });
+    return null;
+  }
+
+  if (role === 'company_admin' && String(user_company_id) !== String(employee.company_id)) {
+    res.status(403).json({
+      success: false,
+      error: { code: 'FORBIDDEN', message: 'Access denied to this company' },
+    });
+    return null;
+  }
+
+  return employee;
+}
+
+/**
+ * Load a correction the caller may see, or send 404/403
+ */
+async function findAccessibleCorrection(req, res) {
+  const { role, company_id: user_company_id, employee_id: user_employee_id } = req.user;
+
+  const { data: correction, error } = await supabase
+    .from('attendance_corrections')
+    .select(CORRECTION_SELECT)
+    .eq('id', req.params.id)
+    .maybeSingle();
+
+  if (error) {
+    throw new Error(error.message);
+  }
+
+  if (!correction) {
+    res.status(404).json({
+      success: false,
+      error: { code: 'NOT_FOUND', message: 'Correction not found' },
+    });
+    return null;
+  }
+
+  const allowed = role === 'incubation_head'
+    || (role === 'company_admin' && String(user_company_id) === String(correction.company_id))
+    || (role === 'employee' && user_employee_id === correction.employee_id);
+
+  if (!allowed) {
+    res.status(403).json({
+      success: false,
+      error: { code: 'FORBIDDEN', message: 'Access denied to this correction' },
+    });
+    return null;
+  }
+
+  return correction;
+}
+
+/**
+ * Send 409 unless the correction is still pending
+ */
+function ensurePending(correction, res) {
+  if (correction.status === 'pending') {
+    return true;
+  }
+
+  res.status(409).json({
+    success: false,
+    error: { code: 'ALREADY_REVIEWED', message: `Correction is already ${correction.status}` },
+  });
+  return false;
+}
+
+/**
+ * GET /api/v1/attendance-corrections
+ * Correction requests, newest first
+ * Query: status, company_id (incubation head), employee_id
+ * Roles: incubation_head (all), company_admin (own company), employee (own requests)
+ */
+router.get(
+  '/',
+  [
+    query('status').optional({ values: 'falsy' }).isIn(CORRECTION_STATUSES),
+    query('company_id').optional({ values: 'falsy' }).isUUID(),
+    query('employee_id').optional({ values: 'falsy' }).isUUID(),
+  ],
+  asyncHandler(async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'VALIDATION_ERROR',
+          details: errors.array(),
+        },
+      });
+    }
+
+    const { role, company_id: user_company_id, employee_id: user_employee_id } = req.user;
+    const { status, company_id, employee_id } = req.query;
+
+    let query = supabase
+      .from('attendance_corrections')
+      .select(CORRECTION_SELECT)
+      .order('created_at', { ascending: false })
+      .limit(500);
+
+    if (role === 'employee') {
+      query = query.eq('employee_id', user_employee_id);
+    } else if (role === 'company_admin') {
+      query = query.eq('company_id', user_company_id);
+    } else if (company_id) {
+      query = query.eq('company_id', company_id);
+    }
+
+    if (status) query = query.eq('status', status);
+    if (employee_id && role !== 'employee') query = query.eq('employee_id', employee_id);
+
+    const { data, error } = await query;
+
+    if (error) throw new Error(error.message);
+
+    res.json({
+      success: true,
+      data,
+    });
+  })
+);
+
+/**
+ * GET /api/v1/attendance-corrections/punches
+ * An employee's punches on one local day, to pick the one a correction targets
+ * Query: date (YYYY-MM-DD), employee_id (ignored for employee accounts)
+ * Roles: incubation_head, company_admin (own company), employee (own punches)
+ */
+router.get(
+  '/punches',
+  [
+    query('date').isISO8601({ strict: true }).withMessage('date required'),
+    query('employee_id').if((value, { req }) => req.user.role !== 'employee').isUUID().withMessage('employee_id required'),
+  ],
+  asyncHandler(async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'VALIDATION_ERROR',
+          details: errors.array(),
+        },
+      });
+    }
+
+    const employee = await findAccessibleEmployee(req, res, req.query.employee_id);
+    if (!employee) return;
+
+    const date = req.query.date.slice(0, 10);
+    const { start, end } = getZonedDateBounds(date, employee.companies?.timezone || DEFAULT_TIMEZONE);
+
+    const { data, error } = await supabase
+      .from('attendance_logs')
+      .select('id, event_type, recorded_at, source, devices (location)')
+      .eq('employee_id', employee.id)
+      .is('voided_at', null)
+      .gte('recorded_at', start.toISOString())
+      .lt('recorded_at', end.toISOString())
+      .order('recorded_at', { ascending: true })
+      .order('id', { ascending: true });
+
+    if (error) throw new Error(error.message);
+
+    res.json({
+      success: true,
+      data,
+    });
+  })
+);
+
+/**
+ * POST /api/v1/attendance-corrections
+ * Request a correction: add a punch, remove one (log_id) or change one's type/time (log_id).
+ * Nothing changes until the request is approved; employee requests notify their company admins
+ * Body: employee_id (ignored for employee accounts), type, log_id, event_type, recorded_at, reason
+ * Roles: incubation_head, company_admin (own company), employee (own attendance)
+ */
+router.post(
+  '/',
+  [
+    body('employee_id').if((value, { req }) => req.user.role !== 'employee').isUUID().withMessage('employee_id required'),
+    body('type').isIn(CORRECTION_TYPES).withMessage(`type must be one of ${CORRECTION_TYPES.join(', ')}`),
+    body('log_id').if(body('type').isIn(['remove_punch', 'change_punch'])).isInt({ min: 1 }).withMessage('log_id required'),
+    body('event_type').if(body('type').isIn(['add_punch', 'change_punch'])).isIn(['IN', 'OUT']).withMessage('event_type must be IN or OUT'),
+    body('recorded_at').if(body('type').isIn(['add_punch', 'change_punch'])).isISO8601().withMessage('recorded_at required'),
+    body('reason').trim().notEmpty().isLength({ max: 500 }).withMessage('reason required (max 500 characters)'),
+  ],
+  asyncHandler(async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'VALIDATION_ERROR',
+          details: errors.array(),
+        },
+      });
+    }
+
+    const { type, log_id, event_type, recorded_at, reason } = req.body;
+
+    const employee = await findAccessibleEmployee(req, res, req.body.employee_id);
+    if (!employee) return;
+
+    const correction = {
+      company_id: employee.company_id,
+      employee_id: employee.id,
+      type,
+      reason,
+      requested_by: req.user.id,
+      requested_via: req.user.role === 'employee' ? 'self_service' : 'admin',
+    };
+
+    if (type !== 'remove_punch') {
+      const recordedAt = new Date(recorded_at);
+
+      if (recordedAt > new Date()) {
+        return res.status(400).json({
+          success: false,
+          error: { code: 'VALIDATION_ERROR', message: 'recorded_at cannot be in the future' },
+        });
+      }
+
+      correction.event_type = event_type;
+      correction.recorded_at = recordedAt.toISOString();
+    }
+
+    if (type !== 'add_punch') {
+      const { data: log } = await supabase
+        .from('attendance_logs')
+        .select('id, employee_id, event_type, recorded_at, voided_at')
+        .eq('id', log_id)
+        .maybeSingle();
+
+      if (!log || log.employee_id !== employee.id || log.voided_at) {
+        return res.status(404).json({
+          success: false,
+          error: { code: 'NOT_FOUND', message: 'Punch not found for this employee' },
+        });
+      }
+
+      if (type === 'change_punch' && log.event_type === event_type
+        && new Date(log.recorded_at).getTime() === new Date(correction.recorded_at).getTime()) {
+        return res.status(400).json({
+          success: false,
+          error: { code: 'VALIDATION_ERROR', message: 'The change must alter the punch type or time' },
+        });
+      }
+
+      const { data: pending } = await supabase
+        .from('attendance_corrections')
+        .select('id')
+        .eq('log_id', log.id)
+        .eq('status', 'pending')
+        .maybeSingle();
+
+      if (pending) {
+        return res.status(409).json({
+          success: false,
+          error: { code: 'CORRECTION_PENDING', message: 'This punch already has a pending correction' },
+        });
+      }
+
+      correction.log_id = log.id;
+      correction.original_event_type = log.event_type;
+      correction.original_recorded_at = log.recorded_at;
+    }
+
+    const { data, error } = await supabase
+      .from('attendance_corrections')
+      .insert(correction)
+      .select(CORRECTION_SELECT)
+      .single();
+
+    if (error) throw new Error(error.message);
+
+    if (data.requested_via === 'self_service') {
+      await createNotification({
+        companyId: employee.company_id,
+        type: 'correction_request',
+        title: `${CORRECTION_LABELS[type]} requested by ${employee.name}`,
+        message: reason,
+        data: { correction_id: data.id, employee_id: employee.id },
+      });
+    }
+
+    logger.info(`Correction ${data.id} (${type}) requested for employee ${employee.id} by ${req.user.username}`);
+
+    res.status(201).json({
+      success: true,
+      data,
+    });
+  })
+);
+
+/**
+ * POST /api/v1/attendance-corrections/:id/approve
+ * Approve a pending correction and apply it: added and changed punches become manual logs
+ * carrying the approver, removed and replaced logs are voided (kept for audit), and the
+ * day's IN/OUT sequence is re-resolved. Admins cannot approve their own requests
+ * Body: note (optional)
+ * Roles: incubation_head (all), company_admin (own company)
+ */
+router.post(
+  '/:id/approve',
+  authorize('incubation_head', 'company_admin'),
+  [
+    body('note').optional().trim().isLength({ max: 500 }),
+  ],
+  asyncHandler(async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'VALIDATION_ERROR',
+          details: errors.array(),
+        },
+      });
+    }
+
+    const correction = await findAccessibleCorrection(req, res);
+    if (!correction || !ensurePending(correction, res)) return;
+
+    if (req.user.role !== 'incubation_head' && correction.requested_by === req.user.id) {
+      return res.status(403).json({
+        success: false,
+        error: { code: 'SELF_APPROVAL', message: 'Another admin must approve your own request' },
+      });
+    }
+
+    // Claim the request first so two approvers cannot both apply it
+    const { data: claimed, error: claimError } = await supabase
+      .from('attendance_corrections')
+      .update({
+        status: 'approved',
+        reviewed_by: req.user.id,
+        reviewed_at: new Date().toISOString(),
+        review_note: req.body.note || null,
+      })
+      .eq('id', correction.id)
+      .eq('status', 'pending')
+      .select('id');
+
+    if (claimError) throw new Error(claimError.message);
+
+    if (claimed.length === 0) {
+      return res.status(409).json({
+        success: false,
+        error: { code: 'ALREADY_REVIEWED', message: 'Correction was reviewed in the meantime' },
+      });
+    }
+
+    let result;
+    try {
+      result = await applyCorrection(correction, req.user.id);
+    } catch (error) {
+      // Nothing was applied; hand the request back so it can be approved again
+      const { error: resetError } = await supabase
+        .from('attendance_corrections')
+        .update({ status: 'pending', reviewed_by: null, reviewed_at: null, review_note: null })
+        .eq('id', correction.id)
+        .eq('status', 'approved');
+
+      if (resetError) {
+        logger.error(`Failed to reset correction ${correction.id} after a failed approval:`, resetError);
+      }
+      throw error;
+    }
+
+    const { applied, createdLogId } = result;
+
+    const update = applied
+      ? { created_log_id: createdLogId }
+      : { status: 'rejected', review_note: 'The punch was already removed by another correction' };
+
+    const { data, error } = await supabase
+      .from('attendance_corrections')
+      .update(update)
+      .eq('id', correction.id)
+      .select(CORRECTION_SELECT)
+      .single();
+
+    if (error) throw new Error(error.message);
+
+    if (!applied) {
+      return res.status(409).json({
+        success: false,
+        error: { code: 'PUNCH_ALREADY_REMOVED', message: update.review_note },
+      });
+    }
+
+    logger.info(`Correction ${correction.id} approved by ${req.user.username}`);
+
+    res.json({
+      success: true,
+      data,
+    });
+  })
+);
+
+/**
+ * POST /api/v1/attendance-corrections/:id/reject
+ * Reject a pending correction; attendance stays as it is
+ * Body: note (optional)
+ * Roles: incubation_head (all), company_admin (own company)
+ */
+router.post(
+  '/:id/reject',
+  authorize('incubation_head', 'company_admin'),
+  [
+    body('note').optional().trim().isLength({ max: 500 }),
+  ],
+  asyncHandler(async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'VALIDATION_ERROR',
+          details: errors.array(),
+        },
+      });
+    }
+
+    const correction = await findAccessibleCorrection(req, res);
+    if (!correction || !ensurePending(correction, res)) return;
+
+    const { data, error } = await supabase
+      .from('attendance_corrections')
+      .update({
+        status: 'rejected',
+        reviewed_by: req.user.id,
+        reviewed_at: new Date().toISOString(),
+        review_note: req.body.note || null,
+      })
+      .eq('id', correction.id)
+      .eq('status', 'pending')
+      .select(CORRECTION_SELECT)
+      .maybeSingle();
+
+    if (error) throw new Error(error.message);
+
+    if (!data) {
+      return res.status(409).json({
+        success: false,
+        error: { code: 'ALREADY_REVIEWED', message: 'Correction was reviewed in the meantime' },
+      });
+    }
+
+    logger.info(`Correction ${correction.id} rejected by ${req.user.username}`);
+
+    res.json({
+      success: true,
+      data,
+    });
+  })
+);
+
+/**
+ * POST /api/v1/attendance-corrections/:id/cancel
+ * Withdraw a pending request
+ * Roles: the user who requested it
+ */
+router.post(
+  '/:id/cancel',
+  asyncHandler(async (req, res) => {
+    const correction = await findAccessibleCorrection(req, res);
+    if (!correction || !ensurePending(correction, res)) return;
+
+    if (correction.requested_by !== req.user.id) {
+      return res.status(403).json({
+        success: false,
+        error: { code: 'FORBIDDEN', message: 'Only the requester can cancel a correction' },
+      });
+    }
+
+    const { data, error } = await supabase
+      .from('attendance_corrections')
+      .update({ status: 'cancelled' })
+      .eq('id', correction.id)
+      .eq('status', 'pending')
+      .select(CORRECTION_SELECT)
+      .maybeSingle();
+
+    if (error) throw new Error(error.message);
+
+    if (!data) {
+      return res.status(409).json({
+        success: false,
+        error: { code: 'ALREADY_REVIEWED', message: 'Correction was reviewed in the meantime' },
+      });
+    }
+
+    res.json({
+      success: true,
+      data,
+    });
+  })
+);
+
+export default router;
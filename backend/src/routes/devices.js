@@ -1,264 +1,1512 @@
 import express from 'express';
-import { body } from 'express-validator';
+import { body, validationResult } from 'express-validator';
 import { supabase } from '../config/database.js';
 import { authenticate, authorize, authenticateDevice } from '../middleware/auth.js';
-import { generateDeviceToken, hashDeviceToken } from '../utils/auth.js';
+import {
+  generateDeviceToken,
+  hashDeviceToken,
+  generateEnrollmentCode,
+  hashEnrollmentCode,
+} from '../utils/auth.js';
 import { asyncHandler } from '../middleware/errorHandler.js';
+import {
+  parseRecordedAt,
+  lookupTags,
+  getZonedDate,
+  getLastEventType,
+  getTagTimeZone,
+  nextEventType,
+  findLogsByEventIds,
+} from '../utils/attendance.js';
+import { resolveEmployeeDay } from '../utils/eventResolver.js';
+import { DEVICE_COMMANDS, ACK_STATUSES, syncDeviceCommands } from '../utils/deviceCommands.js';
+import { validateConfigSettings, resolveDeviceConfig } from '../utils/deviceConfig.js';
+import { trackFirmwareRollout } from '../utils/firmwareRollout.js';
+import { TELEMETRY_ERROR_COUNTERS, recordTelemetry } from '../utils/deviceTelemetry.js';
+import { getScanRejection, quarantineScans } from '../utils/unknownScans.js';
+import { findPendingEnrollment, completeEnrollment } from '../utils/tagEnrollment.js';
+import { isVisitorPoolScan, checkVisitorScan, recordVisitorScans } from '../utils/visitorPasses.js';
 import logger from '../utils/logger.js';
 
 const router = express.Router();
 
+// Maximum number of buffered scans accepted in one batch upload
+const MAX_BATCH_SIZE = parseInt(process.env.DEVICE_BATCH_MAX_EVENTS) || 100;
+
+// Validators for command acknowledgements sent with heartbeats and events
+const commandAckValidators = [
+  body('acks').optional().isArray({ max: 50 }),
+  body('acks.*.id').optional().isUUID(),
+  body('acks.*.status').optional().isIn(ACK_STATUSES),
+];
+
+// Validators for the telemetry fields of a heartbeat; all are optional for older firmware
+const telemetryValidators = [
+  body('buffer_count').optional().isInt({ min: 0 }),
+  body('rssi').optional().isInt({ min: -127, max: 0 }),
+  body('uptime_ms').optional().isInt({ min: 0 }),
+  body('free_heap').optional().isInt({ min: 0 }),
+  body('min_free_heap').optional().isInt({ min: 0 }),
+  body('reset_reason').optional().isString().isLength({ max: 32 }),
+  body('errors').optional().isObject(),
+  ...TELEMETRY_ERROR_COUNTERS.map(counter => body(`errors.${counter}`).optional().isInt({ min: 0 })),
+];
+
 /**
  * GET /api/v1/devices
  * List all devices (for admins)
  */
 router.get(
-  '/',
+  '/',
+  authenticate,
+  authorize('incubation_head', 'company_admin', 'technician'),
+  asyncHandler(async (req, res) => {
+    const { role, company_id: user_company_id } = req.user;
+    const { limit = 50, offset = 0 } = req.query;
+
+    let query = supabase
+      .from('devices')
+      .select(`
+        *,
+        companies (id, name)
+      `, { count: 'exact' })
+      .order('created_at', { ascending: false });
+
+    // Company admins and technicians can only see their company's devices
+    if ((role === 'company_admin' || role === 'technician') && user_company_id) {
+      query = query.eq('company_id', user_company_id);
+    }
+
+    query = query.range(parseInt(offset), parseInt(offset) + parseInt(limit) - 1);
+
+    const { data: devices, error, count } = await query;
+
+    if (error) {
+      throw new Error(error.message);
+    }
+
+    res.json({
+      success: true,
+      data: devices,
+      pagination: {
+        limit: parseInt(limit),
+        offset: parseInt(offset),
+        total: count,
+      },
+    });
+  })
+);
+
+/**
+ * Issue a new token for a device, replacing any it already has
+ * The plaintext token is only ever returned here
+ */
+async function issueDeviceToken(deviceId) {
+  await supabase
+    .from('device_tokens')
+    .delete()
+    .eq('device_id', deviceId);
+
+  const { token, keyId } = generateDeviceToken();
+  const token_hash = await hashDeviceToken(token);
+
+  const expiresAt = new Date();
+  expiresAt.setDate(expiresAt.getDate() + (parseInt(process.env.DEVICE_TOKEN_EXPIRES_DAYS) || 365));
+
+  const { error } = await supabase
+    .from('device_tokens')
+    .insert({
+      device_id: deviceId,
+      key_id: keyId,
+      token_hash,
+      expires_at: expiresAt.toISOString(),
+    });
+
+  if (error) {
+    throw new Error(error.message);
+  }
+
+  return { token, expires_at: expiresAt.toISOString() };
+}
+
+/**
+ * Create a one-time enrollment code and return it in plaintext (only time it is revealed)
+ */
+async function createEnrollmentCode({ company_id, location, device_name, device_id = null, expiresInMinutes, userId }) {
+  const code = generateEnrollmentCode();
+  const expiresAt = new Date(Date.now() + expiresInMinutes * 60 * 1000);
+
+  const { data, error } = await supabase
+    .from('device_enrollment_codes')
+    .insert({
+      code_hash: hashEnrollmentCode(code),
+      company_id,
+      location,
+      device_name,
+      device_id,
+      expires_at: expiresAt.toISOString(),
+      created_by: userId,
+    })
+    .select('id, company_id, location, device_name, device_id, expires_at, created_at')
+    .single();
+
+  if (error) {
+    throw new Error(error.message);
+  }
+
+  return { ...data, code };
+}
+
+/**
+ * Load a device the current user may manage, or send 404/403 and return null
+ * Company admins and technicians are limited to their own company's devices
+ */
+async function findManagedDevice(req, res) {
+  const { role, company_id: user_company_id } = req.user;
+
+  const { data: device, error } = await supabase
+    .from('devices')
+    .select('*')
+    .eq('id', req.params.id)
+    .maybeSingle();
+
+  if (error) {
+    throw new Error(error.message);
+  }
+
+  if (!device) {
+    res.status(404).json({
+      success: false,
+      error: { code: 'NOT_FOUND', message: 'Device not found' },
+    });
+    return null;
+  }
+
+  if (role !== 'incubation_head' && user_company_id && String(user_company_id) !== String(device.company_id)) {
+    res.status(403).json({
+      success: false,
+      error: { code: 'FORBIDDEN', message: 'Access denied to this company' },
+    });
+    return null;
+  }
+
+  return device;
+}
+
+/**
+ * GET /api/v1/devices/enrollment-codes
+ * List enrollment codes that can still be used
+ * Roles: incubation_head (all), technician (own company)
+ */
+router.get(
+  '/enrollment-codes',
+  authenticate,
+  authorize('incubation_head', 'technician'),
+  asyncHandler(async (req, res) => {
+    const { role, company_id: user_company_id } = req.user;
+
+    let query = supabase
+      .from('device_enrollment_codes')
+      .select(`
+        id,
+        company_id,
+        location,
+        device_name,
+        device_id,
+        expires_at,
+        created_at,
+        companies (id, name),
+        devices:device_id (id, device_uuid)
+      `)
+      .is('used_at', null)
+      .gt('expires_at', new Date().toISOString())
+      .order('created_at', { ascending: false });
+
+    if (role === 'technician' && user_company_id) {
+      query = query.eq('company_id', user_company_id);
+    }
+
+    const { data, error } = await query;
+
+    if (error) {
+      throw new Error(error.message);
+    }
+
+    res.json({
+      success: true,
+      data,
+    });
+  })
+);
+
+/**
+ * POST /api/v1/devices/enrollment-codes
+ * Generate a short-lived, single-use enrollment code bound to a company and location
+ * Roles: incubation_head (any company), technician (own company)
+ */
+router.post(
+  '/enrollment-codes',
+  authenticate,
+  authorize('incubation_head', 'technician'),
+  [
+    body('company_id').notEmpty().withMessage('company_id required'),
+    body('location').optional().isLength({ max: 255 }),
+    body('device_name').optional().isLength({ max: 255 }),
+    body('expires_in_minutes').optional().isInt({ min: 5, max: 1440 }),
+  ],
+  asyncHandler(async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'VALIDATION_ERROR',
+          details: errors.array(),
+        },
+      });
+    }
+
+    const { role, company_id: user_company_id, id: userId } = req.user;
+    const { company_id, location, device_name, expires_in_minutes = 30 } = req.body;
+
+    if (role === 'technician' && user_company_id && String(user_company_id) !== String(company_id)) {
+      return res.status(403).json({
+        success: false,
+        error: { code: 'FORBIDDEN', message: 'Access denied to this company' },
+      });
+    }
+
+    const enrollment = await createEnrollmentCode({
+      company_id,
+      location: location || null,
+      device_name: device_name || null,
+      expiresInMinutes: parseInt(expires_in_minutes),
+      userId,
+    });
+
+    logger.info(`Enrollment code created for company ${company_id} by ${req.user.username}`);
+
+    res.status(201).json({
+      success: true,
+      data: enrollment,
+    });
+  })
+);
+
+/**
+ * DELETE /api/v1/devices/enrollment-codes/:id
+ * Revoke an unused enrollment code
+ * Roles: incubation_head (all), technician (own company)
+ */
+router.delete(
+  '/enrollment-codes/:id',
+  authenticate,
+  authorize('incubation_head', 'technician'),
+  asyncHandler(async (req, res) => {
+    const { role, company_id: user_company_id } = req.user;
+    const { id } = req.params;
+
+    let query = supabase
+      .from('device_enrollment_codes')
+      .delete()
+      .eq('id', id)
+      .is('used_at', null);
+
+    if (role === 'technician' && user_company_id) {
+      query = query.eq('company_id', user_company_id);
+    }
+
+    const { data, error } = await query.select('id');
+
+    if (error) {
+      throw new Error(error.message);
+    }
+
+    if (!data || data.length === 0) {
+      return res.status(404).json({
+        success: false,
+        error: { code: 'NOT_FOUND', message: 'Enrollment code not found or already used' },
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Enrollment code revoked',
+    });
+  })
+);
+
+/**
+ * GET /api/v1/devices/config
+ * Effective configuration of the calling device (defaults merged with its profiles)
+ * Honors If-None-Match: returns 304 while the configuration is unchanged
+ */
+router.get(
+  '/config',
+  authenticateDevice,
+  asyncHandler(async (req, res) => {
+    const config = await resolveDeviceConfig(req.device);
+
+    res.set('ETag', config.etag);
+    res.set('Cache-Control', 'no-cache');
+
+    if (req.get('If-None-Match') === config.etag) {
+      return res.status(304).end();
+    }
+
+    res.json({
+      success: true,
+      data: config,
+    });
+  })
+);
+
+/**
+ * Load a config profile the current user may manage, or send 404/403 and return null
+ */
+async function findManagedProfile(req, res) {
+  const { role, company_id: user_company_id } = req.user;
+
+  const { data: profile, error } = await supabase
+    .from('device_config_profiles')
+    .select('*')
+    .eq('id', req.params.profileId)
+    .maybeSingle();
+
+  if (error) {
+    throw new Error(error.message);
+  }
+
+  if (!profile) {
+    res.status(404).json({
+      success: false,
+      error: { code: 'NOT_FOUND', message: 'Configuration profile not found' },
+    });
+    return null;
+  }
+
+  if (role !== 'incubation_head' && user_company_id && String(user_company_id) !== String(profile.company_id)) {
+    res.status(403).json({
+      success: false,
+      error: { code: 'FORBIDDEN', message: 'Access denied to this company' },
+    });
+    return null;
+  }
+
+  return profile;
+}
+
+/**
+ * GET /api/v1/devices/config-profiles
+ * List configuration profiles
+ * Roles: incubation_head (all), technician (own company)
+ */
+router.get(
+  '/config-profiles',
+  authenticate,
+  authorize('incubation_head', 'technician'),
+  asyncHandler(async (req, res) => {
+    const { role, company_id: user_company_id } = req.user;
+
+    let query = supabase
+      .from('device_config_profiles')
+      .select(`
+        *,
+        companies (id, name),
+        devices:device_id (id, device_uuid, device_name)
+      `)
+      .order('scope', { ascending: true })
+      .order('name', { ascending: true });
+
+    if (role !== 'incubation_head' && user_company_id) {
+      query = query.eq('company_id', user_company_id);
+    }
+
+    const { data, error } = await query;
+
+    if (error) {
+      throw new Error(error.message);
+    }
+
+    res.json({
+      success: true,
+      data,
+    });
+  })
+);
+
+/**
+ * POST /api/v1/devices/config-profiles
+ * Create a company, location group or device configuration profile
+ * Roles: incubation_head (any company), technician (own company)
+ */
+router.post(
+  '/config-profiles',
+  authenticate,
+  authorize('incubation_head', 'technician'),
+  [
+    body('name').trim().notEmpty().withMessage('name required').isLength({ max: 255 }),
+    body('scope').isIn(['company', 'location', 'device']).withMessage('scope must be company, location or device'),
+    body('location_group')
+      .if(body('scope').equals('location'))
+      .trim()
+      .notEmpty()
+      .withMessage('location_group required for location profiles')
+      .isLength({ max: 100 }),
+    body('device_id')
+      .if(body('scope').equals('device'))
+      .notEmpty()
+      .withMessage('device_id required for device profiles'),
+    body('company_id')
+      .if(body('scope').isIn(['company', 'location']))
+      .notEmpty()
+      .withMessage('company_id required'),
+    body('settings').isObject().withMessage('settings must be an object'),
+  ],
+  asyncHandler(async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'VALIDATION_ERROR',
+          details: errors.array(),
+        },
+      });
+    }
+
+    const settingErrors = validateConfigSettings(req.body.settings);
+    if (settingErrors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        error: { code: 'INVALID_SETTINGS', message: settingErrors.join('; ') },
+      });
+    }
+
+    const { role, company_id: user_company_id, id: userId } = req.user;
+    const { name, scope, location_group, device_id, settings } = req.body;
+    let { company_id } = req.body;
+
+    // Device overrides follow the device's company
+    if (scope === 'device') {
+      const { data: device, error: deviceError } = await supabase
+        .from('devices')
+        .select('id, company_id')
+        .eq('id', device_id)
+        .maybeSingle();
+
+      if (deviceError) {
+        throw new Error(deviceError.message);
+      }
+
+      if (!device) {
+        return res.status(404).json({
+          success: false,
+          error: { code: 'NOT_FOUND', message: 'Device not found' },
+        });
+      }
+
+      company_id = device.company_id;
+    }
+
+    if (role !== 'incubation_head' && user_company_id && String(user_company_id) !== String(company_id)) {
+      return res.status(403).json({
+        success: false,
+        error: { code: 'FORBIDDEN', message: 'Access denied to this company' },
+      });
+    }
+
+    const { data, error } = await supabase
+      .from('device_config_profiles')
+      .insert({
+        name,
+        scope,
+        company_id: company_id || null,
+        location_group: scope === 'location' ? location_group : null,
+        device_id: scope === 'device' ? device_id : null,
+        settings,
+        created_by: userId,
+      })
+      .select()
+      .single();
+
+    if (error?.code === '23505') {
+      return res.status(409).json({
+        success: false,
+        error: { code: 'PROFILE_EXISTS', message: 'A profile already exists for this target' },
+      });
+    }
+
+    if (error) {
+      throw new Error(error.message);
+    }
+
+    logger.info(`Config profile created: ${name} (${scope}) by ${req.user.username}`);
+
+    res.status(201).json({
+      success: true,
+      data,
+    });
+  })
+);
+
+/**
+ * PUT /api/v1/devices/config-profiles/:profileId
+ * Update a profile's name, settings or active flag; every update bumps its version
+ * Roles: incubation_head (all), technician (own company)
+ */
+router.put(
+  '/config-profiles/:profileId',
+  authenticate,
+  authorize('incubation_head', 'technician'),
+  [
+    body('name').optional().trim().notEmpty().isLength({ max: 255 }),
+    body('settings').optional().isObject().withMessage('settings must be an object'),
+    body('is_active').optional().isBoolean(),
+  ],
+  asyncHandler(async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'VALIDATION_ERROR',
+          details: errors.array(),
+        },
+      });
+    }
+
+    const { name, settings, is_active } = req.body;
+
+    if (settings !== undefined) {
+      const settingErrors = validateConfigSettings(settings);
+      if (settingErrors.length > 0) {
+        return res.status(400).json({
+          success: false,
+          error: { code: 'INVALID_SETTINGS', message: settingErrors.join('; ') },
+        });
+      }
+    }
+
+    const profile = await findManagedProfile(req, res);
+    if (!profile) return;
+
+    const { data, error } = await supabase
+      .from('device_config_profiles')
+      .update({
+        name,
+        settings,
+        is_active,
+        version: profile.version + 1,
+      })
+      .eq('id', profile.id)
+      .select()
+      .single();
+
+    if (error) {
+      throw new Error(error.message);
+    }
+
+    logger.info(`Config profile updated: ${data.name} v${data.version} by ${req.user.username}`);
+
+    res.json({
+      success: true,
+      data,
+    });
+  })
+);
+
+/**
+ * DELETE /api/v1/devices/config-profiles/:profileId
+ * Delete a configuration profile; affected readers fall back to the next layer
+ * Roles: incubation_head (all), technician (own company)
+ */
+router.delete(
+  '/config-profiles/:profileId',
+  authenticate,
+  authorize('incubation_head', 'technician'),
+  asyncHandler(async (req, res) => {
+    const profile = await findManagedProfile(req, res);
+    if (!profile) return;
+
+    const { error } = await supabase
+      .from('device_config_profiles')
+      .delete()
+      .eq('id', profile.id);
+
+    if (error) {
+      throw new Error(error.message);
+    }
+
+    logger.info(`Config profile deleted: ${profile.name} by ${req.user.username}`);
+
+    res.json({
+      success: true,
+      message: 'Configuration profile deleted successfully',
+    });
+  })
+);
+
+/**
+ * POST /api/v1/devices/register
+ * Register a device by consuming a one-time enrollment code
+ * A known device_uuid can only re-register with a re-provision code issued for it
+ */
+router.post(
+  '/register',
+  [
+    body('device_uuid').notEmpty().withMessage('device_uuid required'),
+    body('enrollment_code').notEmpty().withMessage('Enrollment code required'),
+  ],
+  asyncHandler(async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'VALIDATION_ERROR',
+          details: errors.array(),
+        },
+      });
+    }
+
+    const { device_uuid, enrollment_code, device_name, location } = req.body;
+
+    logger.info('[DEVICE REGISTER] Request received', { device_uuid, ip: req.ip });
+
+    const invalidCode = () => res.status(403).json({
+      success: false,
+      error: {
+        code: 'INVALID_ENROLLMENT_CODE',
+        message: 'Enrollment code is invalid, expired or already used',
+      },
+    });
+
+    const { data: enrollment, error: enrollmentError } = await supabase
+      .from('device_enrollment_codes')
+      .select('id, company_id, location, device_name, device_id, expires_at, used_at')
+      .eq('code_hash', hashEnrollmentCode(enrollment_code))
+      .maybeSingle();
+
+    if (enrollmentError) {
+      throw new Error(enrollmentError.message);
+    }
+
+    if (!enrollment || enrollment.used_at || new Date(enrollment.expires_at) < new Date()) {
+      logger.warn('[DEVICE REGISTER] Invalid enrollment code', { device_uuid });
+      return invalidCode();
+    }
+
+    // Check if device already exists
+    const { data: existing, error: existingError } = await supabase
+      .from('devices')
+      .select('id')
+      .eq('device_uuid', device_uuid)
+      .maybeSingle();
+
+    if (existingError) {
+      throw new Error(existingError.message);
+    }
+
+    if (existing && enrollment.device_id !== existing.id) {
+      logger.warn('[DEVICE REGISTER] Device already registered - re-provision required', { device_uuid });
+      return res.status(409).json({
+        success: false,
+        error: {
+          code: 'DEVICE_ALREADY_REGISTERED',
+          message: 'Device is already registered; an admin must re-provision it first',
+        },
+      });
+    }
+
+    // Re-provision codes are bound to one device
+    if (!existing && enrollment.device_id) {
+      logger.warn('[DEVICE REGISTER] Re-provision code used for another device', { device_uuid });
+      return invalidCode();
+    }
+
+    // Consume the code - only one concurrent request can win
+    const { data: consumed, error: consumeError } = await supabase
+      .from('device_enrollment_codes')
+      .update({ used_at: new Date().toISOString() })
+      .eq('id', enrollment.id)
+      .is('used_at', null)
+      .select('id')
+      .maybeSingle();
+
+    if (consumeError) {
+      throw new Error(consumeError.message);
+    }
+
+    if (!consumed) {
+      return invalidCode();
+    }
+
+    try {
+      let device = existing;
+
+      if (existing) {
+        const { error: updateError } = await supabase
+          .from('devices')
+          .update({
+            company_id: enrollment.company_id,
+            location: enrollment.location || location,
+            device_name: enrollment.device_name || device_name,
+          })
+          .eq('id', existing.id);
+
+        if (updateError) {
+          throw new Error(updateError.message);
+        }
+      } else {
+        const { data: created, error: deviceError } = await supabase
+          .from('devices')
+          .insert({
+            device_uuid,
+            company_id: enrollment.company_id,
+            location: enrollment.location || location,
+            device_name: enrollment.device_name || device_name,
+          })
+          .select('id')
+          .single();
+
+        if (deviceError) {
+          throw new Error(deviceError.message);
+        }
+
+        device = created;
+      }
+
+      const { token, expires_at } = await issueDeviceToken(device.id);
+
+      await supabase
+        .from('device_enrollment_codes')
+        .update({ used_by_device_id: device.id })
+        .eq('id', enrollment.id);
+
+      logger.info(`Device ${existing ? 're-provisioned' : 'registered'}: ${device_uuid} (company ${enrollment.company_id})`);
+
+      res.status(existing ? 200 : 201).json({
+        success: true,
+        data: {
+          device_id: device.id,
+          device_uuid,
+          company_id: enrollment.company_id,
+          token, // Only time token is revealed
+          expires_at,
+          reissued: !!existing,
+        },
+      });
+    } catch (err) {
+      // Release the code so the device can retry
+      await supabase
+        .from('device_enrollment_codes')
+        .update({ used_at: null })
+        .eq('id', enrollment.id);
+      throw err;
+    }
+  })
+);
+
+/**
+ * POST /api/v1/devices/:id/reprovision
+ * Issue a re-provision code that lets an already registered device register again
+ * Roles: incubation_head (all), technician (own company)
+ */
+router.post(
+  '/:id/reprovision',
+  authenticate,
+  authorize('incubation_head', 'technician'),
+  [body('expires_in_minutes').optional().isInt({ min: 5, max: 1440 })],
+  asyncHandler(async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'VALIDATION_ERROR',
+          details: errors.array(),
+        },
+      });
+    }
+
+    const { role, id: userId } = req.user;
+    const { company_id, expires_in_minutes = 30 } = req.body;
+
+    const device = await findManagedDevice(req, res);
+    if (!device) return;
+
+    // Incubation head may move the device to another company while re-provisioning
+    const targetCompanyId = (role === 'incubation_head' && company_id) || device.company_id;
+
+    if (!targetCompanyId) {
+      return res.status(400).json({
+        success: false,
+        error: { code: 'VALIDATION_ERROR', message: 'company_id required for a device without a company' },
+      });
+    }
+
+    const enrollment = await createEnrollmentCode({
+      company_id: targetCompanyId,
+      location: device.location,
+      device_name: device.device_name,
+      device_id: device.id,
+      expiresInMinutes: parseInt(expires_in_minutes),
+      userId,
+    });
+
+    logger.info(`Re-provision code created for device ${device.device_uuid} by ${req.user.username}`);
+
+    res.status(201).json({
+      success: true,
+      data: enrollment,
+    });
+  })
+);
+
+/**
+ * PUT /api/v1/devices/:id
+ * Rename a device, change its location, reassign its company or (re)activate it
+ * Roles: incubation_head (all), technician (own company, cannot reassign)
+ */
+router.put(
+  '/:id',
+  authenticate,
+  authorize('incubation_head', 'technician'),
+  [
+    body('device_name').optional({ nullable: true }).isLength({ max: 255 }),
+    body('location').optional({ nullable: true }).isLength({ max: 255 }),
+    body('location_group').optional({ nullable: true }).isLength({ max: 100 }),
+    body('is_active').optional().isBoolean(),
+  ],
+  asyncHandler(async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'VALIDATION_ERROR',
+          details: errors.array(),
+        },
+      });
+    }
+
+    const device = await findManagedDevice(req, res);
+    if (!device) return;
+
+    const { role } = req.user;
+    const { device_name, location, location_group, company_id, is_active } = req.body;
+
+    const updateData = { device_name, location, location_group, is_active };
+
+    if (company_id !== undefined && String(company_id) !== String(device.company_id)) {
+      // Moving a reader between companies is an incubation-level decision
+      if (role !== 'incubation_head') {
+        return res.status(403).json({
+          success: false,
+          error: { code: 'FORBIDDEN', message: 'Only the incubation head can reassign devices' },
+        });
+      }
+      updateData.company_id = company_id || null;
+    }
+
+    const { data, error } = await supabase
+      .from('devices')
+      .update(updateData)
+      .eq('id', device.id)
+      .select(`
+        *,
+        companies (id, name)
+      `)
+      .single();
+
+    if (error) {
+      throw new Error(error.message);
+    }
+
+    logger.info(`Device updated: ${device.device_uuid} by ${req.user.username}`);
+
+    res.json({
+      success: true,
+      data,
+    });
+  })
+);
+
+/**
+ * POST /api/v1/devices/:id/deactivate
+ * Deactivate a device - its scans and heartbeats are rejected until reactivated
+ * Roles: incubation_head (all), technician (own company)
+ */
+router.post(
+  '/:id/deactivate',
+  authenticate,
+  authorize('incubation_head', 'technician'),
+  asyncHandler(async (req, res) => {
+    const device = await findManagedDevice(req, res);
+    if (!device) return;
+
+    const { data, error } = await supabase
+      .from('devices')
+      .update({ is_active: false })
+      .eq('id', device.id)
+      .select()
+      .single();
+
+    if (error) {
+      throw new Error(error.message);
+    }
+
+    logger.info(`Device deactivated: ${device.device_uuid} by ${req.user.username}`);
+
+    res.json({
+      success: true,
+      data,
+    });
+  })
+);
+
+/**
+ * POST /api/v1/devices/:id/revoke-tokens
+ * Revoke all tokens of a device - it must be re-provisioned to connect again
+ * Roles: incubation_head (all), technician (own company)
+ */
+router.post(
+  '/:id/revoke-tokens',
+  authenticate,
+  authorize('incubation_head', 'technician'),
+  asyncHandler(async (req, res) => {
+    const device = await findManagedDevice(req, res);
+    if (!device) return;
+
+    const { data, error } = await supabase
+      .from('device_tokens')
+      .delete()
+      .eq('device_id', device.id)
+      .select('id');
+
+    if (error) {
+      throw new Error(error.message);
+    }
+
+    logger.info(`Device tokens revoked: ${device.device_uuid} (${data.length}) by ${req.user.username}`);
+
+    res.json({
+      success: true,
+      data: {
+        device_id: device.id,
+        revoked: data.length,
+      },
+    });
+  })
+);
+
+/**
+ * DELETE /api/v1/devices/:id
+ * Delete a device and its tokens; its attendance history is kept
+ * Roles: incubation_head
+ */
+router.delete(
+  '/:id',
+  authenticate,
+  authorize('incubation_head'),
+  asyncHandler(async (req, res) => {
+    const device = await findManagedDevice(req, res);
+    if (!device) return;
+
+    const { error } = await supabase
+      .from('devices')
+      .delete()
+      .eq('id', device.id);
+
+    if (error) {
+      throw new Error(error.message);
+    }
+
+    logger.info(`Device deleted: ${device.device_uuid} by ${req.user.username}`);
+
+    res.json({
+      success: true,
+      message: 'Device deleted successfully',
+    });
+  })
+);
+
+/**
+ * GET /api/v1/devices/:id/config
+ * Effective configuration of a device and the profiles it was merged from
+ * Roles: incubation_head (all), technician (own company)
+ */
+router.get(
+  '/:id/config',
+  authenticate,
+  authorize('incubation_head', 'technician'),
+  asyncHandler(async (req, res) => {
+    const device = await findManagedDevice(req, res);
+    if (!device) return;
+
+    res.json({
+      success: true,
+      data: await resolveDeviceConfig(device),
+    });
+  })
+);
+
+/**
+ * GET /api/v1/devices/:id/telemetry
+ * Heartbeat telemetry history of a device, oldest first
+ * Query: from, to (ISO timestamps; default the last 24 hours), limit (max 2000)
+ * Roles: incubation_head (all), company_admin & technician (own company)
+ */
+router.get(
+  '/:id/telemetry',
+  authenticate,
+  authorize('incubation_head', 'company_admin', 'technician'),
+  asyncHandler(async (req, res) => {
+    const device = await findManagedDevice(req, res);
+    if (!device) return;
+
+    const to = req.query.to ? new Date(req.query.to) : new Date();
+    const from = req.query.from ? new Date(req.query.from) : new Date(to.getTime() - 24 * 60 * 60 * 1000);
+
+    if (isNaN(from.getTime()) || isNaN(to.getTime()) || from > to) {
+      return res.status(400).json({
+        success: false,
+        error: { code: 'INVALID_RANGE', message: 'from and to must be valid timestamps with from before to' },
+      });
+    }
+
+    const limit = Math.min(parseInt(req.query.limit) || 500, 2000);
+
+    // Newest samples win when the range holds more than the limit
+    const { data, error } = await supabase
+      .from('device_telemetry')
+      .select('*')
+      .eq('device_id', device.id)
+      .gte('recorded_at', from.toISOString())
+      .lte('recorded_at', to.toISOString())
+      .order('recorded_at', { ascending: false })
+      .limit(limit);
+
+    if (error) {
+      throw new Error(error.message);
+    }
+
+    const samples = data.reverse();
+    const latest = samples[samples.length - 1] || null;
+
+    // Resets inside the range, detected by uptime going backwards
+    const restarts = samples.filter((sample, index) => (
+      index > 0 &&
+      sample.uptime_ms !== null &&
+      samples[index - 1].uptime_ms !== null &&
+      sample.uptime_ms < samples[index - 1].uptime_ms
+    )).map(sample => ({ recorded_at: sample.recorded_at, reset_reason: sample.reset_reason }));
+
+    res.json({
+      success: true,
+      data: {
+        from: from.toISOString(),
+        to: to.toISOString(),
+        samples,
+        latest,
+        restarts,
+      },
+    });
+  })
+);
+
+/**
+ * GET /api/v1/devices/:id/commands
+ * Command history of a device, newest first
+ * Roles: incubation_head (all), technician (own company)
+ */
+router.get(
+  '/:id/commands',
   authenticate,
-  authorize('incubation_head', 'company_admin', 'technician'),
+  authorize('incubation_head', 'technician'),
   asyncHandler(async (req, res) => {
-    const { role, company_id: user_company_id } = req.user;
-    const { limit = 50, offset = 0 } = req.query;
+    const device = await findManagedDevice(req, res);
+    if (!device) return;
 
-    let query = supabase
-      .from('devices')
+    const limit = Math.min(parseInt(req.query.limit) || 50, 200);
+
+    const { data, error } = await supabase
+      .from('device_commands')
       .select(`
         *,
-        companies (id, name)
-      `, { count: 'exact' })
-      .order('created_at', { ascending: false });
-
-    // Company admins and technicians can only see their company's devices
-    if ((role === 'company_admin' || role === 'technician') && user_company_id) {
-      query = query.eq('company_id', user_company_id);
-    }
-
-    query = query.range(parseInt(offset), parseInt(offset) + parseInt(limit) - 1);
-
-    const { data: devices, error, count } = await query;
+        users:created_by (username)
+      `)
+      .eq('device_id', device.id)
+      .order('created_at', { ascending: false })
+      .limit(limit);
 
     if (error) {
       throw new Error(error.message);
     }
 
+    // Commands past their expiry are reported as expired even before the device calls in;
+    // minted enrollment codes are never shown again
+    const now = new Date();
+    const commands = data.map(command => {
+      const listed = { ...command };
+      if (['pending', 'delivered'].includes(listed.status) && new Date(listed.expires_at) < now) {
+        listed.status = 'expired';
+      }
+      if (listed.payload?.enrollment_code) {
+        listed.payload = { ...listed.payload, enrollment_code: '********' };
+      }
+      return listed;
+    });
+
     res.json({
       success: true,
-      data: devices,
-      pagination: {
-        limit: parseInt(limit),
-        offset: parseInt(offset),
-        total: count,
-      },
+      data: commands,
     });
   })
 );
 
 /**
- * POST /api/v1/devices/register
- * Register new device
+ * POST /api/v1/devices/:id/commands
+ * Queue a command for a device; it is delivered with the next heartbeat or event response
+ * Roles: incubation_head (all), technician (own company)
  */
 router.post(
-  '/register',
+  '/:id/commands',
+  authenticate,
+  authorize('incubation_head', 'technician'),
   [
-    body('device_uuid').notEmpty().withMessage('device_uuid required'),
-    body('secret').notEmpty().withMessage('Provisioning secret required'),
+    body('command').isIn(DEVICE_COMMANDS).withMessage(`command must be one of: ${DEVICE_COMMANDS.join(', ')}`),
+    body('payload').optional().isObject(),
+    body('payload.message')
+      .if(body('command').equals('display_message'))
+      .isString()
+      .isLength({ min: 1, max: 32 })
+      .withMessage('payload.message must be 1-32 characters'),
+    body('payload.duration_seconds').optional().isInt({ min: 1, max: 3600 }),
+    body('payload.url')
+      .if(body('command').equals('start_ota'))
+      .isURL({ protocols: ['http', 'https'], require_tld: false })
+      .withMessage('payload.url must be a firmware URL'),
+    body('expires_in_minutes').optional().isInt({ min: 1, max: 10080 }),
   ],
   asyncHandler(async (req, res) => {
-    logger.info('[DEVICE REGISTER] Request received', { 
-      body: req.body,
-      ip: req.ip,
-      headers: {
-        'content-type': req.headers['content-type'],
-        'user-agent': req.headers['user-agent'],
-      }
-    });
-
-    const { device_uuid, secret, device_name, location } = req.body;
-
-    // Verify provisioning secret (in production, use secure method)
-    const PROVISIONING_SECRET = process.env.DEVICE_PROVISIONING_SECRET || 'change-me-in-production';
-    
-    logger.info('[DEVICE REGISTER] Checking secret', { 
-      providedSecret: secret,
-      expectedSecret: PROVISIONING_SECRET,
-      match: secret === PROVISIONING_SECRET
-    });
-
-    if (secret !== PROVISIONING_SECRET) {
-      logger.warn('[DEVICE REGISTER] Invalid secret', { device_uuid });
-      return res.status(403).json({
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
         success: false,
         error: {
-          code: 'INVALID_SECRET',
-          message: 'Invalid provisioning secret',
+          code: 'VALIDATION_ERROR',
+          details: errors.array(),
         },
       });
     }
 
-    // Check if device already exists
-    logger.info('[DEVICE REGISTER] Checking if device exists', { device_uuid });
-    const { data: existing, error: existingError } = await supabase
-      .from('devices')
-      .select('id')
-      .eq('device_uuid', device_uuid)
-      .single();
-
-    if (existingError && existingError.code !== 'PGRST116') {
-      logger.error('[DEVICE REGISTER] Error checking existing device', { error: existingError });
-    }
+    const device = await findManagedDevice(req, res);
+    if (!device) return;
 
-    if (existing) {
-      logger.warn('[DEVICE REGISTER] Device already exists - generating new token', { device_uuid, existing });
-      
-      // Delete old tokens
-      await supabase
-        .from('device_tokens')
-        .delete()
-        .eq('device_id', existing.id);
-      
-      // Generate new device token
-      const token = generateDeviceToken();
-      const token_hash = await hashDeviceToken(token);
-
-      // Store new token
-      const expiresAt = new Date();
-      expiresAt.setDate(expiresAt.getDate() + (parseInt(process.env.DEVICE_TOKEN_EXPIRES_DAYS) || 365));
+    const { command, expires_in_minutes = 1440 } = req.body;
+    let payload = req.body.payload || {};
 
-      await supabase
-        .from('device_tokens')
-        .insert({
-          device_id: existing.id,
-          token_hash,
-          expires_at: expiresAt.toISOString(),
+    // Re-registering needs a re-provision code bound to this device, minted here
+    if (command === 're_register') {
+      if (!device.company_id) {
+        return res.status(400).json({
+          success: false,
+          error: { code: 'DEVICE_UNASSIGNED', message: 'Assign the device to a company before re-registering it' },
         });
+      }
 
-      logger.info('[DEVICE REGISTER] New token generated for existing device', { device_uuid });
-
-      return res.status(200).json({
-        success: true,
-        data: {
-          device_id: existing.id,
-          device_uuid,
-          token,
-          expires_at: expiresAt.toISOString(),
-          reissued: true,
-        },
+      const enrollment = await createEnrollmentCode({
+        company_id: device.company_id,
+        location: device.location,
+        device_name: device.device_name,
+        device_id: device.id,
+        expiresInMinutes: expires_in_minutes,
+        userId: req.user.id,
       });
+      payload = { enrollment_code: enrollment.code };
     }
 
-    // Create device
-    logger.info('[DEVICE REGISTER] Creating device', { device_uuid, location });
-    const { data: device, error: deviceError } = await supabase
-      .from('devices')
+    const { data, error } = await supabase
+      .from('device_commands')
       .insert({
-        device_uuid,
-        location,
+        device_id: device.id,
+        command,
+        payload,
+        expires_at: new Date(Date.now() + expires_in_minutes * 60 * 1000).toISOString(),
+        created_by: req.user.id,
       })
       .select()
       .single();
 
-    if (deviceError) {
-      throw new Error(deviceError.message);
+    if (error) {
+      throw new Error(error.message);
+    }
+
+    logger.info(`Command queued: ${command} for ${device.device_uuid} by ${req.user.username}`);
+
+    if (data.payload?.enrollment_code) {
+      data.payload = { ...data.payload, enrollment_code: '********' };
     }
 
-    // Generate device token
-    const token = generateDeviceToken();
-    const token_hash = await hashDeviceToken(token);
+    res.status(201).json({
+      success: true,
+      data,
+    });
+  })
+);
 
-    // Store token
-    const expiresAt = new Date();
-    expiresAt.setDate(expiresAt.getDate() + (parseInt(process.env.DEVICE_TOKEN_EXPIRES_DAYS) || 365));
+/**
+ * DELETE /api/v1/devices/:id/commands/:commandId
+ * Cancel a command the device has not received yet
+ * Roles: incubation_head (all), technician (own company)
+ */
+router.delete(
+  '/:id/commands/:commandId',
+  authenticate,
+  authorize('incubation_head', 'technician'),
+  asyncHandler(async (req, res) => {
+    const device = await findManagedDevice(req, res);
+    if (!device) return;
 
-    await supabase
-      .from('device_tokens')
-      .insert({
-        device_id: device.id,
-        token_hash,
-        expires_at: expiresAt.toISOString(),
+    const { data, error } = await supabase
+      .from('device_commands')
+      .update({
+        status: 'expired',
+        result: `Cancelled by ${req.user.username}`,
+      })
+      .eq('id', req.params.commandId)
+      .eq('device_id', device.id)
+      .eq('status', 'pending')
+      .select()
+      .maybeSingle();
+
+    if (error) {
+      throw new Error(error.message);
+    }
+
+    if (!data) {
+      return res.status(409).json({
+        success: false,
+        error: { code: 'COMMAND_NOT_PENDING', message: 'Only pending commands can be cancelled' },
       });
+    }
 
-    logger.info(`Device registered: ${device_uuid}`);
+    logger.info(`Command cancelled: ${data.command} for ${device.device_uuid} by ${req.user.username}`);
 
-    res.status(201).json({
+    res.json({
       success: true,
-      data: {
-        device_id: device.id,
-        device_uuid: device.device_uuid,
-        token, // Only time token is revealed
-        expires_at: expiresAt.toISOString(),
-      },
+      data,
     });
   })
 );
 
+/**
+ * Device-facing outcome of a scan captured by an enrollment session
+ * `session` is the finished session, or null when it was cancelled or expired before the scan
+ */
+function describeEnrollment(enrollment, session) {
+  const completed = session?.status === 'completed';
+
+  return {
+    employee_recognized: completed,
+    employee_name: completed ? enrollment.employees?.name || null : session ? 'Tag in use' : 'Enrollment ended',
+    enrollment: {
+      session_id: enrollment.id,
+      status: session?.status || null,
+      error: session ? session.error : 'Enrollment session ended before the scan',
+    },
+  };
+}
+
 /**
  * POST /api/v1/devices/event
  * Ingest attendance event from device
+ * While the reader has a pending tag enrollment session the scan enrolls the tag instead (`enrollment`).
+ * Scans of visitor pool tags are checked against the tag's pass and logged as visitor scans
+ * (event_type VISIT, or DENIED with a `visitor.reason`).
+ * Scans of unknown or rejected tags are quarantined (`quarantined: true` with a `reason`).
+ * The response carries pending commands; acks for earlier commands may be sent in `acks`
  */
 router.post(
   '/event',
   authenticateDevice,
-  [body('tag_uid').notEmpty().withMessage('tag_uid required')],
+  [
+    body('tag_uid').notEmpty().withMessage('tag_uid required'),
+    body('event_id').optional().isString().isLength({ max: 100 }),
+    ...commandAckValidators,
+  ],
   asyncHandler(async (req, res) => {
-    const { tag_uid, timestamp, rssi, raw } = req.body;
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'VALIDATION_ERROR',
+          details: errors.array(),
+        },
+      });
+    }
+
+    const { tag_uid, timestamp, event_id, rssi, raw, acks } = req.body;
     const device = req.device;
 
     // Look up employee by tag (include employee name)
-    const { data: tag } = await supabase
-      .from('rfid_tags')
-      .select('id, employee_id, employees(name, company_id)')
-      .eq('uid', tag_uid)
-      .eq('is_active', true)
-      .single();
+    const tags = await lookupTags([tag_uid]);
+    const tag = tags.get(tag_uid);
 
-    // Validate and parse timestamp
-    let recordedAt = new Date().toISOString();
-    if (timestamp) {
-      const parsed = new Date(timestamp);
-      if (!isNaN(parsed.getTime())) {
-        recordedAt = parsed.toISOString();
+    const sendReplay = async (original) => {
+      logger.info(`Event replayed: ${event_id} at ${device.device_uuid} -> log ${original.id}`);
+
+      const commands = await syncDeviceCommands(device.id, acks);
+
+      return res.json({
+        success: true,
+        data: {
+          log_id: original.id,
+          recorded_at: original.recorded_at,
+          event_type: original.event_type,
+          employee_recognized: !!tag?.employee_id,
+          employee_name: tag?.employees?.name || null,
+          duplicate: true,
+          commands,
+        },
+      });
+    };
+
+    // Retried event - return the log stored by the first attempt
+    if (event_id) {
+      const original = (await findLogsByEventIds(device.id, [event_id])).get(event_id);
+      if (original) {
+        return sendReplay(original);
       }
     }
 
-    // Determine event type (IN or OUT) based on last event
-    let eventType = 'IN'; // Default to IN
-    if (tag?.employee_id) {
-      // Check last event for this employee today
-      const todayStart = new Date().setHours(0, 0, 0, 0);
-      const { data: lastEvent } = await supabase
-        .from('attendance_logs')
-        .select('event_type')
-        .eq('employee_id', tag.employee_id)
-        .gte('recorded_at', new Date(todayStart).toISOString())
-        .order('recorded_at', { ascending: false })
-        .limit(1)
-        .single();
-
-      // Toggle between IN and OUT
-      if (lastEvent) {
-        eventType = lastEvent.event_type === 'IN' ? 'OUT' : 'IN';
-      }
+    // Validate and parse timestamp
+    const recordedAt = parseRecordedAt(timestamp) || new Date().toISOString();
+
+    // A reader in enrollment mode captures the scan as the session employee's tag.
+    // Scans recorded before the session started (buffered offline) are not captured
+    const enrollment = await findPendingEnrollment(device.id);
+    if (enrollment && recordedAt >= new Date(enrollment.created_at).toISOString()) {
+      const session = await completeEnrollment(enrollment, tag_uid);
+      const commands = await syncDeviceCommands(device.id, acks);
+
+      // Even when the session ended meanwhile, the tap was meant for enrollment, not attendance
+      return res.json({
+        success: true,
+        data: {
+          log_id: null,
+          recorded_at: recordedAt,
+          event_type: 'ENROLL',
+          ...describeEnrollment(enrollment, session),
+          commands,
+        },
+      });
+    }
+
+    // Visitor badges are checked against their pass window and readers, not logged as attendance
+    if (isVisitorPoolScan(tag)) {
+      const { pass, reason } = await checkVisitorScan(tag, device, recordedAt);
+      await recordVisitorScans(device, [{
+        tag_uid,
+        tag,
+        pass,
+        reason,
+        recorded_at: recordedAt,
+        event_id,
+      }]);
+
+      const commands = await syncDeviceCommands(device.id, acks);
+
+      return res.json({
+        success: true,
+        data: {
+          log_id: null,
+          recorded_at: recordedAt,
+          event_type: reason ? 'DENIED' : 'VISIT',
+          employee_recognized: !reason,
+          employee_name: pass?.visitor_name || 'No visitor pass',
+          visitor: {
+            pass_id: pass?.id || null,
+            accepted: !reason,
+            reason,
+          },
+          commands,
+        },
+      });
+    }
+
+    // Unknown or rejected tags are quarantined for review instead of logged
+    const rejection = getScanRejection(tag, device);
+    if (rejection) {
+      await quarantineScans(device, [{
+        tag_uid,
+        tag,
+        reason: rejection,
+        recorded_at: recordedAt,
+        event_id,
+      }]);
+
+      const commands = await syncDeviceCommands(device.id, acks);
+
+      return res.json({
+        success: true,
+        data: {
+          log_id: null,
+          recorded_at: recordedAt,
+          event_type: 'UNKNOWN',
+          employee_recognized: false,
+          employee_name: null,
+          quarantined: true,
+          reason: rejection,
+          commands,
+        },
+      });
     }
 
+    // Determine event type (IN or OUT) based on the previous scan of the company-local day
+    const timeZone = getTagTimeZone(tag);
+    let eventType = nextEventType(await getLastEventType(tag.employee_id, recordedAt, timeZone));
+
     // Insert attendance log
     const { data: log, error } = await supabase
       .from('attendance_logs')
       .insert({
         device_id: device.id,
-        company_id: tag?.employees?.company_id || device.company_id,
-        employee_id: tag?.employee_id || null,
-        rfid_tag_id: tag?.id || null,
+        company_id: tag.employees.company_id,
+        employee_id: tag.employee_id,
+        rfid_tag_id: tag.id,
         event_type: eventType,
         recorded_at: recordedAt,
+        event_id: event_id || null,
       })
       .select()
       .single();
 
+    // Concurrent retry stored the same event_id first
+    if (error?.code === '23505' && event_id) {
+      const original = (await findLogsByEventIds(device.id, [event_id])).get(event_id);
+      if (original) {
+        return sendReplay(original);
+      }
+    }
+
     if (error) {
       throw new Error(error.message);
     }
 
-    logger.info(`Event recorded: ${eventType} - ${tag_uid} at ${device.device_uuid} - ${tag?.employees?.name || 'Unknown'}`);
+    // A late scan shifts the IN/OUT sequence of every later scan that day
+    const resolved = await resolveEmployeeDay(tag.employee_id, recordedAt, {
+      timeZone,
+      triggerLogId: log.id,
+    });
+    eventType = resolved.get(log.id) || eventType;
+
+    logger.info(`Event recorded: ${eventType} - ${tag_uid} at ${device.device_uuid} - ${tag.employees?.name}`);
+
+    const commands = await syncDeviceCommands(device.id, acks);
 
     res.json({
       success: true,
@@ -266,8 +1514,314 @@ router.post(
         log_id: log.id,
         recorded_at: log.recorded_at,
         event_type: eventType,
-        employee_recognized: !!tag?.employee_id,
-        employee_name: tag?.employees?.name || null,
+        employee_recognized: true,
+        employee_name: tag.employees?.name || null,
+        commands,
+      },
+    });
+  })
+);
+
+/**
+ * POST /api/v1/devices/events/batch
+ * Ingest buffered attendance events from device in one insert
+ * Returns a per-item status (accepted, duplicate, enrolled, visitor, unknown_tag, rejected);
+ * every status except a failed request is final, so the device can drop those entries.
+ * While the reader has a pending tag enrollment session, its earliest scan recorded since the
+ * session started enrolls the tag (`enrolled`, with `enrollment`) instead of being logged.
+ * visitor scans are checked against the badge's pass, with `accepted` and the refusal `reason`.
+ * unknown_tag scans are quarantined in unknown_scans with the reason returned alongside.
+ * Items carrying an event_id are deduplicated on it, like POST /event
+ */
+router.post(
+  '/events/batch',
+  authenticateDevice,
+  [
+    body('events')
+      .isArray({ min: 1, max: MAX_BATCH_SIZE })
+      .withMessage(`events must be an array of 1-${MAX_BATCH_SIZE} scans`),
+  ],
+  asyncHandler(async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'VALIDATION_ERROR',
+          details: errors.array(),
+        },
+      });
+    }
+
+    const { events } = req.body;
+    const device = req.device;
+
+    const results = events.map((event, index) => ({
+      index,
+      id: event?.id ?? null,
+      status: null,
+    }));
+
+    const tags = await lookupTags(events.map(event => event?.tag_uid));
+    const storedEvents = await findLogsByEventIds(
+      device.id,
+      events.map(event => (typeof event?.event_id === 'string' ? event.event_id : null))
+    );
+
+    // Validate each scan and resolve its tag
+    const scans = [];
+    const candidates = [];
+    const visitorScans = [];
+    const quarantined = [];
+    const seenEventIds = new Set();
+    events.forEach((event, index) => {
+      const result = results[index];
+
+      if (!event || typeof event.tag_uid !== 'string' || !event.tag_uid) {
+        result.status = 'rejected';
+        result.reason = 'tag_uid required';
+        return;
+      }
+
+      const eventId = event.event_id ?? null;
+      if (eventId !== null && (typeof eventId !== 'string' || !eventId || eventId.length > 100)) {
+        result.status = 'rejected';
+        result.reason = 'Invalid event_id';
+        return;
+      }
+
+      // Already stored by an earlier upload, or repeated within this batch
+      if (eventId && storedEvents.has(eventId)) {
+        const original = storedEvents.get(eventId);
+        Object.assign(result, {
+          status: 'duplicate',
+          log_id: original.id,
+          recorded_at: original.recorded_at,
+          event_type: original.event_type,
+        });
+        return;
+      }
+      if (eventId && seenEventIds.has(eventId)) {
+        result.status = 'duplicate';
+        return;
+      }
+      if (eventId) {
+        seenEventIds.add(eventId);
+      }
+
+      const recordedAt = parseRecordedAt(event.timestamp);
+      if (!recordedAt) {
+        result.status = 'rejected';
+        result.reason = 'Invalid timestamp';
+        return;
+      }
+
+      scans.push({ index, tagUid: event.tag_uid, tag: tags.get(event.tag_uid), recordedAt, eventId });
+    });
+
+    // A reader in enrollment mode captures its first scan since the session started, as POST /event does
+    const enrollment = await findPendingEnrollment(device.id);
+    const enrollmentScan = enrollment && scans
+      .filter(scan => scan.recordedAt >= new Date(enrollment.created_at).toISOString())
+      .sort((a, b) => a.recordedAt.localeCompare(b.recordedAt))[0];
+
+    if (enrollmentScan) {
+      const session = await completeEnrollment(enrollment, enrollmentScan.tagUid);
+      Object.assign(results[enrollmentScan.index], {
+        status: 'enrolled',
+        recorded_at: enrollmentScan.recordedAt,
+        ...describeEnrollment(enrollment, session),
+      });
+    }
+
+    scans.forEach(scan => {
+      const { index, tagUid, tag, recordedAt, eventId } = scan;
+      const result = results[index];
+
+      if (scan === enrollmentScan) {
+        return;
+      }
+
+      if (isVisitorPoolScan(tag)) {
+        result.status = 'visitor';
+        visitorScans.push({ index, tag_uid: tagUid, tag, recorded_at: recordedAt, event_id: eventId });
+        return;
+      }
+
+      const rejection = getScanRejection(tag, device);
+      if (rejection) {
+        result.status = 'unknown_tag';
+        result.reason = rejection;
+        quarantined.push({
+          tag_uid: tagUid,
+          tag,
+          reason: rejection,
+          recorded_at: recordedAt,
+          event_id: eventId,
+        });
+        return;
+      }
+
+      candidates.push({ index, tag, recordedAt, eventId });
+    });
+
+    await quarantineScans(device, quarantined);
+
+    for (const scan of visitorScans) {
+      const { pass, reason } = await checkVisitorScan(scan.tag, device, scan.recorded_at);
+      Object.assign(scan, { pass, reason });
+      Object.assign(results[scan.index], {
+        recorded_at: scan.recorded_at,
+        accepted: !reason,
+        reason,
+        pass_id: pass?.id || null,
+      });
+    }
+    await recordVisitorScans(device, visitorScans);
+
+    // Scans without event_id (older firmware) are matched on employee + recorded time
+    const stored = new Set();
+    const legacy = candidates.filter(c => !c.eventId);
+    if (legacy.length > 0) {
+      const times = legacy.map(c => c.recordedAt).sort();
+      const { data: existing, error: existingError } = await supabase
+        .from('attendance_logs')
+        .select('employee_id, recorded_at')
+        .eq('device_id', device.id)
+        .in('employee_id', [...new Set(legacy.map(c => c.tag.employee_id))])
+        .gte('recorded_at', times[0])
+        .lte('recorded_at', times[times.length - 1]);
+
+      if (existingError) {
+        throw new Error(existingError.message);
+      }
+
+      (existing || []).forEach(log => {
+        stored.add(`${log.employee_id}|${new Date(log.recorded_at).getTime()}`);
+      });
+    }
+
+    // Resolve IN/OUT in recorded order so each employee's scans toggle correctly
+    candidates.sort((a, b) => a.recordedAt.localeCompare(b.recordedAt));
+
+    const lastTypes = new Map();
+    const rows = [];
+    const accepted = [];
+
+    for (const candidate of candidates) {
+      const { index, tag, recordedAt, eventId } = candidate;
+
+      if (!eventId) {
+        const scanKey = `${tag.employee_id}|${new Date(recordedAt).getTime()}`;
+        if (stored.has(scanKey)) {
+          results[index].status = 'duplicate';
+          continue;
+        }
+        stored.add(scanKey);
+      }
+
+      const timeZone = getTagTimeZone(tag);
+      const dayKey = `${tag.employee_id}|${getZonedDate(recordedAt, timeZone)}`;
+      if (!lastTypes.has(dayKey)) {
+        lastTypes.set(dayKey, await getLastEventType(tag.employee_id, recordedAt, timeZone));
+      }
+
+      const eventType = nextEventType(lastTypes.get(dayKey));
+      lastTypes.set(dayKey, eventType);
+
+      rows.push({
+        device_id: device.id,
+        company_id: tag.employees?.company_id || device.company_id,
+        employee_id: tag.employee_id,
+        rfid_tag_id: tag.id,
+        event_type: eventType,
+        recorded_at: recordedAt,
+        event_id: eventId,
+      });
+      accepted.push({ ...candidate, dayKey, timeZone });
+    }
+
+    // Single multi-row insert - either every accepted scan is stored or none is
+    if (rows.length > 0) {
+      const { data: logs, error } = await supabase
+        .from('attendance_logs')
+        .insert(rows)
+        .select('id, event_type, recorded_at');
+
+      let inserted = logs ? logs.map((log, i) => ({ ...accepted[i], log })) : [];
+
+      // A concurrent upload stored some of these event_ids first: report those as duplicates
+      // and store the rest one by one, so a single retried scan cannot sink the batch
+      if (error?.code === '23505') {
+        const raced = await findLogsByEventIds(device.id, accepted.map(a => a.eventId));
+        inserted = [];
+
+        for (let i = 0; i < rows.length; i++) {
+          const candidate = accepted[i];
+          let original = raced.get(candidate.eventId);
+
+          if (!original) {
+            const { data: log, error: rowError } = await supabase
+              .from('attendance_logs')
+              .insert(rows[i])
+              .select('id, event_type, recorded_at')
+              .single();
+
+            if (!rowError) {
+              inserted.push({ ...candidate, log });
+              continue;
+            }
+            if (rowError.code !== '23505' || !candidate.eventId) {
+              throw new Error(rowError.message);
+            }
+            original = (await findLogsByEventIds(device.id, [candidate.eventId])).get(candidate.eventId);
+          }
+
+          Object.assign(results[candidate.index], {
+            status: 'duplicate',
+            log_id: original?.id ?? null,
+            recorded_at: original?.recorded_at,
+            event_type: original?.event_type,
+          });
+        }
+      } else if (error) {
+        throw new Error(error.message);
+      }
+
+      // Re-resolve each touched employee day once, in case older scans landed before stored ones
+      const resolvedDays = new Map();
+      for (const { tag, recordedAt, dayKey, timeZone, log } of inserted) {
+        if (!resolvedDays.has(dayKey)) {
+          resolvedDays.set(dayKey, await resolveEmployeeDay(tag.employee_id, recordedAt, {
+            timeZone,
+            triggerLogId: log.id,
+          }));
+        }
+      }
+
+      inserted.forEach(({ index, tag, dayKey, log }) => {
+        Object.assign(results[index], {
+          status: 'accepted',
+          log_id: log.id,
+          recorded_at: log.recorded_at,
+          event_type: resolvedDays.get(dayKey).get(log.id) || log.event_type,
+          employee_name: tag.employees?.name || null,
+        });
+      });
+    }
+
+    const summary = { accepted: 0, duplicate: 0, enrolled: 0, visitor: 0, unknown_tag: 0, rejected: 0 };
+    results.forEach(result => {
+      summary[result.status] += 1;
+    });
+
+    logger.info(`Batch ingested from ${device.device_uuid}`, summary);
+
+    res.json({
+      success: true,
+      data: {
+        results,
+        summary,
       },
     });
   })
@@ -276,12 +1830,27 @@ router.post(
 /**
  * POST /api/v1/devices/heartbeat
  * Device heartbeat
+ * Stores a telemetry sample (RSSI, uptime, heap, error counters, reset reason),
+ * acknowledges earlier commands (`acks`) and returns the device's pending commands
  */
 router.post(
   '/heartbeat',
   authenticateDevice,
+  commandAckValidators,
+  telemetryValidators,
   asyncHandler(async (req, res) => {
-    const { firmware_version, buffer_count } = req.body;
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'VALIDATION_ERROR',
+          details: errors.array(),
+        },
+      });
+    }
+
+    const { firmware_version, buffer_count, rssi, reset_reason, acks } = req.body;
     const device = req.device;
 
     await supabase
@@ -290,13 +1859,33 @@ router.post(
         last_seen: new Date().toISOString(),
         firmware_version,
         buffer_count: buffer_count || 0,
+        rssi: rssi ?? null,
+        reset_reason: reset_reason || null,
       })
       .eq('id', device.id);
 
+    try {
+      await recordTelemetry(device, req.body);
+    } catch (error) {
+      logger.error(`Telemetry insert failed for ${device.device_uuid}:`, error);
+    }
+
+    // Record rollout progress and queue a start_ota command when an update is due
+    try {
+      await trackFirmwareRollout(device, firmware_version);
+    } catch (error) {
+      logger.error(`Firmware rollout check failed for ${device.device_uuid}:`, error);
+    }
+
+    const commands = await syncDeviceCommands(device.id, acks);
+    const { etag: config_etag } = await resolveDeviceConfig(device);
+
     res.json({
       success: true,
       data: {
         server_time: new Date().toISOString(),
+        commands,
+        config_etag,
       },
     });
   })
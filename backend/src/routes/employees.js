@@ -3,11 +3,50 @@ import { body, query, validationResult } from 'express-validator';
 import { supabase } from '../config/database.js';
 import { authenticate, authorize, checkCompanyAccess } from '../middleware/auth.js';
 import { asyncHandler } from '../middleware/errorHandler.js';
+import { MAX_SESSION_RANGE_DAYS, buildTimesheet } from '../utils/sessions.js';
+import { addDays } from '../utils/shifts.js';
+import { hashPassword } from '../utils/auth.js';
+import logger from '../utils/logger.js';
 
 const router = express.Router();
 
 router.use(authenticate);
 
+/**
+ * Load an employee the caller may manage, or send 404/403
+ */
+async function findManagedEmployee(req, res) {
+  const { role, company_id: user_company_id } = req.user;
+
+  const { data: employee, error } = await supabase
+    .from('employees')
+    .select('id, name, email, company_id')
+    .eq('id', req.params.id)
+    .maybeSingle();
+
+  if (error) {
+    throw new Error(error.message);
+  }
+
+  if (!employee) {
+    res.status(404).json({
+      success: false,
+      error: { code: 'NOT_FOUND', message: 'Employee not found' },
+    });
+    return null;
+  }
+
+  if (role !== 'incubation_head' && String(user_company_id) !== String(employee.company_id)) {
+    res.status(403).json({
+      success: false,
+      error: { code: 'FORBIDDEN', message: 'Access denied to this company' },
+    });
+    return null;
+  }
+
+  return employee;
+}
+
 /**
  * GET /api/v1/employees
  * Get employees (filtered by company for company_admin)
@@ -33,7 +72,7 @@ router.get(
       .select(`
         *,
         companies (id, name),
-        rfid_tags (id, uid)
+        rfid_tags (id, uid, status)
       `, { count: 'exact' });
 
     // Filter by company based on role
@@ -134,6 +173,223 @@ router.post(
   })
 );
 
+/**
+ * GET /api/v1/employees/:id/timesheet
+ * One row per day of the range with the employee's sessions, on-site and break minutes,
+ * unmatched punches and the day's shift status. Defaults to the current month so far
+ * Query: from, to (up to 93 days)
+ * Roles: incubation_head, company_admin (own company only)
+ */
+router.get(
+  '/:id/timesheet',
+  authorize('incubation_head', 'company_admin'),
+  [
+    query('from').optional().isISO8601({ strict: true }),
+    query('to').optional().isISO8601({ strict: true }),
+  ],
+  asyncHandler(async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'VALIDATION_ERROR',
+          details: errors.array(),
+        },
+      });
+    }
+
+    const { role, company_id: user_company_id } = req.user;
+
+    const { data: employee } = await supabase
+      .from('employees')
+      .select('id, name, employee_id, designation, company_id, is_active, companies (name, timezone)')
+      .eq('id', req.params.id)
+      .maybeSingle();
+
+    if (!employee) {
+      return res.status(404).json({
+        success: false,
+        error: { code: 'NOT_FOUND', message: 'Employee not found' },
+      });
+    }
+
+    if (role !== 'incubation_head' && String(user_company_id) !== String(employee.company_id)) {
+      return res.status(403).json({
+        success: false,
+        error: { code: 'FORBIDDEN', message: 'Access denied to this company' },
+      });
+    }
+
+    const today = new Date().toISOString().split('T')[0];
+    const to = req.query.to ? req.query.to.slice(0, 10) : today;
+    const from = req.query.from ? req.query.from.slice(0, 10) : `${to.slice(0, 7)}-01`;
+
+    if (from > to || addDays(from, MAX_SESSION_RANGE_DAYS) <= to) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'VALIDATION_ERROR',
+          message: `from must not be after to, and the range is limited to ${MAX_SESSION_RANGE_DAYS} days`,
+        },
+      });
+    }
+
+    const { totals, days } = await buildTimesheet(employee, from, to);
+
+    res.json({
+      success: true,
+      data: {
+        employee,
+        from,
+        to,
+        totals,
+        days,
+      },
+    });
+  })
+);
+
+/**
+ * GET /api/v1/employees/:id/self-service
+ * The employee's self-service login, or null when there is none
+ * Roles: incubation_head, company_admin (own company only)
+ */
+router.get(
+  '/:id/self-service',
+  authorize('incubation_head', 'company_admin'),
+  asyncHandler(async (req, res) => {
+    const employee = await findManagedEmployee(req, res);
+    if (!employee) return;
+
+    const { data, error } = await supabase
+      .from('users')
+      .select('id, username, is_active, last_login, created_at')
+      .eq('employee_id', employee.id)
+      .maybeSingle();
+
+    if (error) throw new Error(error.message);
+
+    res.json({
+      success: true,
+      data,
+    });
+  })
+);
+
+/**
+ * POST /api/v1/employees/:id/self-service
+ * Create the employee's self-service login, or re-enable it with new credentials.
+ * The account only sees the employee's own timesheet and correction requests
+ * Body: username, password
+ * Roles: incubation_head, company_admin (own company only)
+ */
+router.post(
+  '/:id/self-service',
+  authorize('incubation_head', 'company_admin'),
+  [
+    body('username').isString().trim().isLength({ min: 3, max: 50 }),
+    body('password')
+      .isString()
+      .isLength({ min: 8 })
+      .matches(/^(?=.*[a-z])(?=.*[A-Z])(?=.*\d)(?=.*[@$!%*?&])[A-Za-z\d@$!%*?&]/)
+      .withMessage('Password must contain uppercase, lowercase, number, and special character'),
+  ],
+  asyncHandler(async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'VALIDATION_ERROR',
+          details: errors.array(),
+        },
+      });
+    }
+
+    const employee = await findManagedEmployee(req, res);
+    if (!employee) return;
+
+    const { username, password } = req.body;
+
+    const { data: existingUser } = await supabase
+      .from('users')
+      .select('id, employee_id')
+      .eq('username', username)
+      .maybeSingle();
+
+    if (existingUser && existingUser.employee_id !== employee.id) {
+      return res.status(409).json({
+        success: false,
+        error: { code: 'USERNAME_EXISTS', message: 'Username already exists' },
+      });
+    }
+
+    const account = {
+      username,
+      password_hash: await hashPassword(password),
+      role: 'employee',
+      company_id: employee.company_id,
+      employee_id: employee.id,
+      full_name: employee.name,
+      email: employee.email || null,
+      is_active: true,
+    };
+
+    const { data, error } = await supabase
+      .from('users')
+      .upsert(account, { onConflict: 'employee_id' })
+      .select('id, username, is_active, last_login, created_at')
+      .single();
+
+    if (error) throw new Error(error.message);
+
+    logger.info(`Self-service login ${username} enabled for employee ${employee.id} by ${req.user.username}`);
+
+    res.status(201).json({
+      success: true,
+      data,
+    });
+  })
+);
+
+/**
+ * DELETE /api/v1/employees/:id/self-service
+ * Disable the employee's self-service login; pending requests stay for review
+ * Roles: incubation_head, company_admin (own company only)
+ */
+router.delete(
+  '/:id/self-service',
+  authorize('incubation_head', 'company_admin'),
+  asyncHandler(async (req, res) => {
+    const employee = await findManagedEmployee(req, res);
+    if (!employee) return;
+
+    const { data, error } = await supabase
+      .from('users')
+      .update({ is_active: false })
+      .eq('employee_id', employee.id)
+      .select('id, username, is_active, last_login, created_at')
+      .maybeSingle();
+
+    if (error) throw new Error(error.message);
+
+    if (!data) {
+      return res.status(404).json({
+        success: false,
+        error: { code: 'NOT_FOUND', message: 'Employee has no self-service login' },
+      });
+    }
+
+    logger.info(`Self-service login disabled for employee ${employee.id} by ${req.user.username}`);
+
+    res.json({
+      success: true,
+      data,
+    });
+  })
+);
+
 /**
  * PUT /api/v1/employees/:id
  * Update employee
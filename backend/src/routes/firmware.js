@@ -0,0 +1,632 @@
+import express from 'express';
+import crypto from 'crypto';
+import { body, validationResult } from 'express-validator';
+import { supabase } from '../config/database.js';
+import { authenticate, authorize, authenticateDevice } from '../middleware/auth.js';
+import { asyncHandler } from '../middleware/errorHandler.js';
+import { FIRMWARE_BUCKET, haltRollout } from '../utils/firmwareRollout.js';
+import logger from '../utils/logger.js';
+
+const router = express.Router();
+
+// Largest accepted firmware image (ESP32 OTA partitions are 1.9 MB by default)
+const MAX_FIRMWARE_SIZE = process.env.FIRMWARE_MAX_SIZE || '4mb';
+
+/**
+ * GET /api/v1/firmware/releases
+ * List firmware releases, newest first
+ * Roles: incubation_head, technician
+ */
+router.get(
+  '/releases',
+  authenticate,
+  authorize('incubation_head', 'technician'),
+  asyncHandler(async (req, res) => {
+    const { data, error } = await supabase
+      .from('firmware_releases')
+      .select('*')
+      .order('created_at', { ascending: false });
+
+    if (error) {
+      throw new Error(error.message);
+    }
+
+    res.json({
+      success: true,
+      data,
+    });
+  })
+);
+
+/**
+ * POST /api/v1/firmware/releases
+ * Register a release (version, SHA-256 checksum, notes); the binary is uploaded next
+ * Roles: incubation_head, technician
+ */
+router.post(
+  '/releases',
+  authenticate,
+  authorize('incubation_head', 'technician'),
+  [
+    body('version').trim().notEmpty().withMessage('version required').isLength({ max: 50 }),
+    body('checksum_sha256')
+      .trim()
+      .toLowerCase()
+      .matches(/^[a-f0-9]{64}$/)
+      .withMessage('checksum_sha256 must be a hex SHA-256 digest'),
+    body('release_notes').optional().isString(),
+  ],
+  asyncHandler(async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'VALIDATION_ERROR',
+          details: errors.array(),
+        },
+      });
+    }
+
+    const { version, checksum_sha256, release_notes } = req.body;
+
+    const { data, error } = await supabase
+      .from('firmware_releases')
+      .insert({
+        version,
+        checksum_sha256,
+        release_notes: release_notes || null,
+        created_by: req.user.id,
+      })
+      .select()
+      .single();
+
+    if (error?.code === '23505') {
+      return res.status(409).json({
+        success: false,
+        error: { code: 'RELEASE_EXISTS', message: `Release ${version} already exists` },
+      });
+    }
+
+    if (error) {
+      throw new Error(error.message);
+    }
+
+    logger.info(`Firmware release registered: ${version} by ${req.user.username}`);
+
+    res.status(201).json({
+      success: true,
+      data,
+    });
+  })
+);
+
+/**
+ * PUT /api/v1/firmware/releases/:id/binary
+ * Upload the release binary (application/octet-stream); it must match the registered checksum
+ * Roles: incubation_head, technician
+ */
+router.put(
+  '/releases/:id/binary',
+  authenticate,
+  authorize('incubation_head', 'technician'),
+  express.raw({ type: 'application/octet-stream', limit: MAX_FIRMWARE_SIZE }),
+  asyncHandler(async (req, res) => {
+    const { data: release, error } = await supabase
+      .from('firmware_releases')
+      .select('*')
+      .eq('id', req.params.id)
+      .maybeSingle();
+
+    if (error) {
+      throw new Error(error.message);
+    }
+
+    if (!release) {
+      return res.status(404).json({
+        success: false,
+        error: { code: 'NOT_FOUND', message: 'Release not found' },
+      });
+    }
+
+    if (!Buffer.isBuffer(req.body) || req.body.length === 0) {
+      return res.status(400).json({
+        success: false,
+        error: { code: 'EMPTY_BINARY', message: 'Send the firmware image as application/octet-stream' },
+      });
+    }
+
+    const sha256 = crypto.createHash('sha256').update(req.body).digest('hex');
+    if (sha256 !== release.checksum_sha256) {
+      return res.status(400).json({
+        success: false,
+        error: { code: 'CHECKSUM_MISMATCH', message: `Uploaded binary has SHA-256 ${sha256}` },
+      });
+    }
+
+    const storagePath = `${release.version}/${release.id}.bin`;
+
+    const { error: uploadError } = await supabase.storage
+      .from(FIRMWARE_BUCKET)
+      .upload(storagePath, req.body, {
+        contentType: 'application/octet-stream',
+        upsert: true,
+      });
+
+    if (uploadError) {
+      throw new Error(uploadError.message);
+    }
+
+    const { data, error: updateError } = await supabase
+      .from('firmware_releases')
+      .update({
+        storage_path: storagePath,
+        size_bytes: req.body.length,
+        // The ESP32 updater verifies the image against an x-MD5 header
+        checksum_md5: crypto.createHash('md5').update(req.body).digest('hex'),
+        uploaded_at: new Date().toISOString(),
+      })
+      .eq('id', release.id)
+      .select()
+      .single();
+
+    if (updateError) {
+      throw new Error(updateError.message);
+    }
+
+    logger.info(`Firmware binary uploaded: ${release.version} (${req.body.length} bytes) by ${req.user.username}`);
+
+    res.json({
+      success: true,
+      data,
+    });
+  })
+);
+
+/**
+ * DELETE /api/v1/firmware/releases/:id
+ * Delete a release that no active or paused rollout uses
+ * Roles: incubation_head
+ */
+router.delete(
+  '/releases/:id',
+  authenticate,
+  authorize('incubation_head'),
+  asyncHandler(async (req, res) => {
+    const { data: release, error } = await supabase
+      .from('firmware_releases')
+      .select('id, version, storage_path, firmware_rollouts (id, status)')
+      .eq('id', req.params.id)
+      .maybeSingle();
+
+    if (error) {
+      throw new Error(error.message);
+    }
+
+    if (!release) {
+      return res.status(404).json({
+        success: false,
+        error: { code: 'NOT_FOUND', message: 'Release not found' },
+      });
+    }
+
+    if ((release.firmware_rollouts || []).some(rollout => rollout.status !== 'halted')) {
+      return res.status(409).json({
+        success: false,
+        error: { code: 'RELEASE_IN_USE', message: 'Halt the rollouts of this release before deleting it' },
+      });
+    }
+
+    if (release.storage_path) {
+      await supabase.storage.from(FIRMWARE_BUCKET).remove([release.storage_path]);
+    }
+
+    const { error: deleteError } = await supabase
+      .from('firmware_releases')
+      .delete()
+      .eq('id', release.id);
+
+    if (deleteError) {
+      throw new Error(deleteError.message);
+    }
+
+    logger.info(`Firmware release deleted: ${release.version} by ${req.user.username}`);
+
+    res.json({
+      success: true,
+      message: 'Release deleted successfully',
+    });
+  })
+);
+
+/**
+ * GET /api/v1/firmware/releases/:id/download
+ * Firmware image for a reader that was offered this release
+ */
+router.get(
+  '/releases/:id/download',
+  authenticateDevice,
+  asyncHandler(async (req, res) => {
+    const device = req.device;
+
+    const { data: release, error } = await supabase
+      .from('firmware_releases')
+      .select('id, version, storage_path, checksum_md5, size_bytes')
+      .eq('id', req.params.id)
+      .maybeSingle();
+
+    if (error) {
+      throw new Error(error.message);
+    }
+
+    if (!release?.storage_path) {
+      return res.status(404).json({
+        success: false,
+        error: { code: 'NOT_FOUND', message: 'Release not found' },
+      });
+    }
+
+    // Only readers with an open offer may download, so halted rollouts stop here too
+    const { data: offer } = await supabase
+      .from('firmware_rollout_devices')
+      .select('id, firmware_rollouts!inner (release_id, status)')
+      .eq('device_id', device.id)
+      .eq('firmware_rollouts.release_id', release.id)
+      .eq('firmware_rollouts.status', 'active')
+      .in('status', ['offered', 'downloading'])
+      .limit(1)
+      .maybeSingle();
+
+    if (!offer) {
+      return res.status(403).json({
+        success: false,
+        error: { code: 'NOT_OFFERED', message: 'This release is not offered to the device' },
+      });
+    }
+
+    const { data: file, error: downloadError } = await supabase.storage
+      .from(FIRMWARE_BUCKET)
+      .download(release.storage_path);
+
+    if (downloadError) {
+      throw new Error(downloadError.message);
+    }
+
+    await supabase
+      .from('firmware_rollout_devices')
+      .update({ status: 'downloading', downloaded_at: new Date().toISOString() })
+      .eq('id', offer.id);
+
+    logger.info(`Firmware ${release.version} downloaded by ${device.device_uuid}`);
+
+    const binary = Buffer.from(await file.arrayBuffer());
+
+    res.set({
+      'Content-Type': 'application/octet-stream',
+      'Content-Length': binary.length,
+      'Content-Disposition': `attachment; filename="firmware-${release.version}.bin"`,
+      'x-MD5': release.checksum_md5,
+    });
+    res.send(binary);
+  })
+);
+
+/**
+ * GET /api/v1/firmware/rollouts
+ * List rollouts with per-status device counts
+ * Roles: incubation_head (all), technician (own company)
+ */
+router.get(
+  '/rollouts',
+  authenticate,
+  authorize('incubation_head', 'technician'),
+  asyncHandler(async (req, res) => {
+    const { role, company_id: user_company_id } = req.user;
+
+    let query = supabase
+      .from('firmware_rollouts')
+      .select(`
+        *,
+        firmware_releases (id, version),
+        companies (id, name),
+        firmware_rollout_devices (status)
+      `)
+      .order('created_at', { ascending: false });
+
+    if (role !== 'incubation_head' && user_company_id) {
+      query = query.eq('company_id', user_company_id);
+    }
+
+    const { data, error } = await query;
+
+    if (error) {
+      throw new Error(error.message);
+    }
+
+    const rollouts = (data || []).map(({ firmware_rollout_devices: devices, ...rollout }) => {
+      const counts = { offered: 0, downloading: 0, installed: 0, failed: 0, unhealthy: 0 };
+      (devices || []).forEach(device => {
+        counts[device.status] += 1;
+      });
+      return { ...rollout, counts };
+    });
+
+    res.json({
+      success: true,
+      data: rollouts,
+    });
+  })
+);
+
+/**
+ * GET /api/v1/firmware/rollouts/:id
+ * Rollout details with the state of every offered device
+ * Roles: incubation_head (all), technician (own company)
+ */
+router.get(
+  '/rollouts/:id',
+  authenticate,
+  authorize('incubation_head', 'technician'),
+  asyncHandler(async (req, res) => {
+    const { role, company_id: user_company_id } = req.user;
+
+    const { data, error } = await supabase
+      .from('firmware_rollouts')
+      .select(`
+        *,
+        firmware_releases (id, version, release_notes),
+        companies (id, name),
+        firmware_rollout_devices (
+          *,
+          devices (id, device_uuid, device_name, firmware_version, last_seen)
+        )
+      `)
+      .eq('id', req.params.id)
+      .maybeSingle();
+
+    if (error) {
+      throw new Error(error.message);
+    }
+
+    if (!data) {
+      return res.status(404).json({
+        success: false,
+        error: { code: 'NOT_FOUND', message: 'Rollout not found' },
+      });
+    }
+
+    if (role !== 'incubation_head' && user_company_id && String(user_company_id) !== String(data.company_id)) {
+      return res.status(403).json({
+        success: false,
+        error: { code: 'FORBIDDEN', message: 'Access denied to this company' },
+      });
+    }
+
+    res.json({
+      success: true,
+      data,
+    });
+  })
+);
+
+/**
+ * POST /api/v1/firmware/rollouts
+ * Start a staged rollout of an uploaded release
+ * target: all | company (company_id) | devices (device_ids); percentage limits it to a canary share
+ * Roles: incubation_head (any target), technician (own company)
+ */
+router.post(
+  '/rollouts',
+  authenticate,
+  authorize('incubation_head', 'technician'),
+  [
+    body('release_id').notEmpty().withMessage('release_id required'),
+    body('target').isIn(['all', 'company', 'devices']).withMessage('target must be all, company or devices'),
+    body('company_id')
+      .if(body('target').equals('company'))
+      .notEmpty()
+      .withMessage('company_id required for company rollouts'),
+    body('device_ids')
+      .if(body('target').equals('devices'))
+      .isArray({ min: 1 })
+      .withMessage('device_ids required for device rollouts'),
+    body('percentage').optional().isInt({ min: 1, max: 100 }),
+    body('health_window_minutes').optional().isInt({ min: 5, max: 1440 }),
+    body('max_unhealthy').optional().isInt({ min: 1 }),
+  ],
+  asyncHandler(async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'VALIDATION_ERROR',
+          details: errors.array(),
+        },
+      });
+    }
+
+    const { role, company_id: user_company_id, id: userId } = req.user;
+    const {
+      release_id,
+      target,
+      device_ids,
+      percentage = 100,
+      health_window_minutes = 30,
+      max_unhealthy = 1,
+    } = req.body;
+    let { company_id } = req.body;
+
+    const { data: release, error: releaseError } = await supabase
+      .from('firmware_releases')
+      .select('id, version, uploaded_at')
+      .eq('id', release_id)
+      .maybeSingle();
+
+    if (releaseError) {
+      throw new Error(releaseError.message);
+    }
+
+    if (!release) {
+      return res.status(404).json({
+        success: false,
+        error: { code: 'NOT_FOUND', message: 'Release not found' },
+      });
+    }
+
+    if (!release.uploaded_at) {
+      return res.status(409).json({
+        success: false,
+        error: { code: 'BINARY_MISSING', message: 'Upload the release binary before rolling it out' },
+      });
+    }
+
+    // Company-bound technicians can only roll out to their own company's readers
+    if (role !== 'incubation_head' && user_company_id) {
+      if (target === 'all') {
+        return res.status(403).json({
+          success: false,
+          error: { code: 'FORBIDDEN', message: 'Only the incubation head can roll out to all devices' },
+        });
+      }
+
+      if (target === 'devices') {
+        const { data: devices, error: devicesError } = await supabase
+          .from('devices')
+          .select('id, company_id')
+          .in('id', device_ids);
+
+        if (devicesError) {
+          throw new Error(devicesError.message);
+        }
+
+        if (devices.length !== device_ids.length || devices.some(d => String(d.company_id) !== String(user_company_id))) {
+          return res.status(403).json({
+            success: false,
+            error: { code: 'FORBIDDEN', message: 'Access denied to one or more devices' },
+          });
+        }
+
+        company_id = user_company_id;
+      }
+
+      if (String(company_id) !== String(user_company_id)) {
+        return res.status(403).json({
+          success: false,
+          error: { code: 'FORBIDDEN', message: 'Access denied to this company' },
+        });
+      }
+    }
+
+    const { data, error } = await supabase
+      .from('firmware_rollouts')
+      .insert({
+        release_id,
+        target,
+        company_id: target === 'all' ? null : company_id || null,
+        device_ids: target === 'devices' ? device_ids : null,
+        percentage,
+        health_window_minutes,
+        max_unhealthy,
+        created_by: userId,
+      })
+      .select()
+      .single();
+
+    if (error) {
+      throw new Error(error.message);
+    }
+
+    logger.info(`Firmware rollout started: ${release.version} to ${target} (${percentage}%) by ${req.user.username}`);
+
+    res.status(201).json({
+      success: true,
+      data,
+    });
+  })
+);
+
+/**
+ * PUT /api/v1/firmware/rollouts/:id
+ * Widen the canary percentage, or pause, resume or halt a rollout
+ * Roles: incubation_head (all), technician (own company)
+ */
+router.put(
+  '/rollouts/:id',
+  authenticate,
+  authorize('incubation_head', 'technician'),
+  [
+    body('percentage').optional().isInt({ min: 1, max: 100 }),
+    body('status').optional().isIn(['active', 'paused', 'halted']),
+  ],
+  asyncHandler(async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'VALIDATION_ERROR',
+          details: errors.array(),
+        },
+      });
+    }
+
+    const { role, company_id: user_company_id } = req.user;
+    const { percentage, status } = req.body;
+
+    const { data: rollout, error } = await supabase
+      .from('firmware_rollouts')
+      .select('*')
+      .eq('id', req.params.id)
+      .maybeSingle();
+
+    if (error) {
+      throw new Error(error.message);
+    }
+
+    if (!rollout) {
+      return res.status(404).json({
+        success: false,
+        error: { code: 'NOT_FOUND', message: 'Rollout not found' },
+      });
+    }
+
+    if (role !== 'incubation_head' && user_company_id && String(user_company_id) !== String(rollout.company_id)) {
+      return res.status(403).json({
+        success: false,
+        error: { code: 'FORBIDDEN', message: 'Access denied to this company' },
+      });
+    }
+
+    if (status === 'halted' && rollout.status !== 'halted') {
+      await haltRollout(rollout.id, `Halted by ${req.user.username}`);
+    }
+
+    const updateData = { percentage };
+    if (status && status !== 'halted') {
+      updateData.status = status;
+      // Resuming clears the reason of an earlier halt
+      if (status === 'active') updateData.halt_reason = null;
+    }
+
+    const { data, error: updateError } = await supabase
+      .from('firmware_rollouts')
+      .update(updateData)
+      .eq('id', rollout.id)
+      .select()
+      .single();
+
+    if (updateError) {
+      throw new Error(updateError.message);
+    }
+
+    logger.info(`Firmware rollout ${rollout.id} updated (${data.status}, ${data.percentage}%) by ${req.user.username}`);
+
+    res.json({
+      success: true,
+      data,
+    });
+  })
+);
+
+export default router;
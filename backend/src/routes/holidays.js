@@ -0,0 +1,183 @@
+import express from 'express';
+import { body, query, validationResult } from 'express-validator';
+import { supabase } from '../config/database.js';
+import { authenticate, authorize } from '../middleware/auth.js';
+import { asyncHandler } from '../middleware/errorHandler.js';
+import logger from '../utils/logger.js';
+
+const router = express.Router();
+
+router.use(authenticate);
+
+/**
+ * GET /api/v1/holidays
+ * Holidays of a year, incubator-wide ones included
+ * Query: year (defaults to the current one), company_id (incubation head; omit for every company's)
+ * Roles: incubation_head (all), company_admin and employee (own company and incubator-wide)
+ */
+router.get(
+  '/',
+  authorize('incubation_head', 'company_admin', 'employee'),
+  [
+    query('year').optional().isInt({ min: 2000, max: 2100 }),
+    query('company_id').optional({ values: 'falsy' }).isUUID(),
+  ],
+  asyncHandler(async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'VALIDATION_ERROR',
+          details: errors.array(),
+        },
+      });
+    }
+
+    const { role, company_id: user_company_id } = req.user;
+    const year = req.query.year || new Date().getFullYear();
+    const companyId = role === 'incubation_head' ? req.query.company_id : user_company_id;
+
+    let query = supabase
+      .from('holidays')
+      .select('*, companies (id, name)')
+      .gte('date', `${year}-01-01`)
+      .lte('date', `${year}-12-31`)
+      .order('date', { ascending: true });
+
+    if (companyId) {
+      query = query.or(`company_id.is.null,company_id.eq.${companyId}`);
+    }
+
+    const { data, error } = await query;
+
+    if (error) throw new Error(error.message);
+
+    res.json({
+      success: true,
+      data,
+    });
+  })
+);
+
+/**
+ * POST /api/v1/holidays
+ * Add a holiday. Incubation heads add incubator-wide holidays by leaving out company_id
+ * Body: date, name, company_id (incubation head)
+ * Roles: incubation_head, company_admin (own company)
+ */
+router.post(
+  '/',
+  authorize('incubation_head', 'company_admin'),
+  [
+    body('date').isISO8601({ strict: true }).withMessage('date required'),
+    body('name').trim().notEmpty().isLength({ max: 100 }).withMessage('name required (max 100 characters)'),
+    body('company_id').optional({ values: 'falsy' }).isUUID(),
+  ],
+  asyncHandler(async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'VALIDATION_ERROR',
+          details: errors.array(),
+        },
+      });
+    }
+
+    const { role, company_id: user_company_id } = req.user;
+    const companyId = role === 'incubation_head' ? req.body.company_id || null : user_company_id;
+    const date = req.body.date.slice(0, 10);
+
+    let existingQuery = supabase
+      .from('holidays')
+      .select('id, name, company_id')
+      .eq('date', date);
+
+    existingQuery = companyId
+      ? existingQuery.or(`company_id.is.null,company_id.eq.${companyId}`)
+      : existingQuery.is('company_id', null);
+
+    const { data: existing } = await existingQuery.limit(1).maybeSingle();
+
+    if (existing) {
+      return res.status(409).json({
+        success: false,
+        error: {
+          code: 'HOLIDAY_EXISTS',
+          message: `${date} is already a holiday (${existing.name}${existing.company_id ? '' : ', incubator-wide'})`,
+        },
+      });
+    }
+
+    const { data, error } = await supabase
+      .from('holidays')
+      .insert({
+        company_id: companyId,
+        date,
+        name: req.body.name,
+        created_by: req.user.id,
+      })
+      .select('*, companies (id, name)')
+      .single();
+
+    if (error) throw new Error(error.message);
+
+    logger.info(`Holiday ${data.name} on ${date} added for ${companyId || 'the incubator'} by ${req.user.username}`);
+
+    res.status(201).json({
+      success: true,
+      data,
+    });
+  })
+);
+
+/**
+ * DELETE /api/v1/holidays/:id
+ * Remove a holiday. Only incubation heads remove incubator-wide ones
+ * Roles: incubation_head, company_admin (own company)
+ */
+router.delete(
+  '/:id',
+  authorize('incubation_head', 'company_admin'),
+  asyncHandler(async (req, res) => {
+    const { role, company_id: user_company_id } = req.user;
+
+    const { data: holiday } = await supabase
+      .from('holidays')
+      .select('id, company_id, name, date')
+      .eq('id', req.params.id)
+      .maybeSingle();
+
+    if (!holiday) {
+      return res.status(404).json({
+        success: false,
+        error: { code: 'NOT_FOUND', message: 'Holiday not found' },
+      });
+    }
+
+    if (role !== 'incubation_head' && String(user_company_id) !== String(holiday.company_id)) {
+      return res.status(403).json({
+        success: false,
+        error: { code: 'FORBIDDEN', message: 'Access denied to this holiday' },
+      });
+    }
+
+    const { error } = await supabase
+      .from('holidays')
+      .delete()
+      .eq('id', holiday.id);
+
+    if (error) throw new Error(error.message);
+
+    logger.info(`Holiday ${holiday.name} on ${holiday.date} removed by ${req.user.username}`);
+
+    res.json({
+      success: true,
+      message: 'Holiday removed',
+    });
+  })
+);
+
+export default router;
@@ -0,0 +1,829 @@
+import express from 'express';
+import { body, query, validationResult } from 'express-validator';
+import { supabase } from '../config/database.js';
+import { authenticate, authorize } from '../middleware/auth.js';
+import { asyncHandler } from '../middleware/errorHandler.js';
+import { LEAVE_STATUSES, countLeaveDays, getLeaveBalances } from '../utils/leave.js';
+import { createNotification } from '../utils/notifications.js';
+import logger from '../utils/logger.js';
+
+const router = express.Router();
+
+router.use(authenticate);
+router.use(authorize('incubation_head', 'company_admin', 'employee'));
+
+const LEAVE_REQUEST_SELECT = `
+  *,
+  employees (id, name, employee_id),
+  companies (id, name),
+  leave_types (id, name, code, is_paid),
+  requester:requested_by (id, username, full_name),
+  reviewer:reviewed_by (id, username, full_name)
+`;
+
+/**
+ * Load an employee the caller may manage leave for, or send 404/403
+ * Employee accounts always get their own record
+ */
+async function findAccessibleEmployee(req, res, employeeId) {
+  const { role, company_id: user_company_id } = req.user;
+
+  const { data: employee, error } = await supabase
+    .from('employees')
+    .select('id, name, employee_id, company_id')
+    .eq('id', role === 'employee' ? req.user.employee_id : employeeId)
+    .maybeSingle();
+
+  if (error) {
+    throw new Error(error.message);
+  }
+
+  if (!employee) {
+    res.status(404).json({
+      success: false,
+      error: { code: 'NOT_FOUND', message: 'Employee not found' },
+    });
+    return null;
+  }
+
+  if (role === 'company_admin' && String(user_company_id) !== String(employee.company_id)) {
+    res.status(403).json({
+      success: false,
+      error: { code: 'FORBIDDEN', message: 'Access denied to this company' },
+    });
+    return null;
+  }
+
+  return employee;
+}
+
+/**
+ * Load a leave type the caller may manage, or send 404/403
+ */
+async function findManagedLeaveType(req, res, leaveTypeId = req.params.id) {
+  const { role, company_id: user_company_id } = req.user;
+
+  const { data: leaveType, error } = await supabase
+    .from('leave_types')
+    .select('*')
+    .eq('id', leaveTypeId)
+    .maybeSingle();
+
+  if (error) {
+    throw new Error(error.message);
+  }
+
+  if (!leaveType) {
+    res.status(404).json({
+      success: false,
+      error: { code: 'NOT_FOUND', message: 'Leave type not found' },
+    });
+    return null;
+  }
+
+  if (role !== 'incubation_head' && String(user_company_id) !== String(leaveType.company_id)) {
+    res.status(403).json({
+      success: false,
+      error: { code: 'FORBIDDEN', message: 'Access denied to this company' },
+    });
+    return null;
+  }
+
+  return leaveType;
+}
+
+/**
+ * Load a leave request the caller may see, or send 404/403
+ */
+async function findAccessibleRequest(req, res) {
+  const { role, company_id: user_company_id, employee_id: user_employee_id } = req.user;
+
+  const { data: request, error } = await supabase
+    .from('leave_requests')
+    .select(LEAVE_REQUEST_SELECT)
+    .eq('id', req.params.id)
+    .maybeSingle();
+
+  if (error) {
+    throw new Error(error.message);
+  }
+
+  if (!request) {
+    res.status(404).json({
+      success: false,
+      error: { code: 'NOT_FOUND', message: 'Leave request not found' },
+    });
+    return null;
+  }
+
+  const allowed = role === 'incubation_head'
+    || (role === 'company_admin' && String(user_company_id) === String(request.company_id))
+    || (role === 'employee' && user_employee_id === request.employee_id);
+
+  if (!allowed) {
+    res.status(403).json({
+      success: false,
+      error: { code: 'FORBIDDEN', message: 'Access denied to this leave request' },
+    });
+    return null;
+  }
+
+  return request;
+}
+
+/**
+ * Days of a leave type an employee still has for a year, pending requests optionally
+ * counted as taken; null when the type is unlimited
+ */
+async function getAvailableDays(employee, leaveTypeId, year, { includePending }) {
+  const balances = await getLeaveBalances(employee, year);
+  const balance = balances.find(row => row.leave_type_id === leaveTypeId);
+
+  if (!balance || balance.available === null) {
+    return null;
+  }
+
+  return balance.available - (includePending ? balance.pending : 0);
+}
+
+// ---------------------------------------------------------------------------
+// Leave types
+// ---------------------------------------------------------------------------
+
+/**
+ * GET /api/v1/leave/types
+ * Leave types of a company
+ * Query: company_id (incubation head), include_inactive
+ * Roles: incubation_head (all), company_admin and employee (own company; employees see active ones)
+ */
+router.get(
+  '/types',
+  asyncHandler(async (req, res) => {
+    const { role, company_id: user_company_id } = req.user;
+    const { company_id, include_inactive } = req.query;
+
+    let query = supabase
+      .from('leave_types')
+      .select('*, companies (id, name)')
+      .order('name', { ascending: true });
+
+    if (role !== 'incubation_head') {
+      query = query.eq('company_id', user_company_id);
+    } else if (company_id) {
+      query = query.eq('company_id', company_id);
+    }
+
+    if (include_inactive !== 'true' || role === 'employee') {
+      query = query.eq('is_active', true);
+    }
+
+    const { data, error } = await query;
+
+    if (error) throw new Error(error.message);
+
+    res.json({
+      success: true,
+      data,
+    });
+  })
+);
+
+/**
+ * Validators shared by leave type create and update; `required` marks the fields a new type needs
+ */
+const leaveTypeValidators = (required) => [
+  (required ? body('name') : body('name').optional())
+    .trim().notEmpty().isLength({ max: 100 }).withMessage('name required (max 100 characters)'),
+  body('code').optional({ values: 'null' }).trim().isLength({ max: 10 }),
+  body('is_paid').optional().isBoolean(),
+  body('annual_allowance').optional({ values: 'null' }).isFloat({ min: 0, max: 366 })
+    .withMessage('annual_allowance must be 0-366 days, or null for unlimited'),
+  body('is_active').optional().isBoolean(),
+];
+
+/**
+ * POST /api/v1/leave/types
+ * Create a leave type
+ * Body: name, code, is_paid, annual_allowance (days per year, null = unlimited), company_id (incubation head)
+ * Roles: incubation_head, company_admin (own company)
+ */
+router.post(
+  '/types',
+  authorize('incubation_head', 'company_admin'),
+  [
+    body('company_id').if((value, { req }) => req.user.role === 'incubation_head').isUUID().withMessage('company_id required'),
+    ...leaveTypeValidators(true),
+  ],
+  asyncHandler(async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'VALIDATION_ERROR',
+          details: errors.array(),
+        },
+      });
+    }
+
+    const { role, company_id: user_company_id } = req.user;
+    const { name, code, is_paid, annual_allowance } = req.body;
+    const companyId = role === 'incubation_head' ? req.body.company_id : user_company_id;
+
+    const { data: existing } = await supabase
+      .from('leave_types')
+      .select('id')
+      .eq('company_id', companyId)
+      .eq('name', name)
+      .maybeSingle();
+
+    if (existing) {
+      return res.status(409).json({
+        success: false,
+        error: { code: 'LEAVE_TYPE_EXISTS', message: 'A leave type with this name already exists' },
+      });
+    }
+
+    const { data, error } = await supabase
+      .from('leave_types')
+      .insert({
+        company_id: companyId,
+        name,
+        code: code || null,
+        is_paid: is_paid ?? true,
+        annual_allowance: annual_allowance ?? null,
+      })
+      .select('*, companies (id, name)')
+      .single();
+
+    if (error) throw new Error(error.message);
+
+    logger.info(`Leave type ${name} created for company ${companyId} by ${req.user.username}`);
+
+    res.status(201).json({
+      success: true,
+      data,
+    });
+  })
+);
+
+/**
+ * PUT /api/v1/leave/types/:id
+ * Update a leave type; deactivate it instead of deleting once it has been used
+ * Roles: incubation_head (all), company_admin (own company)
+ */
+router.put(
+  '/types/:id',
+  authorize('incubation_head', 'company_admin'),
+  leaveTypeValidators(false),
+  asyncHandler(async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'VALIDATION_ERROR',
+          details: errors.array(),
+        },
+      });
+    }
+
+    const leaveType = await findManagedLeaveType(req, res);
+    if (!leaveType) return;
+
+    const updates = {};
+    ['name', 'code', 'is_paid', 'annual_allowance', 'is_active'].forEach(field => {
+      if (req.body[field] !== undefined) updates[field] = req.body[field];
+    });
+
+    if (updates.name && updates.name !== leaveType.name) {
+      const { data: existing } = await supabase
+        .from('leave_types')
+        .select('id')
+        .eq('company_id', leaveType.company_id)
+        .eq('name', updates.name)
+        .maybeSingle();
+
+      if (existing) {
+        return res.status(409).json({
+          success: false,
+          error: { code: 'LEAVE_TYPE_EXISTS', message: 'A leave type with this name already exists' },
+        });
+      }
+    }
+
+    const { data, error } = await supabase
+      .from('leave_types')
+      .update(updates)
+      .eq('id', leaveType.id)
+      .select('*, companies (id, name)')
+      .single();
+
+    if (error) throw new Error(error.message);
+
+    res.json({
+      success: true,
+      data,
+    });
+  })
+);
+
+// ---------------------------------------------------------------------------
+// Balances
+// ---------------------------------------------------------------------------
+
+/**
+ * GET /api/v1/leave/balances
+ * An employee's balance per active leave type for a year: allocated (null = unlimited),
+ * used (approved), pending and available days
+ * Query: employee_id (ignored for employee accounts), year (defaults to the current one)
+ * Roles: incubation_head, company_admin (own company), employee (own balances)
+ */
+router.get(
+  '/balances',
+  [
+    query('employee_id').if((value, { req }) => req.user.role !== 'employee').isUUID().withMessage('employee_id required'),
+    query('year').optional().isInt({ min: 2000, max: 2100 }),
+  ],
+  asyncHandler(async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'VALIDATION_ERROR',
+          details: errors.array(),
+        },
+      });
+    }
+
+    const employee = await findAccessibleEmployee(req, res, req.query.employee_id);
+    if (!employee) return;
+
+    const year = Number(req.query.year) || new Date().getFullYear();
+
+    res.json({
+      success: true,
+      data: {
+        employee,
+        year,
+        balances: await getLeaveBalances(employee, year),
+      },
+    });
+  })
+);
+
+/**
+ * PUT /api/v1/leave/balances
+ * Set an employee's allocation of a leave type for a year, overriding the type's allowance
+ * Body: employee_id, leave_type_id, year, allocated, note
+ * Roles: incubation_head, company_admin (own company)
+ */
+router.put(
+  '/balances',
+  authorize('incubation_head', 'company_admin'),
+  [
+    body('employee_id').isUUID().withMessage('employee_id required'),
+    body('leave_type_id').isUUID().withMessage('leave_type_id required'),
+    body('year').isInt({ min: 2000, max: 2100 }).withMessage('year required'),
+    body('allocated').isFloat({ min: 0, max: 366 }).withMessage('allocated must be 0-366 days'),
+    body('note').optional({ values: 'null' }).trim().isLength({ max: 500 }),
+  ],
+  asyncHandler(async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'VALIDATION_ERROR',
+          details: errors.array(),
+        },
+      });
+    }
+
+    const employee = await findAccessibleEmployee(req, res, req.body.employee_id);
+    if (!employee) return;
+
+    const leaveType = await findManagedLeaveType(req, res, req.body.leave_type_id);
+    if (!leaveType) return;
+
+    if (leaveType.company_id !== employee.company_id) {
+      return res.status(400).json({
+        success: false,
+        error: { code: 'VALIDATION_ERROR', message: 'Leave type belongs to another company' },
+      });
+    }
+
+    const year = Number(req.body.year);
+
+    const { error } = await supabase
+      .from('leave_balances')
+      .upsert({
+        employee_id: employee.id,
+        leave_type_id: leaveType.id,
+        year,
+        allocated: req.body.allocated,
+        note: req.body.note || null,
+        updated_by: req.user.id,
+      }, { onConflict: 'employee_id,leave_type_id,year' });
+
+    if (error) throw new Error(error.message);
+
+    logger.info(`Leave allocation of ${leaveType.name} ${year} set to ${req.body.allocated} for employee ${employee.id} by ${req.user.username}`);
+
+    res.json({
+      success: true,
+      data: {
+        employee,
+        year,
+        balances: await getLeaveBalances(employee, year),
+      },
+    });
+  })
+);
+
+// ---------------------------------------------------------------------------
+// Requests
+// ---------------------------------------------------------------------------
+
+/**
+ * GET /api/v1/leave/requests
+ * Leave requests, latest start first
+ * Query: status, company_id (incubation head), employee_id, from, to (overlapping dates)
+ * Roles: incubation_head (all), company_admin (own company), employee (own requests)
+ */
+router.get(
+  '/requests',
+  [
+    query('status').optional({ values: 'falsy' }).isIn(LEAVE_STATUSES),
+    query('company_id').optional({ values: 'falsy' }).isUUID(),
+    query('employee_id').optional({ values: 'falsy' }).isUUID(),
+    query('from').optional({ values: 'falsy' }).isISO8601({ strict: true }),
+    query('to').optional({ values: 'falsy' }).isISO8601({ strict: true }),
+  ],
+  asyncHandler(async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'VALIDATION_ERROR',
+          details: errors.array(),
+        },
+      });
+    }
+
+    const { role, company_id: user_company_id, employee_id: user_employee_id } = req.user;
+    const { status, company_id, employee_id, from, to } = req.query;
+
+    let query = supabase
+      .from('leave_requests')
+      .select(LEAVE_REQUEST_SELECT)
+      .order('start_date', { ascending: false })
+      .limit(500);
+
+    if (role === 'employee') {
+      query = query.eq('employee_id', user_employee_id);
+    } else if (role === 'company_admin') {
+      query = query.eq('company_id', user_company_id);
+    } else if (company_id) {
+      query = query.eq('company_id', company_id);
+    }
+
+    if (status) query = query.eq('status', status);
+    if (employee_id && role !== 'employee') query = query.eq('employee_id', employee_id);
+    if (from) query = query.gte('end_date', from.slice(0, 10));
+    if (to) query = query.lte('start_date', to.slice(0, 10));
+
+    const { data, error } = await query;
+
+    if (error) throw new Error(error.message);
+
+    res.json({
+      success: true,
+      data,
+    });
+  })
+);
+
+/**
+ * POST /api/v1/leave/requests
+ * Request leave for whole days. The working days in the range (holidays and days off left out)
+ * are counted against the year's balance, pending requests included; the range stays
+ * within one year and may not overlap another pending or approved request.
+ * Employee requests notify their company admins
+ * Body: employee_id (ignored for employee accounts), leave_type_id, start_date, end_date, reason
+ * Roles: incubation_head, company_admin (own company), employee (own leave)
+ */
+router.post(
+  '/requests',
+  [
+    body('employee_id').if((value, { req }) => req.user.role !== 'employee').isUUID().withMessage('employee_id required'),
+    body('leave_type_id').isUUID().withMessage('leave_type_id required'),
+    body('start_date').isISO8601({ strict: true }).withMessage('start_date required'),
+    body('end_date').isISO8601({ strict: true }).withMessage('end_date required'),
+    body('reason').optional({ values: 'null' }).trim().isLength({ max: 500 }),
+  ],
+  asyncHandler(async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'VALIDATION_ERROR',
+          details: errors.array(),
+        },
+      });
+    }
+
+    const startDate = req.body.start_date.slice(0, 10);
+    const endDate = req.body.end_date.slice(0, 10);
+
+    if (endDate < startDate || startDate.slice(0, 4) !== endDate.slice(0, 4)) {
+      return res.status(400).json({
+        success: false,
+        error: { code: 'VALIDATION_ERROR', message: 'end_date must not be before start_date, and both must be in the same year' },
+      });
+    }
+
+    const employee = await findAccessibleEmployee(req, res, req.body.employee_id);
+    if (!employee) return;
+
+    const { data: leaveType } = await supabase
+      .from('leave_types')
+      .select('id, name, company_id, is_active')
+      .eq('id', req.body.leave_type_id)
+      .maybeSingle();
+
+    if (!leaveType || leaveType.company_id !== employee.company_id || !leaveType.is_active) {
+      return res.status(404).json({
+        success: false,
+        error: { code: 'NOT_FOUND', message: 'Leave type not found for this company' },
+      });
+    }
+
+    const { data: overlapping } = await supabase
+      .from('leave_requests')
+      .select('id, start_date, end_date, status')
+      .eq('employee_id', employee.id)
+      .in('status', ['pending', 'approved'])
+      .lte('start_date', endDate)
+      .gte('end_date', startDate)
+      .limit(1)
+      .maybeSingle();
+
+    if (overlapping) {
+      return res.status(409).json({
+        success: false,
+        error: {
+          code: 'LEAVE_OVERLAP',
+          message: `Overlaps ${overlapping.status} leave from ${overlapping.start_date} to ${overlapping.end_date}`,
+        },
+      });
+    }
+
+    const days = await countLeaveDays(employee, startDate, endDate);
+
+    if (days === 0) {
+      return res.status(400).json({
+        success: false,
+        error: { code: 'NO_WORKING_DAYS', message: 'The range only covers holidays and days off' },
+      });
+    }
+
+    const available = await getAvailableDays(employee, leaveType.id, Number(startDate.slice(0, 4)), { includePending: true });
+
+    if (available !== null && days > available) {
+      return res.status(409).json({
+        success: false,
+        error: {
+          code: 'INSUFFICIENT_BALANCE',
+          message: `${days} day(s) requested but only ${Math.max(available, 0)} ${leaveType.name} day(s) left, pending requests included`,
+        },
+      });
+    }
+
+    const { data, error } = await supabase
+      .from('leave_requests')
+      .insert({
+        company_id: employee.company_id,
+        employee_id: employee.id,
+        leave_type_id: leaveType.id,
+        start_date: startDate,
+        end_date: endDate,
+        days,
+        reason: req.body.reason || null,
+        requested_by: req.user.id,
+        requested_via: req.user.role === 'employee' ? 'self_service' : 'admin',
+      })
+      .select(LEAVE_REQUEST_SELECT)
+      .single();
+
+    if (error) throw new Error(error.message);
+
+    if (data.requested_via === 'self_service') {
+      await createNotification({
+        companyId: employee.company_id,
+        type: 'leave_request',
+        title: `${leaveType.name} requested by ${employee.name}`,
+        message: `${startDate} to ${endDate} (${days} day(s))${data.reason ? `: ${data.reason}` : ''}`,
+        data: { leave_request_id: data.id, employee_id: employee.id },
+      });
+    }
+
+    logger.info(`Leave request ${data.id} (${days} day(s)) for employee ${employee.id} by ${req.user.username}`);
+
+    res.status(201).json({
+      success: true,
+      data,
+    });
+  })
+);
+
+/**
+ * POST /api/v1/leave/requests/:id/approve
+ * Approve a pending request if the balance still covers it; the days then show as on leave.
+ * Admins cannot approve requests they filed themselves
+ * Body: note (optional)
+ * Roles: incubation_head (all), company_admin (own company)
+ */
+router.post(
+  '/requests/:id/approve',
+  authorize('incubation_head', 'company_admin'),
+  [
+    body('note').optional().trim().isLength({ max: 500 }),
+  ],
+  asyncHandler(async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'VALIDATION_ERROR',
+          details: errors.array(),
+        },
+      });
+    }
+
+    const request = await findAccessibleRequest(req, res);
+    if (!request) return;
+
+    if (request.status !== 'pending') {
+      return res.status(409).json({
+        success: false,
+        error: { code: 'ALREADY_REVIEWED', message: `Leave request is already ${request.status}` },
+      });
+    }
+
+    if (req.user.role !== 'incubation_head' && request.requested_by === req.user.id) {
+      return res.status(403).json({
+        success: false,
+        error: { code: 'SELF_APPROVAL', message: 'Another admin must approve your own request' },
+      });
+    }
+
+    const employee = { id: request.employee_id, company_id: request.company_id };
+    const available = await getAvailableDays(employee, request.leave_type_id, Number(request.start_date.slice(0, 4)), { includePending: false });
+
+    if (available !== null && request.days > available) {
+      return res.status(409).json({
+        success: false,
+        error: {
+          code: 'INSUFFICIENT_BALANCE',
+          message: `${request.days} day(s) requested but only ${Math.max(available, 0)} day(s) left`,
+        },
+      });
+    }
+
+    const { data, error } = await supabase
+      .from('leave_requests')
+      .update({
+        status: 'approved',
+        reviewed_by: req.user.id,
+        reviewed_at: new Date().toISOString(),
+        review_note: req.body.note || null,
+      })
+      .eq('id', request.id)
+      .eq('status', 'pending')
+      .select(LEAVE_REQUEST_SELECT)
+      .maybeSingle();
+
+    if (error) throw new Error(error.message);
+
+    if (!data) {
+      return res.status(409).json({
+        success: false,
+        error: { code: 'ALREADY_REVIEWED', message: 'Leave request was reviewed in the meantime' },
+      });
+    }
+
+    logger.info(`Leave request ${request.id} approved by ${req.user.username}`);
+
+    res.json({
+      success: true,
+      data,
+    });
+  })
+);
+
+/**
+ * POST /api/v1/leave/requests/:id/reject
+ * Reject a pending request
+ * Body: note (optional)
+ * Roles: incubation_head (all), company_admin (own company)
+ */
+router.post(
+  '/requests/:id/reject',
+  authorize('incubation_head', 'company_admin'),
+  [
+    body('note').optional().trim().isLength({ max: 500 }),
+  ],
+  asyncHandler(async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'VALIDATION_ERROR',
+          details: errors.array(),
+        },
+      });
+    }
+
+    const request = await findAccessibleRequest(req, res);
+    if (!request) return;
+
+    if (request.status !== 'pending') {
+      return res.status(409).json({
+        success: false,
+        error: { code: 'ALREADY_REVIEWED', message: `Leave request is already ${request.status}` },
+      });
+    }
+
+    const { data, error } = await supabase
+      .from('leave_requests')
+      .update({
+        status: 'rejected',
+        reviewed_by: req.user.id,
+        reviewed_at: new Date().toISOString(),
+        review_note: req.body.note || null,
+      })
+      .eq('id', request.id)
+      .select(LEAVE_REQUEST_SELECT)
+      .single();
+
+    if (error) throw new Error(error.message);
+
+    logger.info(`Leave request ${request.id} rejected by ${req.user.username}`);
+
+    res.json({
+      success: true,
+      data,
+    });
+  })
+);
+
+/**
+ * POST /api/v1/leave/requests/:id/cancel
+ * Withdraw a pending request (its requester), or revoke approved leave (admins),
+ * which returns the days to the balance
+ * Roles: requester (pending), incubation_head and company_admin (approved, own company)
+ */
+router.post(
+  '/requests/:id/cancel',
+  asyncHandler(async (req, res) => {
+    const request = await findAccessibleRequest(req, res);
+    if (!request) return;
+
+    const allowed = request.status === 'pending'
+      ? request.requested_by === req.user.id
+      : request.status === 'approved' && req.user.role !== 'employee';
+
+    if (!allowed) {
+      return res.status(request.status === 'pending' || request.status === 'approved' ? 403 : 409).json({
+        success: false,
+        error: request.status === 'pending' || request.status === 'approved'
+          ? { code: 'FORBIDDEN', message: 'Only the requester can withdraw a pending request, and only admins can revoke approved leave' }
+          : { code: 'ALREADY_REVIEWED', message: `Leave request is already ${request.status}` },
+      });
+    }
+
+    const { data, error } = await supabase
+      .from('leave_requests')
+      .update({ status: 'cancelled' })
+      .eq('id', request.id)
+      .select(LEAVE_REQUEST_SELECT)
+      .single();
+
+    if (error) throw new Error(error.message);
+
+    logger.info(`Leave request ${request.id} (${request.status}) cancelled by ${req.user.username}`);
+
+    res.json({
+      success: true,
+      data,
+    });
+  })
+);
+
+export default router;
@@ -0,0 +1,127 @@
+import express from 'express';
+import { query, validationResult } from 'express-validator';
+import { supabase } from '../config/database.js';
+import { authenticate, authorize } from '../middleware/auth.js';
+import { asyncHandler } from '../middleware/errorHandler.js';
+
+const router = express.Router();
+
+router.use(authenticate);
+router.use(authorize('incubation_head', 'company_admin'));
+
+/**
+ * Restrict a notifications query to what the caller may see
+ * Company admins see their company's; incubation heads see everything
+ */
+function scopeToUser(query, user) {
+  return user.role === 'incubation_head' ? query : query.eq('company_id', user.company_id);
+}
+
+/**
+ * GET /api/v1/notifications
+ * Latest notifications with the unread count
+ * Query: unread (only unread), limit (max 100)
+ * Roles: incubation_head (all), company_admin (own company)
+ */
+router.get(
+  '/',
+  [
+    query('limit').optional().isInt({ min: 1, max: 100 }),
+  ],
+  asyncHandler(async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'VALIDATION_ERROR',
+          details: errors.array(),
+        },
+      });
+    }
+
+    const { unread, limit = 50 } = req.query;
+
+    let listQuery = scopeToUser(supabase
+      .from('notifications')
+      .select('*, companies (name)')
+      .order('created_at', { ascending: false })
+      .limit(parseInt(limit)), req.user);
+
+    if (unread === 'true') {
+      listQuery = listQuery.is('read_at', null);
+    }
+
+    const [{ data, error }, { count, error: countError }] = await Promise.all([
+      listQuery,
+      scopeToUser(supabase
+        .from('notifications')
+        .select('id', { count: 'exact', head: true })
+        .is('read_at', null), req.user),
+    ]);
+
+    if (error) throw new Error(error.message);
+    if (countError) throw new Error(countError.message);
+
+    res.json({
+      success: true,
+      data,
+      unread: count,
+    });
+  })
+);
+
+/**
+ * POST /api/v1/notifications/read-all
+ * Mark every visible notification as read
+ * Roles: incubation_head (all), company_admin (own company)
+ */
+router.post(
+  '/read-all',
+  asyncHandler(async (req, res) => {
+    const { error } = await scopeToUser(supabase
+      .from('notifications')
+      .update({ read_at: new Date().toISOString(), read_by: req.user.id })
+      .is('read_at', null), req.user);
+
+    if (error) throw new Error(error.message);
+
+    res.json({
+      success: true,
+      message: 'Notifications marked as read',
+    });
+  })
+);
+
+/**
+ * POST /api/v1/notifications/:id/read
+ * Mark one notification as read
+ * Roles: incubation_head (all), company_admin (own company)
+ */
+router.post(
+  '/:id/read',
+  asyncHandler(async (req, res) => {
+    const { data, error } = await scopeToUser(supabase
+      .from('notifications')
+      .update({ read_at: new Date().toISOString(), read_by: req.user.id })
+      .eq('id', req.params.id), req.user)
+      .select()
+      .maybeSingle();
+
+    if (error) throw new Error(error.message);
+
+    if (!data) {
+      return res.status(404).json({
+        success: false,
+        error: { code: 'NOT_FOUND', message: 'Notification not found' },
+      });
+    }
+
+    res.json({
+      success: true,
+      data,
+    });
+  })
+);
+
+export default router;
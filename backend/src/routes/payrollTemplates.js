@@ -0,0 +1,320 @@
+import express from 'express';
+import { body, query, validationResult } from 'express-validator';
+import { supabase } from '../config/database.js';
+import { authenticate, authorize } from '../middleware/auth.js';
+import { asyncHandler } from '../middleware/errorHandler.js';
+import { PAYROLL_FIELDS, PAYROLL_FORMATS } from '../utils/payrollExport.js';
+import logger from '../utils/logger.js';
+
+const router = express.Router();
+
+router.use(authenticate);
+router.use(authorize('incubation_head', 'company_admin'));
+
+const TEMPLATE_SELECT = '*, companies (id, name)';
+
+/**
+ * Load a template the caller may manage, or send 404/403
+ */
+async function findManagedTemplate(req, res) {
+  const { role, company_id: user_company_id } = req.user;
+
+  const { data: template, error } = await supabase
+    .from('payroll_export_templates')
+    .select(TEMPLATE_SELECT)
+    .eq('id', req.params.id)
+    .maybeSingle();
+
+  if (error) {
+    throw new Error(error.message);
+  }
+
+  if (!template) {
+    res.status(404).json({
+      success: false,
+      error: { code: 'NOT_FOUND', message: 'Payroll template not found' },
+    });
+    return null;
+  }
+
+  if (role !== 'incubation_head' && String(user_company_id) !== String(template.company_id)) {
+    res.status(403).json({
+      success: false,
+      error: { code: 'FORBIDDEN', message: 'Access denied to this company' },
+    });
+    return null;
+  }
+
+  return template;
+}
+
+/**
+ * Validators shared by template create and update; `required` marks the fields a new template needs
+ */
+const templateValidators = (required) => [
+  (required ? body('name') : body('name').optional())
+    .trim().notEmpty().isLength({ max: 100 }).withMessage('name required (max 100 characters)'),
+  body('format').optional().isIn(['csv', 'fixed_width']),
+  body('delimiter').optional().isIn([',', ';', '|', '\t']).withMessage('delimiter must be , ; | or a tab'),
+  body('include_header').optional().isBoolean(),
+  (required ? body('columns') : body('columns').optional())
+    .isArray({ min: 1, max: 50 }).withMessage('columns must list 1-50 columns'),
+  body('columns.*.field').isIn(Object.keys(PAYROLL_FIELDS)).withMessage('Unknown field'),
+  body('columns.*.header').optional({ values: 'null' }).isString().isLength({ max: 50 }),
+  body('columns.*.width').optional({ values: 'null' }).isInt({ min: 1, max: 200 }),
+  body('columns.*.align').optional({ values: 'null' }).isIn(['left', 'right']),
+  body('columns.*.value').optional({ values: 'null' }).isString().isLength({ max: 50 }),
+];
+
+/**
+ * Keep only the known keys of each column
+ */
+const cleanColumns = (columns) => columns.map(({ field, header, width, align, value }) => ({
+  field,
+  header: header || PAYROLL_FIELDS[field].label,
+  ...(width && { width: Number(width) }),
+  ...(align && { align }),
+  ...(field === 'constant' && { value: value || '' }),
+}));
+
+/**
+ * Fixed-width templates need a width for every column
+ */
+const missingWidths = (format, columns) => format === 'fixed_width' && columns.some(column => !column.width);
+
+/**
+ * GET /api/v1/payroll-templates/fields
+ * Fields a template column can use, and the built-in export formats
+ * Roles: incubation_head, company_admin
+ */
+router.get(
+  '/fields',
+  asyncHandler(async (req, res) => {
+    res.json({
+      success: true,
+      data: {
+        fields: Object.entries(PAYROLL_FIELDS).map(([key, field]) => ({ key, ...field })),
+        formats: Object.entries(PAYROLL_FORMATS).map(([key, format]) => ({ key, label: format.label })),
+      },
+    });
+  })
+);
+
+/**
+ * GET /api/v1/payroll-templates
+ * Payroll export templates
+ * Query: company_id (incubation head)
+ * Roles: incubation_head (all), company_admin (own company)
+ */
+router.get(
+  '/',
+  [
+    query('company_id').optional({ values: 'falsy' }).isUUID(),
+  ],
+  asyncHandler(async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'VALIDATION_ERROR',
+          details: errors.array(),
+        },
+      });
+    }
+
+    const { role, company_id: user_company_id } = req.user;
+    const companyId = role === 'incubation_head' ? req.query.company_id : user_company_id;
+
+    let query = supabase
+      .from('payroll_export_templates')
+      .select(TEMPLATE_SELECT)
+      .order('name', { ascending: true });
+
+    if (companyId) {
+      query = query.eq('company_id', companyId);
+    }
+
+    const { data, error } = await query;
+
+    if (error) throw new Error(error.message);
+
+    res.json({
+      success: true,
+      data,
+    });
+  })
+);
+
+/**
+ * POST /api/v1/payroll-templates
+ * Create a company's payroll export template
+ * Body: name, format (csv|fixed_width), delimiter, include_header,
+ * columns [{ field, header, width, align, value }], company_id (incubation head)
+ * Roles: incubation_head, company_admin (own company)
+ */
+router.post(
+  '/',
+  [
+    body('company_id').if((value, { req }) => req.user.role === 'incubation_head').isUUID().withMessage('company_id required'),
+    ...templateValidators(true),
+  ],
+  asyncHandler(async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'VALIDATION_ERROR',
+          details: errors.array(),
+        },
+      });
+    }
+
+    const { role, company_id: user_company_id } = req.user;
+    const companyId = role === 'incubation_head' ? req.body.company_id : user_company_id;
+    const format = req.body.format || 'csv';
+    const columns = cleanColumns(req.body.columns);
+
+    if (missingWidths(format, columns)) {
+      return res.status(400).json({
+        success: false,
+        error: { code: 'VALIDATION_ERROR', message: 'Every column of a fixed-width template needs a width' },
+      });
+    }
+
+    const { data: existing } = await supabase
+      .from('payroll_export_templates')
+      .select('id')
+      .eq('company_id', companyId)
+      .eq('name', req.body.name)
+      .maybeSingle();
+
+    if (existing) {
+      return res.status(409).json({
+        success: false,
+        error: { code: 'TEMPLATE_EXISTS', message: 'A payroll template with this name already exists' },
+      });
+    }
+
+    const { data, error } = await supabase
+      .from('payroll_export_templates')
+      .insert({
+        company_id: companyId,
+        name: req.body.name,
+        format,
+        delimiter: req.body.delimiter || ',',
+        include_header: req.body.include_header ?? true,
+        columns,
+        created_by: req.user.id,
+      })
+      .select(TEMPLATE_SELECT)
+      .single();
+
+    if (error) throw new Error(error.message);
+
+    logger.info(`Payroll template ${data.name} created for company ${companyId} by ${req.user.username}`);
+
+    res.status(201).json({
+      success: true,
+      data,
+    });
+  })
+);
+
+/**
+ * PUT /api/v1/payroll-templates/:id
+ * Update a payroll export template
+ * Roles: incubation_head (all), company_admin (own company)
+ */
+router.put(
+  '/:id',
+  templateValidators(false),
+  asyncHandler(async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'VALIDATION_ERROR',
+          details: errors.array(),
+        },
+      });
+    }
+
+    const template = await findManagedTemplate(req, res);
+    if (!template) return;
+
+    const updates = {};
+    ['name', 'format', 'delimiter', 'include_header'].forEach(field => {
+      if (req.body[field] !== undefined) updates[field] = req.body[field];
+    });
+    if (req.body.columns) updates.columns = cleanColumns(req.body.columns);
+
+    if (missingWidths(updates.format || template.format, updates.columns || template.columns)) {
+      return res.status(400).json({
+        success: false,
+        error: { code: 'VALIDATION_ERROR', message: 'Every column of a fixed-width template needs a width' },
+      });
+    }
+
+    if (updates.name && updates.name !== template.name) {
+      const { data: existing } = await supabase
+        .from('payroll_export_templates')
+        .select('id')
+        .eq('company_id', template.company_id)
+        .eq('name', updates.name)
+        .maybeSingle();
+
+      if (existing) {
+        return res.status(409).json({
+          success: false,
+          error: { code: 'TEMPLATE_EXISTS', message: 'A payroll template with this name already exists' },
+        });
+      }
+    }
+
+    const { data, error } = await supabase
+      .from('payroll_export_templates')
+      .update(updates)
+      .eq('id', template.id)
+      .select(TEMPLATE_SELECT)
+      .single();
+
+    if (error) throw new Error(error.message);
+
+    res.json({
+      success: true,
+      data,
+    });
+  })
+);
+
+/**
+ * DELETE /api/v1/payroll-templates/:id
+ * Delete a payroll export template
+ * Roles: incubation_head (all), company_admin (own company)
+ */
+router.delete(
+  '/:id',
+  asyncHandler(async (req, res) => {
+    const template = await findManagedTemplate(req, res);
+    if (!template) return;
+
+    const { error } = await supabase
+      .from('payroll_export_templates')
+      .delete()
+      .eq('id', template.id);
+
+    if (error) throw new Error(error.message);
+
+    logger.info(`Payroll template ${template.name} deleted by ${req.user.username}`);
+
+    res.json({
+      success: true,
+      message: 'Payroll template deleted',
+    });
+  })
+);
+
+export default router;
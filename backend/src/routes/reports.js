@@ -1,9 +1,19 @@
 import express from 'express';
-import { query } from 'express-validator';
+import { body, query, validationResult } from 'express-validator';
 import PDFDocument from 'pdfkit';
+import ExcelJS from 'exceljs';
 import { supabase } from '../config/database.js';
 import { authenticate, authorize } from '../middleware/auth.js';
 import { asyncHandler } from '../middleware/errorHandler.js';
+import { DEFAULT_TIMEZONE, getZonedDateBounds } from '../utils/attendance.js';
+import { ATTENDANCE_STATUSES, addDays } from '../utils/shifts.js';
+import { MAX_STATUS_RANGE_DAYS, buildAttendanceDays } from '../utils/attendanceStatus.js';
+import { MUSTER_LEGEND, buildMusterRoll } from '../utils/musterRoll.js';
+import { buildAttendanceWorkbook } from '../utils/attendanceWorkbook.js';
+import { EXPORT_FORMATS } from '../utils/attendanceExport.js';
+import { EXPORTS_BUCKET, enqueueExportJob } from '../utils/exportJobs.js';
+import { PAYROLL_FORMATS, buildPayrollSummary, renderPayrollTemplate } from '../utils/payrollExport.js';
+import logger from '../utils/logger.js';
 
 const router = express.Router();
 
@@ -11,7 +21,7 @@ router.use(authenticate);
 
 /**
  * GET /api/v1/reports/daily
- * Daily attendance summary with stats from attendance_logs
+ * Daily attendance summary from the attendance rollups; days and hours are company-local
  * Roles: incubation_head (all companies), company_admin (own company only)
  */
 router.get(
@@ -23,6 +33,17 @@ router.get(
     query('end_date').optional().isISO8601(),
   ],
   asyncHandler(async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'VALIDATION_ERROR',
+          details: errors.array(),
+        },
+      });
+    }
+
     const { role, company_id: user_company_id } = req.user;
     const { company_id, start_date, end_date } = req.query;
 
@@ -33,80 +54,86 @@ router.get(
     const effectiveCompanyId = role === 'company_admin' ? user_company_id : sanitizedCompanyId;
 
     // Date range defaults (last 7 days if not specified)
-    const endDate = end_date || new Date().toISOString().split('T')[0];
-    const startDate = start_date || new Date(Date.now() - 7 * 24 * 60 * 60 * 1000).toISOString().split('T')[0];
+    const endDate = (end_date || new Date().toISOString()).slice(0, 10);
+    const startDate = (start_date || new Date(Date.now() - 7 * 24 * 60 * 60 * 1000).toISOString()).slice(0, 10);
 
-    // Fetch all attendance logs for the period
-    let logsQuery = supabase
-      .from('attendance_logs')
-      .select(`
-        id,
-        recorded_at,
-        event_type,
-        employee_id,
-        company_id,
-        employees!inner(id, name, employee_id),
-        companies!inner(id, name),
-        devices(device_uuid, location)
-      `)
-      .gte('recorded_at', `${startDate}T00:00:00Z`)
-      .lte('recorded_at', `${endDate}T23:59:59Z`);
+    if (startDate > endDate) {
+      return res.status(400).json({
+        success: false,
+        error: { code: 'VALIDATION_ERROR', message: 'start_date must not be after end_date' },
+      });
+    }
 
-    // Apply company filter
+    let companiesQuery = supabase.from('companies').select('id, timezone');
     if (effectiveCompanyId) {
-      logsQuery = logsQuery.eq('company_id', effectiveCompanyId);
+      companiesQuery = companiesQuery.eq('id', effectiveCompanyId);
     }
 
-    logsQuery = logsQuery.order('recorded_at', { ascending: false }).limit(1000);
+    const { data: companies, error: companiesError } = await companiesQuery;
+    if (companiesError) throw new Error(companiesError.message);
 
-    const { data: logs, error } = await logsQuery;
+    // Recent scans fall in the period as each company's timezone sees it
+    const companiesByTimeZone = new Map();
+    companies.forEach(company => {
+      const timeZone = company.timezone || DEFAULT_TIMEZONE;
+      if (!companiesByTimeZone.has(timeZone)) {
+        companiesByTimeZone.set(timeZone, []);
+      }
+      companiesByTimeZone.get(timeZone).push(company.id);
+    });
+    const periodFilters = [...companiesByTimeZone].map(([timeZone, ids]) => {
+      const start = getZonedDateBounds(startDate, timeZone).start.toISOString();
+      const end = getZonedDateBounds(endDate, timeZone).end.toISOString();
+      return `and(company_id.in.(${ids.join(',')}),recorded_at.gte."${start}",recorded_at.lt."${end}")`;
+    });
 
-    if (error) throw new Error(error.message);
+    const recentQuery = periodFilters.length === 0
+      ? Promise.resolve({ data: [] })
+      : supabase
+        .from('attendance_logs')
+        .select(`
+          recorded_at,
+          event_type,
+          employees!inner(name),
+          companies!inner(name),
+          devices(location)
+        `)
+        .or(periodFilters.join(','))
+        .is('voided_at', null)
+        .order('recorded_at', { ascending: false })
+        .limit(20);
 
-    // Calculate summary stats
-    const totalScans = logs.length;
-    const uniqueEmployees = new Set(logs.filter(l => l.employee_id).map(l => l.employee_id)).size;
-    
-    // Count employees with at least one IN scan as present
-    const employeesWithIN = new Set(
-      logs.filter(l => l.event_type === 'IN' && l.employee_id).map(l => l.employee_id)
-    ).size;
-    
-    const attendanceRate = uniqueEmployees > 0 
-      ? Math.round((employeesWithIN / uniqueEmployees) * 100) 
-      : 0;
+    // Counts come from the rollup tables the attendance_logs trigger keeps current
+    const range = { p_company_id: effectiveCompanyId, p_from: startDate, p_to: endDate };
+    const [totalsResult, dailyResult, hourlyResult, recentResult] = await Promise.all([
+      supabase.rpc('report_attendance_totals', range).single(),
+      supabase.rpc('report_attendance_daily', range),
+      supabase.rpc('report_attendance_hourly', range),
+      recentQuery,
+    ]);
 
-    // Group by date for daily stats chart
-    const dailyGroups = {};
-    logs.forEach(log => {
-      const date = log.recorded_at.split('T')[0];
-      if (!dailyGroups[date]) {
-        dailyGroups[date] = { total_scans: 0, employees: new Set() };
-      }
-      dailyGroups[date].total_scans += 1;
-      if (log.employee_id) {
-        dailyGroups[date].employees.add(log.employee_id);
-      }
-    });
+    const failed = [totalsResult, dailyResult, hourlyResult, recentResult].find(result => result.error);
+    if (failed) throw new Error(failed.error.message);
 
-    const dailyStats = Object.entries(dailyGroups)
-      .map(([date, stats]) => ({
-        date,
-        total_scans: stats.total_scans,
-        unique_employees: stats.employees.size
-      }))
-      .sort((a, b) => new Date(a.date) - new Date(b.date));
-
-    // Hourly distribution (for chart)
-    const hourlyGroups = {};
-    logs.forEach(log => {
-      const hour = new Date(log.recorded_at).getHours();
-      hourlyGroups[hour] = (hourlyGroups[hour] || 0) + 1;
-    });
+    const totals = totalsResult.data;
+    const totalScans = Number(totals.total_scans);
+    const uniqueEmployees = Number(totals.unique_employees);
 
-    const hourlyDistribution = Object.entries(hourlyGroups)
-      .map(([hour, count]) => ({ hour: parseInt(hour), count }))
-      .sort((a, b) => a.hour - b.hour);
+    // Employees with at least one IN scan count as present
+    const attendanceRate = uniqueEmployees > 0
+      ? Math.round((Number(totals.present_employees) / uniqueEmployees) * 100)
+      : 0;
+
+    const dailyStats = dailyResult.data.map(day => ({
+      date: day.date,
+      total_scans: Number(day.total_scans),
+      unique_employees: Number(day.unique_employees)
+    }));
+
+    const hourlyDistribution = hourlyResult.data.map(hour => ({
+      hour: hour.hour,
+      count: Number(hour.count)
+    }));
 
     // Find peak hour
     const peakHourEntry = hourlyDistribution.reduce((max, curr) => 
@@ -114,8 +141,13 @@ router.get(
     );
     const peakHour = peakHourEntry ? `${peakHourEntry.hour}:00` : 'N/A';
 
+    // Days classified against shifts; skipped for ranges too long to compute on request
+    const statusSummary = startDate <= endDate && addDays(startDate, MAX_STATUS_RANGE_DAYS) > endDate
+      ? (await buildAttendanceDays({ companyId: effectiveCompanyId, from: startDate, to: endDate })).summary
+      : null;
+
     // Recent logs (top 20)
-    const recentLogs = logs.slice(0, 20).map(log => ({
+    const recentLogs = recentResult.data.map(log => ({
       employee_name: log.employees?.name || 'Unknown',
       company_name: log.companies?.name || 'Unknown',
       location: log.devices?.location || 'Unknown',
@@ -132,6 +164,7 @@ router.get(
           avg_attendance_rate: attendanceRate,
           peak_hour: peakHour
         },
+        status_summary: statusSummary,
         daily_stats: dailyStats,
         hourly_distribution: hourlyDistribution,
         recent_logs: recentLogs
@@ -174,181 +207,860 @@ router.get(
 
 /**
  * GET /api/v1/reports/export
- * Export attendance data as CSV or PDF
+ * Export attendance data as CSV, PDF or an XLSX workbook (Summary, Raw Logs and Per Day
+ * sheets in company-local time; up to 93 days). CSV and PDF stream page by page, so any
+ * range works; for very long ones, POST /export-jobs builds the file in the background
  * Roles: incubation_head, company_admin
  */
 router.get(
   '/export',
   authorize('incubation_head', 'company_admin'),
   [
-    query('company_id').optional().isUUID(),
+    query('company_id').optional({ values: 'falsy' }).isUUID(),
     query('from').isISO8601(),
     query('to').isISO8601(),
-    query('format').optional().isIn(['csv', 'pdf']),
+    query('format').optional().isIn(['csv', 'pdf', 'xlsx']),
   ],
   asyncHandler(async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'VALIDATION_ERROR',
+          details: errors.array(),
+        },
+      });
+    }
+
     const { role, company_id: user_company_id } = req.user;
-    const { company_id, from, to, format = 'csv' } = req.query;
+    const { company_id, format = 'csv' } = req.query;
+    const from = req.query.from.slice(0, 10);
+    const to = req.query.to.slice(0, 10);
 
-    // Sanitize company_id
-    const sanitizedCompanyId = (company_id && company_id !== 'null' && company_id !== '') ? company_id : null;
-    
     // Determine effective company filter (company_admin can only export their own)
-    const effectiveCompanyId = role === 'company_admin' ? user_company_id : sanitizedCompanyId;
+    const effectiveCompanyId = role === 'company_admin' ? user_company_id : (company_id || null);
 
-    let query = supabase
-      .from('attendance_logs')
-      .select(`
-        recorded_at,
-        event_type,
-        employees!inner(name, employee_id),
-        companies!inner(name),
-        devices(device_uuid, location)
-      `)
-      .gte('recorded_at', `${from}T00:00:00Z`)
-      .lte('recorded_at', `${to}T23:59:59Z`);
+    if (format === 'xlsx') {
+      if (from > to || addDays(from, MAX_STATUS_RANGE_DAYS) <= to) {
+        return res.status(400).json({
+          success: false,
+          error: {
+            code: 'VALIDATION_ERROR',
+            message: `from must not be after to, and the range is limited to ${MAX_STATUS_RANGE_DAYS} days`,
+          },
+        });
+      }
+
+      const workbook = await buildAttendanceWorkbook({ companyId: effectiveCompanyId, from, to });
+
+      res.setHeader('Content-Type', 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
+      res.setHeader('Content-Disposition', `attachment; filename="attendance_${from}_${to}.xlsx"`);
+      await workbook.xlsx.write(res);
+      return res.end();
+    }
 
-    // Apply company filter if specified
+    let companyName = null;
+    let timeZone = null;
     if (effectiveCompanyId) {
-      query = query.eq('company_id', effectiveCompanyId);
+      const { data: company } = await supabase
+        .from('companies')
+        .select('name, timezone')
+        .eq('id', effectiveCompanyId)
+        .maybeSingle();
+      companyName = company?.name || 'Unknown';
+      timeZone = company?.timezone || null;
     }
 
-    query = query.order('recorded_at', { ascending: true });
+    const exportFormat = EXPORT_FORMATS[format];
+    res.setHeader('Content-Type', exportFormat.contentType);
+    res.setHeader('Content-Disposition', `attachment; filename="attendance_${from}_${to}.${exportFormat.extension}"`);
 
-    const { data, error } = await query;
+    try {
+      await exportFormat.write(res, { companyId: effectiveCompanyId, from, to, companyName, timeZone });
+    } catch (error) {
+      // Headers are gone once rows flow, so a failure can only cut the download short
+      if (!res.headersSent) throw error;
+      logger.error(`Attendance export ${from}..${to} stopped early: ${error.message}`);
+      res.destroy(error);
+    }
+  })
+);
+
+/**
+ * POST /api/v1/reports/export-jobs
+ * Build an attendance CSV or PDF in the background, for ranges too long to wait on;
+ * poll GET /export-jobs/:id for progress, then fetch /export-jobs/:id/download
+ * Body: from, to, company_id, format (csv|pdf)
+ * Roles: incubation_head, company_admin (own company only)
+ */
+router.post(
+  '/export-jobs',
+  authorize('incubation_head', 'company_admin'),
+  [
+    body('company_id').optional({ values: 'falsy' }).isUUID(),
+    body('from').isISO8601({ strict: true }),
+    body('to').isISO8601({ strict: true }),
+    body('format').optional().isIn(Object.keys(EXPORT_FORMATS)),
+  ],
+  asyncHandler(async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'VALIDATION_ERROR',
+          details: errors.array(),
+        },
+      });
+    }
+
+    const { role, company_id: user_company_id } = req.user;
+    const from = req.body.from.slice(0, 10);
+    const to = req.body.to.slice(0, 10);
+
+    if (from > to) {
+      return res.status(400).json({
+        success: false,
+        error: { code: 'VALIDATION_ERROR', message: 'from must not be after to' },
+      });
+    }
+
+    const { data: job, error } = await supabase
+      .from('report_export_jobs')
+      .insert({
+        company_id: role === 'company_admin' ? user_company_id : (req.body.company_id || null),
+        requested_by: req.user.id,
+        format: req.body.format || 'csv',
+        from_date: from,
+        to_date: to,
+      })
+      .select()
+      .single();
+
+    if (error) throw new Error(error.message);
+
+    enqueueExportJob(job);
+
+    logger.info(`Export job ${job.id} (${job.format}, ${from}..${to}) queued by ${req.user.username}`);
+
+    res.status(202).json({
+      success: true,
+      data: job,
+    });
+  })
+);
+
+/**
+ * GET /api/v1/reports/export-jobs
+ * The caller's recent export jobs, newest first
+ * Roles: incubation_head, company_admin
+ */
+router.get(
+  '/export-jobs',
+  authorize('incubation_head', 'company_admin'),
+  asyncHandler(async (req, res) => {
+    const { data, error } = await supabase
+      .from('report_export_jobs')
+      .select('*, companies (id, name)')
+      .eq('requested_by', req.user.id)
+      .order('created_at', { ascending: false })
+      .limit(20);
+
+    if (error) throw new Error(error.message);
+
+    res.json({
+      success: true,
+      data,
+    });
+  })
+);
+
+/**
+ * GET /api/v1/reports/export-jobs/:id
+ * One of the caller's export jobs: status, rows_processed of total_rows, error
+ * Roles: incubation_head, company_admin
+ */
+router.get(
+  '/export-jobs/:id',
+  authorize('incubation_head', 'company_admin'),
+  asyncHandler(async (req, res) => {
+    const { data: job, error } = await supabase
+      .from('report_export_jobs')
+      .select('*, companies (id, name)')
+      .eq('id', req.params.id)
+      .eq('requested_by', req.user.id)
+      .maybeSingle();
 
     if (error) throw new Error(error.message);
 
+    if (!job) {
+      return res.status(404).json({
+        success: false,
+        error: { code: 'NOT_FOUND', message: 'Export job not found' },
+      });
+    }
+
+    res.json({
+      success: true,
+      data: job,
+    });
+  })
+);
+
+/**
+ * GET /api/v1/reports/export-jobs/:id/download
+ * Short-lived signed URL of a finished export's file
+ * Roles: incubation_head, company_admin
+ */
+router.get(
+  '/export-jobs/:id/download',
+  authorize('incubation_head', 'company_admin'),
+  asyncHandler(async (req, res) => {
+    const { data: job, error } = await supabase
+      .from('report_export_jobs')
+      .select('id, status, format, from_date, to_date, storage_path')
+      .eq('id', req.params.id)
+      .eq('requested_by', req.user.id)
+      .maybeSingle();
+
+    if (error) throw new Error(error.message);
+
+    if (!job) {
+      return res.status(404).json({
+        success: false,
+        error: { code: 'NOT_FOUND', message: 'Export job not found' },
+      });
+    }
+
+    if (job.status !== 'completed') {
+      return res.status(409).json({
+        success: false,
+        error: {
+          code: job.status === 'expired' ? 'EXPORT_EXPIRED' : 'EXPORT_NOT_READY',
+          message: job.status === 'expired' ? 'This export has expired' : `Export is ${job.status}`,
+        },
+      });
+    }
+
+    const filename = `attendance_${job.from_date}_${job.to_date}.${EXPORT_FORMATS[job.format].extension}`;
+    const { data: signed, error: signError } = await supabase.storage
+      .from(EXPORTS_BUCKET)
+      .createSignedUrl(job.storage_path, 5 * 60, { download: filename });
+
+    if (signError) throw new Error(signError.message);
+
+    res.json({
+      success: true,
+      data: {
+        url: signed.signedUrl,
+        filename,
+      },
+    });
+  })
+);
+
+/**
+ * GET /api/v1/reports/muster-roll
+ * Monthly attendance register: a row per employee, a P/HD/A/L/H/WO code per day and
+ * totals of present days, absences, leave, holidays, weekly offs, late marks and hours
+ * Query: month (YYYY-MM), company_id, format (json|csv|xlsx|pdf)
+ * Roles: incubation_head (all companies), company_admin (own company only)
+ */
+router.get(
+  '/muster-roll',
+  authorize('incubation_head', 'company_admin'),
+  [
+    query('month').matches(/^\d{4}-(0[1-9]|1[0-2])$/).withMessage('month must be YYYY-MM'),
+    query('company_id').optional({ values: 'falsy' }).isUUID(),
+    query('format').optional().isIn(['json', 'csv', 'xlsx', 'pdf']),
+  ],
+  asyncHandler(async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'VALIDATION_ERROR',
+          details: errors.array(),
+        },
+      });
+    }
+
+    const { role, company_id: user_company_id } = req.user;
+    const { month, company_id, format = 'json' } = req.query;
+    const effectiveCompanyId = role === 'company_admin' ? user_company_id : (company_id || null);
+
+    const register = await buildMusterRoll({ companyId: effectiveCompanyId, month });
+
+    let companyName = 'All companies';
+    if (effectiveCompanyId) {
+      const { data: company } = await supabase
+        .from('companies')
+        .select('name')
+        .eq('id', effectiveCompanyId)
+        .maybeSingle();
+      companyName = company?.name || 'Unknown';
+    }
+
+    const filename = `muster_roll_${month}`;
+    const dayNumbers = register.dates.map(date => date.slice(8));
+    const weekdays = register.dates.map(date =>
+      ['Su', 'Mo', 'Tu', 'We', 'Th', 'Fr', 'Sa'][new Date(`${date}T00:00:00Z`).getUTCDay()]);
+    const totalHeaders = ['Present', 'Absent', 'Leave', 'Holidays', 'Weekly Offs', 'Late Marks', 'Hours'];
+    const totalCells = (totals) => [
+      totals.present,
+      totals.absent,
+      totals.leave,
+      totals.holidays,
+      totals.weekly_offs,
+      totals.late_marks,
+      Number((totals.worked_minutes / 60).toFixed(2)),
+    ];
+
+    if (format === 'csv') {
+      const headers = ['Employee', 'Employee ID', 'Company', ...dayNumbers, ...totalHeaders];
+      const rows = register.employees.map(row => [
+        row.employee_name,
+        row.employee_code || '',
+        row.company_name,
+        ...row.codes,
+        ...totalCells(row.totals),
+      ]);
+
+      const csv = [headers, ...rows]
+        .map(row => row.map(cell => `"${String(cell).replace(/"/g, '""')}"`).join(','))
+        .join('\n');
+
+      res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+      res.setHeader('Content-Disposition', `attachment; filename="${filename}.csv"`);
+      return res.send(csv);
+    }
+
+    if (format === 'xlsx') {
+      const fills = { HD: 'FFFEF9C3', A: 'FFFEE2E2', L: 'FFCCFBF1', H: 'FFEDE9FE', WO: 'FFF3F4F6' };
+      const workbook = new ExcelJS.Workbook();
+      const sheet = workbook.addWorksheet('Muster Roll', {
+        views: [{ state: 'frozen', xSplit: 3, ySplit: 2 }],
+      });
+
+      sheet.columns = [
+        { width: 28 },
+        { width: 12 },
+        { width: 22 },
+        ...dayNumbers.map(() => ({ width: 4.5 })),
+        ...totalHeaders.map(() => ({ width: 10 })),
+      ];
+
+      sheet.addRow(['Employee', 'Employee ID', 'Company', ...dayNumbers.map(Number), ...totalHeaders]);
+      sheet.addRow(['', '', '', ...weekdays, ...totalHeaders.map(() => '')]);
+      [1, 2].forEach(rowNumber => {
+        const header = sheet.getRow(rowNumber);
+        header.font = { bold: rowNumber === 1 };
+        header.alignment = { horizontal: 'center' };
+      });
+
+      register.employees.forEach(row => {
+        const added = sheet.addRow([
+          row.employee_name,
+          row.employee_code || '',
+          row.company_name,
+          ...row.codes,
+          ...totalCells(row.totals),
+        ]);
+
+        row.codes.forEach((code, index) => {
+          const cell = added.getCell(4 + index);
+          cell.alignment = { horizontal: 'center' };
+          if (fills[code]) {
+            cell.fill = { type: 'pattern', pattern: 'solid', fgColor: { argb: fills[code] } };
+          }
+        });
+      });
+
+      sheet.addRow([]);
+      sheet.addRow([`${companyName} • ${month} • ${Object.entries(MUSTER_LEGEND).map(([code, label]) => `${code} ${label}`).join(', ')}`]);
+
+      res.setHeader('Content-Type', 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
+      res.setHeader('Content-Disposition', `attachment; filename="${filename}.xlsx"`);
+      await workbook.xlsx.write(res);
+      return res.end();
+    }
+
     if (format === 'pdf') {
-      // Generate PDF
-      const doc = new PDFDocument({ margin: 50, size: 'A4' });
-      
+      const doc = new PDFDocument({ margin: 30, size: 'A4', layout: 'landscape' });
+
       res.setHeader('Content-Type', 'application/pdf');
-      res.setHeader('Content-Disposition', `attachment; filename="attendance_${from}_${to}.pdf"`);
-      
+      res.setHeader('Content-Disposition', `attachment; filename="${filename}.pdf"`);
+
       doc.pipe(res);
 
-      // Title
-      doc.fontSize(20).text('Attendance Report', { align: 'center' });
-      doc.moveDown(0.5);
-      doc.fontSize(12).text(`Period: ${from} to ${to}`, { align: 'center' });
-      if (effectiveCompanyId && data.length > 0) {
-        doc.text(`Company: ${data[0].companies?.name || 'Unknown'}`, { align: 'center' });
-      }
-      doc.moveDown(1);
-
-      // Summary stats
-      const totalRecords = data.length;
-      const uniqueEmployees = new Set(data.map(d => d.employees?.name).filter(Boolean)).size;
-      const inEvents = data.filter(d => d.event_type === 'IN').length;
-      const outEvents = data.filter(d => d.event_type === 'OUT').length;
-
-      doc.fontSize(10).text(`Total Records: ${totalRecords}`, { continued: true });
-      doc.text(`   Unique Employees: ${uniqueEmployees}`, { continued: true });
-      doc.text(`   IN: ${inEvents}`, { continued: true });
-      doc.text(`   OUT: ${outEvents}`);
-      doc.moveDown(1);
-
-      // Table header
-      const tableTop = doc.y;
-      const col1 = 50;
-      const col2 = 140;
-      const col3 = 200;
-      const col4 = 270;
-      const col5 = 340;
-      const col6 = 430;
-
-      doc.fontSize(9).fillColor('#333');
-      doc.font('Helvetica-Bold');
-      doc.text('Date/Time', col1, tableTop);
-      doc.text('Event', col2, tableTop);
-      doc.text('Employee', col3, tableTop);
-      doc.text('ID', col4, tableTop);
-      doc.text('Device', col5, tableTop);
-      doc.text('Location', col6, tableTop);
-      
-      doc.moveTo(col1, tableTop + 15).lineTo(580, tableTop + 15).stroke();
-      
-      let y = tableTop + 20;
-      doc.font('Helvetica').fontSize(8);
-
-      // Table rows
-      data.forEach((row, index) => {
-        if (y > 720) {
+      doc.fontSize(16).text('Muster Roll', { align: 'center' });
+      doc.moveDown(0.3);
+      doc.fontSize(10).text(`${companyName} • ${register.from} to ${register.to}`, { align: 'center' });
+      doc.fontSize(7).fillColor('#555')
+        .text(Object.entries(MUSTER_LEGEND).map(([code, label]) => `${code} ${label}`).join('   '), { align: 'center' });
+      doc.moveDown(0.8);
+
+      // Name and ID columns, one narrow column per day, then the totals
+      const left = 30;
+      const nameWidth = 110;
+      const idWidth = 45;
+      const totalWidth = 22;
+      const hoursWidth = 30;
+      const tableWidth = doc.page.width - 60;
+      const dayWidth = (tableWidth - nameWidth - idWidth - (totalHeaders.length - 1) * totalWidth - hoursWidth) / dayNumbers.length;
+      const daysLeft = left + nameWidth + idWidth;
+      const totalsLeft = daysLeft + dayWidth * dayNumbers.length;
+      const totalWidths = [...totalHeaders.slice(0, -1).map(() => totalWidth), hoursWidth];
+      const totalLabels = ['P', 'A', 'L', 'H', 'WO', 'Late', 'Hours'];
+      const rowHeight = 13;
+
+      const drawHeader = (top) => {
+        doc.font('Helvetica-Bold').fontSize(7).fillColor('#333');
+        doc.text('Employee', left, top + 4, { width: nameWidth });
+        doc.text('ID', left + nameWidth, top + 4, { width: idWidth });
+        dayNumbers.forEach((day, index) => {
+          doc.text(day, daysLeft + index * dayWidth, top, { width: dayWidth, align: 'center' });
+          doc.font('Helvetica').text(weekdays[index].charAt(0), daysLeft + index * dayWidth, top + 8, { width: dayWidth, align: 'center' });
+          doc.font('Helvetica-Bold');
+        });
+        let x = totalsLeft;
+        totalLabels.forEach((label, index) => {
+          doc.text(label, x, top + 4, { width: totalWidths[index], align: 'center' });
+          x += totalWidths[index];
+        });
+        doc.moveTo(left, top + 18).lineTo(left + tableWidth, top + 18).stroke();
+        doc.font('Helvetica');
+        return top + 21;
+      };
+
+      let y = drawHeader(doc.y);
+
+      register.employees.forEach((row, index) => {
+        if (y > doc.page.height - 50) {
           doc.addPage();
-          y = 50;
+          y = drawHeader(30);
         }
 
-        const timestamp = new Date(row.recorded_at).toLocaleString('en-US', {
-          year: 'numeric',
-          month: '2-digit',
-          day: '2-digit',
-          hour: '2-digit',
-          minute: '2-digit',
-          hour12: false
+        if (index % 2 === 1) {
+          doc.rect(left, y - 2, tableWidth, rowHeight).fill('#f3f4f6');
+        }
+
+        doc.fontSize(7).fillColor('#000');
+        doc.text(row.employee_name.substring(0, 26), left, y, { width: nameWidth, lineBreak: false });
+        doc.text((row.employee_code || '').substring(0, 10), left + nameWidth, y, { width: idWidth, lineBreak: false });
+        row.codes.forEach((code, dayIndex) => {
+          doc.fillColor(code === 'A' ? '#b91c1c' : code === 'P' ? '#000' : '#555')
+            .text(code, daysLeft + dayIndex * dayWidth, y, { width: dayWidth, align: 'center', lineBreak: false });
+        });
+        doc.fillColor('#000');
+        let x = totalsLeft;
+        totalCells(row.totals).forEach((value, totalIndex) => {
+          doc.text(String(value), x, y, { width: totalWidths[totalIndex], align: 'center', lineBreak: false });
+          x += totalWidths[totalIndex];
         });
 
-        const eventType = row.event_type || 'SCAN';
-        const employeeName = (row.employees?.name || 'Unknown').substring(0, 15);
-        const employeeId = (row.employees?.employee_id || '').substring(0, 12);
-        const device = (row.devices?.device_uuid || '').substring(0, 15);
-        const location = (row.devices?.location || '').substring(0, 20);
-
-        doc.fillColor(index % 2 === 0 ? '#000' : '#555');
-        doc.text(timestamp, col1, y, { width: 85 });
-        doc.text(eventType, col2, y, { width: 55 });
-        doc.text(employeeName, col3, y, { width: 65 });
-        doc.text(employeeId, col4, y, { width: 65 });
-        doc.text(device, col5, y, { width: 85 });
-        doc.text(location, col6, y, { width: 150 });
-
-        y += 18;
+        y += rowHeight;
       });
 
+      if (register.employees.length === 0) {
+        doc.fontSize(9).fillColor('#555').text('No employees in this period', left, y + 10);
+      }
+
       // Footer
-      doc.fontSize(8).fillColor('#999');
+      doc.fontSize(7).fillColor('#999');
       doc.text(
-        `Generated on ${new Date().toLocaleString()} | Total ${totalRecords} records`,
-        50,
-        doc.page.height - 50,
-        { align: 'center' }
+        `Generated on ${new Date().toLocaleString()} | ${register.employees.length} employees`,
+        left,
+        doc.page.height - 42,
+        { width: tableWidth, align: 'center', lineBreak: false }
       );
 
       doc.end();
+      return;
+    }
+
+    res.json({
+      success: true,
+      data: {
+        ...register,
+        company_name: companyName,
+        legend: MUSTER_LEGEND,
+      },
+    });
+  })
+);
+
+/**
+ * GET /api/v1/reports/payroll-export
+ * Per-employee payroll figures for a pay period: worked, absent, leave and payable days,
+ * late and early leave counts, worked and overtime hours. format picks a built-in layout
+ * (summary_csv, fixed_width) or `template` with template_id for a company's own mapping,
+ * whose company then scopes the export; json previews the figures
+ * Query: from, to (up to 93 days), company_id, format, template_id
+ * Roles: incubation_head (all companies), company_admin (own company only)
+ */
+router.get(
+  '/payroll-export',
+  authorize('incubation_head', 'company_admin'),
+  [
+    query('company_id').optional({ values: 'falsy' }).isUUID(),
+    query('from').isISO8601({ strict: true }),
+    query('to').isISO8601({ strict: true }),
+    query('format').optional().isIn(['json', 'template', ...Object.keys(PAYROLL_FORMATS)]),
+    query('template_id').if(query('format').equals('template')).isUUID().withMessage('template_id required'),
+  ],
+  asyncHandler(async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'VALIDATION_ERROR',
+          details: errors.array(),
+        },
+      });
+    }
+
+    const { role, company_id: user_company_id } = req.user;
+    const { company_id, format = 'json' } = req.query;
+    const from = req.query.from.slice(0, 10);
+    const to = req.query.to.slice(0, 10);
+
+    if (from > to || addDays(from, MAX_STATUS_RANGE_DAYS) <= to) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'VALIDATION_ERROR',
+          message: `from must not be after to, and the range is limited to ${MAX_STATUS_RANGE_DAYS} days`,
+        },
+      });
+    }
 
-    } else {
-      // Generate CSV
-      const headers = ['Timestamp', 'Event Type', 'Employee', 'Employee ID', 'Company', 'Device', 'Location'];
-      const rows = data.map(row => {
-        const timestamp = new Date(row.recorded_at).toLocaleString('en-US', {
-          year: 'numeric',
-          month: '2-digit',
-          day: '2-digit',
-          hour: '2-digit',
-          minute: '2-digit',
-          second: '2-digit',
-          hour12: false
+    let effectiveCompanyId = role === 'company_admin' ? user_company_id : (company_id || null);
+    let template = null;
+
+    if (format === 'template') {
+      const { data } = await supabase
+        .from('payroll_export_templates')
+        .select('*')
+        .eq('id', req.query.template_id)
+        .maybeSingle();
+
+      if (!data || (role === 'company_admin' && String(data.company_id) !== String(user_company_id))) {
+        return res.status(404).json({
+          success: false,
+          error: { code: 'NOT_FOUND', message: 'Payroll template not found' },
         });
-        
-        return [
-          timestamp,
-          row.event_type || 'SCAN',
-          row.employees?.name || 'Unknown',
-          row.employees?.employee_id || '',
-          row.companies?.name || 'Unknown',
-          row.devices?.device_uuid || '',
-          row.devices?.location || '',
-        ];
+      }
+
+      template = data;
+      effectiveCompanyId = template.company_id;
+    }
+
+    const rows = await buildPayrollSummary({ companyId: effectiveCompanyId, from, to });
+    const filename = `payroll_${from}_${to}`;
+
+    if (template) {
+      const { body, extension, contentType } = renderPayrollTemplate(rows, template);
+      res.setHeader('Content-Type', contentType);
+      res.setHeader('Content-Disposition', `attachment; filename="${filename}.${extension}"`);
+      return res.send(body);
+    }
+
+    if (PAYROLL_FORMATS[format]) {
+      const adapter = PAYROLL_FORMATS[format];
+      res.setHeader('Content-Type', adapter.contentType);
+      res.setHeader('Content-Disposition', `attachment; filename="${filename}.${adapter.extension}"`);
+      return res.send(adapter.render(rows));
+    }
+
+    res.json({
+      success: true,
+      data: {
+        from,
+        to,
+        employees: rows,
+      },
+    });
+  })
+);
+
+/**
+ * GET /api/v1/reports/visitor-log
+ * Visitor passes whose window overlaps the period, with the first and last accepted scan
+ * and the number of refused scans of each
+ * Roles: incubation_head (all companies), company_admin (own company only)
+ */
+router.get(
+  '/visitor-log',
+  authorize('incubation_head', 'company_admin'),
+  [
+    query('company_id').optional().isUUID(),
+    query('from').isISO8601(),
+    query('to').isISO8601(),
+    query('format').optional().isIn(['json', 'csv']),
+  ],
+  asyncHandler(async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'VALIDATION_ERROR',
+          details: errors.array(),
+        },
+      });
+    }
+
+    const { role, company_id: user_company_id } = req.user;
+    const { company_id, format = 'json' } = req.query;
+    const from = req.query.from.slice(0, 10);
+    const to = req.query.to.slice(0, 10);
+
+    const sanitizedCompanyId = (company_id && company_id !== 'null' && company_id !== '') ? company_id : null;
+    const effectiveCompanyId = role === 'company_admin' ? user_company_id : sanitizedCompanyId;
+
+    // Padded UTC bounds; each pass and scan is then matched against its company-local period
+    const paddedStart = `${addDays(from, -1)}T00:00:00Z`;
+    const paddedEnd = `${addDays(to, 2)}T00:00:00Z`;
+    const timeZoneOf = (pass) => pass.companies?.timezone || DEFAULT_TIMEZONE;
+    const periodOf = (pass) => ({
+      start: getZonedDateBounds(from, timeZoneOf(pass)).start,
+      end: getZonedDateBounds(to, timeZoneOf(pass)).end,
+    });
+
+    let passesQuery = supabase
+      .from('visitor_passes')
+      .select(`
+        id,
+        tag_uid,
+        visitor_name,
+        visitor_company,
+        visitor_type,
+        valid_from,
+        valid_until,
+        status,
+        returned_at,
+        employees:host_employee_id (name, employee_id),
+        companies (name, timezone)
+      `)
+      .lt('valid_from', paddedEnd)
+      .gte('valid_until', paddedStart)
+      .order('valid_from', { ascending: true });
+
+    if (effectiveCompanyId) {
+      passesQuery = passesQuery.eq('company_id', effectiveCompanyId);
+    }
+
+    const { data: candidates, error } = await passesQuery;
+
+    if (error) throw new Error(error.message);
+
+    const periods = new Map();
+    const passes = candidates.filter(pass => {
+      const period = periodOf(pass);
+      periods.set(pass.id, period);
+      return new Date(pass.valid_from) < period.end && new Date(pass.valid_until) >= period.start;
+    });
+
+    const scansByPass = new Map();
+    if (passes.length > 0) {
+      const { data: scans, error: scansError } = await supabase
+        .from('visitor_scans')
+        .select('pass_id, recorded_at, accepted')
+        .in('pass_id', passes.map(pass => pass.id))
+        .gte('recorded_at', paddedStart)
+        .lt('recorded_at', paddedEnd)
+        .order('recorded_at', { ascending: true });
+
+      if (scansError) throw new Error(scansError.message);
+
+      scans.forEach(scan => {
+        const period = periods.get(scan.pass_id);
+        const recordedAt = new Date(scan.recorded_at);
+        if (recordedAt < period.start || recordedAt >= period.end) return;
+
+        if (!scansByPass.has(scan.pass_id)) {
+          scansByPass.set(scan.pass_id, []);
+        }
+        scansByPass.get(scan.pass_id).push(scan);
+      });
+    }
+
+    const log = passes.map(pass => {
+      const scans = scansByPass.get(pass.id) || [];
+      const accepted = scans.filter(scan => scan.accepted);
+
+      return {
+        ...pass,
+        first_scan: accepted[0]?.recorded_at || null,
+        last_scan: accepted[accepted.length - 1]?.recorded_at || null,
+        accepted_scans: accepted.length,
+        refused_scans: scans.length - accepted.length,
+      };
+    });
+
+    if (format === 'csv') {
+      // Times in the pass company's timezone
+      const formatTime = (value, timeZone) => (value ? new Date(value).toLocaleString('en-US', {
+        timeZone,
+        year: 'numeric',
+        month: '2-digit',
+        day: '2-digit',
+        hour: '2-digit',
+        minute: '2-digit',
+        hourCycle: 'h23'
+      }) : '');
+
+      const headers = [
+        'Visitor', 'Visitor Company', 'Type', 'Host', 'Host ID', 'Company', 'Badge',
+        'Valid From', 'Valid Until', 'Status', 'First Scan', 'Last Scan', 'Scans', 'Refused Scans',
+      ];
+      const rows = log.map(entry => [
+        entry.visitor_name,
+        entry.visitor_company || '',
+        entry.visitor_type,
+        entry.employees?.name || 'Unknown',
+        entry.employees?.employee_id || '',
+        entry.companies?.name || 'Unknown',
+        entry.tag_uid,
+        formatTime(entry.valid_from, timeZoneOf(entry)),
+        formatTime(entry.valid_until, timeZoneOf(entry)),
+        entry.status,
+        formatTime(entry.first_scan, timeZoneOf(entry)),
+        formatTime(entry.last_scan, timeZoneOf(entry)),
+        entry.accepted_scans,
+        entry.refused_scans,
+      ]);
+
+      const csv = [headers, ...rows]
+        .map(row => row.map(cell => `"${String(cell).replace(/"/g, '""')}"`).join(','))
+        .join('\n');
+
+      res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+      res.setHeader('Content-Disposition', `attachment; filename="visitor_log_${from}_${to}.csv"`);
+      return res.send(csv);
+    }
+
+    res.json({
+      success: true,
+      data: {
+        from,
+        to,
+        passes: log,
+      },
+    });
+  })
+);
+
+/**
+ * GET /api/v1/reports/attendance-status
+ * Each employee's days classified against their shift: on_time, late, early_leave, half_day,
+ * absent, weekly_off, unscheduled (no shift) or scheduled (shift not over yet)
+ * Query: from, to (up to 93 days), company_id, employee_id, status, format (json|csv)
+ * Roles: incubation_head (all companies), company_admin (own company only)
+ */
+router.get(
+  '/attendance-status',
+  authorize('incubation_head', 'company_admin'),
+  [
+    query('company_id').optional({ values: 'falsy' }).isUUID(),
+    query('employee_id').optional({ values: 'falsy' }).isUUID(),
+    query('from').isISO8601({ strict: true }),
+    query('to').isISO8601({ strict: true }),
+    query('status').optional({ values: 'falsy' }).isIn(ATTENDANCE_STATUSES),
+    query('format').optional().isIn(['json', 'csv']),
+  ],
+  asyncHandler(async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'VALIDATION_ERROR',
+          details: errors.array(),
+        },
       });
+    }
+
+    const { role, company_id: user_company_id } = req.user;
+    const { company_id, employee_id, status, format = 'json' } = req.query;
+    const from = req.query.from.slice(0, 10);
+    const to = req.query.to.slice(0, 10);
+
+    if (from > to || addDays(from, MAX_STATUS_RANGE_DAYS) <= to) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'VALIDATION_ERROR',
+          message: `from must not be after to, and the range is limited to ${MAX_STATUS_RANGE_DAYS} days`,
+        },
+      });
+    }
+
+    const effectiveCompanyId = role === 'company_admin' ? user_company_id : (company_id || null);
+
+    const { days, summary } = await buildAttendanceDays({
+      companyId: effectiveCompanyId,
+      employeeId: employee_id || null,
+      from,
+      to,
+    });
+
+    const filtered = status ? days.filter(day => day.status === status) : days;
+
+    if (format === 'csv') {
+      // Times in the employee company's timezone, like the days themselves
+      const formatTime = (value, timeZone) => (value ? new Date(value).toLocaleString('en-US', {
+        timeZone,
+        year: 'numeric',
+        month: '2-digit',
+        day: '2-digit',
+        hour: '2-digit',
+        minute: '2-digit',
+        hourCycle: 'h23'
+      }) : '');
+
+      const headers = [
+        'Date', 'Employee', 'Employee ID', 'Company', 'Shift', 'Status', 'First In', 'Last Out',
+        'Worked Minutes', 'Late Minutes', 'Early Leave Minutes', 'Missing Punch', 'Holiday / Leave',
+      ];
+      const rows = filtered.map(day => [
+        day.date,
+        day.employee_name,
+        day.employee_code || '',
+        day.company_name,
+        day.shift_name || '',
+        day.status,
+        formatTime(day.first_in, day.timezone),
+        formatTime(day.last_out, day.timezone),
+        day.worked_minutes,
+        day.late_minutes ?? '',
+        day.early_leave_minutes ?? '',
+        day.missing_punch ? 'yes' : '',
+        day.holiday_name || day.leave_type || '',
+      ]);
 
       const csv = [headers, ...rows]
-        .map(row => row.map(cell => `"${cell}"`).join(','))
+        .map(row => row.map(cell => `"${String(cell).replace(/"/g, '""')}"`).join(','))
         .join('\n');
 
       res.setHeader('Content-Type', 'text/csv; charset=utf-8');
-      res.setHeader('Content-Disposition', `attachment; filename="attendance_${from}_${to}.csv"`);
-      res.send(csv);
+      res.setHeader('Content-Disposition', `attachment; filename="attendance_status_${from}_${to}.csv"`);
+      return res.send(csv);
     }
+
+    res.json({
+      success: true,
+      data: {
+        from,
+        to,
+        summary,
+        days: filtered,
+      },
+    });
   })
 );
 
@@ -0,0 +1,101 @@
+import express from 'express';
+import { query, validationResult } from 'express-validator';
+import { supabase } from '../config/database.js';
+import { authenticate, authorize } from '../middleware/auth.js';
+import { asyncHandler } from '../middleware/errorHandler.js';
+import { MAX_SESSION_RANGE_DAYS, buildTimesheet } from '../utils/sessions.js';
+import { addDays } from '../utils/shifts.js';
+
+const router = express.Router();
+
+router.use(authenticate);
+router.use(authorize('employee'));
+
+/**
+ * Load the employee record behind the caller's self-service account
+ */
+async function findOwnEmployee(req) {
+  const { data: employee, error } = await supabase
+    .from('employees')
+    .select('id, name, employee_id, designation, company_id, is_active, companies (name, timezone)')
+    .eq('id', req.user.employee_id)
+    .single();
+
+  if (error) {
+    throw new Error(error.message);
+  }
+
+  return employee;
+}
+
+/**
+ * GET /api/v1/self
+ * The caller's employee profile
+ * Roles: employee
+ */
+router.get(
+  '/',
+  asyncHandler(async (req, res) => {
+    res.json({
+      success: true,
+      data: await findOwnEmployee(req),
+    });
+  })
+);
+
+/**
+ * GET /api/v1/self/timesheet
+ * The caller's own timesheet, same shape as GET /employees/:id/timesheet.
+ * Defaults to the current month so far
+ * Query: from, to (up to 93 days)
+ * Roles: employee
+ */
+router.get(
+  '/timesheet',
+  [
+    query('from').optional().isISO8601({ strict: true }),
+    query('to').optional().isISO8601({ strict: true }),
+  ],
+  asyncHandler(async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'VALIDATION_ERROR',
+          details: errors.array(),
+        },
+      });
+    }
+
+    const today = new Date().toISOString().split('T')[0];
+    const to = req.query.to ? req.query.to.slice(0, 10) : today;
+    const from = req.query.from ? req.query.from.slice(0, 10) : `${to.slice(0, 7)}-01`;
+
+    if (from > to || addDays(from, MAX_SESSION_RANGE_DAYS) <= to) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'VALIDATION_ERROR',
+          message: `from must not be after to, and the range is limited to ${MAX_SESSION_RANGE_DAYS} days`,
+        },
+      });
+    }
+
+    const employee = await findOwnEmployee(req);
+    const { totals, days } = await buildTimesheet(employee, from, to);
+
+    res.json({
+      success: true,
+      data: {
+        employee,
+        from,
+        to,
+        totals,
+        days,
+      },
+    });
+  })
+);
+
+export default router;
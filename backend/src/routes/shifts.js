@@ -0,0 +1,571 @@
+import express from 'express';
+import { body, validationResult } from 'express-validator';
+import { supabase } from '../config/database.js';
+import { authenticate, authorize } from '../middleware/auth.js';
+import { asyncHandler } from '../middleware/errorHandler.js';
+import { addDays } from '../utils/shifts.js';
+import logger from '../utils/logger.js';
+
+const router = express.Router();
+
+router.use(authenticate);
+router.use(authorize('incubation_head', 'company_admin'));
+
+// Wall-clock times as HH:MM (seconds optional)
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d(:[0-5]\d)?$/;
+
+const SHIFT_FIELDS = [
+  'name',
+  'start_time',
+  'end_time',
+  'late_grace_minutes',
+  'early_leave_grace_minutes',
+  'break_minutes',
+  'half_day_minutes',
+  'full_day_minutes',
+  'work_days',
+  'is_default',
+  'is_active',
+];
+
+/**
+ * Validators shared by create and update; `required` marks the fields a new shift needs
+ */
+const shiftValidators = (required) => {
+  const field = (name) => (required ? body(name) : body(name).optional());
+
+  return [
+    field('name').trim().notEmpty().isLength({ max: 100 }).withMessage('name required (max 100 characters)'),
+    field('start_time').matches(TIME_PATTERN).withMessage('start_time must be HH:MM'),
+    field('end_time').matches(TIME_PATTERN).withMessage('end_time must be HH:MM'),
+    body('late_grace_minutes').optional().isInt({ min: 0, max: 240 }),
+    body('early_leave_grace_minutes').optional().isInt({ min: 0, max: 240 }),
+    body('break_minutes').optional().isInt({ min: 0, max: 480 }),
+    body('half_day_minutes').optional().isInt({ min: 0, max: 1440 }),
+    body('full_day_minutes').optional({ values: 'null' }).isInt({ min: 0, max: 1440 }),
+    body('work_days').optional().isArray({ min: 1, max: 7 }).withMessage('work_days must list 1-7 weekdays'),
+    body('work_days.*').isInt({ min: 1, max: 7 }).withMessage('weekdays are 1 (Monday) to 7 (Sunday)'),
+    body('is_default').optional().isBoolean(),
+    body('is_active').optional().isBoolean(),
+  ];
+};
+
+/**
+ * Load a shift the caller may manage, or send 404/403
+ */
+async function findManagedShift(req, res, shiftId = req.params.id) {
+  const { role, company_id: user_company_id } = req.user;
+
+  const { data: shift, error } = await supabase
+    .from('shifts')
+    .select('*')
+    .eq('id', shiftId)
+    .maybeSingle();
+
+  if (error) {
+    throw new Error(error.message);
+  }
+
+  if (!shift) {
+    res.status(404).json({
+      success: false,
+      error: { code: 'NOT_FOUND', message: 'Shift not found' },
+    });
+    return null;
+  }
+
+  if (role !== 'incubation_head' && String(user_company_id) !== String(shift.company_id)) {
+    res.status(403).json({
+      success: false,
+      error: { code: 'FORBIDDEN', message: 'Access denied to this company' },
+    });
+    return null;
+  }
+
+  return shift;
+}
+
+/**
+ * Make `shiftId` the only default shift of its company
+ */
+async function clearOtherDefaults(companyId, shiftId) {
+  let query = supabase
+    .from('shifts')
+    .update({ is_default: false })
+    .eq('company_id', companyId)
+    .eq('is_default', true);
+
+  if (shiftId) {
+    query = query.neq('id', shiftId);
+  }
+
+  const { error } = await query;
+
+  if (error) {
+    throw new Error(error.message);
+  }
+}
+
+/**
+ * GET /api/v1/shifts
+ * Shifts with the number of employees currently assigned
+ * Query: company_id (incubation head), include_inactive
+ * Roles: incubation_head (all), company_admin (own company)
+ */
+router.get(
+  '/',
+  asyncHandler(async (req, res) => {
+    const { role, company_id: user_company_id } = req.user;
+    const { company_id, include_inactive } = req.query;
+
+    let query = supabase
+      .from('shifts')
+      .select('*, companies (id, name)')
+      .order('name', { ascending: true });
+
+    if (role !== 'incubation_head') {
+      query = query.eq('company_id', user_company_id);
+    } else if (company_id) {
+      query = query.eq('company_id', company_id);
+    }
+
+    if (include_inactive !== 'true') {
+      query = query.eq('is_active', true);
+    }
+
+    const { data, error } = await query;
+
+    if (error) {
+      throw new Error(error.message);
+    }
+
+    const today = new Date().toISOString().split('T')[0];
+    const { data: assignments, error: assignmentsError } = data.length > 0
+      ? await supabase
+        .from('employee_shifts')
+        .select('shift_id, employee_id')
+        .in('shift_id', data.map(shift => shift.id))
+        .lte('effective_from', today)
+        .or(`effective_to.is.null,effective_to.gte.${today}`)
+      : { data: [], error: null };
+
+    if (assignmentsError) {
+      throw new Error(assignmentsError.message);
+    }
+
+    const employeeCounts = {};
+    assignments.forEach(assignment => {
+      employeeCounts[assignment.shift_id] = (employeeCounts[assignment.shift_id] || 0) + 1;
+    });
+
+    res.json({
+      success: true,
+      data: data.map(shift => ({ ...shift, employee_count: employeeCounts[shift.id] || 0 })),
+    });
+  })
+);
+
+/**
+ * POST /api/v1/shifts
+ * Define a shift; an end time at or before the start time makes it overnight.
+ * `is_default: true` makes it the shift of employees without an assignment
+ * Roles: incubation_head (company_id required), company_admin (own company)
+ */
+router.post(
+  '/',
+  [
+    body('company_id').optional().isUUID(),
+    ...shiftValidators(true),
+  ],
+  asyncHandler(async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'VALIDATION_ERROR',
+          details: errors.array(),
+        },
+      });
+    }
+
+    const { role, company_id: user_company_id } = req.user;
+    const companyId = role === 'incubation_head' ? req.body.company_id : user_company_id;
+
+    if (!companyId) {
+      return res.status(400).json({
+        success: false,
+        error: { code: 'VALIDATION_ERROR', message: 'company_id required' },
+      });
+    }
+
+    if (req.body.start_time === req.body.end_time) {
+      return res.status(400).json({
+        success: false,
+        error: { code: 'VALIDATION_ERROR', message: 'start_time and end_time must differ' },
+      });
+    }
+
+    const fields = Object.fromEntries(SHIFT_FIELDS
+      .filter(key => req.body[key] !== undefined)
+      .map(key => [key, req.body[key]]));
+
+    if (fields.is_default) {
+      await clearOtherDefaults(companyId, null);
+    }
+
+    const { data, error } = await supabase
+      .from('shifts')
+      .insert({ ...fields, company_id: companyId })
+      .select()
+      .single();
+
+    if (error?.code === '23505') {
+      return res.status(409).json({
+        success: false,
+        error: { code: 'SHIFT_EXISTS', message: 'The company already has a shift with this name' },
+      });
+    }
+
+    if (error?.code === '23503') {
+      return res.status(404).json({
+        success: false,
+        error: { code: 'NOT_FOUND', message: 'Company not found' },
+      });
+    }
+
+    if (error) {
+      throw new Error(error.message);
+    }
+
+    logger.info(`Shift created: ${data.name} (${data.start_time}-${data.end_time}) by ${req.user.username}`);
+
+    res.status(201).json({ success: true, data });
+  })
+);
+
+/**
+ * PUT /api/v1/shifts/:id
+ * Update a shift. Reports are computed on the fly, so past days are reclassified too
+ * Roles: incubation_head (all), company_admin (own company)
+ */
+router.put(
+  '/:id',
+  shiftValidators(false),
+  asyncHandler(async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'VALIDATION_ERROR',
+          details: errors.array(),
+        },
+      });
+    }
+
+    const shift = await findManagedShift(req, res);
+    if (!shift) return;
+
+    const fields = Object.fromEntries(SHIFT_FIELDS
+      .filter(key => req.body[key] !== undefined)
+      .map(key => [key, req.body[key]]));
+
+    // A deactivated shift cannot stay the default
+    if (fields.is_active === false) {
+      fields.is_default = false;
+    }
+
+    const startTime = fields.start_time || shift.start_time;
+    const endTime = fields.end_time || shift.end_time;
+    if (startTime.slice(0, 5) === endTime.slice(0, 5)) {
+      return res.status(400).json({
+        success: false,
+        error: { code: 'VALIDATION_ERROR', message: 'start_time and end_time must differ' },
+      });
+    }
+
+    if (fields.is_default) {
+      await clearOtherDefaults(shift.company_id, shift.id);
+    }
+
+    const { data, error } = await supabase
+      .from('shifts')
+      .update(fields)
+      .eq('id', shift.id)
+      .select()
+      .single();
+
+    if (error?.code === '23505') {
+      return res.status(409).json({
+        success: false,
+        error: { code: 'SHIFT_EXISTS', message: 'The company already has a shift with this name' },
+      });
+    }
+
+    if (error) {
+      throw new Error(error.message);
+    }
+
+    res.json({ success: true, data });
+  })
+);
+
+/**
+ * DELETE /api/v1/shifts/:id
+ * Delete a shift that was never assigned; assigned shifts are deactivated instead
+ * Roles: incubation_head (all), company_admin (own company)
+ */
+router.delete(
+  '/:id',
+  asyncHandler(async (req, res) => {
+    const shift = await findManagedShift(req, res);
+    if (!shift) return;
+
+    const { count, error: countError } = await supabase
+      .from('employee_shifts')
+      .select('id', { count: 'exact', head: true })
+      .eq('shift_id', shift.id);
+
+    if (countError) {
+      throw new Error(countError.message);
+    }
+
+    if (count > 0) {
+      return res.status(409).json({
+        success: false,
+        error: { code: 'SHIFT_IN_USE', message: 'Shift has assignments; deactivate it instead to keep past reports intact' },
+      });
+    }
+
+    const { error } = await supabase
+      .from('shifts')
+      .delete()
+      .eq('id', shift.id);
+
+    if (error) {
+      throw new Error(error.message);
+    }
+
+    logger.info(`Shift deleted: ${shift.name} by ${req.user.username}`);
+
+    res.json({ success: true, message: 'Shift deleted' });
+  })
+);
+
+/**
+ * GET /api/v1/shifts/assignments
+ * Shift assignments, latest first
+ * Query: employee_id, shift_id, company_id (incubation head), current (only those in effect today)
+ * Roles: incubation_head (all), company_admin (own company)
+ */
+router.get(
+  '/assignments',
+  asyncHandler(async (req, res) => {
+    const { role, company_id: user_company_id } = req.user;
+    const { employee_id, shift_id, company_id, current } = req.query;
+
+    let query = supabase
+      .from('employee_shifts')
+      .select('*, shifts (id, name, start_time, end_time, work_days), employees (id, name, employee_id)')
+      .order('effective_from', { ascending: false })
+      .limit(1000);
+
+    if (role !== 'incubation_head') {
+      query = query.eq('company_id', user_company_id);
+    } else if (company_id) {
+      query = query.eq('company_id', company_id);
+    }
+
+    if (employee_id) {
+      query = query.eq('employee_id', employee_id);
+    }
+
+    if (shift_id) {
+      query = query.eq('shift_id', shift_id);
+    }
+
+    if (current === 'true') {
+      const today = new Date().toISOString().split('T')[0];
+      query = query
+        .lte('effective_from', today)
+        .or(`effective_to.is.null,effective_to.gte.${today}`);
+    }
+
+    const { data, error } = await query;
+
+    if (error) {
+      throw new Error(error.message);
+    }
+
+    res.json({ success: true, data });
+  })
+);
+
+/**
+ * POST /api/v1/shifts/assignments
+ * Assign a shift to employees from a date, optionally only on some weekdays (a weekly pattern
+ * is several such assignments). Earlier open-ended assignments sharing a weekday end the day before
+ * Roles: incubation_head (all), company_admin (own company)
+ */
+router.post(
+  '/assignments',
+  [
+    body('shift_id').isUUID().withMessage('shift_id required'),
+    body('employee_ids').isArray({ min: 1, max: 500 }).withMessage('employee_ids must list 1-500 employees'),
+    body('employee_ids.*').isUUID(),
+    body('effective_from').isISO8601({ strict: true }).withMessage('effective_from must be YYYY-MM-DD'),
+    body('effective_to').optional({ values: 'null' }).isISO8601({ strict: true }),
+    body('weekdays').optional({ values: 'null' }).isArray({ min: 1, max: 7 }),
+    body('weekdays.*').isInt({ min: 1, max: 7 }),
+  ],
+  asyncHandler(async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'VALIDATION_ERROR',
+          details: errors.array(),
+        },
+      });
+    }
+
+    const { employee_ids, weekdays = null } = req.body;
+    const effectiveFrom = req.body.effective_from.slice(0, 10);
+    const effectiveTo = req.body.effective_to ? req.body.effective_to.slice(0, 10) : null;
+
+    if (effectiveTo && effectiveTo < effectiveFrom) {
+      return res.status(400).json({
+        success: false,
+        error: { code: 'VALIDATION_ERROR', message: 'effective_to must not be before effective_from' },
+      });
+    }
+
+    const shift = await findManagedShift(req, res, req.body.shift_id);
+    if (!shift) return;
+
+    if (!shift.is_active) {
+      return res.status(409).json({
+        success: false,
+        error: { code: 'SHIFT_INACTIVE', message: 'Shift is deactivated' },
+      });
+    }
+
+    const employeeIds = [...new Set(employee_ids)];
+    const { data: employees, error: employeesError } = await supabase
+      .from('employees')
+      .select('id')
+      .eq('company_id', shift.company_id)
+      .in('id', employeeIds);
+
+    if (employeesError) {
+      throw new Error(employeesError.message);
+    }
+
+    if (employees.length !== employeeIds.length) {
+      return res.status(400).json({
+        success: false,
+        error: { code: 'VALIDATION_ERROR', message: 'Every employee must belong to the shift\'s company' },
+      });
+    }
+
+    // Close earlier assignments still running on the new start date, where weekdays overlap
+    const newDays = weekdays || shift.work_days;
+    const { data: running, error: runningError } = await supabase
+      .from('employee_shifts')
+      .select('id, weekdays, shifts (work_days)')
+      .in('employee_id', employeeIds)
+      .lt('effective_from', effectiveFrom)
+      .or(`effective_to.is.null,effective_to.gte.${effectiveFrom}`);
+
+    if (runningError) {
+      throw new Error(runningError.message);
+    }
+
+    const superseded = running
+      .filter(assignment => (assignment.weekdays || assignment.shifts.work_days).some(day => newDays.includes(day)))
+      .map(assignment => assignment.id);
+
+    if (superseded.length > 0) {
+      const { error: closeError } = await supabase
+        .from('employee_shifts')
+        .update({ effective_to: addDays(effectiveFrom, -1) })
+        .in('id', superseded);
+
+      if (closeError) {
+        throw new Error(closeError.message);
+      }
+    }
+
+    const { data, error } = await supabase
+      .from('employee_shifts')
+      .insert(employeeIds.map(employeeId => ({
+        employee_id: employeeId,
+        shift_id: shift.id,
+        company_id: shift.company_id,
+        effective_from: effectiveFrom,
+        effective_to: effectiveTo,
+        weekdays,
+        created_by: req.user.id,
+      })))
+      .select();
+
+    if (error) {
+      throw new Error(error.message);
+    }
+
+    logger.info(`Shift ${shift.name} assigned to ${data.length} employee(s) from ${effectiveFrom} by ${req.user.username}`);
+
+    res.status(201).json({
+      success: true,
+      data,
+      superseded: superseded.length,
+    });
+  })
+);
+
+/**
+ * DELETE /api/v1/shifts/assignments/:id
+ * Remove a shift assignment
+ * Roles: incubation_head (all), company_admin (own company)
+ */
+router.delete(
+  '/assignments/:id',
+  asyncHandler(async (req, res) => {
+    const { role, company_id: user_company_id } = req.user;
+
+    const { data: assignment } = await supabase
+      .from('employee_shifts')
+      .select('id, company_id')
+      .eq('id', req.params.id)
+      .maybeSingle();
+
+    if (!assignment) {
+      return res.status(404).json({
+        success: false,
+        error: { code: 'NOT_FOUND', message: 'Shift assignment not found' },
+      });
+    }
+
+    if (role !== 'incubation_head' && String(user_company_id) !== String(assignment.company_id)) {
+      return res.status(403).json({
+        success: false,
+        error: { code: 'FORBIDDEN', message: 'Access denied to this company' },
+      });
+    }
+
+    const { error } = await supabase
+      .from('employee_shifts')
+      .delete()
+      .eq('id', assignment.id);
+
+    if (error) {
+      throw new Error(error.message);
+    }
+
+    res.json({ success: true, message: 'Shift assignment removed' });
+  })
+);
+
+export default router;
@@ -1,22 +1,42 @@
 import express from 'express';
-import { body } from 'express-validator';
+import { body, query as queryParam, validationResult } from 'express-validator';
 import { supabase } from '../config/database.js';
-import { authenticate, checkCompanyAccess } from '../middleware/auth.js';
+import { authenticate, authorize, checkCompanyAccess } from '../middleware/auth.js';
 import { asyncHandler } from '../middleware/errorHandler.js';
+import { UNKNOWN_SCAN_REASONS } from '../utils/unknownScans.js';
+import { ENROLLMENT_TIMEOUT, expireEnrollmentSessions, finishEnrollment } from '../utils/tagEnrollment.js';
+import {
+  TAG_STATUSES,
+  BLOCKED_TAG_STATUSES,
+  findTagByUid,
+  findTagsByUids,
+  isHeldByOther,
+  assignTag,
+} from '../utils/rfidTags.js';
+import { parseCsv, csvRecords } from '../utils/csv.js';
+import logger from '../utils/logger.js';
 
 const router = express.Router();
 
+// Largest CSV accepted by the import and bulk assign endpoints
+const MAX_CSV_ROWS = 5000;
+const MAX_CSV_SIZE = '1mb';
+
+// UIDs as reported by the readers: hex bytes, usually colon separated
+const TAG_UID_PATTERN = /^[0-9A-Z][0-9A-Z:-]{2,99}$/;
+
 router.use(authenticate);
 
 /**
  * GET /api/v1/tags
  * Get all RFID tags
+ * Query: assigned (true|false), status (lifecycle state), batch, search (UID fragment)
  */
 router.get(
   '/',
   asyncHandler(async (req, res) => {
     const { role, company_id } = req.user;
-    const { assigned, company_id: query_company_id, limit = 50, offset = 0 } = req.query;
+    const { assigned, status, batch, search, company_id: query_company_id, limit = 50, offset = 0 } = req.query;
 
     let query = supabase
       .from('rfid_tags')
@@ -36,13 +56,25 @@ router.get(
       query = query.not('employee_id', 'is', null);
     }
 
+    if (status && TAG_STATUSES.includes(status)) {
+      query = query.eq('status', status);
+    }
+
+    if (batch) {
+      query = query.eq('batch', batch);
+    }
+
+    if (search) {
+      query = query.ilike('uid', `%${search}%`);
+    }
+
     // Filter by company for company admins and technicians
-    // They can ONLY see their own company (ignore query params)
+    // They can ONLY see their own company's tags, held or in stock (ignore query params)
     if ((role === 'company_admin' || role === 'technician') && company_id) {
-      query = query.eq('employees.company_id', company_id);
+      query = query.eq('company_id', company_id);
     } else if (role === 'incubation_head' && query_company_id) {
       // incubation_head can filter by company or see all
-      query = query.eq('employees.company_id', query_company_id);
+      query = query.eq('company_id', query_company_id);
     }
 
     query = query
@@ -68,104 +100,1230 @@ router.get(
 );
 
 /**
- * POST /api/v1/tags/assign
- * Assign tag to employee
+ * Company a bulk tag operation acts on: company admins always act on their own,
+ * others on the requested one (null when none was requested).
+ * Sends 403/404 and returns undefined when it cannot be used
+ */
+async function resolveTargetCompany(req, res, requested) {
+  const { role, company_id: user_company_id } = req.user;
+
+  if (role === 'company_admin') {
+    if (requested && String(requested) !== String(user_company_id)) {
+      res.status(403).json({
+        success: false,
+        error: { code: 'FORBIDDEN', message: 'Access denied to this company' },
+      });
+      return undefined;
+    }
+    return user_company_id;
+  }
+
+  if (!requested) {
+    return null;
+  }
+
+  const { data: company } = await supabase
+    .from('companies')
+    .select('id')
+    .eq('id', requested)
+    .maybeSingle();
+
+  if (!company) {
+    res.status(404).json({
+      success: false,
+      error: { code: 'NOT_FOUND', message: 'Company not found' },
+    });
+    return undefined;
+  }
+
+  return company.id;
+}
+
+/**
+ * Parse an uploaded CSV into records, or send 400 and return null
+ */
+function readCsvUpload(req, res, columns) {
+  if (typeof req.body !== 'string' || !req.body.trim()) {
+    res.status(400).json({
+      success: false,
+      error: { code: 'EMPTY_CSV', message: 'Send the CSV as text/csv' },
+    });
+    return null;
+  }
+
+  const records = csvRecords(parseCsv(req.body), columns);
+
+  if (records.length === 0 || records.length > MAX_CSV_ROWS) {
+    res.status(400).json({
+      success: false,
+      error: { code: 'VALIDATION_ERROR', message: `CSV must have 1-${MAX_CSV_ROWS} rows` },
+    });
+    return null;
+  }
+
+  return records;
+}
+
+/**
+ * Count results per status, starting every listed status at zero
+ */
+function summarize(results, statuses) {
+  const summary = Object.fromEntries(statuses.map(status => [status, 0]));
+  results.forEach(result => {
+    summary[result.status] += 1;
+  });
+  return summary;
+}
+
+/**
+ * GET /api/v1/tags/stock
+ * Unassigned tags in stock (from the unassigned_tags view) with a count per company;
+ * centre stock not yet given to a company has a null company_id
+ * Query: company_id (incubation head), batch
+ * Roles: incubation_head, technician (all), company_admin (own company)
+ */
+router.get(
+  '/stock',
+  authorize('incubation_head', 'technician', 'company_admin'),
+  asyncHandler(async (req, res) => {
+    const { role, company_id: user_company_id } = req.user;
+    const { company_id, batch } = req.query;
+
+    let query = supabase
+      .from('unassigned_tags')
+      .select('*')
+      .order('created_at', { ascending: false });
+
+    if (role === 'company_admin') {
+      query = query.eq('company_id', user_company_id);
+    } else if (company_id === 'none') {
+      query = query.is('company_id', null);
+    } else if (company_id) {
+      query = query.eq('company_id', company_id);
+    }
+
+    if (batch) {
+      query = query.eq('batch', batch);
+    }
+
+    const { data, error } = await query;
+
+    if (error) {
+      throw new Error(error.message);
+    }
+
+    const companies = new Map();
+    data.forEach(tag => {
+      const key = tag.company_id || 'none';
+      if (!companies.has(key)) {
+        companies.set(key, {
+          company_id: tag.company_id,
+          company_name: tag.company_name,
+          count: 0,
+          batches: {},
+        });
+      }
+      const entry = companies.get(key);
+      entry.count += 1;
+      if (tag.batch) {
+        entry.batches[tag.batch] = (entry.batches[tag.batch] || 0) + 1;
+      }
+    });
+
+    res.json({
+      success: true,
+      data: {
+        tags: data,
+        by_company: [...companies.values()],
+      },
+    });
+  })
+);
+
+/**
+ * POST /api/v1/tags/import
+ * Register a CSV of tag UIDs (text/csv, one `uid` per row, header optional) as stock
+ * Query: batch (required), company_id (stock the tags for a company), dry_run
+ * Per-row status: created, exists (UID already registered, left untouched), duplicate, invalid
+ * Roles: incubation_head, technician (any company or centre stock), company_admin (own company)
  */
 router.post(
-  '/assign',
+  '/import',
+  authorize('incubation_head', 'technician', 'company_admin'),
+  express.text({ type: 'text/csv', limit: MAX_CSV_SIZE }),
   [
-    body('tag_uid').notEmpty(),
-    body('employee_id').notEmpty(),
+    queryParam('batch').trim().notEmpty().isLength({ max: 100 }).withMessage('batch required (max 100 characters)'),
+    queryParam('company_id').optional({ values: 'falsy' }).isUUID(),
+    queryParam('dry_run').optional().isBoolean(),
+  ],
+  asyncHandler(async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'VALIDATION_ERROR',
+          details: errors.array(),
+        },
+      });
+    }
+
+    const { batch } = req.query;
+    const dryRun = req.query.dry_run === 'true';
+
+    const companyId = await resolveTargetCompany(req, res, req.query.company_id);
+    if (companyId === undefined) return;
+
+    const records = readCsvUpload(req, res, ['uid']);
+    if (!records) return;
+
+    const seen = new Set();
+    const results = records.map(({ line, uid: rawUid }) => {
+      const uid = rawUid.toUpperCase();
+
+      if (!TAG_UID_PATTERN.test(uid)) {
+        return { line, uid: rawUid, status: 'invalid', reason: 'Not a tag UID' };
+      }
+      if (seen.has(uid)) {
+        return { line, uid, status: 'duplicate' };
+      }
+      seen.add(uid);
+      return { line, uid, status: null };
+    });
+
+    const existing = await findTagsByUids([...seen]);
+    results.forEach(result => {
+      if (result.status === null && existing.has(result.uid)) {
+        const tag = existing.get(result.uid);
+        Object.assign(result, { status: 'exists', tag_status: tag.status });
+      }
+    });
+
+    const toCreate = results.filter(result => result.status === null);
+
+    if (!dryRun) {
+      // Tags registered meanwhile are skipped by the upsert and reported as existing
+      const created = new Set();
+      for (let i = 0; i < toCreate.length; i += 500) {
+        const { data, error } = await supabase
+          .from('rfid_tags')
+          .upsert(
+            toCreate.slice(i, i + 500).map(result => ({ uid: result.uid, batch, company_id: companyId })),
+            { onConflict: 'uid', ignoreDuplicates: true }
+          )
+          .select('uid');
+
+        if (error) {
+          throw new Error(error.message);
+        }
+
+        (data || []).forEach(tag => created.add(tag.uid));
+      }
+
+      toCreate.forEach(result => {
+        result.status = created.has(result.uid) ? 'created' : 'exists';
+      });
+
+      logger.info(`Tag import: ${created.size} tag(s) in batch ${batch} by ${req.user.username}`);
+    } else {
+      toCreate.forEach(result => {
+        result.status = 'created';
+      });
+    }
+
+    res.status(dryRun ? 200 : 201).json({
+      success: true,
+      data: {
+        batch,
+        company_id: companyId,
+        dry_run: dryRun,
+        results,
+        summary: summarize(results, ['created', 'exists', 'duplicate', 'invalid']),
+      },
+    });
+  })
+);
+
+/**
+ * POST /api/v1/tags/bulk-assign
+ * Assign tags from a CSV of `employee_id,tag_uid` rows (text/csv, header optional);
+ * employee_id is the company's staff ID. Unregistered UIDs are registered on assignment
+ * Query: company_id (required for the incubation head), dry_run (preview without assigning)
+ * Per-row status: assigned (in a dry run: would be assigned), unchanged, conflict (with a reason),
+ * invalid. Conflicting and invalid rows are skipped; the others are assigned
+ * Roles: incubation_head (any company), company_admin (own company)
+ */
+router.post(
+  '/bulk-assign',
+  authorize('incubation_head', 'company_admin'),
+  express.text({ type: 'text/csv', limit: MAX_CSV_SIZE }),
+  [
+    queryParam('company_id').optional({ values: 'falsy' }).isUUID(),
+    queryParam('dry_run').optional().isBoolean(),
   ],
+  asyncHandler(async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'VALIDATION_ERROR',
+          details: errors.array(),
+        },
+      });
+    }
+
+    const dryRun = req.query.dry_run === 'true';
+
+    const companyId = await resolveTargetCompany(req, res, req.query.company_id);
+    if (companyId === undefined) return;
+
+    if (!companyId) {
+      return res.status(400).json({
+        success: false,
+        error: { code: 'VALIDATION_ERROR', message: 'company_id required' },
+      });
+    }
+
+    const records = readCsvUpload(req, res, ['employee_id', 'tag_uid']);
+    if (!records) return;
+
+    const results = records.map(({ line, employee_id, tag_uid }) => ({
+      line,
+      employee_id,
+      tag_uid: tag_uid.toUpperCase(),
+      status: null,
+    }));
+
+    // Rows must be complete and name each employee and tag once
+    const employeeRows = new Map();
+    const tagRows = new Map();
+    results.forEach(result => {
+      if (!result.employee_id || !TAG_UID_PATTERN.test(result.tag_uid)) {
+        Object.assign(result, { status: 'invalid', reason: 'employee_id and a tag UID are required' });
+        return;
+      }
+      employeeRows.set(result.employee_id, (employeeRows.get(result.employee_id) || 0) + 1);
+      tagRows.set(result.tag_uid, (tagRows.get(result.tag_uid) || 0) + 1);
+    });
+
+    const employees = new Map();
+    const staffIds = [...employeeRows.keys()];
+    for (let i = 0; i < staffIds.length; i += 200) {
+      const { data, error } = await supabase
+        .from('employees')
+        .select('id, employee_id, name, company_id, is_active, rfid_tags (uid, status)')
+        .eq('company_id', companyId)
+        .in('employee_id', staffIds.slice(i, i + 200));
+
+      if (error) {
+        throw new Error(error.message);
+      }
+
+      (data || []).forEach(employee => employees.set(employee.employee_id, employee));
+    }
+
+    const tags = await findTagsByUids([...tagRows.keys()]);
+
+    const conflict = (result, reason, message) => Object.assign(result, { status: 'conflict', reason, message });
+
+    results.forEach(result => {
+      if (result.status) return;
+
+      const employee = employees.get(result.employee_id);
+      const tag = tags.get(result.tag_uid);
+      const currentTag = employee?.rfid_tags?.find(held => held.status === 'assigned');
+
+      if (employeeRows.get(result.employee_id) > 1) {
+        return conflict(result, 'duplicate_employee', 'Employee appears on more than one row');
+      }
+      if (tagRows.get(result.tag_uid) > 1) {
+        return conflict(result, 'duplicate_tag', 'Tag appears on more than one row');
+      }
+      if (!employee) {
+        return conflict(result, 'employee_not_found', 'No employee with this ID in the company');
+      }
+
+      result.employee_name = employee.name;
+
+      if (!employee.is_active) {
+        return conflict(result, 'employee_inactive', 'Employee is inactive');
+      }
+      if (tag && String(tag.employee_id) === String(employee.id)) {
+        result.status = 'unchanged';
+        return;
+      }
+      if (tag && BLOCKED_TAG_STATUSES.includes(tag.status)) {
+        return conflict(result, 'tag_blocked', `Tag is marked ${tag.status}`);
+      }
+      if (tag?.is_visitor_pool) {
+        return conflict(result, 'tag_visitor_pool', 'Tag belongs to the visitor pool');
+      }
+      if (isHeldByOther(tag, employee.id)) {
+        return conflict(result, 'tag_in_use', `Tag is assigned to ${tag.employees?.name || 'another employee'}`);
+      }
+      if (tag?.company_id && String(tag.company_id) !== String(companyId)) {
+        return conflict(result, 'tag_other_company', 'Tag is stocked for another company');
+      }
+      if (currentTag) {
+        return conflict(result, 'employee_has_tag', `Employee already holds tag ${currentTag.uid}; use Replace Tag instead`);
+      }
+
+      result.new_tag = !tag;
+      result.status = 'assigned';
+    });
+
+    if (!dryRun) {
+      for (const result of results.filter(row => row.status === 'assigned')) {
+        const employee = employees.get(result.employee_id);
+        await assignTag(tags.get(result.tag_uid) || null, result.tag_uid, employee);
+      }
+
+      logger.info(`Bulk tag assignment for company ${companyId} by ${req.user.username}`);
+    }
+
+    res.json({
+      success: true,
+      data: {
+        company_id: companyId,
+        dry_run: dryRun,
+        results,
+        summary: summarize(results, ['assigned', 'unchanged', 'conflict', 'invalid']),
+      },
+    });
+  })
+);
+
+/**
+ * GET /api/v1/tags/unknown-scans
+ * Quarantined scans of unknown or rejected tags, newest first
+ * Query: status (open|resolved|dismissed, default open), reason, device_id, tag_uid
+ * Roles: incubation_head (all), company_admin (scans at own company's readers, and of own blocked tags)
+ */
+router.get(
+  '/unknown-scans',
+  authorize('incubation_head', 'company_admin'),
   asyncHandler(async (req, res) => {
     const { role, company_id: user_company_id } = req.user;
-    const { tag_uid, employee_id, note } = req.body;
+    const { status = 'open', reason, device_id, tag_uid, limit = 50, offset = 0 } = req.query;
+
+    let query = supabase
+      .from('unknown_scans')
+      .select(`
+        *,
+        devices (id, device_uuid, device_name, location),
+        companies (id, name),
+        employees (id, name, employee_id, is_active, company_id),
+        users:resolved_by (username)
+      `, { count: 'exact' })
+      .eq('status', status)
+      .order('recorded_at', { ascending: false })
+      .range(parseInt(offset), parseInt(offset) + parseInt(limit) - 1);
+
+    // Blocked tags alert their own company wherever they are scanned
+    if (role !== 'incubation_head' && user_company_id) {
+      query = query.or(`company_id.eq.${user_company_id},and(reason.eq.blocked_tag,tag_company_id.eq.${user_company_id})`);
+    }
+
+    if (reason && UNKNOWN_SCAN_REASONS.includes(reason)) {
+      query = query.eq('reason', reason);
+    }
+
+    if (device_id) {
+      query = query.eq('device_id', device_id);
+    }
+
+    if (tag_uid) {
+      query = query.eq('tag_uid', tag_uid);
+    }
+
+    const { data, error, count } = await query;
+
+    if (error) {
+      throw new Error(error.message);
+    }
+
+    res.json({
+      success: true,
+      data,
+      pagination: {
+        limit: parseInt(limit),
+        offset: parseInt(offset),
+        total: count,
+      },
+    });
+  })
+);
+
+/**
+ * Load a quarantined scan the caller may act on, or send 404/403
+ */
+async function findManagedUnknownScan(req, res) {
+  const { role, company_id: user_company_id } = req.user;
+
+  const { data: scan, error } = await supabase
+    .from('unknown_scans')
+    .select('*')
+    .eq('id', req.params.id)
+    .maybeSingle();
+
+  if (error) {
+    throw new Error(error.message);
+  }
+
+  if (!scan) {
+    res.status(404).json({
+      success: false,
+      error: { code: 'NOT_FOUND', message: 'Unknown scan not found' },
+    });
+    return null;
+  }
+
+  if (role !== 'incubation_head' && user_company_id && String(user_company_id) !== String(scan.company_id)) {
+    res.status(403).json({
+      success: false,
+      error: { code: 'FORBIDDEN', message: 'Access denied to this company' },
+    });
+    return null;
+  }
+
+  return scan;
+}
+
+/**
+ * POST /api/v1/tags/unknown-scans/:id/assign
+ * Assign the scanned tag to an employee (registering it as needed; blocked tags, tags held by
+ * another active employee and employees already holding a tag are refused)
+ * and resolve every open quarantined scan of that tag
+ * Roles: incubation_head (all), company_admin (own company)
+ */
+router.post(
+  '/unknown-scans/:id/assign',
+  authorize('incubation_head', 'company_admin'),
+  [
+    body('employee_id').isUUID().withMessage('employee_id required'),
+    body('note').optional().isString().isLength({ max: 500 }),
+  ],
+  asyncHandler(async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'VALIDATION_ERROR',
+          details: errors.array(),
+        },
+      });
+    }
+
+    const { role, company_id: user_company_id, id: user_id } = req.user;
+    const { employee_id, note } = req.body;
+
+    const scan = await findManagedUnknownScan(req, res);
+    if (!scan) return;
+
+    if (scan.status !== 'open') {
+      return res.status(409).json({
+        success: false,
+        error: { code: 'SCAN_NOT_OPEN', message: `Scan is already ${scan.status}` },
+      });
+    }
 
-    // Get employee's company_id
     const { data: employee } = await supabase
       .from('employees')
-      .select('company_id')
+      .select('id, name, company_id, is_active, rfid_tags (uid, status)')
       .eq('id', employee_id)
-      .single();
+      .maybeSingle();
 
     if (!employee) {
       return res.status(404).json({
         success: false,
-        error: { code: 'NOT_FOUND', message: 'Employee not found' }
+        error: { code: 'NOT_FOUND', message: 'Employee not found' },
       });
     }
 
-    // Company admin can only assign tags to employees in their own company
-    if (role === 'company_admin' && String(user_company_id) !== String(employee.company_id)) {
+    if (role !== 'incubation_head' && String(user_company_id) !== String(employee.company_id)) {
       return res.status(403).json({
         success: false,
-        error: { code: 'FORBIDDEN', message: 'Access denied to this company' }
+        error: { code: 'FORBIDDEN', message: 'Access denied to this company' },
       });
     }
 
-    // Check if tag exists
-    const { data: existingTag } = await supabase
-      .from('rfid_tags')
-      .select('id')
-      .eq('uid', tag_uid)
-      .single();
+    if (!employee.is_active) {
+      return res.status(409).json({
+        success: false,
+        error: { code: 'EMPLOYEE_INACTIVE', message: 'Cannot assign a tag to an inactive employee' },
+      });
+    }
 
-    if (existingTag) {
-      // Update existing tag
-      const { data, error } = await supabase
-        .from('rfid_tags')
-        .update({ 
-          employee_id, 
-          company_id: employee.company_id,
-          note, 
-          assigned_at: new Date().toISOString() 
-        })
-        .eq('uid', tag_uid)
-        .select()
-        .single();
+    const existingTag = await findTagByUid(scan.tag_uid);
 
-      if (error) throw new Error(error.message);
+    // A tag registered to another company can only be moved by the incubation head
+    if (existingTag?.company_id && role !== 'incubation_head' &&
+        String(existingTag.company_id) !== String(user_company_id)) {
+      return res.status(403).json({
+        success: false,
+        error: { code: 'FORBIDDEN', message: 'Tag belongs to another company' },
+      });
+    }
 
-      return res.json({ success: true, data });
+    if (existingTag && BLOCKED_TAG_STATUSES.includes(existingTag.status)) {
+      return res.status(409).json({
+        success: false,
+        error: { code: 'TAG_BLOCKED', message: `Tag is marked ${existingTag.status}; return it to stock before assigning it` },
+      });
     }
 
-    // Create new tag
-    const { data, error } = await supabase
-      .from('rfid_tags')
-      .insert({ 
-        uid: tag_uid, 
-        employee_id, 
-        company_id: employee.company_id,
-        note 
+    if (existingTag?.is_visitor_pool) {
+      return res.status(409).json({
+        success: false,
+        error: { code: 'TAG_IN_VISITOR_POOL', message: 'Tag belongs to the visitor pool; remove it from the pool before assigning it' },
+      });
+    }
+
+    if (isHeldByOther(existingTag, employee.id)) {
+      return res.status(409).json({
+        success: false,
+        error: { code: 'TAG_IN_USE', message: `Tag is already assigned to ${existingTag.employees?.name || 'another employee'}` },
+      });
+    }
+
+    const currentTag = employee.rfid_tags?.find(held => held.status === 'assigned' && held.uid !== scan.tag_uid);
+    if (currentTag) {
+      return res.status(409).json({
+        success: false,
+        error: { code: 'EMPLOYEE_HAS_TAG', message: `Employee already holds tag ${currentTag.uid}; use Replace Tag instead` },
+      });
+    }
+
+    const tag = await assignTag(existingTag, scan.tag_uid, employee, note);
+
+    const { data: resolved, error: resolveError } = await supabase
+      .from('unknown_scans')
+      .update({
+        status: 'resolved',
+        rfid_tag_id: tag.id,
+        resolved_by: user_id,
+        resolved_at: new Date().toISOString(),
       })
-      .select()
-      .single();
+      .eq('tag_uid', scan.tag_uid)
+      .eq('status', 'open')
+      .select('id');
 
-    if (error) throw new Error(error.message);
+    if (resolveError) {
+      throw new Error(resolveError.message);
+    }
 
-    res.status(201).json({ success: true, data });
+    res.json({
+      success: true,
+      data: {
+        tag,
+        employee: { id: employee.id, name: employee.name },
+        resolved_scans: resolved.length,
+      },
+    });
   })
 );
 
 /**
- * DELETE /api/v1/tags/:id/unassign
- * Unassign tag from employee
+ * POST /api/v1/tags/unknown-scans/:id/dismiss
+ * Dismiss a quarantined scan without assigning its tag
+ * Body: all_for_tag (boolean) - dismiss every open scan of the same tag
+ * Roles: incubation_head (all), company_admin (own company)
  */
-router.delete(
-  '/:id/unassign',
+router.post(
+  '/unknown-scans/:id/dismiss',
+  authorize('incubation_head', 'company_admin'),
   asyncHandler(async (req, res) => {
-    const { id } = req.params;
+    const { role, company_id: user_company_id, id: user_id } = req.user;
 
-    const { data, error } = await supabase
-      .from('rfid_tags')
-      .update({ employee_id: null, note: null })
-      .eq('id', id)
-      .select()
-      .single();
+    const scan = await findManagedUnknownScan(req, res);
+    if (!scan) return;
 
-    if (error) throw new Error(error.message);
+    if (scan.status !== 'open') {
+      return res.status(409).json({
+        success: false,
+        error: { code: 'SCAN_NOT_OPEN', message: `Scan is already ${scan.status}` },
+      });
+    }
 
-    res.json({ success: true, data });
+    let query = supabase
+      .from('unknown_scans')
+      .update({
+        status: 'dismissed',
+        resolved_by: user_id,
+        resolved_at: new Date().toISOString(),
+      })
+      .eq('status', 'open');
+
+    if (req.body.all_for_tag === true) {
+      query = query.eq('tag_uid', scan.tag_uid);
+      if (role !== 'incubation_head' && user_company_id) {
+        query = query.eq('company_id', user_company_id);
+      }
+    } else {
+      query = query.eq('id', scan.id);
+    }
+
+    const { data, error } = await query.select('id');
+
+    if (error) {
+      throw new Error(error.message);
+    }
+
+    res.json({
+      success: true,
+      data: { dismissed_scans: data.length },
+    });
+  })
+);
+
+/**
+ * Load an enrollment session the caller may act on, or send 404/403
+ */
+async function findManagedEnrollment(req, res) {
+  const { role, company_id: user_company_id } = req.user;
+
+  await expireEnrollmentSessions();
+
+  const { data: session, error } = await supabase
+    .from('tag_enrollment_sessions')
+    .select(`
+      *,
+      employees (id, name, employee_id),
+      devices (id, device_uuid, device_name, location)
+    `)
+    .eq('id', req.params.id)
+    .maybeSingle();
+
+  if (error) {
+    throw new Error(error.message);
+  }
+
+  if (!session) {
+    res.status(404).json({
+      success: false,
+      error: { code: 'NOT_FOUND', message: 'Enrollment session not found' },
+    });
+    return null;
+  }
+
+  if (role !== 'incubation_head' && String(user_company_id) !== String(session.company_id)) {
+    res.status(403).json({
+      success: false,
+      error: { code: 'FORBIDDEN', message: 'Access denied to this company' },
+    });
+    return null;
+  }
+
+  return session;
+}
+
+/**
+ * POST /api/v1/tags/enrollments
+ * Put a reader into enrollment mode: its next scan becomes the employee's tag.
+ * Progress is pushed over the live WebSocket as `tag_enrollment` messages
+ * Roles: incubation_head (all), company_admin (own company)
+ */
+router.post(
+  '/enrollments',
+  authorize('incubation_head', 'company_admin'),
+  [
+    body('employee_id').isUUID().withMessage('employee_id required'),
+    body('device_id').isUUID().withMessage('device_id required'),
+    body('timeout_seconds')
+      .optional()
+      .isInt({ min: ENROLLMENT_TIMEOUT.min, max: ENROLLMENT_TIMEOUT.max })
+      .withMessage(`timeout_seconds must be between ${ENROLLMENT_TIMEOUT.min} and ${ENROLLMENT_TIMEOUT.max}`),
+  ],
+  asyncHandler(async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'VALIDATION_ERROR',
+          details: errors.array(),
+        },
+      });
+    }
+
+    const { role, company_id: user_company_id, id: user_id } = req.user;
+    const { employee_id, device_id, timeout_seconds = ENROLLMENT_TIMEOUT.default } = req.body;
+
+    const { data: employee } = await supabase
+      .from('employees')
+      .select('id, name, company_id, is_active')
+      .eq('id', employee_id)
+      .maybeSingle();
+
+    if (!employee) {
+      return res.status(404).json({
+        success: false,
+        error: { code: 'NOT_FOUND', message: 'Employee not found' },
+      });
+    }
+
+    if (role !== 'incubation_head' && String(user_company_id) !== String(employee.company_id)) {
+      return res.status(403).json({
+        success: false,
+        error: { code: 'FORBIDDEN', message: 'Access denied to this company' },
+      });
+    }
+
+    if (!employee.is_active) {
+      return res.status(409).json({
+        success: false,
+        error: { code: 'EMPLOYEE_INACTIVE', message: 'Cannot enroll a tag for an inactive employee' },
+      });
+    }
+
+    const { data: device } = await supabase
+      .from('devices')
+      .select('id, device_uuid, device_name, company_id, is_active')
+      .eq('id', device_id)
+      .maybeSingle();
+
+    if (!device) {
+      return res.status(404).json({
+        success: false,
+        error: { code: 'NOT_FOUND', message: 'Device not found' },
+      });
+    }
+
+    // The reader must belong to the employee's company (or be unassigned, for the incubation head)
+    if (device.company_id ? String(device.company_id) !== String(employee.company_id) : role !== 'incubation_head') {
+      return res.status(403).json({
+        success: false,
+        error: { code: 'FORBIDDEN', message: 'Reader does not belong to the employee\'s company' },
+      });
+    }
+
+    if (!device.is_active) {
+      return res.status(409).json({
+        success: false,
+        error: { code: 'DEVICE_INACTIVE', message: 'Reader is deactivated' },
+      });
+    }
+
+    await expireEnrollmentSessions(device.id);
+
+    const { data: session, error } = await supabase
+      .from('tag_enrollment_sessions')
+      .insert({
+        device_id: device.id,
+        employee_id: employee.id,
+        company_id: employee.company_id,
+        expires_at: new Date(Date.now() + timeout_seconds * 1000).toISOString(),
+        created_by: user_id,
+      })
+      .select()
+      .single();
+
+    // Partial unique index: one pending session per reader
+    if (error?.code === '23505') {
+      return res.status(409).json({
+        success: false,
+        error: { code: 'DEVICE_BUSY', message: 'Reader is already in enrollment mode' },
+      });
+    }
+
+    if (error) {
+      throw new Error(error.message);
+    }
+
+    res.status(201).json({
+      success: true,
+      data: {
+        ...session,
+        employees: { id: employee.id, name: employee.name },
+        devices: { id: device.id, device_uuid: device.device_uuid, device_name: device.device_name },
+      },
+    });
+  })
+);
+
+/**
+ * GET /api/v1/tags/enrollments/:id
+ * Current state of an enrollment session
+ * Roles: incubation_head (all), company_admin (own company)
+ */
+router.get(
+  '/enrollments/:id',
+  authorize('incubation_head', 'company_admin'),
+  asyncHandler(async (req, res) => {
+    const session = await findManagedEnrollment(req, res);
+    if (!session) return;
+
+    res.json({
+      success: true,
+      data: session,
+    });
+  })
+);
+
+/**
+ * DELETE /api/v1/tags/enrollments/:id
+ * Cancel a pending enrollment session; the reader returns to attendance mode
+ * Roles: incubation_head (all), company_admin (own company)
+ */
+router.delete(
+  '/enrollments/:id',
+  authorize('incubation_head', 'company_admin'),
+  asyncHandler(async (req, res) => {
+    const session = await findManagedEnrollment(req, res);
+    if (!session) return;
+
+    const cancelled = session.status === 'pending'
+      ? await finishEnrollment(session.id, { status: 'cancelled' })
+      : null;
+
+    if (!cancelled) {
+      return res.status(409).json({
+        success: false,
+        error: { code: 'SESSION_NOT_PENDING', message: `Session is already ${session.status}` },
+      });
+    }
+
+    res.json({
+      success: true,
+      data: cancelled,
+    });
+  })
+);
+
+/**
+ * POST /api/v1/tags/assign
+ * Assign tag to employee
+ */
+router.post(
+  '/assign',
+  [
+    body('tag_uid').notEmpty(),
+    body('employee_id').notEmpty(),
+  ],
+  asyncHandler(async (req, res) => {
+    const { role, company_id: user_company_id } = req.user;
+    const { tag_uid, employee_id, note } = req.body;
+
+    // Get employee's company_id
+    const { data: employee } = await supabase
+      .from('employees')
+      .select('company_id')
+      .eq('id', employee_id)
+      .single();
+
+    if (!employee) {
+      return res.status(404).json({
+        success: false,
+        error: { code: 'NOT_FOUND', message: 'Employee not found' }
+      });
+    }
+
+    // Company admin can only assign tags to employees in their own company
+    if (role === 'company_admin' && String(user_company_id) !== String(employee.company_id)) {
+      return res.status(403).json({
+        success: false,
+        error: { code: 'FORBIDDEN', message: 'Access denied to this company' }
+      });
+    }
+
+    const existingTag = await findTagByUid(tag_uid);
+
+    if (existingTag && BLOCKED_TAG_STATUSES.includes(existingTag.status)) {
+      return res.status(409).json({
+        success: false,
+        error: { code: 'TAG_BLOCKED', message: `Tag is marked ${existingTag.status}; return it to stock before assigning it` }
+      });
+    }
+
+    if (existingTag?.is_visitor_pool) {
+      return res.status(409).json({
+        success: false,
+        error: { code: 'TAG_IN_VISITOR_POOL', message: 'Tag belongs to the visitor pool; remove it from the pool before assigning it' }
+      });
+    }
+
+    const data = await assignTag(existingTag, tag_uid, { id: employee_id, company_id: employee.company_id }, note);
+
+    res.status(existingTag ? 200 : 201).json({ success: true, data });
+  })
+);
+
+/**
+ * DELETE /api/v1/tags/:id/unassign
+ * Unassign tag from employee; the tag returns to stock
+ */
+router.delete(
+  '/:id/unassign',
+  asyncHandler(async (req, res) => {
+    const { id } = req.params;
+
+    const { data, error } = await supabase
+      .from('rfid_tags')
+      .update({ employee_id: null, note: null })
+      .eq('id', id)
+      .select()
+      .single();
+
+    if (error) throw new Error(error.message);
+
+    res.json({ success: true, data });
+  })
+);
+
+/**
+ * Load a tag the caller may manage, or send 404/403
+ */
+async function findManagedTag(req, res) {
+  const { role, company_id: user_company_id } = req.user;
+
+  const { data: tag, error } = await supabase
+    .from('rfid_tags')
+    .select('*, employees (id, name, company_id)')
+    .eq('id', req.params.id)
+    .maybeSingle();
+
+  if (error) {
+    throw new Error(error.message);
+  }
+
+  if (!tag) {
+    res.status(404).json({
+      success: false,
+      error: { code: 'NOT_FOUND', message: 'Tag not found' },
+    });
+    return null;
+  }
+
+  if (role !== 'incubation_head' && String(user_company_id) !== String(tag.company_id)) {
+    res.status(403).json({
+      success: false,
+      error: { code: 'FORBIDDEN', message: 'Access denied to this company' },
+    });
+    return null;
+  }
+
+  return tag;
+}
+
+/**
+ * GET /api/v1/tags/history
+ * Assignment history: who held which tag and when, newest first
+ * Query: tag_uid, employee_id, at (ISO timestamp - only the assignment covering that instant)
+ * Roles: incubation_head (all), company_admin (own company)
+ */
+router.get(
+  '/history',
+  authorize('incubation_head', 'company_admin'),
+  asyncHandler(async (req, res) => {
+    const { role, company_id: user_company_id } = req.user;
+    const { tag_uid, employee_id, at, limit = 100 } = req.query;
+
+    let query = supabase
+      .from('rfid_tag_assignments')
+      .select(`
+        *,
+        employees (id, name, employee_id),
+        companies (id, name),
+        rfid_tags (id, status)
+      `)
+      .order('assigned_at', { ascending: false })
+      .limit(Math.min(parseInt(limit) || 100, 500));
+
+    if (role !== 'incubation_head' && user_company_id) {
+      query = query.eq('company_id', user_company_id);
+    }
+
+    if (tag_uid) {
+      query = query.eq('tag_uid', tag_uid);
+    }
+
+    if (employee_id) {
+      query = query.eq('employee_id', employee_id);
+    }
+
+    if (at) {
+      const instant = new Date(at);
+      if (isNaN(instant.getTime())) {
+        return res.status(400).json({
+          success: false,
+          error: { code: 'VALIDATION_ERROR', message: 'at must be a valid timestamp' },
+        });
+      }
+
+      query = query
+        .lte('assigned_at', instant.toISOString())
+        .or(`unassigned_at.is.null,unassigned_at.gt.${instant.toISOString()}`);
+    }
+
+    const { data, error } = await query;
+
+    if (error) {
+      throw new Error(error.message);
+    }
+
+    res.json({
+      success: true,
+      data,
+    });
+  })
+);
+
+/**
+ * PUT /api/v1/tags/:id/status
+ * Block a tag (lost, stolen, damaged, retired) or return it to stock.
+ * Either way the current holder is unassigned
+ * Roles: incubation_head (all), company_admin (own company)
+ */
+router.put(
+  '/:id/status',
+  authorize('incubation_head', 'company_admin'),
+  [
+    body('status')
+      .isIn(['in_stock', ...BLOCKED_TAG_STATUSES])
+      .withMessage(`status must be one of in_stock, ${BLOCKED_TAG_STATUSES.join(', ')}`),
+    body('note').optional().isString().isLength({ max: 500 }),
+  ],
+  asyncHandler(async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'VALIDATION_ERROR',
+          details: errors.array(),
+        },
+      });
+    }
+
+    const tag = await findManagedTag(req, res);
+    if (!tag) return;
+
+    const { status, note } = req.body;
+
+    const { data, error } = await supabase
+      .from('rfid_tags')
+      .update({
+        status,
+        employee_id: null,
+        ...(note !== undefined && { note }),
+      })
+      .eq('id', tag.id)
+      .select()
+      .single();
+
+    if (error) {
+      throw new Error(error.message);
+    }
+
+    res.json({
+      success: true,
+      data,
+    });
+  })
+);
+
+/**
+ * POST /api/v1/tags/:id/replace
+ * Move the tag's holder to a new UID and block the old tag
+ * Body: new_tag_uid, reason (lost|stolen|damaged|retired, default lost)
+ * Roles: incubation_head (all), company_admin (own company)
+ */
+router.post(
+  '/:id/replace',
+  authorize('incubation_head', 'company_admin'),
+  [
+    body('new_tag_uid').isString().trim().notEmpty().isLength({ max: 100 }).withMessage('new_tag_uid required'),
+    body('reason').optional().isIn(BLOCKED_TAG_STATUSES),
+  ],
+  asyncHandler(async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'VALIDATION_ERROR',
+          details: errors.array(),
+        },
+      });
+    }
+
+    const { new_tag_uid, reason = 'lost' } = req.body;
+
+    const oldTag = await findManagedTag(req, res);
+    if (!oldTag) return;
+
+    if (!oldTag.employee_id) {
+      return res.status(409).json({
+        success: false,
+        error: { code: 'TAG_NOT_ASSIGNED', message: 'Only an assigned tag can be replaced' },
+      });
+    }
+
+    if (new_tag_uid === oldTag.uid) {
+      return res.status(400).json({
+        success: false,
+        error: { code: 'VALIDATION_ERROR', message: 'The new tag must have a different UID' },
+      });
+    }
+
+    // Check the replacement before touching the old tag
+    const newTag = await findTagByUid(new_tag_uid);
+
+    if (newTag && BLOCKED_TAG_STATUSES.includes(newTag.status)) {
+      return res.status(409).json({
+        success: false,
+        error: { code: 'TAG_BLOCKED', message: `New tag is marked ${newTag.status}` },
+      });
+    }
+
+    if (newTag?.is_visitor_pool) {
+      return res.status(409).json({
+        success: false,
+        error: { code: 'TAG_IN_VISITOR_POOL', message: 'New tag belongs to the visitor pool' },
+      });
+    }
+
+    if (isHeldByOther(newTag, oldTag.employee_id)) {
+      return res.status(409).json({
+        success: false,
+        error: { code: 'TAG_IN_USE', message: `New tag is already assigned to ${newTag.employees?.name || 'another employee'}` },
+      });
+    }
+
+    const employee = oldTag.employees;
+
+    const { error: blockError } = await supabase
+      .from('rfid_tags')
+      .update({ status: reason, employee_id: null })
+      .eq('id', oldTag.id);
+
+    if (blockError) {
+      throw new Error(blockError.message);
+    }
+
+    const tag = await assignTag(newTag, new_tag_uid, employee);
+
+    const { data: blocked, error } = await supabase
+      .from('rfid_tags')
+      .update({ replaced_by_tag_id: tag.id })
+      .eq('id', oldTag.id)
+      .select()
+      .single();
+
+    if (error) {
+      throw new Error(error.message);
+    }
+
+    res.json({
+      success: true,
+      data: {
+        tag,
+        replaced_tag: blocked,
+        employee: { id: employee.id, name: employee.name },
+      },
+    });
   })
 );
 
@@ -39,6 +39,7 @@ router.get(
         created_at,
         companies (id, name)
       `)
+      .neq('role', 'employee') // self-service logins are managed from the employee
       .order('created_at', { ascending: false })
       .range(parseInt(offset), parseInt(offset) + parseInt(limit) - 1);
 
@@ -251,6 +252,14 @@ router.put(
       });
     }
 
+    // Self-service logins belong to an employee record
+    if (existingUser.role === 'employee') {
+      return res.status(403).json({
+        success: false,
+        message: 'Self-service logins are managed from the employee',
+      });
+    }
+
     // Build update object
     const updates = {};
 
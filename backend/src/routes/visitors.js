@@ -0,0 +1,560 @@
+import express from 'express';
+import { body, validationResult } from 'express-validator';
+import { supabase } from '../config/database.js';
+import { authenticate, authorize } from '../middleware/auth.js';
+import { asyncHandler } from '../middleware/errorHandler.js';
+import { BLOCKED_TAG_STATUSES, findTagByUid } from '../utils/rfidTags.js';
+import { VISITOR_TYPES, VISITOR_PASS_STATUSES, expireVisitorPasses } from '../utils/visitorPasses.js';
+import logger from '../utils/logger.js';
+
+const router = express.Router();
+
+router.use(authenticate);
+
+/**
+ * GET /api/v1/visitors/pool
+ * Visitor pool tags with the pass each one is currently lent on
+ * Passes of other companies are shown without visitor details
+ * Roles: incubation_head, technician, company_admin
+ */
+router.get(
+  '/pool',
+  authorize('incubation_head', 'technician', 'company_admin'),
+  asyncHandler(async (req, res) => {
+    const { role, company_id: user_company_id } = req.user;
+
+    await expireVisitorPasses();
+
+    const { data: tags, error } = await supabase
+      .from('rfid_tags')
+      .select('id, uid, status, is_active, note, created_at')
+      .eq('is_visitor_pool', true)
+      .order('uid', { ascending: true });
+
+    if (error) {
+      throw new Error(error.message);
+    }
+
+    const { data: passes, error: passesError } = await supabase
+      .from('visitor_passes')
+      .select('id, rfid_tag_id, company_id, visitor_name, visitor_type, valid_from, valid_until')
+      .eq('status', 'active');
+
+    if (passesError) {
+      throw new Error(passesError.message);
+    }
+
+    const activePasses = new Map((passes || []).map(pass => [pass.rfid_tag_id, pass]));
+
+    const data = (tags || []).map(tag => {
+      const pass = activePasses.get(tag.id) || null;
+      const visible = pass && (role !== 'company_admin' || String(pass.company_id) === String(user_company_id));
+
+      return {
+        ...tag,
+        available: tag.is_active && !pass,
+        active_pass: visible ? pass : (pass && { valid_until: pass.valid_until }),
+      };
+    });
+
+    res.json({
+      success: true,
+      data,
+    });
+  })
+);
+
+/**
+ * POST /api/v1/visitors/pool
+ * Add a tag to the visitor pool, registering the UID if it is new.
+ * Tags held by an employee or blocked cannot join the pool
+ * Roles: incubation_head, technician
+ */
+router.post(
+  '/pool',
+  authorize('incubation_head', 'technician'),
+  [
+    body('tag_uid').trim().notEmpty().withMessage('tag_uid required'),
+    body('note').optional().isString().isLength({ max: 500 }),
+  ],
+  asyncHandler(async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'VALIDATION_ERROR',
+          details: errors.array(),
+        },
+      });
+    }
+
+    const { tag_uid, note } = req.body;
+    const existingTag = await findTagByUid(tag_uid);
+
+    if (existingTag?.is_visitor_pool) {
+      return res.status(409).json({
+        success: false,
+        error: { code: 'TAG_IN_VISITOR_POOL', message: 'Tag is already in the visitor pool' },
+      });
+    }
+
+    if (existingTag && BLOCKED_TAG_STATUSES.includes(existingTag.status)) {
+      return res.status(409).json({
+        success: false,
+        error: { code: 'TAG_BLOCKED', message: `Tag is marked ${existingTag.status}; return it to stock first` },
+      });
+    }
+
+    if (existingTag?.employee_id) {
+      return res.status(409).json({
+        success: false,
+        error: { code: 'TAG_IN_USE', message: `Tag is assigned to ${existingTag.employees?.name || 'an employee'}; unassign it first` },
+      });
+    }
+
+    const poolFields = {
+      is_visitor_pool: true,
+      company_id: null,
+      ...(note !== undefined && { note }),
+    };
+
+    const { data, error } = existingTag
+      ? await supabase
+        .from('rfid_tags')
+        .update(poolFields)
+        .eq('id', existingTag.id)
+        .select()
+        .single()
+      : await supabase
+        .from('rfid_tags')
+        .insert({ uid: tag_uid, ...poolFields })
+        .select()
+        .single();
+
+    if (error) {
+      throw new Error(error.message);
+    }
+
+    logger.info(`Tag ${tag_uid} added to the visitor pool by ${req.user.username}`);
+
+    res.status(existingTag ? 200 : 201).json({ success: true, data });
+  })
+);
+
+/**
+ * DELETE /api/v1/visitors/pool/:id
+ * Take a tag out of the visitor pool; it becomes an ordinary in-stock tag
+ * Roles: incubation_head, technician
+ */
+router.delete(
+  '/pool/:id',
+  authorize('incubation_head', 'technician'),
+  asyncHandler(async (req, res) => {
+    await expireVisitorPasses();
+
+    const { data: activePass } = await supabase
+      .from('visitor_passes')
+      .select('id')
+      .eq('rfid_tag_id', req.params.id)
+      .eq('status', 'active')
+      .maybeSingle();
+
+    if (activePass) {
+      return res.status(409).json({
+        success: false,
+        error: { code: 'PASS_ACTIVE', message: 'Tag is lent on an active pass; return the pass first' },
+      });
+    }
+
+    const { data, error } = await supabase
+      .from('rfid_tags')
+      .update({ is_visitor_pool: false })
+      .eq('id', req.params.id)
+      .eq('is_visitor_pool', true)
+      .select()
+      .maybeSingle();
+
+    if (error) {
+      throw new Error(error.message);
+    }
+
+    if (!data) {
+      return res.status(404).json({
+        success: false,
+        error: { code: 'NOT_FOUND', message: 'Visitor pool tag not found' },
+      });
+    }
+
+    logger.info(`Tag ${data.uid} removed from the visitor pool by ${req.user.username}`);
+
+    res.json({ success: true, data });
+  })
+);
+
+/**
+ * GET /api/v1/visitors/passes
+ * Visitor passes, newest window first
+ * Query: status, host_employee_id, from, to (passes whose window overlaps the period)
+ * Roles: incubation_head (all), company_admin (own company)
+ */
+router.get(
+  '/passes',
+  authorize('incubation_head', 'company_admin'),
+  asyncHandler(async (req, res) => {
+    const { role, company_id: user_company_id } = req.user;
+    const { status, host_employee_id, from, to, limit = 50, offset = 0 } = req.query;
+
+    await expireVisitorPasses();
+
+    let query = supabase
+      .from('visitor_passes')
+      .select(`
+        *,
+        employees:host_employee_id (id, name, employee_id),
+        companies (id, name),
+        users:created_by (username)
+      `, { count: 'exact' })
+      .order('valid_from', { ascending: false })
+      .range(parseInt(offset), parseInt(offset) + parseInt(limit) - 1);
+
+    if (role !== 'incubation_head' && user_company_id) {
+      query = query.eq('company_id', user_company_id);
+    }
+
+    if (status && VISITOR_PASS_STATUSES.includes(status)) {
+      query = query.eq('status', status);
+    }
+
+    if (host_employee_id) {
+      query = query.eq('host_employee_id', host_employee_id);
+    }
+
+    if (from) {
+      query = query.gte('valid_until', from);
+    }
+
+    if (to) {
+      query = query.lte('valid_from', to);
+    }
+
+    const { data, error, count } = await query;
+
+    if (error) {
+      throw new Error(error.message);
+    }
+
+    res.json({
+      success: true,
+      data,
+      pagination: {
+        limit: parseInt(limit),
+        offset: parseInt(offset),
+        total: count,
+      },
+    });
+  })
+);
+
+/**
+ * Load a pass the caller may act on, or send 404/403
+ */
+async function findManagedPass(req, res) {
+  const { role, company_id: user_company_id } = req.user;
+
+  const { data: pass, error } = await supabase
+    .from('visitor_passes')
+    .select(`
+      *,
+      employees:host_employee_id (id, name, employee_id),
+      companies (id, name)
+    `)
+    .eq('id', req.params.id)
+    .maybeSingle();
+
+  if (error) {
+    throw new Error(error.message);
+  }
+
+  if (!pass) {
+    res.status(404).json({
+      success: false,
+      error: { code: 'NOT_FOUND', message: 'Visitor pass not found' },
+    });
+    return null;
+  }
+
+  if (role !== 'incubation_head' && String(user_company_id) !== String(pass.company_id)) {
+    res.status(403).json({
+      success: false,
+      error: { code: 'FORBIDDEN', message: 'Access denied to this company' },
+    });
+    return null;
+  }
+
+  return pass;
+}
+
+/**
+ * GET /api/v1/visitors/passes/:id
+ * A pass with its accepted and refused scans
+ * Roles: incubation_head (all), company_admin (own company)
+ */
+router.get(
+  '/passes/:id',
+  authorize('incubation_head', 'company_admin'),
+  asyncHandler(async (req, res) => {
+    await expireVisitorPasses();
+
+    const pass = await findManagedPass(req, res);
+    if (!pass) return;
+
+    const { data: scans, error } = await supabase
+      .from('visitor_scans')
+      .select('id, recorded_at, accepted, reject_reason, devices (id, device_uuid, device_name, location)')
+      .eq('pass_id', pass.id)
+      .order('recorded_at', { ascending: true });
+
+    if (error) {
+      throw new Error(error.message);
+    }
+
+    res.json({
+      success: true,
+      data: { ...pass, scans },
+    });
+  })
+);
+
+/**
+ * POST /api/v1/visitors/passes
+ * Lend a visitor pool tag to a visitor or intern hosted by an employee.
+ * An empty allowed_device_ids list allows every reader
+ * Roles: incubation_head (all), company_admin (own company's hosts)
+ */
+router.post(
+  '/passes',
+  authorize('incubation_head', 'company_admin'),
+  [
+    body('rfid_tag_id').isUUID().withMessage('rfid_tag_id required'),
+    body('host_employee_id').isUUID().withMessage('host_employee_id required'),
+    body('visitor_name').trim().notEmpty().isLength({ max: 255 }).withMessage('visitor_name required'),
+    body('visitor_company').optional({ values: 'falsy' }).trim().isLength({ max: 255 }),
+    body('visitor_type').optional().isIn(VISITOR_TYPES),
+    body('valid_from').isISO8601().withMessage('valid_from must be an ISO timestamp'),
+    body('valid_until').isISO8601().withMessage('valid_until must be an ISO timestamp'),
+    body('allowed_device_ids').optional().isArray(),
+    body('allowed_device_ids.*').isUUID(),
+    body('note').optional().isString().isLength({ max: 500 }),
+  ],
+  asyncHandler(async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'VALIDATION_ERROR',
+          details: errors.array(),
+        },
+      });
+    }
+
+    const { role, company_id: user_company_id, id: user_id } = req.user;
+    const {
+      rfid_tag_id,
+      host_employee_id,
+      visitor_name,
+      visitor_company,
+      visitor_type = 'visitor',
+      allowed_device_ids = [],
+      note,
+    } = req.body;
+    const validFrom = new Date(req.body.valid_from);
+    const validUntil = new Date(req.body.valid_until);
+
+    if (validUntil <= validFrom || validUntil <= new Date()) {
+      return res.status(400).json({
+        success: false,
+        error: { code: 'VALIDATION_ERROR', message: 'valid_until must be after valid_from and in the future' },
+      });
+    }
+
+    const { data: host } = await supabase
+      .from('employees')
+      .select('id, name, company_id, is_active')
+      .eq('id', host_employee_id)
+      .maybeSingle();
+
+    if (!host) {
+      return res.status(404).json({
+        success: false,
+        error: { code: 'NOT_FOUND', message: 'Host employee not found' },
+      });
+    }
+
+    if (role !== 'incubation_head' && String(user_company_id) !== String(host.company_id)) {
+      return res.status(403).json({
+        success: false,
+        error: { code: 'FORBIDDEN', message: 'Access denied to this company' },
+      });
+    }
+
+    if (!host.is_active) {
+      return res.status(409).json({
+        success: false,
+        error: { code: 'EMPLOYEE_INACTIVE', message: 'Host employee is inactive' },
+      });
+    }
+
+    const { data: tag } = await supabase
+      .from('rfid_tags')
+      .select('id, uid, status, is_active, is_visitor_pool')
+      .eq('id', rfid_tag_id)
+      .maybeSingle();
+
+    if (!tag?.is_visitor_pool) {
+      return res.status(404).json({
+        success: false,
+        error: { code: 'NOT_FOUND', message: 'Visitor pool tag not found' },
+      });
+    }
+
+    if (!tag.is_active) {
+      return res.status(409).json({
+        success: false,
+        error: { code: 'TAG_BLOCKED', message: `Tag is marked ${tag.status}` },
+      });
+    }
+
+    const deviceIds = [...new Set(allowed_device_ids)];
+    if (deviceIds.length > 0) {
+      const { data: devices, error: devicesError } = await supabase
+        .from('devices')
+        .select('id, company_id')
+        .in('id', deviceIds);
+
+      if (devicesError) {
+        throw new Error(devicesError.message);
+      }
+
+      // Company admins may allow shared readers and their own company's readers
+      const usable = (devices || []).filter(device => role === 'incubation_head' ||
+        !device.company_id || String(device.company_id) === String(user_company_id));
+
+      if (usable.length !== deviceIds.length) {
+        return res.status(400).json({
+          success: false,
+          error: { code: 'VALIDATION_ERROR', message: 'allowed_device_ids contains an unknown or inaccessible reader' },
+        });
+      }
+    }
+
+    await expireVisitorPasses();
+
+    const { data: pass, error } = await supabase
+      .from('visitor_passes')
+      .insert({
+        rfid_tag_id: tag.id,
+        tag_uid: tag.uid,
+        company_id: host.company_id,
+        host_employee_id: host.id,
+        visitor_name,
+        visitor_company: visitor_company || null,
+        visitor_type,
+        valid_from: validFrom.toISOString(),
+        valid_until: validUntil.toISOString(),
+        allowed_device_ids: deviceIds,
+        note: note || null,
+        created_by: user_id,
+      })
+      .select()
+      .single();
+
+    // Partial unique index: one active pass per tag
+    if (error?.code === '23505') {
+      return res.status(409).json({
+        success: false,
+        error: { code: 'TAG_IN_USE', message: 'Tag is already lent on an active pass' },
+      });
+    }
+
+    if (error) {
+      throw new Error(error.message);
+    }
+
+    logger.info(`Visitor pass issued: ${tag.uid} to ${visitor_name} (host ${host.name}) by ${req.user.username}`);
+
+    res.status(201).json({
+      success: true,
+      data: {
+        ...pass,
+        employees: { id: host.id, name: host.name },
+      },
+    });
+  })
+);
+
+/**
+ * POST /api/v1/visitors/passes/:id/return
+ * End an active pass early and return its tag to the pool.
+ * `revoke: true` marks the pass revoked instead (badge not handed back, visitor turned away)
+ * Roles: incubation_head (all), company_admin (own company)
+ */
+router.post(
+  '/passes/:id/return',
+  authorize('incubation_head', 'company_admin'),
+  [
+    body('revoke').optional().isBoolean(),
+  ],
+  asyncHandler(async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'VALIDATION_ERROR',
+          details: errors.array(),
+        },
+      });
+    }
+
+    await expireVisitorPasses();
+
+    const pass = await findManagedPass(req, res);
+    if (!pass) return;
+
+    if (pass.status !== 'active') {
+      return res.status(409).json({
+        success: false,
+        error: { code: 'PASS_CLOSED', message: `Pass is already ${pass.status}` },
+      });
+    }
+
+    const status = req.body.revoke === true || req.body.revoke === 'true' ? 'revoked' : 'returned';
+
+    const { data, error } = await supabase
+      .from('visitor_passes')
+      .update({ status, returned_at: new Date().toISOString() })
+      .eq('id', pass.id)
+      .eq('status', 'active')
+      .select()
+      .maybeSingle();
+
+    if (error) {
+      throw new Error(error.message);
+    }
+
+    if (!data) {
+      return res.status(409).json({
+        success: false,
+        error: { code: 'PASS_CLOSED', message: 'Pass was closed meanwhile' },
+      });
+    }
+
+    logger.info(`Visitor pass ${status}: ${pass.tag_uid} (${pass.visitor_name}) by ${req.user.username}`);
+
+    res.json({ success: true, data });
+  })
+);
+
+export default router;
@@ -0,0 +1,217 @@
+import { supabase } from '../config/database.js';
+
+/**
+ * Parse a device-supplied timestamp into an ISO string.
+ * Missing timestamps fall back to server time; unparsable ones return null.
+ */
+export function parseRecordedAt(timestamp) {
+  if (!timestamp) {
+    return new Date().toISOString();
+  }
+
+  const parsed = new Date(timestamp);
+  if (isNaN(parsed.getTime())) {
+    return null;
+  }
+
+  return parsed.toISOString();
+}
+
+/**
+ * Look up tags by UID, active or not (includes employee name, status, company and its timezone)
+ * Returns a Map of uid -> tag row; use getScanRejection to decide whether a scan counts
+ */
+export async function lookupTags(tagUids) {
+  const uids = [...new Set(tagUids.filter(Boolean))];
+  const tags = new Map();
+
+  if (uids.length === 0) {
+    return tags;
+  }
+
+  const { data, error } = await supabase
+    .from('rfid_tags')
+    .select('id, uid, status, employee_id, company_id, is_active, is_visitor_pool, employees(name, company_id, is_active, companies(timezone))')
+    .in('uid', uids);
+
+  if (error) {
+    throw new Error(error.message);
+  }
+
+  (data || []).forEach(tag => tags.set(tag.uid, tag));
+  return tags;
+}
+
+// Timezone used when a company has none configured (readers are deployed in IST)
+export const DEFAULT_TIMEZONE = process.env.DEFAULT_TIMEZONE || 'Asia/Kolkata';
+
+/**
+ * Check that a string is an IANA timezone name known to the runtime
+ */
+export function isValidTimeZone(timeZone) {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone });
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Offset (ms) of a timezone from UTC at the given instant
+ */
+function getTimeZoneOffset(instant, timeZone) {
+  const parts = {};
+  new Intl.DateTimeFormat('en-US', {
+    timeZone,
+    hourCycle: 'h23',
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    hour: '2-digit',
+    minute: '2-digit',
+    second: '2-digit',
+  })
+    .formatToParts(instant)
+    .forEach(({ type, value }) => {
+      parts[type] = value;
+    });
+
+  const asUtc = Date.UTC(
+    parts.year,
+    parts.month - 1,
+    parts.day,
+    parts.hour,
+    parts.minute,
+    parts.second
+  );
+
+  return asUtc - (instant.getTime() - instant.getMilliseconds());
+}
+
+/**
+ * Local calendar date (YYYY-MM-DD) of an instant in a timezone
+ */
+export function getZonedDate(recordedAt, timeZone = DEFAULT_TIMEZONE) {
+  return new Intl.DateTimeFormat('en-CA', {
+    timeZone,
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+  }).format(new Date(recordedAt));
+}
+
+/**
+ * An instant as its wall-clock time in a timezone, carried in the UTC fields of a Date
+ * For spreadsheet cells, which have no timezone of their own
+ */
+export function getZonedWallClock(recordedAt, timeZone = DEFAULT_TIMEZONE) {
+  const instant = new Date(recordedAt);
+  return new Date(instant.getTime() + getTimeZoneOffset(instant, timeZone));
+}
+
+/**
+ * UTC bounds [start, end) of a local calendar date in a timezone
+ */
+export function getZonedDateBounds(date, timeZone = DEFAULT_TIMEZONE) {
+  const [year, month, day] = date.split('-').map(Number);
+
+  const toUtc = (y, m, d) => {
+    const guess = new Date(Date.UTC(y, m - 1, d));
+    const start = new Date(guess.getTime() - getTimeZoneOffset(guess, timeZone));
+    // Re-check in case a DST change falls between the guess and local midnight
+    return new Date(guess.getTime() - getTimeZoneOffset(start, timeZone));
+  };
+
+  return {
+    start: toUtc(year, month, day),
+    end: toUtc(year, month, day + 1),
+  };
+}
+
+/**
+ * UTC instant of a local date and wall-clock time (HH:MM[:SS]) in a timezone
+ * Times past 24:00 roll over into the following days
+ */
+export function getZonedDateTime(date, time, timeZone = DEFAULT_TIMEZONE) {
+  const [year, month, day] = date.split('-').map(Number);
+  const [hour, minute, second = 0] = time.split(':').map(Number);
+
+  const guess = new Date(Date.UTC(year, month - 1, day, hour, minute, second));
+  const first = new Date(guess.getTime() - getTimeZoneOffset(guess, timeZone));
+  // Re-check in case a DST change falls between the guess and the local time
+  return new Date(guess.getTime() - getTimeZoneOffset(first, timeZone));
+}
+
+/**
+ * UTC bounds of the local day (in the company timezone) containing a timestamp
+ */
+export function getDayBounds(recordedAt, timeZone = DEFAULT_TIMEZONE) {
+  return getZonedDateBounds(getZonedDate(recordedAt, timeZone), timeZone);
+}
+
+/**
+ * Get the event type of an employee's last scan on the same local day,
+ * recorded before the given timestamp
+ */
+export async function getLastEventType(employeeId, recordedAt, timeZone = DEFAULT_TIMEZONE) {
+  const { start } = getDayBounds(recordedAt, timeZone);
+
+  const { data: lastEvent, error } = await supabase
+    .from('attendance_logs')
+    .select('event_type')
+    .eq('employee_id', employeeId)
+    .is('voided_at', null)
+    .gte('recorded_at', start.toISOString())
+    .lt('recorded_at', recordedAt)
+    .order('recorded_at', { ascending: false })
+    .limit(1)
+    .maybeSingle();
+
+  // A failed lookup must not pass for "no earlier scan" and turn the next scan into an IN
+  if (error) {
+    throw new Error(error.message);
+  }
+
+  return lastEvent?.event_type || null;
+}
+
+/**
+ * Toggle between IN and OUT based on the previous event
+ */
+export function nextEventType(previousType) {
+  return previousType === 'IN' ? 'OUT' : 'IN';
+}
+
+/**
+ * Find logs a device already stored for the given client event IDs
+ * Returns a Map of event_id -> log row
+ */
+export async function findLogsByEventIds(deviceId, eventIds) {
+  const ids = [...new Set(eventIds.filter(Boolean))];
+  const logs = new Map();
+
+  if (ids.length === 0) {
+    return logs;
+  }
+
+  const { data, error } = await supabase
+    .from('attendance_logs')
+    .select('id, event_id, event_type, recorded_at')
+    .eq('device_id', deviceId)
+    .in('event_id', ids);
+
+  if (error) {
+    throw new Error(error.message);
+  }
+
+  (data || []).forEach(log => logs.set(log.event_id, log));
+  return logs;
+}
+
+/**
+ * Timezone of the company a tag's employee belongs to
+ */
+export function getTagTimeZone(tag) {
+  return tag?.employees?.companies?.timezone || DEFAULT_TIMEZONE;
+}
@@ -0,0 +1,330 @@
+import PDFDocument from 'pdfkit';
+import { supabase } from '../config/database.js';
+import { DEFAULT_TIMEZONE, getZonedDate, getZonedDateBounds } from './attendance.js';
+import { addDays } from './shifts.js';
+
+// Rows fetched per keyset page while exporting
+export const EXPORT_PAGE_SIZE = 1000;
+
+const EXPORT_SELECT = `
+  id,
+  recorded_at,
+  event_type,
+  employee_id,
+  company_id,
+  employees!inner(name, employee_id),
+  companies!inner(name),
+  devices(device_uuid, location)
+`;
+
+/**
+ * Timezone of each company an export covers, by company id
+ */
+async function getCompanyTimeZones(companyId) {
+  let query = supabase.from('companies').select('id, timezone');
+  if (companyId) {
+    query = query.eq('id', companyId);
+  }
+
+  const { data, error } = await query;
+
+  if (error) {
+    throw new Error(error.message);
+  }
+
+  return new Map(data.map(company => [company.id, company.timezone || DEFAULT_TIMEZONE]));
+}
+
+/**
+ * Non-voided attendance logs of a range, oldest first, one page at a time
+ * Pages continue after the last (recorded_at, id) seen rather than by offset, so deep pages
+ * stay cheap and rows inserted meanwhile cannot shift or repeat them.
+ * Each row carries its company's `timezone`.
+ * Options: companyId (all companies when omitted), from, to (YYYY-MM-DD, company-local)
+ */
+export async function* iterateAttendanceLogs({ companyId = null, from, to, pageSize = EXPORT_PAGE_SIZE }) {
+  const timeZones = await getCompanyTimeZones(companyId);
+  let last = null;
+
+  for (;;) {
+    // Padded UTC bounds; each row is then kept only if its company-local date is in range
+    let query = supabase
+      .from('attendance_logs')
+      .select(EXPORT_SELECT)
+      .gte('recorded_at', `${addDays(from, -1)}T00:00:00Z`)
+      .lt('recorded_at', `${addDays(to, 2)}T00:00:00Z`)
+      .is('voided_at', null);
+
+    if (companyId) {
+      query = query.eq('company_id', companyId);
+    }
+
+    if (last) {
+      query = query.or(`recorded_at.gt."${last.recorded_at}",and(recorded_at.eq."${last.recorded_at}",id.gt.${last.id})`);
+    }
+
+    const { data, error } = await query
+      .order('recorded_at', { ascending: true })
+      .order('id', { ascending: true })
+      .limit(pageSize);
+
+    if (error) {
+      throw new Error(error.message);
+    }
+
+    const rows = data.filter(row => {
+      row.timezone = timeZones.get(row.company_id) || DEFAULT_TIMEZONE;
+      const date = getZonedDate(row.recorded_at, row.timezone);
+      return date >= from && date <= to;
+    });
+
+    if (rows.length > 0) {
+      yield rows;
+    }
+    if (data.length > 0) {
+      last = data[data.length - 1];
+    }
+
+    if (data.length < pageSize) {
+      return;
+    }
+  }
+}
+
+/**
+ * Number of logs an export of the range will contain
+ */
+export async function countAttendanceLogs({ companyId = null, from, to }) {
+  // One count per timezone, over the period as that timezone sees it
+  const companiesByTimeZone = new Map();
+  (await getCompanyTimeZones(companyId)).forEach((timeZone, id) => {
+    if (!companiesByTimeZone.has(timeZone)) {
+      companiesByTimeZone.set(timeZone, []);
+    }
+    companiesByTimeZone.get(timeZone).push(id);
+  });
+
+  let total = 0;
+  for (const [timeZone, companyIds] of companiesByTimeZone) {
+    const { count, error } = await supabase
+      .from('attendance_logs')
+      .select('id', { count: 'exact', head: true })
+      .in('company_id', companyIds)
+      .gte('recorded_at', getZonedDateBounds(from, timeZone).start.toISOString())
+      .lt('recorded_at', getZonedDateBounds(to, timeZone).end.toISOString())
+      .is('voided_at', null);
+
+    if (error) {
+      throw new Error(error.message);
+    }
+
+    total += count || 0;
+  }
+
+  return total;
+}
+
+const formatTimestamp = (recordedAt, timeZone, withSeconds) => new Date(recordedAt).toLocaleString('en-US', {
+  timeZone,
+  year: 'numeric',
+  month: '2-digit',
+  day: '2-digit',
+  hour: '2-digit',
+  minute: '2-digit',
+  ...(withSeconds && { second: '2-digit' }),
+  hourCycle: 'h23'
+});
+
+/**
+ * Resolve once `output` emits `event`; reject if it errors or closes first (the client went away)
+ */
+function waitFor(output, event) {
+  if (output.destroyed) {
+    return Promise.reject(new Error('Export output closed before the export finished'));
+  }
+
+  return new Promise((resolve, reject) => {
+    const cleanup = () => {
+      output.off(event, onEvent);
+      output.off('error', onError);
+      output.off('close', onClose);
+    };
+    const onEvent = () => {
+      cleanup();
+      resolve();
+    };
+    const onError = (error) => {
+      cleanup();
+      reject(error);
+    };
+    const onClose = () => onError(new Error('Export output closed before the export finished'));
+
+    output.once(event, onEvent);
+    output.once('error', onError);
+    output.once('close', onClose);
+  });
+}
+
+/**
+ * Wait for a slow reader before writing more
+ */
+async function drained(output) {
+  if (output.writableNeedDrain || output.destroyed) {
+    await waitFor(output, 'drain');
+  }
+}
+
+/**
+ * Stream the range as CSV into `output`, page by page; ends `output`
+ * `onProgress(rowsWritten)` is called after each page. Returns the number of rows
+ */
+export async function writeAttendanceCsv(output, range, onProgress = () => {}) {
+  let rowsWritten = 0;
+
+  output.write('"Timestamp","Event Type","Employee","Employee ID","Company","Device","Location"\n');
+
+  for await (const logs of iterateAttendanceLogs(range)) {
+    const lines = logs.map(row => [
+      formatTimestamp(row.recorded_at, row.timezone, true),
+      row.event_type || 'SCAN',
+      row.employees?.name || 'Unknown',
+      row.employees?.employee_id || '',
+      row.companies?.name || 'Unknown',
+      row.devices?.device_uuid || '',
+      row.devices?.location || '',
+    ].map(cell => `"${String(cell).replace(/"/g, '""')}"`).join(','));
+
+    output.write(`${lines.join('\n')}\n`);
+    rowsWritten += logs.length;
+    onProgress(rowsWritten);
+    await drained(output);
+  }
+
+  output.end();
+  await waitFor(output, 'finish');
+  return rowsWritten;
+}
+
+/**
+ * Stream the range as the attendance PDF into `output`, page by page; ends `output`
+ * Totals are only known once every row is out, so they close the report.
+ * `range.companyName` titles a single-company report and `range.timeZone` (its company's)
+ * dates the footer. Returns the number of rows
+ */
+export async function writeAttendancePdf(output, range, onProgress = () => {}) {
+  const doc = new PDFDocument({ margin: 50, size: 'A4' });
+  doc.pipe(output);
+
+  // Title
+  doc.fontSize(20).text('Attendance Report', { align: 'center' });
+  doc.moveDown(0.5);
+  doc.fontSize(12).text(`Period: ${range.from} to ${range.to}`, { align: 'center' });
+  if (range.companyName) {
+    doc.text(`Company: ${range.companyName}`, { align: 'center' });
+  }
+  doc.moveDown(1);
+
+  // Table header
+  const tableTop = doc.y;
+  const col1 = 50;
+  const col2 = 140;
+  const col3 = 200;
+  const col4 = 270;
+  const col5 = 340;
+  const col6 = 430;
+
+  doc.fontSize(9).fillColor('#333');
+  doc.font('Helvetica-Bold');
+  doc.text('Date/Time', col1, tableTop);
+  doc.text('Event', col2, tableTop);
+  doc.text('Employee', col3, tableTop);
+  doc.text('ID', col4, tableTop);
+  doc.text('Device', col5, tableTop);
+  doc.text('Location', col6, tableTop);
+
+  doc.moveTo(col1, tableTop + 15).lineTo(580, tableTop + 15).stroke();
+
+  let y = tableTop + 20;
+  doc.font('Helvetica').fontSize(8);
+
+  let totalRecords = 0;
+  let inEvents = 0;
+  let outEvents = 0;
+  const employees = new Set();
+
+  for await (const logs of iterateAttendanceLogs(range)) {
+    logs.forEach(row => {
+      if (y > 720) {
+        doc.addPage();
+        y = 50;
+      }
+
+      const eventType = row.event_type || 'SCAN';
+      const employeeName = (row.employees?.name || 'Unknown').substring(0, 15);
+      const employeeId = (row.employees?.employee_id || '').substring(0, 12);
+      const device = (row.devices?.device_uuid || '').substring(0, 15);
+      const location = (row.devices?.location || '').substring(0, 20);
+
+      doc.fillColor(totalRecords % 2 === 0 ? '#000' : '#555');
+      doc.text(formatTimestamp(row.recorded_at, row.timezone, false), col1, y, { width: 85 });
+      doc.text(eventType, col2, y, { width: 55 });
+      doc.text(employeeName, col3, y, { width: 65 });
+      doc.text(employeeId, col4, y, { width: 65 });
+      doc.text(device, col5, y, { width: 85 });
+      doc.text(location, col6, y, { width: 150 });
+
+      y += 18;
+      totalRecords += 1;
+      if (row.event_type === 'IN') inEvents += 1;
+      if (row.event_type === 'OUT') outEvents += 1;
+      if (row.employee_id) employees.add(row.employee_id);
+    });
+
+    onProgress(totalRecords);
+    await drained(output);
+  }
+
+  // Summary stats
+  if (y > 700) {
+    doc.addPage();
+    y = 50;
+  }
+  doc.moveTo(col1, y).lineTo(580, y).stroke();
+  doc.fontSize(10).fillColor('#000');
+  doc.text(`Total Records: ${totalRecords}`, col1, y + 8, { continued: true });
+  doc.text(`   Unique Employees: ${employees.size}`, { continued: true });
+  doc.text(`   IN: ${inEvents}`, { continued: true });
+  doc.text(`   OUT: ${outEvents}`);
+
+  // Footer
+  doc.fontSize(8).fillColor('#999');
+  doc.text(
+    `Generated on ${new Date().toLocaleString('en-US', {
+      timeZone: range.timeZone || DEFAULT_TIMEZONE,
+      timeZoneName: 'short',
+    })} | Total ${totalRecords} records`,
+    50,
+    doc.page.height - 50,
+    { align: 'center' }
+  );
+
+  doc.end();
+  await waitFor(output, 'finish');
+  return totalRecords;
+}
+
+/**
+ * Attendance export formats that stream; each writer takes (output, range, onProgress)
+ */
+export const EXPORT_FORMATS = {
+  csv: {
+    extension: 'csv',
+    contentType: 'text/csv; charset=utf-8',
+    write: writeAttendanceCsv,
+  },
+  pdf: {
+    extension: 'pdf',
+    contentType: 'application/pdf',
+    write: writeAttendancePdf,
+  },
+};
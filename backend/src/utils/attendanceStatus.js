@@ -0,0 +1,206 @@
+import { supabase } from '../config/database.js';
+import { DEFAULT_TIMEZONE, getZonedDate, getZonedDateBounds } from './attendance.js';
+import { ATTENDANCE_STATUSES, addDays, resolveShift, getShiftScanWindow, classifyShiftDay } from './shifts.js';
+import { fetchHolidayDates, fetchLeaveDays } from './leave.js';
+
+// Rows per request when reading whole ranges (PostgREST caps responses at 1000 rows)
+const PAGE_SIZE = 1000;
+
+// Longest range classified in one call
+export const MAX_STATUS_RANGE_DAYS = 93;
+
+/**
+ * Read every row of a query, one page at a time
+ * `buildQuery` returns a fresh, ordered query for each page
+ */
+export async function fetchAllRows(buildQuery) {
+  const rows = [];
+
+  for (let offset = 0; ; offset += PAGE_SIZE) {
+    const { data, error } = await buildQuery().range(offset, offset + PAGE_SIZE - 1);
+
+    if (error) {
+      throw new Error(error.message);
+    }
+
+    rows.push(...data);
+
+    if (data.length < PAGE_SIZE) {
+      return rows;
+    }
+  }
+}
+
+/**
+ * Classify each employee's days in a date range against their shifts
+ * Holidays come first, then weekly offs, then approved leave; other days are classified
+ * from the shift and scans. Holiday and leave days keep their scans like days off do.
+ * Options: companyId (all companies when omitted), employeeId, from, to (YYYY-MM-DD, company-local).
+ * Days after today and before the employee was added are left out. Returns
+ * { days: [{ employee_id, employee_name, employee_code, company_id, timezone, date, status, ... }], summary }
+ */
+export async function buildAttendanceDays({ companyId = null, employeeId = null, from, to }) {
+  let companiesQuery = supabase.from('companies').select('id, name, timezone');
+  if (companyId) {
+    companiesQuery = companiesQuery.eq('id', companyId);
+  }
+
+  const { data: companies, error: companiesError } = await companiesQuery;
+  if (companiesError) {
+    throw new Error(companiesError.message);
+  }
+
+  const companyIds = companies.map(company => company.id);
+  const summary = Object.fromEntries(ATTENDANCE_STATUSES.map(status => [status, 0]));
+
+  if (companyIds.length === 0) {
+    return { days: [], summary };
+  }
+
+  const employees = await fetchAllRows(() => {
+    let query = supabase
+      .from('employees')
+      .select('id, name, employee_id, company_id, created_at')
+      .in('company_id', companyIds)
+      .order('name', { ascending: true });
+
+    // A single employee is reported even when deactivated since
+    return employeeId ? query.eq('id', employeeId) : query.eq('is_active', true);
+  });
+
+  const { data: shifts, error: shiftsError } = await supabase
+    .from('shifts')
+    .select('*')
+    .in('company_id', companyIds)
+    .eq('is_default', true);
+
+  if (shiftsError) {
+    throw new Error(shiftsError.message);
+  }
+
+  const assignments = await fetchAllRows(() => {
+    let query = supabase
+      .from('employee_shifts')
+      .select('*, shifts (*)')
+      .in('company_id', companyIds)
+      .lte('effective_from', to)
+      .or(`effective_to.is.null,effective_to.gte.${from}`)
+      .order('effective_from', { ascending: true });
+
+    return employeeId ? query.eq('employee_id', employeeId) : query;
+  });
+
+  // Generous UTC bounds: company timezones, overnight shifts and scan margins reach past the dates
+  const rangeStart = `${addDays(from, -2)}T00:00:00Z`;
+  const rangeEnd = `${addDays(to, 3)}T00:00:00Z`;
+
+  const logs = await fetchAllRows(() => {
+    let query = supabase
+      .from('attendance_logs')
+      .select('employee_id, recorded_at')
+      .in('company_id', companyIds)
+      .is('voided_at', null)
+      .gte('recorded_at', rangeStart)
+      .lt('recorded_at', rangeEnd)
+      .order('recorded_at', { ascending: true })
+      .order('id', { ascending: true });
+
+    return employeeId ? query.eq('employee_id', employeeId) : query;
+  });
+
+  const [holidays, leaveByEmployee] = await Promise.all([
+    fetchHolidayDates(companyIds, from, to),
+    fetchLeaveDays({ companyIds, employeeId, from, to }),
+  ]);
+
+  const companiesById = new Map(companies.map(company => [company.id, company]));
+  const defaultShifts = new Map(shifts.map(shift => [shift.company_id, shift]));
+
+  const groupBy = (rows, key) => {
+    const groups = new Map();
+    rows.forEach(row => {
+      if (!groups.has(row[key])) groups.set(row[key], []);
+      groups.get(row[key]).push(row);
+    });
+    return groups;
+  };
+
+  const assignmentsByEmployee = groupBy(assignments, 'employee_id');
+  const logsByEmployee = groupBy(logs, 'employee_id');
+
+  const days = [];
+  const now = new Date();
+
+  employees.forEach(employee => {
+    const company = companiesById.get(employee.company_id);
+    const timeZone = company.timezone || DEFAULT_TIMEZONE;
+    const today = getZonedDate(now, timeZone);
+    const firstDate = getZonedDate(employee.created_at, timeZone);
+    const scans = (logsByEmployee.get(employee.id) || []).map(log => log.recorded_at);
+    const employeeAssignments = assignmentsByEmployee.get(employee.id) || [];
+    const companyHolidays = holidays.get(employee.company_id);
+    const employeeLeave = leaveByEmployee.get(employee.id) || new Map();
+
+    const scansBetween = (start, end) => scans.filter(scan => {
+      const instant = new Date(scan);
+      return instant >= start && instant < end;
+    });
+
+    for (let date = from; date <= to && date <= today; date = addDays(date, 1)) {
+      if (date < firstDate) continue;
+
+      const schedule = resolveShift(date, employeeAssignments, defaultShifts.get(employee.company_id));
+      const holidayName = companyHolidays.get(date) || null;
+      const leaveType = employeeLeave.get(date) || null;
+      let offStatus = null;
+      let day;
+
+      if (holidayName) {
+        offStatus = 'holiday';
+      } else if (schedule && !schedule.workday) {
+        offStatus = 'weekly_off';
+      } else if (leaveType) {
+        offStatus = 'on_leave';
+      } else if (!schedule) {
+        offStatus = 'unscheduled';
+      }
+
+      if (!offStatus) {
+        const window = getShiftScanWindow(schedule.shift, date, timeZone);
+        day = classifyShiftDay(schedule.shift, date, timeZone, scansBetween(window.start, window.end), now);
+      } else {
+        // Days off, leave and unscheduled days still show when the employee was on site
+        const bounds = getZonedDateBounds(date, timeZone);
+        const dayScans = scansBetween(bounds.start, bounds.end);
+        day = {
+          status: offStatus,
+          shift_id: null,
+          shift_name: null,
+          first_in: dayScans[0] || null,
+          last_out: dayScans.length > 1 ? dayScans[dayScans.length - 1] : null,
+          worked_minutes: dayScans.length > 1
+            ? Math.round((new Date(dayScans[dayScans.length - 1]) - new Date(dayScans[0])) / 60000)
+            : 0,
+        };
+        // Work on a holiday or weekly off is all overtime
+        day.overtime_minutes = offStatus === 'holiday' || offStatus === 'weekly_off' ? day.worked_minutes : 0;
+      }
+
+      summary[day.status] += 1;
+      days.push({
+        employee_id: employee.id,
+        employee_name: employee.name,
+        employee_code: employee.employee_id,
+        company_id: employee.company_id,
+        company_name: company.name,
+        timezone: timeZone,
+        date,
+        ...day,
+        holiday_name: holidayName,
+        leave_type: offStatus === 'on_leave' ? leaveType : null,
+      });
+    }
+  });
+
+  return { days, summary };
+}
@@ -0,0 +1,216 @@
+import ExcelJS from 'exceljs';
+import { supabase } from '../config/database.js';
+import { DEFAULT_TIMEZONE, getZonedDate, getZonedWallClock } from './attendance.js';
+import { buildAttendanceDays, fetchAllRows } from './attendanceStatus.js';
+import { buildSessions } from './sessions.js';
+import { addDays } from './shifts.js';
+
+const DATE_FORMAT = 'yyyy-mm-dd';
+const TIME_FORMAT = 'hh:mm';
+const DATE_TIME_FORMAT = 'yyyy-mm-dd hh:mm:ss';
+const HOURS_FORMAT = '0.00';
+
+const toHours = (minutes) => Number(((minutes || 0) / 60).toFixed(2));
+const toDateCell = (date) => new Date(`${date}T00:00:00Z`);
+
+/**
+ * Add a sheet whose first row is a bold, frozen, filterable header
+ * `columns` are ExcelJS column definitions ({ header, key, width, style })
+ */
+function addTableSheet(workbook, name, columns, rows) {
+  const sheet = workbook.addWorksheet(name, {
+    views: [{ state: 'frozen', ySplit: 1 }],
+  });
+
+  sheet.columns = columns;
+  sheet.getRow(1).font = { bold: true };
+  sheet.addRows(rows);
+  sheet.autoFilter = { from: { row: 1, column: 1 }, to: { row: 1, column: columns.length } };
+
+  return sheet;
+}
+
+/**
+ * Attendance workbook for a company-local date range (up to MAX_STATUS_RANGE_DAYS days)
+ * Summary: period totals and hours per employee. Raw Logs: every scan. Per Day: each
+ * employee's classified days with sessions. Times are real date cells holding the
+ * company's local wall-clock time, so Excel shows what the device showed.
+ * Options: companyId (all companies when omitted), from, to (YYYY-MM-DD)
+ */
+export async function buildAttendanceWorkbook({ companyId = null, from, to }) {
+  let companiesQuery = supabase.from('companies').select('id, name, timezone');
+  if (companyId) {
+    companiesQuery = companiesQuery.eq('id', companyId);
+  }
+
+  const { data: companies, error: companiesError } = await companiesQuery;
+  if (companiesError) {
+    throw new Error(companiesError.message);
+  }
+
+  const companiesById = new Map(companies.map(company => [company.id, company]));
+  const timeZoneOf = (id) => companiesById.get(id)?.timezone || DEFAULT_TIMEZONE;
+  const wallClock = (value, id) => (value ? getZonedWallClock(value, timeZoneOf(id)) : null);
+
+  // Padded UTC bounds; each log is then kept only if its company-local date is in range
+  const [{ days: statusDays }, { days: sessionDays, employees: sessionTotals }, logs] = await Promise.all([
+    buildAttendanceDays({ companyId, from, to }),
+    buildSessions({ companyId, from, to }),
+    companies.length === 0 ? [] : fetchAllRows(() => supabase
+      .from('attendance_logs')
+      .select('id, recorded_at, event_type, company_id, employees!inner(name, employee_id), devices(device_uuid, location)')
+      .in('company_id', companies.map(company => company.id))
+      .is('voided_at', null)
+      .gte('recorded_at', `${addDays(from, -1)}T00:00:00Z`)
+      .lt('recorded_at', `${addDays(to, 2)}T00:00:00Z`)
+      .order('recorded_at', { ascending: true })
+      .order('id', { ascending: true })),
+  ]);
+
+  const periodLogs = logs.filter(log => {
+    const date = getZonedDate(log.recorded_at, timeZoneOf(log.company_id));
+    return date >= from && date <= to;
+  });
+
+  const sessionsByDay = new Map(sessionDays.map(day => [`${day.employee_id}|${day.date}`, day]));
+  const employees = new Map();
+  statusDays.forEach(day => {
+    if (!employees.has(day.employee_id)) {
+      employees.set(day.employee_id, {
+        employee_name: day.employee_name,
+        employee_code: day.employee_code || '',
+        company_name: day.company_name,
+        days_present: 0,
+        on_site_minutes: 0,
+        break_minutes: 0,
+        late_days: 0,
+        absent_days: 0,
+        overtime_minutes: 0,
+      });
+    }
+
+    const row = employees.get(day.employee_id);
+    if (day.late) row.late_days += 1;
+    if (day.status === 'absent') row.absent_days += 1;
+    row.overtime_minutes += day.overtime_minutes || 0;
+  });
+  sessionTotals.forEach(total => {
+    const row = employees.get(total.employee_id);
+    if (!row) return;
+    row.days_present = total.days_present;
+    row.on_site_minutes = total.on_site_minutes;
+    row.break_minutes = total.break_minutes;
+  });
+
+  const employeeRows = [...employees.values()].sort((a, b) =>
+    a.company_name.localeCompare(b.company_name) || a.employee_name.localeCompare(b.employee_name));
+
+  const workbook = new ExcelJS.Workbook();
+  workbook.created = new Date();
+
+  // Summary: period facts, then one row per employee under a frozen header
+  const summary = workbook.addWorksheet('Summary');
+  summary.columns = [
+    { width: 28 }, { width: 14 }, { width: 24 }, { width: 13 }, { width: 14, style: { numFmt: HOURS_FORMAT } },
+    { width: 12, style: { numFmt: HOURS_FORMAT } }, { width: 10 }, { width: 12 }, { width: 15, style: { numFmt: HOURS_FORMAT } },
+  ];
+
+  const facts = [
+    ['Period', `${from} to ${to}`],
+    ['Company', companyId ? companies[0]?.name || 'Unknown' : 'All companies'],
+    ['Scans', periodLogs.length],
+    ['IN', periodLogs.filter(log => log.event_type === 'IN').length],
+    ['OUT', periodLogs.filter(log => log.event_type === 'OUT').length],
+    ['Employees', employeeRows.length],
+    ['Hours On Site', toHours(employeeRows.reduce((sum, row) => sum + row.on_site_minutes, 0))],
+  ];
+  facts.forEach(fact => {
+    summary.addRow(fact).getCell(1).font = { bold: true };
+  });
+  summary.getCell(`B${facts.length}`).numFmt = HOURS_FORMAT;
+  summary.addRow([]);
+
+  const tableTop = facts.length + 2;
+  const summaryHeaders = [
+    'Employee', 'Employee ID', 'Company', 'Days Present', 'Hours On Site', 'Break Hours',
+    'Late Days', 'Absent Days', 'Overtime Hours',
+  ];
+  summary.addRow(summaryHeaders).font = { bold: true };
+  employeeRows.forEach(row => {
+    summary.addRow([
+      row.employee_name,
+      row.employee_code,
+      row.company_name,
+      row.days_present,
+      toHours(row.on_site_minutes),
+      toHours(row.break_minutes),
+      row.late_days,
+      row.absent_days,
+      toHours(row.overtime_minutes),
+    ]);
+  });
+
+  summary.views = [{ state: 'frozen', ySplit: tableTop }];
+  summary.autoFilter = { from: { row: tableTop, column: 1 }, to: { row: tableTop, column: summaryHeaders.length } };
+
+  addTableSheet(workbook, 'Raw Logs', [
+    { header: 'Time', key: 'time', width: 20, style: { numFmt: DATE_TIME_FORMAT } },
+    { header: 'Date', key: 'date', width: 12, style: { numFmt: DATE_FORMAT } },
+    { header: 'Event', key: 'event', width: 8 },
+    { header: 'Employee', key: 'employee', width: 28 },
+    { header: 'Employee ID', key: 'employee_code', width: 14 },
+    { header: 'Company', key: 'company', width: 24 },
+    { header: 'Device', key: 'device', width: 20 },
+    { header: 'Location', key: 'location', width: 24 },
+    { header: 'Timezone', key: 'timezone', width: 18 },
+  ], periodLogs.map(log => ({
+    time: wallClock(log.recorded_at, log.company_id),
+    date: toDateCell(getZonedDate(log.recorded_at, timeZoneOf(log.company_id))),
+    event: log.event_type || 'SCAN',
+    employee: log.employees?.name || 'Unknown',
+    employee_code: log.employees?.employee_id || '',
+    company: companiesById.get(log.company_id)?.name || 'Unknown',
+    device: log.devices?.device_uuid || '',
+    location: log.devices?.location || '',
+    timezone: timeZoneOf(log.company_id),
+  })));
+
+  addTableSheet(workbook, 'Per Day', [
+    { header: 'Date', key: 'date', width: 12, style: { numFmt: DATE_FORMAT } },
+    { header: 'Employee', key: 'employee', width: 28 },
+    { header: 'Employee ID', key: 'employee_code', width: 14 },
+    { header: 'Company', key: 'company', width: 24 },
+    { header: 'Shift', key: 'shift', width: 16 },
+    { header: 'Status', key: 'status', width: 13 },
+    { header: 'First In', key: 'first_in', width: 10, style: { numFmt: TIME_FORMAT } },
+    { header: 'Last Out', key: 'last_out', width: 10, style: { numFmt: TIME_FORMAT } },
+    { header: 'Hours On Site', key: 'on_site', width: 14, style: { numFmt: HOURS_FORMAT } },
+    { header: 'Break Hours', key: 'break', width: 12, style: { numFmt: HOURS_FORMAT } },
+    { header: 'Late Minutes', key: 'late', width: 13 },
+    { header: 'Early Leave Minutes', key: 'early_leave', width: 19 },
+    { header: 'Overtime Hours', key: 'overtime', width: 15, style: { numFmt: HOURS_FORMAT } },
+    { header: 'Missing Punch', key: 'missing_punch', width: 14 },
+    { header: 'Holiday / Leave', key: 'holiday_leave', width: 20 },
+  ], statusDays.map(day => {
+    const sessions = sessionsByDay.get(`${day.employee_id}|${day.date}`);
+    return {
+      date: toDateCell(day.date),
+      employee: day.employee_name,
+      employee_code: day.employee_code || '',
+      company: day.company_name,
+      shift: day.shift_name || '',
+      status: day.status,
+      first_in: wallClock(day.first_in, day.company_id),
+      last_out: wallClock(day.last_out, day.company_id),
+      on_site: toHours(sessions?.on_site_minutes),
+      break: toHours(sessions?.break_minutes),
+      late: day.late_minutes ?? null,
+      early_leave: day.early_leave_minutes ?? null,
+      overtime: toHours(day.overtime_minutes),
+      missing_punch: day.missing_punch ? 'yes' : '',
+      holiday_leave: day.holiday_name || day.leave_type || '',
+    };
+  }));
+
+  return workbook;
+}
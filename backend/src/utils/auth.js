@@ -47,9 +47,21 @@ export async function comparePassword(password, hash) {
 
 /**
  * Generate secure device token
+ * Format: <key_id>.<secret> - the public key_id indexes a single device_tokens row
  */
 export function generateDeviceToken() {
-  return crypto.randomBytes(32).toString('hex');
+  const keyId = crypto.randomBytes(6).toString('hex');
+  const secret = crypto.randomBytes(32).toString('hex');
+  return { token: `${keyId}.${secret}`, keyId };
+}
+
+/**
+ * Extract the key_id from a device token
+ * Returns null for legacy tokens issued before key IDs existed
+ */
+export function getDeviceTokenKeyId(token) {
+  const separator = token.indexOf('.');
+  return separator > 0 ? token.substring(0, separator) : null;
 }
 
 /**
@@ -67,6 +79,27 @@ export async function compareDeviceToken(token, hash) {
   return await bcrypt.compare(token, hash);
 }
 
+// Enrollment code alphabet without look-alike characters (0/O, 1/I)
+const ENROLLMENT_CODE_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+
+/**
+ * Generate a short one-time device enrollment code (e.g. K7PM-3QXA)
+ */
+export function generateEnrollmentCode() {
+  const bytes = crypto.randomBytes(8);
+  const chars = Array.from(bytes, (b) => ENROLLMENT_CODE_ALPHABET[b % ENROLLMENT_CODE_ALPHABET.length]);
+  return `${chars.slice(0, 4).join('')}-${chars.slice(4).join('')}`;
+}
+
+/**
+ * Hash enrollment code for storage and lookup
+ * Case and dashes are ignored so codes can be typed on a serial console
+ */
+export function hashEnrollmentCode(code) {
+  const normalized = String(code).toUpperCase().replace(/[^A-Z0-9]/g, '');
+  return crypto.createHash('sha256').update(normalized).digest('hex');
+}
+
 /**
  * Generate secure random string
  */
@@ -0,0 +1,121 @@
+import { supabase } from '../config/database.js';
+import { DEFAULT_TIMEZONE, getZonedDate } from './attendance.js';
+import { resolveEmployeeDay } from './eventResolver.js';
+import logger from './logger.js';
+
+export const CORRECTION_TYPES = ['add_punch', 'remove_punch', 'change_punch'];
+export const CORRECTION_STATUSES = ['pending', 'approved', 'rejected', 'cancelled'];
+
+/**
+ * Insert the manual log an approved add or change correction asks for
+ */
+async function insertManualLog(correction, approverId) {
+  const { data, error } = await supabase
+    .from('attendance_logs')
+    .insert({
+      employee_id: correction.employee_id,
+      company_id: correction.company_id,
+      rfid_tag_id: null,
+      device_id: null,
+      recorded_at: correction.recorded_at,
+      event_type: correction.event_type,
+      source: 'manual',
+      correction_id: correction.id,
+      approved_by: approverId,
+    })
+    .select('id, recorded_at')
+    .single();
+
+  if (error) {
+    throw new Error(error.message);
+  }
+
+  return data;
+}
+
+/**
+ * Void the log a remove or change correction targets; the row itself is kept for audit
+ * Returns false when it is already voided
+ */
+async function voidLog(correction) {
+  const { data, error } = await supabase
+    .from('attendance_logs')
+    .update({ voided_at: new Date().toISOString(), voided_by_correction_id: correction.id })
+    .eq('id', correction.log_id)
+    .is('voided_at', null)
+    .select('id');
+
+  if (error) {
+    throw new Error(error.message);
+  }
+
+  return data.length > 0;
+}
+
+/**
+ * Undo voidLog when the rest of a correction could not be applied
+ */
+async function restoreLog(correction) {
+  const { error } = await supabase
+    .from('attendance_logs')
+    .update({ voided_at: null, voided_by_correction_id: null })
+    .eq('id', correction.log_id)
+    .eq('voided_by_correction_id', correction.id);
+
+  if (error) {
+    logger.error(`Failed to restore log ${correction.log_id} after correction ${correction.id} failed:`, error);
+  }
+}
+
+/**
+ * Apply an approved correction to attendance_logs and re-resolve the affected day(s)
+ * `correction` needs companies(timezone). Returns { applied, createdLogId }; applied is false
+ * when the targeted log was voided by another correction in the meantime.
+ * Throws only when nothing was applied; a failed re-resolve is left to the next scan of the day
+ */
+export async function applyCorrection(correction, approverId) {
+  const timeZone = correction.companies?.timezone || DEFAULT_TIMEZONE;
+  const affectedTimes = [];
+
+  if (correction.type !== 'add_punch') {
+    if (!await voidLog(correction)) {
+      return { applied: false, createdLogId: null };
+    }
+    affectedTimes.push(correction.original_recorded_at);
+  }
+
+  let createdLog = null;
+  if (correction.type !== 'remove_punch') {
+    try {
+      createdLog = await insertManualLog(correction, approverId);
+    } catch (error) {
+      if (correction.type !== 'add_punch') {
+        await restoreLog(correction);
+      }
+      throw error;
+    }
+    affectedTimes.push(createdLog.recorded_at);
+  }
+
+  // A change can move a punch to another day, so both days are re-resolved
+  const resolvedDays = new Set();
+  for (const recordedAt of affectedTimes) {
+    const dayKey = getZonedDate(recordedAt, timeZone);
+    if (resolvedDays.has(dayKey)) continue;
+    resolvedDays.add(dayKey);
+
+    try {
+      await resolveEmployeeDay(correction.employee_id, recordedAt, {
+        timeZone,
+        triggerLogId: createdLog?.id || correction.log_id,
+        reason: 'correction',
+      });
+    } catch (error) {
+      logger.error(`Failed to re-resolve ${dayKey} after correction ${correction.id}:`, error);
+    }
+  }
+
+  logger.info(`Correction ${correction.id} (${correction.type}) applied for employee ${correction.employee_id}`);
+
+  return { applied: true, createdLogId: createdLog?.id || null };
+}
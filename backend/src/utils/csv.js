@@ -0,0 +1,84 @@
+/**
+ * Parse CSV text into rows of trimmed cells
+ * Handles quoted cells (with "" escapes and embedded newlines), CRLF line endings
+ * and a UTF-8 BOM; blank lines are skipped. Each row keeps its 1-based line number
+ */
+export function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let cell = '';
+  let quoted = false;
+  let line = 1;
+  let rowLine = 1;
+
+  const source = text.replace(/^\uFEFF/, '');
+
+  const endCell = () => {
+    row.push(cell.trim());
+    cell = '';
+  };
+
+  const endRow = () => {
+    endCell();
+    if (row.some(value => value !== '')) {
+      rows.push({ line: rowLine, cells: row });
+    }
+    row = [];
+  };
+
+  for (let i = 0; i < source.length; i++) {
+    const char = source[i];
+
+    if (quoted) {
+      if (char === '"' && source[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        if (char === '\n') line++;
+        cell += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      endCell();
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && source[i + 1] === '\n') i++;
+      endRow();
+      line++;
+      rowLine = line;
+    } else {
+      cell += char;
+    }
+  }
+
+  if (cell !== '' || row.length > 0) {
+    endRow();
+  }
+
+  return rows;
+}
+
+/**
+ * Split parsed rows into records keyed by column name
+ * The first row is a header when it names one of `columns`; otherwise cells map to
+ * `columns` in order. Returns [{ line, ...values }]
+ */
+export function csvRecords(rows, columns) {
+  if (rows.length === 0) {
+    return [];
+  }
+
+  const header = rows[0].cells.map(cell => cell.toLowerCase());
+  const hasHeader = header.some(cell => columns.includes(cell));
+  const positions = columns.map((column, index) => (hasHeader ? header.indexOf(column) : index));
+
+  return rows.slice(hasHeader ? 1 : 0).map(({ line, cells }) => {
+    const record = { line };
+    columns.forEach((column, index) => {
+      record[column] = positions[index] >= 0 ? cells[positions[index]] || '' : '';
+    });
+    return record;
+  });
+}
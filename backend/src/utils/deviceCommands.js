@@ -0,0 +1,128 @@
+import { supabase } from '../config/database.js';
+import logger from './logger.js';
+
+// Commands a reader understands (mirrors the device_commands CHECK constraint)
+export const DEVICE_COMMANDS = [
+  'reboot',
+  'flush_buffer',
+  'clear_buffer',
+  're_register',
+  'wifi_setup',
+  'display_message',
+  'start_ota',
+];
+
+// Statuses a device may report when acknowledging a command
+export const ACK_STATUSES = ['acknowledged', 'failed'];
+
+// Commands delivered per response, so a backlog cannot bloat the reply
+const MAX_COMMANDS_PER_RESPONSE = 5;
+
+// A delivered command not acknowledged within this time is delivered again; the response
+// carrying it may never have reached the reader. Covers two default heartbeats
+const REDELIVERY_TIMEOUT_MS = 10 * 60 * 1000;
+
+/**
+ * Mark pending/delivered commands past their expiry as expired
+ */
+export async function expireDeviceCommands(deviceId) {
+  const { error } = await supabase
+    .from('device_commands')
+    .update({ status: 'expired' })
+    .eq('device_id', deviceId)
+    .in('status', ['pending', 'delivered'])
+    .lt('expires_at', new Date().toISOString());
+
+  if (error) {
+    throw new Error(error.message);
+  }
+}
+
+/**
+ * Record command acknowledgements sent by a device
+ * Each ack is { id, status: 'acknowledged' | 'failed', result? }; acks for
+ * commands of other devices or already-final commands are ignored
+ */
+export async function acknowledgeDeviceCommands(deviceId, acks) {
+  if (!Array.isArray(acks) || acks.length === 0) {
+    return;
+  }
+
+  for (const ack of acks) {
+    if (!ack?.id || !ACK_STATUSES.includes(ack.status)) {
+      continue;
+    }
+
+    const { error } = await supabase
+      .from('device_commands')
+      .update({
+        status: ack.status,
+        result: ack.result ? String(ack.result).slice(0, 500) : null,
+        acknowledged_at: new Date().toISOString(),
+      })
+      .eq('id', ack.id)
+      .eq('device_id', deviceId)
+      .in('status', ['pending', 'delivered']);
+
+    if (error) {
+      logger.error(`Failed to acknowledge command ${ack.id}:`, error);
+    }
+  }
+}
+
+/**
+ * Take the oldest pending commands of a device, plus delivered ones still unacknowledged
+ * after REDELIVERY_TIMEOUT_MS, and mark them delivered (now)
+ * Commands stay open until the device acks them by ID, so a lost response only delays them.
+ * Returns [{ id, command, payload }] to embed in the device response
+ */
+export async function takePendingCommands(deviceId) {
+  await expireDeviceCommands(deviceId);
+
+  const redeliverBefore = new Date(Date.now() - REDELIVERY_TIMEOUT_MS).toISOString();
+
+  const { data: commands, error } = await supabase
+    .from('device_commands')
+    .select('id, command, payload')
+    .eq('device_id', deviceId)
+    .or(`status.eq.pending,and(status.eq.delivered,delivered_at.lt."${redeliverBefore}")`)
+    .order('created_at', { ascending: true })
+    .limit(MAX_COMMANDS_PER_RESPONSE);
+
+  if (error) {
+    throw new Error(error.message);
+  }
+
+  if (!commands || commands.length === 0) {
+    return [];
+  }
+
+  const { error: updateError } = await supabase
+    .from('device_commands')
+    .update({
+      status: 'delivered',
+      delivered_at: new Date().toISOString(),
+    })
+    .in('id', commands.map(command => command.id))
+    .in('status', ['pending', 'delivered']);
+
+  if (updateError) {
+    throw new Error(updateError.message);
+  }
+
+  return commands;
+}
+
+/**
+ * Process a device's acks and collect its next commands for a response.
+ * Command delivery never fails the device call itself.
+ */
+export async function syncDeviceCommands(deviceId, acks) {
+  try {
+    await acknowledgeDeviceCommands(deviceId, acks);
+    return await takePendingCommands(deviceId);
+  } catch (error) {
+    logger.error(`Command sync failed for device ${deviceId}:`, error);
+    return [];
+  }
+}
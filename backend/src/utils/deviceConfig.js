@@ -0,0 +1,111 @@
+import crypto from 'crypto';
+import { supabase } from '../config/database.js';
+
+// Built-in reader settings (match the firmware's compiled-in defaults)
+export const DEFAULT_DEVICE_CONFIG = {
+  debounce_ms: 3000,
+  heartbeat_interval_ms: 300000,
+  lcd_message_ms: 2000,
+  max_buffer_size: 500,
+  location: null,
+};
+
+// Accepted range for each numeric setting; location is a free-form LCD label
+const NUMERIC_LIMITS = {
+  debounce_ms: { min: 500, max: 60000 },
+  heartbeat_interval_ms: { min: 30000, max: 3600000 },
+  lcd_message_ms: { min: 500, max: 10000 },
+  max_buffer_size: { min: 10, max: 2000 },
+};
+
+const MAX_LOCATION_LENGTH = 64;
+
+// Merge order, lowest precedence first
+const SCOPE_ORDER = ['company', 'location', 'device'];
+
+/**
+ * Validate a profile's settings object
+ * Returns a list of error messages (empty when valid); profiles may set any subset
+ */
+export function validateConfigSettings(settings) {
+  if (!settings || typeof settings !== 'object' || Array.isArray(settings)) {
+    return ['settings must be an object'];
+  }
+
+  const errors = [];
+
+  Object.entries(settings).forEach(([key, value]) => {
+    if (key === 'location') {
+      if (value !== null && (typeof value !== 'string' || value.length > MAX_LOCATION_LENGTH)) {
+        errors.push(`location must be a string of at most ${MAX_LOCATION_LENGTH} characters`);
+      }
+      return;
+    }
+
+    const limits = NUMERIC_LIMITS[key];
+    if (!limits) {
+      errors.push(`Unknown setting: ${key}`);
+      return;
+    }
+
+    if (!Number.isInteger(value) || value < limits.min || value > limits.max) {
+      errors.push(`${key} must be an integer between ${limits.min} and ${limits.max}`);
+    }
+  });
+
+  return errors;
+}
+
+/**
+ * Active profiles that apply to a device, ordered company -> location -> device
+ */
+export async function findDeviceProfiles(device) {
+  let query = supabase
+    .from('device_config_profiles')
+    .select('id, name, scope, company_id, location_group, device_id, settings, version, updated_at')
+    .eq('is_active', true);
+
+  query = device.company_id
+    ? query.or(`device_id.eq.${device.id},company_id.eq.${device.company_id}`)
+    : query.eq('device_id', device.id);
+
+  const { data, error } = await query;
+
+  if (error) {
+    throw new Error(error.message);
+  }
+
+  return (data || [])
+    .filter(profile => {
+      if (profile.scope === 'device') return String(profile.device_id) === String(device.id);
+      if (profile.scope === 'location') return !!device.location_group && profile.location_group === device.location_group;
+      return profile.scope === 'company';
+    })
+    .sort((a, b) => SCOPE_ORDER.indexOf(a.scope) - SCOPE_ORDER.indexOf(b.scope));
+}
+
+/**
+ * Effective configuration of a device
+ * Returns { settings, etag, profiles } - the ETag changes whenever the merged settings do
+ */
+export async function resolveDeviceConfig(device) {
+  const profiles = await findDeviceProfiles(device);
+
+  const settings = {
+    ...DEFAULT_DEVICE_CONFIG,
+    location: device.location || DEFAULT_DEVICE_CONFIG.location,
+  };
+  profiles.forEach(profile => Object.assign(settings, profile.settings));
+
+  const etag = `"${crypto
+    .createHash('sha256')
+    .update(JSON.stringify(settings))
+    .digest('hex')
+    .slice(0, 16)}"`;
+
+  return {
+    settings,
+    etag,
+    profiles: profiles.map(({ id, name, scope, version }) => ({ id, name, scope, version })),
+  };
+}
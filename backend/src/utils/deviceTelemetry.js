@@ -0,0 +1,62 @@
+import { supabase } from '../config/database.js';
+import logger from './logger.js';
+
+// How long heartbeat samples are kept
+const TELEMETRY_RETENTION_DAYS = parseInt(process.env.TELEMETRY_RETENTION_DAYS) || 30;
+
+// Error counters reported by the firmware's errorStats struct (cumulative since boot)
+export const TELEMETRY_ERROR_COUNTERS = [
+  'wifi_disconnects',
+  'http_errors',
+  'buffer_overflows',
+  'ntp_sync_failures',
+  'token_expired',
+];
+
+/**
+ * Append a heartbeat sample to a device's telemetry history
+ */
+export async function recordTelemetry(device, heartbeat) {
+  const sample = {
+    device_id: device.id,
+    firmware_version: heartbeat.firmware_version || null,
+    buffer_count: heartbeat.buffer_count ?? null,
+    rssi: heartbeat.rssi ?? null,
+    uptime_ms: heartbeat.uptime_ms ?? null,
+    free_heap: heartbeat.free_heap ?? null,
+    min_free_heap: heartbeat.min_free_heap ?? null,
+    reset_reason: heartbeat.reset_reason || null,
+  };
+
+  TELEMETRY_ERROR_COUNTERS.forEach(counter => {
+    sample[counter] = heartbeat.errors?.[counter] ?? null;
+  });
+
+  const { error } = await supabase
+    .from('device_telemetry')
+    .insert(sample);
+
+  if (error) {
+    throw new Error(error.message);
+  }
+}
+
+/**
+ * Delete samples older than the retention window
+ */
+export async function purgeTelemetry() {
+  const cutoff = new Date(Date.now() - TELEMETRY_RETENTION_DAYS * 24 * 60 * 60 * 1000);
+
+  const { count, error } = await supabase
+    .from('device_telemetry')
+    .delete({ count: 'exact' })
+    .lt('recorded_at', cutoff.toISOString());
+
+  if (error) {
+    throw new Error(error.message);
+  }
+
+  if (count) {
+    logger.info(`Purged ${count} telemetry sample(s) older than ${TELEMETRY_RETENTION_DAYS} days`);
+  }
+}
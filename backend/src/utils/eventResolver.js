@@ -0,0 +1,179 @@
+import { supabase } from '../config/database.js';
+import { DEFAULT_TIMEZONE, getDayBounds, nextEventType } from './attendance.js';
+import logger from './logger.js';
+
+/**
+ * Recompute the IN/OUT sequence of an employee's local day in recorded_at order.
+ *
+ * Scans can arrive late (buffered readers, retries after midnight), so the type
+ * guessed at insert time may be wrong for the scan itself or for the ones after it.
+ * Every log whose type changes is rewritten and recorded in attendance_event_type_changes.
+ * An OUT generated by the missing punch job keeps its type; once a real scan closes the
+ * day it is no longer needed and is removed. A missing punch still awaiting review is closed
+ * once a real OUT follows its IN. Manual punches from approved corrections
+ * keep their type too, and the scans after them toggle from it. Voided logs are ignored.
+ *
+ * Returns a Map of log id -> resolved event type for the whole day
+ */
+export async function resolveEmployeeDay(employeeId, recordedAt, options = {}) {
+  const {
+    timeZone = DEFAULT_TIMEZONE,
+    triggerLogId = null,
+    reason = 'late_scan',
+  } = options;
+
+  const { start, end } = getDayBounds(recordedAt, timeZone);
+
+  const { data: logs, error } = await supabase
+    .from('attendance_logs')
+    .select('id, event_type, recorded_at, auto_closed, source')
+    .eq('employee_id', employeeId)
+    .is('voided_at', null)
+    .gte('recorded_at', start.toISOString())
+    .lt('recorded_at', end.toISOString())
+    .order('recorded_at', { ascending: true })
+    .order('id', { ascending: true });
+
+  if (error) {
+    throw new Error(error.message);
+  }
+
+  const resolved = new Map();
+  const changes = [];
+  let previousType = null;
+
+  const scanned = (logs || []).filter(log => !log.auto_closed);
+  const generated = (logs || []).filter(log => log.auto_closed);
+
+  for (const log of scanned) {
+    if (log.source === 'manual') {
+      resolved.set(log.id, log.event_type);
+      previousType = log.event_type;
+      continue;
+    }
+
+    const eventType = nextEventType(previousType);
+    resolved.set(log.id, eventType);
+    previousType = eventType;
+
+    if (log.event_type !== eventType) {
+      changes.push({ log, eventType });
+    }
+  }
+
+  const lastScanAt = scanned.length > 0 ? new Date(scanned[scanned.length - 1].recorded_at) : null;
+  const superseded = previousType === 'OUT'
+    || generated.some(log => lastScanAt && new Date(log.recorded_at) < lastScanAt);
+
+  if (generated.length > 0 && superseded) {
+    await removeGeneratedOuts(generated);
+  } else {
+    generated.forEach(log => resolved.set(log.id, log.event_type));
+  }
+
+  await closeAnsweredPunches(scanned, resolved);
+
+  if (changes.length === 0) {
+    return resolved;
+  }
+
+  for (const { log, eventType } of changes) {
+    const { error: updateError } = await supabase
+      .from('attendance_logs')
+      .update({ event_type: eventType })
+      .eq('id', log.id);
+
+    if (updateError) {
+      throw new Error(updateError.message);
+    }
+  }
+
+  const { error: auditError } = await supabase
+    .from('attendance_event_type_changes')
+    .insert(changes.map(({ log, eventType }) => ({
+      log_id: log.id,
+      employee_id: employeeId,
+      previous_event_type: log.event_type,
+      new_event_type: eventType,
+      reason,
+      trigger_log_id: triggerLogId,
+    })));
+
+  if (auditError) {
+    logger.error('Failed to record event type changes:', auditError);
+  }
+
+  logger.info(`Resolved ${changes.length} event type change(s) for employee ${employeeId} on ${start.toISOString()}`);
+
+  return resolved;
+}
+
+/**
+ * Close missing punches awaiting review whose IN is now followed by a scanned OUT
+ * (or was itself re-typed to OUT) in the resolved day
+ */
+async function closeAnsweredPunches(scanned, resolved) {
+  if (!scanned.some(log => resolved.get(log.id) === 'OUT')) {
+    return;
+  }
+
+  const { data: punches, error } = await supabase
+    .from('missing_punches')
+    .select('id, in_log_id')
+    .eq('status', 'pending_review')
+    .in('in_log_id', scanned.map(log => log.id));
+
+  if (error) {
+    throw new Error(error.message);
+  }
+
+  for (const punch of punches || []) {
+    const position = scanned.findIndex(log => log.id === punch.in_log_id);
+    const closingLog = scanned.slice(position).find(log => resolved.get(log.id) === 'OUT');
+    if (!closingLog) continue;
+
+    const { error: updateError } = await supabase
+      .from('missing_punches')
+      .update({
+        status: 'closed',
+        closing_log_id: closingLog.id,
+        note: 'Closed by a late scan',
+        resolved_at: new Date().toISOString(),
+      })
+      .eq('id', punch.id)
+      .eq('status', 'pending_review');
+
+    if (updateError) {
+      throw new Error(updateError.message);
+    }
+
+    logger.info(`Missing punch ${punch.id} closed by scanned OUT ${closingLog.id}`);
+  }
+}
+
+/**
+ * Delete generated OUTs made redundant by a late scan and mark their missing punches closed
+ */
+async function removeGeneratedOuts(logs) {
+  const ids = logs.map(log => log.id);
+
+  const { error: punchError } = await supabase
+    .from('missing_punches')
+    .update({ status: 'closed', note: 'Closed by a late scan', resolved_at: new Date().toISOString() })
+    .in('closing_log_id', ids);
+
+  if (punchError) {
+    throw new Error(punchError.message);
+  }
+
+  const { error } = await supabase
+    .from('attendance_logs')
+    .delete()
+    .in('id', ids);
+
+  if (error) {
+    throw new Error(error.message);
+  }
+
+  logger.info(`Removed ${ids.length} auto-closed OUT(s) superseded by a late scan`);
+}
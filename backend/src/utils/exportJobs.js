@@ -0,0 +1,163 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { supabase } from '../config/database.js';
+import { EXPORT_FORMATS, countAttendanceLogs } from './attendanceExport.js';
+import logger from './logger.js';
+
+// Supabase storage bucket holding finished exports
+export const EXPORTS_BUCKET = 'report-exports';
+
+// How long a finished export stays downloadable
+export const EXPORT_RETENTION_DAYS = parseInt(process.env.EXPORT_RETENTION_DAYS) || 7;
+
+// Minimum gap between progress writes of a running job
+const PROGRESS_INTERVAL_MS = 2000;
+
+// Jobs run one after another so a big export cannot starve the API
+let queue = Promise.resolve();
+
+/**
+ * Update a job row, logging rather than throwing so a failed write never stops an export
+ */
+async function updateJob(id, updates) {
+  const { error } = await supabase
+    .from('report_export_jobs')
+    .update(updates)
+    .eq('id', id);
+
+  if (error) {
+    logger.error(`Failed to update export job ${id}: ${error.message}`);
+  }
+}
+
+/**
+ * Produce a job's file: page through the logs into a temp file, then upload it
+ */
+async function runExportJob(job) {
+  const exportFormat = EXPORT_FORMATS[job.format];
+  const tempFile = path.join(os.tmpdir(), `report-export-${job.id}.${exportFormat.extension}`);
+
+  try {
+    const range = { companyId: job.company_id, from: job.from_date, to: job.to_date };
+
+    if (job.company_id) {
+      const { data: company } = await supabase
+        .from('companies')
+        .select('name, timezone')
+        .eq('id', job.company_id)
+        .maybeSingle();
+      range.companyName = company?.name || 'Unknown';
+      range.timeZone = company?.timezone || null;
+    }
+
+    await updateJob(job.id, {
+      status: 'running',
+      started_at: new Date().toISOString(),
+      total_rows: await countAttendanceLogs(range),
+    });
+
+    let lastProgressAt = Date.now();
+    const rows = await exportFormat.write(fs.createWriteStream(tempFile), range, (rowsProcessed) => {
+      if (Date.now() - lastProgressAt < PROGRESS_INTERVAL_MS) return;
+      lastProgressAt = Date.now();
+      updateJob(job.id, { rows_processed: rowsProcessed });
+    });
+
+    const storagePath = `${job.id}.${exportFormat.extension}`;
+    const { size } = await fs.promises.stat(tempFile);
+
+    const { error: uploadError } = await supabase.storage
+      .from(EXPORTS_BUCKET)
+      .upload(storagePath, fs.createReadStream(tempFile), {
+        contentType: exportFormat.contentType,
+        duplex: 'half',
+        upsert: true,
+      });
+
+    if (uploadError) {
+      throw new Error(uploadError.message);
+    }
+
+    await updateJob(job.id, {
+      status: 'completed',
+      rows_processed: rows,
+      storage_path: storagePath,
+      size_bytes: size,
+      completed_at: new Date().toISOString(),
+      expires_at: new Date(Date.now() + EXPORT_RETENTION_DAYS * 24 * 60 * 60 * 1000).toISOString(),
+    });
+
+    logger.info(`Export job ${job.id} finished: ${rows} row(s), ${size} bytes`);
+  } catch (error) {
+    logger.error(`Export job ${job.id} failed:`, error);
+    await updateJob(job.id, {
+      status: 'failed',
+      error: error.message,
+      completed_at: new Date().toISOString(),
+    });
+  } finally {
+    await fs.promises.rm(tempFile, { force: true });
+  }
+}
+
+/**
+ * Queue a stored report_export_jobs row to run after any jobs already waiting
+ */
+export function enqueueExportJob(job) {
+  queue = queue.then(() => runExportJob(job));
+}
+
+/**
+ * Fail jobs left queued or running by a previous server process; their work died with it
+ */
+export async function failInterruptedExportJobs() {
+  const { count, error } = await supabase
+    .from('report_export_jobs')
+    .update({
+      status: 'failed',
+      error: 'Interrupted by a server restart',
+      completed_at: new Date().toISOString(),
+    }, { count: 'exact' })
+    .in('status', ['queued', 'running']);
+
+  if (error) {
+    throw new Error(error.message);
+  }
+
+  if (count) {
+    logger.warn(`Marked ${count} interrupted export job(s) as failed`);
+  }
+}
+
+/**
+ * Delete the files of finished exports past their expiry
+ */
+export async function purgeExpiredExports() {
+  const { data: jobs, error } = await supabase
+    .from('report_export_jobs')
+    .select('id, storage_path')
+    .eq('status', 'completed')
+    .lt('expires_at', new Date().toISOString());
+
+  if (error) {
+    throw new Error(error.message);
+  }
+
+  if (jobs.length === 0) return;
+
+  const { error: removeError } = await supabase.storage
+    .from(EXPORTS_BUCKET)
+    .remove(jobs.map(job => job.storage_path));
+
+  if (removeError) {
+    throw new Error(removeError.message);
+  }
+
+  await supabase
+    .from('report_export_jobs')
+    .update({ status: 'expired', storage_path: null })
+    .in('id', jobs.map(job => job.id));
+
+  logger.info(`Removed ${jobs.length} expired export file(s)`);
+}
@@ -0,0 +1,242 @@
+import crypto from 'crypto';
+import { supabase } from '../config/database.js';
+import logger from './logger.js';
+
+// Supabase storage bucket holding firmware binaries
+export const FIRMWARE_BUCKET = 'firmware';
+
+// How long a reader has to pick up an offered update
+const OFFER_TTL_MINUTES = 24 * 60;
+
+/**
+ * Stable 0-99 bucket of a device within a rollout, so raising a canary
+ * percentage only ever adds devices
+ */
+export function canaryBucket(rolloutId, deviceId) {
+  const hash = crypto.createHash('sha256').update(`${rolloutId}:${deviceId}`).digest();
+  return hash.readUInt32BE(0) % 100;
+}
+
+/**
+ * Whether a device belongs to a rollout's cohort
+ */
+export function isDeviceInRollout(rollout, device) {
+  if (rollout.target === 'company' && String(rollout.company_id) !== String(device.company_id)) {
+    return false;
+  }
+
+  if (rollout.target === 'devices' && !(rollout.device_ids || []).map(String).includes(String(device.id))) {
+    return false;
+  }
+
+  return canaryBucket(rollout.id, device.id) < rollout.percentage;
+}
+
+/**
+ * Download path of a release, relative to the API host the reader already uses
+ */
+export function getReleaseDownloadPath(releaseId) {
+  return `/api/v1/firmware/releases/${releaseId}/download`;
+}
+
+/**
+ * Update a device's rollout state from a heartbeat and offer it a pending release.
+ * Offers are queued as start_ota commands, so the same heartbeat response delivers them.
+ */
+export async function trackFirmwareRollout(device, firmwareVersion) {
+  const { data: rows, error } = await supabase
+    .from('firmware_rollout_devices')
+    .select(`
+      id,
+      status,
+      rollout_id,
+      device_commands:command_id (status, result),
+      firmware_rollouts (status, firmware_releases (version))
+    `)
+    .eq('device_id', device.id);
+
+  if (error) {
+    throw new Error(error.message);
+  }
+
+  let inFlight = false;
+
+  for (const row of rows || []) {
+    const targetVersion = row.firmware_rollouts?.firmware_releases?.version;
+    let update = null;
+
+    if (['offered', 'downloading', 'unhealthy'].includes(row.status) && firmwareVersion && firmwareVersion === targetVersion) {
+      update = { status: 'installed', installed_at: new Date().toISOString(), error: null };
+    } else if (['offered', 'downloading'].includes(row.status)) {
+      const commandStatus = row.device_commands?.status;
+      if (commandStatus === 'failed' || commandStatus === 'expired') {
+        update = { status: 'failed', error: row.device_commands.result || `Command ${commandStatus}` };
+      } else {
+        inFlight = true;
+      }
+    }
+
+    if (update) {
+      const { error: updateError } = await supabase
+        .from('firmware_rollout_devices')
+        .update(update)
+        .eq('id', row.id);
+
+      if (updateError) {
+        throw new Error(updateError.message);
+      }
+
+      logger.info(`Firmware rollout ${row.rollout_id}: ${device.device_uuid} ${update.status}`);
+    }
+  }
+
+  // One update at a time per reader
+  if (inFlight) {
+    return null;
+  }
+
+  const { data: rollouts, error: rolloutError } = await supabase
+    .from('firmware_rollouts')
+    .select('*, firmware_releases (id, version, checksum_md5, uploaded_at)')
+    .eq('status', 'active')
+    .order('created_at', { ascending: false });
+
+  if (rolloutError) {
+    throw new Error(rolloutError.message);
+  }
+
+  const offeredRollouts = new Set((rows || []).map(row => row.rollout_id));
+
+  const rollout = (rollouts || []).find(candidate => (
+    candidate.firmware_releases?.uploaded_at &&
+    candidate.firmware_releases.version !== firmwareVersion &&
+    !offeredRollouts.has(candidate.id) &&
+    isDeviceInRollout(candidate, device)
+  ));
+
+  if (!rollout) {
+    return null;
+  }
+
+  const release = rollout.firmware_releases;
+
+  const { data: command, error: commandError } = await supabase
+    .from('device_commands')
+    .insert({
+      device_id: device.id,
+      command: 'start_ota',
+      payload: {
+        path: getReleaseDownloadPath(release.id),
+        version: release.version,
+        md5: release.checksum_md5,
+        release_id: release.id,
+        rollout_id: rollout.id,
+      },
+      expires_at: new Date(Date.now() + OFFER_TTL_MINUTES * 60 * 1000).toISOString(),
+      created_by: rollout.created_by,
+    })
+    .select('id')
+    .single();
+
+  if (commandError) {
+    throw new Error(commandError.message);
+  }
+
+  const { error: offerError } = await supabase
+    .from('firmware_rollout_devices')
+    .insert({
+      rollout_id: rollout.id,
+      device_id: device.id,
+      command_id: command.id,
+      from_version: firmwareVersion || null,
+    });
+
+  if (offerError) {
+    throw new Error(offerError.message);
+  }
+
+  logger.info(`Firmware ${release.version} offered to ${device.device_uuid} (rollout ${rollout.id})`);
+
+  return release;
+}
+
+/**
+ * Halt a rollout and withdraw offers its readers have not picked up yet
+ */
+export async function haltRollout(rolloutId, reason) {
+  const { error } = await supabase
+    .from('firmware_rollouts')
+    .update({ status: 'halted', halt_reason: reason })
+    .eq('id', rolloutId);
+
+  if (error) {
+    throw new Error(error.message);
+  }
+
+  const { data: offered } = await supabase
+    .from('firmware_rollout_devices')
+    .select('command_id')
+    .eq('rollout_id', rolloutId)
+    .eq('status', 'offered')
+    .not('command_id', 'is', null);
+
+  const commandIds = (offered || []).map(row => row.command_id);
+  if (commandIds.length > 0) {
+    await supabase
+      .from('device_commands')
+      .update({ status: 'expired', result: 'Rollout halted' })
+      .in('id', commandIds)
+      .eq('status', 'pending');
+  }
+
+  logger.warn(`Firmware rollout ${rolloutId} halted: ${reason}`);
+}
+
+/**
+ * Mark upgraded readers that stopped heartbeating as unhealthy and halt
+ * rollouts that reach their unhealthy limit
+ */
+export async function checkRolloutHealth() {
+  const { data: rollouts, error } = await supabase
+    .from('firmware_rollouts')
+    .select('id, health_window_minutes, max_unhealthy')
+    .eq('status', 'active');
+
+  if (error) {
+    throw new Error(error.message);
+  }
+
+  for (const rollout of rollouts || []) {
+    const cutoff = new Date(Date.now() - rollout.health_window_minutes * 60 * 1000);
+
+    const { data: rows, error: rowsError } = await supabase
+      .from('firmware_rollout_devices')
+      .select('id, status, installed_at, devices (device_uuid, last_seen)')
+      .eq('rollout_id', rollout.id)
+      .in('status', ['installed', 'unhealthy']);
+
+    if (rowsError) {
+      throw new Error(rowsError.message);
+    }
+
+    const silent = (rows || []).filter(row => {
+      if (row.status !== 'installed') return false;
+      const lastSeen = new Date(row.devices?.last_seen || row.installed_at);
+      return lastSeen < cutoff;
+    });
+
+    for (const row of silent) {
+      await supabase
+        .from('firmware_rollout_devices')
+        .update({ status: 'unhealthy', error: `No heartbeat for ${rollout.health_window_minutes} minutes after update` })
+        .eq('id', row.id);
+
+      logger.warn(`Firmware rollout ${rollout.id}: ${row.devices?.device_uuid} stopped heartbeating`);
+    }
+
+    const unhealthy = (rows || []).filter(row => row.status === 'unhealthy').length + silent.length;
+    if (unhealthy >= rollout.max_unhealthy) {
+      await haltRollout(rollout.id, `${unhealthy} upgraded device(s) stopped heartbeating`);
+    }
+  }
+}
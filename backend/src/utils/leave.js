@@ -0,0 +1,169 @@
+import { supabase } from '../config/database.js';
+import { fetchAllRows } from './attendanceStatus.js';
+import { addDays, resolveShift } from './shifts.js';
+
+export const LEAVE_STATUSES = ['pending', 'approved', 'rejected', 'cancelled'];
+
+/**
+ * Holidays of the given companies in a date range
+ * Returns a Map of company id -> Map of date -> holiday name; incubator-wide holidays
+ * appear under every company, and a company's own holiday wins on the same date
+ */
+export async function fetchHolidayDates(companyIds, from, to) {
+  const { data, error } = await supabase
+    .from('holidays')
+    .select('company_id, date, name')
+    .or(`company_id.is.null,company_id.in.(${companyIds.join(',')})`)
+    .gte('date', from)
+    .lte('date', to)
+    .order('date', { ascending: true });
+
+  if (error) {
+    throw new Error(error.message);
+  }
+
+  const holidays = new Map(companyIds.map(companyId => [companyId, new Map()]));
+  const incubatorWide = data.filter(holiday => !holiday.company_id);
+
+  incubatorWide.forEach(holiday => {
+    holidays.forEach(dates => dates.set(holiday.date, holiday.name));
+  });
+
+  data.filter(holiday => holiday.company_id).forEach(holiday => {
+    holidays.get(holiday.company_id)?.set(holiday.date, holiday.name);
+  });
+
+  return holidays;
+}
+
+/**
+ * Approved leave overlapping a date range
+ * Returns a Map of employee id -> Map of date -> leave type name
+ */
+export async function fetchLeaveDays({ companyIds, employeeId = null, from, to }) {
+  const requests = await fetchAllRows(() => {
+    let query = supabase
+      .from('leave_requests')
+      .select('employee_id, start_date, end_date, leave_types (name)')
+      .in('company_id', companyIds)
+      .eq('status', 'approved')
+      .lte('start_date', to)
+      .gte('end_date', from)
+      .order('start_date', { ascending: true });
+
+    return employeeId ? query.eq('employee_id', employeeId) : query;
+  });
+
+  const leave = new Map();
+  requests.forEach(request => {
+    if (!leave.has(request.employee_id)) leave.set(request.employee_id, new Map());
+    const dates = leave.get(request.employee_id);
+
+    const start = request.start_date > from ? request.start_date : from;
+    const end = request.end_date < to ? request.end_date : to;
+    for (let date = start; date <= end; date = addDays(date, 1)) {
+      dates.set(date, request.leave_types?.name || 'Leave');
+    }
+  });
+
+  return leave;
+}
+
+/**
+ * Working days an employee would be away between two dates (inclusive): days their
+ * shift schedule marks as workdays, minus holidays. Employees without a schedule count
+ * every day that is not a holiday. `employee` needs id and company_id
+ */
+export async function countLeaveDays(employee, from, to) {
+  const [{ data: defaultShift, error: shiftError }, { data: assignments, error: assignmentError }, holidays] = await Promise.all([
+    supabase
+      .from('shifts')
+      .select('*')
+      .eq('company_id', employee.company_id)
+      .eq('is_default', true)
+      .maybeSingle(),
+    supabase
+      .from('employee_shifts')
+      .select('*, shifts (*)')
+      .eq('employee_id', employee.id)
+      .lte('effective_from', to)
+      .or(`effective_to.is.null,effective_to.gte.${from}`),
+    fetchHolidayDates([employee.company_id], from, to),
+  ]);
+
+  if (shiftError || assignmentError) {
+    throw new Error((shiftError || assignmentError).message);
+  }
+
+  const companyHolidays = holidays.get(employee.company_id);
+  let days = 0;
+
+  for (let date = from; date <= to; date = addDays(date, 1)) {
+    if (companyHolidays.has(date)) continue;
+
+    const schedule = resolveShift(date, assignments, defaultShift);
+    if (!schedule || schedule.workday) {
+      days += 1;
+    }
+  }
+
+  return days;
+}
+
+/**
+ * An employee's leave balances for a year, one row per active leave type of their company
+ * allocated is the employee's leave_balances row, else the type's allowance (null = unlimited);
+ * used and pending sum approved and pending requests starting in the year
+ */
+export async function getLeaveBalances(employee, year) {
+  const [types, balances, requests] = await Promise.all([
+    supabase
+      .from('leave_types')
+      .select('id, name, code, is_paid, annual_allowance')
+      .eq('company_id', employee.company_id)
+      .eq('is_active', true)
+      .order('name', { ascending: true }),
+    supabase
+      .from('leave_balances')
+      .select('leave_type_id, allocated, note')
+      .eq('employee_id', employee.id)
+      .eq('year', year),
+    supabase
+      .from('leave_requests')
+      .select('leave_type_id, status, days')
+      .eq('employee_id', employee.id)
+      .in('status', ['approved', 'pending'])
+      .gte('start_date', `${year}-01-01`)
+      .lte('start_date', `${year}-12-31`),
+  ]);
+
+  const failed = [types, balances, requests].find(result => result.error);
+  if (failed) {
+    throw new Error(failed.error.message);
+  }
+
+  const balancesByType = new Map(balances.data.map(balance => [balance.leave_type_id, balance]));
+
+  return types.data.map(type => {
+    const balance = balancesByType.get(type.id);
+    const allocated = balance ? Number(balance.allocated) : type.annual_allowance === null ? null : Number(type.annual_allowance);
+    const sum = (status) => requests.data
+      .filter(request => request.leave_type_id === type.id && request.status === status)
+      .reduce((total, request) => total + request.days, 0);
+    const used = sum('approved');
+
+    return {
+      leave_type_id: type.id,
+      name: type.name,
+      code: type.code,
+      is_paid: type.is_paid,
+      year,
+      allocated,
+      overridden: !!balance,
+      note: balance?.note || null,
+      used,
+      pending: sum('pending'),
+      available: allocated === null ? null : allocated - used,
+    };
+  });
+}
@@ -0,0 +1,165 @@
+import { supabase } from '../config/database.js';
+import { DEFAULT_TIMEZONE, getZonedDate, getZonedDateBounds, getZonedDateTime } from './attendance.js';
+import { fetchAllRows } from './attendanceStatus.js';
+import { addDays } from './shifts.js';
+import { createNotification } from './notifications.js';
+import logger from './logger.js';
+
+export const MISSING_PUNCH_ACTIONS = ['auto_close', 'review'];
+export const MISSING_PUNCH_STATUSES = ['pending_review', 'auto_closed', 'closed', 'dismissed'];
+
+// Ended local days re-checked on each run, so downtime or late uploads are still caught
+const LOOKBACK_DAYS = 3;
+
+/**
+ * Insert the OUT that closes a missing punch
+ * `inLog` is the open IN (employee_id, rfid_tag_id, company_id); returns the new log
+ * `approvedBy` is the reviewer of a manual close
+ */
+export async function insertClosingLog(inLog, closeAt, { autoClosed = false, approvedBy = null } = {}) {
+  const { data, error } = await supabase
+    .from('attendance_logs')
+    .insert({
+      employee_id: inLog.employee_id,
+      rfid_tag_id: inLog.rfid_tag_id,
+      company_id: inLog.company_id,
+      device_id: null,
+      recorded_at: closeAt.toISOString(),
+      event_type: 'OUT',
+      auto_closed: autoClosed,
+      source: autoClosed ? 'auto_close' : 'manual',
+      approved_by: approvedBy,
+    })
+    .select('id, recorded_at')
+    .single();
+
+  if (error) {
+    throw new Error(error.message);
+  }
+
+  return data;
+}
+
+/**
+ * Find one company's ended days that finished on an IN, record them and close or flag them
+ * Returns the newly found missing punches
+ */
+async function detectCompanyMissingPunches(company, now) {
+  const timeZone = company.timezone || DEFAULT_TIMEZONE;
+  const today = getZonedDate(now, timeZone);
+  const start = getZonedDateBounds(addDays(today, -LOOKBACK_DAYS), timeZone).start;
+  const end = getZonedDateBounds(today, timeZone).start;
+
+  const logs = await fetchAllRows(() => supabase
+    .from('attendance_logs')
+    .select('id, employee_id, rfid_tag_id, company_id, event_type, recorded_at, employees!inner(name, employee_id)')
+    .eq('company_id', company.id)
+    .is('voided_at', null)
+    .gte('recorded_at', start.toISOString())
+    .lt('recorded_at', end.toISOString())
+    .order('recorded_at', { ascending: true })
+    .order('id', { ascending: true }));
+
+  // Last log of each employee's day; later logs overwrite earlier ones
+  const lastLogs = new Map();
+  logs.forEach(log => {
+    lastLogs.set(`${log.employee_id}|${getZonedDate(log.recorded_at, timeZone)}`, log);
+  });
+
+  const openLogs = [...lastLogs.values()].filter(log => log.event_type === 'IN');
+  if (openLogs.length === 0) {
+    return [];
+  }
+
+  // Days already recorded on an earlier run are skipped by the unique in_log_id
+  const { data: found, error } = await supabase
+    .from('missing_punches')
+    .upsert(openLogs.map(log => ({
+      employee_id: log.employee_id,
+      company_id: company.id,
+      in_log_id: log.id,
+      work_date: getZonedDate(log.recorded_at, timeZone),
+    })), { onConflict: 'in_log_id', ignoreDuplicates: true })
+    .select('id, in_log_id, work_date, status');
+
+  if (error) {
+    throw new Error(error.message);
+  }
+
+  const logsById = new Map(openLogs.map(log => [log.id, log]));
+
+  for (const punch of found || []) {
+    const inLog = logsById.get(punch.in_log_id);
+    punch.employee = inLog.employees;
+
+    if (company.missing_punch_action !== 'auto_close') continue;
+
+    // An IN after the close-out time cannot be closed at it and is left for review
+    const closeAt = getZonedDateTime(punch.work_date, company.auto_close_time, timeZone);
+    if (closeAt <= new Date(inLog.recorded_at) || closeAt >= getZonedDateBounds(punch.work_date, timeZone).end) {
+      continue;
+    }
+
+    const closingLog = await insertClosingLog(inLog, closeAt, { autoClosed: true });
+
+    const { error: updateError } = await supabase
+      .from('missing_punches')
+      .update({ status: 'auto_closed', closing_log_id: closingLog.id, resolved_at: now.toISOString() })
+      .eq('id', punch.id);
+
+    if (updateError) {
+      throw new Error(updateError.message);
+    }
+
+    punch.status = 'auto_closed';
+  }
+
+  return found || [];
+}
+
+/**
+ * Nightly missing punch check across active companies
+ * Each company's admins are notified of the employees affected since the last run
+ */
+export async function detectMissingPunches() {
+  const now = new Date();
+
+  const { data: companies, error } = await supabase
+    .from('companies')
+    .select('id, name, timezone, missing_punch_action, auto_close_time')
+    .eq('is_active', true);
+
+  if (error) {
+    throw new Error(error.message);
+  }
+
+  for (const company of companies || []) {
+    const found = await detectCompanyMissingPunches(company, now);
+    if (found.length === 0) continue;
+
+    const autoClosed = found.filter(punch => punch.status === 'auto_closed').length;
+    const lines = found
+      .sort((a, b) => a.work_date.localeCompare(b.work_date) || a.employee.name.localeCompare(b.employee.name))
+      .map(punch => `${punch.employee.name} (${punch.employee.employee_id || 'no ID'}) on ${punch.work_date}: ${
+        punch.status === 'auto_closed' ? `closed at ${company.auto_close_time.slice(0, 5)}` : 'needs review'}`);
+
+    await createNotification({
+      companyId: company.id,
+      type: 'missing_punch',
+      title: `${found.length} missing punch(es), ${autoClosed} auto-closed`,
+      message: lines.join('\n'),
+      data: {
+        missing_punch_ids: found.map(punch => punch.id),
+        employees: found.map(punch => ({
+          missing_punch_id: punch.id,
+          name: punch.employee.name,
+          employee_code: punch.employee.employee_id,
+          work_date: punch.work_date,
+          status: punch.status,
+        })),
+      },
+    });
+
+    logger.info(`Missing punches for ${company.name}: ${found.length} found, ${autoClosed} auto-closed`);
+  }
+}
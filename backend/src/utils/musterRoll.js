@@ -0,0 +1,107 @@
+import { buildAttendanceDays } from './attendanceStatus.js';
+import { buildSessions } from './sessions.js';
+import { addDays } from './shifts.js';
+
+// Register code per day status; present days with a scan but no shift also count as P
+export const MUSTER_CODES = {
+  on_time: 'P',
+  late: 'P',
+  early_leave: 'P',
+  half_day: 'HD',
+  absent: 'A',
+  on_leave: 'L',
+  holiday: 'H',
+  weekly_off: 'WO',
+};
+
+export const MUSTER_LEGEND = {
+  P: 'Present',
+  HD: 'Half day',
+  A: 'Absent',
+  L: 'On leave',
+  H: 'Holiday',
+  WO: 'Weekly off',
+};
+
+/**
+ * Last date (YYYY-MM-DD) of a YYYY-MM month
+ */
+export function getMonthEnd(month) {
+  const [year, monthNumber] = month.split('-').map(Number);
+  return `${month}-${String(new Date(Date.UTC(year, monthNumber, 0)).getUTCDate()).padStart(2, '0')}`;
+}
+
+/**
+ * Code shown in the register for one classified day
+ * Unscheduled and in-progress days read P once the employee has scanned, blank otherwise
+ */
+export function getMusterCode(day) {
+  if (MUSTER_CODES[day.status]) {
+    return MUSTER_CODES[day.status];
+  }
+  return day.first_in ? 'P' : '';
+}
+
+/**
+ * Monthly attendance register: one row per employee with a code for every day of the month
+ * and totals. Present counts half days as 0.5; late marks count arrivals past the shift's grace;
+ * worked minutes come from paired IN/OUT sessions. Days after today or before the employee
+ * was added are blank.
+ * Returns { month, from, to, dates, employees: [{ employee_id, employee_name, employee_code,
+ * company_name, codes, totals }] }
+ */
+export async function buildMusterRoll({ companyId = null, month }) {
+  const from = `${month}-01`;
+  const to = getMonthEnd(month);
+
+  const [{ days }, { employees: sessionTotals }] = await Promise.all([
+    buildAttendanceDays({ companyId, from, to }),
+    buildSessions({ companyId, from, to }),
+  ]);
+
+  const dates = [];
+  for (let date = from; date <= to; date = addDays(date, 1)) {
+    dates.push(date);
+  }
+
+  const workedMinutes = new Map(sessionTotals.map(total => [total.employee_id, total.on_site_minutes]));
+  const rows = new Map();
+
+  days.forEach(day => {
+    if (!rows.has(day.employee_id)) {
+      rows.set(day.employee_id, {
+        employee_id: day.employee_id,
+        employee_name: day.employee_name,
+        employee_code: day.employee_code,
+        company_name: day.company_name,
+        codes: dates.map(() => ''),
+        totals: {
+          present: 0,
+          absent: 0,
+          leave: 0,
+          holidays: 0,
+          weekly_offs: 0,
+          late_marks: 0,
+          worked_minutes: workedMinutes.get(day.employee_id) || 0,
+        },
+      });
+    }
+
+    const row = rows.get(day.employee_id);
+    const code = getMusterCode(day);
+    row.codes[dates.indexOf(day.date)] = code;
+
+    if (code === 'P') row.totals.present += 1;
+    if (code === 'HD') row.totals.present += 0.5;
+    if (code === 'A') row.totals.absent += 1;
+    if (code === 'L') row.totals.leave += 1;
+    if (code === 'H') row.totals.holidays += 1;
+    if (code === 'WO') row.totals.weekly_offs += 1;
+    if (day.late) row.totals.late_marks += 1;
+  });
+
+  const employees = [...rows.values()].sort((a, b) =>
+    a.company_name.localeCompare(b.company_name) || a.employee_name.localeCompare(b.employee_name));
+
+  return { month, from, to, dates, employees };
+}
@@ -0,0 +1,35 @@
+import { supabase } from '../config/database.js';
+import { broadcast } from '../websocket/index.js';
+import logger from './logger.js';
+
+/**
+ * Store an in-app notification for a company's admins (incubation heads when companyId is null)
+ * Only the id and type go over the (unauthenticated) live feed; clients fetch the details
+ */
+export async function createNotification({ companyId = null, type, title, message = null, data = {} }) {
+  const { data: notification, error } = await supabase
+    .from('notifications')
+    .insert({
+      company_id: companyId,
+      type,
+      title,
+      message,
+      data,
+    })
+    .select('id, company_id, type')
+    .single();
+
+  if (error) {
+    throw new Error(error.message);
+  }
+
+  broadcast({
+    type: 'notification',
+    data: { notification_id: notification.id, company_id: notification.company_id, type },
+    timestamp: new Date().toISOString(),
+  });
+
+  logger.info(`Notification ${type} created for company ${companyId || 'incubator'}: ${title}`);
+
+  return notification;
+}
@@ -0,0 +1,239 @@
+import { supabase } from '../config/database.js';
+import { buildAttendanceDays } from './attendanceStatus.js';
+import { getMusterCode } from './musterRoll.js';
+import { buildSessions } from './sessions.js';
+
+/**
+ * Fields a payroll export can carry, keyed by the name templates use
+ * type drives formatting: days (one decimal), hours (two decimals), count, date or text
+ */
+export const PAYROLL_FIELDS = {
+  employee_code: { label: 'Employee ID', type: 'text' },
+  employee_name: { label: 'Employee', type: 'text' },
+  company_name: { label: 'Company', type: 'text' },
+  period_start: { label: 'Period Start', type: 'date' },
+  period_end: { label: 'Period End', type: 'date' },
+  worked_days: { label: 'Worked Days', type: 'days' },
+  half_days: { label: 'Half Days', type: 'count' },
+  absent_days: { label: 'Absent Days', type: 'days' },
+  leave_days: { label: 'Leave Days', type: 'days' },
+  paid_leave_days: { label: 'Paid Leave Days', type: 'days' },
+  unpaid_leave_days: { label: 'Unpaid Leave Days', type: 'days' },
+  holidays: { label: 'Holidays', type: 'days' },
+  weekly_offs: { label: 'Weekly Offs', type: 'days' },
+  payable_days: { label: 'Payable Days', type: 'days' },
+  late_count: { label: 'Late Count', type: 'count' },
+  early_leave_count: { label: 'Early Leave Count', type: 'count' },
+  worked_hours: { label: 'Worked Hours', type: 'hours' },
+  overtime_hours: { label: 'Overtime Hours', type: 'hours' },
+  constant: { label: 'Fixed Text', type: 'text' },
+};
+
+const SUMMARY_COLUMNS = [
+  'employee_code', 'employee_name', 'company_name', 'period_start', 'period_end',
+  'worked_days', 'absent_days', 'paid_leave_days', 'unpaid_leave_days', 'holidays', 'weekly_offs',
+  'payable_days', 'late_count', 'early_leave_count', 'worked_hours', 'overtime_hours',
+].map(field => ({ field, header: PAYROLL_FIELDS[field].label }));
+
+const FIXED_WIDTH_COLUMNS = [
+  { field: 'employee_code', width: 12 },
+  { field: 'employee_name', width: 30 },
+  { field: 'period_start', width: 10 },
+  { field: 'period_end', width: 10 },
+  { field: 'worked_days', width: 6 },
+  { field: 'absent_days', width: 6 },
+  { field: 'paid_leave_days', width: 6 },
+  { field: 'unpaid_leave_days', width: 6 },
+  { field: 'payable_days', width: 6 },
+  { field: 'late_count', width: 4 },
+  { field: 'worked_hours', width: 8 },
+  { field: 'overtime_hours', width: 8 },
+];
+
+/**
+ * Per-employee payroll figures for a pay period (up to MAX_STATUS_RANGE_DAYS days)
+ * Worked days follow the muster roll (half days count 0.5); payable days add paid leave,
+ * holidays and weekly offs. Overtime is time beyond a full shift day plus any work on
+ * holidays and weekly offs; worked hours come from paired IN/OUT sessions.
+ */
+export async function buildPayrollSummary({ companyId = null, from, to }) {
+  let leaveTypesQuery = supabase.from('leave_types').select('company_id, name, is_paid');
+  if (companyId) {
+    leaveTypesQuery = leaveTypesQuery.eq('company_id', companyId);
+  }
+
+  const [{ days }, { employees: sessionTotals }, { data: leaveTypes, error }] = await Promise.all([
+    buildAttendanceDays({ companyId, from, to }),
+    buildSessions({ companyId, from, to }),
+    leaveTypesQuery,
+  ]);
+
+  if (error) {
+    throw new Error(error.message);
+  }
+
+  const unpaidLeave = new Set(leaveTypes.filter(type => !type.is_paid).map(type => `${type.company_id}|${type.name}`));
+  const workedMinutes = new Map(sessionTotals.map(total => [total.employee_id, total.on_site_minutes]));
+  const rows = new Map();
+
+  days.forEach(day => {
+    if (!rows.has(day.employee_id)) {
+      rows.set(day.employee_id, {
+        employee_id: day.employee_id,
+        employee_code: day.employee_code || '',
+        employee_name: day.employee_name,
+        company_name: day.company_name,
+        period_start: from,
+        period_end: to,
+        worked_days: 0,
+        half_days: 0,
+        absent_days: 0,
+        leave_days: 0,
+        paid_leave_days: 0,
+        unpaid_leave_days: 0,
+        holidays: 0,
+        weekly_offs: 0,
+        payable_days: 0,
+        late_count: 0,
+        early_leave_count: 0,
+        worked_minutes: workedMinutes.get(day.employee_id) || 0,
+        overtime_minutes: 0,
+      });
+    }
+
+    const row = rows.get(day.employee_id);
+    const code = getMusterCode(day);
+
+    if (code === 'P') row.worked_days += 1;
+    if (code === 'HD') {
+      row.worked_days += 0.5;
+      row.absent_days += 0.5;
+      row.half_days += 1;
+    }
+    if (code === 'A') row.absent_days += 1;
+    if (code === 'H') row.holidays += 1;
+    if (code === 'WO') row.weekly_offs += 1;
+    if (code === 'L') {
+      row.leave_days += 1;
+      if (unpaidLeave.has(`${day.company_id}|${day.leave_type}`)) {
+        row.unpaid_leave_days += 1;
+      } else {
+        row.paid_leave_days += 1;
+      }
+    }
+    if (day.late) row.late_count += 1;
+    if (day.early_leave) row.early_leave_count += 1;
+    row.overtime_minutes += day.overtime_minutes || 0;
+  });
+
+  return [...rows.values()]
+    .map(row => ({
+      ...row,
+      payable_days: row.worked_days + row.paid_leave_days + row.holidays + row.weekly_offs,
+      worked_hours: row.worked_minutes / 60,
+      overtime_hours: row.overtime_minutes / 60,
+    }))
+    .sort((a, b) => a.company_name.localeCompare(b.company_name) || a.employee_name.localeCompare(b.employee_name));
+}
+
+/**
+ * A row's value for one template column, formatted for its field type
+ */
+function formatPayrollValue(row, column) {
+  if (column.field === 'constant') {
+    return column.value || '';
+  }
+
+  const value = row[column.field];
+  switch (PAYROLL_FIELDS[column.field]?.type) {
+    case 'days':
+      return value.toFixed(1);
+    case 'hours':
+      return value.toFixed(2);
+    case 'count':
+      return String(value);
+    default:
+      return value ?? '';
+  }
+}
+
+const isNumericField = (field) => ['days', 'hours', 'count'].includes(PAYROLL_FIELDS[field]?.type);
+
+/**
+ * Delimited text; cells are quoted only when they contain the delimiter, a quote or a newline
+ */
+function renderDelimited(rows, columns, { delimiter = ',', includeHeader = true } = {}) {
+  const escape = (cell) => {
+    const text = String(cell);
+    return text.includes(delimiter) || /["\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  };
+
+  const lines = rows.map(row => columns.map(column => escape(formatPayrollValue(row, column))).join(delimiter));
+  if (includeHeader) {
+    lines.unshift(columns.map(column => escape(column.header || PAYROLL_FIELDS[column.field].label)).join(delimiter));
+  }
+
+  return `${lines.join('\n')}\n`;
+}
+
+/**
+ * Fixed-width text with CRLF line endings; numbers are right-aligned unless the column
+ * says otherwise and every value is cut to its column width
+ */
+function renderFixedWidth(rows, columns, { includeHeader = false } = {}) {
+  const fit = (text, column) => {
+    const value = String(text).slice(0, column.width);
+    const align = column.align || (isNumericField(column.field) ? 'right' : 'left');
+    return align === 'right' ? value.padStart(column.width) : value.padEnd(column.width);
+  };
+
+  const lines = rows.map(row => columns.map(column => fit(formatPayrollValue(row, column), column)).join(''));
+  if (includeHeader) {
+    lines.unshift(columns.map(column => fit(column.header || PAYROLL_FIELDS[column.field].label, { ...column, align: 'left' })).join(''));
+  }
+
+  return `${lines.join('\r\n')}\r\n`;
+}
+
+/**
+ * Built-in payroll formats; a company's own layouts are rendered with renderPayrollTemplate
+ */
+export const PAYROLL_FORMATS = {
+  summary_csv: {
+    label: 'Summary CSV',
+    extension: 'csv',
+    contentType: 'text/csv; charset=utf-8',
+    render: (rows) => renderDelimited(rows, SUMMARY_COLUMNS),
+  },
+  fixed_width: {
+    label: 'Fixed width',
+    extension: 'txt',
+    contentType: 'text/plain; charset=utf-8',
+    render: (rows) => renderFixedWidth(rows, FIXED_WIDTH_COLUMNS),
+  },
+};
+
+/**
+ * Render rows with a stored payroll_export_templates row
+ * Returns { body, extension, contentType }
+ */
+export function renderPayrollTemplate(rows, template) {
+  if (template.format === 'fixed_width') {
+    return {
+      body: renderFixedWidth(rows, template.columns, { includeHeader: template.include_header }),
+      extension: 'txt',
+      contentType: 'text/plain; charset=utf-8',
+    };
+  }
+
+  const csv = template.delimiter === ',';
+
+  return {
+    body: renderDelimited(rows, template.columns, {
+      delimiter: template.delimiter,
+      includeHeader: template.include_header,
+    }),
+    extension: csv ? 'csv' : 'txt',
+    contentType: csv ? 'text/csv; charset=utf-8' : 'text/plain; charset=utf-8',
+  };
+}
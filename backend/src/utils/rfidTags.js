@@ -0,0 +1,93 @@
+import { supabase } from '../config/database.js';
+
+// Lifecycle states of an RFID tag
+export const TAG_STATUSES = ['in_stock', 'assigned', 'lost', 'stolen', 'damaged', 'retired'];
+
+// States in which a tag is blocked: it has no holder and its scans raise alerts
+export const BLOCKED_TAG_STATUSES = ['lost', 'stolen', 'damaged', 'retired'];
+
+// UIDs per lookup query
+const UID_LOOKUP_CHUNK = 200;
+
+/**
+ * Tag row by UID with its current holder, or null
+ */
+export async function findTagByUid(tagUid) {
+  const { data, error } = await supabase
+    .from('rfid_tags')
+    .select('id, uid, status, employee_id, company_id, is_visitor_pool, employees (id, name, is_active)')
+    .eq('uid', tagUid)
+    .maybeSingle();
+
+  if (error) {
+    throw new Error(error.message);
+  }
+
+  return data;
+}
+
+/**
+ * Tag rows by UID with their current holders, as a Map keyed by UID
+ * Looked up in chunks so long import lists stay within URL limits
+ */
+export async function findTagsByUids(tagUids) {
+  const uids = [...new Set(tagUids.filter(Boolean))];
+  const tags = new Map();
+
+  for (let i = 0; i < uids.length; i += UID_LOOKUP_CHUNK) {
+    const { data, error } = await supabase
+      .from('rfid_tags')
+      .select('id, uid, status, employee_id, company_id, is_visitor_pool, employees (id, name, is_active)')
+      .in('uid', uids.slice(i, i + UID_LOOKUP_CHUNK));
+
+    if (error) {
+      throw new Error(error.message);
+    }
+
+    (data || []).forEach(tag => tags.set(tag.uid, tag));
+  }
+
+  return tags;
+}
+
+/**
+ * Whether a tag is held by an active employee other than `employeeId`
+ */
+export function isHeldByOther(tag, employeeId) {
+  return !!tag?.employee_id &&
+    String(tag.employee_id) !== String(employeeId) &&
+    tag.employees?.is_active !== false;
+}
+
+/**
+ * Assign a tag to an employee, registering the UID when `existingTag` is null
+ * Callers check blocked, visitor pool and held tags first; the assignment history is kept by a trigger
+ */
+export async function assignTag(existingTag, tagUid, employee, note) {
+  const assignment = {
+    employee_id: employee.id,
+    company_id: employee.company_id,
+    status: 'assigned',
+    assigned_at: new Date().toISOString(),
+    ...(note !== undefined && { note }),
+  };
+
+  const { data, error } = existingTag
+    ? await supabase
+      .from('rfid_tags')
+      .update(assignment)
+      .eq('id', existingTag.id)
+      .select()
+      .single()
+    : await supabase
+      .from('rfid_tags')
+      .insert({ uid: tagUid, ...assignment })
+      .select()
+      .single();
+
+  if (error) {
+    throw new Error(error.message);
+  }
+
+  return data;
+}
@@ -0,0 +1,201 @@
+import { supabase } from '../config/database.js';
+import { DEFAULT_TIMEZONE, getZonedDate } from './attendance.js';
+import { buildAttendanceDays, fetchAllRows } from './attendanceStatus.js';
+import { addDays } from './shifts.js';
+
+// Longest range turned into sessions in one call
+export const MAX_SESSION_RANGE_DAYS = 93;
+
+const MINUTE = 60 * 1000;
+
+/**
+ * Pair one local day's logs (ascending) into IN -> OUT work sessions
+ * An IN followed by another IN, and an OUT without an IN before it, are unmatched punches.
+ * A trailing IN is an open session while `open` is true (the day is still running),
+ * otherwise it is unmatched too. Break time is the gap between sessions
+ */
+export function pairDayLogs(logs, { open = false } = {}) {
+  const sessions = [];
+  const unmatched = [];
+  let pending = null;
+
+  const toPunch = (log) => ({ id: log.id, event_type: log.event_type, recorded_at: log.recorded_at });
+
+  logs.forEach(log => {
+    if (log.event_type === 'IN') {
+      if (pending) {
+        unmatched.push(toPunch(pending));
+      }
+      pending = log;
+    } else if (log.event_type === 'OUT') {
+      if (pending) {
+        sessions.push({
+          in_at: pending.recorded_at,
+          out_at: log.recorded_at,
+          minutes: Math.round((new Date(log.recorded_at) - new Date(pending.recorded_at)) / MINUTE),
+        });
+        pending = null;
+      } else {
+        unmatched.push(toPunch(log));
+      }
+    }
+  });
+
+  const openSince = pending && open ? pending.recorded_at : null;
+  if (pending && !open) {
+    unmatched.push(toPunch(pending));
+  }
+
+  const onSiteMinutes = sessions.reduce((sum, session) => sum + session.minutes, 0);
+  const breakMinutes = sessions.slice(1).reduce((sum, session, index) =>
+    sum + Math.round((new Date(session.in_at) - new Date(sessions[index].out_at)) / MINUTE), 0);
+
+  const inTimes = logs.filter(log => log.event_type === 'IN').map(log => log.recorded_at);
+  const outTimes = logs.filter(log => log.event_type === 'OUT').map(log => log.recorded_at);
+
+  return {
+    first_in: inTimes[0] || null,
+    last_out: outTimes[outTimes.length - 1] || null,
+    on_site_minutes: onSiteMinutes,
+    break_minutes: breakMinutes,
+    sessions,
+    open_since: openSince,
+    unmatched_punches: unmatched,
+  };
+}
+
+/**
+ * Work sessions of each employee for each company-local day in a range that has scans
+ * Options: companyId (all companies when omitted), employeeId, from, to (YYYY-MM-DD).
+ * Returns { days: [{ employee_id, employee_name, employee_code, company_id, company_name, date, ... }],
+ * employees: per-employee totals over the range }
+ */
+export async function buildSessions({ companyId = null, employeeId = null, from, to }) {
+  let companiesQuery = supabase.from('companies').select('id, name, timezone');
+  if (companyId) {
+    companiesQuery = companiesQuery.eq('id', companyId);
+  }
+
+  const { data: companies, error: companiesError } = await companiesQuery;
+  if (companiesError) {
+    throw new Error(companiesError.message);
+  }
+
+  if (companies.length === 0) {
+    return { days: [], employees: [] };
+  }
+
+  const companiesById = new Map(companies.map(company => [company.id, company]));
+
+  // Padded UTC bounds; each log is then kept only if its company-local date is in range
+  const logs = await fetchAllRows(() => {
+    let query = supabase
+      .from('attendance_logs')
+      .select('id, employee_id, company_id, event_type, recorded_at, employees!inner(name, employee_id)')
+      .in('company_id', companies.map(company => company.id))
+      .is('voided_at', null)
+      .gte('recorded_at', `${addDays(from, -1)}T00:00:00Z`)
+      .lt('recorded_at', `${addDays(to, 2)}T00:00:00Z`)
+      .order('recorded_at', { ascending: true })
+      .order('id', { ascending: true });
+
+    return employeeId ? query.eq('employee_id', employeeId) : query;
+  });
+
+  const groups = new Map();
+  logs.forEach(log => {
+    const company = companiesById.get(log.company_id);
+    const date = getZonedDate(log.recorded_at, company.timezone || DEFAULT_TIMEZONE);
+    if (date < from || date > to) return;
+
+    const key = `${log.employee_id}|${date}`;
+    if (!groups.has(key)) {
+      groups.set(key, { log, date, company, logs: [] });
+    }
+    groups.get(key).logs.push(log);
+  });
+
+  const now = new Date();
+  const days = [...groups.values()].map(({ log, date, company, logs: dayLogs }) => ({
+    employee_id: log.employee_id,
+    employee_name: log.employees.name,
+    employee_code: log.employees.employee_id,
+    company_id: company.id,
+    company_name: company.name,
+    date,
+    ...pairDayLogs(dayLogs, { open: date === getZonedDate(now, company.timezone || DEFAULT_TIMEZONE) }),
+  }));
+
+  days.sort((a, b) => a.employee_name.localeCompare(b.employee_name) || a.date.localeCompare(b.date));
+
+  const totals = new Map();
+  days.forEach(day => {
+    if (!totals.has(day.employee_id)) {
+      totals.set(day.employee_id, {
+        employee_id: day.employee_id,
+        employee_name: day.employee_name,
+        employee_code: day.employee_code,
+        company_name: day.company_name,
+        days_present: 0,
+        on_site_minutes: 0,
+        break_minutes: 0,
+        unmatched_punches: 0,
+      });
+    }
+
+    const total = totals.get(day.employee_id);
+    total.days_present += 1;
+    total.on_site_minutes += day.on_site_minutes;
+    total.break_minutes += day.break_minutes;
+    total.unmatched_punches += day.unmatched_punches.length;
+  });
+
+  return { days, employees: [...totals.values()] };
+}
+
+/**
+ * One employee's timesheet: a row per day of the range with sessions, on-site and break
+ * minutes, unmatched punches and the day's shift status, plus range totals
+ * `employee` needs id and company_id
+ */
+export async function buildTimesheet(employee, from, to) {
+  const range = { companyId: employee.company_id, employeeId: employee.id, from, to };
+  const [{ days: sessionDays, employees: totals }, { days: statusDays }] = await Promise.all([
+    buildSessions(range),
+    buildAttendanceDays(range),
+  ]);
+
+  const sessionsByDate = new Map(sessionDays.map(day => [day.date, day]));
+  const statusByDate = new Map(statusDays.map(day => [day.date, day]));
+
+  const days = [];
+  for (let date = from; date <= to; date = addDays(date, 1)) {
+    const sessions = sessionsByDate.get(date);
+    const status = statusByDate.get(date);
+
+    days.push({
+      date,
+      status: status?.status || null,
+      shift_name: status?.shift_name || null,
+      holiday_name: status?.holiday_name || null,
+      leave_type: status?.leave_type || null,
+      first_in: sessions?.first_in || null,
+      last_out: sessions?.last_out || null,
+      on_site_minutes: sessions?.on_site_minutes || 0,
+      break_minutes: sessions?.break_minutes || 0,
+      sessions: sessions?.sessions || [],
+      open_since: sessions?.open_since || null,
+      unmatched_punches: sessions?.unmatched_punches || [],
+    });
+  }
+
+  return {
+    totals: totals[0] || {
+      days_present: 0,
+      on_site_minutes: 0,
+      break_minutes: 0,
+      unmatched_punches: 0,
+    },
+    days,
+  };
+}
@@ -0,0 +1,175 @@
+import { getZonedDateTime } from './attendance.js';
+
+// Day classifications, from holidays, approved leave, a shift and the day's scans
+export const ATTENDANCE_STATUSES = [
+  'on_time',
+  'late',
+  'early_leave',
+  'half_day',
+  'absent',
+  'on_leave',
+  'holiday',
+  'weekly_off',
+  'unscheduled',
+  'scheduled',
+];
+
+// Longest gap kept around a shift when collecting its scans
+const MAX_SCAN_MARGIN_MINUTES = 6 * 60;
+
+const MINUTE = 60 * 1000;
+
+/**
+ * Minutes since midnight of a TIME value (HH:MM[:SS])
+ */
+function toMinutes(time) {
+  const [hour, minute] = time.split(':').map(Number);
+  return hour * 60 + minute;
+}
+
+/**
+ * ISO weekday (1 = Monday ... 7 = Sunday) of a YYYY-MM-DD date
+ */
+export function getIsoWeekday(date) {
+  return ((new Date(`${date}T00:00:00Z`).getUTCDay() + 6) % 7) + 1;
+}
+
+/**
+ * Calendar date `days` after a YYYY-MM-DD date
+ */
+export function addDays(date, days) {
+  const next = new Date(`${date}T00:00:00Z`);
+  next.setUTCDate(next.getUTCDate() + days);
+  return next.toISOString().split('T')[0];
+}
+
+/**
+ * Whether a shift ends on the day after it starts
+ */
+export function isOvernightShift(shift) {
+  return toMinutes(shift.end_time) <= toMinutes(shift.start_time);
+}
+
+/**
+ * Scheduled length of a shift in minutes, breaks included
+ */
+export function getShiftLengthMinutes(shift) {
+  const length = toMinutes(shift.end_time) - toMinutes(shift.start_time);
+  return length > 0 ? length : length + 24 * 60;
+}
+
+/**
+ * On-site minutes needed for a full day
+ */
+export function getFullDayMinutes(shift) {
+  return shift.full_day_minutes ?? Math.max(getShiftLengthMinutes(shift) - shift.break_minutes, 0);
+}
+
+/**
+ * UTC start and end of the shift that starts on a local date
+ */
+export function getShiftWindow(shift, date, timeZone) {
+  return {
+    start: getZonedDateTime(date, shift.start_time, timeZone),
+    end: getZonedDateTime(isOvernightShift(shift) ? addDays(date, 1) : date, shift.end_time, timeZone),
+  };
+}
+
+/**
+ * UTC range whose scans belong to the shift starting on a local date
+ * The shift is widened by up to six hours on each side, never into the neighbouring days' shifts
+ */
+export function getShiftScanWindow(shift, date, timeZone) {
+  const { start, end } = getShiftWindow(shift, date, timeZone);
+  const margin = Math.min(MAX_SCAN_MARGIN_MINUTES, (24 * 60 - getShiftLengthMinutes(shift)) / 2) * MINUTE;
+
+  return {
+    start: new Date(start.getTime() - margin),
+    end: new Date(end.getTime() + margin),
+  };
+}
+
+/**
+ * Shift an employee works on a local date
+ * `assignments` are the employee's employee_shifts rows with their `shifts`; without one in
+ * effect the company default shift applies. Returns { shift, workday }, or null when the
+ * employee has no schedule
+ */
+export function resolveShift(date, assignments, defaultShift) {
+  const weekday = getIsoWeekday(date);
+
+  // The most recently started assignment wins where assignments overlap
+  const current = assignments
+    .filter(assignment =>
+      assignment.effective_from <= date && (!assignment.effective_to || assignment.effective_to >= date))
+    .sort((a, b) => b.effective_from.localeCompare(a.effective_from));
+
+  if (current.length > 0) {
+    const match = current.find(assignment =>
+      (assignment.weekdays || assignment.shifts.work_days).includes(weekday));
+
+    return match
+      ? { shift: match.shifts, workday: true }
+      : { shift: current[0].shifts, workday: false };
+  }
+
+  if (defaultShift) {
+    return { shift: defaultShift, workday: defaultShift.work_days.includes(weekday) };
+  }
+
+  return null;
+}
+
+/**
+ * Classify a scheduled workday from its scans (ISO timestamps, ascending)
+ * The first scan is the arrival and the last the departure, whatever their IN/OUT type.
+ * A day still in progress (`now` before the shift end) is only checked for lateness
+ */
+export function classifyShiftDay(shift, date, timeZone, scans, now = new Date()) {
+  const { start, end } = getShiftWindow(shift, date, timeZone);
+  const firstIn = scans.length > 0 ? new Date(scans[0]) : null;
+  const lastOut = scans.length > 1 ? new Date(scans[scans.length - 1]) : null;
+  const inProgress = now < end;
+
+  const day = {
+    shift_id: shift.id,
+    shift_name: shift.name,
+    shift_start: start.toISOString(),
+    shift_end: end.toISOString(),
+    first_in: firstIn?.toISOString() || null,
+    last_out: lastOut?.toISOString() || null,
+    worked_minutes: lastOut ? Math.round((lastOut - firstIn) / MINUTE) : 0,
+    late_minutes: firstIn ? Math.max(Math.round((firstIn - start) / MINUTE), 0) : 0,
+    early_leave_minutes: lastOut && !inProgress ? Math.max(Math.round((end - lastOut) / MINUTE), 0) : 0,
+    overtime_minutes: 0,
+    missing_punch: !!firstIn && !lastOut && !inProgress,
+    in_progress: inProgress,
+  };
+
+  day.late = day.late_minutes > shift.late_grace_minutes;
+  day.early_leave = day.early_leave_minutes > shift.early_leave_grace_minutes;
+
+  // Time on site beyond a full day, once the day is over
+  if (lastOut && !inProgress) {
+    day.overtime_minutes = Math.max(day.worked_minutes - getFullDayMinutes(shift), 0);
+  }
+
+  if (!firstIn) {
+    day.status = inProgress ? 'scheduled' : 'absent';
+  } else if (inProgress || day.missing_punch) {
+    // Without a departure the hours are unknown; only punctuality can be judged
+    day.status = day.late ? 'late' : 'on_time';
+  } else if (day.worked_minutes < shift.half_day_minutes) {
+    day.status = 'absent';
+  } else if (day.worked_minutes < getFullDayMinutes(shift)) {
+    day.status = 'half_day';
+  } else if (day.late) {
+    day.status = 'late';
+  } else if (day.early_leave) {
+    day.status = 'early_leave';
+  } else {
+    day.status = 'on_time';
+  }
+
+  return day;
+}
@@ -0,0 +1,162 @@
+import { supabase } from '../config/database.js';
+import { broadcast } from '../websocket/index.js';
+import { BLOCKED_TAG_STATUSES, findTagByUid, isHeldByOther, assignTag } from './rfidTags.js';
+import logger from './logger.js';
+
+// Seconds a reader waits for the tag to enroll
+export const ENROLLMENT_TIMEOUT = { min: 30, max: 600, default: 120 };
+
+/**
+ * Tell dashboard clients a session changed state
+ * Only the id and status go over the (unauthenticated) live feed; clients fetch the details
+ */
+function notifyEnrollment(session) {
+  broadcast({
+    type: 'tag_enrollment',
+    data: { session_id: session.id, status: session.status },
+    timestamp: new Date().toISOString(),
+  });
+}
+
+/**
+ * Mark pending sessions past their timeout as expired
+ */
+export async function expireEnrollmentSessions(deviceId = null) {
+  let query = supabase
+    .from('tag_enrollment_sessions')
+    .update({ status: 'expired' })
+    .eq('status', 'pending')
+    .lt('expires_at', new Date().toISOString());
+
+  if (deviceId) {
+    query = query.eq('device_id', deviceId);
+  }
+
+  const { data, error } = await query.select('id, status');
+
+  if (error) {
+    throw new Error(error.message);
+  }
+
+  (data || []).forEach(notifyEnrollment);
+}
+
+/**
+ * The reader's pending enrollment session, if it is in enrollment mode
+ */
+export async function findPendingEnrollment(deviceId) {
+  await expireEnrollmentSessions(deviceId);
+
+  const { data, error } = await supabase
+    .from('tag_enrollment_sessions')
+    .select('*, employees (id, name, company_id)')
+    .eq('device_id', deviceId)
+    .eq('status', 'pending')
+    .maybeSingle();
+
+  if (error) {
+    throw new Error(error.message);
+  }
+
+  return data;
+}
+
+/**
+ * Update a session still in `status`; null when it has moved on
+ */
+async function updateSession(sessionId, status, update) {
+  const { data, error } = await supabase
+    .from('tag_enrollment_sessions')
+    .update(update)
+    .eq('id', sessionId)
+    .eq('status', status)
+    .select()
+    .maybeSingle();
+
+  if (error) {
+    throw new Error(error.message);
+  }
+
+  return data;
+}
+
+/**
+ * Set a session's final state and notify the dashboard
+ */
+export async function finishEnrollment(sessionId, update) {
+  const data = await updateSession(sessionId, 'pending', update);
+
+  if (data) {
+    notifyEnrollment(data);
+  }
+
+  return data;
+}
+
+/**
+ * Assign a scanned tag to the session's employee
+ * Blocked tags, visitor pool tags and tags held by another active employee are not taken over;
+ * the session fails instead.
+ * Returns the finished session, or null when it was cancelled or expired meanwhile (the tag is
+ * then left untouched)
+ */
+export async function completeEnrollment(session, tagUid) {
+  const existingTag = await findTagByUid(tagUid);
+
+  let failure = null;
+  if (existingTag && BLOCKED_TAG_STATUSES.includes(existingTag.status)) {
+    failure = `Tag is blocked (${existingTag.status})`;
+  } else if (existingTag?.is_visitor_pool) {
+    failure = 'Tag belongs to the visitor pool';
+  } else if (isHeldByOther(existingTag, session.employee_id)) {
+    failure = `Tag is already assigned to ${existingTag.employees?.name || 'another employee'}`;
+  }
+
+  if (failure) {
+    logger.warn(`Tag enrollment ${session.id} failed for ${tagUid}: ${failure}`);
+    return finishEnrollment(session.id, {
+      status: 'failed',
+      tag_uid: tagUid,
+      rfid_tag_id: existingTag.id,
+      error: failure,
+      completed_at: new Date().toISOString(),
+    });
+  }
+
+  // Claim the session before touching the tag, so one cancelled or expired meanwhile
+  // never hands the tag over
+  const claimed = await updateSession(session.id, 'pending', {
+    status: 'completed',
+    tag_uid: tagUid,
+    completed_at: new Date().toISOString(),
+  });
+
+  if (!claimed) {
+    return null;
+  }
+
+  let tag;
+  try {
+    tag = await assignTag(existingTag, tagUid, {
+      id: session.employee_id,
+      company_id: session.company_id,
+    });
+  } catch (err) {
+    logger.error(`Tag enrollment ${session.id} could not assign ${tagUid}: ${err.message}`);
+    const failed = await updateSession(session.id, 'completed', {
+      status: 'failed',
+      rfid_tag_id: existingTag?.id || null,
+      error: 'Tag could not be assigned',
+    });
+    notifyEnrollment(failed || claimed);
+    return failed || claimed;
+  }
+
+  logger.info(`Tag ${tagUid} enrolled for employee ${session.employee_id} (session ${session.id})`);
+
+  const completed = await updateSession(session.id, 'completed', { rfid_tag_id: tag.id }) ||
+    { ...claimed, rfid_tag_id: tag.id };
+  notifyEnrollment(completed);
+
+  return completed;
+}
@@ -0,0 +1,85 @@
+import { supabase } from '../config/database.js';
+import { broadcast } from '../websocket/index.js';
+import { BLOCKED_TAG_STATUSES } from './rfidTags.js';
+import logger from './logger.js';
+
+// Why a scan was quarantined instead of logged
+export const UNKNOWN_SCAN_REASONS = [
+  'unregistered',
+  'unassigned',
+  'inactive_tag',
+  'blocked_tag',
+  'inactive_employee',
+  'wrong_company',
+];
+
+/**
+ * Reason a scan of `tag` at `device` cannot be logged as attendance, or null when it can
+ * `tag` is the lookupTags row for the scanned UID (undefined when the UID is not registered)
+ */
+export function getScanRejection(tag, device) {
+  if (!tag) return 'unregistered';
+  if (BLOCKED_TAG_STATUSES.includes(tag.status)) return 'blocked_tag';
+  if (!tag.is_active) return 'inactive_tag';
+  if (!tag.employee_id) return 'unassigned';
+  if (tag.employees?.is_active === false) return 'inactive_employee';
+
+  // Readers not yet assigned to a company accept any company's tags
+  if (device.company_id && String(tag.employees?.company_id) !== String(device.company_id)) {
+    return 'wrong_company';
+  }
+
+  return null;
+}
+
+/**
+ * Store rejected scans for review and raise an alert for each blocked tag scanned
+ * `scans` is a list of { tag_uid, tag, reason, recorded_at, event_id }; retried
+ * scans carrying an already stored event_id are ignored
+ */
+export async function quarantineScans(device, scans) {
+  if (scans.length === 0) {
+    return;
+  }
+
+  const rows = scans.map(scan => ({
+    tag_uid: scan.tag_uid,
+    rfid_tag_id: scan.tag?.id || null,
+    employee_id: scan.tag?.employee_id || null,
+    device_id: device.id,
+    company_id: device.company_id || null,
+    tag_company_id: scan.tag?.company_id || null,
+    reason: scan.reason,
+    recorded_at: scan.recorded_at,
+    event_id: scan.event_id || null,
+  }));
+
+  const { data: stored, error } = await supabase
+    .from('unknown_scans')
+    .upsert(rows, { onConflict: 'device_id,event_id', ignoreDuplicates: true })
+    .select('id, tag_uid, reason, recorded_at');
+
+  if (error) {
+    throw new Error(error.message);
+  }
+
+  (stored || []).forEach(scan => {
+    logger.warn(`Scan quarantined: ${scan.tag_uid} at ${device.device_uuid} (${scan.reason})`);
+
+    if (scan.reason === 'blocked_tag') {
+      const tag = scans.find(candidate => candidate.tag_uid === scan.tag_uid)?.tag;
+      broadcast({
+        type: 'tag_alert',
+        data: {
+          scan_id: scan.id,
+          tag_uid: scan.tag_uid,
+          tag_status: tag?.status,
+          device_name: device.device_name || device.device_uuid,
+          location: device.location || null,
+          recorded_at: scan.recorded_at,
+        },
+        timestamp: new Date().toISOString(),
+      });
+    }
+  });
+}
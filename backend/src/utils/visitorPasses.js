@@ -0,0 +1,132 @@
+import { supabase } from '../config/database.js';
+import logger from './logger.js';
+
+// Pass types that can borrow a visitor pool tag
+export const VISITOR_TYPES = ['visitor', 'intern'];
+
+// Lifecycle of a pass; a tag returns to the pool once its pass leaves 'active'
+export const VISITOR_PASS_STATUSES = ['active', 'returned', 'revoked', 'expired'];
+
+// Why a scan of a visitor pool tag was refused
+export const VISITOR_REJECT_REASONS = ['no_active_pass', 'outside_window', 'pass_closed', 'reader_not_allowed'];
+
+/**
+ * Whether a scanned tag is a usable visitor pool tag
+ * Blocked pool tags are handled like any other blocked tag
+ */
+export function isVisitorPoolScan(tag) {
+  return !!tag?.is_visitor_pool && tag.is_active;
+}
+
+/**
+ * Match a scan of a visitor pool tag to a pass and check it
+ * Returns { pass, reason }; `reason` is null when the scan is allowed. Buffered scans are
+ * checked against the pass that was valid when they were recorded, even if it ended since
+ */
+export async function checkVisitorScan(tag, device, recordedAt) {
+  const { data: covering, error } = await supabase
+    .from('visitor_passes')
+    .select('id, company_id, visitor_name, status, returned_at, allowed_device_ids')
+    .eq('rfid_tag_id', tag.id)
+    .lte('valid_from', recordedAt)
+    .gte('valid_until', recordedAt)
+    .order('created_at', { ascending: false })
+    .limit(1);
+
+  if (error) {
+    throw new Error(error.message);
+  }
+
+  const pass = covering?.[0];
+  if (pass) {
+    if (['returned', 'revoked'].includes(pass.status) && new Date(pass.returned_at) <= new Date(recordedAt)) {
+      return { pass, reason: 'pass_closed' };
+    }
+
+    // An empty reader list allows every reader
+    const allowed = pass.allowed_device_ids || [];
+    if (allowed.length > 0 && !allowed.some(id => String(id) === String(device.id))) {
+      return { pass, reason: 'reader_not_allowed' };
+    }
+
+    return { pass, reason: null };
+  }
+
+  // Scanned before its window opened, or after it closed but before the expiry job ran
+  const { data: active, error: activeError } = await supabase
+    .from('visitor_passes')
+    .select('id, company_id, visitor_name, status, returned_at, allowed_device_ids')
+    .eq('rfid_tag_id', tag.id)
+    .eq('status', 'active')
+    .maybeSingle();
+
+  if (activeError) {
+    throw new Error(activeError.message);
+  }
+
+  return active
+    ? { pass: active, reason: 'outside_window' }
+    : { pass: null, reason: 'no_active_pass' };
+}
+
+/**
+ * Store checked visitor scans for the visitor log
+ * `scans` is a list of { tag_uid, tag, pass, reason, recorded_at, event_id }; retried
+ * scans carrying an already stored event_id are ignored
+ */
+export async function recordVisitorScans(device, scans) {
+  if (scans.length === 0) {
+    return;
+  }
+
+  const rows = scans.map(scan => ({
+    pass_id: scan.pass?.id || null,
+    rfid_tag_id: scan.tag.id,
+    tag_uid: scan.tag_uid,
+    device_id: device.id,
+    company_id: scan.pass?.company_id || device.company_id || null,
+    recorded_at: scan.recorded_at,
+    accepted: !scan.reason,
+    reject_reason: scan.reason || null,
+    event_id: scan.event_id || null,
+  }));
+
+  const { data: stored, error } = await supabase
+    .from('visitor_scans')
+    .upsert(rows, { onConflict: 'device_id,event_id', ignoreDuplicates: true })
+    .select('tag_uid, accepted, reject_reason');
+
+  if (error) {
+    throw new Error(error.message);
+  }
+
+  (stored || []).forEach(scan => {
+    if (scan.accepted) {
+      logger.info(`Visitor scan: ${scan.tag_uid} at ${device.device_uuid}`);
+    } else {
+      logger.warn(`Visitor scan refused: ${scan.tag_uid} at ${device.device_uuid} (${scan.reject_reason})`);
+    }
+  });
+}
+
+/**
+ * Expire active passes past their window, returning their tags to the pool
+ */
+export async function expireVisitorPasses() {
+  const now = new Date().toISOString();
+
+  const { data, error } = await supabase
+    .from('visitor_passes')
+    .update({ status: 'expired', returned_at: now })
+    .eq('status', 'active')
+    .lt('valid_until', now)
+    .select('id, tag_uid');
+
+  if (error) {
+    throw new Error(error.message);
+  }
+
+  if (data?.length) {
+    logger.info(`Expired ${data.length} visitor pass(es); tags ${data.map(pass => pass.tag_uid).join(', ')} returned to the pool`);
+  }
+}
@@ -0,0 +1,3 @@
+// Unit tests never reach Supabase, but the client is created on import and needs credentials
+process.env.SUPABASE_URL = process.env.SUPABASE_URL || 'http://localhost:54321';
+process.env.SUPABASE_SERVICE_KEY = process.env.SUPABASE_SERVICE_KEY || 'test-service-key';
@@ -0,0 +1,135 @@
+import { supabase } from '../../src/config/database.js';
+import {
+  DEFAULT_TIMEZONE,
+  getLastEventType,
+  getTagTimeZone,
+  getZonedDate,
+  getZonedDateBounds,
+  getZonedDateTime,
+  getZonedWallClock,
+  isValidTimeZone,
+  nextEventType,
+  parseRecordedAt,
+} from '../../src/utils/attendance.js';
+
+describe('parseRecordedAt', () => {
+  test('normalizes device timestamps to ISO strings', () => {
+    expect(parseRecordedAt('2026-10-19T09:15:00+05:30')).toBe('2026-10-19T03:45:00.000Z');
+  });
+
+  test('falls back to server time when the timestamp is missing', () => {
+    const before = Date.now();
+    const parsed = Date.parse(parseRecordedAt(undefined));
+
+    expect(parsed).toBeGreaterThanOrEqual(before);
+    expect(parsed).toBeLessThanOrEqual(Date.now());
+  });
+
+  test('rejects unparsable timestamps', () => {
+    expect(parseRecordedAt('yesterday-ish')).toBeNull();
+  });
+});
+
+describe('nextEventType', () => {
+  test('toggles from the previous event', () => {
+    expect(nextEventType(null)).toBe('IN');
+    expect(nextEventType('IN')).toBe('OUT');
+    expect(nextEventType('OUT')).toBe('IN');
+  });
+});
+
+describe('getLastEventType', () => {
+  const originalFrom = supabase.from;
+
+  afterEach(() => {
+    supabase.from = originalFrom;
+  });
+
+  const respondWith = (result) => {
+    const query = {
+      then: (resolve, reject) => Promise.resolve(result).then(resolve, reject),
+    };
+    ['select', 'eq', 'is', 'gte', 'lt', 'order', 'limit', 'maybeSingle'].forEach((method) => {
+      query[method] = () => query;
+    });
+    supabase.from = () => query;
+  };
+
+  test("returns the type of the day's previous scan, or null", async () => {
+    respondWith({ data: { event_type: 'IN' }, error: null });
+    expect(await getLastEventType('employee-1', '2026-10-19T06:00:00Z')).toBe('IN');
+
+    respondWith({ data: null, error: null });
+    expect(await getLastEventType('employee-1', '2026-10-19T06:00:00Z')).toBeNull();
+  });
+
+  test('throws when the lookup fails', async () => {
+    respondWith({ data: null, error: { message: 'connection reset' } });
+    await expect(getLastEventType('employee-1', '2026-10-19T06:00:00Z')).rejects.toThrow('connection reset');
+  });
+});
+
+describe('getZonedDate', () => {
+  test('returns the local calendar date of an instant', () => {
+    expect(getZonedDate('2026-10-19T18:29:59Z', 'Asia/Kolkata')).toBe('2026-10-19');
+    expect(getZonedDate('2026-10-19T18:30:00Z', 'Asia/Kolkata')).toBe('2026-10-20');
+    expect(getZonedDate('2026-10-19T02:00:00Z', 'America/New_York')).toBe('2026-10-18');
+  });
+});
+
+describe('getZonedDateBounds', () => {
+  test('bounds a local day in UTC', () => {
+    const { start, end } = getZonedDateBounds('2026-10-19', 'Asia/Kolkata');
+
+    expect(start.toISOString()).toBe('2026-10-18T18:30:00.000Z');
+    expect(end.toISOString()).toBe('2026-10-19T18:30:00.000Z');
+  });
+
+  test('follows daylight saving changes', () => {
+    const springForward = getZonedDateBounds('2026-03-08', 'America/New_York');
+    const fallBack = getZonedDateBounds('2026-11-01', 'America/New_York');
+
+    expect(springForward.start.toISOString()).toBe('2026-03-08T05:00:00.000Z');
+    expect(springForward.end - springForward.start).toBe(23 * 60 * 60 * 1000);
+    expect(fallBack.start.toISOString()).toBe('2026-11-01T04:00:00.000Z');
+    expect(fallBack.end - fallBack.start).toBe(25 * 60 * 60 * 1000);
+  });
+
+  test('rolls over month and year ends', () => {
+    const { end } = getZonedDateBounds('2026-12-31', 'UTC');
+
+    expect(end.toISOString()).toBe('2027-01-01T00:00:00.000Z');
+  });
+});
+
+describe('getZonedDateTime', () => {
+  test('converts a local wall-clock time to UTC', () => {
+    expect(getZonedDateTime('2026-10-19', '09:00', 'Asia/Kolkata').toISOString()).toBe('2026-10-19T03:30:00.000Z');
+    expect(getZonedDateTime('2026-07-01', '09:00:30', 'America/New_York').toISOString()).toBe('2026-07-01T13:00:30.000Z');
+  });
+
+  test('rolls times past midnight into the next day', () => {
+    expect(getZonedDateTime('2026-10-19', '25:30', 'UTC').toISOString()).toBe('2026-10-20T01:30:00.000Z');
+  });
+});
+
+describe('getZonedWallClock', () => {
+  test('shifts an instant so its UTC fields read as local wall-clock time', () => {
+    expect(getZonedWallClock('2026-10-19T18:45:00Z', 'Asia/Kolkata').toISOString()).toBe('2026-10-20T00:15:00.000Z');
+    expect(getZonedWallClock('2026-07-01T13:00:00Z', 'America/New_York').toISOString()).toBe('2026-07-01T09:00:00.000Z');
+  });
+});
+
+describe('isValidTimeZone', () => {
+  test('accepts IANA names and rejects anything else', () => {
+    expect(isValidTimeZone('Asia/Kolkata')).toBe(true);
+    expect(isValidTimeZone('Mars/Olympus_Mons')).toBe(false);
+  });
+});
+
+describe('getTagTimeZone', () => {
+  test("uses the employee company's timezone, else the default", () => {
+    expect(getTagTimeZone({ employees: { companies: { timezone: 'Europe/Berlin' } } })).toBe('Europe/Berlin');
+    expect(getTagTimeZone(null)).toBe(DEFAULT_TIMEZONE);
+  });
+});
@@ -0,0 +1,95 @@
+import { supabase } from '../../src/config/database.js';
+import { countAttendanceLogs, iterateAttendanceLogs } from '../../src/utils/attendanceExport.js';
+
+const companies = [
+  { id: 'ist', timezone: 'Asia/Kolkata' },
+  { id: 'nyc', timezone: 'America/New_York' },
+];
+
+// One log every 30 minutes per company from 2026-10-18 to 2026-10-21 UTC
+const logs = [];
+for (let i = 0; i < 3 * 48; i++) {
+  const recorded_at = new Date(Date.UTC(2026, 9, 18) + i * 30 * 60 * 1000).toISOString();
+  companies.forEach(({ id }) => logs.push({ id: logs.length + 1, recorded_at, company_id: id }));
+}
+
+// Just enough of the query builder for the export: range, company and keyset filters
+function fakeFrom(table) {
+  const filters = [];
+  let limit = null;
+  let head = false;
+
+  const query = {
+    select: (columns, options) => { head = !!options?.head; return query; },
+    eq: (column, value) => { filters.push(row => row[column] === value); return query; },
+    in: (column, values) => { filters.push(row => values.includes(row[column])); return query; },
+    gte: (column, value) => { filters.push(row => Date.parse(row[column]) >= Date.parse(value)); return query; },
+    lt: (column, value) => { filters.push(row => Date.parse(row[column]) < Date.parse(value)); return query; },
+    is: () => query,
+    order: () => query,
+    or: (expression) => {
+      const [, recordedAt, id] = expression.match(/recorded_at\.gt\."([^"]+)".*id\.gt\.(\d+)/);
+      filters.push(row => row.recorded_at > recordedAt || (row.recorded_at === recordedAt && row.id > Number(id)));
+      return query;
+    },
+    limit: (n) => { limit = n; return query; },
+    then: (resolve, reject) => {
+      if (table === 'companies') {
+        return Promise.resolve({ data: companies.filter(company => filters.every(f => f(company))), error: null }).then(resolve, reject);
+      }
+      const rows = logs
+        .filter(row => filters.every(f => f(row)))
+        .sort((a, b) => a.recorded_at.localeCompare(b.recorded_at) || a.id - b.id);
+      const result = head ? { count: rows.length, error: null } : { data: rows.slice(0, limit ?? rows.length), error: null };
+      return Promise.resolve(result).then(resolve, reject);
+    },
+  };
+
+  return query;
+}
+
+const originalFrom = supabase.from;
+
+beforeAll(() => {
+  supabase.from = fakeFrom;
+});
+
+afterAll(() => {
+  supabase.from = originalFrom;
+});
+
+async function collect(range) {
+  const pages = [];
+  for await (const rows of iterateAttendanceLogs(range)) {
+    pages.push(rows);
+  }
+  return pages;
+}
+
+describe('iterateAttendanceLogs', () => {
+  test('pages through a day without repeating or skipping rows', async () => {
+    const pages = await collect({ companyId: 'ist', from: '2026-10-19', to: '2026-10-19', pageSize: 7 });
+    const ids = pages.flat().map(row => row.id);
+
+    expect(ids).toHaveLength(48);
+    expect(new Set(ids).size).toBe(48);
+    expect(pages.flat()[0].recorded_at).toBe('2026-10-18T18:30:00.000Z');
+    expect(pages.flat().every(row => row.timezone === 'Asia/Kolkata')).toBe(true);
+  });
+
+  test('keeps each row on its own company-local date', async () => {
+    const rows = (await collect({ from: '2026-10-19', to: '2026-10-19', pageSize: 50 })).flat();
+    const firstOf = (id) => rows.find(row => row.company_id === id).recorded_at;
+
+    expect(rows).toHaveLength(96);
+    expect(firstOf('ist')).toBe('2026-10-18T18:30:00.000Z');
+    expect(firstOf('nyc')).toBe('2026-10-19T04:00:00.000Z');
+  });
+});
+
+describe('countAttendanceLogs', () => {
+  test('matches what the export yields', async () => {
+    expect(await countAttendanceLogs({ from: '2026-10-19', to: '2026-10-19' })).toBe(96);
+    expect(await countAttendanceLogs({ companyId: 'nyc', from: '2026-10-19', to: '2026-10-20' })).toBe(88);
+  });
+});
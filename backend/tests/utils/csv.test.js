@@ -0,0 +1,39 @@
+import { csvRecords, parseCsv } from '../../src/utils/csv.js';
+
+describe('parseCsv', () => {
+  test('handles quotes, escaped quotes, embedded newlines and CRLF', () => {
+    const rows = parseCsv('\uFEFFname,note\r\n"Rao, Asha","said ""hi""\nthen left"\r\nBo , x\r\n');
+
+    expect(rows).toEqual([
+      { line: 1, cells: ['name', 'note'] },
+      { line: 2, cells: ['Rao, Asha', 'said "hi"\nthen left'] },
+      { line: 4, cells: ['Bo', 'x'] },
+    ]);
+  });
+
+  test('skips blank lines but keeps line numbers', () => {
+    expect(parseCsv('a\n\n,\nb')).toEqual([
+      { line: 1, cells: ['a'] },
+      { line: 4, cells: ['b'] },
+    ]);
+  });
+});
+
+describe('csvRecords', () => {
+  const columns = ['uid', 'employee_id'];
+
+  test('maps cells by header name in any order', () => {
+    const rows = parseCsv('Employee_ID,UID\nE1,AA:BB\n');
+
+    expect(csvRecords(rows, columns)).toEqual([{ line: 2, uid: 'AA:BB', employee_id: 'E1' }]);
+  });
+
+  test('maps cells by position without a header', () => {
+    const rows = parseCsv('AA:BB,E1\nCC:DD\n');
+
+    expect(csvRecords(rows, columns)).toEqual([
+      { line: 1, uid: 'AA:BB', employee_id: 'E1' },
+      { line: 2, uid: 'CC:DD', employee_id: '' },
+    ]);
+  });
+});
@@ -0,0 +1,28 @@
+import { validateConfigSettings } from '../../src/utils/deviceConfig.js';
+
+describe('validateConfigSettings', () => {
+  test('accepts any subset of known settings within range', () => {
+    expect(validateConfigSettings({})).toEqual([]);
+    expect(validateConfigSettings({ debounce_ms: 1500, location: 'Gate 2' })).toEqual([]);
+    expect(validateConfigSettings({ location: null })).toEqual([]);
+  });
+
+  test('rejects non-objects', () => {
+    expect(validateConfigSettings(null)).toEqual(['settings must be an object']);
+    expect(validateConfigSettings([1])).toEqual(['settings must be an object']);
+  });
+
+  test('reports unknown keys, out-of-range numbers and long locations', () => {
+    expect(validateConfigSettings({
+      volume: 3,
+      heartbeat_interval_ms: 1000,
+      max_buffer_size: 20.5,
+      location: 'x'.repeat(65),
+    })).toEqual([
+      'Unknown setting: volume',
+      'heartbeat_interval_ms must be an integer between 30000 and 3600000',
+      'max_buffer_size must be an integer between 10 and 2000',
+      'location must be a string of at most 64 characters',
+    ]);
+  });
+});
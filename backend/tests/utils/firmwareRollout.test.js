@@ -0,0 +1,37 @@
+import { canaryBucket, isDeviceInRollout } from '../../src/utils/firmwareRollout.js';
+
+const device = { id: 'device-1', company_id: 'company-1' };
+
+describe('canaryBucket', () => {
+  test('is stable and within 0-99', () => {
+    const bucket = canaryBucket('rollout-1', 'device-1');
+
+    expect(bucket).toBe(canaryBucket('rollout-1', 'device-1'));
+    expect(bucket).toBeGreaterThanOrEqual(0);
+    expect(bucket).toBeLessThan(100);
+  });
+
+  test('raising the percentage only adds devices', () => {
+    const ids = Array.from({ length: 200 }, (_, i) => `device-${i}`);
+    const cohort = (percentage) => ids.filter((id) => isDeviceInRollout({ id: 'rollout-1', target: 'all', percentage }, { id }));
+    const small = cohort(10);
+    const large = cohort(50);
+
+    expect(small.every((id) => large.includes(id))).toBe(true);
+    expect(large.length).toBeGreaterThan(small.length);
+  });
+});
+
+describe('isDeviceInRollout', () => {
+  test('a full rollout reaches every targeted device', () => {
+    expect(isDeviceInRollout({ id: 'r', target: 'all', percentage: 100 }, device)).toBe(true);
+    expect(isDeviceInRollout({ id: 'r', target: 'all', percentage: 0 }, device)).toBe(false);
+  });
+
+  test('company and device targets exclude everyone else', () => {
+    expect(isDeviceInRollout({ id: 'r', target: 'company', company_id: 'company-2', percentage: 100 }, device)).toBe(false);
+    expect(isDeviceInRollout({ id: 'r', target: 'company', company_id: 'company-1', percentage: 100 }, device)).toBe(true);
+    expect(isDeviceInRollout({ id: 'r', target: 'devices', device_ids: ['device-2'], percentage: 100 }, device)).toBe(false);
+    expect(isDeviceInRollout({ id: 'r', target: 'devices', device_ids: ['device-1'], percentage: 100 }, device)).toBe(true);
+  });
+});
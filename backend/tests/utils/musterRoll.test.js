@@ -0,0 +1,22 @@
+import { getMonthEnd, getMusterCode } from '../../src/utils/musterRoll.js';
+
+describe('getMonthEnd', () => {
+  test('returns the last day of the month, leap years included', () => {
+    expect(getMonthEnd('2026-10')).toBe('2026-10-31');
+    expect(getMonthEnd('2026-02')).toBe('2026-02-28');
+    expect(getMonthEnd('2028-02')).toBe('2028-02-29');
+  });
+});
+
+describe('getMusterCode', () => {
+  test('maps classified days to register codes', () => {
+    expect(getMusterCode({ status: 'late' })).toBe('P');
+    expect(getMusterCode({ status: 'half_day' })).toBe('HD');
+    expect(getMusterCode({ status: 'weekly_off' })).toBe('WO');
+  });
+
+  test('unscheduled and running days are present only with a scan', () => {
+    expect(getMusterCode({ status: 'unscheduled', first_in: '2026-10-19T03:30:00Z' })).toBe('P');
+    expect(getMusterCode({ status: 'scheduled', first_in: null })).toBe('');
+  });
+});
@@ -0,0 +1,88 @@
+import { PAYROLL_FORMATS, renderPayrollTemplate } from '../../src/utils/payrollExport.js';
+
+const row = {
+  employee_code: 'E-001',
+  employee_name: 'Asha "AJ" Rao',
+  company_name: 'Acme, Inc',
+  period_start: '2026-09-01',
+  period_end: '2026-09-30',
+  worked_days: 20.5,
+  half_days: 1,
+  absent_days: 1,
+  leave_days: 2,
+  paid_leave_days: 2,
+  unpaid_leave_days: 0,
+  holidays: 1,
+  weekly_offs: 4,
+  payable_days: 27.5,
+  late_count: 3,
+  early_leave_count: 0,
+  worked_hours: 170.25,
+  overtime_hours: 4.5,
+};
+
+describe('renderPayrollTemplate', () => {
+  test('renders a delimited template with formatted values and constants', () => {
+    const { body, extension, contentType } = renderPayrollTemplate([row], {
+      format: 'delimited',
+      delimiter: ';',
+      include_header: true,
+      columns: [
+        { field: 'employee_code', header: 'EmpNo' },
+        { field: 'worked_days' },
+        { field: 'worked_hours' },
+        { field: 'late_count' },
+        { field: 'constant', header: 'Site', value: 'HQ' },
+      ],
+    });
+
+    expect(body).toBe('EmpNo;Worked Days;Worked Hours;Late Count;Site\nE-001;20.5;170.25;3;HQ\n');
+    expect(extension).toBe('txt');
+    expect(contentType).toBe('text/plain; charset=utf-8');
+  });
+
+  test('quotes cells holding the delimiter or quotes and serves comma templates as CSV', () => {
+    const { body, extension } = renderPayrollTemplate([row], {
+      format: 'delimited',
+      delimiter: ',',
+      include_header: false,
+      columns: [{ field: 'employee_name' }, { field: 'company_name' }],
+    });
+
+    expect(body).toBe('"Asha ""AJ"" Rao","Acme, Inc"\n');
+    expect(extension).toBe('csv');
+  });
+
+  test('pads and cuts fixed-width columns, right-aligning numbers', () => {
+    const { body, extension } = renderPayrollTemplate([row], {
+      format: 'fixed_width',
+      include_header: true,
+      columns: [
+        { field: 'employee_code', width: 6 },
+        { field: 'employee_name', width: 8 },
+        { field: 'payable_days', width: 6 },
+        { field: 'late_count', width: 3, align: 'left' },
+      ],
+    });
+
+    expect(body).toBe('EmployEmployeePayablLat\r\nE-001 Asha "AJ  27.53  \r\n');
+    expect(extension).toBe('txt');
+  });
+});
+
+describe('PAYROLL_FORMATS', () => {
+  test('summary CSV has a header and one line per employee', () => {
+    const lines = PAYROLL_FORMATS.summary_csv.render([row, { ...row, employee_code: 'E-002' }]).trim().split('\n');
+
+    expect(lines).toHaveLength(3);
+    expect(lines[0].startsWith('Employee ID,Employee,Company,Period Start')).toBe(true);
+    expect(lines[2].startsWith('E-002,')).toBe(true);
+  });
+
+  test('fixed width lines all have the same length', () => {
+    const lines = PAYROLL_FORMATS.fixed_width.render([row, { ...row, employee_name: 'Bo' }]).split('\r\n').filter(Boolean);
+
+    expect(lines).toHaveLength(2);
+    expect(lines[0].length).toBe(lines[1].length);
+  });
+});
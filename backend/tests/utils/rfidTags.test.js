@@ -0,0 +1,13 @@
+import { isHeldByOther } from '../../src/utils/rfidTags.js';
+
+describe('isHeldByOther', () => {
+  test('is true only for tags held by another active employee', () => {
+    const tag = { employee_id: 7, employees: { is_active: true } };
+
+    expect(isHeldByOther(tag, '8')).toBe(true);
+    expect(isHeldByOther(tag, '7')).toBe(false);
+    expect(isHeldByOther({ ...tag, employees: { is_active: false } }, '8')).toBe(false);
+    expect(isHeldByOther({ employee_id: null }, '8')).toBe(false);
+    expect(isHeldByOther(null, '8')).toBe(false);
+  });
+});
@@ -0,0 +1,48 @@
+import { pairDayLogs } from '../../src/utils/sessions.js';
+
+const log = (id, event_type, time) => ({ id, event_type, recorded_at: `2026-10-19T${time}:00.000Z` });
+
+describe('pairDayLogs', () => {
+  test('pairs IN and OUT into sessions with the breaks between them', () => {
+    const day = pairDayLogs([
+      log(1, 'IN', '03:30'),
+      log(2, 'OUT', '07:30'),
+      log(3, 'IN', '08:15'),
+      log(4, 'OUT', '12:30'),
+    ]);
+
+    expect(day.sessions).toHaveLength(2);
+    expect(day.on_site_minutes).toBe(495);
+    expect(day.break_minutes).toBe(45);
+    expect(day.first_in).toBe('2026-10-19T03:30:00.000Z');
+    expect(day.last_out).toBe('2026-10-19T12:30:00.000Z');
+    expect(day.unmatched_punches).toEqual([]);
+  });
+
+  test('reports a repeated IN and an OUT without an IN as unmatched', () => {
+    const day = pairDayLogs([
+      log(1, 'OUT', '02:00'),
+      log(2, 'IN', '03:30'),
+      log(3, 'IN', '04:00'),
+      log(4, 'OUT', '05:00'),
+    ]);
+
+    expect(day.sessions).toEqual([
+      { in_at: '2026-10-19T04:00:00.000Z', out_at: '2026-10-19T05:00:00.000Z', minutes: 60 },
+    ]);
+    expect(day.unmatched_punches.map(punch => punch.id)).toEqual([1, 2]);
+  });
+
+  test('a trailing IN is open while the day runs and unmatched after', () => {
+    const logs = [log(1, 'IN', '03:30')];
+
+    expect(pairDayLogs(logs, { open: true })).toMatchObject({
+      open_since: '2026-10-19T03:30:00.000Z',
+      unmatched_punches: [],
+    });
+    expect(pairDayLogs(logs)).toMatchObject({
+      open_since: null,
+      unmatched_punches: [{ id: 1, event_type: 'IN', recorded_at: '2026-10-19T03:30:00.000Z' }],
+    });
+  });
+});
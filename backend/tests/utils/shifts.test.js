@@ -0,0 +1,138 @@
+import {
+  addDays,
+  classifyShiftDay,
+  getFullDayMinutes,
+  getIsoWeekday,
+  getShiftScanWindow,
+  getShiftWindow,
+  isOvernightShift,
+  resolveShift,
+} from '../../src/utils/shifts.js';
+
+const TZ = 'Asia/Kolkata';
+const AFTER = new Date('2026-10-21T00:00:00Z');
+
+// 09:00-18:00 IST is 03:30-12:30 UTC
+const dayShift = {
+  id: 'shift-day',
+  name: 'General',
+  start_time: '09:00:00',
+  end_time: '18:00:00',
+  break_minutes: 60,
+  full_day_minutes: null,
+  half_day_minutes: 240,
+  late_grace_minutes: 10,
+  early_leave_grace_minutes: 10,
+  work_days: [1, 2, 3, 4, 5],
+};
+
+const nightShift = { ...dayShift, id: 'shift-night', name: 'Night', start_time: '22:00', end_time: '06:00' };
+
+describe('date helpers', () => {
+  test('addDays crosses month and year ends', () => {
+    expect(addDays('2026-10-31', 1)).toBe('2026-11-01');
+    expect(addDays('2027-01-01', -1)).toBe('2026-12-31');
+  });
+
+  test('getIsoWeekday counts Monday as 1 and Sunday as 7', () => {
+    expect(getIsoWeekday('2026-10-19')).toBe(1);
+    expect(getIsoWeekday('2026-10-25')).toBe(7);
+  });
+});
+
+describe('shift windows', () => {
+  test('a day shift starts and ends on its date', () => {
+    const { start, end } = getShiftWindow(dayShift, '2026-10-19', TZ);
+
+    expect(isOvernightShift(dayShift)).toBe(false);
+    expect(start.toISOString()).toBe('2026-10-19T03:30:00.000Z');
+    expect(end.toISOString()).toBe('2026-10-19T12:30:00.000Z');
+  });
+
+  test('an overnight shift ends the next morning', () => {
+    const { start, end } = getShiftWindow(nightShift, '2026-10-19', TZ);
+
+    expect(isOvernightShift(nightShift)).toBe(true);
+    expect(start.toISOString()).toBe('2026-10-19T16:30:00.000Z');
+    expect(end.toISOString()).toBe('2026-10-20T00:30:00.000Z');
+  });
+
+  test('the scan window widens the shift without reaching the next one', () => {
+    const { start, end } = getShiftScanWindow(dayShift, '2026-10-19', TZ);
+
+    expect(start.toISOString()).toBe('2026-10-18T21:30:00.000Z');
+    expect(end.toISOString()).toBe('2026-10-19T18:30:00.000Z');
+  });
+
+  test('a full day is the shift length less breaks unless set', () => {
+    expect(getFullDayMinutes(dayShift)).toBe(480);
+    expect(getFullDayMinutes({ ...dayShift, full_day_minutes: 420 })).toBe(420);
+  });
+});
+
+describe('resolveShift', () => {
+  const assignment = {
+    effective_from: '2026-10-01',
+    effective_to: null,
+    weekdays: [1, 3, 5],
+    shifts: nightShift,
+  };
+
+  test('an assignment in effect wins over the company default', () => {
+    expect(resolveShift('2026-10-19', [assignment], dayShift)).toEqual({ shift: nightShift, workday: true });
+    expect(resolveShift('2026-10-20', [assignment], dayShift)).toEqual({ shift: nightShift, workday: false });
+  });
+
+  test('the company default applies outside assignments', () => {
+    expect(resolveShift('2026-09-30', [assignment], dayShift)).toEqual({ shift: dayShift, workday: true });
+    expect(resolveShift('2026-09-27', [assignment], dayShift)).toEqual({ shift: dayShift, workday: false });
+  });
+
+  test('no assignment and no default means no schedule', () => {
+    expect(resolveShift('2026-10-19', [], null)).toBeNull();
+  });
+});
+
+describe('classifyShiftDay', () => {
+  const classify = (scans, now = AFTER) => classifyShiftDay(dayShift, '2026-10-19', TZ, scans, now);
+
+  test('arrival within the grace period is on time, time past a full day is overtime', () => {
+    const day = classify(['2026-10-19T03:35:00Z', '2026-10-19T12:35:00Z']);
+
+    expect(day.status).toBe('on_time');
+    expect(day.late_minutes).toBe(5);
+    expect(day.worked_minutes).toBe(540);
+    expect(day.overtime_minutes).toBe(60);
+  });
+
+  test('arrival past the grace period is late', () => {
+    const day = classify(['2026-10-19T03:50:00Z', '2026-10-19T12:40:00Z']);
+
+    expect(day.status).toBe('late');
+    expect(day.late).toBe(true);
+  });
+
+  test('leaving early past the grace period is an early leave', () => {
+    const day = classify(['2026-10-19T03:30:00Z', '2026-10-19T11:50:00Z']);
+
+    expect(day.status).toBe('early_leave');
+    expect(day.early_leave_minutes).toBe(40);
+  });
+
+  test('short days are half days or absences', () => {
+    expect(classify(['2026-10-19T03:30:00Z', '2026-10-19T09:30:00Z']).status).toBe('half_day');
+    expect(classify(['2026-10-19T03:30:00Z', '2026-10-19T05:30:00Z']).status).toBe('absent');
+  });
+
+  test('a single scan after the shift is a missing punch judged on punctuality only', () => {
+    const day = classify(['2026-10-19T03:30:00Z']);
+
+    expect(day.missing_punch).toBe(true);
+    expect(day.status).toBe('on_time');
+  });
+
+  test('days without scans are absent once over and scheduled before that', () => {
+    expect(classify([]).status).toBe('absent');
+    expect(classify([], new Date('2026-10-19T06:00:00Z')).status).toBe('scheduled');
+  });
+});
@@ -0,0 +1,84 @@
+import { supabase } from '../../src/config/database.js';
+import { completeEnrollment } from '../../src/utils/tagEnrollment.js';
+
+let tables;
+
+// Just enough of the query builder for enrollment: equality filters, update and insert
+function fakeFrom(table) {
+  const filters = [];
+  let change = null;
+  let insert = null;
+
+  const query = {
+    select: () => query,
+    eq: (column, value) => { filters.push(row => row[column] === value); return query; },
+    update: (values) => { change = values; return query; },
+    insert: (values) => { insert = values; return query; },
+    single: () => query,
+    maybeSingle: () => query,
+    then: (resolve, reject) => {
+      const rows = tables[table];
+      let data;
+
+      if (insert) {
+        data = { id: `${table}-${rows.length + 1}`, ...insert };
+        rows.push(data);
+      } else {
+        const matched = rows.filter(row => filters.every(f => f(row)));
+        matched.forEach(row => Object.assign(row, change));
+        data = matched[0] ? { ...matched[0] } : null;
+      }
+
+      return Promise.resolve({ data, error: null }).then(resolve, reject);
+    },
+  };
+
+  return query;
+}
+
+const originalFrom = supabase.from;
+
+beforeAll(() => {
+  supabase.from = fakeFrom;
+});
+
+afterAll(() => {
+  supabase.from = originalFrom;
+});
+
+beforeEach(() => {
+  tables = {
+    tag_enrollment_sessions: [{ id: 'session-1', status: 'pending', employee_id: 'employee-1', company_id: 'company-1' }],
+    rfid_tags: [],
+  };
+});
+
+const session = { id: 'session-1', employee_id: 'employee-1', company_id: 'company-1' };
+
+describe('completeEnrollment', () => {
+  test('assigns the tag and completes a pending session', async () => {
+    const finished = await completeEnrollment(session, 'AA:BB');
+
+    expect(finished.status).toBe('completed');
+    expect(tables.rfid_tags).toHaveLength(1);
+    expect(tables.rfid_tags[0]).toMatchObject({ uid: 'AA:BB', employee_id: 'employee-1', status: 'assigned' });
+    expect(finished.rfid_tag_id).toBe(tables.rfid_tags[0].id);
+  });
+
+  test('leaves the tag alone when the session ended meanwhile', async () => {
+    tables.tag_enrollment_sessions[0].status = 'cancelled';
+
+    expect(await completeEnrollment(session, 'AA:BB')).toBeNull();
+    expect(tables.rfid_tags).toHaveLength(0);
+  });
+
+  test('fails the session for a tag held by another employee', async () => {
+    tables.rfid_tags.push({ id: 'tag-1', uid: 'AA:BB', status: 'assigned', employee_id: 'employee-2', employees: { name: 'Bo', is_active: true } });
+
+    const finished = await completeEnrollment(session, 'AA:BB');
+
+    expect(finished.status).toBe('failed');
+    expect(finished.error).toBe('Tag is already assigned to Bo');
+    expect(tables.rfid_tags[0].employee_id).toBe('employee-2');
+  });
+});
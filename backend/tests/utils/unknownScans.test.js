@@ -0,0 +1,28 @@
+import { getScanRejection } from '../../src/utils/unknownScans.js';
+
+const device = { id: 'device-1', company_id: 'company-1' };
+const tag = {
+  status: 'assigned',
+  is_active: true,
+  employee_id: 'employee-1',
+  employees: { is_active: true, company_id: 'company-1' },
+};
+
+describe('getScanRejection', () => {
+  test('accepts an active tag of an active employee of the reader company', () => {
+    expect(getScanRejection(tag, device)).toBeNull();
+  });
+
+  test('names why a scan cannot be logged', () => {
+    expect(getScanRejection(undefined, device)).toBe('unregistered');
+    expect(getScanRejection({ ...tag, status: 'stolen' }, device)).toBe('blocked_tag');
+    expect(getScanRejection({ ...tag, is_active: false }, device)).toBe('inactive_tag');
+    expect(getScanRejection({ ...tag, employee_id: null }, device)).toBe('unassigned');
+    expect(getScanRejection({ ...tag, employees: { ...tag.employees, is_active: false } }, device)).toBe('inactive_employee');
+    expect(getScanRejection(tag, { ...device, company_id: 'company-2' })).toBe('wrong_company');
+  });
+
+  test('readers without a company accept any company', () => {
+    expect(getScanRejection(tag, { id: 'device-2', company_id: null })).toBeNull();
+  });
+});
@@ -0,0 +1,10 @@
+import { isVisitorPoolScan } from '../../src/utils/visitorPasses.js';
+
+describe('isVisitorPoolScan', () => {
+  test('is true only for active visitor pool tags', () => {
+    expect(isVisitorPoolScan({ is_visitor_pool: true, is_active: true })).toBe(true);
+    expect(isVisitorPoolScan({ is_visitor_pool: true, is_active: false })).toBe(false);
+    expect(isVisitorPoolScan({ is_visitor_pool: false, is_active: true })).toBe(false);
+    expect(isVisitorPoolScan(undefined)).toBe(false);
+  });
+});
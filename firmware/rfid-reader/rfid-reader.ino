@@ -19,6 +19,7 @@
 #include <WiFi.h>
 #include <WiFiClientSecure.h>
 #include <HTTPClient.h>
+#include <HTTPUpdate.h>
 #include <ArduinoJson.h>
 #include <SPI.h>
 #include <MFRC522.h>
@@ -32,6 +33,7 @@
 #include <freertos/queue.h>
 #include <freertos/semphr.h>
 #include <esp_task_wdt.h>
+#include <esp_system.h>
 #include <Preferences.h>
 
 /* ---------------- CONFIGURATION ---------------- */
@@ -51,23 +53,28 @@ String WIFI_PASSWORD = WIFI_PASSWORD_1;
 String API_URL       = API_URL_DEFAULT;
 String DEVICE_UUID   = DEVICE_UUID_DEFAULT;
 String DEVICE_TOKEN  = "";
-String DEVICE_SECRET = "";
+String ENROLLMENT_CODE = "";   // One-time code from the dashboard (serial: "enroll <code>")
 
 const char* FIRMWARE_VERSION = "2.0.0";
 const char* DEVICE_NAME      = "invubation attendence Reader";
-const char* LOCATION         = "Building A – Ground Floor";
-const char* DEVICE_PROVISIONING_SECRET = "my-secure-provisioning-key-2026";  // Must match backend env var
 
-const unsigned long DEBOUNCE_TIME        = 3000;
-const unsigned long HEARTBEAT_INTERVAL   = 300000;
-const unsigned long LCD_MESSAGE_TIME     = 2000;
+// Defaults – replaced by the server configuration profile (GET /devices/config)
+String LOCATION                    = "Building A – Ground Floor";
+unsigned long DEBOUNCE_TIME        = 3000;
+unsigned long HEARTBEAT_INTERVAL   = 300000;
+unsigned long LCD_MESSAGE_TIME     = 2000;
+int MAX_BUFFER_SIZE                = 500;
+String CONFIG_ETAG                 = "";   // ETag of the applied server configuration
+
 const unsigned long RFID_SCAN_INTERVAL   = 50;
 const unsigned long NETWORK_CHECK_INTERVAL = 100;
 const unsigned long BUFFER_CLEANUP_INTERVAL = 3600000;  // 1 hour
 const unsigned long WATCHDOG_TIMEOUT_SEC = 30;
-const int MAX_BUFFER_SIZE = 500;
 const int EVENT_QUEUE_SIZE = 10;
 const int MAX_EVENT_RETRIES = 3;
+const int FLUSH_BATCH_SIZE = 20;   // Buffered events uploaded per batch request
+const int MAX_PENDING_COMMANDS = 5; // Remote commands held between a response and execution
+const int MAX_COMMAND_ACKS = 10;    // Command results waiting to be reported
 
 #define RST_PIN      27
 #define SS_PIN       5
@@ -95,15 +102,19 @@ const int MAX_EVENT_RETRIES = 3;
 MFRC522 mfrc522(SS_PIN, RST_PIN);
 LiquidCrystal_I2C lcd(LCD_ADDR, 16, 2);
 Preferences preferences;
+Preferences eventPrefs;   // Persistent event sequence counter
 
 unsigned long lastHeartbeat = 0, lastScanTime = 0, lastLcdUpdate = 0;
 unsigned long lastBufferCleanup = 0;
 String lastScannedUID = "";
 int bufferCount = 0;
 bool showingMessage = false;
+volatile unsigned long displayHoldUntil = 0;   // Remote display_message keeps the LCD until then
 volatile bool wifiConnected = false;
 volatile bool deviceRegistered = false;
+volatile bool reprovisionRequired = false;  // Token rejected (401): uploads stop until a new enrollment code registers the device
 volatile bool useWiFiManager = false;
+volatile bool configRefreshNeeded = true;   // Fetch server configuration on boot and when its ETag changes
 
 // Error statistics
 struct ErrorStats {
@@ -117,6 +128,7 @@ struct ErrorStats {
 /* FreeRTOS objects */
 struct RfidEvent {
   char uid[24];
+  char eventId[64];   // "<device uuid>-<boot nonce>-<sequence>", lets the server drop retried duplicates
   char timestamp[25];
   int rssi;
   bool pending;
@@ -131,6 +143,25 @@ struct LcdMessage {
   uint8_t type;
   char line1[17], line2[17];
 };
+// Remote command received in a heartbeat/event response
+struct DeviceCommand {
+  char id[40];
+  char command[20];
+  char arg[160];      // message, OTA URL or enrollment code, depending on the command
+  uint16_t duration;  // display_message seconds
+  bool authenticated; // OTA image served by the backend (rollout), needs the device token
+};
+// Result of a command, reported with the next heartbeat/event ("acks")
+struct CommandAck {
+  char id[40];
+  char status[14];    // "acknowledged" or "failed"
+  char result[48];
+};
+
+DeviceCommand pendingCommands[MAX_PENDING_COMMANDS];
+int pendingCommandCount = 0;
+CommandAck commandAcks[MAX_COMMAND_ACKS];
+int commandAckCount = 0;
 
 QueueHandle_t rfidEventQueue, responseQueue, lcdQueue;
 SemaphoreHandle_t spiMutex, i2cMutex, fsMutex;
@@ -146,6 +177,7 @@ TaskHandle_t rfidTaskHandle, networkTaskHandle, lcdTaskHandle;
 #define LCD_MSG_ERROR      6
 #define LCD_MSG_IDLE       7
 #define LCD_MSG_CUSTOM     8
+#define LCD_MSG_REPROVISION 9
 
 /* Custom glyphs */
 byte wifiIcon[8]  = {B00000,B01110,B10001,B00100,B01010,B00000,B00100,B00000};
@@ -159,10 +191,23 @@ void networkTask(void* pv);
 void setupWiFiManager();
 void connectWiFi();
 void registerDevice();
+void requireReprovision(const char* context);
 bool sendEventToServer(RfidEvent& e, EventResponse& r, int maxRetries = MAX_EVENT_RETRIES);
 void sendHeartbeat();
+const char* resetReasonName(esp_reset_reason_t reason);
 void bufferEvent(RfidEvent& e);
 void flushBuffer();
+void addCommandAcks(JsonDocument& doc);
+void clearCommandAcks();
+bool isKnownCommand(const char* id);
+void queueCommands(JsonArray commands);
+void processCommands();
+void ackCommand(const char* id, bool ok, String result);
+void fetchDeviceConfig();
+void applyDeviceConfig(JsonObject settings);
+void loadDeviceConfig();
+void loadCommandAcks();
+void saveCommandAcks();
 void countBufferedEvents();
 void cleanOldBufferedEvents();
 void loadConfiguration();
@@ -172,6 +217,7 @@ String getISOTimestamp();
 String getCurrentTime();
 String getCurrentDate();
 String generateDeviceSecret();
+String nextEventId();
 void beep(int n);
 void beepSuccess();
 void beepError();
@@ -184,6 +230,7 @@ void ledCheckIn();
 void ledCheckOut();
 void logCrash(String reason);
 void checkConfigButton();
+void checkSerialCommands();
 void queueLcdMessage(uint8_t t, const char* l1="", const char* l2="");
 void processLcdMessage(LcdMessage& m);
 /* -------------------------------------------------- */
@@ -244,6 +291,8 @@ void setup() {
   } else {
     Serial.println("✓ LittleFS mounted");
     loadConfiguration();
+    loadCommandAcks();
+    loadDeviceConfig();
     countBufferedEvents();
   }
 
@@ -280,10 +329,12 @@ void setup() {
   Serial.println("✓ Watchdog timer enabled (" + String(WATCHDOG_TIMEOUT_SEC) + "s)");
   setupOTA();
 
-  if (DEVICE_TOKEN.length() == 0 && wifiConnected) {
+  if (DEVICE_TOKEN.length() == 0 && wifiConnected && ENROLLMENT_CODE.length() > 0) {
     Serial.println("⚠ Device not registered – trying registration...");
     lcd.clear(); lcd.print("Registering...");
     registerDevice();
+  } else if (DEVICE_TOKEN.length() == 0) {
+    Serial.println("⚠ Device not registered – type: enroll <code>");
   }
   deviceRegistered = (DEVICE_TOKEN.length() > 0);
 
@@ -342,6 +393,8 @@ void rfidTask(void* pv) {
 
         RfidEvent e;
         strncpy(e.uid, uid.c_str(), 23); e.uid[23] = '\0';
+        String eid = nextEventId();
+        strncpy(e.eventId, eid.c_str(), 63); e.eventId[63] = '\0';
         String ts = getISOTimestamp();
         strncpy(e.timestamp, ts.c_str(), 24); e.timestamp[24] = '\0';
         e.rssi = WiFi.RSSI(); e.pending = true;
@@ -364,6 +417,8 @@ void rfidTask(void* pv) {
               ledCheckIn(); beepCheckIn();
             } else if (strcmp(r.eventType, "OUT") == 0) {
               ledCheckOut(); beepCheckOut();
+            } else if (strcmp(r.eventType, "DENIED") == 0) {
+              ledError(); beepError();   // Visitor badge outside its pass window or reader list
             } else {
               ledSuccess(); beepSuccess();
             }
@@ -374,6 +429,8 @@ void rfidTask(void* pv) {
               strncpy(ok.line1, "CHECK IN!", 16);
             } else if (strcmp(r.eventType, "OUT") == 0) {
               strncpy(ok.line1, "CHECK OUT!", 16);
+            } else if (strcmp(r.eventType, "DENIED") == 0) {
+              strncpy(ok.line1, "ACCESS DENIED", 16);
             } else {
               strncpy(ok.line1, "Welcome!", 16);
             }
@@ -442,8 +499,10 @@ void networkTask(void* pv) {
       } else wifiConnected = true;
     }
 
-    // Auto-retry registration if not registered
-    if (wifiConnected && !deviceRegistered && (now - lastRegRetry >= 30000)) {
+    // Auto-retry registration if not registered and an enrollment code was entered
+    checkSerialCommands();
+    if (wifiConnected && !deviceRegistered && ENROLLMENT_CODE.length() > 0 &&
+        (now - lastRegRetry >= 30000)) {
       lastRegRetry = now;
       Serial.println("[NET] Auto-retry registration...");
       registerDevice();
@@ -477,7 +536,7 @@ void networkTask(void* pv) {
       } else {
         Serial.println("[NET] Not ready - buffering (WiFi: " + 
                        String(wifiConnected ? "OK" : "NO") + ", Reg: " + 
-                       String(deviceRegistered ? "OK" : "NO") + ")");
+                       String(deviceRegistered ? "OK" : reprovisionRequired ? "RE-PROVISION" : "NO") + ")");
         if (xSemaphoreTake(fsMutex, pdMS_TO_TICKS(100)) == pdTRUE) {
           bufferEvent(e); xSemaphoreGive(fsMutex);
         }
@@ -496,6 +555,11 @@ void networkTask(void* pv) {
       lastHB = now;
       if (wifiConnected && deviceRegistered) sendHeartbeat();
     }
+
+    if (wifiConnected && deviceRegistered && configRefreshNeeded) fetchDeviceConfig();
+
+    // Run remote commands delivered by the last heartbeat/event response
+    if (pendingCommandCount > 0) processCommands();
     
     // Check config button for WiFi reset
     checkConfigButton();
@@ -539,7 +603,7 @@ void lcdTask(void* pv) {
                      m.type == LCD_MSG_BUFFERED  || m.type == LCD_MSG_ERROR);
     }
     unsigned long now = millis();
-    if (!showingTemp && now - lastIdle >= 1000) {
+    if (!showingTemp && !reprovisionRequired && now - lastIdle >= 1000 && (long)(now - displayHoldUntil) >= 0) {
       lastIdle = now;
       if (xSemaphoreTake(i2cMutex, pdMS_TO_TICKS(50)) == pdTRUE) {
         lcd.setCursor(0,0); lcd.write(byte(0));
@@ -636,10 +700,9 @@ void connectWiFi() {
 void registerDevice() {
   if (WiFi.status() != WL_CONNECTED) return;
   
-  // Generate device secret if not exists
-  if (DEVICE_SECRET.length() == 0) {
-    DEVICE_SECRET = String(DEVICE_PROVISIONING_SECRET);  // Use fixed provisioning secret
-    Serial.println("[NET] Using provisioning secret for registration");
+  if (ENROLLMENT_CODE.length() == 0) {
+    Serial.println("[NET] No enrollment code – type: enroll <code>");
+    return;
   }
   
   Serial.println("[NET] Registering device …");
@@ -658,13 +721,11 @@ void registerDevice() {
   HTTPClient http;
   StaticJsonDocument<256> doc;
   doc["device_uuid"] = DEVICE_UUID;
-  doc["secret"]      = DEVICE_SECRET;
+  doc["enrollment_code"] = ENROLLMENT_CODE;
   doc["device_name"] = DEVICE_NAME;
   doc["location"]    = LOCATION;
   String payload; serializeJson(doc, payload);
   
-  Serial.println("[NET] Payload: " + payload);
-  
   http.begin(*client, API_URL + "/api/v1/devices/register");
   http.addHeader("Content-Type", "application/json");
   http.setTimeout(15000);  // 15 second timeout
@@ -677,6 +738,7 @@ void registerDevice() {
   if (httpCode == 201 || httpCode == 200) {
     StaticJsonDocument<512> resp; deserializeJson(resp, http.getString());
     DEVICE_TOKEN = resp["data"]["token"].as<String>();
+    ENROLLMENT_CODE = "";   // Codes are single-use
     if (xSemaphoreTake(fsMutex, pdMS_TO_TICKS(1000)) == pdTRUE) {
       saveConfiguration(); xSemaphoreGive(fsMutex);
     }
@@ -686,10 +748,15 @@ void registerDevice() {
       Serial.println("✓ Token re-issued (device existed) – token: " + DEVICE_TOKEN.substring(0, 20) + "…");
     }
     deviceRegistered = true;
+    reprovisionRequired = false;
+    queueLcdMessage(LCD_MSG_READY);
     beepSuccess();
   } else if (httpCode == 409) {
-    Serial.println("⚠ Device already exists (THIS SHOULD NOT HAPPEN ANYMORE)");
-    Serial.println("  Backend should return 200 with new token. Check backend code.");
+    Serial.println("⚠ Device already registered – ask an admin to Re-provision it");
+    ENROLLMENT_CODE = "";
+  } else if (httpCode == 403) {
+    Serial.println("✗ Enrollment code invalid, expired or already used");
+    ENROLLMENT_CODE = "";
   } else {
     Serial.println("✗ Registration failed: " + String(httpCode));
     if (httpCode > 0) {
@@ -731,11 +798,13 @@ bool sendEventToServer(RfidEvent& e, EventResponse& r, int maxRetries) {
     client->setInsecure();
     
     HTTPClient http;
-    StaticJsonDocument<256> doc;
+    DynamicJsonDocument doc(2048);
     doc["device_uuid"] = DEVICE_UUID;
     doc["tag_uid"]     = e.uid;
+    doc["event_id"]    = e.eventId;
     doc["timestamp"]   = e.timestamp;
     doc["rssi"]        = e.rssi;
+    addCommandAcks(doc);
     String payload; serializeJson(doc, payload);
     
     Serial.println("  [NET] Payload: " + payload);
@@ -747,9 +816,12 @@ bool sendEventToServer(RfidEvent& e, EventResponse& r, int maxRetries) {
     int httpCode = http.POST(payload);
     
     if (httpCode == 200) {
-      StaticJsonDocument<512> resp;
+      DynamicJsonDocument resp(2048);
       deserializeJson(resp, http.getString());
-      String name = resp["data"]["employee_name"] | "Scan OK";
+      clearCommandAcks();
+      queueCommands(resp["data"]["commands"].as<JsonArray>());
+      bool quarantined = resp["data"]["quarantined"] | false;
+      String name = resp["data"]["employee_name"] | (quarantined ? "Unknown card" : "Scan OK");
       String eventType = resp["data"]["event_type"] | "SCAN";
       
       strncpy(r.employeeName, name.c_str(), 31); r.employeeName[31] = '\0';
@@ -759,13 +831,11 @@ bool sendEventToServer(RfidEvent& e, EventResponse& r, int maxRetries) {
       delete client;
       return true;
     } else if (httpCode == 401) {
-      // Token expired - re-register
-      Serial.println("  [NET] Token expired - re-registering");
-      errorStats.tokenExpired++;
+      // Token revoked or expired - retrying cannot help, the caller buffers the event
       http.end();
       delete client;
-      registerDevice();
-      continue;  // Retry with new token
+      requireReprovision("event upload");
+      return false;
     } else {
       Serial.println("  [NET] HTTP error: " + String(httpCode));
       if (httpCode > 0) {
@@ -780,6 +850,18 @@ bool sendEventToServer(RfidEvent& e, EventResponse& r, int maxRetries) {
   return false;
 }
 
+// The server rejected the device token. Stop talking to it and keep scans buffered;
+// only a new enrollment code (serial "enroll <code>") registers the device again
+void requireReprovision(const char* context) {
+  errorStats.tokenExpired++;
+  deviceRegistered = false;
+  if (reprovisionRequired) return;
+  reprovisionRequired = true;
+  Serial.println("✗ [NET] Device token rejected (" + String(context) + ") – RE-PROVISION REQUIRED");
+  Serial.println("  Scans stay buffered. Re-provision the device in the dashboard, then type: enroll <code>");
+  queueLcdMessage(LCD_MSG_REPROVISION);
+}
+
 void sendHeartbeat() {
   if (DEVICE_TOKEN.length() == 0) return;
   
@@ -789,11 +871,14 @@ void sendHeartbeat() {
   client->setInsecure();
   
   HTTPClient http;
-  StaticJsonDocument<512> doc;
+  DynamicJsonDocument doc(2048);
   doc["firmware_version"] = FIRMWARE_VERSION;
   doc["buffer_count"]     = bufferCount;
   doc["free_heap"]        = ESP.getFreeHeap();
   doc["uptime_ms"]        = millis();
+  doc["min_free_heap"]    = ESP.getMinFreeHeap();
+  doc["rssi"]             = WiFi.RSSI();
+  doc["reset_reason"]     = resetReasonName(esp_reset_reason());
   
   // Add error statistics
   JsonObject errors = doc.createNestedObject("errors");
@@ -802,14 +887,24 @@ void sendHeartbeat() {
   errors["buffer_overflows"] = errorStats.bufferOverflows;
   errors["ntp_sync_failures"] = errorStats.ntpSyncFailures;
   errors["token_expired"] = errorStats.tokenExpired;
+  addCommandAcks(doc);
   
   String payload; serializeJson(doc, payload);
   http.begin(*client, String(API_URL) + "/api/v1/devices/heartbeat");
   http.addHeader("Content-Type", "application/json");
   http.addHeader("Authorization", "Bearer " + DEVICE_TOKEN);
   int httpCode = http.POST(payload);
-  if (httpCode == 200) Serial.println("♥ [NET] Heartbeat sent with error stats");
-  else {
+  if (httpCode == 200) {
+    Serial.println("♥ [NET] Heartbeat sent with telemetry");
+    DynamicJsonDocument resp(2048);
+    deserializeJson(resp, http.getString());
+    clearCommandAcks();
+    queueCommands(resp["data"]["commands"].as<JsonArray>());
+    String etag = resp["data"]["config_etag"] | "";
+    if (etag.length() > 0 && etag != CONFIG_ETAG) configRefreshNeeded = true;
+  } else if (httpCode == 401) {
+    requireReprovision("heartbeat");
+  } else {
     Serial.println("✗ [NET] Heartbeat failed: " + String(httpCode));
     errorStats.httpErrors++;
   }
@@ -817,6 +912,292 @@ void sendHeartbeat() {
   delete client;
 }
 
+// Why the chip last restarted, reported with every heartbeat
+const char* resetReasonName(esp_reset_reason_t reason) {
+  switch (reason) {
+    case ESP_RST_POWERON:   return "power_on";
+    case ESP_RST_EXT:       return "external";
+    case ESP_RST_SW:        return "software";
+    case ESP_RST_PANIC:     return "panic";
+    case ESP_RST_INT_WDT:   return "interrupt_watchdog";
+    case ESP_RST_TASK_WDT:  return "task_watchdog";
+    case ESP_RST_WDT:       return "watchdog";
+    case ESP_RST_DEEPSLEEP: return "deep_sleep";
+    case ESP_RST_BROWNOUT:  return "brownout";
+    case ESP_RST_SDIO:      return "sdio";
+    default:                return "unknown";
+  }
+}
+
+/* ===================================================================
+ *  Server configuration profile
+ * =================================================================== */
+void applyDeviceConfig(JsonObject settings) {
+  DEBOUNCE_TIME      = settings["debounce_ms"] | DEBOUNCE_TIME;
+  HEARTBEAT_INTERVAL = settings["heartbeat_interval_ms"] | HEARTBEAT_INTERVAL;
+  LCD_MESSAGE_TIME   = settings["lcd_message_ms"] | LCD_MESSAGE_TIME;
+  MAX_BUFFER_SIZE    = settings["max_buffer_size"] | MAX_BUFFER_SIZE;
+  if (settings["location"].is<const char*>()) LOCATION = settings["location"].as<String>();
+}
+
+// Fetch the merged configuration; 304 means the applied one is current
+void fetchDeviceConfig() {
+  if (DEVICE_TOKEN.length() == 0) return;
+
+  WiFiClientSecure *client = new WiFiClientSecure;
+  if (!client) return;
+  client->setInsecure();
+
+  HTTPClient http;
+  http.begin(*client, API_URL + "/api/v1/devices/config");
+  http.addHeader("Authorization", "Bearer " + DEVICE_TOKEN);
+  if (CONFIG_ETAG.length() > 0) http.addHeader("If-None-Match", CONFIG_ETAG);
+  const char* headerKeys[] = { "ETag" };
+  http.collectHeaders(headerKeys, 1);
+  http.setTimeout(10000);
+  int httpCode = http.GET();
+
+  if (httpCode == 200) {
+    DynamicJsonDocument resp(2048);
+    if (!deserializeJson(resp, http.getString())) {
+      JsonObject settings = resp["data"]["settings"];
+      applyDeviceConfig(settings);
+      CONFIG_ETAG = http.header("ETag");
+      if (CONFIG_ETAG.length() == 0) CONFIG_ETAG = resp["data"]["etag"] | "";
+
+      // Keep the configuration for offline boots
+      if (xSemaphoreTake(fsMutex, pdMS_TO_TICKS(500)) == pdTRUE) {
+        File f = LittleFS.open("/device_config.json", "w");
+        if (f) {
+          StaticJsonDocument<512> c;
+          c["etag"] = CONFIG_ETAG;
+          c["settings"] = settings;
+          serializeJson(c, f); f.close();
+        }
+        xSemaphoreGive(fsMutex);
+      }
+      Serial.println("✓ [CFG] Configuration applied " + CONFIG_ETAG +
+                     " (debounce " + String(DEBOUNCE_TIME) + "ms, heartbeat " + String(HEARTBEAT_INTERVAL) + "ms)");
+    }
+    configRefreshNeeded = false;
+  } else if (httpCode == 304) {
+    configRefreshNeeded = false;
+  } else {
+    // Retried with the next heartbeat
+    Serial.println("✗ [CFG] Config fetch failed: " + String(httpCode));
+    if (httpCode > 0) errorStats.httpErrors++;
+    configRefreshNeeded = false;
+  }
+  http.end();
+  delete client;
+}
+
+void loadDeviceConfig() {
+  File f = LittleFS.open("/device_config.json", "r");
+  if (!f) return;
+  StaticJsonDocument<512> c;
+  if (!deserializeJson(c, f)) {
+    applyDeviceConfig(c["settings"]);
+    CONFIG_ETAG = c["etag"] | "";
+    Serial.println("  [FS] Configuration loaded " + CONFIG_ETAG);
+  }
+  f.close();
+}
+
+/* ===================================================================
+ *  Remote commands (queued from the dashboard, delivered in responses)
+ * =================================================================== */
+// Attach results of earlier commands to an outgoing heartbeat/event
+void addCommandAcks(JsonDocument& doc) {
+  if (commandAckCount == 0) return;
+  JsonArray acks = doc.createNestedArray("acks");
+  for (int i = 0; i < commandAckCount; i++) {
+    JsonObject a = acks.createNestedObject();
+    a["id"] = commandAcks[i].id;
+    a["status"] = commandAcks[i].status;
+    if (strlen(commandAcks[i].result) > 0) a["result"] = commandAcks[i].result;
+  }
+}
+
+// The server has the acks once a response came back
+void clearCommandAcks() {
+  if (commandAckCount == 0) return;
+  commandAckCount = 0;
+  if (xSemaphoreTake(fsMutex, pdMS_TO_TICKS(500)) == pdTRUE) {
+    LittleFS.remove("/acks.json"); xSemaphoreGive(fsMutex);
+  }
+}
+
+// Commands not acknowledged in time are delivered again; skip those already queued or run
+bool isKnownCommand(const char* id) {
+  for (int i = 0; i < pendingCommandCount; i++) if (strcmp(pendingCommands[i].id, id) == 0) return true;
+  for (int i = 0; i < commandAckCount; i++) if (strcmp(commandAcks[i].id, id) == 0) return true;
+  return false;
+}
+
+void queueCommands(JsonArray commands) {
+  for (JsonObject c : commands) {
+    if (pendingCommandCount >= MAX_PENDING_COMMANDS) break;
+    if (isKnownCommand(c["id"] | "")) continue;
+    DeviceCommand& cmd = pendingCommands[pendingCommandCount++];
+    memset(&cmd, 0, sizeof(cmd));
+    strlcpy(cmd.id, c["id"] | "", sizeof(cmd.id));
+    strlcpy(cmd.command, c["command"] | "", sizeof(cmd.command));
+    JsonObject p = c["payload"];
+    if (p.containsKey("path")) {
+      // Rollout offers point at the backend's download endpoint
+      strlcpy(cmd.arg, (API_URL + p["path"].as<String>()).c_str(), sizeof(cmd.arg));
+      cmd.authenticated = true;
+    } else {
+      const char* arg = p["message"] | (p["url"] | (p["enrollment_code"] | ""));
+      strlcpy(cmd.arg, arg, sizeof(cmd.arg));
+    }
+    cmd.duration = p["duration_seconds"] | 10;
+    Serial.println("[CMD] Received: " + String(cmd.command) + " (" + String(cmd.id) + ")");
+  }
+}
+
+// Record a command result; persisted so it survives the reboot some commands cause
+void ackCommand(const char* id, bool ok, String result) {
+  if (commandAckCount >= MAX_COMMAND_ACKS) return;
+  CommandAck& a = commandAcks[commandAckCount++];
+  strlcpy(a.id, id, sizeof(a.id));
+  strlcpy(a.status, ok ? "acknowledged" : "failed", sizeof(a.status));
+  strlcpy(a.result, result.c_str(), sizeof(a.result));
+  Serial.println("[CMD] " + String(ok ? "✓ " : "✗ ") + String(id) + " " + result);
+  if (xSemaphoreTake(fsMutex, pdMS_TO_TICKS(500)) == pdTRUE) {
+    saveCommandAcks(); xSemaphoreGive(fsMutex);
+  }
+}
+
+void processCommands() {
+  bool restart = false;
+  int count = pendingCommandCount;
+  pendingCommandCount = 0;
+
+  for (int i = 0; i < count; i++) {
+    DeviceCommand& cmd = pendingCommands[i];
+    String name = cmd.command;
+
+    if (name == "reboot") {
+      ackCommand(cmd.id, true, "Rebooting");
+      restart = true;
+    } else if (name == "flush_buffer") {
+      int before = bufferCount;
+      if (xSemaphoreTake(fsMutex, pdMS_TO_TICKS(1000)) == pdTRUE) {
+        flushBuffer(); xSemaphoreGive(fsMutex);
+      }
+      ackCommand(cmd.id, true, "Flushed " + String(before - bufferCount) + ", left " + String(bufferCount));
+    } else if (name == "clear_buffer") {
+      int removed = 0;
+      if (xSemaphoreTake(fsMutex, pdMS_TO_TICKS(1000)) == pdTRUE) {
+        File root = LittleFS.open("/");
+        File f = root.openNextFile();
+        while (f) {
+          String fn = "/" + String(f.name());
+          f.close();
+          if (fn.startsWith("/event_") && LittleFS.remove(fn)) removed++;
+          f = root.openNextFile();
+        }
+        countBufferedEvents();
+        xSemaphoreGive(fsMutex);
+      }
+      ackCommand(cmd.id, true, "Removed " + String(removed));
+    } else if (name == "re_register") {
+      // The server mints a re-provision code for this device and sends it along
+      if (strlen(cmd.arg) == 0) {
+        ackCommand(cmd.id, false, "No enrollment code");
+        continue;
+      }
+      String oldToken = DEVICE_TOKEN;
+      ENROLLMENT_CODE = cmd.arg;
+      registerDevice();
+      if (DEVICE_TOKEN.length() > 0 && DEVICE_TOKEN != oldToken) {
+        ackCommand(cmd.id, true, "Re-registered");
+      } else {
+        ackCommand(cmd.id, false, "Registration failed");
+      }
+    } else if (name == "wifi_setup") {
+      ackCommand(cmd.id, true, "Entering WiFi setup");
+      preferences.begin("wifi", false);
+      preferences.clear();
+      preferences.end();
+      restart = true;
+    } else if (name == "display_message") {
+      String msg = cmd.arg;
+      displayHoldUntil = millis() + (unsigned long)cmd.duration * 1000;
+      queueLcdMessage(LCD_MSG_CUSTOM, msg.substring(0, 16).c_str(), msg.length() > 16 ? msg.substring(16, 32).c_str() : "");
+      ackCommand(cmd.id, true, "Shown " + String(cmd.duration) + "s");
+    } else if (name == "start_ota") {
+      Serial.println("[OTA] Remote update from " + String(cmd.arg));
+      queueLcdMessage(LCD_MSG_CUSTOM, "OTA Update …", "Don't power off!");
+      esp_task_wdt_delete(networkTaskHandle);   // Download can outlast the watchdog
+      WiFiClientSecure client;
+      client.setInsecure();
+      httpUpdate.rebootOnUpdate(false);
+      t_httpUpdate_return ret;
+      if (cmd.authenticated) {
+        HTTPClient http;
+        http.begin(client, String(cmd.arg));
+        http.addHeader("Authorization", "Bearer " + DEVICE_TOKEN);
+        http.setTimeout(30000);
+        ret = httpUpdate.update(http, FIRMWARE_VERSION);   // Image is checked against the x-MD5 header
+        http.end();
+      } else {
+        ret = httpUpdate.update(client, String(cmd.arg));
+      }
+      esp_task_wdt_add(networkTaskHandle);
+      if (ret == HTTP_UPDATE_OK) {
+        ackCommand(cmd.id, true, "Updated, rebooting");
+        restart = true;
+      } else {
+        ackCommand(cmd.id, false, httpUpdate.getLastErrorString());
+        queueLcdMessage(LCD_MSG_ERROR, "", "OTA Failed!");
+      }
+    } else {
+      ackCommand(cmd.id, false, "Unknown command");
+    }
+  }
+
+  if (restart) {
+    Serial.println("[CMD] Restarting …");
+    queueLcdMessage(LCD_MSG_CUSTOM, "Restarting …", "");
+    vTaskDelay(pdMS_TO_TICKS(1000));
+    ESP.restart();
+  }
+}
+
+void loadCommandAcks() {
+  File f = LittleFS.open("/acks.json", "r");
+  if (!f) return;
+  DynamicJsonDocument doc(2048);
+  if (!deserializeJson(doc, f)) {
+    for (JsonObject a : doc.as<JsonArray>()) {
+      if (commandAckCount >= MAX_COMMAND_ACKS) break;
+      CommandAck& ack = commandAcks[commandAckCount++];
+      strlcpy(ack.id, a["id"] | "", sizeof(ack.id));
+      strlcpy(ack.status, a["status"] | "failed", sizeof(ack.status));
+      strlcpy(ack.result, a["result"] | "", sizeof(ack.result));
+    }
+  }
+  f.close();
+  Serial.println("  [FS] Pending command acks: " + String(commandAckCount));
+}
+
+void saveCommandAcks() {
+  File f = LittleFS.open("/acks.json", "w");
+  if (!f) return;
+  DynamicJsonDocument doc(2048);
+  JsonArray arr = doc.to<JsonArray>();
+  for (int i = 0; i < commandAckCount; i++) {
+    JsonObject a = arr.createNestedObject();
+    a["id"] = commandAcks[i].id;
+    a["status"] = commandAcks[i].status;
+    a["result"] = commandAcks[i].result;
+  }
+  serializeJson(doc, f); f.close();
+}
+
 /* ===================================================================
  *  LittleFS helpers
  * =================================================================== */
@@ -826,7 +1207,7 @@ void bufferEvent(RfidEvent& e) {
   File f = LittleFS.open(fn, "w");
   if (f) {
     StaticJsonDocument<256> doc;
-    doc["uid"] = e.uid; doc["timestamp"] = e.timestamp; doc["rssi"] = e.rssi;
+    doc["uid"] = e.uid; doc["event_id"] = e.eventId; doc["timestamp"] = e.timestamp; doc["rssi"] = e.rssi;
     serializeJson(doc, f); f.close();
     bufferCount++;
     Serial.println("  [FS] Buffered: " + fn);
@@ -834,29 +1215,66 @@ void bufferEvent(RfidEvent& e) {
 }
 
 void flushBuffer() {
+  if (DEVICE_TOKEN.length() == 0) return;
+
+  // Collect up to FLUSH_BATCH_SIZE buffered events, keeping their original timestamps
+  DynamicJsonDocument doc(4096);
+  JsonArray events = doc.createNestedArray("events");
   File root = LittleFS.open("/");
   File file = root.openNextFile();
-  int sent = 0;
-  while (file && sent < 3) {
+  while (file && events.size() < FLUSH_BATCH_SIZE) {
     String fn = "/" + String(file.name());
     if (fn.startsWith("/event_")) {
-      StaticJsonDocument<256> doc; deserializeJson(doc, file); file.close();
-      RfidEvent e;
-      strncpy(e.uid, doc["uid"] | "", 23);
-      // Update timestamp to current time when flushing (original may be invalid)
-      String currentTs = getISOTimestamp();
-      strncpy(e.timestamp, currentTs.c_str(), 24);
-      e.rssi = doc["rssi"] | 0;
-      EventResponse r;
-      if (sendEventToServer(e, r)) {
-        LittleFS.remove(fn); bufferCount--; sent++;
-        Serial.println("✓ Flushed: " + fn);
-        vTaskDelay(pdMS_TO_TICKS(100));
-      } else break;
+      StaticJsonDocument<256> e; deserializeJson(e, file);
+      JsonObject item = events.createNestedObject();
+      item["id"]        = fn;
+      item["tag_uid"]   = e["uid"] | "";
+      if (e.containsKey("event_id")) item["event_id"] = e["event_id"];   // Older buffer files have none
+      item["timestamp"] = e["timestamp"] | "";
+      item["rssi"]      = e["rssi"] | 0;
     }
+    file.close();
     file = root.openNextFile();
   }
-  if (sent) Serial.println("✓ Flushed " + String(sent) + " events");
+  if (events.size() == 0) return;
+
+  WiFiClientSecure *client = new WiFiClientSecure;
+  if (!client) return;
+  client->setInsecure();
+
+  HTTPClient http;
+  String payload; serializeJson(doc, payload);
+  http.begin(*client, API_URL + "/api/v1/devices/events/batch");
+  http.addHeader("Content-Type", "application/json");
+  http.addHeader("Authorization", "Bearer " + DEVICE_TOKEN);
+  http.setTimeout(15000);
+  int httpCode = http.POST(payload);
+
+  if (httpCode == 200) {
+    // Every returned status is final (accepted, duplicate, enrolled, visitor, unknown_tag, rejected)
+    DynamicJsonDocument resp(8192);
+    deserializeJson(resp, http.getString());
+    int removed = 0;
+    for (JsonObject result : resp["data"]["results"].as<JsonArray>()) {
+      String fn = result["id"] | "";
+      if (fn.startsWith("/event_") && LittleFS.remove(fn)) {
+        bufferCount--; removed++;
+      }
+    }
+    Serial.println("✓ Flushed " + String(removed) + " events (" +
+                   String(resp["data"]["summary"]["accepted"] | 0) + " accepted)");
+  } else if (httpCode == 401) {
+    // Buffered events stay on flash until the device is re-provisioned
+    http.end();
+    delete client;
+    requireReprovision("buffer flush");
+    return;
+  } else {
+    Serial.println("✗ [NET] Batch flush failed: " + String(httpCode));
+    if (httpCode > 0) errorStats.httpErrors++;
+  }
+  http.end();
+  delete client;
 }
 
 void countBufferedEvents() {
@@ -876,6 +1294,7 @@ void loadConfiguration() {
     StaticJsonDocument<256> c; 
     deserializeJson(c, f); 
     DEVICE_TOKEN = c["token"] | ""; 
+    ENROLLMENT_CODE = c["enrollment_code"] | "";
     f.close();
     if (DEVICE_TOKEN.length() > 0) {
       Serial.println("  [FS] Token loaded: " + DEVICE_TOKEN.substring(0, 20) + "...");
@@ -888,7 +1307,12 @@ void loadConfiguration() {
 }
 void saveConfiguration() {
   File f = LittleFS.open("/config.json", "w");
-  if (f) { StaticJsonDocument<256> c; c["token"] = DEVICE_TOKEN; serializeJson(c, f); f.close(); }
+  if (f) {
+    StaticJsonDocument<256> c;
+    c["token"] = DEVICE_TOKEN;
+    if (ENROLLMENT_CODE.length() > 0) c["enrollment_code"] = ENROLLMENT_CODE;
+    serializeJson(c, f); f.close();
+  }
 }
 
 /* ===================================================================
@@ -1025,6 +1449,17 @@ String generateDeviceSecret() {
   return secret;
 }
 
+// Next client event ID – the sequence survives reboots, and the random per-boot nonce keeps
+// IDs unique when NVS is erased and the sequence starts over
+String nextEventId() {
+  static String bootNonce = String(esp_random(), HEX);   // WiFi is started before the first scan, so this is hardware-random
+  eventPrefs.begin("events", false);
+  uint32_t seq = eventPrefs.getUInt("seq", 0) + 1;
+  eventPrefs.putUInt("seq", seq);
+  eventPrefs.end();
+  return DEVICE_UUID + "-" + bootNonce + "-" + String(seq);
+}
+
 // Clean old buffered events (older than 7 days)
 void cleanOldBufferedEvents() {
   if (xSemaphoreTake(fsMutex, pdMS_TO_TICKS(2000)) != pdTRUE) return;
@@ -1105,6 +1540,23 @@ void checkConfigButton() {
   }
 }
 
+// Serial console commands: "enroll <code>" stores a one-time enrollment code
+void checkSerialCommands() {
+  if (!Serial.available()) return;
+  String line = Serial.readStringUntil('\n');
+  line.trim();
+  if (line.startsWith("enroll ")) {
+    ENROLLMENT_CODE = line.substring(7);
+    ENROLLMENT_CODE.trim();
+    Serial.println("[CONFIG] Enrollment code set – registering...");
+    if (xSemaphoreTake(fsMutex, pdMS_TO_TICKS(1000)) == pdTRUE) {
+      saveConfiguration(); xSemaphoreGive(fsMutex);
+    }
+    registerDevice();
+    deviceRegistered = (DEVICE_TOKEN.length() > 0);
+  }
+}
+
 // Log crash information
 void logCrash(String reason) {
   Serial.println("[CRASH] " + reason);
@@ -1135,6 +1587,7 @@ void queueLcdMessage(uint8_t t, const char* l1, const char* l2) {
   xQueueSend(lcdQueue, &m, pdMS_TO_TICKS(100));
 }
 void processLcdMessage(LcdMessage& m) {
+  if (reprovisionRequired && (m.type == LCD_MSG_READY || m.type == LCD_MSG_IDLE)) m.type = LCD_MSG_REPROVISION;
   lcd.clear();
   switch (m.type) {
     case LCD_MSG_STARTUP:    lcd.setCursor(1,0); lcd.print("RFID Attend"); lcd.setCursor(2,1); lcd.print("DUAL CORE"); break;
@@ -1165,6 +1618,7 @@ void processLcdMessage(LcdMessage& m) {
       if (bufferCount > 0) lcd.print("Buffered: " + String(bufferCount));
       else { lcd.write(byte(3)); lcd.print(" Scan card..."); } break;
     case LCD_MSG_CUSTOM:     lcd.setCursor(0,0); lcd.print(m.line1); lcd.setCursor(0,1); lcd.print(m.line2); break;
+    case LCD_MSG_REPROVISION: lcd.setCursor(0,0); lcd.write(byte(2)); lcd.print(" Re-provision"); lcd.setCursor(0,1); lcd.print("Buffered: " + String(bufferCount)); break;
   }
 }
 /* ===================================================================
@@ -1,7 +1,7 @@
 import { useState, useEffect } from 'react'
 import { Routes, Route, Navigate, useLocation } from 'react-router-dom'
 import { useAuth } from './context/AuthContext'
-import { PERMISSIONS } from './utils/permissions'
+import { PERMISSIONS, ROLES } from './utils/permissions'
 
 // Pages
 import Login from './pages/Login'
@@ -10,6 +10,14 @@ import Companies from './pages/Companies'
 import Users from './pages/Users'
 import Employees from './pages/Employees'
 import Devices from './pages/Devices'
+import Firmware from './pages/Firmware'
+import Shifts from './pages/Shifts'
+import Leave from './pages/Leave'
+import AttendanceReview from './pages/AttendanceReview'
+import MyAttendance from './pages/MyAttendance'
+import Tags from './pages/Tags'
+import UnknownScans from './pages/UnknownScans'
+import Visitors from './pages/Visitors'
 import Reports from './pages/Reports'
 import Settings from './pages/Settings'
 
@@ -79,7 +87,24 @@ function App() {
           </PrivateRoute>
         }
       >
-        <Route index element={<Dashboard />} />
+        {/* Self-service accounts land on their own attendance */}
+        <Route
+          index
+          element={user?.role === ROLES.EMPLOYEE ? <Navigate to="/my-attendance" replace /> : <Dashboard />}
+        />
+        
+        {/* My Attendance - Employee self-service */}
+        <Route 
+          path="my-attendance" 
+          element={
+            <RoleRoute 
+              requiredPermissions={['VIEW_OWN_ATTENDANCE']}
+              redirectTo="/access-denied"
+            >
+              <MyAttendance />
+            </RoleRoute>
+          } 
+        />
         
         {/* Companies - Only Incubation Head */}
         <Route 
@@ -120,6 +145,84 @@ function App() {
           } 
         />
         
+        {/* Shifts - Incubation Head & Company Admin */}
+        <Route 
+          path="shifts" 
+          element={
+            <RoleRoute 
+              requiredPermissions={['MANAGE_SHIFTS']}
+              redirectTo="/access-denied"
+            >
+              <Shifts />
+            </RoleRoute>
+          } 
+        />
+        
+        {/* Leave & Holidays - Incubation Head & Company Admin */}
+        <Route 
+          path="leave" 
+          element={
+            <RoleRoute 
+              requiredPermissions={['MANAGE_LEAVE']}
+              redirectTo="/access-denied"
+            >
+              <Leave />
+            </RoleRoute>
+          } 
+        />
+        
+        {/* Attendance Review - Incubation Head & Company Admin */}
+        <Route 
+          path="attendance-review" 
+          element={
+            <RoleRoute 
+              requiredPermissions={['REVIEW_ATTENDANCE']}
+              redirectTo="/access-denied"
+            >
+              <AttendanceReview />
+            </RoleRoute>
+          } 
+        />
+        
+        {/* Tags - inventory for all roles */}
+        <Route 
+          path="tags" 
+          element={
+            <RoleRoute 
+              requiredPermissions={['MANAGE_TAG_INVENTORY']}
+              redirectTo="/access-denied"
+            >
+              <Tags />
+            </RoleRoute>
+          } 
+        />
+        
+        {/* Unknown Scans - Incubation Head & Company Admin */}
+        <Route 
+          path="unknown-scans" 
+          element={
+            <RoleRoute 
+              requiredPermissions={['ASSIGN_RFID_TAG']}
+              redirectTo="/access-denied"
+            >
+              <UnknownScans />
+            </RoleRoute>
+          } 
+        />
+        
+        {/* Visitors - passes for Incubation Head & Company Admin, badge pool for Technicians */}
+        <Route 
+          path="visitors" 
+          element={
+            <RoleRoute 
+              requiredPermissions={['MANAGE_VISITOR_PASSES', 'MANAGE_VISITOR_POOL']}
+              redirectTo="/access-denied"
+            >
+              <Visitors />
+            </RoleRoute>
+          } 
+        />
+        
         {/* Devices - All roles can view */}
         <Route 
           path="devices" 
@@ -133,6 +236,19 @@ function App() {
           } 
         />
         
+        {/* Firmware - Incubation Head & Technician */}
+        <Route 
+          path="firmware" 
+          element={
+            <RoleRoute 
+              requiredPermissions={['MANAGE_FIRMWARE']}
+              redirectTo="/access-denied"
+            >
+              <Firmware />
+            </RoleRoute>
+          } 
+        />
+        
         {/* Reports - Incubation Head & Company Admin */}
         <Route 
           path="reports" 
@@ -0,0 +1,209 @@
+import { useState, useEffect } from 'react'
+import { format } from 'date-fns'
+import Modal from './Modal'
+import api from '../utils/api'
+
+export const CORRECTION_TYPE_LABELS = {
+  add_punch: 'Add punch',
+  remove_punch: 'Remove punch',
+  change_punch: 'Change punch'
+}
+
+export const CORRECTION_STATUS_STYLES = {
+  pending: 'bg-amber-100 text-amber-800',
+  approved: 'bg-green-100 text-green-800',
+  rejected: 'bg-red-100 text-red-800',
+  cancelled: 'bg-gray-100 text-gray-700'
+}
+
+const formatPunch = (eventType, recordedAt) => `${eventType} ${format(new Date(recordedAt), 'MMM dd, HH:mm')}`
+
+/**
+ * One-line summary of what a correction changes, e.g. "IN Oct 02, 09:14 → IN Oct 02, 09:00"
+ */
+export function describeCorrection(correction) {
+  const original = correction.original_recorded_at && formatPunch(correction.original_event_type, correction.original_recorded_at)
+  const requested = correction.recorded_at && formatPunch(correction.event_type, correction.recorded_at)
+
+  if (correction.type === 'add_punch') return requested
+  if (correction.type === 'remove_punch') return original
+  return `${original} → ${requested}`
+}
+
+/**
+ * Form for requesting an attendance correction on one day
+ * `employee` is the employee record, or null for the signed-in employee's own attendance
+ */
+export default function CorrectionRequestModal({ isOpen, onClose, employee = null, date, onSubmitted }) {
+  const [form, setForm] = useState({ date: '', type: 'add_punch', log_id: '', event_type: 'IN', time: '', reason: '' })
+  const [punches, setPunches] = useState([])
+  const [submitting, setSubmitting] = useState(false)
+
+  useEffect(() => {
+    if (isOpen) {
+      setForm({ date: date || format(new Date(), 'yyyy-MM-dd'), type: 'add_punch', log_id: '', event_type: 'IN', time: '', reason: '' })
+    }
+  }, [isOpen, date])
+
+  useEffect(() => {
+    if (isOpen && form.date) {
+      fetchPunches()
+    }
+  }, [isOpen, form.date])
+
+  const fetchPunches = async () => {
+    try {
+      const params = { date: form.date }
+      if (employee) params.employee_id = employee.id
+      const response = await api.getCorrectionPunches(params)
+      setPunches(response.data || [])
+    } catch (error) {
+      console.error('Error fetching punches:', error)
+      setPunches([])
+    }
+  }
+
+  const selectPunch = (logId) => {
+    const punch = punches.find(p => String(p.id) === logId)
+    setForm({
+      ...form,
+      log_id: logId,
+      event_type: punch?.event_type || form.event_type,
+      time: punch ? format(new Date(punch.recorded_at), 'HH:mm') : form.time
+    })
+  }
+
+  const handleSubmit = async (e) => {
+    e.preventDefault()
+
+    const data = { type: form.type, reason: form.reason }
+    if (employee) data.employee_id = employee.id
+    if (form.type !== 'add_punch') data.log_id = Number(form.log_id)
+    if (form.type !== 'remove_punch') {
+      data.event_type = form.event_type
+      data.recorded_at = new Date(`${form.date}T${form.time}`).toISOString()
+    }
+
+    try {
+      setSubmitting(true)
+      await api.requestCorrection(data)
+      onSubmitted?.()
+      onClose()
+    } catch (error) {
+      console.error('Error requesting correction:', error)
+      alert(error.message || 'Failed to request correction')
+    } finally {
+      setSubmitting(false)
+    }
+  }
+
+  const needsPunch = form.type !== 'add_punch'
+  const needsTime = form.type !== 'remove_punch'
+
+  return (
+    <Modal
+      isOpen={isOpen}
+      onClose={onClose}
+      title={employee ? `Request Correction for ${employee.name}` : 'Request Correction'}
+      size="small"
+    >
+      <form onSubmit={handleSubmit} className="space-y-4">
+        <div className="grid grid-cols-2 gap-4">
+          <div>
+            <label className="label">Date *</label>
+            <input
+              type="date"
+              value={form.date}
+              max={format(new Date(), 'yyyy-MM-dd')}
+              onChange={(e) => setForm({ ...form, date: e.target.value, log_id: '' })}
+              className="input w-full"
+              required
+            />
+          </div>
+          <div>
+            <label className="label">Correction *</label>
+            <select
+              value={form.type}
+              onChange={(e) => setForm({ ...form, type: e.target.value, log_id: '' })}
+              className="input w-full"
+            >
+              {Object.entries(CORRECTION_TYPE_LABELS).map(([value, label]) => (
+                <option key={value} value={value}>{label}</option>
+              ))}
+            </select>
+          </div>
+        </div>
+
+        {needsPunch && (
+          <div>
+            <label className="label">Punch *</label>
+            <select
+              value={form.log_id}
+              onChange={(e) => selectPunch(e.target.value)}
+              className="input w-full"
+              required
+            >
+              <option value="">{punches.length === 0 ? 'No punches on this day' : 'Select a punch'}</option>
+              {punches.map(punch => (
+                <option key={punch.id} value={punch.id}>
+                  {format(new Date(punch.recorded_at), 'HH:mm')} {punch.event_type}
+                  {punch.source !== 'device' ? ` (${punch.source.replace('_', ' ')})` : punch.devices?.location ? ` • ${punch.devices.location}` : ''}
+                </option>
+              ))}
+            </select>
+          </div>
+        )}
+
+        {needsTime && (
+          <div className="grid grid-cols-2 gap-4">
+            <div>
+              <label className="label">Type *</label>
+              <select
+                value={form.event_type}
+                onChange={(e) => setForm({ ...form, event_type: e.target.value })}
+                className="input w-full"
+              >
+                <option value="IN">IN</option>
+                <option value="OUT">OUT</option>
+              </select>
+            </div>
+            <div>
+              <label className="label">Time *</label>
+              <input
+                type="time"
+                value={form.time}
+                onChange={(e) => setForm({ ...form, time: e.target.value })}
+                className="input w-full"
+                required
+              />
+            </div>
+          </div>
+        )}
+
+        <div>
+          <label className="label">Reason *</label>
+          <textarea
+            value={form.reason}
+            onChange={(e) => setForm({ ...form, reason: e.target.value })}
+            className="input w-full"
+            rows={3}
+            maxLength={500}
+            placeholder="e.g. Forgot my card, the reader was offline"
+            required
+          />
+        </div>
+
+        <p className="text-xs text-gray-500">Attendance changes only after an admin approves the request.</p>
+
+        <div className="flex justify-end space-x-3 pt-4">
+          <button type="button" onClick={onClose} className="btn btn-secondary" disabled={submitting}>
+            Cancel
+          </button>
+          <button type="submit" className="btn btn-primary" disabled={submitting || !form.reason.trim()}>
+            {submitting ? 'Submitting...' : 'Submit Request'}
+          </button>
+        </div>
+      </form>
+    </Modal>
+  )
+}
@@ -0,0 +1,138 @@
+import { useState, useEffect } from 'react'
+import { Download } from 'lucide-react'
+import { ButtonLoader } from './Loaders'
+import { format } from 'date-fns'
+import api from '../utils/api'
+
+const JOB_STATUS_STYLES = {
+  queued: 'bg-gray-100 text-gray-700',
+  running: 'bg-blue-100 text-blue-800',
+  completed: 'bg-green-100 text-green-800',
+  failed: 'bg-red-100 text-red-800',
+  expired: 'bg-gray-100 text-gray-500'
+}
+
+/**
+ * Attendance exports built on the server for long ranges, with progress and downloads
+ * Starts jobs for the given period; polls while any job is still queued or running
+ */
+export default function ExportJobs({ from, to, companyId }) {
+  const [jobs, setJobs] = useState([])
+  const [starting, setStarting] = useState(false)
+
+  const active = jobs.some(job => job.status === 'queued' || job.status === 'running')
+
+  useEffect(() => {
+    fetchJobs()
+  }, [])
+
+  useEffect(() => {
+    if (!active) return
+    const interval = setInterval(fetchJobs, 3000)
+    return () => clearInterval(interval)
+  }, [active])
+
+  const fetchJobs = async () => {
+    try {
+      const response = await api.getExportJobs()
+      setJobs(response.data || [])
+    } catch (error) {
+      console.error('Error fetching export jobs:', error)
+    }
+  }
+
+  const handleStart = async (exportFormat) => {
+    try {
+      setStarting(true)
+      await api.createExportJob({ from, to, format: exportFormat, ...(companyId && { company_id: companyId }) })
+      fetchJobs()
+    } catch (error) {
+      console.error('Error starting export:', error)
+      alert(error.message || 'Failed to start export')
+    } finally {
+      setStarting(false)
+    }
+  }
+
+  const handleDownload = async (job) => {
+    try {
+      const response = await api.getExportJobDownload(job.id)
+      const link = document.createElement('a')
+      link.href = response.data.url
+      link.setAttribute('download', response.data.filename)
+      document.body.appendChild(link)
+      link.click()
+      link.remove()
+    } catch (error) {
+      console.error('Error downloading export:', error)
+      alert(error.message || 'Failed to download export')
+    }
+  }
+
+  return (
+    <div className="card">
+      <div className="flex flex-col md:flex-row md:items-center md:justify-between gap-4 mb-4">
+        <div>
+          <h3 className="text-lg font-semibold text-gray-900">Background Exports</h3>
+          <p className="text-sm text-gray-500">
+            For long ranges: the file is built on the server and stays downloadable for a week
+          </p>
+        </div>
+        <div className="flex space-x-3">
+          <button onClick={() => handleStart('csv')} disabled={starting} className="btn btn-secondary flex items-center space-x-2">
+            {starting && <ButtonLoader />}
+            <span>Queue CSV</span>
+          </button>
+          <button onClick={() => handleStart('pdf')} disabled={starting} className="btn btn-secondary flex items-center space-x-2">
+            {starting && <ButtonLoader />}
+            <span>Queue PDF</span>
+          </button>
+        </div>
+      </div>
+
+      {jobs.length === 0 ? (
+        <p className="text-sm text-gray-500">No background exports yet</p>
+      ) : (
+        <div className="divide-y divide-gray-200">
+          {jobs.map(job => {
+            const percent = job.total_rows ? Math.min(Math.round((job.rows_processed / job.total_rows) * 100), 100) : 0
+
+            return (
+              <div key={job.id} className="flex items-center justify-between gap-4 py-3 text-sm">
+                <div className="min-w-0 flex-1">
+                  <p className="font-medium text-gray-900">
+                    {job.from_date} to {job.to_date} • {job.format.toUpperCase()}
+                    <span className="ml-2 text-gray-500 font-normal">{job.companies?.name || 'All companies'}</span>
+                  </p>
+                  <p className="text-gray-500">
+                    Requested {format(new Date(job.created_at), 'MMM d, HH:mm')}
+                    {job.status === 'completed' && ` • ${job.rows_processed.toLocaleString()} rows`}
+                    {job.status === 'failed' && job.error && ` • ${job.error}`}
+                  </p>
+                  {job.status === 'running' && (
+                    <div className="mt-2 flex items-center gap-2">
+                      <div className="h-2 flex-1 max-w-xs rounded-full bg-gray-200">
+                        <div className="h-2 rounded-full bg-indigo-600" style={{ width: `${percent}%` }} />
+                      </div>
+                      <span className="text-xs text-gray-500">
+                        {job.rows_processed.toLocaleString()} / {(job.total_rows ?? 0).toLocaleString()}
+                      </span>
+                    </div>
+                  )}
+                </div>
+                <span className={`px-2 py-0.5 rounded-full text-xs font-medium ${JOB_STATUS_STYLES[job.status]}`}>
+                  {job.status}
+                </span>
+                {job.status === 'completed' && (
+                  <button onClick={() => handleDownload(job)} className="text-gray-500 hover:text-indigo-600" title="Download">
+                    <Download className="w-4 h-4" />
+                  </button>
+                )}
+              </div>
+            )
+          })}
+        </div>
+      )}
+    </div>
+  )
+}
@@ -6,7 +6,15 @@ import {
   Building2, 
   Users,
   UserPlus, 
+  CalendarCheck,
+  CalendarClock,
+  Palmtree,
+  ClipboardCheck,
+  CreditCard,
+  ScanLine,
+  Contact,
   Radio, 
+  Cpu,
   BarChart3, 
   Settings, 
   LogOut
@@ -17,7 +25,15 @@ const ICON_MAP = {
   Building2,
   Users,
   UserPlus,
+  CalendarCheck,
+  CalendarClock,
+  Palmtree,
+  ClipboardCheck,
+  CreditCard,
+  ScanLine,
+  Contact,
   Radio,
+  Cpu,
   BarChart3,
   Settings,
 }
@@ -0,0 +1,167 @@
+import { useState, useEffect } from 'react'
+import { format } from 'date-fns'
+import Modal from './Modal'
+import api from '../utils/api'
+
+export const LEAVE_STATUS_STYLES = {
+  pending: 'bg-amber-100 text-amber-800',
+  approved: 'bg-green-100 text-green-800',
+  rejected: 'bg-red-100 text-red-800',
+  cancelled: 'bg-gray-100 text-gray-700'
+}
+
+/**
+ * "Oct 02" or "Oct 02 – Oct 04" for a leave request's dates
+ */
+export function formatLeaveDates(request) {
+  const start = format(new Date(`${request.start_date}T00:00:00`), 'MMM dd')
+  if (request.start_date === request.end_date) return start
+  return `${start} – ${format(new Date(`${request.end_date}T00:00:00`), 'MMM dd')}`
+}
+
+/**
+ * Form for requesting leave; shows what is left of each leave type for the year
+ * `employee` is the employee record, or null for the signed-in employee's own leave
+ */
+export default function LeaveRequestModal({ isOpen, onClose, employee = null, onSubmitted }) {
+  const today = format(new Date(), 'yyyy-MM-dd')
+  const [form, setForm] = useState({ leave_type_id: '', start_date: today, end_date: today, reason: '' })
+  const [balances, setBalances] = useState([])
+  const [submitting, setSubmitting] = useState(false)
+
+  const year = form.start_date.slice(0, 4)
+
+  useEffect(() => {
+    if (isOpen) {
+      setForm({ leave_type_id: '', start_date: today, end_date: today, reason: '' })
+    }
+  }, [isOpen])
+
+  useEffect(() => {
+    if (isOpen && year) {
+      fetchBalances()
+    }
+  }, [isOpen, year, employee?.id])
+
+  const fetchBalances = async () => {
+    try {
+      const params = { year }
+      if (employee) params.employee_id = employee.id
+      const response = await api.getLeaveBalances(params)
+      setBalances(response.data?.balances || [])
+    } catch (error) {
+      console.error('Error fetching leave balances:', error)
+      setBalances([])
+    }
+  }
+
+  const handleSubmit = async (e) => {
+    e.preventDefault()
+
+    const data = {
+      leave_type_id: form.leave_type_id,
+      start_date: form.start_date,
+      end_date: form.end_date,
+      reason: form.reason || null
+    }
+    if (employee) data.employee_id = employee.id
+
+    try {
+      setSubmitting(true)
+      await api.requestLeave(data)
+      onSubmitted?.()
+      onClose()
+    } catch (error) {
+      console.error('Error requesting leave:', error)
+      alert(error.message || 'Failed to request leave')
+    } finally {
+      setSubmitting(false)
+    }
+  }
+
+  const describeBalance = (balance) => balance.available === null
+    ? 'unlimited'
+    : `${balance.available - balance.pending} of ${balance.allocated} left`
+
+  return (
+    <Modal
+      isOpen={isOpen}
+      onClose={onClose}
+      title={employee ? `Request Leave for ${employee.name}` : 'Request Leave'}
+      size="small"
+    >
+      <form onSubmit={handleSubmit} className="space-y-4">
+        <div>
+          <label className="label">Leave Type *</label>
+          <select
+            value={form.leave_type_id}
+            onChange={(e) => setForm({ ...form, leave_type_id: e.target.value })}
+            className="input w-full"
+            required
+          >
+            <option value="">{balances.length === 0 ? 'No leave types set up' : 'Select a leave type'}</option>
+            {balances.map(balance => (
+              <option key={balance.leave_type_id} value={balance.leave_type_id}>
+                {balance.name} ({describeBalance(balance)})
+              </option>
+            ))}
+          </select>
+        </div>
+
+        <div className="grid grid-cols-2 gap-4">
+          <div>
+            <label className="label">From *</label>
+            <input
+              type="date"
+              value={form.start_date}
+              onChange={(e) => setForm({
+                ...form,
+                start_date: e.target.value,
+                end_date: form.end_date < e.target.value ? e.target.value : form.end_date
+              })}
+              className="input w-full"
+              required
+            />
+          </div>
+          <div>
+            <label className="label">To *</label>
+            <input
+              type="date"
+              value={form.end_date}
+              min={form.start_date}
+              max={`${year}-12-31`}
+              onChange={(e) => setForm({ ...form, end_date: e.target.value })}
+              className="input w-full"
+              required
+            />
+          </div>
+        </div>
+
+        <div>
+          <label className="label">Reason</label>
+          <textarea
+            value={form.reason}
+            onChange={(e) => setForm({ ...form, reason: e.target.value })}
+            className="input w-full"
+            rows={3}
+            maxLength={500}
+          />
+        </div>
+
+        <p className="text-xs text-gray-500">
+          Only working days count against the balance; holidays and days off are skipped.
+          Requests spanning New Year need one request per year.
+        </p>
+
+        <div className="flex justify-end space-x-3 pt-4">
+          <button type="button" onClick={onClose} className="btn btn-secondary" disabled={submitting}>
+            Cancel
+          </button>
+          <button type="submit" className="btn btn-primary" disabled={submitting}>
+            {submitting ? 'Submitting...' : 'Submit Request'}
+          </button>
+        </div>
+      </form>
+    </Modal>
+  )
+}
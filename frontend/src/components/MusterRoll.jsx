@@ -0,0 +1,182 @@
+import { useState, useEffect } from 'react'
+import { Download, FileSpreadsheet, FileText } from 'lucide-react'
+import { ButtonLoader } from './Loaders'
+import { format } from 'date-fns'
+import api from '../utils/api'
+
+const CODE_STYLES = {
+  P: 'text-gray-900',
+  HD: 'bg-yellow-50 text-yellow-800',
+  A: 'bg-red-50 text-red-700 font-semibold',
+  L: 'bg-teal-50 text-teal-800',
+  H: 'bg-purple-50 text-purple-800',
+  WO: 'bg-gray-50 text-gray-500'
+}
+
+// Minutes as decimal hours, matching the exports
+const formatHours = (minutes) => (minutes / 60).toFixed(2)
+
+/**
+ * Monthly attendance register with CSV, XLSX and PDF downloads
+ * `companyId` is fixed for company admins; incubation heads pick from `companies`
+ */
+export default function MusterRoll({ companies = [], canViewAllCompanies, companyId: fixedCompanyId }) {
+  const [month, setMonth] = useState(format(new Date(), 'yyyy-MM'))
+  const [companyId, setCompanyId] = useState('')
+  const [register, setRegister] = useState(null)
+  const [loading, setLoading] = useState(false)
+  const [exporting, setExporting] = useState(false)
+
+  const effectiveCompanyId = canViewAllCompanies ? companyId : fixedCompanyId
+
+  useEffect(() => {
+    fetchRegister()
+  }, [month, effectiveCompanyId])
+
+  const params = () => ({ month, ...(effectiveCompanyId && { company_id: effectiveCompanyId }) })
+
+  const fetchRegister = async () => {
+    try {
+      setLoading(true)
+      const response = await api.getMusterRoll(params())
+      setRegister(response.data)
+    } catch (error) {
+      console.error('Error fetching muster roll:', error)
+      setRegister(null)
+    } finally {
+      setLoading(false)
+    }
+  }
+
+  const handleExport = async (exportFormat) => {
+    try {
+      setExporting(true)
+      const blob = await api.exportMusterRoll(params(), exportFormat)
+
+      const url = window.URL.createObjectURL(blob)
+      const link = document.createElement('a')
+      link.href = url
+      link.setAttribute('download', `muster-roll-${month}.${exportFormat}`)
+      document.body.appendChild(link)
+      link.click()
+      link.remove()
+      window.URL.revokeObjectURL(url)
+    } catch (error) {
+      console.error('Error exporting muster roll:', error)
+      alert('Failed to export muster roll')
+    } finally {
+      setExporting(false)
+    }
+  }
+
+  return (
+    <div className="card">
+      <div className="flex flex-col md:flex-row md:items-end md:justify-between gap-4 mb-4">
+        <div className="flex flex-wrap items-end gap-4">
+          <div>
+            <label className="label">Month</label>
+            <input
+              type="month"
+              value={month}
+              onChange={(e) => e.target.value && setMonth(e.target.value)}
+              className="input w-44"
+            />
+          </div>
+          {canViewAllCompanies && (
+            <div>
+              <label className="label">Company</label>
+              <select
+                value={companyId}
+                onChange={(e) => setCompanyId(e.target.value)}
+                className="input w-56"
+              >
+                <option value="">All Companies</option>
+                {companies.map(company => (
+                  <option key={company.id} value={company.id}>{company.name}</option>
+                ))}
+              </select>
+            </div>
+          )}
+        </div>
+        <div className="flex space-x-3">
+          <button onClick={() => handleExport('csv')} disabled={exporting} className="btn btn-secondary flex items-center space-x-2">
+            {exporting ? <ButtonLoader /> : <Download className="w-5 h-5" />}
+            <span>CSV</span>
+          </button>
+          <button onClick={() => handleExport('xlsx')} disabled={exporting} className="btn btn-secondary flex items-center space-x-2">
+            {exporting ? <ButtonLoader /> : <FileSpreadsheet className="w-5 h-5" />}
+            <span>Excel</span>
+          </button>
+          <button onClick={() => handleExport('pdf')} disabled={exporting} className="btn btn-primary flex items-center space-x-2">
+            {exporting ? <ButtonLoader /> : <FileText className="w-5 h-5" />}
+            <span>PDF</span>
+          </button>
+        </div>
+      </div>
+
+      {register && (
+        <div className="flex flex-wrap gap-x-4 gap-y-1 text-xs text-gray-500 mb-3">
+          {Object.entries(register.legend).map(([code, label]) => (
+            <span key={code}>
+              <span className={`px-1 rounded ${CODE_STYLES[code]}`}>{code}</span> {label}
+            </span>
+          ))}
+        </div>
+      )}
+
+      {loading ? (
+        <p className="text-sm text-gray-500">Loading muster roll...</p>
+      ) : !register ? (
+        <p className="text-sm text-gray-500">Muster roll unavailable</p>
+      ) : register.employees.length === 0 ? (
+        <p className="text-sm text-gray-500">No employees in {month}</p>
+      ) : (
+        <div className="overflow-x-auto">
+          <table className="min-w-full text-xs">
+            <thead>
+              <tr className="text-gray-500 border-b">
+                <th className="py-2 pr-3 text-left sticky left-0 bg-white">Employee</th>
+                {register.dates.map(date => (
+                  <th key={date} className="py-2 px-1 text-center font-medium">
+                    {date.slice(8)}
+                    <div className="font-normal">{format(new Date(`${date}T00:00:00`), 'EEEEE')}</div>
+                  </th>
+                ))}
+                <th className="py-2 px-2 text-right" title="Present days">P</th>
+                <th className="py-2 px-2 text-right" title="Absent days">A</th>
+                <th className="py-2 px-2 text-right" title="Leave days">L</th>
+                <th className="py-2 px-2 text-right" title="Holidays">H</th>
+                <th className="py-2 px-2 text-right" title="Weekly offs">WO</th>
+                <th className="py-2 px-2 text-right" title="Late marks">Late</th>
+                <th className="py-2 px-2 text-right">Hours</th>
+              </tr>
+            </thead>
+            <tbody className="divide-y divide-gray-100">
+              {register.employees.map(row => (
+                <tr key={row.employee_id}>
+                  <td className="py-1 pr-3 whitespace-nowrap sticky left-0 bg-white">
+                    {row.employee_name}
+                    {row.employee_code && <span className="ml-1 text-gray-500">{row.employee_code}</span>}
+                    {canViewAllCompanies && !effectiveCompanyId && <div className="text-gray-500">{row.company_name}</div>}
+                  </td>
+                  {row.codes.map((code, index) => (
+                    <td key={register.dates[index]} className={`py-1 px-1 text-center ${CODE_STYLES[code] || ''}`}>
+                      {code}
+                    </td>
+                  ))}
+                  <td className="py-1 px-2 text-right font-medium">{row.totals.present}</td>
+                  <td className="py-1 px-2 text-right">{row.totals.absent}</td>
+                  <td className="py-1 px-2 text-right">{row.totals.leave}</td>
+                  <td className="py-1 px-2 text-right">{row.totals.holidays}</td>
+                  <td className="py-1 px-2 text-right">{row.totals.weekly_offs}</td>
+                  <td className="py-1 px-2 text-right">{row.totals.late_marks}</td>
+                  <td className="py-1 px-2 text-right">{formatHours(row.totals.worked_minutes)}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+    </div>
+  )
+}
@@ -0,0 +1,551 @@
+import { useState, useEffect } from 'react'
+import { Download, Plus, Edit, Trash2, ArrowUp, ArrowDown, X } from 'lucide-react'
+import { ButtonLoader } from './Loaders'
+import Modal from './Modal'
+import { format, startOfMonth, endOfMonth, subMonths } from 'date-fns'
+import api from '../utils/api'
+
+const DELIMITERS = [
+  { value: ',', label: 'Comma (,)' },
+  { value: ';', label: 'Semicolon (;)' },
+  { value: '|', label: 'Pipe (|)' },
+  { value: '\t', label: 'Tab' }
+]
+
+const emptyTemplateForm = () => ({
+  company_id: '',
+  name: '',
+  format: 'csv',
+  delimiter: ',',
+  include_header: true,
+  columns: [
+    { field: 'employee_code', header: '', width: 12, align: '', value: '' },
+    { field: 'worked_days', header: '', width: 6, align: '', value: '' }
+  ]
+})
+
+/**
+ * Pay-period figures for payroll, downloadable in the built-in layouts or a company's
+ * own column mapping, plus the editor for those mappings
+ * `companyId` is fixed for company admins; incubation heads pick from `companies`
+ */
+export default function PayrollExport({ companies = [], canViewAllCompanies, companyId: fixedCompanyId }) {
+  const lastMonth = subMonths(new Date(), 1)
+  const [period, setPeriod] = useState({
+    from: format(startOfMonth(lastMonth), 'yyyy-MM-dd'),
+    to: format(endOfMonth(lastMonth), 'yyyy-MM-dd')
+  })
+  const [companyId, setCompanyId] = useState('')
+  const [exportFormat, setExportFormat] = useState('summary_csv')
+  const [fields, setFields] = useState([])
+  const [formats, setFormats] = useState([])
+  const [templates, setTemplates] = useState([])
+  const [rows, setRows] = useState(null)
+  const [loading, setLoading] = useState(false)
+  const [exporting, setExporting] = useState(false)
+
+  const [showTemplateModal, setShowTemplateModal] = useState(false)
+  const [editingTemplate, setEditingTemplate] = useState(null)
+  const [templateForm, setTemplateForm] = useState(emptyTemplateForm)
+  const [saving, setSaving] = useState(false)
+
+  const effectiveCompanyId = canViewAllCompanies ? companyId : fixedCompanyId
+  const fieldLabels = Object.fromEntries(fields.map(field => [field.key, field.label]))
+
+  useEffect(() => {
+    api.getPayrollFields()
+      .then(response => {
+        setFields(response.data.fields)
+        setFormats(response.data.formats)
+      })
+      .catch(error => console.error('Error fetching payroll fields:', error))
+  }, [])
+
+  useEffect(() => {
+    fetchTemplates()
+  }, [effectiveCompanyId])
+
+  useEffect(() => {
+    fetchSummary()
+  }, [period, effectiveCompanyId])
+
+  const periodParams = () => ({ ...period, ...(effectiveCompanyId && { company_id: effectiveCompanyId }) })
+
+  const fetchTemplates = async () => {
+    try {
+      const response = await api.getPayrollTemplates(effectiveCompanyId ? { company_id: effectiveCompanyId } : {})
+      setTemplates(response.data || [])
+    } catch (error) {
+      console.error('Error fetching payroll templates:', error)
+    }
+  }
+
+  const fetchSummary = async () => {
+    if (!period.from || !period.to) return
+
+    try {
+      setLoading(true)
+      const response = await api.getPayrollSummary(periodParams())
+      setRows(response.data.employees)
+    } catch (error) {
+      console.error('Error fetching payroll summary:', error)
+      setRows(null)
+    } finally {
+      setLoading(false)
+    }
+  }
+
+  const handleExport = async () => {
+    const isTemplate = exportFormat.startsWith('template:')
+    const params = isTemplate
+      ? { ...period, format: 'template', template_id: exportFormat.slice('template:'.length) }
+      : { ...periodParams(), format: exportFormat }
+
+    try {
+      setExporting(true)
+      const blob = await api.exportPayroll(params)
+      const extension = blob.type.startsWith('text/csv') ? 'csv' : 'txt'
+
+      const url = window.URL.createObjectURL(blob)
+      const link = document.createElement('a')
+      link.href = url
+      link.setAttribute('download', `payroll_${period.from}_${period.to}.${extension}`)
+      document.body.appendChild(link)
+      link.click()
+      link.remove()
+      window.URL.revokeObjectURL(url)
+    } catch (error) {
+      console.error('Error exporting payroll:', error)
+      alert('Failed to export payroll')
+    } finally {
+      setExporting(false)
+    }
+  }
+
+  const openTemplateModal = (template = null) => {
+    setEditingTemplate(template)
+    setTemplateForm(template
+      ? {
+        company_id: template.company_id,
+        name: template.name,
+        format: template.format,
+        delimiter: template.delimiter,
+        include_header: template.include_header,
+        columns: template.columns.map(column => ({
+          field: column.field,
+          header: column.header || '',
+          width: column.width || '',
+          align: column.align || '',
+          value: column.value || ''
+        }))
+      }
+      : { ...emptyTemplateForm(), company_id: companyId })
+    setShowTemplateModal(true)
+  }
+
+  const updateColumn = (index, changes) => {
+    setTemplateForm({
+      ...templateForm,
+      columns: templateForm.columns.map((column, position) => (position === index ? { ...column, ...changes } : column))
+    })
+  }
+
+  const moveColumn = (index, offset) => {
+    const columns = [...templateForm.columns]
+    const [column] = columns.splice(index, 1)
+    columns.splice(index + offset, 0, column)
+    setTemplateForm({ ...templateForm, columns })
+  }
+
+  const removeColumn = (index) => {
+    setTemplateForm({ ...templateForm, columns: templateForm.columns.filter((_, position) => position !== index) })
+  }
+
+  const addColumn = () => {
+    setTemplateForm({
+      ...templateForm,
+      columns: [...templateForm.columns, { field: 'employee_name', header: '', width: 20, align: '', value: '' }]
+    })
+  }
+
+  const handleSaveTemplate = async (e) => {
+    e.preventDefault()
+
+    const fixedWidth = templateForm.format === 'fixed_width'
+    const { company_id, ...fieldsToSave } = templateForm
+    const data = {
+      ...fieldsToSave,
+      columns: templateForm.columns.map(column => ({
+        field: column.field,
+        header: column.header || null,
+        width: fixedWidth ? Number(column.width) : null,
+        align: fixedWidth ? column.align || null : null,
+        value: column.field === 'constant' ? column.value : null
+      }))
+    }
+
+    try {
+      setSaving(true)
+      if (editingTemplate) {
+        await api.updatePayrollTemplate(editingTemplate.id, data)
+      } else {
+        await api.createPayrollTemplate({ ...data, ...(canViewAllCompanies && { company_id }) })
+      }
+      setShowTemplateModal(false)
+      fetchTemplates()
+    } catch (error) {
+      console.error('Error saving payroll template:', error)
+      alert(error.message || 'Failed to save template')
+    } finally {
+      setSaving(false)
+    }
+  }
+
+  const handleDeleteTemplate = async (template) => {
+    if (!confirm(`Delete payroll template ${template.name}?`)) return
+
+    try {
+      await api.deletePayrollTemplate(template.id)
+      if (exportFormat === `template:${template.id}`) setExportFormat('summary_csv')
+      fetchTemplates()
+    } catch (error) {
+      console.error('Error deleting payroll template:', error)
+      alert(error.message || 'Failed to delete template')
+    }
+  }
+
+  return (
+    <div className="space-y-8">
+      {/* Pay Period */}
+      <div className="card">
+        <div className="flex flex-col md:flex-row md:items-end md:justify-between gap-4 mb-4">
+          <div className="flex flex-wrap items-end gap-4">
+            <div>
+              <label className="label">From</label>
+              <input
+                type="date"
+                value={period.from}
+                onChange={(e) => setPeriod({ ...period, from: e.target.value })}
+                className="input w-44"
+              />
+            </div>
+            <div>
+              <label className="label">To</label>
+              <input
+                type="date"
+                value={period.to}
+                onChange={(e) => setPeriod({ ...period, to: e.target.value })}
+                className="input w-44"
+              />
+            </div>
+            {canViewAllCompanies && (
+              <div>
+                <label className="label">Company</label>
+                <select
+                  value={companyId}
+                  onChange={(e) => setCompanyId(e.target.value)}
+                  className="input w-56"
+                >
+                  <option value="">All Companies</option>
+                  {companies.map(company => (
+                    <option key={company.id} value={company.id}>{company.name}</option>
+                  ))}
+                </select>
+              </div>
+            )}
+          </div>
+          <div className="flex items-end gap-3">
+            <div>
+              <label className="label">Format</label>
+              <select
+                value={exportFormat}
+                onChange={(e) => setExportFormat(e.target.value)}
+                className="input w-56"
+              >
+                {formats.map(option => (
+                  <option key={option.key} value={option.key}>{option.label}</option>
+                ))}
+                {templates.map(template => (
+                  <option key={template.id} value={`template:${template.id}`}>
+                    {template.name}{canViewAllCompanies && template.companies?.name ? ` (${template.companies.name})` : ''}
+                  </option>
+                ))}
+              </select>
+            </div>
+            <button onClick={handleExport} disabled={exporting} className="btn btn-primary flex items-center space-x-2">
+              {exporting ? <ButtonLoader /> : <Download className="w-5 h-5" />}
+              <span>Download</span>
+            </button>
+          </div>
+        </div>
+
+        {loading ? (
+          <p className="text-sm text-gray-500">Loading payroll figures...</p>
+        ) : !rows ? (
+          <p className="text-sm text-gray-500">Choose a pay period of up to 93 days</p>
+        ) : rows.length === 0 ? (
+          <p className="text-sm text-gray-500">No employees in this period</p>
+        ) : (
+          <div className="overflow-x-auto">
+            <table className="min-w-full text-sm">
+              <thead>
+                <tr className="text-left text-gray-500 border-b">
+                  <th className="py-2 pr-4">Employee</th>
+                  <th className="py-2 pr-4 text-right">Worked</th>
+                  <th className="py-2 pr-4 text-right">Absent</th>
+                  <th className="py-2 pr-4 text-right">Paid Leave</th>
+                  <th className="py-2 pr-4 text-right">Unpaid Leave</th>
+                  <th className="py-2 pr-4 text-right">Holidays</th>
+                  <th className="py-2 pr-4 text-right">Weekly Offs</th>
+                  <th className="py-2 pr-4 text-right">Payable</th>
+                  <th className="py-2 pr-4 text-right">Late</th>
+                  <th className="py-2 pr-4 text-right">Hours</th>
+                  <th className="py-2 pr-4 text-right">Overtime</th>
+                </tr>
+              </thead>
+              <tbody className="divide-y divide-gray-100">
+                {rows.map(row => (
+                  <tr key={row.employee_id}>
+                    <td className="py-2 pr-4 whitespace-nowrap">
+                      {row.employee_name}
+                      {row.employee_code && <span className="ml-2 text-xs text-gray-500">{row.employee_code}</span>}
+                    </td>
+                    <td className="py-2 pr-4 text-right">{row.worked_days}</td>
+                    <td className="py-2 pr-4 text-right">{row.absent_days}</td>
+                    <td className="py-2 pr-4 text-right">{row.paid_leave_days}</td>
+                    <td className="py-2 pr-4 text-right">{row.unpaid_leave_days}</td>
+                    <td className="py-2 pr-4 text-right">{row.holidays}</td>
+                    <td className="py-2 pr-4 text-right">{row.weekly_offs}</td>
+                    <td className="py-2 pr-4 text-right font-medium">{row.payable_days}</td>
+                    <td className="py-2 pr-4 text-right">{row.late_count}</td>
+                    <td className="py-2 pr-4 text-right">{row.worked_hours.toFixed(2)}</td>
+                    <td className="py-2 pr-4 text-right">{row.overtime_hours.toFixed(2)}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        )}
+      </div>
+
+      {/* Templates */}
+      <div className="card">
+        <div className="flex items-center justify-between mb-4">
+          <div>
+            <h3 className="text-lg font-semibold text-gray-900">Payroll Templates</h3>
+            <p className="text-sm text-gray-500">Column layouts matching your payroll tool's import</p>
+          </div>
+          <button onClick={() => openTemplateModal()} className="btn btn-secondary flex items-center">
+            <Plus className="w-4 h-4 mr-2" />
+            New Template
+          </button>
+        </div>
+
+        {templates.length === 0 ? (
+          <p className="text-sm text-gray-500">No templates yet</p>
+        ) : (
+          <div className="divide-y divide-gray-200">
+            {templates.map(template => (
+              <div key={template.id} className="flex items-center justify-between py-3 text-sm">
+                <div>
+                  <p className="font-medium text-gray-900">{template.name}</p>
+                  <p className="text-gray-500">
+                    {template.format === 'fixed_width' ? 'Fixed width' : `Delimited (${DELIMITERS.find(option => option.value === template.delimiter)?.label || template.delimiter})`}
+                    {' • '}{template.columns.map(column => column.header || fieldLabels[column.field]).join(', ')}
+                    {canViewAllCompanies && template.companies?.name && ` • ${template.companies.name}`}
+                  </p>
+                </div>
+                <div className="flex items-center space-x-3">
+                  <button onClick={() => openTemplateModal(template)} className="text-gray-500 hover:text-indigo-600" title="Edit">
+                    <Edit className="w-4 h-4" />
+                  </button>
+                  <button onClick={() => handleDeleteTemplate(template)} className="text-gray-500 hover:text-red-600" title="Delete">
+                    <Trash2 className="w-4 h-4" />
+                  </button>
+                </div>
+              </div>
+            ))}
+          </div>
+        )}
+      </div>
+
+      {/* Template Modal */}
+      <Modal
+        isOpen={showTemplateModal}
+        onClose={() => setShowTemplateModal(false)}
+        title={editingTemplate ? `Edit ${editingTemplate.name}` : 'New Payroll Template'}
+        size="large"
+      >
+        <form onSubmit={handleSaveTemplate} className="space-y-4">
+          <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+            {canViewAllCompanies && !editingTemplate && (
+              <div className="md:col-span-2">
+                <label className="label">Company *</label>
+                <select
+                  value={templateForm.company_id}
+                  onChange={(e) => setTemplateForm({ ...templateForm, company_id: e.target.value })}
+                  className="input w-full"
+                  required
+                >
+                  <option value="">Select a company</option>
+                  {companies.map(company => (
+                    <option key={company.id} value={company.id}>{company.name}</option>
+                  ))}
+                </select>
+              </div>
+            )}
+            <div className="md:col-span-2">
+              <label className="label">Name *</label>
+              <input
+                type="text"
+                value={templateForm.name}
+                onChange={(e) => setTemplateForm({ ...templateForm, name: e.target.value })}
+                className="input w-full"
+                placeholder="e.g. Tally import"
+                required
+              />
+            </div>
+            <div>
+              <label className="label">Format</label>
+              <select
+                value={templateForm.format}
+                onChange={(e) => setTemplateForm({ ...templateForm, format: e.target.value })}
+                className="input w-full"
+              >
+                <option value="csv">Delimited</option>
+                <option value="fixed_width">Fixed width</option>
+              </select>
+            </div>
+            {templateForm.format === 'csv' && (
+              <div>
+                <label className="label">Delimiter</label>
+                <select
+                  value={templateForm.delimiter}
+                  onChange={(e) => setTemplateForm({ ...templateForm, delimiter: e.target.value })}
+                  className="input w-full"
+                >
+                  {DELIMITERS.map(option => (
+                    <option key={option.label} value={option.value}>{option.label}</option>
+                  ))}
+                </select>
+              </div>
+            )}
+          </div>
+
+          <label className="flex items-center text-sm text-gray-700">
+            <input
+              type="checkbox"
+              checked={templateForm.include_header}
+              onChange={(e) => setTemplateForm({ ...templateForm, include_header: e.target.checked })}
+              className="w-4 h-4 mr-2 text-indigo-600 border-gray-300 rounded"
+            />
+            Header row
+          </label>
+
+          <div>
+            <label className="label">Columns</label>
+            <div className="space-y-2">
+              {templateForm.columns.map((column, index) => (
+                <div key={index} className="flex items-center gap-2">
+                  <select
+                    value={column.field}
+                    onChange={(e) => updateColumn(index, { field: e.target.value })}
+                    className="input w-48"
+                  >
+                    {fields.map(field => (
+                      <option key={field.key} value={field.key}>{field.label}</option>
+                    ))}
+                  </select>
+                  <input
+                    type="text"
+                    value={column.header}
+                    onChange={(e) => updateColumn(index, { header: e.target.value })}
+                    className="input flex-1"
+                    maxLength={50}
+                    placeholder={fieldLabels[column.field] || 'Header'}
+                  />
+                  {column.field === 'constant' && (
+                    <input
+                      type="text"
+                      value={column.value}
+                      onChange={(e) => updateColumn(index, { value: e.target.value })}
+                      className="input w-28"
+                      maxLength={50}
+                      placeholder="Text"
+                    />
+                  )}
+                  {templateForm.format === 'fixed_width' && (
+                    <>
+                      <input
+                        type="number"
+                        min="1"
+                        max="200"
+                        value={column.width}
+                        onChange={(e) => updateColumn(index, { width: e.target.value })}
+                        className="input w-20"
+                        placeholder="Width"
+                        required
+                      />
+                      <select
+                        value={column.align}
+                        onChange={(e) => updateColumn(index, { align: e.target.value })}
+                        className="input w-24"
+                      >
+                        <option value="">Auto</option>
+                        <option value="left">Left</option>
+                        <option value="right">Right</option>
+                      </select>
+                    </>
+                  )}
+                  <button
+                    type="button"
+                    onClick={() => moveColumn(index, -1)}
+                    disabled={index === 0}
+                    className="text-gray-500 hover:text-indigo-600 disabled:opacity-30"
+                    title="Move up"
+                  >
+                    <ArrowUp className="w-4 h-4" />
+                  </button>
+                  <button
+                    type="button"
+                    onClick={() => moveColumn(index, 1)}
+                    disabled={index === templateForm.columns.length - 1}
+                    className="text-gray-500 hover:text-indigo-600 disabled:opacity-30"
+                    title="Move down"
+                  >
+                    <ArrowDown className="w-4 h-4" />
+                  </button>
+                  <button
+                    type="button"
+                    onClick={() => removeColumn(index)}
+                    disabled={templateForm.columns.length === 1}
+                    className="text-gray-500 hover:text-red-600 disabled:opacity-30"
+                    title="Remove"
+                  >
+                    <X className="w-4 h-4" />
+                  </button>
+                </div>
+              ))}
+            </div>
+            <button type="button" onClick={addColumn} className="mt-2 text-sm text-indigo-600 hover:text-indigo-800 font-medium">
+              + Add column
+            </button>
+          </div>
+
+          <p className="text-xs text-gray-500">
+            Days have one decimal, hours two. Fixed-width files use Windows line endings and right-align numbers unless told otherwise.
+          </p>
+
+          <div className="flex justify-end space-x-3 pt-4">
+            <button type="button" onClick={() => setShowTemplateModal(false)} className="btn btn-secondary" disabled={saving}>
+              Cancel
+            </button>
+            <button type="submit" className="btn btn-primary" disabled={saving}>
+              {editingTemplate ? 'Save' : 'Create Template'}
+            </button>
+          </div>
+        </form>
+      </Modal>
+    </div>
+  )
+}
@@ -0,0 +1,520 @@
+import { useState, useEffect } from 'react'
+import { ClipboardCheck, Bell, Check, CheckCheck, LogOut, X, XCircle } from 'lucide-react'
+import { PageLoader, SpinnerOverlay } from '../components/Loaders'
+import SectionHeader from '../components/SectionHeader'
+import Modal from '../components/Modal'
+import { CORRECTION_STATUS_STYLES, CORRECTION_TYPE_LABELS, describeCorrection } from '../components/CorrectionRequestModal'
+import { useAuth } from '../context/AuthContext'
+import { ROLES } from '../utils/permissions'
+import { format } from 'date-fns'
+import api from '../utils/api'
+
+const PUNCH_STATUS_STYLES = {
+  pending_review: 'bg-amber-100 text-amber-800',
+  auto_closed: 'bg-blue-100 text-blue-800',
+  closed: 'bg-green-100 text-green-800',
+  dismissed: 'bg-gray-100 text-gray-700'
+}
+
+const PUNCH_STATUS_LABELS = {
+  pending_review: 'Needs review',
+  auto_closed: 'Auto-closed',
+  closed: 'Closed',
+  dismissed: 'Dismissed'
+}
+
+export default function AttendanceReview() {
+  const { user } = useAuth()
+  const showCompany = user?.role !== ROLES.COMPANY_ADMIN
+
+  const [notifications, setNotifications] = useState([])
+  const [unreadCount, setUnreadCount] = useState(0)
+  const [missingPunches, setMissingPunches] = useState([])
+  const [statusFilter, setStatusFilter] = useState('pending_review')
+  const [loading, setLoading] = useState(true)
+  const [processing, setProcessing] = useState(false)
+
+  const [closingPunch, setClosingPunch] = useState(null)
+  const [closeForm, setCloseForm] = useState({ out_at: '', note: '' })
+
+  const [corrections, setCorrections] = useState([])
+  const [correctionFilter, setCorrectionFilter] = useState('pending')
+  const [review, setReview] = useState(null)
+  const [reviewNote, setReviewNote] = useState('')
+
+  useEffect(() => {
+    fetchNotifications()
+  }, [])
+
+  useEffect(() => {
+    fetchMissingPunches()
+  }, [statusFilter])
+
+  useEffect(() => {
+    fetchCorrections()
+  }, [correctionFilter])
+
+  // New notifications arrive over the live feed
+  useEffect(() => {
+    const ws = new WebSocket(import.meta.env.VITE_WS_URL)
+    ws.onmessage = (event) => {
+      try {
+        const message = JSON.parse(event.data)
+        if (message.type === 'notification') {
+          fetchNotifications()
+          fetchMissingPunches()
+          fetchCorrections()
+        }
+      } catch (err) {
+        console.error('WS message parse error:', err)
+      }
+    }
+
+    return () => {
+      try { ws.close() } catch {}
+    }
+  }, [statusFilter, correctionFilter])
+
+  const fetchNotifications = async () => {
+    try {
+      const response = await api.getNotifications({ limit: 20 })
+      setNotifications(response.data || [])
+      setUnreadCount(response.unread || 0)
+    } catch (error) {
+      console.error('Error fetching notifications:', error)
+    }
+  }
+
+  const fetchMissingPunches = async () => {
+    try {
+      const response = await api.getMissingPunches(statusFilter ? { status: statusFilter } : {})
+      setMissingPunches(response.data || [])
+    } catch (error) {
+      console.error('Error fetching missing punches:', error)
+    } finally {
+      setLoading(false)
+    }
+  }
+
+  const fetchCorrections = async () => {
+    try {
+      const response = await api.getCorrections(correctionFilter ? { status: correctionFilter } : {})
+      setCorrections(response.data || [])
+    } catch (error) {
+      console.error('Error fetching corrections:', error)
+    }
+  }
+
+  const handleMarkRead = async (notification) => {
+    try {
+      await api.markNotificationRead(notification.id)
+      fetchNotifications()
+    } catch (error) {
+      console.error('Error marking notification read:', error)
+    }
+  }
+
+  const handleMarkAllRead = async () => {
+    try {
+      setProcessing(true)
+      await api.markAllNotificationsRead()
+      fetchNotifications()
+    } catch (error) {
+      console.error('Error marking notifications read:', error)
+    } finally {
+      setProcessing(false)
+    }
+  }
+
+  const openCloseModal = (punch) => {
+    setClosingPunch(punch)
+    setCloseForm({ out_at: `${punch.work_date}T18:00`, note: '' })
+  }
+
+  const handleClose = async (e) => {
+    e.preventDefault()
+
+    try {
+      setProcessing(true)
+      await api.resolveMissingPunch(closingPunch.id, {
+        action: 'close',
+        out_at: new Date(closeForm.out_at).toISOString(),
+        note: closeForm.note || undefined
+      })
+      setClosingPunch(null)
+      fetchMissingPunches()
+    } catch (error) {
+      console.error('Error closing missing punch:', error)
+      alert(error.message || 'Failed to close missing punch')
+    } finally {
+      setProcessing(false)
+    }
+  }
+
+  const handleDismiss = async (punch) => {
+    if (!confirm(`Dismiss the missing punch of ${punch.employees?.name} on ${punch.work_date}? The day stays open.`)) return
+
+    try {
+      setProcessing(true)
+      await api.resolveMissingPunch(punch.id, { action: 'dismiss' })
+      fetchMissingPunches()
+    } catch (error) {
+      console.error('Error dismissing missing punch:', error)
+      alert(error.message || 'Failed to dismiss missing punch')
+    } finally {
+      setProcessing(false)
+    }
+  }
+
+  const openReview = (correction, action) => {
+    setReview({ correction, action })
+    setReviewNote('')
+  }
+
+  const handleReview = async (e) => {
+    e.preventDefault()
+
+    try {
+      setProcessing(true)
+      const data = { note: reviewNote || undefined }
+      if (review.action === 'approve') {
+        await api.approveCorrection(review.correction.id, data)
+      } else {
+        await api.rejectCorrection(review.correction.id, data)
+      }
+      setReview(null)
+      fetchCorrections()
+    } catch (error) {
+      console.error(`Error ${review.action === 'approve' ? 'approving' : 'rejecting'} correction:`, error)
+      alert(error.message || 'Failed to review correction')
+    } finally {
+      setProcessing(false)
+    }
+  }
+
+  // Admins need a second reviewer for their own requests; incubation heads do not
+  const canApprove = (correction) =>
+    user?.role === ROLES.INCUBATION_HEAD || correction.requested_by !== user?.id
+
+  if (loading) return <PageLoader message="Loading attendance review..." />
+
+  return (
+    <div className="space-y-8">
+      <SectionHeader
+        title="Attendance Review"
+        subtitle="Days that ended without an OUT scan, correction requests, and alerts for your company"
+      />
+
+      {/* Notifications */}
+      <div className="card">
+        <div className="flex items-center justify-between mb-4">
+          <h3 className="text-lg font-semibold text-gray-900 flex items-center">
+            <Bell className="w-5 h-5 mr-2 text-indigo-600" />
+            Notifications
+            {unreadCount > 0 && (
+              <span className="ml-2 px-2 py-0.5 rounded-full text-xs font-medium bg-red-100 text-red-800">{unreadCount} unread</span>
+            )}
+          </h3>
+          {unreadCount > 0 && (
+            <button onClick={handleMarkAllRead} className="btn btn-secondary flex items-center">
+              <CheckCheck className="w-4 h-4 mr-2" />
+              Mark all read
+            </button>
+          )}
+        </div>
+
+        {notifications.length === 0 ? (
+          <p className="text-sm text-gray-500">No notifications</p>
+        ) : (
+          <div className="divide-y divide-gray-200">
+            {notifications.map((notification) => (
+              <div key={notification.id} className={`py-3 text-sm ${notification.read_at ? 'opacity-60' : ''}`}>
+                <div className="flex items-start justify-between">
+                  <p className="font-medium text-gray-900">
+                    {notification.title}
+                    {showCompany && notification.companies?.name && (
+                      <span className="text-gray-500 font-normal"> • {notification.companies.name}</span>
+                    )}
+                  </p>
+                  <div className="flex items-center space-x-3 text-gray-500">
+                    <span>{format(new Date(notification.created_at), 'MMM dd, HH:mm')}</span>
+                    {!notification.read_at && (
+                      <button onClick={() => handleMarkRead(notification)} className="text-indigo-600 hover:text-indigo-800 font-medium">
+                        Mark read
+                      </button>
+                    )}
+                  </div>
+                </div>
+                {notification.message && (
+                  <p className="text-gray-600 mt-1 whitespace-pre-line">{notification.message}</p>
+                )}
+              </div>
+            ))}
+          </div>
+        )}
+      </div>
+
+      {/* Missing Punches */}
+      <div className="card">
+        <div className="flex items-center justify-between mb-4">
+          <h3 className="text-lg font-semibold text-gray-900">Missing Punches</h3>
+          <select
+            value={statusFilter}
+            onChange={(e) => setStatusFilter(e.target.value)}
+            className="input w-44"
+          >
+            <option value="pending_review">Needs review</option>
+            <option value="auto_closed">Auto-closed</option>
+            <option value="closed">Closed</option>
+            <option value="dismissed">Dismissed</option>
+            <option value="">All</option>
+          </select>
+        </div>
+
+        {missingPunches.length === 0 ? (
+          <div className="text-center py-12">
+            <ClipboardCheck className="w-16 h-16 text-gray-300 mx-auto mb-4" />
+            <p className="text-gray-500">Nothing to review</p>
+          </div>
+        ) : (
+          <div className="overflow-x-auto">
+            <table className="min-w-full text-sm">
+              <thead>
+                <tr className="text-left text-gray-500 border-b">
+                  <th className="py-2 pr-4">Employee</th>
+                  {showCompany && <th className="py-2 pr-4">Company</th>}
+                  <th className="py-2 pr-4">Date</th>
+                  <th className="py-2 pr-4">Last IN</th>
+                  <th className="py-2 pr-4">Closed At</th>
+                  <th className="py-2 pr-4">Status</th>
+                  <th className="py-2 pr-4"></th>
+                </tr>
+              </thead>
+              <tbody className="divide-y divide-gray-100">
+                {missingPunches.map((punch) => (
+                  <tr key={punch.id}>
+                    <td className="py-2 pr-4">
+                      {punch.employees?.name}
+                      {punch.employees?.employee_id && <span className="ml-2 text-xs text-gray-500">{punch.employees.employee_id}</span>}
+                    </td>
+                    {showCompany && <td className="py-2 pr-4 text-gray-600">{punch.companies?.name}</td>}
+                    <td className="py-2 pr-4">{punch.work_date}</td>
+                    <td className="py-2 pr-4">
+                      {punch.in_log ? format(new Date(punch.in_log.recorded_at), 'HH:mm') : '—'}
+                      {punch.in_log?.devices?.location && <span className="ml-2 text-xs text-gray-500">{punch.in_log.devices.location}</span>}
+                    </td>
+                    <td className="py-2 pr-4">
+                      {punch.closing_log ? format(new Date(punch.closing_log.recorded_at), 'HH:mm') : '—'}
+                    </td>
+                    <td className="py-2 pr-4">
+                      <span className={`px-2 py-0.5 rounded-full text-xs font-medium ${PUNCH_STATUS_STYLES[punch.status]}`}>
+                        {PUNCH_STATUS_LABELS[punch.status]}
+                      </span>
+                      {punch.note && <span className="ml-2 text-xs text-gray-500">{punch.note}</span>}
+                    </td>
+                    <td className="py-2 pr-4 text-right whitespace-nowrap">
+                      {punch.status === 'pending_review' && (
+                        <div className="inline-flex items-center space-x-3">
+                          <button
+                            onClick={() => openCloseModal(punch)}
+                            className="inline-flex items-center text-indigo-600 hover:text-indigo-800 font-medium"
+                          >
+                            <LogOut className="w-4 h-4 mr-1" />
+                            Add OUT
+                          </button>
+                          <button onClick={() => handleDismiss(punch)} className="text-gray-500 hover:text-red-600" title="Dismiss">
+                            <XCircle className="w-4 h-4" />
+                          </button>
+                        </div>
+                      )}
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        )}
+      </div>
+
+      {/* Correction Requests */}
+      <div className="card">
+        <div className="flex items-center justify-between mb-4">
+          <h3 className="text-lg font-semibold text-gray-900">Correction Requests</h3>
+          <select
+            value={correctionFilter}
+            onChange={(e) => setCorrectionFilter(e.target.value)}
+            className="input w-44"
+          >
+            <option value="pending">Pending</option>
+            <option value="approved">Approved</option>
+            <option value="rejected">Rejected</option>
+            <option value="cancelled">Cancelled</option>
+            <option value="">All</option>
+          </select>
+        </div>
+
+        {corrections.length === 0 ? (
+          <p className="text-sm text-gray-500">No correction requests</p>
+        ) : (
+          <div className="overflow-x-auto">
+            <table className="min-w-full text-sm">
+              <thead>
+                <tr className="text-left text-gray-500 border-b">
+                  <th className="py-2 pr-4">Employee</th>
+                  {showCompany && <th className="py-2 pr-4">Company</th>}
+                  <th className="py-2 pr-4">Correction</th>
+                  <th className="py-2 pr-4">Punch</th>
+                  <th className="py-2 pr-4">Reason</th>
+                  <th className="py-2 pr-4">Requested By</th>
+                  <th className="py-2 pr-4">Status</th>
+                  <th className="py-2 pr-4"></th>
+                </tr>
+              </thead>
+              <tbody className="divide-y divide-gray-100">
+                {corrections.map((correction) => (
+                  <tr key={correction.id}>
+                    <td className="py-2 pr-4">
+                      {correction.employees?.name}
+                      {correction.employees?.employee_id && <span className="ml-2 text-xs text-gray-500">{correction.employees.employee_id}</span>}
+                    </td>
+                    {showCompany && <td className="py-2 pr-4 text-gray-600">{correction.companies?.name}</td>}
+                    <td className="py-2 pr-4">{CORRECTION_TYPE_LABELS[correction.type]}</td>
+                    <td className="py-2 pr-4 whitespace-nowrap">{describeCorrection(correction)}</td>
+                    <td className="py-2 pr-4 text-gray-600">{correction.reason}</td>
+                    <td className="py-2 pr-4">
+                      {correction.requester?.full_name || correction.requester?.username || '—'}
+                      {correction.requested_via === 'self_service' && <span className="ml-2 text-xs text-gray-500">self-service</span>}
+                      <div className="text-xs text-gray-500">{format(new Date(correction.created_at), 'MMM dd, HH:mm')}</div>
+                    </td>
+                    <td className="py-2 pr-4">
+                      <span className={`px-2 py-0.5 rounded-full text-xs font-medium ${CORRECTION_STATUS_STYLES[correction.status]}`}>
+                        {correction.status}
+                      </span>
+                      {correction.reviewer && (
+                        <div className="text-xs text-gray-500">
+                          by {correction.reviewer.full_name || correction.reviewer.username}
+                          {correction.review_note && ` • ${correction.review_note}`}
+                        </div>
+                      )}
+                    </td>
+                    <td className="py-2 pr-4 text-right whitespace-nowrap">
+                      {correction.status === 'pending' && (
+                        <div className="inline-flex items-center space-x-3">
+                          <button
+                            onClick={() => openReview(correction, 'approve')}
+                            className="inline-flex items-center text-green-600 hover:text-green-800 font-medium disabled:opacity-40"
+                            disabled={!canApprove(correction)}
+                            title={canApprove(correction) ? 'Approve' : 'Another admin must approve your own request'}
+                          >
+                            <Check className="w-4 h-4 mr-1" />
+                            Approve
+                          </button>
+                          <button
+                            onClick={() => openReview(correction, 'reject')}
+                            className="inline-flex items-center text-red-600 hover:text-red-800 font-medium"
+                          >
+                            <X className="w-4 h-4 mr-1" />
+                            Reject
+                          </button>
+                        </div>
+                      )}
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        )}
+      </div>
+
+      {/* Close Missing Punch Modal */}
+      <Modal
+        isOpen={!!closingPunch}
+        onClose={() => setClosingPunch(null)}
+        title={`Add OUT for ${closingPunch?.employees?.name || ''}`}
+        size="small"
+      >
+        {closingPunch && (
+          <form onSubmit={handleClose} className="space-y-4">
+            <p className="text-sm text-gray-600">
+              Last IN on {closingPunch.work_date} at {format(new Date(closingPunch.in_log.recorded_at), 'HH:mm')}
+            </p>
+            <div>
+              <label className="label">OUT Time *</label>
+              <input
+                type="datetime-local"
+                value={closeForm.out_at}
+                onChange={(e) => setCloseForm({ ...closeForm, out_at: e.target.value })}
+                className="input w-full"
+                required
+              />
+            </div>
+            <div>
+              <label className="label">Note</label>
+              <input
+                type="text"
+                value={closeForm.note}
+                onChange={(e) => setCloseForm({ ...closeForm, note: e.target.value })}
+                className="input w-full"
+                placeholder="Optional"
+              />
+            </div>
+            <div className="flex justify-end space-x-3 pt-4">
+              <button type="button" onClick={() => setClosingPunch(null)} className="btn btn-secondary" disabled={processing}>
+                Cancel
+              </button>
+              <button type="submit" className="btn btn-primary" disabled={processing || !closeForm.out_at}>
+                Add OUT
+              </button>
+            </div>
+          </form>
+        )}
+      </Modal>
+
+      {/* Review Correction Modal */}
+      <Modal
+        isOpen={!!review}
+        onClose={() => setReview(null)}
+        title={review?.action === 'approve' ? 'Approve Correction' : 'Reject Correction'}
+        size="small"
+      >
+        {review && (
+          <form onSubmit={handleReview} className="space-y-4">
+            <div className="text-sm text-gray-600 space-y-1">
+              <p>
+                <span className="font-medium text-gray-900">{review.correction.employees?.name}</span>
+                {' • '}{CORRECTION_TYPE_LABELS[review.correction.type]}: {describeCorrection(review.correction)}
+              </p>
+              <p>Reason: {review.correction.reason}</p>
+              {review.action === 'approve' && (
+                <p className="text-xs text-gray-500">
+                  The change is recorded as a manual punch under your name; scanned punches are kept for audit.
+                </p>
+              )}
+            </div>
+            <div>
+              <label className="label">Note</label>
+              <input
+                type="text"
+                value={reviewNote}
+                onChange={(e) => setReviewNote(e.target.value)}
+                className="input w-full"
+                placeholder="Optional"
+              />
+            </div>
+            <div className="flex justify-end space-x-3 pt-4">
+              <button type="button" onClick={() => setReview(null)} className="btn btn-secondary" disabled={processing}>
+                Cancel
+              </button>
+              <button type="submit" className={`btn ${review.action === 'approve' ? 'btn-primary' : 'btn-danger'}`} disabled={processing}>
+                {review.action === 'approve' ? 'Approve' : 'Reject'}
+              </button>
+            </div>
+          </form>
+        )}
+      </Modal>
+
+      {processing && <SpinnerOverlay message="Processing..." />}
+    </div>
+  )
+}
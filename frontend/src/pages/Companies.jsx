@@ -17,6 +17,9 @@ export default function Companies() {
     contact_person: '',
     contact_email: '',
     contact_phone: '',
+    // Missing punch handling (only when editing)
+    missing_punch_action: 'review',
+    auto_close_time: '19:00',
     // Admin account fields (only for new company)
     admin_username: '',
     admin_email: '',
@@ -50,6 +53,8 @@ export default function Companies() {
         contact_person: company.contact_person || '',
         contact_email: company.contact_email || '',
         contact_phone: company.contact_phone || '',
+        missing_punch_action: company.missing_punch_action || 'review',
+        auto_close_time: company.auto_close_time?.slice(0, 5) || '19:00',
         admin_username: '',
         admin_email: '',
         admin_password: ''
@@ -138,7 +143,9 @@ export default function Companies() {
           address: formData.address,
           contact_person: formData.contact_person,
           contact_email: formData.contact_email,
-          contact_phone: formData.contact_phone
+          contact_phone: formData.contact_phone,
+          missing_punch_action: formData.missing_punch_action,
+          auto_close_time: formData.auto_close_time
         })
       } else {
         // Create new company with admin account
@@ -371,6 +378,36 @@ export default function Companies() {
             />
           </div>
 
+          {/* Missing Punch Section - Only when editing */}
+          {editingCompany && (
+            <div className="border-t border-gray-200 pt-4 mt-6 grid grid-cols-1 md:grid-cols-2 gap-4">
+              <div>
+                <label className="label">Missing OUT Punches</label>
+                <select
+                  value={formData.missing_punch_action}
+                  onChange={(e) => setFormData({ ...formData, missing_punch_action: e.target.value })}
+                  className="input w-full"
+                >
+                  <option value="review">Flag for review</option>
+                  <option value="auto_close">Close automatically</option>
+                </select>
+              </div>
+              <div>
+                <label className="label">Close At</label>
+                <input
+                  type="time"
+                  value={formData.auto_close_time}
+                  onChange={(e) => setFormData({ ...formData, auto_close_time: e.target.value })}
+                  className="input w-full"
+                  disabled={formData.missing_punch_action !== 'auto_close'}
+                />
+              </div>
+              <p className="md:col-span-2 text-xs text-gray-500">
+                Checked after each day ends in the company timezone. Admins are notified of the affected employees either way.
+              </p>
+            </div>
+          )}
+
           {/* Admin Account Section - Only for New Company */}
           {!editingCompany && (
             <>
@@ -1,5 +1,6 @@
 import { useState, useEffect } from 'react'
-import { Activity, Users, Radio, TrendingUp, Clock, MapPin, Zap, Building2 } from 'lucide-react'
+import { Link } from 'react-router-dom'
+import { Activity, Users, Radio, TrendingUp, Clock, MapPin, Zap, Building2, ShieldAlert, X } from 'lucide-react'
 import SectionHeader from '../components/SectionHeader'
 import KpiCard from '../components/KpiCard'
 import { useAuth } from '../context/AuthContext'
@@ -12,6 +13,7 @@ export default function Dashboard() {
   const [companies, setCompanies] = useState([])
   const [selectedCompany, setSelectedCompany] = useState('')
   const [liveFeed, setLiveFeed] = useState([])
+  const [tagAlerts, setTagAlerts] = useState([])
   const [stats, setStats] = useState({
     totalScans: 0,
     activeDevices: 0,
@@ -44,6 +46,9 @@ export default function Dashboard() {
         if (message.type === 'attendance_event' && message.data) {
           setLiveFeed((prev) => [message.data, ...prev].slice(0, 8))
         }
+        if (message.type === 'tag_alert' && message.data) {
+          setTagAlerts((prev) => [message.data, ...prev].slice(0, 5))
+        }
       } catch (err) {
         console.error('WS message parse error:', err)
       }
@@ -163,6 +168,34 @@ export default function Dashboard() {
         }
       />
 
+      {/* Blocked tag alerts */}
+      {tagAlerts.length > 0 && (
+        <div className="rounded-2xl border border-red-200 bg-red-50 p-4">
+          <div className="flex items-start justify-between">
+            <div className="flex items-start gap-3">
+              <ShieldAlert className="w-5 h-5 text-red-600 mt-0.5" />
+              <div className="space-y-1 text-sm">
+                {tagAlerts.map((alert) => (
+                  <p key={alert.scan_id} className="text-red-800">
+                    <span className="font-semibold">{alert.tag_status ? `${alert.tag_status.charAt(0).toUpperCase()}${alert.tag_status.slice(1)}` : 'Blocked'} tag</span>{' '}
+                    <span className="font-mono">{alert.tag_uid}</span> scanned at {alert.device_name}
+                    {alert.location && ` (${alert.location})`} at {new Date(alert.recorded_at).toLocaleTimeString()}
+                  </p>
+                ))}
+                {hasPermission('ASSIGN_RFID_TAG') && (
+                  <Link to="/unknown-scans" className="inline-block font-medium text-red-700 hover:text-red-900">
+                    Review scans
+                  </Link>
+                )}
+              </div>
+            </div>
+            <button onClick={() => setTagAlerts([])} className="text-red-400 hover:text-red-600" title="Dismiss">
+              <X className="w-4 h-4" />
+            </button>
+          </div>
+        </div>
+      )}
+
       {/* KPI Cards */}
       <div className="grid grid-cols-1 md:grid-cols-3 gap-6">
         <KpiCard title="Total Scans Today" value={stats.totalScans} icon={Activity} tone="indigo" />
@@ -1,18 +1,111 @@
 import { useState, useEffect } from 'react'
-import { Radio, MapPin, Wifi, WifiOff, AlertCircle, Activity, Clock, Search } from 'lucide-react'
+import { Radio, MapPin, Wifi, WifiOff, AlertCircle, Activity, Clock, Search, KeyRound, Trash2, Pencil, Power, ShieldOff, Terminal, XCircle, SlidersHorizontal, Plus, LineChart as LineChartIcon } from 'lucide-react'
+import { LineChart, Line, XAxis, YAxis, CartesianGrid, Tooltip, Legend, ResponsiveContainer } from 'recharts'
 import { PageLoader, SpinnerOverlay } from '../components/Loaders'
 import SectionHeader from '../components/SectionHeader'
 import KpiCard from '../components/KpiCard'
-import { formatDistanceToNow } from 'date-fns'
+import Modal from '../components/Modal'
+import { useAuth } from '../context/AuthContext'
+import { format, formatDistanceToNow } from 'date-fns'
 import api from '../utils/api'
 
+const COMMAND_OPTIONS = [
+  { value: 'reboot', label: 'Reboot' },
+  { value: 'flush_buffer', label: 'Flush buffered scans' },
+  { value: 'clear_buffer', label: 'Clear buffered scans' },
+  { value: 're_register', label: 'Re-register' },
+  { value: 'wifi_setup', label: 'Enter Wi-Fi setup' },
+  { value: 'display_message', label: 'Display message' },
+  { value: 'start_ota', label: 'Start OTA update' }
+]
+
+const CONFIG_FIELDS = [
+  { key: 'debounce_ms', label: 'Debounce (ms)', min: 500, max: 60000 },
+  { key: 'heartbeat_interval_ms', label: 'Heartbeat interval (ms)', min: 30000, max: 3600000 },
+  { key: 'lcd_message_ms', label: 'LCD message time (ms)', min: 500, max: 10000 },
+  { key: 'max_buffer_size', label: 'Max buffered scans', min: 10, max: 2000 }
+]
+
+const PROFILE_SCOPE_LABELS = {
+  company: 'Company',
+  location: 'Location group',
+  device: 'Device'
+}
+
+const EMPTY_PROFILE_FORM = {
+  name: '',
+  scope: 'company',
+  company_id: '',
+  location_group: '',
+  device_id: '',
+  location: '',
+  debounce_ms: '',
+  heartbeat_interval_ms: '',
+  lcd_message_ms: '',
+  max_buffer_size: '',
+  is_active: true
+}
+
+const COMMAND_STATUS_STYLES = {
+  pending: 'bg-gray-100 text-gray-700',
+  delivered: 'bg-blue-100 text-blue-800',
+  acknowledged: 'bg-green-100 text-green-800',
+  failed: 'bg-red-100 text-red-800',
+  expired: 'bg-amber-100 text-amber-800'
+}
+
+// Telemetry history windows offered in the telemetry modal
+const TELEMETRY_RANGES = [
+  { hours: 6, label: '6 hours' },
+  { hours: 24, label: '24 hours' },
+  { hours: 24 * 7, label: '7 days' }
+]
+
 export default function Devices() {
+  const { user, hasPermission } = useAuth()
   const [devices, setDevices] = useState([])
   const [companies, setCompanies] = useState([])
+  const [enrollmentCodes, setEnrollmentCodes] = useState([])
   const [loading, setLoading] = useState(true)
   const [processing, setProcessing] = useState(false)
   const [searchTerm, setSearchTerm] = useState('')
   const [filterStatus, setFilterStatus] = useState('')
+  const [isEnrollModalOpen, setIsEnrollModalOpen] = useState(false)
+  const [enrollForm, setEnrollForm] = useState({
+    company_id: '',
+    location: '',
+    device_name: '',
+    expires_in_minutes: 30
+  })
+  const [generatedCode, setGeneratedCode] = useState(null)
+  const [editingDevice, setEditingDevice] = useState(null)
+  const [editForm, setEditForm] = useState({
+    device_name: '',
+    location: '',
+    location_group: '',
+    company_id: '',
+    is_active: true
+  })
+  const [configProfiles, setConfigProfiles] = useState([])
+  const [isProfileModalOpen, setIsProfileModalOpen] = useState(false)
+  const [editingProfile, setEditingProfile] = useState(null)
+  const [profileForm, setProfileForm] = useState(EMPTY_PROFILE_FORM)
+  const [commandDevice, setCommandDevice] = useState(null)
+  const [deviceCommands, setDeviceCommands] = useState([])
+  const [commandForm, setCommandForm] = useState({
+    command: 'reboot',
+    message: '',
+    url: ''
+  })
+  const [telemetryDevice, setTelemetryDevice] = useState(null)
+  const [telemetry, setTelemetry] = useState(null)
+  const [telemetryHours, setTelemetryHours] = useState(24)
+
+  const canEnroll = hasPermission('CREATE_DEVICE')
+  const canReprovision = hasPermission('RESET_DEVICE')
+  const canEdit = hasPermission('EDIT_DEVICE')
+  const canDelete = hasPermission('DELETE_DEVICE')
+  const canReassign = hasPermission('VIEW_ALL_COMPANIES')
 
   useEffect(() => {
     fetchData()
@@ -24,12 +117,16 @@ export default function Devices() {
   const fetchData = async () => {
     try {
       if (devices.length === 0) setLoading(true)
-      const [devicesRes, companiesRes] = await Promise.all([
+      const [devicesRes, companiesRes, codesRes, profilesRes] = await Promise.all([
         api.getDevices(),
-        api.getCompanies()
+        api.getCompanies(),
+        canEnroll ? api.getEnrollmentCodes() : Promise.resolve({ data: [] }),
+        canEdit ? api.getConfigProfiles() : Promise.resolve({ data: [] })
       ])
       setDevices(devicesRes.data?.devices || devicesRes.data || [])
       setCompanies(companiesRes.data || [])
+      setEnrollmentCodes(codesRes.data || [])
+      setConfigProfiles(profilesRes.data || [])
     } catch (error) {
       console.error('Error fetching data:', error)
       if (devices.length === 0) alert('Failed to load devices')
@@ -38,16 +135,323 @@ export default function Devices() {
     }
   }
 
-  const handleResetDevice = async (deviceId, deviceName) => {
-    if (!confirm(`Reset device "${deviceName}"? This will clear its local cache.`)) return
+  const openProfileModal = (profile = null) => {
+    setEditingProfile(profile)
+    if (profile) {
+      const settings = profile.settings || {}
+      setProfileForm({
+        ...EMPTY_PROFILE_FORM,
+        name: profile.name,
+        scope: profile.scope,
+        company_id: profile.company_id || '',
+        location_group: profile.location_group || '',
+        device_id: profile.device_id || '',
+        location: settings.location || '',
+        ...Object.fromEntries(CONFIG_FIELDS.map(f => [f.key, settings[f.key] ?? ''])),
+        is_active: profile.is_active
+      })
+    } else {
+      setProfileForm({ ...EMPTY_PROFILE_FORM, company_id: user?.company_id || '' })
+    }
+    setIsProfileModalOpen(true)
+  }
+
+  const closeProfileModal = () => {
+    setIsProfileModalOpen(false)
+    setEditingProfile(null)
+  }
+
+  const handleSaveProfile = async (e) => {
+    e.preventDefault()
+
+    // Blank fields inherit from the wider profile or the firmware default
+    const settings = {}
+    CONFIG_FIELDS.forEach(({ key }) => {
+      if (profileForm[key] !== '') settings[key] = parseInt(profileForm[key])
+    })
+    if (profileForm.location) settings.location = profileForm.location
+
+    try {
+      setProcessing(true)
+      if (editingProfile) {
+        await api.updateConfigProfile(editingProfile.id, {
+          name: profileForm.name,
+          settings,
+          is_active: profileForm.is_active
+        })
+      } else {
+        await api.createConfigProfile({
+          name: profileForm.name,
+          scope: profileForm.scope,
+          company_id: profileForm.company_id || undefined,
+          location_group: profileForm.location_group || undefined,
+          device_id: profileForm.device_id || undefined,
+          settings
+        })
+      }
+      closeProfileModal()
+      fetchData()
+    } catch (error) {
+      console.error('Error saving configuration profile:', error)
+      alert(error.message || 'Failed to save configuration profile')
+    } finally {
+      setProcessing(false)
+    }
+  }
+
+  const handleDeleteProfile = async (profile) => {
+    if (!confirm(`Delete profile "${profile.name}"? Its readers fall back to the next profile or the defaults.`)) return
 
     try {
       setProcessing(true)
-      // In a real implementation, this would send a reset command via MQTT or HTTP
-      alert('Reset command sent (feature to be implemented on ESP32)')
+      await api.deleteConfigProfile(profile.id)
+      setConfigProfiles(configProfiles.filter(p => p.id !== profile.id))
     } catch (error) {
-      console.error('Error resetting device:', error)
-      alert('Failed to reset device')
+      console.error('Error deleting configuration profile:', error)
+      alert(error.message || 'Failed to delete configuration profile')
+    } finally {
+      setProcessing(false)
+    }
+  }
+
+  const openCommandsModal = async (device) => {
+    setCommandDevice(device)
+    setDeviceCommands([])
+    setCommandForm({ command: 'reboot', message: '', url: '' })
+    await fetchDeviceCommands(device.id)
+  }
+
+  const closeCommandsModal = () => {
+    setCommandDevice(null)
+  }
+
+  const fetchDeviceCommands = async (deviceId) => {
+    try {
+      const response = await api.getDeviceCommands(deviceId)
+      setDeviceCommands(response.data || [])
+    } catch (error) {
+      console.error('Error fetching device commands:', error)
+      alert(error.message || 'Failed to load device commands')
+    }
+  }
+
+  const handleSendCommand = async (e) => {
+    e.preventDefault()
+
+    const { command, message, url } = commandForm
+    const label = COMMAND_OPTIONS.find(o => o.value === command)?.label || command
+    if (!confirm(`Send "${label}" to ${commandDevice.device_uuid}? It runs on the device's next check-in.`)) return
+
+    const payload = {}
+    if (command === 'display_message') payload.message = message
+    if (command === 'start_ota') payload.url = url
+
+    try {
+      setProcessing(true)
+      await api.sendDeviceCommand(commandDevice.id, { command, payload })
+      await fetchDeviceCommands(commandDevice.id)
+    } catch (error) {
+      console.error('Error sending device command:', error)
+      alert(error.message || 'Failed to send command')
+    } finally {
+      setProcessing(false)
+    }
+  }
+
+  const handleCancelCommand = async (commandId) => {
+    try {
+      setProcessing(true)
+      await api.cancelDeviceCommand(commandDevice.id, commandId)
+      await fetchDeviceCommands(commandDevice.id)
+    } catch (error) {
+      console.error('Error cancelling device command:', error)
+      alert(error.message || 'Failed to cancel command')
+    } finally {
+      setProcessing(false)
+    }
+  }
+
+  const fetchTelemetry = async (deviceId, hours) => {
+    try {
+      setProcessing(true)
+      const response = await api.getDeviceTelemetry(deviceId, {
+        from: new Date(Date.now() - hours * 60 * 60 * 1000).toISOString(),
+        limit: 2000
+      })
+      setTelemetry(response.data)
+    } catch (error) {
+      console.error('Error fetching device telemetry:', error)
+      alert(error.message || 'Failed to load telemetry')
+    } finally {
+      setProcessing(false)
+    }
+  }
+
+  const openTelemetryModal = (device) => {
+    setTelemetryDevice(device)
+    setTelemetry(null)
+    fetchTelemetry(device.id, telemetryHours)
+  }
+
+  const closeTelemetryModal = () => {
+    setTelemetryDevice(null)
+    setTelemetry(null)
+  }
+
+  const changeTelemetryRange = (hours) => {
+    setTelemetryHours(hours)
+    fetchTelemetry(telemetryDevice.id, hours)
+  }
+
+  const openEnrollModal = () => {
+    setEnrollForm({
+      company_id: user?.company_id || '',
+      location: '',
+      device_name: '',
+      expires_in_minutes: 30
+    })
+    setGeneratedCode(null)
+    setIsEnrollModalOpen(true)
+  }
+
+  const closeEnrollModal = () => {
+    setIsEnrollModalOpen(false)
+    setGeneratedCode(null)
+  }
+
+  const handleCreateEnrollmentCode = async (e) => {
+    e.preventDefault()
+    if (!enrollForm.company_id) {
+      alert('Please select a company')
+      return
+    }
+
+    try {
+      setProcessing(true)
+      const response = await api.createEnrollmentCode({
+        ...enrollForm,
+        expires_in_minutes: parseInt(enrollForm.expires_in_minutes)
+      })
+      setGeneratedCode(response.data)
+      fetchData()
+    } catch (error) {
+      console.error('Error creating enrollment code:', error)
+      alert(error.message || 'Failed to create enrollment code')
+    } finally {
+      setProcessing(false)
+    }
+  }
+
+  const handleReprovisionDevice = async (deviceId, deviceName) => {
+    if (!confirm(`Re-provision device "${deviceName}"? Its current token stays valid until the device registers with the new code.`)) return
+
+    try {
+      setProcessing(true)
+      const response = await api.reprovisionDevice(deviceId)
+      setGeneratedCode(response.data)
+      setIsEnrollModalOpen(true)
+      fetchData()
+    } catch (error) {
+      console.error('Error re-provisioning device:', error)
+      alert(error.message || 'Failed to re-provision device')
+    } finally {
+      setProcessing(false)
+    }
+  }
+
+  const handleRevokeEnrollmentCode = async (codeId) => {
+    if (!confirm('Revoke this enrollment code?')) return
+
+    try {
+      setProcessing(true)
+      await api.revokeEnrollmentCode(codeId)
+      setEnrollmentCodes(enrollmentCodes.filter(c => c.id !== codeId))
+    } catch (error) {
+      console.error('Error revoking enrollment code:', error)
+      alert(error.message || 'Failed to revoke enrollment code')
+    } finally {
+      setProcessing(false)
+    }
+  }
+
+  const openEditModal = (device) => {
+    setEditingDevice(device)
+    setEditForm({
+      device_name: device.device_name || '',
+      location: device.location || '',
+      location_group: device.location_group || '',
+      company_id: device.company_id || '',
+      is_active: device.is_active
+    })
+  }
+
+  const closeEditModal = () => {
+    setEditingDevice(null)
+  }
+
+  const handleUpdateDevice = async (e) => {
+    e.preventDefault()
+
+    try {
+      setProcessing(true)
+      const data = {
+        device_name: editForm.device_name,
+        location: editForm.location,
+        location_group: editForm.location_group || null,
+        is_active: editForm.is_active
+      }
+      if (canReassign) data.company_id = editForm.company_id || null
+      await api.updateDevice(editingDevice.id, data)
+      closeEditModal()
+      fetchData()
+    } catch (error) {
+      console.error('Error updating device:', error)
+      alert(error.message || 'Failed to update device')
+    } finally {
+      setProcessing(false)
+    }
+  }
+
+  const handleDeactivateDevice = async (deviceId, deviceName) => {
+    if (!confirm(`Deactivate device "${deviceName}"? Its scans will be rejected until it is reactivated.`)) return
+
+    try {
+      setProcessing(true)
+      await api.deactivateDevice(deviceId)
+      fetchData()
+    } catch (error) {
+      console.error('Error deactivating device:', error)
+      alert(error.message || 'Failed to deactivate device')
+    } finally {
+      setProcessing(false)
+    }
+  }
+
+  const handleRevokeTokens = async (deviceId, deviceName) => {
+    if (!confirm(`Revoke all tokens of "${deviceName}"? The device must be re-provisioned to connect again.`)) return
+
+    try {
+      setProcessing(true)
+      await api.revokeDeviceTokens(deviceId)
+      alert('Device tokens revoked')
+    } catch (error) {
+      console.error('Error revoking device tokens:', error)
+      alert(error.message || 'Failed to revoke device tokens')
+    } finally {
+      setProcessing(false)
+    }
+  }
+
+  const handleDeleteDevice = async (deviceId, deviceName) => {
+    if (!confirm(`Delete device "${deviceName}"? Its attendance history is kept.`)) return
+
+    try {
+      setProcessing(true)
+      await api.deleteDevice(deviceId)
+      setDevices(devices.filter(d => d.id !== deviceId))
+    } catch (error) {
+      console.error('Error deleting device:', error)
+      alert(error.message || 'Failed to delete device')
     } finally {
       setProcessing(false)
     }
@@ -84,6 +488,15 @@ export default function Devices() {
       <SectionHeader
         title="Devices"
         subtitle="Monitor and manage RFID reader devices"
+        actions={canEnroll && (
+          <button
+            onClick={openEnrollModal}
+            className="btn btn-primary flex items-center space-x-2"
+          >
+            <KeyRound className="w-5 h-5" />
+            <span>Enrollment Code</span>
+          </button>
+        )}
       />
 
       {/* Stats Cards */}
@@ -156,8 +569,13 @@ export default function Devices() {
                     </div>
                     <div>
                       <h3 className="font-semibold text-gray-900 text-sm">
-                        {device.device_uuid.substring(0, 8)}...
+                        {device.device_name || `${device.device_uuid.substring(0, 8)}...`}
                       </h3>
+                      {!device.is_active && (
+                        <span className="inline-flex items-center px-2 py-0.5 rounded-full text-xs font-medium mt-1 mr-1 bg-gray-200 text-gray-700">
+                          Inactive
+                        </span>
+                      )}
                       <span className={`inline-flex items-center px-2 py-0.5 rounded-full text-xs font-medium mt-1 ${
                         status.color === 'green' ? 'bg-green-100 text-green-800' :
                         status.color === 'yellow' ? 'bg-yellow-100 text-yellow-800' :
@@ -184,10 +602,10 @@ export default function Devices() {
                     </div>
                   )}
                   
-                  {device.company_name && (
+                  {(device.companies?.name || device.company_name) && (
                     <div className="flex items-center space-x-2 text-gray-600">
                       <Activity className="w-4 h-4 flex-shrink-0" />
-                      <span>{device.company_name}</span>
+                      <span>{device.companies?.name || device.company_name}</span>
                     </div>
                   )}
 
@@ -216,20 +634,168 @@ export default function Devices() {
                   )}
                 </div>
 
-                <div className="mt-4 pt-4 border-t border-gray-200">
+                <div className="mt-4 pt-4 border-t border-gray-200 flex items-center justify-between">
                   <button
-                    onClick={() => handleResetDevice(device.id, device.device_uuid)}
-                    className="text-sm text-indigo-600 hover:text-indigo-800 font-medium"
+                    onClick={() => openTelemetryModal(device)}
+                    className="inline-flex items-center text-sm text-indigo-600 hover:text-indigo-800 font-medium"
                   >
-                    Reset Device
+                    <LineChartIcon className="w-4 h-4 mr-1" />
+                    Telemetry
                   </button>
+                  {canReprovision ? (
+                    <button
+                      onClick={() => openCommandsModal(device)}
+                      className="inline-flex items-center text-sm text-indigo-600 hover:text-indigo-800 font-medium"
+                    >
+                      <Terminal className="w-4 h-4 mr-1" />
+                      Commands
+                    </button>
+                  ) : <span />}
+                  {canReprovision && (
+                    <button
+                      onClick={() => handleReprovisionDevice(device.id, device.device_uuid)}
+                      className="text-sm text-gray-600 hover:text-gray-900 font-medium"
+                    >
+                      Re-provision
+                    </button>
+                  )}
                 </div>
+
+                {(canEdit || canReprovision || canDelete) && (
+                  <div className="mt-3 flex items-center justify-end space-x-3">
+                    {canEdit && (
+                      <button
+                        onClick={() => openEditModal(device)}
+                        className="text-gray-500 hover:text-indigo-600"
+                        title="Edit device"
+                      >
+                        <Pencil className="w-4 h-4" />
+                      </button>
+                    )}
+                    {canEdit && device.is_active && (
+                      <button
+                        onClick={() => handleDeactivateDevice(device.id, device.device_uuid)}
+                        className="text-gray-500 hover:text-amber-600"
+                        title="Deactivate device"
+                      >
+                        <Power className="w-4 h-4" />
+                      </button>
+                    )}
+                    {canReprovision && (
+                      <button
+                        onClick={() => handleRevokeTokens(device.id, device.device_uuid)}
+                        className="text-gray-500 hover:text-red-600"
+                        title="Revoke tokens"
+                      >
+                        <ShieldOff className="w-4 h-4" />
+                      </button>
+                    )}
+                    {canDelete && (
+                      <button
+                        onClick={() => handleDeleteDevice(device.id, device.device_uuid)}
+                        className="text-gray-500 hover:text-red-600"
+                        title="Delete device"
+                      >
+                        <Trash2 className="w-4 h-4" />
+                      </button>
+                    )}
+                  </div>
+                )}
               </div>
             )
           })}
         </div>
       )}
 
+      {/* Configuration Profiles */}
+      {canEdit && (
+        <div className="card">
+          <div className="flex items-center justify-between mb-4">
+            <div>
+              <h3 className="text-lg font-semibold text-gray-900">Configuration Profiles</h3>
+              <p className="text-sm text-gray-500">Device overrides win over location groups, which win over company profiles</p>
+            </div>
+            <button onClick={() => openProfileModal()} className="btn btn-secondary">
+              <Plus className="w-4 h-4 mr-1 inline" />
+              New Profile
+            </button>
+          </div>
+          {configProfiles.length === 0 ? (
+            <p className="text-sm text-gray-500">No profiles - readers use their firmware defaults</p>
+          ) : (
+            <div className="divide-y divide-gray-200">
+              {configProfiles.map((profile) => (
+                <div key={profile.id} className="flex items-center justify-between py-3 text-sm">
+                  <div>
+                    <p className="font-medium text-gray-900">
+                      <SlidersHorizontal className="w-4 h-4 mr-1 inline text-gray-400" />
+                      {profile.name}
+                      <span className="ml-2 text-xs text-gray-500">v{profile.version}</span>
+                      {!profile.is_active && <span className="ml-2 text-xs text-amber-600">inactive</span>}
+                    </p>
+                    <p className="text-gray-500">
+                      {PROFILE_SCOPE_LABELS[profile.scope]}
+                      {profile.companies?.name && ` • ${profile.companies.name}`}
+                      {profile.location_group && ` • ${profile.location_group}`}
+                      {profile.devices && ` • ${profile.devices.device_name || profile.devices.device_uuid}`}
+                      {' • '}
+                      {Object.entries(profile.settings || {}).map(([key, value]) => `${key}=${value}`).join(', ') || 'no overrides'}
+                    </p>
+                  </div>
+                  <div className="flex items-center space-x-3">
+                    <button
+                      onClick={() => openProfileModal(profile)}
+                      className="text-gray-500 hover:text-indigo-600"
+                      title="Edit profile"
+                    >
+                      <Pencil className="w-4 h-4" />
+                    </button>
+                    <button
+                      onClick={() => handleDeleteProfile(profile)}
+                      className="text-red-600 hover:text-red-800"
+                      title="Delete profile"
+                    >
+                      <Trash2 className="w-4 h-4" />
+                    </button>
+                  </div>
+                </div>
+              ))}
+            </div>
+          )}
+        </div>
+      )}
+
+      {/* Pending Enrollment Codes */}
+      {canEnroll && enrollmentCodes.length > 0 && (
+        <div className="card">
+          <h3 className="text-lg font-semibold text-gray-900 mb-4">Pending Enrollment Codes</h3>
+          <div className="divide-y divide-gray-200">
+            {enrollmentCodes.map((code) => (
+              <div key={code.id} className="flex items-center justify-between py-3 text-sm">
+                <div>
+                  <p className="font-medium text-gray-900">
+                    {code.devices ? `Re-provision ${code.devices.device_uuid}` : (code.device_name || 'New device')}
+                  </p>
+                  <p className="text-gray-500">
+                    {code.companies?.name || 'Unknown company'}
+                    {code.location && ` • ${code.location}`}
+                    {' • expires '}
+                    {formatDistanceToNow(new Date(code.expires_at), { addSuffix: true })}
+                  </p>
+                </div>
+                <button
+                  onClick={() => handleRevokeEnrollmentCode(code.id)}
+                  className="text-red-600 hover:text-red-800"
+                  title="Revoke code"
+                >
+                  <Trash2 className="w-4 h-4" />
+                </button>
+              </div>
+            ))}
+          </div>
+        </div>
+      )}
+
       <div className="card bg-blue-50 border-blue-200">
         <div className="flex items-start space-x-3">
           <Activity className="w-5 h-5 text-blue-600 mt-0.5" />
@@ -244,6 +810,510 @@ export default function Devices() {
         </div>
       </div>
 
+      {/* Enrollment Code Modal */}
+      <Modal
+        isOpen={isEnrollModalOpen}
+        onClose={closeEnrollModal}
+        title={generatedCode?.device_id ? 'Re-provision Code' : 'Device Enrollment Code'}
+        size="small"
+      >
+        {generatedCode ? (
+          <div className="space-y-4 text-center">
+            <p className="text-sm text-gray-600">
+              Enter this code on the reader's serial console (<span className="font-mono">enroll {generatedCode.code}</span>).
+              It can be used once.
+            </p>
+            <p className="text-3xl font-mono font-bold tracking-widest text-indigo-700">
+              {generatedCode.code}
+            </p>
+            <p className="text-sm text-gray-500">
+              Expires {formatDistanceToNow(new Date(generatedCode.expires_at), { addSuffix: true })}
+            </p>
+            <div className="flex justify-end pt-4">
+              <button type="button" onClick={closeEnrollModal} className="btn btn-primary">
+                Done
+              </button>
+            </div>
+          </div>
+        ) : (
+          <form onSubmit={handleCreateEnrollmentCode} className="space-y-4">
+            <div>
+              <label className="label">Company *</label>
+              <select
+                value={enrollForm.company_id}
+                onChange={(e) => setEnrollForm({ ...enrollForm, company_id: e.target.value })}
+                className="input w-full"
+                disabled={!!user?.company_id}
+              >
+                <option value="">Select company</option>
+                {companies.map((company) => (
+                  <option key={company.id} value={company.id}>{company.name}</option>
+                ))}
+              </select>
+            </div>
+
+            <div>
+              <label className="label">Location</label>
+              <input
+                type="text"
+                value={enrollForm.location}
+                onChange={(e) => setEnrollForm({ ...enrollForm, location: e.target.value })}
+                className="input w-full"
+                placeholder="Building A - Ground Floor"
+              />
+            </div>
+
+            <div>
+              <label className="label">Device Name</label>
+              <input
+                type="text"
+                value={enrollForm.device_name}
+                onChange={(e) => setEnrollForm({ ...enrollForm, device_name: e.target.value })}
+                className="input w-full"
+                placeholder="Main Entrance Reader"
+              />
+            </div>
+
+            <div>
+              <label className="label">Valid For</label>
+              <select
+                value={enrollForm.expires_in_minutes}
+                onChange={(e) => setEnrollForm({ ...enrollForm, expires_in_minutes: e.target.value })}
+                className="input w-full"
+              >
+                <option value={15}>15 minutes</option>
+                <option value={30}>30 minutes</option>
+                <option value={60}>1 hour</option>
+                <option value={240}>4 hours</option>
+                <option value={1440}>24 hours</option>
+              </select>
+            </div>
+
+            <div className="flex justify-end space-x-3 pt-4">
+              <button
+                type="button"
+                onClick={closeEnrollModal}
+                className="btn btn-secondary"
+                disabled={processing}
+              >
+                Cancel
+              </button>
+              <button
+                type="submit"
+                className="btn btn-primary"
+                disabled={processing}
+              >
+                {processing ? 'Generating...' : 'Generate Code'}
+              </button>
+            </div>
+          </form>
+        )}
+      </Modal>
+
+      {/* Edit Device Modal */}
+      <Modal
+        isOpen={!!editingDevice}
+        onClose={closeEditModal}
+        title={`Edit ${editingDevice?.device_uuid || 'Device'}`}
+        size="small"
+      >
+        <form onSubmit={handleUpdateDevice} className="space-y-4">
+          <div>
+            <label className="label">Device Name</label>
+            <input
+              type="text"
+              value={editForm.device_name}
+              onChange={(e) => setEditForm({ ...editForm, device_name: e.target.value })}
+              className="input w-full"
+              placeholder="Main Entrance Reader"
+            />
+          </div>
+
+          <div>
+            <label className="label">Location</label>
+            <input
+              type="text"
+              value={editForm.location}
+              onChange={(e) => setEditForm({ ...editForm, location: e.target.value })}
+              className="input w-full"
+              placeholder="Building A - Ground Floor"
+            />
+          </div>
+
+          <div>
+            <label className="label">Location Group</label>
+            <input
+              type="text"
+              value={editForm.location_group}
+              onChange={(e) => setEditForm({ ...editForm, location_group: e.target.value })}
+              className="input w-full"
+              placeholder="building-a"
+            />
+            <p className="text-xs text-gray-500 mt-1">Readers in the same group share a location configuration profile</p>
+          </div>
+
+          <div>
+            <label className="label">Company</label>
+            <select
+              value={editForm.company_id}
+              onChange={(e) => setEditForm({ ...editForm, company_id: e.target.value })}
+              className="input w-full"
+              disabled={!canReassign}
+            >
+              <option value="">Unassigned</option>
+              {companies.map((company) => (
+                <option key={company.id} value={company.id}>{company.name}</option>
+              ))}
+            </select>
+          </div>
+
+          <div className="flex items-center">
+            <input
+              type="checkbox"
+              id="device_is_active"
+              checked={editForm.is_active}
+              onChange={(e) => setEditForm({ ...editForm, is_active: e.target.checked })}
+              className="w-4 h-4 text-indigo-600 border-gray-300 rounded focus:ring-indigo-500"
+            />
+            <label htmlFor="device_is_active" className="ml-2 text-sm text-gray-700">
+              Active Device
+            </label>
+          </div>
+
+          <div className="flex justify-end space-x-3 pt-4">
+            <button
+              type="button"
+              onClick={closeEditModal}
+              className="btn btn-secondary"
+              disabled={processing}
+            >
+              Cancel
+            </button>
+            <button
+              type="submit"
+              className="btn btn-primary"
+              disabled={processing}
+            >
+              {processing ? 'Saving...' : 'Update Device'}
+            </button>
+          </div>
+        </form>
+      </Modal>
+
+      {/* Configuration Profile Modal */}
+      <Modal
+        isOpen={isProfileModalOpen}
+        onClose={closeProfileModal}
+        title={editingProfile ? `Edit ${editingProfile.name}` : 'New Configuration Profile'}
+      >
+        <form onSubmit={handleSaveProfile} className="space-y-4">
+          <div>
+            <label className="label">Name *</label>
+            <input
+              type="text"
+              value={profileForm.name}
+              onChange={(e) => setProfileForm({ ...profileForm, name: e.target.value })}
+              className="input w-full"
+              required
+            />
+          </div>
+
+          {!editingProfile && (
+            <div className="grid grid-cols-2 gap-4">
+              <div>
+                <label className="label">Applies To *</label>
+                <select
+                  value={profileForm.scope}
+                  onChange={(e) => setProfileForm({ ...profileForm, scope: e.target.value })}
+                  className="input w-full"
+                >
+                  {Object.entries(PROFILE_SCOPE_LABELS).map(([value, label]) => (
+                    <option key={value} value={value}>{label}</option>
+                  ))}
+                </select>
+              </div>
+
+              {profileForm.scope === 'device' ? (
+                <div>
+                  <label className="label">Device *</label>
+                  <select
+                    value={profileForm.device_id}
+                    onChange={(e) => setProfileForm({ ...profileForm, device_id: e.target.value })}
+                    className="input w-full"
+                    required
+                  >
+                    <option value="">Select device</option>
+                    {devices.map((device) => (
+                      <option key={device.id} value={device.id}>{device.device_name || device.device_uuid}</option>
+                    ))}
+                  </select>
+                </div>
+              ) : (
+                <div>
+                  <label className="label">Company *</label>
+                  <select
+                    value={profileForm.company_id}
+                    onChange={(e) => setProfileForm({ ...profileForm, company_id: e.target.value })}
+                    className="input w-full"
+                    required
+                  >
+                    <option value="">Select company</option>
+                    {companies.map((company) => (
+                      <option key={company.id} value={company.id}>{company.name}</option>
+                    ))}
+                  </select>
+                </div>
+              )}
+
+              {profileForm.scope === 'location' && (
+                <div className="col-span-2">
+                  <label className="label">Location Group *</label>
+                  <input
+                    type="text"
+                    value={profileForm.location_group}
+                    onChange={(e) => setProfileForm({ ...profileForm, location_group: e.target.value })}
+                    className="input w-full"
+                    placeholder="building-a"
+                    required
+                  />
+                </div>
+              )}
+            </div>
+          )}
+
+          <p className="text-xs text-gray-500">Leave a setting blank to inherit it.</p>
+
+          <div className="grid grid-cols-2 gap-4">
+            {CONFIG_FIELDS.map((field) => (
+              <div key={field.key}>
+                <label className="label">{field.label}</label>
+                <input
+                  type="number"
+                  min={field.min}
+                  max={field.max}
+                  value={profileForm[field.key]}
+                  onChange={(e) => setProfileForm({ ...profileForm, [field.key]: e.target.value })}
+                  className="input w-full"
+                />
+              </div>
+            ))}
+          </div>
+
+          <div>
+            <label className="label">LCD Location Label</label>
+            <input
+              type="text"
+              value={profileForm.location}
+              onChange={(e) => setProfileForm({ ...profileForm, location: e.target.value })}
+              className="input w-full"
+              maxLength={64}
+            />
+          </div>
+
+          {editingProfile && (
+            <div className="flex items-center">
+              <input
+                type="checkbox"
+                id="profile_is_active"
+                checked={profileForm.is_active}
+                onChange={(e) => setProfileForm({ ...profileForm, is_active: e.target.checked })}
+                className="w-4 h-4 text-indigo-600 border-gray-300 rounded focus:ring-indigo-500"
+              />
+              <label htmlFor="profile_is_active" className="ml-2 text-sm text-gray-700">
+                Active Profile
+              </label>
+            </div>
+          )}
+
+          <div className="flex justify-end space-x-3 pt-4">
+            <button type="button" onClick={closeProfileModal} className="btn btn-secondary" disabled={processing}>
+              Cancel
+            </button>
+            <button type="submit" className="btn btn-primary" disabled={processing}>
+              {processing ? 'Saving...' : (editingProfile ? 'Update Profile' : 'Create Profile')}
+            </button>
+          </div>
+        </form>
+      </Modal>
+
+      {/* Device Commands Modal */}
+      <Modal
+        isOpen={!!commandDevice}
+        onClose={closeCommandsModal}
+        title={`Commands - ${commandDevice?.device_name || commandDevice?.device_uuid || ''}`}
+      >
+        <form onSubmit={handleSendCommand} className="space-y-4">
+          <div>
+            <label className="label">Command</label>
+            <select
+              value={commandForm.command}
+              onChange={(e) => setCommandForm({ ...commandForm, command: e.target.value })}
+              className="input w-full"
+            >
+              {COMMAND_OPTIONS.map((option) => (
+                <option key={option.value} value={option.value}>{option.label}</option>
+              ))}
+            </select>
+          </div>
+
+          {commandForm.command === 'display_message' && (
+            <div>
+              <label className="label">Message *</label>
+              <input
+                type="text"
+                value={commandForm.message}
+                onChange={(e) => setCommandForm({ ...commandForm, message: e.target.value })}
+                className="input w-full"
+                maxLength={32}
+                placeholder="Shown on the reader LCD (2 x 16 characters)"
+                required
+              />
+            </div>
+          )}
+
+          {commandForm.command === 'start_ota' && (
+            <div>
+              <label className="label">Firmware URL *</label>
+              <input
+                type="url"
+                value={commandForm.url}
+                onChange={(e) => setCommandForm({ ...commandForm, url: e.target.value })}
+                className="input w-full"
+                placeholder="https://example.com/firmware.bin"
+                required
+              />
+            </div>
+          )}
+
+          <div className="flex justify-end">
+            <button type="submit" className="btn btn-primary" disabled={processing}>
+              Send Command
+            </button>
+          </div>
+        </form>
+
+        <div className="mt-6">
+          <h4 className="text-sm font-semibold text-gray-900 mb-2">History</h4>
+          {deviceCommands.length === 0 ? (
+            <p className="text-sm text-gray-500">No commands sent to this device yet</p>
+          ) : (
+            <div className="divide-y divide-gray-200 max-h-80 overflow-y-auto">
+              {deviceCommands.map((command) => (
+                <div key={command.id} className="py-2 flex items-center justify-between text-sm">
+                  <div>
+                    <div className="font-medium text-gray-900">
+                      {COMMAND_OPTIONS.find(o => o.value === command.command)?.label || command.command}
+                    </div>
+                    <div className="text-xs text-gray-500">
+                      {format(new Date(command.created_at), 'dd MMM yyyy, HH:mm')}
+                      {command.users?.username && ` by ${command.users.username}`}
+                      {command.result && ` - ${command.result}`}
+                    </div>
+                  </div>
+                  <div className="flex items-center space-x-2">
+                    <span className={`px-2 py-0.5 rounded-full text-xs font-medium ${COMMAND_STATUS_STYLES[command.status] || ''}`}>
+                      {command.status}
+                    </span>
+                    {command.status === 'pending' && (
+                      <button
+                        onClick={() => handleCancelCommand(command.id)}
+                        className="text-gray-400 hover:text-red-600"
+                        title="Cancel command"
+                      >
+                        <XCircle className="w-4 h-4" />
+                      </button>
+                    )}
+                  </div>
+                </div>
+              ))}
+            </div>
+          )}
+        </div>
+      </Modal>
+
+      {/* Device Telemetry Modal */}
+      <Modal
+        isOpen={!!telemetryDevice}
+        onClose={closeTelemetryModal}
+        title={`Telemetry - ${telemetryDevice?.device_name || telemetryDevice?.device_uuid || ''}`}
+        size="large"
+      >
+        <div className="space-y-6">
+          <div className="flex items-center justify-between">
+            <div className="text-sm text-gray-600">
+              {telemetry?.latest ? (
+                <span>
+                  RSSI {telemetry.latest.rssi ?? '-'} dBm • Uptime {telemetry.latest.uptime_ms !== null ? formatDistanceToNow(new Date(Date.now() - telemetry.latest.uptime_ms)) : '-'}
+                  {' • '}Last reset: {telemetry.latest.reset_reason || 'unknown'}
+                </span>
+              ) : (
+                <span>No telemetry in this range</span>
+              )}
+            </div>
+            <select
+              value={telemetryHours}
+              onChange={(e) => changeTelemetryRange(parseInt(e.target.value))}
+              className="input w-auto"
+            >
+              {TELEMETRY_RANGES.map((range) => (
+                <option key={range.hours} value={range.hours}>{range.label}</option>
+              ))}
+            </select>
+          </div>
+
+          {telemetry?.samples.length > 0 && (
+            <>
+              <div>
+                <h4 className="text-sm font-semibold text-gray-900 mb-2">Signal & Memory</h4>
+                <ResponsiveContainer width="100%" height={220}>
+                  <LineChart data={telemetry.samples}>
+                    <CartesianGrid strokeDasharray="3 3" />
+                    <XAxis dataKey="recorded_at" tickFormatter={(time) => format(new Date(time), telemetryHours > 24 ? 'MMM dd' : 'HH:mm')} />
+                    <YAxis yAxisId="rssi" domain={[-100, 0]} />
+                    <YAxis yAxisId="heap" orientation="right" tickFormatter={(bytes) => `${Math.round(bytes / 1024)}K`} />
+                    <Tooltip labelFormatter={(time) => format(new Date(time), 'MMM dd, HH:mm')} />
+                    <Legend />
+                    <Line yAxisId="rssi" type="monotone" dataKey="rssi" stroke="#4f46e5" strokeWidth={2} dot={false} name="RSSI (dBm)" />
+                    <Line yAxisId="heap" type="monotone" dataKey="free_heap" stroke="#10b981" strokeWidth={2} dot={false} name="Free heap" />
+                    <Line yAxisId="heap" type="monotone" dataKey="min_free_heap" stroke="#f59e0b" strokeWidth={2} dot={false} name="Min free heap" />
+                  </LineChart>
+                </ResponsiveContainer>
+              </div>
+
+              <div>
+                <h4 className="text-sm font-semibold text-gray-900 mb-2">Errors & Buffer (since boot)</h4>
+                <ResponsiveContainer width="100%" height={220}>
+                  <LineChart data={telemetry.samples}>
+                    <CartesianGrid strokeDasharray="3 3" />
+                    <XAxis dataKey="recorded_at" tickFormatter={(time) => format(new Date(time), telemetryHours > 24 ? 'MMM dd' : 'HH:mm')} />
+                    <YAxis allowDecimals={false} />
+                    <Tooltip labelFormatter={(time) => format(new Date(time), 'MMM dd, HH:mm')} />
+                    <Legend />
+                    <Line type="stepAfter" dataKey="wifi_disconnects" stroke="#ef4444" strokeWidth={2} dot={false} name="Wi-Fi disconnects" />
+                    <Line type="stepAfter" dataKey="http_errors" stroke="#f59e0b" strokeWidth={2} dot={false} name="HTTP errors" />
+                    <Line type="stepAfter" dataKey="buffer_count" stroke="#4f46e5" strokeWidth={2} dot={false} name="Buffered events" />
+                  </LineChart>
+                </ResponsiveContainer>
+              </div>
+
+              {telemetry.restarts.length > 0 && (
+                <div>
+                  <h4 className="text-sm font-semibold text-gray-900 mb-2">Restarts</h4>
+                  <div className="divide-y divide-gray-100 text-sm">
+                    {telemetry.restarts.map((restart) => (
+                      <div key={restart.recorded_at} className="flex justify-between py-1">
+                        <span className="text-gray-600">{format(new Date(restart.recorded_at), 'MMM dd, HH:mm')}</span>
+                        <span className="font-medium text-gray-900">{restart.reset_reason || 'unknown'}</span>
+                      </div>
+                    ))}
+                  </div>
+                </div>
+              )}
+            </>
+          )}
+        </div>
+      </Modal>
+
       {processing && <SpinnerOverlay message="Processing..." />}
     </div>
   )
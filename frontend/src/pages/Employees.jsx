@@ -1,5 +1,5 @@
 import { useState, useEffect } from 'react'
-import { Plus, Pencil, Trash2, User, Mail, Phone, Building2, Search, Upload, CreditCard } from 'lucide-react'
+import { Plus, Pencil, Trash2, User, Mail, Phone, Building2, Search, Upload, CreditCard, Radio, Keyboard, KeyRound } from 'lucide-react'
 import { PageLoader, SpinnerOverlay } from '../components/Loaders'
 import SectionHeader from '../components/SectionHeader'
 import Modal from '../components/Modal'
@@ -7,6 +7,16 @@ import { useAuth } from '../context/AuthContext'
 import { PERMISSIONS } from '../utils/permissions'
 import api from '../utils/api'
 
+// Reasons offered when an employee's tag is replaced or blocked
+const TAG_BLOCK_REASONS = [
+  { value: 'lost', label: 'Lost' },
+  { value: 'stolen', label: 'Stolen' },
+  { value: 'damaged', label: 'Damaged' },
+  { value: 'retired', label: 'Retired' }
+]
+
+const getAssignedTag = (employee) => employee.rfid_tags?.find(tag => tag.status === 'assigned')
+
 export default function Employees() {
   const { user, hasPermission } = useAuth()
   const [employees, setEmployees] = useState([])
@@ -20,6 +30,16 @@ export default function Employees() {
   const [editingEmployee, setEditingEmployee] = useState(null)
   const [assigningTagEmployee, setAssigningTagEmployee] = useState(null)
   const [tagUid, setTagUid] = useState('')
+  const [tagMode, setTagMode] = useState('reader')
+  const [enrollDevices, setEnrollDevices] = useState([])
+  const [enrollDeviceId, setEnrollDeviceId] = useState('')
+  const [enrollment, setEnrollment] = useState(null)
+  const [secondsLeft, setSecondsLeft] = useState(0)
+  const [replacingEmployee, setReplacingEmployee] = useState(null)
+  const [replaceForm, setReplaceForm] = useState({ new_tag_uid: '', reason: 'lost' })
+  const [loginEmployee, setLoginEmployee] = useState(null)
+  const [loginAccount, setLoginAccount] = useState(null)
+  const [loginForm, setLoginForm] = useState({ username: '', password: '' })
   const [formData, setFormData] = useState({
     employee_id: '',
     name: '',
@@ -37,6 +57,36 @@ export default function Employees() {
     fetchData()
   }, [])
 
+  // Follow a pending enrollment session over the live feed and count down its timeout
+  useEffect(() => {
+    if (enrollment?.status !== 'pending') return
+
+    const ws = new WebSocket(import.meta.env.VITE_WS_URL)
+    ws.onmessage = (event) => {
+      try {
+        const message = JSON.parse(event.data)
+        if (message.type === 'tag_enrollment' && message.data?.session_id === enrollment.id) {
+          refreshEnrollment(enrollment.id)
+        }
+      } catch (err) {
+        console.error('WS message parse error:', err)
+      }
+    }
+
+    const timer = setInterval(() => {
+      const remaining = Math.max(0, Math.round((new Date(enrollment.expires_at) - Date.now()) / 1000))
+      setSecondsLeft(remaining)
+      if (remaining === 0) {
+        refreshEnrollment(enrollment.id, true)
+      }
+    }, 1000)
+
+    return () => {
+      try { ws.close() } catch {}
+      clearInterval(timer)
+    }
+  }, [enrollment?.id, enrollment?.status])
+
   const fetchData = async () => {
     try {
       setLoading(true)
@@ -104,16 +154,84 @@ export default function Employees() {
     setErrors({})
   }
 
-  const openTagModal = (employee) => {
+  const openTagModal = async (employee) => {
     setAssigningTagEmployee(employee)
     setTagUid('')
+    setTagMode('reader')
+    setEnrollment(null)
+    setEnrollDeviceId('')
     setIsTagModalOpen(true)
+
+    try {
+      const response = await api.getDevices()
+      const devices = response.data?.devices || response.data || []
+      setEnrollDevices(devices.filter(device => (
+        device.is_active !== false &&
+        (!device.company_id || device.company_id === employee.company_id)
+      )))
+    } catch (error) {
+      console.error('Error fetching readers:', error)
+    }
   }
 
   const closeTagModal = () => {
+    // Leaving the modal returns the reader to attendance mode
+    if (enrollment?.status === 'pending') {
+      api.cancelTagEnrollment(enrollment.id).catch(error => console.error('Error cancelling enrollment:', error))
+    }
     setIsTagModalOpen(false)
     setAssigningTagEmployee(null)
     setTagUid('')
+    setEnrollment(null)
+  }
+
+  const refreshEnrollment = async (sessionId, timedOut = false) => {
+    try {
+      const response = await api.getTagEnrollment(sessionId)
+      const session = response.data
+      // The server expires sessions when next asked; don't wait on clock skew
+      setEnrollment(timedOut && session.status === 'pending' ? { ...session, status: 'expired' } : session)
+      if (session.status === 'completed') {
+        fetchData()
+      }
+    } catch (error) {
+      console.error('Error fetching enrollment:', error)
+    }
+  }
+
+  const handleStartEnrollment = async () => {
+    if (!enrollDeviceId) {
+      alert('Please select a reader')
+      return
+    }
+
+    try {
+      setProcessing(true)
+      const response = await api.startTagEnrollment({
+        employee_id: assigningTagEmployee.id,
+        device_id: enrollDeviceId
+      })
+      setEnrollment(response.data)
+      setSecondsLeft(Math.round((new Date(response.data.expires_at) - Date.now()) / 1000))
+    } catch (error) {
+      console.error('Error starting enrollment:', error)
+      alert(error.message || 'Failed to start enrollment')
+    } finally {
+      setProcessing(false)
+    }
+  }
+
+  const handleCancelEnrollment = async () => {
+    try {
+      setProcessing(true)
+      const response = await api.cancelTagEnrollment(enrollment.id)
+      setEnrollment(response.data)
+    } catch (error) {
+      console.error('Error cancelling enrollment:', error)
+      refreshEnrollment(enrollment.id)
+    } finally {
+      setProcessing(false)
+    }
   }
 
   const validateForm = () => {
@@ -164,6 +282,90 @@ export default function Employees() {
     }
   }
 
+  const openReplaceModal = (employee) => {
+    setReplacingEmployee(employee)
+    setReplaceForm({ new_tag_uid: '', reason: 'lost' })
+  }
+
+  const closeReplaceModal = () => {
+    setReplacingEmployee(null)
+  }
+
+  // With a new UID the employee moves to it; without one the old tag is only blocked
+  const handleReplaceTag = async (e) => {
+    e.preventDefault()
+    const tag = getAssignedTag(replacingEmployee)
+    const newTagUid = replaceForm.new_tag_uid.trim()
+
+    if (!newTagUid && !confirm(`Block tag ${tag.uid} as ${replaceForm.reason} without a replacement?`)) return
+
+    try {
+      setProcessing(true)
+      if (newTagUid) {
+        await api.replaceTag(tag.id, { new_tag_uid: newTagUid, reason: replaceForm.reason })
+      } else {
+        await api.updateTagStatus(tag.id, replaceForm.reason)
+      }
+      await fetchData()
+      closeReplaceModal()
+    } catch (error) {
+      console.error('Error replacing tag:', error)
+      alert(error.message || 'Failed to replace tag')
+    } finally {
+      setProcessing(false)
+    }
+  }
+
+  const openLoginModal = async (employee) => {
+    setLoginEmployee(employee)
+    setLoginAccount(null)
+    setLoginForm({ username: employee.employee_id || '', password: '' })
+
+    try {
+      const response = await api.getEmployeeSelfService(employee.id)
+      setLoginAccount(response.data)
+      if (response.data) {
+        setLoginForm({ username: response.data.username, password: '' })
+      }
+    } catch (error) {
+      console.error('Error fetching self-service login:', error)
+    }
+  }
+
+  const closeLoginModal = () => {
+    setLoginEmployee(null)
+  }
+
+  const handleEnableLogin = async (e) => {
+    e.preventDefault()
+
+    try {
+      setProcessing(true)
+      await api.enableEmployeeSelfService(loginEmployee.id, loginForm)
+      closeLoginModal()
+    } catch (error) {
+      console.error('Error enabling self-service login:', error)
+      alert(error.message || 'Failed to enable login')
+    } finally {
+      setProcessing(false)
+    }
+  }
+
+  const handleDisableLogin = async () => {
+    if (!confirm(`Disable the self-service login of ${loginEmployee.name}?`)) return
+
+    try {
+      setProcessing(true)
+      await api.disableEmployeeSelfService(loginEmployee.id)
+      closeLoginModal()
+    } catch (error) {
+      console.error('Error disabling self-service login:', error)
+      alert(error.message || 'Failed to disable login')
+    } finally {
+      setProcessing(false)
+    }
+  }
+
   const handleAssignTag = async (e) => {
     e.preventDefault()
     if (!tagUid.trim()) {
@@ -321,11 +523,19 @@ export default function Employees() {
                       )}
                     </td>
                     <td className="px-6 py-4 whitespace-nowrap">
-                      {employee.rfid_tag ? (
-                        <span className="inline-flex items-center px-2.5 py-0.5 rounded-full text-xs font-medium bg-green-100 text-green-800">
-                          <CreditCard className="w-3 h-3 mr-1" />
-                          Assigned
-                        </span>
+                      {getAssignedTag(employee) ? (
+                        <div className="flex items-center space-x-2">
+                          <span className="inline-flex items-center px-2.5 py-0.5 rounded-full text-xs font-medium bg-green-100 text-green-800">
+                            <CreditCard className="w-3 h-3 mr-1" />
+                            <span className="font-mono">{getAssignedTag(employee).uid}</span>
+                          </span>
+                          <button
+                            onClick={() => openReplaceModal(employee)}
+                            className="text-sm text-indigo-600 hover:text-indigo-800 font-medium"
+                          >
+                            Replace
+                          </button>
+                        </div>
                       ) : (
                         <button
                           onClick={() => openTagModal(employee)}
@@ -346,6 +556,15 @@ export default function Employees() {
                     </td>
                     <td className="px-6 py-4 whitespace-nowrap text-right text-sm font-medium">
                       <div className="flex justify-end space-x-2">
+                        {hasPermission('MANAGE_SELF_SERVICE') && (
+                          <button
+                            onClick={() => openLoginModal(employee)}
+                            className="text-gray-600 hover:text-gray-900"
+                            title="Self-service login"
+                          >
+                            <KeyRound className="w-4 h-4" />
+                          </button>
+                        )}
                         <button
                           onClick={() => openModal(employee)}
                           className="text-indigo-600 hover:text-indigo-900"
@@ -499,42 +718,247 @@ export default function Employees() {
         title={`Assign RFID Tag to ${assigningTagEmployee?.name}`}
         size="small"
       >
-        <form onSubmit={handleAssignTag} className="space-y-4">
+        <div className="flex rounded-lg border border-gray-200 p-1 mb-4">
+          <button
+            type="button"
+            onClick={() => setTagMode('reader')}
+            disabled={enrollment?.status === 'pending'}
+            className={`flex-1 inline-flex items-center justify-center py-1.5 rounded-md text-sm font-medium ${tagMode === 'reader' ? 'bg-indigo-600 text-white' : 'text-gray-600'}`}
+          >
+            <Radio className="w-4 h-4 mr-1" />
+            Scan on Reader
+          </button>
+          <button
+            type="button"
+            onClick={() => setTagMode('manual')}
+            disabled={enrollment?.status === 'pending'}
+            className={`flex-1 inline-flex items-center justify-center py-1.5 rounded-md text-sm font-medium ${tagMode === 'manual' ? 'bg-indigo-600 text-white' : 'text-gray-600'}`}
+          >
+            <Keyboard className="w-4 h-4 mr-1" />
+            Enter UID
+          </button>
+        </div>
+
+        {tagMode === 'reader' ? (
+          <div className="space-y-4">
+            {!enrollment || enrollment.status !== 'pending' ? (
+              <>
+                <div>
+                  <label className="label">Reader</label>
+                  <select
+                    value={enrollDeviceId}
+                    onChange={(e) => setEnrollDeviceId(e.target.value)}
+                    className="input w-full"
+                  >
+                    <option value="">Select reader</option>
+                    {enrollDevices.map((device) => (
+                      <option key={device.id} value={device.id}>
+                        {device.device_name || device.device_uuid}{device.location && ` - ${device.location}`}
+                      </option>
+                    ))}
+                  </select>
+                  <p className="text-sm text-gray-500 mt-2">
+                    The next card scanned on this reader is assigned to {assigningTagEmployee?.name}
+                  </p>
+                </div>
+
+                {enrollment?.status === 'completed' && (
+                  <p className="text-sm text-green-700 bg-green-50 px-3 py-2 rounded">
+                    Tag <span className="font-mono">{enrollment.tag_uid}</span> assigned to {assigningTagEmployee?.name}
+                  </p>
+                )}
+                {enrollment?.status === 'failed' && (
+                  <p className="text-sm text-red-700 bg-red-50 px-3 py-2 rounded">
+                    {enrollment.error} (<span className="font-mono">{enrollment.tag_uid}</span>)
+                  </p>
+                )}
+                {['expired', 'cancelled'].includes(enrollment?.status) && (
+                  <p className="text-sm text-amber-700 bg-amber-50 px-3 py-2 rounded">
+                    {enrollment.status === 'expired' ? 'No card was scanned in time' : 'Enrollment cancelled'}
+                  </p>
+                )}
+
+                <div className="flex justify-end space-x-3 pt-4">
+                  <button type="button" onClick={closeTagModal} className="btn btn-secondary" disabled={processing}>
+                    {enrollment?.status === 'completed' ? 'Done' : 'Cancel'}
+                  </button>
+                  {enrollment?.status !== 'completed' && (
+                    <button
+                      type="button"
+                      onClick={handleStartEnrollment}
+                      className="btn btn-primary"
+                      disabled={processing || !enrollDeviceId}
+                    >
+                      {enrollment ? 'Try Again' : 'Start Enrollment'}
+                    </button>
+                  )}
+                </div>
+              </>
+            ) : (
+              <div className="text-center py-6">
+                <CreditCard className="w-12 h-12 text-indigo-600 mx-auto mb-3 animate-pulse" />
+                <p className="font-medium text-gray-900">
+                  Scan the card on {enrollment.devices?.device_name || enrollment.devices?.device_uuid}
+                </p>
+                <p className="text-sm text-gray-500 mt-1">Waiting... {secondsLeft}s left</p>
+                <button
+                  type="button"
+                  onClick={handleCancelEnrollment}
+                  className="btn btn-secondary mt-6"
+                  disabled={processing}
+                >
+                  Cancel Enrollment
+                </button>
+              </div>
+            )}
+          </div>
+        ) : (
+          <form onSubmit={handleAssignTag} className="space-y-4">
+            <div>
+              <label className="label">Tag UID</label>
+              <input
+                type="text"
+                value={tagUid}
+                onChange={(e) => setTagUid(e.target.value)}
+                className="input w-full font-mono"
+                placeholder="Enter tag UID (e.g., A1B2C3D4)"
+                autoFocus
+              />
+              <p className="text-sm text-gray-500 mt-2">
+                Enter the UID printed on the card or read with a desktop scanner
+              </p>
+            </div>
+
+            <div className="flex justify-end space-x-3 pt-4">
+              <button
+                type="button"
+                onClick={closeTagModal}
+                className="btn btn-secondary"
+                disabled={processing}
+              >
+                Cancel
+              </button>
+              <button
+                type="submit"
+                className="btn btn-primary"
+                disabled={processing}
+              >
+                {processing ? 'Assigning...' : 'Assign Tag'}
+              </button>
+            </div>
+          </form>
+        )}
+      </Modal>
+
+      {/* Replace Tag Modal */}
+      <Modal
+        isOpen={!!replacingEmployee}
+        onClose={closeReplaceModal}
+        title={`Replace Tag of ${replacingEmployee?.name}`}
+        size="small"
+      >
+        <form onSubmit={handleReplaceTag} className="space-y-4">
+          <p className="text-sm text-gray-600">
+            Current tag: <span className="font-mono">{replacingEmployee && getAssignedTag(replacingEmployee)?.uid}</span>.
+            It will be blocked, and scans of it will raise an alert.
+          </p>
+
+          <div>
+            <label className="label">Reason</label>
+            <select
+              value={replaceForm.reason}
+              onChange={(e) => setReplaceForm({ ...replaceForm, reason: e.target.value })}
+              className="input w-full"
+            >
+              {TAG_BLOCK_REASONS.map((reason) => (
+                <option key={reason.value} value={reason.value}>{reason.label}</option>
+              ))}
+            </select>
+          </div>
+
           <div>
-            <label className="label">Tag UID</label>
+            <label className="label">New Tag UID</label>
             <input
               type="text"
-              value={tagUid}
-              onChange={(e) => setTagUid(e.target.value)}
+              value={replaceForm.new_tag_uid}
+              onChange={(e) => setReplaceForm({ ...replaceForm, new_tag_uid: e.target.value })}
               className="input w-full font-mono"
-              placeholder="Enter tag UID (e.g., A1B2C3D4)"
-              autoFocus
+              placeholder="Leave empty to block only"
             />
-            <p className="text-sm text-gray-500 mt-2">
-              Scan the RFID card or enter the UID manually
-            </p>
           </div>
 
           <div className="flex justify-end space-x-3 pt-4">
-            <button
-              type="button"
-              onClick={closeTagModal}
-              className="btn btn-secondary"
-              disabled={processing}
-            >
+            <button type="button" onClick={closeReplaceModal} className="btn btn-secondary" disabled={processing}>
               Cancel
             </button>
-            <button
-              type="submit"
-              className="btn btn-primary"
-              disabled={processing}
-            >
-              {processing ? 'Assigning...' : 'Assign Tag'}
+            <button type="submit" className="btn btn-primary" disabled={processing}>
+              {replaceForm.new_tag_uid.trim() ? 'Replace Tag' : 'Block Tag'}
             </button>
           </div>
         </form>
       </Modal>
 
+      {/* Self-service Login Modal */}
+      <Modal
+        isOpen={!!loginEmployee}
+        onClose={closeLoginModal}
+        title={`Self-service Login of ${loginEmployee?.name}`}
+        size="small"
+      >
+        <form onSubmit={handleEnableLogin} className="space-y-4">
+          <p className="text-sm text-gray-600">
+            {loginAccount?.is_active
+              ? `Active as ${loginAccount.username}${loginAccount.last_login ? `, last signed in ${new Date(loginAccount.last_login).toLocaleString()}` : ''}. Saving sets a new password.`
+              : loginAccount
+                ? 'The login is disabled. Saving re-enables it with the password below.'
+                : 'The employee can sign in to see their own timesheet and request attendance corrections.'}
+          </p>
+
+          <div>
+            <label className="label">Username *</label>
+            <input
+              type="text"
+              value={loginForm.username}
+              onChange={(e) => setLoginForm({ ...loginForm, username: e.target.value })}
+              className="input w-full"
+              minLength={3}
+              required
+            />
+          </div>
+
+          <div>
+            <label className="label">Password *</label>
+            <input
+              type="password"
+              value={loginForm.password}
+              onChange={(e) => setLoginForm({ ...loginForm, password: e.target.value })}
+              className="input w-full"
+              placeholder="Upper and lower case, number, special character"
+              minLength={8}
+              required
+            />
+          </div>
+
+          <div className="flex justify-between pt-4">
+            <div>
+              {loginAccount?.is_active && (
+                <button type="button" onClick={handleDisableLogin} className="btn btn-danger" disabled={processing}>
+                  Disable Login
+                </button>
+              )}
+            </div>
+            <div className="flex space-x-3">
+              <button type="button" onClick={closeLoginModal} className="btn btn-secondary" disabled={processing}>
+                Cancel
+              </button>
+              <button type="submit" className="btn btn-primary" disabled={processing}>
+                {loginAccount?.is_active ? 'Set Password' : 'Enable Login'}
+              </button>
+            </div>
+          </div>
+        </form>
+      </Modal>
+
       {processing && <SpinnerOverlay message="Processing..." />}
     </div>
   )
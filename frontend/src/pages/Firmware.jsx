@@ -0,0 +1,603 @@
+import { useState, useEffect } from 'react'
+import { Cpu, Upload, Rocket, Trash2, Pause, Play, Ban, Eye, Percent } from 'lucide-react'
+import { PageLoader, SpinnerOverlay } from '../components/Loaders'
+import SectionHeader from '../components/SectionHeader'
+import Modal from '../components/Modal'
+import { useAuth } from '../context/AuthContext'
+import { formatDistanceToNow } from 'date-fns'
+import api from '../utils/api'
+
+const ROLLOUT_STATUS_STYLES = {
+  active: 'bg-green-100 text-green-800',
+  paused: 'bg-gray-100 text-gray-700',
+  halted: 'bg-red-100 text-red-800'
+}
+
+const DEVICE_STATUS_STYLES = {
+  offered: 'bg-gray-100 text-gray-700',
+  downloading: 'bg-blue-100 text-blue-800',
+  installed: 'bg-green-100 text-green-800',
+  failed: 'bg-red-100 text-red-800',
+  unhealthy: 'bg-amber-100 text-amber-800'
+}
+
+const EMPTY_ROLLOUT_FORM = {
+  release_id: '',
+  target: 'company',
+  company_id: '',
+  device_ids: [],
+  percentage: 10,
+  health_window_minutes: 30,
+  max_unhealthy: 1
+}
+
+/**
+ * Hex SHA-256 of a file, computed in the browser before upload
+ */
+async function sha256Hex(file) {
+  const digest = await crypto.subtle.digest('SHA-256', await file.arrayBuffer())
+  return Array.from(new Uint8Array(digest)).map(b => b.toString(16).padStart(2, '0')).join('')
+}
+
+export default function Firmware() {
+  const { user, hasPermission } = useAuth()
+  const [releases, setReleases] = useState([])
+  const [rollouts, setRollouts] = useState([])
+  const [companies, setCompanies] = useState([])
+  const [devices, setDevices] = useState([])
+  const [loading, setLoading] = useState(true)
+  const [processing, setProcessing] = useState(false)
+  const [isReleaseModalOpen, setIsReleaseModalOpen] = useState(false)
+  const [releaseForm, setReleaseForm] = useState({ version: '', release_notes: '', file: null })
+  const [isRolloutModalOpen, setIsRolloutModalOpen] = useState(false)
+  const [rolloutForm, setRolloutForm] = useState(EMPTY_ROLLOUT_FORM)
+  const [selectedRollout, setSelectedRollout] = useState(null)
+
+  const canRolloutToAll = hasPermission('VIEW_ALL_COMPANIES')
+  const canDeleteRelease = hasPermission('DELETE_FIRMWARE')
+
+  useEffect(() => {
+    fetchData()
+    // Rollout progress moves with device heartbeats
+    const interval = setInterval(fetchData, 30000)
+    return () => clearInterval(interval)
+  }, [])
+
+  const fetchData = async () => {
+    try {
+      const [releasesRes, rolloutsRes, companiesRes, devicesRes] = await Promise.all([
+        api.getFirmwareReleases(),
+        api.getFirmwareRollouts(),
+        api.getCompanies(),
+        api.getDevices()
+      ])
+      setReleases(releasesRes.data || [])
+      setRollouts(rolloutsRes.data || [])
+      setCompanies(companiesRes.data || [])
+      setDevices(devicesRes.data?.devices || devicesRes.data || [])
+    } catch (error) {
+      console.error('Error fetching firmware data:', error)
+    } finally {
+      setLoading(false)
+    }
+  }
+
+  const openReleaseModal = () => {
+    setReleaseForm({ version: '', release_notes: '', file: null })
+    setIsReleaseModalOpen(true)
+  }
+
+  const handleCreateRelease = async (e) => {
+    e.preventDefault()
+
+    try {
+      setProcessing(true)
+      const checksum = await sha256Hex(releaseForm.file)
+      const response = await api.createFirmwareRelease({
+        version: releaseForm.version,
+        release_notes: releaseForm.release_notes,
+        checksum_sha256: checksum
+      })
+      await api.uploadFirmwareBinary(response.data.id, releaseForm.file)
+      setIsReleaseModalOpen(false)
+      fetchData()
+    } catch (error) {
+      console.error('Error creating release:', error)
+      alert(error.message || 'Failed to create release')
+      fetchData()
+    } finally {
+      setProcessing(false)
+    }
+  }
+
+  const handleUploadBinary = async (release, file) => {
+    if (!file) return
+
+    try {
+      setProcessing(true)
+      await api.uploadFirmwareBinary(release.id, file)
+      fetchData()
+    } catch (error) {
+      console.error('Error uploading firmware:', error)
+      alert(error.message || 'Failed to upload firmware')
+    } finally {
+      setProcessing(false)
+    }
+  }
+
+  const handleDeleteRelease = async (release) => {
+    if (!confirm(`Delete firmware ${release.version}?`)) return
+
+    try {
+      setProcessing(true)
+      await api.deleteFirmwareRelease(release.id)
+      setReleases(releases.filter(r => r.id !== release.id))
+    } catch (error) {
+      console.error('Error deleting release:', error)
+      alert(error.message || 'Failed to delete release')
+    } finally {
+      setProcessing(false)
+    }
+  }
+
+  const openRolloutModal = (release) => {
+    setRolloutForm({
+      ...EMPTY_ROLLOUT_FORM,
+      release_id: release.id,
+      company_id: user?.company_id || ''
+    })
+    setIsRolloutModalOpen(true)
+  }
+
+  const toggleRolloutDevice = (deviceId) => {
+    const { device_ids } = rolloutForm
+    setRolloutForm({
+      ...rolloutForm,
+      device_ids: device_ids.includes(deviceId)
+        ? device_ids.filter(id => id !== deviceId)
+        : [...device_ids, deviceId]
+    })
+  }
+
+  const handleCreateRollout = async (e) => {
+    e.preventDefault()
+
+    try {
+      setProcessing(true)
+      await api.createFirmwareRollout({
+        ...rolloutForm,
+        company_id: rolloutForm.target === 'company' ? rolloutForm.company_id : undefined,
+        device_ids: rolloutForm.target === 'devices' ? rolloutForm.device_ids : undefined,
+        percentage: parseInt(rolloutForm.percentage),
+        health_window_minutes: parseInt(rolloutForm.health_window_minutes),
+        max_unhealthy: parseInt(rolloutForm.max_unhealthy)
+      })
+      setIsRolloutModalOpen(false)
+      fetchData()
+    } catch (error) {
+      console.error('Error starting rollout:', error)
+      alert(error.message || 'Failed to start rollout')
+    } finally {
+      setProcessing(false)
+    }
+  }
+
+  const handleUpdateRollout = async (rollout, data, message) => {
+    if (message && !confirm(message)) return
+
+    try {
+      setProcessing(true)
+      await api.updateFirmwareRollout(rollout.id, data)
+      fetchData()
+    } catch (error) {
+      console.error('Error updating rollout:', error)
+      alert(error.message || 'Failed to update rollout')
+    } finally {
+      setProcessing(false)
+    }
+  }
+
+  const handleWidenRollout = (rollout) => {
+    const value = prompt('New canary percentage (1-100)', String(Math.min(rollout.percentage * 2, 100)))
+    if (!value) return
+    const percentage = parseInt(value)
+    if (isNaN(percentage) || percentage < 1 || percentage > 100) {
+      alert('Enter a number between 1 and 100')
+      return
+    }
+    handleUpdateRollout(rollout, { percentage })
+  }
+
+  const openRolloutDetails = async (rollout) => {
+    try {
+      setProcessing(true)
+      const response = await api.getFirmwareRollout(rollout.id)
+      setSelectedRollout(response.data)
+    } catch (error) {
+      console.error('Error loading rollout:', error)
+      alert(error.message || 'Failed to load rollout')
+    } finally {
+      setProcessing(false)
+    }
+  }
+
+  const describeTarget = (rollout) => {
+    if (rollout.target === 'all') return 'All devices'
+    if (rollout.target === 'company') return rollout.companies?.name || 'Company'
+    return `${rollout.device_ids?.length || 0} selected device(s)`
+  }
+
+  if (loading) return <PageLoader message="Loading firmware..." />
+
+  return (
+    <div className="space-y-8">
+      <SectionHeader
+        title="Firmware"
+        subtitle="Upload reader firmware and roll it out in stages"
+        actions={
+          <button
+            onClick={openReleaseModal}
+            className="btn btn-primary flex items-center space-x-2"
+          >
+            <Upload className="w-5 h-5" />
+            <span>New Release</span>
+          </button>
+        }
+      />
+
+      {/* Releases */}
+      <div className="card">
+        <h3 className="text-lg font-semibold text-gray-900 mb-4">Releases</h3>
+        {releases.length === 0 ? (
+          <p className="text-sm text-gray-500">No firmware releases uploaded yet</p>
+        ) : (
+          <div className="divide-y divide-gray-200">
+            {releases.map((release) => (
+              <div key={release.id} className="flex items-start justify-between py-3 text-sm">
+                <div className="flex items-start space-x-3">
+                  <Cpu className="w-5 h-5 text-indigo-600 mt-0.5" />
+                  <div>
+                    <p className="font-medium text-gray-900">v{release.version}</p>
+                    <p className="text-gray-500">
+                      {release.uploaded_at
+                        ? `${(release.size_bytes / 1024).toFixed(0)} KB • uploaded ${formatDistanceToNow(new Date(release.uploaded_at), { addSuffix: true })}`
+                        : 'Binary not uploaded'}
+                      {' • '}
+                      <span className="font-mono">{release.checksum_sha256.substring(0, 12)}</span>
+                    </p>
+                    {release.release_notes && (
+                      <p className="text-gray-600 mt-1 whitespace-pre-line">{release.release_notes}</p>
+                    )}
+                  </div>
+                </div>
+                <div className="flex items-center space-x-3">
+                  {release.uploaded_at ? (
+                    <button
+                      onClick={() => openRolloutModal(release)}
+                      className="inline-flex items-center text-indigo-600 hover:text-indigo-800 font-medium"
+                    >
+                      <Rocket className="w-4 h-4 mr-1" />
+                      Start Rollout
+                    </button>
+                  ) : (
+                    <label className="inline-flex items-center text-indigo-600 hover:text-indigo-800 font-medium cursor-pointer">
+                      <Upload className="w-4 h-4 mr-1" />
+                      Upload .bin
+                      <input
+                        type="file"
+                        accept=".bin"
+                        className="hidden"
+                        onChange={(e) => handleUploadBinary(release, e.target.files[0])}
+                      />
+                    </label>
+                  )}
+                  {canDeleteRelease && (
+                    <button
+                      onClick={() => handleDeleteRelease(release)}
+                      className="text-red-600 hover:text-red-800"
+                      title="Delete release"
+                    >
+                      <Trash2 className="w-4 h-4" />
+                    </button>
+                  )}
+                </div>
+              </div>
+            ))}
+          </div>
+        )}
+      </div>
+
+      {/* Rollouts */}
+      <div className="card">
+        <h3 className="text-lg font-semibold text-gray-900 mb-4">Rollouts</h3>
+        {rollouts.length === 0 ? (
+          <p className="text-sm text-gray-500">No rollouts started yet</p>
+        ) : (
+          <div className="divide-y divide-gray-200">
+            {rollouts.map((rollout) => (
+              <div key={rollout.id} className="flex items-start justify-between py-3 text-sm">
+                <div>
+                  <p className="font-medium text-gray-900">
+                    v{rollout.firmware_releases?.version} → {describeTarget(rollout)}
+                    <span className={`ml-2 px-2 py-0.5 rounded-full text-xs font-medium ${ROLLOUT_STATUS_STYLES[rollout.status]}`}>
+                      {rollout.status}
+                    </span>
+                  </p>
+                  <p className="text-gray-500">
+                    {rollout.percentage}% canary • {rollout.counts.installed} installed • {rollout.counts.offered + rollout.counts.downloading} in progress
+                    {' • '}{rollout.counts.failed} failed • {rollout.counts.unhealthy} unhealthy
+                  </p>
+                  {rollout.halt_reason && (
+                    <p className="text-red-600 mt-1">{rollout.halt_reason}</p>
+                  )}
+                </div>
+                <div className="flex items-center space-x-3">
+                  <button
+                    onClick={() => openRolloutDetails(rollout)}
+                    className="text-gray-500 hover:text-indigo-600"
+                    title="Device details"
+                  >
+                    <Eye className="w-4 h-4" />
+                  </button>
+                  {rollout.status === 'active' && rollout.percentage < 100 && (
+                    <button
+                      onClick={() => handleWidenRollout(rollout)}
+                      className="text-gray-500 hover:text-indigo-600"
+                      title="Widen canary"
+                    >
+                      <Percent className="w-4 h-4" />
+                    </button>
+                  )}
+                  {rollout.status === 'active' ? (
+                    <button
+                      onClick={() => handleUpdateRollout(rollout, { status: 'paused' })}
+                      className="text-gray-500 hover:text-amber-600"
+                      title="Pause rollout"
+                    >
+                      <Pause className="w-4 h-4" />
+                    </button>
+                  ) : (
+                    <button
+                      onClick={() => handleUpdateRollout(
+                        rollout,
+                        { status: 'active' },
+                        rollout.status === 'halted' ? 'Resume this halted rollout?' : null
+                      )}
+                      className="text-gray-500 hover:text-green-600"
+                      title="Resume rollout"
+                    >
+                      <Play className="w-4 h-4" />
+                    </button>
+                  )}
+                  {rollout.status !== 'halted' && (
+                    <button
+                      onClick={() => handleUpdateRollout(rollout, { status: 'halted' }, 'Halt this rollout? Pending offers are withdrawn.')}
+                      className="text-gray-500 hover:text-red-600"
+                      title="Halt rollout"
+                    >
+                      <Ban className="w-4 h-4" />
+                    </button>
+                  )}
+                </div>
+              </div>
+            ))}
+          </div>
+        )}
+      </div>
+
+      {/* New Release Modal */}
+      <Modal
+        isOpen={isReleaseModalOpen}
+        onClose={() => setIsReleaseModalOpen(false)}
+        title="New Firmware Release"
+        size="small"
+      >
+        <form onSubmit={handleCreateRelease} className="space-y-4">
+          <div>
+            <label className="label">Version *</label>
+            <input
+              type="text"
+              value={releaseForm.version}
+              onChange={(e) => setReleaseForm({ ...releaseForm, version: e.target.value })}
+              className="input w-full"
+              placeholder="2.1.0"
+              required
+            />
+            <p className="text-xs text-gray-500 mt-1">Must match FIRMWARE_VERSION in the sketch</p>
+          </div>
+
+          <div>
+            <label className="label">Binary (.bin) *</label>
+            <input
+              type="file"
+              accept=".bin"
+              onChange={(e) => setReleaseForm({ ...releaseForm, file: e.target.files[0] || null })}
+              className="input w-full"
+              required
+            />
+          </div>
+
+          <div>
+            <label className="label">Release Notes</label>
+            <textarea
+              value={releaseForm.release_notes}
+              onChange={(e) => setReleaseForm({ ...releaseForm, release_notes: e.target.value })}
+              className="input w-full"
+              rows={3}
+            />
+          </div>
+
+          <div className="flex justify-end space-x-3 pt-4">
+            <button type="button" onClick={() => setIsReleaseModalOpen(false)} className="btn btn-secondary" disabled={processing}>
+              Cancel
+            </button>
+            <button type="submit" className="btn btn-primary" disabled={processing}>
+              {processing ? 'Uploading...' : 'Upload Release'}
+            </button>
+          </div>
+        </form>
+      </Modal>
+
+      {/* Start Rollout Modal */}
+      <Modal
+        isOpen={isRolloutModalOpen}
+        onClose={() => setIsRolloutModalOpen(false)}
+        title="Start Rollout"
+      >
+        <form onSubmit={handleCreateRollout} className="space-y-4">
+          <div>
+            <label className="label">Target *</label>
+            <select
+              value={rolloutForm.target}
+              onChange={(e) => setRolloutForm({ ...rolloutForm, target: e.target.value })}
+              className="input w-full"
+            >
+              {canRolloutToAll && <option value="all">All devices</option>}
+              <option value="company">One company</option>
+              <option value="devices">Selected devices</option>
+            </select>
+          </div>
+
+          {rolloutForm.target === 'company' && (
+            <div>
+              <label className="label">Company *</label>
+              <select
+                value={rolloutForm.company_id}
+                onChange={(e) => setRolloutForm({ ...rolloutForm, company_id: e.target.value })}
+                className="input w-full"
+                required
+              >
+                <option value="">Select company</option>
+                {companies.map((company) => (
+                  <option key={company.id} value={company.id}>{company.name}</option>
+                ))}
+              </select>
+            </div>
+          )}
+
+          {rolloutForm.target === 'devices' && (
+            <div>
+              <label className="label">Devices *</label>
+              <div className="max-h-48 overflow-y-auto border border-gray-200 rounded-lg divide-y divide-gray-100">
+                {devices.map((device) => (
+                  <label key={device.id} className="flex items-center px-3 py-2 text-sm">
+                    <input
+                      type="checkbox"
+                      checked={rolloutForm.device_ids.includes(device.id)}
+                      onChange={() => toggleRolloutDevice(device.id)}
+                      className="w-4 h-4 mr-2 text-indigo-600 border-gray-300 rounded"
+                    />
+                    {device.device_name || device.device_uuid}
+                    <span className="ml-auto text-xs text-gray-500">
+                      {device.firmware_version ? `v${device.firmware_version}` : 'unknown'}
+                    </span>
+                  </label>
+                ))}
+              </div>
+            </div>
+          )}
+
+          <div className="grid grid-cols-3 gap-4">
+            <div>
+              <label className="label">Canary %</label>
+              <input
+                type="number"
+                min={1}
+                max={100}
+                value={rolloutForm.percentage}
+                onChange={(e) => setRolloutForm({ ...rolloutForm, percentage: e.target.value })}
+                className="input w-full"
+                required
+              />
+            </div>
+            <div>
+              <label className="label">Health Window (min)</label>
+              <input
+                type="number"
+                min={5}
+                max={1440}
+                value={rolloutForm.health_window_minutes}
+                onChange={(e) => setRolloutForm({ ...rolloutForm, health_window_minutes: e.target.value })}
+                className="input w-full"
+                required
+              />
+            </div>
+            <div>
+              <label className="label">Halt After</label>
+              <input
+                type="number"
+                min={1}
+                value={rolloutForm.max_unhealthy}
+                onChange={(e) => setRolloutForm({ ...rolloutForm, max_unhealthy: e.target.value })}
+                className="input w-full"
+                required
+              />
+            </div>
+          </div>
+          <p className="text-xs text-gray-500">
+            The rollout halts once this many upgraded readers miss heartbeats for the health window.
+          </p>
+
+          <div className="flex justify-end space-x-3 pt-4">
+            <button type="button" onClick={() => setIsRolloutModalOpen(false)} className="btn btn-secondary" disabled={processing}>
+              Cancel
+            </button>
+            <button
+              type="submit"
+              className="btn btn-primary"
+              disabled={processing || (rolloutForm.target === 'devices' && rolloutForm.device_ids.length === 0)}
+            >
+              Start Rollout
+            </button>
+          </div>
+        </form>
+      </Modal>
+
+      {/* Rollout Details Modal */}
+      <Modal
+        isOpen={!!selectedRollout}
+        onClose={() => setSelectedRollout(null)}
+        title={`Rollout of v${selectedRollout?.firmware_releases?.version || ''}`}
+        size="large"
+      >
+        {selectedRollout && (
+          selectedRollout.firmware_rollout_devices.length === 0 ? (
+            <p className="text-sm text-gray-500">No device has been offered this release yet</p>
+          ) : (
+            <table className="min-w-full text-sm">
+              <thead>
+                <tr className="text-left text-gray-500 border-b border-gray-200">
+                  <th className="py-2">Device</th>
+                  <th className="py-2">From</th>
+                  <th className="py-2">Status</th>
+                  <th className="py-2">Offered</th>
+                  <th className="py-2">Last Seen</th>
+                </tr>
+              </thead>
+              <tbody className="divide-y divide-gray-100">
+                {selectedRollout.firmware_rollout_devices.map((row) => (
+                  <tr key={row.id}>
+                    <td className="py-2 font-medium text-gray-900">{row.devices?.device_name || row.devices?.device_uuid}</td>
+                    <td className="py-2 text-gray-600">{row.from_version ? `v${row.from_version}` : '-'}</td>
+                    <td className="py-2">
+                      <span className={`px-2 py-0.5 rounded-full text-xs font-medium ${DEVICE_STATUS_STYLES[row.status]}`}>
+                        {row.status}
+                      </span>
+                      {row.error && <span className="ml-2 text-xs text-red-600">{row.error}</span>}
+                    </td>
+                    <td className="py-2 text-gray-600">{formatDistanceToNow(new Date(row.offered_at), { addSuffix: true })}</td>
+                    <td className="py-2 text-gray-600">
+                      {row.devices?.last_seen ? formatDistanceToNow(new Date(row.devices.last_seen), { addSuffix: true }) : 'Never'}
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          )
+        )}
+      </Modal>
+
+      {processing && <SpinnerOverlay message="Processing..." />}
+    </div>
+  )
+}
@@ -0,0 +1,848 @@
+import { useState, useEffect } from 'react'
+import { Palmtree, Plus, Edit, Trash2, Check, X, XCircle, PartyPopper } from 'lucide-react'
+import { PageLoader, SpinnerOverlay } from '../components/Loaders'
+import SectionHeader from '../components/SectionHeader'
+import Modal from '../components/Modal'
+import LeaveRequestModal, { LEAVE_STATUS_STYLES, formatLeaveDates } from '../components/LeaveRequestModal'
+import { useAuth } from '../context/AuthContext'
+import { ROLES } from '../utils/permissions'
+import { format } from 'date-fns'
+import api from '../utils/api'
+
+const emptyTypeForm = () => ({
+  company_id: '',
+  name: '',
+  code: '',
+  is_paid: true,
+  annual_allowance: ''
+})
+
+const emptyHolidayForm = () => ({
+  date: '',
+  name: '',
+  company_id: ''
+})
+
+export default function Leave() {
+  const { user } = useAuth()
+  const canChooseCompany = user?.role === ROLES.INCUBATION_HEAD
+  const currentYear = new Date().getFullYear()
+
+  const [year, setYear] = useState(currentYear)
+  const [companyFilter, setCompanyFilter] = useState('')
+  const [companies, setCompanies] = useState([])
+  const [loading, setLoading] = useState(true)
+  const [processing, setProcessing] = useState(false)
+
+  const [requests, setRequests] = useState([])
+  const [requestFilter, setRequestFilter] = useState('pending')
+  const [review, setReview] = useState(null)
+  const [reviewNote, setReviewNote] = useState('')
+
+  const [leaveTypes, setLeaveTypes] = useState([])
+  const [editingType, setEditingType] = useState(null)
+  const [showTypeModal, setShowTypeModal] = useState(false)
+  const [typeForm, setTypeForm] = useState(emptyTypeForm)
+
+  const [holidays, setHolidays] = useState([])
+  const [showHolidayModal, setShowHolidayModal] = useState(false)
+  const [holidayForm, setHolidayForm] = useState(emptyHolidayForm)
+
+  const [employees, setEmployees] = useState([])
+  const [selectedEmployeeId, setSelectedEmployeeId] = useState('')
+  const [balances, setBalances] = useState([])
+  const [editingBalance, setEditingBalance] = useState(null)
+  const [balanceForm, setBalanceForm] = useState({ allocated: '', note: '' })
+  const [showRequestModal, setShowRequestModal] = useState(false)
+
+  const selectedEmployee = employees.find(employee => employee.id === selectedEmployeeId) || null
+  const companyEmployees = employees.filter(employee =>
+    !companyFilter || String(employee.company_id) === String(companyFilter))
+
+  useEffect(() => {
+    if (canChooseCompany) {
+      api.getCompanies()
+        .then(response => setCompanies(response.data || []))
+        .catch(error => console.error('Error fetching companies:', error))
+    }
+    api.getEmployees({ limit: 1000 })
+      .then(response => setEmployees((response.data || []).filter(employee => employee.is_active !== false)))
+      .catch(error => console.error('Error fetching employees:', error))
+  }, [])
+
+  useEffect(() => {
+    Promise.all([fetchLeaveTypes(), fetchHolidays()]).finally(() => setLoading(false))
+  }, [companyFilter, year])
+
+  useEffect(() => {
+    fetchRequests()
+  }, [companyFilter, requestFilter])
+
+  useEffect(() => {
+    fetchBalances()
+  }, [selectedEmployeeId, year])
+
+  const fetchLeaveTypes = async () => {
+    try {
+      const params = { include_inactive: 'true' }
+      if (companyFilter) params.company_id = companyFilter
+      const response = await api.getLeaveTypes(params)
+      setLeaveTypes(response.data || [])
+    } catch (error) {
+      console.error('Error fetching leave types:', error)
+    }
+  }
+
+  const fetchHolidays = async () => {
+    try {
+      const params = { year }
+      if (companyFilter) params.company_id = companyFilter
+      const response = await api.getHolidays(params)
+      setHolidays(response.data || [])
+    } catch (error) {
+      console.error('Error fetching holidays:', error)
+    }
+  }
+
+  const fetchRequests = async () => {
+    try {
+      const params = {}
+      if (requestFilter) params.status = requestFilter
+      if (companyFilter) params.company_id = companyFilter
+      const response = await api.getLeaveRequests(params)
+      setRequests(response.data || [])
+    } catch (error) {
+      console.error('Error fetching leave requests:', error)
+    }
+  }
+
+  const fetchBalances = async () => {
+    if (!selectedEmployeeId) {
+      setBalances([])
+      return
+    }
+
+    try {
+      const response = await api.getLeaveBalances({ employee_id: selectedEmployeeId, year })
+      setBalances(response.data?.balances || [])
+    } catch (error) {
+      console.error('Error fetching leave balances:', error)
+      setBalances([])
+    }
+  }
+
+  // Requests
+
+  const openReview = (request, action) => {
+    setReview({ request, action })
+    setReviewNote('')
+  }
+
+  const handleReview = async (e) => {
+    e.preventDefault()
+
+    try {
+      setProcessing(true)
+      const data = { note: reviewNote || undefined }
+      if (review.action === 'approve') {
+        await api.approveLeave(review.request.id, data)
+      } else {
+        await api.rejectLeave(review.request.id, data)
+      }
+      setReview(null)
+      fetchRequests()
+      fetchBalances()
+    } catch (error) {
+      console.error(`Error ${review.action === 'approve' ? 'approving' : 'rejecting'} leave:`, error)
+      alert(error.message || 'Failed to review leave request')
+    } finally {
+      setProcessing(false)
+    }
+  }
+
+  const handleCancelRequest = async (request) => {
+    const message = request.status === 'approved'
+      ? `Revoke approved leave of ${request.employees?.name}? The days return to their balance.`
+      : 'Withdraw this leave request?'
+    if (!confirm(message)) return
+
+    try {
+      setProcessing(true)
+      await api.cancelLeave(request.id)
+      fetchRequests()
+      fetchBalances()
+    } catch (error) {
+      console.error('Error cancelling leave:', error)
+      alert(error.message || 'Failed to cancel leave')
+    } finally {
+      setProcessing(false)
+    }
+  }
+
+  // Admins need a second reviewer for their own requests; incubation heads do not
+  const canApprove = (request) =>
+    user?.role === ROLES.INCUBATION_HEAD || request.requested_by !== user?.id
+
+  const canCancel = (request) =>
+    request.status === 'approved' || (request.status === 'pending' && request.requested_by === user?.id)
+
+  // Leave types
+
+  const openTypeModal = (leaveType = null) => {
+    setEditingType(leaveType)
+    setTypeForm(leaveType
+      ? {
+        company_id: leaveType.company_id,
+        name: leaveType.name,
+        code: leaveType.code || '',
+        is_paid: leaveType.is_paid,
+        annual_allowance: leaveType.annual_allowance ?? ''
+      }
+      : { ...emptyTypeForm(), company_id: companyFilter })
+    setShowTypeModal(true)
+  }
+
+  const handleSaveType = async (e) => {
+    e.preventDefault()
+
+    const { company_id, ...fields } = typeForm
+    const data = {
+      ...fields,
+      code: fields.code || null,
+      annual_allowance: fields.annual_allowance === '' ? null : Number(fields.annual_allowance)
+    }
+
+    try {
+      setProcessing(true)
+      if (editingType) {
+        await api.updateLeaveType(editingType.id, data)
+      } else {
+        await api.createLeaveType({ ...data, ...(canChooseCompany && { company_id }) })
+      }
+      setShowTypeModal(false)
+      fetchLeaveTypes()
+      fetchBalances()
+    } catch (error) {
+      console.error('Error saving leave type:', error)
+      alert(error.message || 'Failed to save leave type')
+    } finally {
+      setProcessing(false)
+    }
+  }
+
+  const handleToggleType = async (leaveType) => {
+    try {
+      setProcessing(true)
+      await api.updateLeaveType(leaveType.id, { is_active: !leaveType.is_active })
+      fetchLeaveTypes()
+      fetchBalances()
+    } catch (error) {
+      console.error('Error updating leave type:', error)
+      alert(error.message || 'Failed to update leave type')
+    } finally {
+      setProcessing(false)
+    }
+  }
+
+  // Holidays
+
+  const openHolidayModal = () => {
+    setHolidayForm({ ...emptyHolidayForm(), date: `${year}-01-01`, company_id: companyFilter })
+    setShowHolidayModal(true)
+  }
+
+  const handleAddHoliday = async (e) => {
+    e.preventDefault()
+
+    try {
+      setProcessing(true)
+      await api.createHoliday({
+        date: holidayForm.date,
+        name: holidayForm.name,
+        ...(canChooseCompany && holidayForm.company_id && { company_id: holidayForm.company_id })
+      })
+      setShowHolidayModal(false)
+      fetchHolidays()
+    } catch (error) {
+      console.error('Error adding holiday:', error)
+      alert(error.message || 'Failed to add holiday')
+    } finally {
+      setProcessing(false)
+    }
+  }
+
+  const handleDeleteHoliday = async (holiday) => {
+    if (!confirm(`Remove ${holiday.name} on ${holiday.date}?`)) return
+
+    try {
+      setProcessing(true)
+      await api.deleteHoliday(holiday.id)
+      fetchHolidays()
+    } catch (error) {
+      console.error('Error removing holiday:', error)
+      alert(error.message || 'Failed to remove holiday')
+    } finally {
+      setProcessing(false)
+    }
+  }
+
+  const canDeleteHoliday = (holiday) => canChooseCompany || !!holiday.company_id
+
+  // Balances
+
+  const openBalanceModal = (balance) => {
+    setEditingBalance(balance)
+    setBalanceForm({ allocated: balance.allocated ?? '', note: balance.note || '' })
+  }
+
+  const handleSaveBalance = async (e) => {
+    e.preventDefault()
+
+    try {
+      setProcessing(true)
+      const response = await api.setLeaveBalance({
+        employee_id: selectedEmployeeId,
+        leave_type_id: editingBalance.leave_type_id,
+        year,
+        allocated: Number(balanceForm.allocated),
+        note: balanceForm.note || null
+      })
+      setBalances(response.data?.balances || [])
+      setEditingBalance(null)
+    } catch (error) {
+      console.error('Error saving allocation:', error)
+      alert(error.message || 'Failed to save allocation')
+    } finally {
+      setProcessing(false)
+    }
+  }
+
+  if (loading) return <PageLoader message="Loading leave..." />
+
+  return (
+    <div className="space-y-8">
+      <SectionHeader
+        title="Leave & Holidays"
+        subtitle="Holiday calendar, leave types, balances and leave requests; approved leave shows as on leave in reports"
+        actions={
+          <div className="flex items-center gap-3">
+            {canChooseCompany && (
+              <select
+                value={companyFilter}
+                onChange={(e) => setCompanyFilter(e.target.value)}
+                className="input w-56"
+              >
+                <option value="">All Companies</option>
+                {companies.map(company => (
+                  <option key={company.id} value={company.id}>{company.name}</option>
+                ))}
+              </select>
+            )}
+            <select
+              value={year}
+              onChange={(e) => setYear(Number(e.target.value))}
+              className="input w-28"
+            >
+              {[currentYear - 1, currentYear, currentYear + 1].map(value => (
+                <option key={value} value={value}>{value}</option>
+              ))}
+            </select>
+          </div>
+        }
+      />
+
+      {/* Leave Requests */}
+      <div className="card">
+        <div className="flex items-center justify-between mb-4">
+          <h3 className="text-lg font-semibold text-gray-900">Leave Requests</h3>
+          <select
+            value={requestFilter}
+            onChange={(e) => setRequestFilter(e.target.value)}
+            className="input w-44"
+          >
+            <option value="pending">Pending</option>
+            <option value="approved">Approved</option>
+            <option value="rejected">Rejected</option>
+            <option value="cancelled">Cancelled</option>
+            <option value="">All</option>
+          </select>
+        </div>
+
+        {requests.length === 0 ? (
+          <p className="text-sm text-gray-500">No leave requests</p>
+        ) : (
+          <div className="overflow-x-auto">
+            <table className="min-w-full text-sm">
+              <thead>
+                <tr className="text-left text-gray-500 border-b">
+                  <th className="py-2 pr-4">Employee</th>
+                  {canChooseCompany && <th className="py-2 pr-4">Company</th>}
+                  <th className="py-2 pr-4">Leave</th>
+                  <th className="py-2 pr-4">Dates</th>
+                  <th className="py-2 pr-4">Days</th>
+                  <th className="py-2 pr-4">Reason</th>
+                  <th className="py-2 pr-4">Requested By</th>
+                  <th className="py-2 pr-4">Status</th>
+                  <th className="py-2 pr-4"></th>
+                </tr>
+              </thead>
+              <tbody className="divide-y divide-gray-100">
+                {requests.map((request) => (
+                  <tr key={request.id}>
+                    <td className="py-2 pr-4">
+                      {request.employees?.name}
+                      {request.employees?.employee_id && <span className="ml-2 text-xs text-gray-500">{request.employees.employee_id}</span>}
+                    </td>
+                    {canChooseCompany && <td className="py-2 pr-4 text-gray-600">{request.companies?.name}</td>}
+                    <td className="py-2 pr-4">{request.leave_types?.name}</td>
+                    <td className="py-2 pr-4 whitespace-nowrap">{formatLeaveDates(request)}</td>
+                    <td className="py-2 pr-4">{request.days}</td>
+                    <td className="py-2 pr-4 text-gray-600">{request.reason || '—'}</td>
+                    <td className="py-2 pr-4">
+                      {request.requester?.full_name || request.requester?.username || '—'}
+                      {request.requested_via === 'self_service' && <span className="ml-2 text-xs text-gray-500">self-service</span>}
+                      <div className="text-xs text-gray-500">{format(new Date(request.created_at), 'MMM dd, HH:mm')}</div>
+                    </td>
+                    <td className="py-2 pr-4">
+                      <span className={`px-2 py-0.5 rounded-full text-xs font-medium ${LEAVE_STATUS_STYLES[request.status]}`}>
+                        {request.status}
+                      </span>
+                      {request.reviewer && (
+                        <div className="text-xs text-gray-500">
+                          by {request.reviewer.full_name || request.reviewer.username}
+                          {request.review_note && ` • ${request.review_note}`}
+                        </div>
+                      )}
+                    </td>
+                    <td className="py-2 pr-4 text-right whitespace-nowrap">
+                      <div className="inline-flex items-center space-x-3">
+                        {request.status === 'pending' && (
+                          <>
+                            <button
+                              onClick={() => openReview(request, 'approve')}
+                              className="inline-flex items-center text-green-600 hover:text-green-800 font-medium disabled:opacity-40"
+                              disabled={!canApprove(request)}
+                              title={canApprove(request) ? 'Approve' : 'Another admin must approve your own request'}
+                            >
+                              <Check className="w-4 h-4 mr-1" />
+                              Approve
+                            </button>
+                            <button
+                              onClick={() => openReview(request, 'reject')}
+                              className="inline-flex items-center text-red-600 hover:text-red-800 font-medium"
+                            >
+                              <X className="w-4 h-4 mr-1" />
+                              Reject
+                            </button>
+                          </>
+                        )}
+                        {canCancel(request) && (
+                          <button
+                            onClick={() => handleCancelRequest(request)}
+                            className="text-gray-500 hover:text-red-600"
+                            title={request.status === 'approved' ? 'Revoke' : 'Withdraw'}
+                          >
+                            <XCircle className="w-4 h-4" />
+                          </button>
+                        )}
+                      </div>
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        )}
+      </div>
+
+      {/* Balances */}
+      <div className="card">
+        <div className="flex flex-col md:flex-row md:items-center md:justify-between gap-4 mb-4">
+          <h3 className="text-lg font-semibold text-gray-900">Balances {year}</h3>
+          <div className="flex items-center gap-3">
+            <select
+              value={selectedEmployeeId}
+              onChange={(e) => setSelectedEmployeeId(e.target.value)}
+              className="input w-64"
+            >
+              <option value="">Select an employee</option>
+              {companyEmployees.map(employee => (
+                <option key={employee.id} value={employee.id}>
+                  {employee.name}{employee.employee_id ? ` (${employee.employee_id})` : ''}
+                </option>
+              ))}
+            </select>
+            <button
+              onClick={() => setShowRequestModal(true)}
+              className="btn btn-primary flex items-center"
+              disabled={!selectedEmployee}
+            >
+              <Plus className="w-4 h-4 mr-2" />
+              Request Leave
+            </button>
+          </div>
+        </div>
+
+        {!selectedEmployee ? (
+          <p className="text-sm text-gray-500">Choose an employee to see and adjust their leave balances</p>
+        ) : balances.length === 0 ? (
+          <p className="text-sm text-gray-500">No active leave types for this employee's company</p>
+        ) : (
+          <div className="overflow-x-auto">
+            <table className="min-w-full text-sm">
+              <thead>
+                <tr className="text-left text-gray-500 border-b">
+                  <th className="py-2 pr-4">Leave Type</th>
+                  <th className="py-2 pr-4">Allocated</th>
+                  <th className="py-2 pr-4">Used</th>
+                  <th className="py-2 pr-4">Pending</th>
+                  <th className="py-2 pr-4">Available</th>
+                  <th className="py-2 pr-4"></th>
+                </tr>
+              </thead>
+              <tbody className="divide-y divide-gray-100">
+                {balances.map((balance) => (
+                  <tr key={balance.leave_type_id}>
+                    <td className="py-2 pr-4">
+                      {balance.name}
+                      {!balance.is_paid && <span className="ml-2 text-xs text-gray-500">unpaid</span>}
+                    </td>
+                    <td className="py-2 pr-4">
+                      {balance.allocated ?? 'Unlimited'}
+                      {balance.overridden && (
+                        <span className="ml-2 text-xs text-gray-500" title={balance.note || undefined}>adjusted</span>
+                      )}
+                    </td>
+                    <td className="py-2 pr-4">{balance.used}</td>
+                    <td className="py-2 pr-4">{balance.pending}</td>
+                    <td className="py-2 pr-4 font-medium">{balance.available ?? '—'}</td>
+                    <td className="py-2 pr-4 text-right">
+                      <button onClick={() => openBalanceModal(balance)} className="text-gray-500 hover:text-indigo-600" title="Adjust allocation">
+                        <Edit className="w-4 h-4" />
+                      </button>
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        )}
+      </div>
+
+      <div className="grid grid-cols-1 lg:grid-cols-2 gap-8">
+        {/* Leave Types */}
+        <div className="card">
+          <div className="flex items-center justify-between mb-4">
+            <h3 className="text-lg font-semibold text-gray-900">Leave Types</h3>
+            <button onClick={() => openTypeModal()} className="btn btn-secondary flex items-center">
+              <Plus className="w-4 h-4 mr-2" />
+              New Type
+            </button>
+          </div>
+
+          {leaveTypes.length === 0 ? (
+            <div className="text-center py-8">
+              <Palmtree className="w-12 h-12 text-gray-300 mx-auto mb-3" />
+              <p className="text-sm text-gray-500">No leave types yet</p>
+            </div>
+          ) : (
+            <div className="divide-y divide-gray-200">
+              {leaveTypes.map((leaveType) => (
+                <div key={leaveType.id} className={`flex items-center justify-between py-3 text-sm ${leaveType.is_active ? '' : 'opacity-60'}`}>
+                  <div>
+                    <p className="font-medium text-gray-900">
+                      {leaveType.name}
+                      {leaveType.code && <span className="ml-2 text-xs text-gray-500">{leaveType.code}</span>}
+                      {!leaveType.is_active && (
+                        <span className="ml-2 px-2 py-0.5 rounded-full text-xs font-medium bg-gray-100 text-gray-700">inactive</span>
+                      )}
+                    </p>
+                    <div className="flex flex-wrap gap-x-4 text-gray-500 mt-1">
+                      <span>{leaveType.annual_allowance === null ? 'Unlimited' : `${leaveType.annual_allowance} days / year`}</span>
+                      <span>{leaveType.is_paid ? 'Paid' : 'Unpaid'}</span>
+                      {canChooseCompany && leaveType.companies?.name && <span>{leaveType.companies.name}</span>}
+                    </div>
+                  </div>
+                  <div className="flex items-center space-x-3">
+                    <button onClick={() => handleToggleType(leaveType)} className="text-gray-500 hover:text-indigo-600 font-medium">
+                      {leaveType.is_active ? 'Deactivate' : 'Activate'}
+                    </button>
+                    <button onClick={() => openTypeModal(leaveType)} className="text-gray-500 hover:text-indigo-600" title="Edit">
+                      <Edit className="w-4 h-4" />
+                    </button>
+                  </div>
+                </div>
+              ))}
+            </div>
+          )}
+        </div>
+
+        {/* Holidays */}
+        <div className="card">
+          <div className="flex items-center justify-between mb-4">
+            <h3 className="text-lg font-semibold text-gray-900">Holidays {year}</h3>
+            <button onClick={openHolidayModal} className="btn btn-secondary flex items-center">
+              <Plus className="w-4 h-4 mr-2" />
+              Add Holiday
+            </button>
+          </div>
+
+          {holidays.length === 0 ? (
+            <div className="text-center py-8">
+              <PartyPopper className="w-12 h-12 text-gray-300 mx-auto mb-3" />
+              <p className="text-sm text-gray-500">No holidays in {year}</p>
+            </div>
+          ) : (
+            <div className="divide-y divide-gray-200">
+              {holidays.map((holiday) => (
+                <div key={holiday.id} className="flex items-center justify-between py-2 text-sm">
+                  <div>
+                    <span className="inline-block w-28 text-gray-600">{format(new Date(`${holiday.date}T00:00:00`), 'EEE, MMM dd')}</span>
+                    <span className="font-medium text-gray-900">{holiday.name}</span>
+                    <span className="ml-2 text-xs text-gray-500">{holiday.companies?.name || 'Incubator-wide'}</span>
+                  </div>
+                  {canDeleteHoliday(holiday) && (
+                    <button onClick={() => handleDeleteHoliday(holiday)} className="text-gray-500 hover:text-red-600" title="Remove">
+                      <Trash2 className="w-4 h-4" />
+                    </button>
+                  )}
+                </div>
+              ))}
+            </div>
+          )}
+        </div>
+      </div>
+
+      {/* Review Modal */}
+      <Modal
+        isOpen={!!review}
+        onClose={() => setReview(null)}
+        title={review?.action === 'approve' ? 'Approve Leave' : 'Reject Leave'}
+        size="small"
+      >
+        {review && (
+          <form onSubmit={handleReview} className="space-y-4">
+            <div className="text-sm text-gray-600 space-y-1">
+              <p>
+                <span className="font-medium text-gray-900">{review.request.employees?.name}</span>
+                {' • '}{review.request.leave_types?.name}: {formatLeaveDates(review.request)} ({review.request.days} day(s))
+              </p>
+              {review.request.reason && <p>Reason: {review.request.reason}</p>}
+            </div>
+            <div>
+              <label className="label">Note</label>
+              <input
+                type="text"
+                value={reviewNote}
+                onChange={(e) => setReviewNote(e.target.value)}
+                className="input w-full"
+                placeholder="Optional"
+              />
+            </div>
+            <div className="flex justify-end space-x-3 pt-4">
+              <button type="button" onClick={() => setReview(null)} className="btn btn-secondary" disabled={processing}>
+                Cancel
+              </button>
+              <button type="submit" className={`btn ${review.action === 'approve' ? 'btn-primary' : 'btn-danger'}`} disabled={processing}>
+                {review.action === 'approve' ? 'Approve' : 'Reject'}
+              </button>
+            </div>
+          </form>
+        )}
+      </Modal>
+
+      {/* Leave Type Modal */}
+      <Modal
+        isOpen={showTypeModal}
+        onClose={() => setShowTypeModal(false)}
+        title={editingType ? `Edit ${editingType.name}` : 'New Leave Type'}
+        size="small"
+      >
+        <form onSubmit={handleSaveType} className="space-y-4">
+          {canChooseCompany && !editingType && (
+            <div>
+              <label className="label">Company *</label>
+              <select
+                value={typeForm.company_id}
+                onChange={(e) => setTypeForm({ ...typeForm, company_id: e.target.value })}
+                className="input w-full"
+                required
+              >
+                <option value="">Select a company</option>
+                {companies.map(company => (
+                  <option key={company.id} value={company.id}>{company.name}</option>
+                ))}
+              </select>
+            </div>
+          )}
+          <div className="grid grid-cols-3 gap-4">
+            <div className="col-span-2">
+              <label className="label">Name *</label>
+              <input
+                type="text"
+                value={typeForm.name}
+                onChange={(e) => setTypeForm({ ...typeForm, name: e.target.value })}
+                className="input w-full"
+                placeholder="e.g. Casual Leave"
+                required
+              />
+            </div>
+            <div>
+              <label className="label">Code</label>
+              <input
+                type="text"
+                value={typeForm.code}
+                onChange={(e) => setTypeForm({ ...typeForm, code: e.target.value })}
+                className="input w-full"
+                maxLength={10}
+                placeholder="CL"
+              />
+            </div>
+          </div>
+          <div>
+            <label className="label">Days per Year</label>
+            <input
+              type="number"
+              min="0"
+              max="366"
+              step="0.5"
+              value={typeForm.annual_allowance}
+              onChange={(e) => setTypeForm({ ...typeForm, annual_allowance: e.target.value })}
+              className="input w-full"
+              placeholder="Leave empty for unlimited"
+            />
+          </div>
+          <label className="flex items-center text-sm text-gray-700">
+            <input
+              type="checkbox"
+              checked={typeForm.is_paid}
+              onChange={(e) => setTypeForm({ ...typeForm, is_paid: e.target.checked })}
+              className="w-4 h-4 mr-2 text-indigo-600 border-gray-300 rounded"
+            />
+            Paid leave
+          </label>
+          <div className="flex justify-end space-x-3 pt-4">
+            <button type="button" onClick={() => setShowTypeModal(false)} className="btn btn-secondary" disabled={processing}>
+              Cancel
+            </button>
+            <button type="submit" className="btn btn-primary" disabled={processing}>
+              {editingType ? 'Save' : 'Create Type'}
+            </button>
+          </div>
+        </form>
+      </Modal>
+
+      {/* Holiday Modal */}
+      <Modal
+        isOpen={showHolidayModal}
+        onClose={() => setShowHolidayModal(false)}
+        title="Add Holiday"
+        size="small"
+      >
+        <form onSubmit={handleAddHoliday} className="space-y-4">
+          {canChooseCompany && (
+            <div>
+              <label className="label">Applies To</label>
+              <select
+                value={holidayForm.company_id}
+                onChange={(e) => setHolidayForm({ ...holidayForm, company_id: e.target.value })}
+                className="input w-full"
+              >
+                <option value="">All companies (incubator-wide)</option>
+                {companies.map(company => (
+                  <option key={company.id} value={company.id}>{company.name}</option>
+                ))}
+              </select>
+            </div>
+          )}
+          <div>
+            <label className="label">Date *</label>
+            <input
+              type="date"
+              value={holidayForm.date}
+              onChange={(e) => setHolidayForm({ ...holidayForm, date: e.target.value })}
+              className="input w-full"
+              required
+            />
+          </div>
+          <div>
+            <label className="label">Name *</label>
+            <input
+              type="text"
+              value={holidayForm.name}
+              onChange={(e) => setHolidayForm({ ...holidayForm, name: e.target.value })}
+              className="input w-full"
+              maxLength={100}
+              placeholder="e.g. Independence Day"
+              required
+            />
+          </div>
+          <div className="flex justify-end space-x-3 pt-4">
+            <button type="button" onClick={() => setShowHolidayModal(false)} className="btn btn-secondary" disabled={processing}>
+              Cancel
+            </button>
+            <button type="submit" className="btn btn-primary" disabled={processing}>
+              Add Holiday
+            </button>
+          </div>
+        </form>
+      </Modal>
+
+      {/* Allocation Modal */}
+      <Modal
+        isOpen={!!editingBalance}
+        onClose={() => setEditingBalance(null)}
+        title={editingBalance ? `${editingBalance.name} ${year} for ${selectedEmployee?.name}` : ''}
+        size="small"
+      >
+        <form onSubmit={handleSaveBalance} className="space-y-4">
+          <div>
+            <label className="label">Allocated Days *</label>
+            <input
+              type="number"
+              min="0"
+              max="366"
+              step="0.5"
+              value={balanceForm.allocated}
+              onChange={(e) => setBalanceForm({ ...balanceForm, allocated: e.target.value })}
+              className="input w-full"
+              required
+            />
+          </div>
+          <div>
+            <label className="label">Note</label>
+            <input
+              type="text"
+              value={balanceForm.note}
+              onChange={(e) => setBalanceForm({ ...balanceForm, note: e.target.value })}
+              className="input w-full"
+              maxLength={500}
+              placeholder="e.g. Includes 3 days carried over"
+            />
+          </div>
+          <p className="text-xs text-gray-500">Overrides the leave type's yearly allowance for this employee.</p>
+          <div className="flex justify-end space-x-3 pt-4">
+            <button type="button" onClick={() => setEditingBalance(null)} className="btn btn-secondary" disabled={processing}>
+              Cancel
+            </button>
+            <button type="submit" className="btn btn-primary" disabled={processing}>
+              Save
+            </button>
+          </div>
+        </form>
+      </Modal>
+
+      <LeaveRequestModal
+        isOpen={showRequestModal}
+        onClose={() => setShowRequestModal(false)}
+        employee={selectedEmployee}
+        onSubmitted={() => {
+          fetchRequests()
+          fetchBalances()
+        }}
+      />
+
+      {processing && <SpinnerOverlay message="Processing..." />}
+    </div>
+  )
+}
@@ -0,0 +1,336 @@
+import { useState, useEffect } from 'react'
+import { CalendarCheck, FilePen, Palmtree, XCircle } from 'lucide-react'
+import { PageLoader, SpinnerOverlay } from '../components/Loaders'
+import SectionHeader from '../components/SectionHeader'
+import CorrectionRequestModal, {
+  CORRECTION_STATUS_STYLES,
+  CORRECTION_TYPE_LABELS,
+  describeCorrection
+} from '../components/CorrectionRequestModal'
+import LeaveRequestModal, { LEAVE_STATUS_STYLES, formatLeaveDates } from '../components/LeaveRequestModal'
+import { format, endOfMonth } from 'date-fns'
+import api from '../utils/api'
+
+// Minutes as "7h 45m"
+const formatMinutes = (minutes) => `${Math.floor(minutes / 60)}h ${String(minutes % 60).padStart(2, '0')}m`
+
+export default function MyAttendance() {
+  const [month, setMonth] = useState(format(new Date(), 'yyyy-MM'))
+  const [timesheet, setTimesheet] = useState(null)
+  const [corrections, setCorrections] = useState([])
+  const [loading, setLoading] = useState(true)
+  const [processing, setProcessing] = useState(false)
+  const [correctionDate, setCorrectionDate] = useState(null)
+  const [balances, setBalances] = useState([])
+  const [leaveRequests, setLeaveRequests] = useState([])
+  const [showLeaveModal, setShowLeaveModal] = useState(false)
+
+  useEffect(() => {
+    fetchTimesheet()
+  }, [month])
+
+  useEffect(() => {
+    fetchCorrections()
+    fetchLeave()
+  }, [])
+
+  const fetchTimesheet = async () => {
+    try {
+      const today = format(new Date(), 'yyyy-MM-dd')
+      const monthEnd = format(endOfMonth(new Date(`${month}-01T00:00:00`)), 'yyyy-MM-dd')
+      const response = await api.getMyTimesheet({
+        from: `${month}-01`,
+        to: monthEnd < today ? monthEnd : today
+      })
+      setTimesheet(response.data)
+    } catch (error) {
+      console.error('Error fetching timesheet:', error)
+      setTimesheet(null)
+    } finally {
+      setLoading(false)
+    }
+  }
+
+  const fetchCorrections = async () => {
+    try {
+      const response = await api.getCorrections()
+      setCorrections(response.data || [])
+    } catch (error) {
+      console.error('Error fetching corrections:', error)
+    }
+  }
+
+  const fetchLeave = async () => {
+    try {
+      const [balancesResponse, requestsResponse] = await Promise.all([
+        api.getLeaveBalances(),
+        api.getLeaveRequests()
+      ])
+      setBalances(balancesResponse.data?.balances || [])
+      setLeaveRequests(requestsResponse.data || [])
+    } catch (error) {
+      console.error('Error fetching leave:', error)
+    }
+  }
+
+  const handleCancelLeave = async (request) => {
+    if (!confirm('Withdraw this leave request?')) return
+
+    try {
+      setProcessing(true)
+      await api.cancelLeave(request.id)
+      fetchLeave()
+    } catch (error) {
+      console.error('Error cancelling leave:', error)
+      alert(error.message || 'Failed to cancel request')
+    } finally {
+      setProcessing(false)
+    }
+  }
+
+  const handleCancel = async (correction) => {
+    if (!confirm('Withdraw this correction request?')) return
+
+    try {
+      setProcessing(true)
+      await api.cancelCorrection(correction.id)
+      fetchCorrections()
+    } catch (error) {
+      console.error('Error cancelling correction:', error)
+      alert(error.message || 'Failed to cancel request')
+    } finally {
+      setProcessing(false)
+    }
+  }
+
+  const handleSubmitted = () => {
+    fetchCorrections()
+  }
+
+  if (loading) return <PageLoader message="Loading your attendance..." />
+
+  return (
+    <div className="space-y-8">
+      <SectionHeader
+        title="My Attendance"
+        subtitle={timesheet ? `${timesheet.employee.name} • ${timesheet.employee.companies?.name || ''}` : 'Your punches and correction requests'}
+        actions={
+          <div className="flex items-center gap-3">
+            <button onClick={() => setShowLeaveModal(true)} className="btn btn-secondary flex items-center">
+              <Palmtree className="w-4 h-4 mr-2" />
+              Request Leave
+            </button>
+            <button onClick={() => setCorrectionDate(format(new Date(), 'yyyy-MM-dd'))} className="btn btn-primary flex items-center">
+              <FilePen className="w-4 h-4 mr-2" />
+              Request Correction
+            </button>
+          </div>
+        }
+      />
+
+      {/* Timesheet */}
+      <div className="card">
+        <div className="flex items-center justify-between mb-4">
+          <h3 className="text-lg font-semibold text-gray-900 flex items-center">
+            <CalendarCheck className="w-5 h-5 mr-2 text-indigo-600" />
+            Timesheet
+          </h3>
+          <input
+            type="month"
+            value={month}
+            max={format(new Date(), 'yyyy-MM')}
+            onChange={(e) => e.target.value && setMonth(e.target.value)}
+            className="input w-44"
+          />
+        </div>
+
+        {!timesheet ? (
+          <p className="text-sm text-gray-500">Timesheet unavailable</p>
+        ) : (
+          <div className="space-y-4 text-sm">
+            <div className="flex flex-wrap gap-x-6 text-gray-600">
+              <span>Days present: {timesheet.totals.days_present}</span>
+              <span>On site: {formatMinutes(timesheet.totals.on_site_minutes)}</span>
+              <span>Breaks: {formatMinutes(timesheet.totals.break_minutes)}</span>
+            </div>
+            <div className="overflow-x-auto">
+              <table className="min-w-full">
+                <thead>
+                  <tr className="text-left text-gray-500 border-b">
+                    <th className="py-2 pr-4">Date</th>
+                    <th className="py-2 pr-4">Status</th>
+                    <th className="py-2 pr-4">First In</th>
+                    <th className="py-2 pr-4">Last Out</th>
+                    <th className="py-2 pr-4">On Site</th>
+                    <th className="py-2 pr-4">Sessions</th>
+                    <th className="py-2 pr-4"></th>
+                  </tr>
+                </thead>
+                <tbody className="divide-y divide-gray-100">
+                  {timesheet.days.map((day) => (
+                    <tr key={day.date}>
+                      <td className="py-2 pr-4 whitespace-nowrap">{format(new Date(`${day.date}T00:00:00`), 'EEE, MMM dd')}</td>
+                      <td className="py-2 pr-4">
+                        {day.status ? day.status.replace('_', ' ') : '—'}
+                        {(day.holiday_name || day.leave_type) && (
+                          <span className="ml-2 text-xs text-gray-500">{day.holiday_name || day.leave_type}</span>
+                        )}
+                      </td>
+                      <td className="py-2 pr-4">{day.first_in ? format(new Date(day.first_in), 'HH:mm') : '—'}</td>
+                      <td className="py-2 pr-4">{day.last_out ? format(new Date(day.last_out), 'HH:mm') : '—'}</td>
+                      <td className="py-2 pr-4">{day.on_site_minutes ? formatMinutes(day.on_site_minutes) : '—'}</td>
+                      <td className="py-2 pr-4 text-gray-600">
+                        {day.sessions.map(session =>
+                          `${format(new Date(session.in_at), 'HH:mm')}–${format(new Date(session.out_at), 'HH:mm')}`).join(', ')}
+                        {day.open_since && ` ${format(new Date(day.open_since), 'HH:mm')}– (on site)`}
+                        {day.unmatched_punches.length > 0 && (
+                          <span className="ml-2 text-red-600">
+                            {day.unmatched_punches.length} unmatched
+                          </span>
+                        )}
+                      </td>
+                      <td className="py-2 pr-4 text-right">
+                        <button
+                          onClick={() => setCorrectionDate(day.date)}
+                          className="text-indigo-600 hover:text-indigo-800 font-medium"
+                        >
+                          Fix
+                        </button>
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          </div>
+        )}
+      </div>
+
+      {/* Leave */}
+      <div className="card">
+        <h3 className="text-lg font-semibold text-gray-900 mb-4 flex items-center">
+          <Palmtree className="w-5 h-5 mr-2 text-indigo-600" />
+          My Leave
+        </h3>
+
+        {balances.length > 0 && (
+          <div className="grid grid-cols-2 md:grid-cols-4 gap-3 mb-6">
+            {balances.map(balance => (
+              <div key={balance.leave_type_id} className="rounded-lg px-3 py-2 bg-gray-50">
+                <p className="text-xs font-medium text-gray-600">{balance.name}</p>
+                <p className="text-2xl font-semibold text-gray-900">{balance.available ?? '∞'}</p>
+                <p className="text-xs text-gray-500">
+                  {balance.used} used{balance.pending > 0 && `, ${balance.pending} pending`}
+                </p>
+              </div>
+            ))}
+          </div>
+        )}
+
+        {leaveRequests.length === 0 ? (
+          <p className="text-sm text-gray-500">No leave requests yet</p>
+        ) : (
+          <div className="overflow-x-auto">
+            <table className="min-w-full text-sm">
+              <thead>
+                <tr className="text-left text-gray-500 border-b">
+                  <th className="py-2 pr-4">Leave</th>
+                  <th className="py-2 pr-4">Dates</th>
+                  <th className="py-2 pr-4">Days</th>
+                  <th className="py-2 pr-4">Reason</th>
+                  <th className="py-2 pr-4">Status</th>
+                  <th className="py-2 pr-4"></th>
+                </tr>
+              </thead>
+              <tbody className="divide-y divide-gray-100">
+                {leaveRequests.map((request) => (
+                  <tr key={request.id}>
+                    <td className="py-2 pr-4">{request.leave_types?.name}</td>
+                    <td className="py-2 pr-4 whitespace-nowrap">{formatLeaveDates(request)}</td>
+                    <td className="py-2 pr-4">{request.days}</td>
+                    <td className="py-2 pr-4 text-gray-600">{request.reason || '—'}</td>
+                    <td className="py-2 pr-4">
+                      <span className={`px-2 py-0.5 rounded-full text-xs font-medium ${LEAVE_STATUS_STYLES[request.status]}`}>
+                        {request.status}
+                      </span>
+                      {request.review_note && <span className="ml-2 text-xs text-gray-500">{request.review_note}</span>}
+                    </td>
+                    <td className="py-2 pr-4 text-right">
+                      {request.status === 'pending' && (
+                        <button onClick={() => handleCancelLeave(request)} className="text-gray-500 hover:text-red-600" title="Withdraw">
+                          <XCircle className="w-4 h-4" />
+                        </button>
+                      )}
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        )}
+      </div>
+
+      {/* Correction Requests */}
+      <div className="card">
+        <h3 className="text-lg font-semibold text-gray-900 mb-4">My Correction Requests</h3>
+
+        {corrections.length === 0 ? (
+          <p className="text-sm text-gray-500">No correction requests yet</p>
+        ) : (
+          <div className="overflow-x-auto">
+            <table className="min-w-full text-sm">
+              <thead>
+                <tr className="text-left text-gray-500 border-b">
+                  <th className="py-2 pr-4">Requested</th>
+                  <th className="py-2 pr-4">Correction</th>
+                  <th className="py-2 pr-4">Punch</th>
+                  <th className="py-2 pr-4">Reason</th>
+                  <th className="py-2 pr-4">Status</th>
+                  <th className="py-2 pr-4"></th>
+                </tr>
+              </thead>
+              <tbody className="divide-y divide-gray-100">
+                {corrections.map((correction) => (
+                  <tr key={correction.id}>
+                    <td className="py-2 pr-4 whitespace-nowrap">{format(new Date(correction.created_at), 'MMM dd, HH:mm')}</td>
+                    <td className="py-2 pr-4">{CORRECTION_TYPE_LABELS[correction.type]}</td>
+                    <td className="py-2 pr-4 whitespace-nowrap">{describeCorrection(correction)}</td>
+                    <td className="py-2 pr-4 text-gray-600">{correction.reason}</td>
+                    <td className="py-2 pr-4">
+                      <span className={`px-2 py-0.5 rounded-full text-xs font-medium ${CORRECTION_STATUS_STYLES[correction.status]}`}>
+                        {correction.status}
+                      </span>
+                      {correction.review_note && <span className="ml-2 text-xs text-gray-500">{correction.review_note}</span>}
+                    </td>
+                    <td className="py-2 pr-4 text-right">
+                      {correction.status === 'pending' && (
+                        <button onClick={() => handleCancel(correction)} className="text-gray-500 hover:text-red-600" title="Withdraw">
+                          <XCircle className="w-4 h-4" />
+                        </button>
+                      )}
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        )}
+      </div>
+
+      <CorrectionRequestModal
+        isOpen={!!correctionDate}
+        onClose={() => setCorrectionDate(null)}
+        date={correctionDate}
+        onSubmitted={handleSubmitted}
+      />
+
+      <LeaveRequestModal
+        isOpen={showLeaveModal}
+        onClose={() => setShowLeaveModal(false)}
+        onSubmitted={fetchLeave}
+      />
+
+      {processing && <SpinnerOverlay message="Processing..." />}
+    </div>
+  )
+}
@@ -1,20 +1,52 @@
 import { useState, useEffect } from 'react'
-import { Calendar, Download, FileText, TrendingUp, Users, Clock, BarChart3 } from 'lucide-react'
+import { Calendar, Download, FileText, TrendingUp, Users, Clock, BarChart3, FilePen, ClipboardList, Wallet, FileSpreadsheet } from 'lucide-react'
 import { PageLoader, ButtonLoader } from '../components/Loaders'
 import SectionHeader from '../components/SectionHeader'
 import KpiCard from '../components/KpiCard'
+import Modal from '../components/Modal'
+import CorrectionRequestModal from '../components/CorrectionRequestModal'
+import MusterRoll from '../components/MusterRoll'
+import PayrollExport from '../components/PayrollExport'
+import ExportJobs from '../components/ExportJobs'
 import { format, subDays, startOfDay, endOfDay } from 'date-fns'
 import { LineChart, Line, BarChart, Bar, XAxis, YAxis, CartesianGrid, Tooltip, Legend, ResponsiveContainer } from 'recharts'
 import { useAuth } from '../context/AuthContext'
 import { PERMISSIONS } from '../utils/permissions'
 import api from '../utils/api'
 
+// Day classifications returned in status_summary, in display order
+const DAY_STATUSES = [
+  { key: 'on_time', label: 'On Time', style: 'bg-green-50 text-green-800' },
+  { key: 'late', label: 'Late', style: 'bg-amber-50 text-amber-800' },
+  { key: 'early_leave', label: 'Early Leave', style: 'bg-orange-50 text-orange-800' },
+  { key: 'half_day', label: 'Half Day', style: 'bg-yellow-50 text-yellow-800' },
+  { key: 'absent', label: 'Absent', style: 'bg-red-50 text-red-800' },
+  { key: 'on_leave', label: 'On Leave', style: 'bg-teal-50 text-teal-800' },
+  { key: 'holiday', label: 'Holiday', style: 'bg-purple-50 text-purple-800' },
+  { key: 'weekly_off', label: 'Weekly Off', style: 'bg-gray-50 text-gray-700' },
+  { key: 'unscheduled', label: 'No Shift', style: 'bg-gray-50 text-gray-700' },
+  { key: 'scheduled', label: 'In Progress', style: 'bg-blue-50 text-blue-800' }
+]
+
+// Minutes as "7h 45m"
+const formatMinutes = (minutes) => `${Math.floor(minutes / 60)}h ${String(minutes % 60).padStart(2, '0')}m`
+
+const TABS = [
+  { id: 'attendance', name: 'Attendance', icon: BarChart3 },
+  { id: 'muster-roll', name: 'Muster Roll', icon: ClipboardList },
+  { id: 'payroll', name: 'Payroll', icon: Wallet }
+]
+
 export default function Reports() {
   const { user, hasPermission } = useAuth()
   const [loading, setLoading] = useState(true)
   const [exporting, setExporting] = useState(false)
   const [companies, setCompanies] = useState([])
   const [reportData, setReportData] = useState(null)
+  const [sessionTotals, setSessionTotals] = useState(null)
+  const [timesheet, setTimesheet] = useState(null)
+  const [correctionDate, setCorrectionDate] = useState(null)
+  const [activeTab, setActiveTab] = useState('attendance')
   const [filters, setFilters] = useState({
     start_date: format(subDays(new Date(), 7), 'yyyy-MM-dd'),
     end_date: format(new Date(), 'yyyy-MM-dd'),
@@ -56,6 +88,7 @@ export default function Reports() {
       const companyId = canViewAllCompanies ? filters.company_id : user?.company_id
       const response = await api.getDailyReport(companyId, filters.start_date, filters.end_date)
       setReportData(response.data)
+      fetchSessions(companyId)
     } catch (error) {
       console.error('Error fetching report data:', error)
       alert('Failed to load report data')
@@ -64,6 +97,60 @@ export default function Reports() {
     }
   }
 
+  const fetchSessions = async (companyId) => {
+    try {
+      const response = await api.getAttendanceSessions({
+        from: filters.start_date,
+        to: filters.end_date,
+        ...(companyId && { company_id: companyId })
+      })
+      setSessionTotals(response.data.employees)
+    } catch (error) {
+      // Ranges over the session limit simply hide the worked hours table
+      console.error('Error fetching sessions:', error)
+      setSessionTotals(null)
+    }
+  }
+
+  const handleViewTimesheet = async (employeeId) => {
+    try {
+      const response = await api.getEmployeeTimesheet(employeeId, {
+        from: filters.start_date,
+        to: filters.end_date
+      })
+      setTimesheet(response.data)
+    } catch (error) {
+      console.error('Error fetching timesheet:', error)
+      alert(error.message || 'Failed to load timesheet')
+    }
+  }
+
+  const handleExportStatus = async () => {
+    try {
+      setExporting(true)
+      const companyId = canViewAllCompanies ? filters.company_id : user?.company_id
+      const blob = await api.exportAttendanceStatus({
+        from: filters.start_date,
+        to: filters.end_date,
+        ...(companyId && { company_id: companyId })
+      })
+
+      const url = window.URL.createObjectURL(blob)
+      const link = document.createElement('a')
+      link.href = url
+      link.setAttribute('download', `attendance-status-${filters.start_date}-${filters.end_date}.csv`)
+      document.body.appendChild(link)
+      link.click()
+      link.remove()
+      window.URL.revokeObjectURL(url)
+    } catch (error) {
+      console.error('Error exporting day status:', error)
+      alert('Failed to export day status')
+    } finally {
+      setExporting(false)
+    }
+  }
+
   const handleExport = async (format) => {
     try {
       setExporting(true)
@@ -111,172 +198,383 @@ export default function Reports() {
         subtitle="Generate attendance reports and analyze trends"
       />
 
-      {/* Filters Card */}
-      <div className="card">
-        <h3 className="text-lg font-semibold text-gray-900 mb-4">Report Filters</h3>
-        <div className={`grid grid-cols-1 ${canViewAllCompanies ? 'md:grid-cols-3' : 'md:grid-cols-2'} gap-4`}>
-          <div>
-            <label className="label">Start Date</label>
-            <input
-              type="date"
-              value={filters.start_date}
-              onChange={(e) => setFilters({ ...filters, start_date: e.target.value })}
-              className="input w-full"
-            />
-          </div>
-          <div>
-            <label className="label">End Date</label>
-            <input
-              type="date"
-              value={filters.end_date}
-              onChange={(e) => setFilters({ ...filters, end_date: e.target.value })}
-              className="input w-full"
-            />
-          </div>
-          {canViewAllCompanies && (
-            <div>
-              <label className="label">Company</label>
-              <select
-                value={filters.company_id}
-                onChange={(e) => setFilters({ ...filters, company_id: e.target.value })}
-                className="input w-full"
-              >
-                <option value="">All Companies</option>
-                {companies.map(company => (
-                  <option key={company.id} value={company.id}>{company.name}</option>
-                ))}
-              </select>
-            </div>
-          )}
-        </div>
-        <div className="flex justify-end space-x-3 mt-4">
-          <button
-            onClick={() => handleExport('csv')}
-            disabled={exporting}
-            className="btn btn-secondary flex items-center space-x-2"
-          >
-            {exporting ? <ButtonLoader /> : <Download className="w-5 h-5" />}
-            <span>Export CSV</span>
-          </button>
-          <button
-            onClick={() => handleExport('pdf')}
-            disabled={exporting}
-            className="btn btn-primary flex items-center space-x-2"
-          >
-            {exporting ? <ButtonLoader /> : <FileText className="w-5 h-5" />}
-            <span>Export PDF</span>
-          </button>
-        </div>
+      <div className="flex space-x-1 border-b border-gray-200">
+        {TABS.map((tab) => {
+          const Icon = tab.icon
+          return (
+            <button
+              key={tab.id}
+              onClick={() => setActiveTab(tab.id)}
+              className={`flex items-center space-x-2 px-4 py-2 text-sm font-medium border-b-2 -mb-px transition-colors ${
+                activeTab === tab.id
+                  ? 'border-indigo-600 text-indigo-700'
+                  : 'border-transparent text-gray-600 hover:text-gray-900'
+              }`}
+            >
+              <Icon className="w-4 h-4" />
+              <span>{tab.name}</span>
+            </button>
+          )
+        })}
       </div>
 
-      {/* Summary Stats */}
-      <div className="grid grid-cols-1 md:grid-cols-4 gap-6">
-        <KpiCard title="Total Scans" value={stats.total_scans} icon={BarChart3} tone="blue" />
-        <KpiCard title="Unique Employees" value={stats.unique_employees} icon={Users} tone="purple" />
-        <KpiCard title="Avg Attendance" value={`${stats.avg_attendance_rate}%`} icon={TrendingUp} tone="green" />
-        <KpiCard title="Peak Hour" value={stats.peak_hour} icon={Clock} tone="orange" />
-      </div>
+      {activeTab === 'muster-roll' && (
+        <MusterRoll
+          companies={companies}
+          canViewAllCompanies={canViewAllCompanies}
+          companyId={user?.company_id}
+        />
+      )}
+
+      {activeTab === 'payroll' && (
+        <PayrollExport
+          companies={companies}
+          canViewAllCompanies={canViewAllCompanies}
+          companyId={user?.company_id}
+        />
+      )}
 
-      {/* Daily Attendance Chart */}
-      {chartData.length > 0 ? (
+      {activeTab === 'attendance' && (
+        <>
+        {/* Filters Card */}
         <div className="card">
-          <h3 className="text-lg font-semibold text-gray-900 mb-4">Daily Attendance Trends</h3>
-          <ResponsiveContainer width="100%" height={300}>
-            <LineChart data={chartData}>
-              <CartesianGrid strokeDasharray="3 3" />
-              <XAxis 
-                dataKey="date" 
-                tickFormatter={(date) => format(new Date(date), 'MMM dd')}
-              />
-              <YAxis />
-              <Tooltip 
-                labelFormatter={(date) => format(new Date(date), 'MMM dd, yyyy')}
-              />
-              <Legend />
-              <Line 
-                type="monotone" 
-                dataKey="total_scans" 
-                stroke="#4f46e5" 
-                strokeWidth={2}
-                name="Total Scans"
+          <h3 className="text-lg font-semibold text-gray-900 mb-4">Report Filters</h3>
+          <div className={`grid grid-cols-1 ${canViewAllCompanies ? 'md:grid-cols-3' : 'md:grid-cols-2'} gap-4`}>
+            <div>
+              <label className="label">Start Date</label>
+              <input
+                type="date"
+                value={filters.start_date}
+                onChange={(e) => setFilters({ ...filters, start_date: e.target.value })}
+                className="input w-full"
               />
-              <Line 
-                type="monotone" 
-                dataKey="unique_employees" 
-                stroke="#10b981" 
-                strokeWidth={2}
-                name="Unique Employees"
+            </div>
+            <div>
+              <label className="label">End Date</label>
+              <input
+                type="date"
+                value={filters.end_date}
+                onChange={(e) => setFilters({ ...filters, end_date: e.target.value })}
+                className="input w-full"
               />
-            </LineChart>
-          </ResponsiveContainer>
+            </div>
+            {canViewAllCompanies && (
+              <div>
+                <label className="label">Company</label>
+                <select
+                  value={filters.company_id}
+                  onChange={(e) => setFilters({ ...filters, company_id: e.target.value })}
+                  className="input w-full"
+                >
+                  <option value="">All Companies</option>
+                  {companies.map(company => (
+                    <option key={company.id} value={company.id}>{company.name}</option>
+                  ))}
+                </select>
+              </div>
+            )}
+          </div>
+          <div className="flex justify-end space-x-3 mt-4">
+            <button
+              onClick={() => handleExport('csv')}
+              disabled={exporting}
+              className="btn btn-secondary flex items-center space-x-2"
+            >
+              {exporting ? <ButtonLoader /> : <Download className="w-5 h-5" />}
+              <span>Export CSV</span>
+            </button>
+            <button
+              onClick={() => handleExport('xlsx')}
+              disabled={exporting}
+              className="btn btn-secondary flex items-center space-x-2"
+            >
+              {exporting ? <ButtonLoader /> : <FileSpreadsheet className="w-5 h-5" />}
+              <span>Export Excel</span>
+            </button>
+            <button
+              onClick={() => handleExport('pdf')}
+              disabled={exporting}
+              className="btn btn-primary flex items-center space-x-2"
+            >
+              {exporting ? <ButtonLoader /> : <FileText className="w-5 h-5" />}
+              <span>Export PDF</span>
+            </button>
+          </div>
         </div>
-      ) : (
-        <div className="card text-center py-12">
-          <Calendar className="w-16 h-16 text-gray-300 mx-auto mb-4" />
-          <h3 className="text-xl font-semibold text-gray-700 mb-2">No data available</h3>
-          <p className="text-gray-500">Try adjusting your date range or filters</p>
+
+        <ExportJobs
+          from={filters.start_date}
+          to={filters.end_date}
+          companyId={canViewAllCompanies ? filters.company_id : user?.company_id}
+        />
+
+        {/* Summary Stats */}
+        <div className="grid grid-cols-1 md:grid-cols-4 gap-6">
+          <KpiCard title="Total Scans" value={stats.total_scans} icon={BarChart3} tone="blue" />
+          <KpiCard title="Unique Employees" value={stats.unique_employees} icon={Users} tone="purple" />
+          <KpiCard title="Avg Attendance" value={`${stats.avg_attendance_rate}%`} icon={TrendingUp} tone="green" />
+          <KpiCard title="Peak Hour" value={stats.peak_hour} icon={Clock} tone="orange" />
         </div>
-      )}
 
-      {/* Hourly Distribution Chart */}
-      {reportData?.hourly_distribution && reportData.hourly_distribution.length > 0 && (
+        {/* Schedule Adherence */}
         <div className="card">
-          <h3 className="text-lg font-semibold text-gray-900 mb-4">Hourly Distribution</h3>
-          <ResponsiveContainer width="100%" height={300}>
-            <BarChart data={reportData.hourly_distribution}>
-              <CartesianGrid strokeDasharray="3 3" />
-              <XAxis dataKey="hour" tickFormatter={(hour) => `${hour}:00`} />
-              <YAxis />
-              <Tooltip />
-              <Legend />
-              <Bar dataKey="count" fill="#4f46e5" name="Scans" />
-            </BarChart>
-          </ResponsiveContainer>
+          <div className="flex items-center justify-between mb-4">
+            <h3 className="text-lg font-semibold text-gray-900">Schedule Adherence</h3>
+            {reportData?.status_summary && (
+              <button
+                onClick={handleExportStatus}
+                disabled={exporting}
+                className="btn btn-secondary flex items-center space-x-2"
+              >
+                {exporting ? <ButtonLoader /> : <Download className="w-5 h-5" />}
+                <span>Per-Day CSV</span>
+              </button>
+            )}
+          </div>
+          {reportData?.status_summary ? (
+            <div className="grid grid-cols-2 md:grid-cols-5 lg:grid-cols-10 gap-3">
+              {DAY_STATUSES.map(status => (
+                <div key={status.key} className={`rounded-lg px-3 py-2 ${status.style}`}>
+                  <p className="text-xs font-medium">{status.label}</p>
+                  <p className="text-2xl font-semibold">{reportData.status_summary[status.key] || 0}</p>
+                </div>
+              ))}
+            </div>
+          ) : (
+            <p className="text-sm text-gray-500">Choose a range of up to 93 days to classify employee days against their shifts</p>
+          )}
         </div>
-      )}
 
-      {/* Recent Activity Table */}
-      {reportData?.recent_logs && reportData.recent_logs.length > 0 && (
-        <div className="card">
-          <h3 className="text-lg font-semibold text-gray-900 mb-4">Recent Activity</h3>
-          <div className="overflow-x-auto">
-            <table className="min-w-full divide-y divide-gray-200">
-              <thead className="bg-gray-50">
-                <tr>
-                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Employee</th>
-                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Event</th>
-                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Company</th>
-                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Location</th>
-                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Time</th>
-                </tr>
-              </thead>
-              <tbody className="bg-white divide-y divide-gray-200">
-                {reportData.recent_logs.map((log, index) => (
-                  <tr key={index} className="hover:bg-gray-50">
-                    <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900">{log.employee_name}</td>
-                    <td className="px-6 py-4 whitespace-nowrap">
-                      <span className={`inline-flex px-2 py-1 text-xs font-semibold rounded-full ${
-                        log.event_type === 'IN' 
-                          ? 'bg-green-100 text-green-800' 
-                          : log.event_type === 'OUT'
-                          ? 'bg-orange-100 text-orange-800'
-                          : 'bg-gray-100 text-gray-800'
-                      }`}>
-                        {log.event_type || 'SCAN'}
-                      </span>
-                    </td>
-                    <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-600">{log.company_name}</td>
-                    <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-600">{log.location}</td>
-                    <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-600">
-                      {format(new Date(log.recorded_at), 'MMM dd, yyyy HH:mm', { timeZone: 'Asia/Kolkata' })}
-                    </td>
+        {/* Worked Hours */}
+        {sessionTotals && sessionTotals.length > 0 && (
+          <div className="card">
+            <h3 className="text-lg font-semibold text-gray-900 mb-4">Worked Hours</h3>
+            <div className="overflow-x-auto">
+              <table className="min-w-full divide-y divide-gray-200">
+                <thead className="bg-gray-50">
+                  <tr>
+                    <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Employee</th>
+                    <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Company</th>
+                    <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Days</th>
+                    <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">On Site</th>
+                    <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Avg / Day</th>
+                    <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Breaks</th>
+                    <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Unmatched</th>
                   </tr>
-                ))}
-              </tbody>
-            </table>
+                </thead>
+                <tbody className="bg-white divide-y divide-gray-200">
+                  {sessionTotals.map((total) => (
+                    <tr
+                      key={total.employee_id}
+                      onClick={() => handleViewTimesheet(total.employee_id)}
+                      className="hover:bg-gray-50 cursor-pointer"
+                    >
+                      <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900">
+                        {total.employee_name}
+                        {total.employee_code && <span className="ml-2 text-xs text-gray-500">{total.employee_code}</span>}
+                      </td>
+                      <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-600">{total.company_name}</td>
+                      <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-600">{total.days_present}</td>
+                      <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900">{formatMinutes(total.on_site_minutes)}</td>
+                      <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-600">
+                        {formatMinutes(Math.round(total.on_site_minutes / total.days_present))}
+                      </td>
+                      <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-600">{formatMinutes(total.break_minutes)}</td>
+                      <td className={`px-6 py-4 whitespace-nowrap text-sm ${total.unmatched_punches ? 'text-red-600 font-medium' : 'text-gray-600'}`}>
+                        {total.unmatched_punches}
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
           </div>
-        </div>
+        )}
+
+        {/* Daily Attendance Chart */}
+        {chartData.length > 0 ? (
+          <div className="card">
+            <h3 className="text-lg font-semibold text-gray-900 mb-4">Daily Attendance Trends</h3>
+            <ResponsiveContainer width="100%" height={300}>
+              <LineChart data={chartData}>
+                <CartesianGrid strokeDasharray="3 3" />
+                <XAxis 
+                  dataKey="date" 
+                  tickFormatter={(date) => format(new Date(date), 'MMM dd')}
+                />
+                <YAxis />
+                <Tooltip 
+                  labelFormatter={(date) => format(new Date(date), 'MMM dd, yyyy')}
+                />
+                <Legend />
+                <Line 
+                  type="monotone" 
+                  dataKey="total_scans" 
+                  stroke="#4f46e5" 
+                  strokeWidth={2}
+                  name="Total Scans"
+                />
+                <Line 
+                  type="monotone" 
+                  dataKey="unique_employees" 
+                  stroke="#10b981" 
+                  strokeWidth={2}
+                  name="Unique Employees"
+                />
+              </LineChart>
+            </ResponsiveContainer>
+          </div>
+        ) : (
+          <div className="card text-center py-12">
+            <Calendar className="w-16 h-16 text-gray-300 mx-auto mb-4" />
+            <h3 className="text-xl font-semibold text-gray-700 mb-2">No data available</h3>
+            <p className="text-gray-500">Try adjusting your date range or filters</p>
+          </div>
+        )}
+
+        {/* Hourly Distribution Chart */}
+        {reportData?.hourly_distribution && reportData.hourly_distribution.length > 0 && (
+          <div className="card">
+            <h3 className="text-lg font-semibold text-gray-900 mb-4">Hourly Distribution</h3>
+            <ResponsiveContainer width="100%" height={300}>
+              <BarChart data={reportData.hourly_distribution}>
+                <CartesianGrid strokeDasharray="3 3" />
+                <XAxis dataKey="hour" tickFormatter={(hour) => `${hour}:00`} />
+                <YAxis />
+                <Tooltip />
+                <Legend />
+                <Bar dataKey="count" fill="#4f46e5" name="Scans" />
+              </BarChart>
+            </ResponsiveContainer>
+          </div>
+        )}
+
+        {/* Recent Activity Table */}
+        {reportData?.recent_logs && reportData.recent_logs.length > 0 && (
+          <div className="card">
+            <h3 className="text-lg font-semibold text-gray-900 mb-4">Recent Activity</h3>
+            <div className="overflow-x-auto">
+              <table className="min-w-full divide-y divide-gray-200">
+                <thead className="bg-gray-50">
+                  <tr>
+                    <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Employee</th>
+                    <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Event</th>
+                    <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Company</th>
+                    <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Location</th>
+                    <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Time</th>
+                  </tr>
+                </thead>
+                <tbody className="bg-white divide-y divide-gray-200">
+                  {reportData.recent_logs.map((log, index) => (
+                    <tr key={index} className="hover:bg-gray-50">
+                      <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900">{log.employee_name}</td>
+                      <td className="px-6 py-4 whitespace-nowrap">
+                        <span className={`inline-flex px-2 py-1 text-xs font-semibold rounded-full ${
+                          log.event_type === 'IN' 
+                            ? 'bg-green-100 text-green-800' 
+                            : log.event_type === 'OUT'
+                            ? 'bg-orange-100 text-orange-800'
+                            : 'bg-gray-100 text-gray-800'
+                        }`}>
+                          {log.event_type || 'SCAN'}
+                        </span>
+                      </td>
+                      <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-600">{log.company_name}</td>
+                      <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-600">{log.location}</td>
+                      <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-600">
+                        {format(new Date(log.recorded_at), 'MMM dd, yyyy HH:mm', { timeZone: 'Asia/Kolkata' })}
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          </div>
+        )}
+        </>
       )}
+
+      {/* Timesheet Modal */}
+      <Modal
+        isOpen={!!timesheet}
+        onClose={() => setTimesheet(null)}
+        title={`Timesheet of ${timesheet?.employee.name || ''}`}
+        size="large"
+      >
+        {timesheet && (
+          <div className="space-y-4 text-sm">
+            <div className="flex flex-wrap items-center gap-x-6 text-gray-600">
+              <span>{timesheet.from} to {timesheet.to}</span>
+              <span>Days present: {timesheet.totals.days_present}</span>
+              <span>On site: {formatMinutes(timesheet.totals.on_site_minutes)}</span>
+              <span>Breaks: {formatMinutes(timesheet.totals.break_minutes)}</span>
+              {hasPermission('REQUEST_CORRECTION') && (
+                <button
+                  onClick={() => setCorrectionDate(timesheet.to)}
+                  className="ml-auto inline-flex items-center text-indigo-600 hover:text-indigo-800 font-medium"
+                >
+                  <FilePen className="w-4 h-4 mr-1" />
+                  Request Correction
+                </button>
+              )}
+            </div>
+            <div className="overflow-x-auto max-h-96 overflow-y-auto">
+              <table className="min-w-full">
+                <thead>
+                  <tr className="text-left text-gray-500 border-b">
+                    <th className="py-2 pr-4">Date</th>
+                    <th className="py-2 pr-4">Status</th>
+                    <th className="py-2 pr-4">First In</th>
+                    <th className="py-2 pr-4">Last Out</th>
+                    <th className="py-2 pr-4">On Site</th>
+                    <th className="py-2 pr-4">Breaks</th>
+                    <th className="py-2 pr-4">Sessions</th>
+                  </tr>
+                </thead>
+                <tbody className="divide-y divide-gray-100">
+                  {timesheet.days.map((day) => (
+                    <tr key={day.date}>
+                      <td className="py-2 pr-4 whitespace-nowrap">
+                        {hasPermission('REQUEST_CORRECTION') ? (
+                          <button
+                            onClick={() => setCorrectionDate(day.date)}
+                            className="text-indigo-600 hover:text-indigo-800"
+                            title="Request a correction for this day"
+                          >
+                            {format(new Date(`${day.date}T00:00:00`), 'EEE, MMM dd')}
+                          </button>
+                        ) : format(new Date(`${day.date}T00:00:00`), 'EEE, MMM dd')}
+                      </td>
+                      <td className="py-2 pr-4">{day.status ? day.status.replace('_', ' ') : '—'}</td>
+                      <td className="py-2 pr-4">{day.first_in ? format(new Date(day.first_in), 'HH:mm') : '—'}</td>
+                      <td className="py-2 pr-4">{day.last_out ? format(new Date(day.last_out), 'HH:mm') : '—'}</td>
+                      <td className="py-2 pr-4">{day.on_site_minutes ? formatMinutes(day.on_site_minutes) : '—'}</td>
+                      <td className="py-2 pr-4">{day.break_minutes ? formatMinutes(day.break_minutes) : '—'}</td>
+                      <td className="py-2 pr-4 text-gray-600">
+                        {day.sessions.map(session =>
+                          `${format(new Date(session.in_at), 'HH:mm')}–${format(new Date(session.out_at), 'HH:mm')}`).join(', ')}
+                        {day.open_since && ` ${format(new Date(day.open_since), 'HH:mm')}– (on site)`}
+                        {day.unmatched_punches.length > 0 && (
+                          <span className="ml-2 text-red-600">
+                            {day.unmatched_punches.length} unmatched
+                          </span>
+                        )}
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          </div>
+        )}
+      </Modal>
+
+      <CorrectionRequestModal
+        isOpen={!!correctionDate}
+        onClose={() => setCorrectionDate(null)}
+        employee={timesheet?.employee}
+        date={correctionDate}
+      />
     </div>
   )
 }
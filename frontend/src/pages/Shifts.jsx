@@ -0,0 +1,647 @@
+import { useState, useEffect } from 'react'
+import { CalendarClock, Plus, Edit, Trash2, UserPlus, Moon, Star, Users } from 'lucide-react'
+import { PageLoader, SpinnerOverlay } from '../components/Loaders'
+import SectionHeader from '../components/SectionHeader'
+import Modal from '../components/Modal'
+import { useAuth } from '../context/AuthContext'
+import { ROLES } from '../utils/permissions'
+import { format } from 'date-fns'
+import api from '../utils/api'
+
+// ISO weekday numbers used by the API (1 = Monday)
+const WEEKDAYS = [
+  { value: 1, label: 'Mon' },
+  { value: 2, label: 'Tue' },
+  { value: 3, label: 'Wed' },
+  { value: 4, label: 'Thu' },
+  { value: 5, label: 'Fri' },
+  { value: 6, label: 'Sat' },
+  { value: 7, label: 'Sun' }
+]
+
+const emptyShiftForm = () => ({
+  company_id: '',
+  name: '',
+  start_time: '09:30',
+  end_time: '18:30',
+  late_grace_minutes: 10,
+  early_leave_grace_minutes: 10,
+  break_minutes: 60,
+  half_day_minutes: 240,
+  full_day_minutes: '',
+  work_days: [1, 2, 3, 4, 5],
+  is_default: false
+})
+
+const emptyAssignForm = () => ({
+  effective_from: format(new Date(), 'yyyy-MM-dd'),
+  effective_to: '',
+  weekdays: [],
+  employee_ids: []
+})
+
+const formatTime = (time) => time?.slice(0, 5)
+
+const isOvernight = (shift) => formatTime(shift.end_time) <= formatTime(shift.start_time)
+
+const formatWorkDays = (days) =>
+  WEEKDAYS.filter(day => days?.includes(day.value)).map(day => day.label).join(', ')
+
+export default function Shifts() {
+  const { user } = useAuth()
+  const canChooseCompany = user?.role !== ROLES.COMPANY_ADMIN
+
+  const [shifts, setShifts] = useState([])
+  const [companies, setCompanies] = useState([])
+  const [loading, setLoading] = useState(true)
+  const [processing, setProcessing] = useState(false)
+  const [companyFilter, setCompanyFilter] = useState('')
+  const [showInactive, setShowInactive] = useState(false)
+
+  const [showShiftModal, setShowShiftModal] = useState(false)
+  const [editingShift, setEditingShift] = useState(null)
+  const [shiftForm, setShiftForm] = useState(emptyShiftForm)
+
+  const [assigningShift, setAssigningShift] = useState(null)
+  const [assignForm, setAssignForm] = useState(emptyAssignForm)
+  const [employees, setEmployees] = useState([])
+  const [employeeSearch, setEmployeeSearch] = useState('')
+  const [assignments, setAssignments] = useState([])
+
+  useEffect(() => {
+    if (canChooseCompany) {
+      api.getCompanies()
+        .then(response => setCompanies(response.data || []))
+        .catch(error => console.error('Error fetching companies:', error))
+    }
+  }, [])
+
+  useEffect(() => {
+    fetchShifts()
+  }, [companyFilter, showInactive])
+
+  const fetchShifts = async () => {
+    try {
+      const params = {}
+      if (companyFilter) params.company_id = companyFilter
+      if (showInactive) params.include_inactive = 'true'
+      const response = await api.getShifts(params)
+      setShifts(response.data || [])
+    } catch (error) {
+      console.error('Error fetching shifts:', error)
+    } finally {
+      setLoading(false)
+    }
+  }
+
+  const openShiftModal = (shift = null) => {
+    setEditingShift(shift)
+    setShiftForm(shift
+      ? {
+        company_id: shift.company_id,
+        name: shift.name,
+        start_time: formatTime(shift.start_time),
+        end_time: formatTime(shift.end_time),
+        late_grace_minutes: shift.late_grace_minutes,
+        early_leave_grace_minutes: shift.early_leave_grace_minutes,
+        break_minutes: shift.break_minutes,
+        half_day_minutes: shift.half_day_minutes,
+        full_day_minutes: shift.full_day_minutes ?? '',
+        work_days: shift.work_days,
+        is_default: shift.is_default
+      }
+      : { ...emptyShiftForm(), company_id: companyFilter })
+    setShowShiftModal(true)
+  }
+
+  const toggleDay = (days, day) =>
+    days.includes(day) ? days.filter(value => value !== day) : [...days, day].sort()
+
+  const handleSaveShift = async (e) => {
+    e.preventDefault()
+    if (shiftForm.work_days.length === 0) {
+      alert('Select at least one work day')
+      return
+    }
+
+    const { company_id, ...fields } = shiftForm
+    const data = {
+      ...fields,
+      late_grace_minutes: Number(fields.late_grace_minutes),
+      early_leave_grace_minutes: Number(fields.early_leave_grace_minutes),
+      break_minutes: Number(fields.break_minutes),
+      half_day_minutes: Number(fields.half_day_minutes),
+      full_day_minutes: fields.full_day_minutes === '' ? null : Number(fields.full_day_minutes)
+    }
+
+    try {
+      setProcessing(true)
+      if (editingShift) {
+        await api.updateShift(editingShift.id, data)
+      } else {
+        await api.createShift({ ...data, ...(canChooseCompany && { company_id }) })
+      }
+      setShowShiftModal(false)
+      fetchShifts()
+    } catch (error) {
+      console.error('Error saving shift:', error)
+      alert(error.message || 'Failed to save shift')
+    } finally {
+      setProcessing(false)
+    }
+  }
+
+  const handleToggleActive = async (shift) => {
+    try {
+      setProcessing(true)
+      await api.updateShift(shift.id, { is_active: !shift.is_active })
+      fetchShifts()
+    } catch (error) {
+      console.error('Error updating shift:', error)
+      alert(error.message || 'Failed to update shift')
+    } finally {
+      setProcessing(false)
+    }
+  }
+
+  const handleDeleteShift = async (shift) => {
+    if (!confirm(`Delete shift ${shift.name}?`)) return
+
+    try {
+      setProcessing(true)
+      await api.deleteShift(shift.id)
+      fetchShifts()
+    } catch (error) {
+      console.error('Error deleting shift:', error)
+      alert(error.message || 'Failed to delete shift')
+    } finally {
+      setProcessing(false)
+    }
+  }
+
+  const openAssignModal = async (shift) => {
+    setAssigningShift(shift)
+    setAssignForm(emptyAssignForm())
+    setEmployeeSearch('')
+
+    try {
+      const [employeesResponse, assignmentsResponse] = await Promise.all([
+        api.getEmployees({ limit: 1000 }),
+        api.getShiftAssignments({ shift_id: shift.id, current: 'true' })
+      ])
+      setEmployees((employeesResponse.data || []).filter(employee =>
+        String(employee.company_id) === String(shift.company_id) && employee.is_active !== false))
+      setAssignments(assignmentsResponse.data || [])
+    } catch (error) {
+      console.error('Error fetching employees:', error)
+    }
+  }
+
+  const toggleEmployee = (employeeId) => {
+    const selected = assignForm.employee_ids
+    setAssignForm({
+      ...assignForm,
+      employee_ids: selected.includes(employeeId)
+        ? selected.filter(id => id !== employeeId)
+        : [...selected, employeeId]
+    })
+  }
+
+  const handleAssign = async (e) => {
+    e.preventDefault()
+
+    try {
+      setProcessing(true)
+      const response = await api.assignShift({
+        shift_id: assigningShift.id,
+        employee_ids: assignForm.employee_ids,
+        effective_from: assignForm.effective_from,
+        effective_to: assignForm.effective_to || null,
+        weekdays: assignForm.weekdays.length > 0 ? assignForm.weekdays : null
+      })
+      if (response.superseded > 0) {
+        alert(`${response.superseded} earlier assignment(s) now end the day before ${assignForm.effective_from}`)
+      }
+      setAssigningShift(null)
+      fetchShifts()
+    } catch (error) {
+      console.error('Error assigning shift:', error)
+      alert(error.message || 'Failed to assign shift')
+    } finally {
+      setProcessing(false)
+    }
+  }
+
+  const handleRemoveAssignment = async (assignment) => {
+    if (!confirm(`Remove ${assignment.employees?.name} from ${assigningShift.name}?`)) return
+
+    try {
+      setProcessing(true)
+      await api.deleteShiftAssignment(assignment.id)
+      setAssignments(assignments.filter(item => item.id !== assignment.id))
+      fetchShifts()
+    } catch (error) {
+      console.error('Error removing assignment:', error)
+      alert(error.message || 'Failed to remove assignment')
+    } finally {
+      setProcessing(false)
+    }
+  }
+
+  if (loading) return <PageLoader message="Loading shifts..." />
+
+  const search = employeeSearch.trim().toLowerCase()
+  const matchingEmployees = employees.filter(employee =>
+    !search || employee.name.toLowerCase().includes(search) || employee.employee_id?.toLowerCase().includes(search))
+
+  return (
+    <div className="space-y-8">
+      <SectionHeader
+        title="Shifts"
+        subtitle="Work schedules used to mark each day on time, late, early leave, half day or absent"
+        actions={
+          <button onClick={() => openShiftModal()} className="btn btn-primary flex items-center">
+            <Plus className="w-4 h-4 mr-2" />
+            New Shift
+          </button>
+        }
+      />
+
+      <div className="card">
+        <div className="flex flex-col md:flex-row md:items-center md:justify-between gap-4 mb-4">
+          <h3 className="text-lg font-semibold text-gray-900">Shifts</h3>
+          <div className="flex items-center gap-4">
+            <label className="flex items-center text-sm text-gray-600">
+              <input
+                type="checkbox"
+                checked={showInactive}
+                onChange={(e) => setShowInactive(e.target.checked)}
+                className="w-4 h-4 mr-2 text-indigo-600 border-gray-300 rounded"
+              />
+              Show inactive
+            </label>
+            {canChooseCompany && (
+              <select
+                value={companyFilter}
+                onChange={(e) => setCompanyFilter(e.target.value)}
+                className="input w-56"
+              >
+                <option value="">All Companies</option>
+                {companies.map(company => (
+                  <option key={company.id} value={company.id}>{company.name}</option>
+                ))}
+              </select>
+            )}
+          </div>
+        </div>
+
+        {shifts.length === 0 ? (
+          <div className="text-center py-12">
+            <CalendarClock className="w-16 h-16 text-gray-300 mx-auto mb-4" />
+            <p className="text-gray-500">No shifts yet. Days are reported as unscheduled until a shift applies.</p>
+          </div>
+        ) : (
+          <div className="divide-y divide-gray-200">
+            {shifts.map((shift) => (
+              <div key={shift.id} className={`flex items-start justify-between py-3 text-sm ${shift.is_active ? '' : 'opacity-60'}`}>
+                <div>
+                  <p className="font-medium text-gray-900">
+                    {shift.name}
+                    {shift.is_default && (
+                      <span className="ml-2 inline-flex items-center px-2 py-0.5 rounded-full text-xs font-medium bg-indigo-100 text-indigo-800">
+                        <Star className="w-3 h-3 mr-1" />
+                        default
+                      </span>
+                    )}
+                    {!shift.is_active && (
+                      <span className="ml-2 px-2 py-0.5 rounded-full text-xs font-medium bg-gray-100 text-gray-700">inactive</span>
+                    )}
+                  </p>
+                  <div className="flex flex-wrap items-center gap-x-4 text-gray-500 mt-1">
+                    <span className="inline-flex items-center" title={isOvernight(shift) ? 'Overnight' : undefined}>
+                      {formatTime(shift.start_time)} – {formatTime(shift.end_time)}
+                      {isOvernight(shift) && <Moon className="w-4 h-4 ml-1" />}
+                    </span>
+                    <span>{formatWorkDays(shift.work_days)}</span>
+                    <span>Grace {shift.late_grace_minutes}/{shift.early_leave_grace_minutes} min</span>
+                    <span>Break {shift.break_minutes} min</span>
+                    <span>Half day under {shift.half_day_minutes} min</span>
+                    {canChooseCompany && shift.companies?.name && <span>{shift.companies.name}</span>}
+                    <span className="inline-flex items-center">
+                      <Users className="w-4 h-4 mr-1" />
+                      {shift.employee_count}
+                    </span>
+                  </div>
+                </div>
+                <div className="flex items-center space-x-3">
+                  {shift.is_active && (
+                    <button
+                      onClick={() => openAssignModal(shift)}
+                      className="inline-flex items-center text-indigo-600 hover:text-indigo-800 font-medium"
+                    >
+                      <UserPlus className="w-4 h-4 mr-1" />
+                      Assign
+                    </button>
+                  )}
+                  <button onClick={() => handleToggleActive(shift)} className="text-gray-500 hover:text-indigo-600 font-medium">
+                    {shift.is_active ? 'Deactivate' : 'Activate'}
+                  </button>
+                  <button onClick={() => openShiftModal(shift)} className="text-gray-500 hover:text-indigo-600" title="Edit">
+                    <Edit className="w-4 h-4" />
+                  </button>
+                  <button onClick={() => handleDeleteShift(shift)} className="text-gray-500 hover:text-red-600" title="Delete">
+                    <Trash2 className="w-4 h-4" />
+                  </button>
+                </div>
+              </div>
+            ))}
+          </div>
+        )}
+      </div>
+
+      {/* Shift Modal */}
+      <Modal
+        isOpen={showShiftModal}
+        onClose={() => setShowShiftModal(false)}
+        title={editingShift ? `Edit ${editingShift.name}` : 'New Shift'}
+      >
+        <form onSubmit={handleSaveShift} className="space-y-4">
+          <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+            {canChooseCompany && !editingShift && (
+              <div className="md:col-span-2">
+                <label className="label">Company *</label>
+                <select
+                  value={shiftForm.company_id}
+                  onChange={(e) => setShiftForm({ ...shiftForm, company_id: e.target.value })}
+                  className="input w-full"
+                  required
+                >
+                  <option value="">Select a company</option>
+                  {companies.map(company => (
+                    <option key={company.id} value={company.id}>{company.name}</option>
+                  ))}
+                </select>
+              </div>
+            )}
+            <div className="md:col-span-2">
+              <label className="label">Name *</label>
+              <input
+                type="text"
+                value={shiftForm.name}
+                onChange={(e) => setShiftForm({ ...shiftForm, name: e.target.value })}
+                className="input w-full"
+                placeholder="e.g. General, Night"
+                required
+              />
+            </div>
+            <div>
+              <label className="label">Start *</label>
+              <input
+                type="time"
+                value={shiftForm.start_time}
+                onChange={(e) => setShiftForm({ ...shiftForm, start_time: e.target.value })}
+                className="input w-full"
+                required
+              />
+            </div>
+            <div>
+              <label className="label">End *</label>
+              <input
+                type="time"
+                value={shiftForm.end_time}
+                onChange={(e) => setShiftForm({ ...shiftForm, end_time: e.target.value })}
+                className="input w-full"
+                required
+              />
+            </div>
+            <div>
+              <label className="label">Late Grace (min)</label>
+              <input
+                type="number"
+                min="0"
+                max="240"
+                value={shiftForm.late_grace_minutes}
+                onChange={(e) => setShiftForm({ ...shiftForm, late_grace_minutes: e.target.value })}
+                className="input w-full"
+              />
+            </div>
+            <div>
+              <label className="label">Early Leave Grace (min)</label>
+              <input
+                type="number"
+                min="0"
+                max="240"
+                value={shiftForm.early_leave_grace_minutes}
+                onChange={(e) => setShiftForm({ ...shiftForm, early_leave_grace_minutes: e.target.value })}
+                className="input w-full"
+              />
+            </div>
+            <div>
+              <label className="label">Break (min)</label>
+              <input
+                type="number"
+                min="0"
+                max="480"
+                value={shiftForm.break_minutes}
+                onChange={(e) => setShiftForm({ ...shiftForm, break_minutes: e.target.value })}
+                className="input w-full"
+              />
+            </div>
+            <div>
+              <label className="label">Half Day Below (min)</label>
+              <input
+                type="number"
+                min="0"
+                max="1440"
+                value={shiftForm.half_day_minutes}
+                onChange={(e) => setShiftForm({ ...shiftForm, half_day_minutes: e.target.value })}
+                className="input w-full"
+              />
+            </div>
+            <div className="md:col-span-2">
+              <label className="label">Full Day (min)</label>
+              <input
+                type="number"
+                min="0"
+                max="1440"
+                value={shiftForm.full_day_minutes}
+                onChange={(e) => setShiftForm({ ...shiftForm, full_day_minutes: e.target.value })}
+                className="input w-full"
+                placeholder="Shift length minus break"
+              />
+            </div>
+          </div>
+
+          <div>
+            <label className="label">Work Days</label>
+            <div className="flex flex-wrap gap-2">
+              {WEEKDAYS.map(day => (
+                <button
+                  key={day.value}
+                  type="button"
+                  onClick={() => setShiftForm({ ...shiftForm, work_days: toggleDay(shiftForm.work_days, day.value) })}
+                  className={`px-3 py-1 rounded-lg text-sm font-medium border ${
+                    shiftForm.work_days.includes(day.value)
+                      ? 'bg-indigo-600 text-white border-indigo-600'
+                      : 'bg-white text-gray-600 border-gray-300'
+                  }`}
+                >
+                  {day.label}
+                </button>
+              ))}
+            </div>
+          </div>
+
+          <label className="flex items-center text-sm text-gray-700">
+            <input
+              type="checkbox"
+              checked={shiftForm.is_default}
+              onChange={(e) => setShiftForm({ ...shiftForm, is_default: e.target.checked })}
+              className="w-4 h-4 mr-2 text-indigo-600 border-gray-300 rounded"
+            />
+            Default shift for employees without an assignment
+          </label>
+
+          <p className="text-xs text-gray-500">
+            Times are in the company timezone. An end time before the start time makes an overnight shift.
+          </p>
+
+          <div className="flex justify-end space-x-3 pt-4">
+            <button type="button" onClick={() => setShowShiftModal(false)} className="btn btn-secondary" disabled={processing}>
+              Cancel
+            </button>
+            <button type="submit" className="btn btn-primary" disabled={processing}>
+              {editingShift ? 'Save' : 'Create Shift'}
+            </button>
+          </div>
+        </form>
+      </Modal>
+
+      {/* Assign Modal */}
+      <Modal
+        isOpen={!!assigningShift}
+        onClose={() => setAssigningShift(null)}
+        title={`Assign ${assigningShift?.name || ''}`}
+        size="large"
+      >
+        {assigningShift && (
+          <form onSubmit={handleAssign} className="space-y-4">
+            <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+              <div>
+                <label className="label">Effective From *</label>
+                <input
+                  type="date"
+                  value={assignForm.effective_from}
+                  onChange={(e) => setAssignForm({ ...assignForm, effective_from: e.target.value })}
+                  className="input w-full"
+                  required
+                />
+              </div>
+              <div>
+                <label className="label">Effective To</label>
+                <input
+                  type="date"
+                  value={assignForm.effective_to}
+                  onChange={(e) => setAssignForm({ ...assignForm, effective_to: e.target.value })}
+                  className="input w-full"
+                />
+              </div>
+            </div>
+
+            <div>
+              <label className="label">Only On</label>
+              <p className="text-xs text-gray-500 mb-2">
+                Leave all unselected to follow the shift's work days ({formatWorkDays(assigningShift.work_days)})
+              </p>
+              <div className="flex flex-wrap gap-2">
+                {WEEKDAYS.map(day => (
+                  <button
+                    key={day.value}
+                    type="button"
+                    onClick={() => setAssignForm({ ...assignForm, weekdays: toggleDay(assignForm.weekdays, day.value) })}
+                    className={`px-3 py-1 rounded-lg text-sm font-medium border ${
+                      assignForm.weekdays.includes(day.value)
+                        ? 'bg-indigo-600 text-white border-indigo-600'
+                        : 'bg-white text-gray-600 border-gray-300'
+                    }`}
+                  >
+                    {day.label}
+                  </button>
+                ))}
+              </div>
+            </div>
+
+            <div>
+              <label className="label">Employees * ({assignForm.employee_ids.length} selected)</label>
+              <input
+                type="text"
+                value={employeeSearch}
+                onChange={(e) => setEmployeeSearch(e.target.value)}
+                className="input w-full mb-2"
+                placeholder="Search by name or ID..."
+              />
+              <div className="max-h-56 overflow-y-auto border border-gray-200 rounded-lg divide-y divide-gray-100">
+                {matchingEmployees.map((employee) => (
+                  <label key={employee.id} className="flex items-center px-3 py-2 text-sm cursor-pointer">
+                    <input
+                      type="checkbox"
+                      checked={assignForm.employee_ids.includes(employee.id)}
+                      onChange={() => toggleEmployee(employee.id)}
+                      className="w-4 h-4 mr-2 text-indigo-600 border-gray-300 rounded"
+                    />
+                    {employee.name}
+                    <span className="ml-auto text-xs text-gray-500">{employee.employee_id}</span>
+                  </label>
+                ))}
+                {matchingEmployees.length === 0 && (
+                  <p className="px-3 py-2 text-sm text-gray-500">No employees found</p>
+                )}
+              </div>
+            </div>
+
+            {assignments.length > 0 && (
+              <div>
+                <label className="label">Currently Assigned</label>
+                <div className="max-h-40 overflow-y-auto border border-gray-200 rounded-lg divide-y divide-gray-100">
+                  {assignments.map((assignment) => (
+                    <div key={assignment.id} className="flex items-center px-3 py-2 text-sm">
+                      <span>{assignment.employees?.name}</span>
+                      <span className="ml-3 text-xs text-gray-500">
+                        from {assignment.effective_from}
+                        {assignment.effective_to && ` to ${assignment.effective_to}`}
+                        {assignment.weekdays && ` • ${formatWorkDays(assignment.weekdays)}`}
+                      </span>
+                      <button
+                        type="button"
+                        onClick={() => handleRemoveAssignment(assignment)}
+                        className="ml-auto text-gray-400 hover:text-red-600"
+                        title="Remove"
+                      >
+                        <Trash2 className="w-4 h-4" />
+                      </button>
+                    </div>
+                  ))}
+                </div>
+              </div>
+            )}
+
+            <p className="text-xs text-gray-500">
+              Earlier assignments running on the same weekdays end the day before the new one starts.
+            </p>
+
+            <div className="flex justify-end space-x-3 pt-4">
+              <button type="button" onClick={() => setAssigningShift(null)} className="btn btn-secondary" disabled={processing}>
+                Cancel
+              </button>
+              <button type="submit" className="btn btn-primary" disabled={processing || assignForm.employee_ids.length === 0}>
+                Assign
+              </button>
+            </div>
+          </form>
+        )}
+      </Modal>
+
+      {processing && <SpinnerOverlay message="Processing..." />}
+    </div>
+  )
+}
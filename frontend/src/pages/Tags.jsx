@@ -0,0 +1,420 @@
+import { useState, useEffect } from 'react'
+import { CreditCard, Upload, Users, Search, History, Package } from 'lucide-react'
+import { PageLoader, SpinnerOverlay } from '../components/Loaders'
+import SectionHeader from '../components/SectionHeader'
+import Modal from '../components/Modal'
+import { useAuth } from '../context/AuthContext'
+import { ROLES } from '../utils/permissions'
+import { format } from 'date-fns'
+import api from '../utils/api'
+
+const STATUS_LABELS = {
+  in_stock: 'In stock',
+  assigned: 'Assigned',
+  lost: 'Lost',
+  stolen: 'Stolen',
+  damaged: 'Damaged',
+  retired: 'Retired'
+}
+
+const STATUS_STYLES = {
+  in_stock: 'bg-blue-100 text-blue-800',
+  assigned: 'bg-green-100 text-green-800',
+  lost: 'bg-red-100 text-red-800',
+  stolen: 'bg-red-100 text-red-800',
+  damaged: 'bg-amber-100 text-amber-800',
+  retired: 'bg-gray-100 text-gray-700'
+}
+
+// Row statuses returned by the import and bulk assign endpoints
+const RESULT_STYLES = {
+  created: 'text-green-700',
+  assigned: 'text-green-700',
+  exists: 'text-gray-500',
+  unchanged: 'text-gray-500',
+  duplicate: 'text-amber-700',
+  conflict: 'text-red-600',
+  invalid: 'text-red-600'
+}
+
+const PAGE_SIZE = 100
+
+export default function Tags() {
+  const { user, hasPermission } = useAuth()
+  const canChooseCompany = user?.role !== ROLES.COMPANY_ADMIN
+  const canBulkAssign = hasPermission('ASSIGN_RFID_TAG')
+
+  const [tags, setTags] = useState([])
+  const [total, setTotal] = useState(0)
+  const [stock, setStock] = useState([])
+  const [companies, setCompanies] = useState([])
+  const [loading, setLoading] = useState(true)
+  const [processing, setProcessing] = useState(false)
+  const [filters, setFilters] = useState({ status: '', batch: '', search: '' })
+
+  // Import and bulk assign share one CSV modal
+  const [csvMode, setCsvMode] = useState(null)
+  const [csvText, setCsvText] = useState('')
+  const [csvOptions, setCsvOptions] = useState({ batch: '', company_id: '' })
+  const [preview, setPreview] = useState(null)
+
+  const [historyTag, setHistoryTag] = useState(null)
+  const [history, setHistory] = useState([])
+
+  useEffect(() => {
+    fetchStock()
+    if (canChooseCompany) {
+      api.getCompanies()
+        .then(response => setCompanies(response.data || []))
+        .catch(error => console.error('Error fetching companies:', error))
+    }
+  }, [])
+
+  useEffect(() => {
+    const timeout = setTimeout(fetchTags, 300)
+    return () => clearTimeout(timeout)
+  }, [filters])
+
+  const fetchTags = async () => {
+    try {
+      const params = { limit: PAGE_SIZE }
+      Object.entries(filters).forEach(([key, value]) => {
+        if (value) params[key] = value
+      })
+      const response = await api.getTags(params)
+      setTags(response.data || [])
+      setTotal(response.pagination?.total || 0)
+    } catch (error) {
+      console.error('Error fetching tags:', error)
+    } finally {
+      setLoading(false)
+    }
+  }
+
+  const fetchStock = async () => {
+    try {
+      const response = await api.getTagStock()
+      setStock(response.data.by_company || [])
+    } catch (error) {
+      console.error('Error fetching tag stock:', error)
+    }
+  }
+
+  const openCsvModal = (mode) => {
+    setCsvMode(mode)
+    setCsvText('')
+    setCsvOptions({ batch: '', company_id: '' })
+    setPreview(null)
+  }
+
+  const closeCsvModal = () => {
+    setCsvMode(null)
+    setPreview(null)
+  }
+
+  const handleCsvFile = async (e) => {
+    const file = e.target.files?.[0]
+    if (!file) return
+    setCsvText(await file.text())
+    setPreview(null)
+  }
+
+  const runCsv = async (dryRun) => {
+    const params = { dry_run: dryRun }
+    if (csvOptions.company_id) params.company_id = csvOptions.company_id
+    if (csvMode === 'import') params.batch = csvOptions.batch.trim()
+
+    try {
+      setProcessing(true)
+      const response = csvMode === 'import'
+        ? await api.importTags(csvText, params)
+        : await api.bulkAssignTags(csvText, params)
+
+      if (dryRun) {
+        setPreview(response.data)
+        return
+      }
+
+      const { summary } = response.data
+      alert(csvMode === 'import'
+        ? `${summary.created} tag(s) imported, ${summary.exists} already registered.`
+        : `${summary.assigned} tag(s) assigned, ${summary.conflict + summary.invalid} row(s) skipped.`)
+      closeCsvModal()
+      fetchTags()
+      fetchStock()
+    } catch (error) {
+      console.error('Error processing CSV:', error)
+      alert(error.message || 'Failed to process CSV')
+    } finally {
+      setProcessing(false)
+    }
+  }
+
+  const openHistory = async (tag) => {
+    setHistoryTag(tag)
+    setHistory([])
+    try {
+      const response = await api.getTagHistory({ tag_uid: tag.uid })
+      setHistory(response.data || [])
+    } catch (error) {
+      console.error('Error fetching tag history:', error)
+    }
+  }
+
+  if (loading) return <PageLoader message="Loading tags..." />
+
+  const csvReady = csvText.trim() &&
+    (csvMode === 'import' ? csvOptions.batch.trim() : (!canChooseCompany || csvOptions.company_id))
+
+  // Rows worth reviewing before applying: everything that will not simply go through
+  const previewIssues = preview?.results.filter(result => !['created', 'assigned'].includes(result.status)) || []
+
+  return (
+    <div className="space-y-8">
+      <SectionHeader
+        title="Tags"
+        subtitle="RFID tag inventory, stock per company and bulk assignment"
+        actions={(
+          <>
+            <button onClick={() => openCsvModal('import')} className="btn btn-secondary flex items-center space-x-2">
+              <Upload className="w-5 h-5" />
+              <span>Import CSV</span>
+            </button>
+            {canBulkAssign && (
+              <button onClick={() => openCsvModal('assign')} className="btn btn-primary flex items-center space-x-2">
+                <Users className="w-5 h-5" />
+                <span>Bulk Assign</span>
+              </button>
+            )}
+          </>
+        )}
+      />
+
+      {/* Stock per company */}
+      <div className="grid grid-cols-1 md:grid-cols-3 lg:grid-cols-4 gap-4">
+        {stock.length === 0 ? (
+          <div className="card md:col-span-3 lg:col-span-4 text-sm text-gray-500 flex items-center">
+            <Package className="w-5 h-5 mr-2 text-gray-400" />
+            No unassigned tags in stock
+          </div>
+        ) : stock.map((entry) => (
+          <div key={entry.company_id || 'none'} className="card">
+            <p className="text-sm text-gray-500">{entry.company_name || 'Centre stock'}</p>
+            <p className="text-2xl font-bold text-gray-900">{entry.count}</p>
+            <p className="text-xs text-gray-500 mt-1">
+              {Object.entries(entry.batches).map(([batch, count]) => `${batch}: ${count}`).join(' • ') || 'No batch'}
+            </p>
+          </div>
+        ))}
+      </div>
+
+      <div className="card">
+        <div className="flex flex-col md:flex-row gap-4">
+          <div className="relative flex-1">
+            <Search className="w-5 h-5 text-gray-400 absolute left-3 top-1/2 -translate-y-1/2" />
+            <input
+              type="text"
+              value={filters.search}
+              onChange={(e) => setFilters({ ...filters, search: e.target.value })}
+              className="input w-full pl-10"
+              placeholder="Search by UID..."
+            />
+          </div>
+          <select
+            value={filters.status}
+            onChange={(e) => setFilters({ ...filters, status: e.target.value })}
+            className="input md:w-48"
+          >
+            <option value="">All statuses</option>
+            {Object.entries(STATUS_LABELS).map(([value, label]) => (
+              <option key={value} value={value}>{label}</option>
+            ))}
+          </select>
+          <input
+            type="text"
+            value={filters.batch}
+            onChange={(e) => setFilters({ ...filters, batch: e.target.value })}
+            className="input md:w-48"
+            placeholder="Batch"
+          />
+        </div>
+      </div>
+
+      {tags.length === 0 ? (
+        <div className="card text-center py-12">
+          <CreditCard className="w-16 h-16 text-gray-400 mx-auto mb-4" />
+          <h3 className="text-xl font-semibold text-gray-700 mb-2">No tags found</h3>
+          <p className="text-gray-500">Import a CSV of tag UIDs to add stock</p>
+        </div>
+      ) : (
+        <div className="card overflow-x-auto">
+          <table className="min-w-full text-sm">
+            <thead>
+              <tr className="text-left text-gray-500 border-b">
+                <th className="py-2 pr-4">UID</th>
+                <th className="py-2 pr-4">Status</th>
+                <th className="py-2 pr-4">Holder</th>
+                <th className="py-2 pr-4">Batch</th>
+                <th className="py-2 pr-4">Since</th>
+                <th className="py-2" />
+              </tr>
+            </thead>
+            <tbody className="divide-y divide-gray-100">
+              {tags.map((tag) => (
+                <tr key={tag.id}>
+                  <td className="py-2 pr-4 font-mono">
+                    {tag.uid}
+                    {tag.is_visitor_pool && <span className="ml-2 text-xs text-indigo-600">visitor</span>}
+                  </td>
+                  <td className="py-2 pr-4">
+                    <span className={`px-2 py-0.5 rounded-full text-xs font-medium ${STATUS_STYLES[tag.status]}`}>
+                      {STATUS_LABELS[tag.status]}
+                    </span>
+                  </td>
+                  <td className="py-2 pr-4">
+                    {tag.employees ? (
+                      <>
+                        {tag.employees.name}
+                        {tag.employees.companies?.name && <span className="text-gray-500"> • {tag.employees.companies.name}</span>}
+                      </>
+                    ) : '—'}
+                  </td>
+                  <td className="py-2 pr-4">{tag.batch || '—'}</td>
+                  <td className="py-2 pr-4 text-gray-500">
+                    {tag.status_changed_at && format(new Date(tag.status_changed_at), 'MMM dd, yyyy')}
+                  </td>
+                  <td className="py-2 text-right">
+                    {canBulkAssign && (
+                      <button onClick={() => openHistory(tag)} className="text-gray-500 hover:text-indigo-600" title="Assignment history">
+                        <History className="w-4 h-4" />
+                      </button>
+                    )}
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+          {total > tags.length && (
+            <p className="text-xs text-gray-500 mt-3">Showing {tags.length} of {total} tags; narrow the filters to see more</p>
+          )}
+        </div>
+      )}
+
+      {/* Import / Bulk Assign Modal */}
+      <Modal
+        isOpen={!!csvMode}
+        onClose={closeCsvModal}
+        title={csvMode === 'import' ? 'Import Tags' : 'Bulk Assign Tags'}
+        size="large"
+      >
+        <div className="space-y-4">
+          <p className="text-sm text-gray-600">
+            {csvMode === 'import'
+              ? 'One tag UID per row (column "uid"; header optional). UIDs already registered are left untouched.'
+              : 'Rows of "employee_id,tag_uid" using the staff ID (header optional). Unregistered UIDs are registered as they are assigned.'}
+          </p>
+
+          <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+            {csvMode === 'import' && (
+              <div>
+                <label className="label">Batch *</label>
+                <input
+                  type="text"
+                  value={csvOptions.batch}
+                  onChange={(e) => setCsvOptions({ ...csvOptions, batch: e.target.value })}
+                  className="input w-full"
+                  placeholder="e.g. 2026-10 delivery"
+                />
+              </div>
+            )}
+            {canChooseCompany && (
+              <div>
+                <label className="label">{csvMode === 'import' ? 'Company Pool' : 'Company *'}</label>
+                <select
+                  value={csvOptions.company_id}
+                  onChange={(e) => { setCsvOptions({ ...csvOptions, company_id: e.target.value }); setPreview(null) }}
+                  className="input w-full"
+                >
+                  <option value="">{csvMode === 'import' ? 'Centre stock' : 'Select a company'}</option>
+                  {companies.map((company) => (
+                    <option key={company.id} value={company.id}>{company.name}</option>
+                  ))}
+                </select>
+              </div>
+            )}
+          </div>
+
+          <div>
+            <label className="label">CSV</label>
+            <input type="file" accept=".csv,text/csv" onChange={handleCsvFile} className="block text-sm mb-2" />
+            <textarea
+              value={csvText}
+              onChange={(e) => { setCsvText(e.target.value); setPreview(null) }}
+              className="input w-full font-mono text-xs"
+              rows={6}
+              placeholder={csvMode === 'import' ? 'uid\nAB:CD:EF:01' : 'employee_id,tag_uid\nEMP001,AB:CD:EF:01'}
+            />
+          </div>
+
+          {preview && (
+            <div className="border border-gray-200 rounded-lg p-3 space-y-2">
+              <p className="text-sm font-medium text-gray-900">
+                Preview: {Object.entries(preview.summary).map(([status, count]) => `${count} ${status}`).join(', ')}
+              </p>
+              {previewIssues.length > 0 && (
+                <div className="max-h-60 overflow-y-auto divide-y divide-gray-100 text-xs">
+                  {previewIssues.map((result) => (
+                    <div key={result.line} className="flex items-center py-1.5 gap-3">
+                      <span className="text-gray-400 w-12">Line {result.line}</span>
+                      {result.employee_id && <span className="w-24 truncate">{result.employee_id}</span>}
+                      <span className="font-mono w-40 truncate">{result.uid || result.tag_uid}</span>
+                      <span className={`font-medium ${RESULT_STYLES[result.status]}`}>{result.status}</span>
+                      <span className="text-gray-500 truncate">{result.message || result.reason}</span>
+                    </div>
+                  ))}
+                </div>
+              )}
+            </div>
+          )}
+
+          <div className="flex justify-end space-x-3 pt-4">
+            <button type="button" onClick={closeCsvModal} className="btn btn-secondary" disabled={processing}>
+              Cancel
+            </button>
+            <button type="button" onClick={() => runCsv(true)} className="btn btn-secondary" disabled={processing || !csvReady}>
+              Preview
+            </button>
+            <button type="button" onClick={() => runCsv(false)} className="btn btn-primary" disabled={processing || !csvReady || !preview}>
+              {csvMode === 'import' ? 'Import' : 'Assign'}
+            </button>
+          </div>
+        </div>
+      </Modal>
+
+      {/* Assignment History Modal */}
+      <Modal isOpen={!!historyTag} onClose={() => setHistoryTag(null)} title={`History of ${historyTag?.uid || ''}`}>
+        {history.length === 0 ? (
+          <p className="text-sm text-gray-500">This tag has never been assigned</p>
+        ) : (
+          <div className="divide-y divide-gray-100 text-sm">
+            {history.map((entry) => (
+              <div key={entry.id} className="flex items-center justify-between py-2">
+                <span>
+                  {entry.employees?.name}
+                  {entry.companies?.name && <span className="text-gray-500"> • {entry.companies.name}</span>}
+                </span>
+                <span className="text-gray-500">
+                  {format(new Date(entry.assigned_at), 'MMM dd, yyyy')} – {entry.unassigned_at
+                    ? `${format(new Date(entry.unassigned_at), 'MMM dd, yyyy')} (${entry.end_reason})`
+                    : 'now'}
+                </span>
+              </div>
+            ))}
+          </div>
+        )}
+      </Modal>
+
+      {processing && <SpinnerOverlay message="Processing..." />}
+    </div>
+  )
+}
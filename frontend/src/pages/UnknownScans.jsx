@@ -0,0 +1,287 @@
+import { useState, useEffect } from 'react'
+import { ScanLine, UserPlus, XCircle, Radio, Clock } from 'lucide-react'
+import { PageLoader, SpinnerOverlay } from '../components/Loaders'
+import SectionHeader from '../components/SectionHeader'
+import Modal from '../components/Modal'
+import { format } from 'date-fns'
+import api from '../utils/api'
+
+const REASON_LABELS = {
+  unregistered: 'Unregistered tag',
+  unassigned: 'Tag not assigned',
+  inactive_tag: 'Inactive tag',
+  blocked_tag: 'Blocked tag',
+  inactive_employee: 'Inactive employee',
+  wrong_company: 'Other company\'s tag'
+}
+
+const REASON_STYLES = {
+  unregistered: 'bg-gray-100 text-gray-700',
+  unassigned: 'bg-blue-100 text-blue-800',
+  inactive_tag: 'bg-amber-100 text-amber-800',
+  blocked_tag: 'bg-red-100 text-red-800',
+  inactive_employee: 'bg-amber-100 text-amber-800',
+  wrong_company: 'bg-red-100 text-red-800'
+}
+
+export default function UnknownScans() {
+  const [scans, setScans] = useState([])
+  const [loading, setLoading] = useState(true)
+  const [processing, setProcessing] = useState(false)
+  const [filters, setFilters] = useState({ status: 'open', reason: '' })
+  const [assigningScan, setAssigningScan] = useState(null)
+  const [employeeSearch, setEmployeeSearch] = useState('')
+  const [employeeResults, setEmployeeResults] = useState([])
+  const [assignForm, setAssignForm] = useState({ employee_id: '', note: '' })
+
+  useEffect(() => {
+    fetchScans()
+  }, [filters])
+
+  useEffect(() => {
+    if (!assigningScan || employeeSearch.length < 2) {
+      setEmployeeResults([])
+      return
+    }
+
+    const timeout = setTimeout(async () => {
+      try {
+        const response = await api.getEmployees({ search: employeeSearch, limit: 20 })
+        setEmployeeResults((response.data || []).filter(employee => employee.is_active !== false))
+      } catch (error) {
+        console.error('Error searching employees:', error)
+      }
+    }, 300)
+    return () => clearTimeout(timeout)
+  }, [employeeSearch, assigningScan])
+
+  const fetchScans = async () => {
+    try {
+      const params = { status: filters.status, limit: 200 }
+      if (filters.reason) params.reason = filters.reason
+      const response = await api.getUnknownScans(params)
+      setScans(response.data || [])
+    } catch (error) {
+      console.error('Error fetching unknown scans:', error)
+    } finally {
+      setLoading(false)
+    }
+  }
+
+  const openAssignModal = (scan) => {
+    setAssigningScan(scan)
+    setEmployeeSearch('')
+    setAssignForm({ employee_id: '', note: '' })
+  }
+
+  const closeAssignModal = () => {
+    setAssigningScan(null)
+    setEmployeeResults([])
+  }
+
+  const handleAssign = async (e) => {
+    e.preventDefault()
+    if (!assignForm.employee_id) {
+      alert('Please select an employee')
+      return
+    }
+
+    try {
+      setProcessing(true)
+      const response = await api.assignUnknownScan(
+        assigningScan.id,
+        assignForm.employee_id,
+        assignForm.note || undefined
+      )
+      alert(`Tag ${assigningScan.tag_uid} assigned to ${response.data.employee.name}. ${response.data.resolved_scans} scan(s) resolved.`)
+      closeAssignModal()
+      fetchScans()
+    } catch (error) {
+      console.error('Error assigning tag:', error)
+      alert(error.message || 'Failed to assign tag')
+    } finally {
+      setProcessing(false)
+    }
+  }
+
+  const handleDismiss = async (scan) => {
+    const allForTag = confirm(`Dismiss every open scan of tag ${scan.tag_uid}?\n\nCancel dismisses only this scan.`)
+
+    try {
+      setProcessing(true)
+      await api.dismissUnknownScan(scan.id, allForTag)
+      fetchScans()
+    } catch (error) {
+      console.error('Error dismissing scan:', error)
+      alert(error.message || 'Failed to dismiss scan')
+    } finally {
+      setProcessing(false)
+    }
+  }
+
+  if (loading) return <PageLoader message="Loading unknown scans..." />
+
+  return (
+    <div className="space-y-8">
+      <SectionHeader
+        title="Unknown Scans"
+        subtitle="Scans of unregistered or rejected tags that were not logged as attendance"
+      />
+
+      <div className="card">
+        <div className="flex flex-col md:flex-row gap-4">
+          <select
+            value={filters.status}
+            onChange={(e) => setFilters({ ...filters, status: e.target.value })}
+            className="input md:w-48"
+          >
+            <option value="open">Open</option>
+            <option value="resolved">Resolved</option>
+            <option value="dismissed">Dismissed</option>
+          </select>
+          <select
+            value={filters.reason}
+            onChange={(e) => setFilters({ ...filters, reason: e.target.value })}
+            className="input md:w-56"
+          >
+            <option value="">All reasons</option>
+            {Object.entries(REASON_LABELS).map(([value, label]) => (
+              <option key={value} value={value}>{label}</option>
+            ))}
+          </select>
+        </div>
+      </div>
+
+      {scans.length === 0 ? (
+        <div className="card text-center py-12">
+          <ScanLine className="w-16 h-16 text-gray-400 mx-auto mb-4" />
+          <h3 className="text-xl font-semibold text-gray-700 mb-2">No {filters.status} scans</h3>
+          <p className="text-gray-500">Scans of tags that cannot be matched to an employee appear here</p>
+        </div>
+      ) : (
+        <div className="card divide-y divide-gray-200">
+          {scans.map((scan) => (
+            <div key={scan.id} className="flex items-start justify-between py-3 text-sm">
+              <div>
+                <p className="font-medium text-gray-900">
+                  <span className="font-mono">{scan.tag_uid}</span>
+                  <span className={`ml-2 px-2 py-0.5 rounded-full text-xs font-medium ${REASON_STYLES[scan.reason]}`}>
+                    {REASON_LABELS[scan.reason]}
+                  </span>
+                </p>
+                <div className="flex flex-wrap items-center gap-x-4 text-gray-500 mt-1">
+                  <span className="inline-flex items-center">
+                    <Clock className="w-4 h-4 mr-1" />
+                    {format(new Date(scan.recorded_at), 'MMM dd, yyyy HH:mm')}
+                  </span>
+                  <span className="inline-flex items-center">
+                    <Radio className="w-4 h-4 mr-1" />
+                    {scan.devices?.device_name || scan.devices?.device_uuid}
+                    {scan.devices?.location && ` • ${scan.devices.location}`}
+                  </span>
+                  {scan.companies?.name && <span>{scan.companies.name}</span>}
+                  {scan.employees && <span>Tag holder: {scan.employees.name}</span>}
+                </div>
+                {scan.status !== 'open' && scan.resolved_at && (
+                  <p className="text-xs text-gray-400 mt-1">
+                    {scan.status === 'resolved' ? 'Resolved' : 'Dismissed'} {format(new Date(scan.resolved_at), 'MMM dd, HH:mm')}
+                    {scan.users?.username && ` by ${scan.users.username}`}
+                  </p>
+                )}
+              </div>
+              {scan.status === 'open' && (
+                <div className="flex items-center space-x-3">
+                  {/* Blocked tags must be returned to stock before they can be reassigned */}
+                  {scan.reason !== 'blocked_tag' && (
+                    <button
+                      onClick={() => openAssignModal(scan)}
+                      className="inline-flex items-center text-indigo-600 hover:text-indigo-800 font-medium"
+                    >
+                      <UserPlus className="w-4 h-4 mr-1" />
+                      Assign
+                    </button>
+                  )}
+                  <button
+                    onClick={() => handleDismiss(scan)}
+                    className="text-gray-500 hover:text-red-600"
+                    title="Dismiss"
+                  >
+                    <XCircle className="w-4 h-4" />
+                  </button>
+                </div>
+              )}
+            </div>
+          ))}
+        </div>
+      )}
+
+      {/* Assign Tag Modal */}
+      <Modal
+        isOpen={!!assigningScan}
+        onClose={closeAssignModal}
+        title={`Assign Tag ${assigningScan?.tag_uid || ''}`}
+        size="small"
+      >
+        <form onSubmit={handleAssign} className="space-y-4">
+          <div>
+            <label className="label">Employee *</label>
+            <input
+              type="text"
+              value={employeeSearch}
+              onChange={(e) => setEmployeeSearch(e.target.value)}
+              className="input w-full"
+              placeholder="Search by name..."
+              autoFocus
+            />
+            {employeeResults.length > 0 && (
+              <div className="mt-2 max-h-48 overflow-y-auto border border-gray-200 rounded-lg divide-y divide-gray-100">
+                {employeeResults.map((employee) => (
+                  <label key={employee.id} className="flex items-center px-3 py-2 text-sm cursor-pointer">
+                    <input
+                      type="radio"
+                      name="employee_id"
+                      checked={assignForm.employee_id === employee.id}
+                      onChange={() => setAssignForm({ ...assignForm, employee_id: employee.id })}
+                      className="w-4 h-4 mr-2 text-indigo-600 border-gray-300"
+                    />
+                    {employee.name}
+                    <span className="ml-auto text-xs text-gray-500">
+                      {employee.employee_id}{employee.companies?.name && ` • ${employee.companies.name}`}
+                    </span>
+                  </label>
+                ))}
+              </div>
+            )}
+          </div>
+
+          <div>
+            <label className="label">Note</label>
+            <input
+              type="text"
+              value={assignForm.note}
+              onChange={(e) => setAssignForm({ ...assignForm, note: e.target.value })}
+              className="input w-full"
+              placeholder="Optional"
+            />
+          </div>
+
+          <p className="text-xs text-gray-500">
+            The tag is registered or reactivated for this employee, and every open scan of it is resolved.
+            Quarantined scans are not added to attendance.
+          </p>
+
+          <div className="flex justify-end space-x-3 pt-4">
+            <button type="button" onClick={closeAssignModal} className="btn btn-secondary" disabled={processing}>
+              Cancel
+            </button>
+            <button type="submit" className="btn btn-primary" disabled={processing || !assignForm.employee_id}>
+              Assign Tag
+            </button>
+          </div>
+        </form>
+      </Modal>
+
+      {processing && <SpinnerOverlay message="Processing..." />}
+    </div>
+  )
+}
@@ -0,0 +1,681 @@
+import { useState, useEffect } from 'react'
+import { Contact, Plus, Trash2, Undo2, Ban, Eye, Clock, Radio, Download } from 'lucide-react'
+import { PageLoader, SpinnerOverlay } from '../components/Loaders'
+import SectionHeader from '../components/SectionHeader'
+import Modal from '../components/Modal'
+import { useAuth } from '../context/AuthContext'
+import { format } from 'date-fns'
+import api from '../utils/api'
+
+const STATUS_STYLES = {
+  active: 'bg-green-100 text-green-800',
+  returned: 'bg-gray-100 text-gray-700',
+  revoked: 'bg-red-100 text-red-800',
+  expired: 'bg-amber-100 text-amber-800'
+}
+
+const REJECT_LABELS = {
+  no_active_pass: 'No active pass',
+  outside_window: 'Outside pass window',
+  pass_closed: 'Pass returned',
+  reader_not_allowed: 'Reader not allowed'
+}
+
+// datetime-local input value for a Date, in local time
+const toInputValue = (date) => format(date, "yyyy-MM-dd'T'HH:mm")
+
+const emptyPassForm = () => ({
+  rfid_tag_id: '',
+  host_employee_id: '',
+  visitor_name: '',
+  visitor_company: '',
+  visitor_type: 'visitor',
+  valid_from: toInputValue(new Date()),
+  valid_until: toInputValue(new Date(Date.now() + 8 * 60 * 60 * 1000)),
+  allowed_device_ids: [],
+  note: ''
+})
+
+export default function Visitors() {
+  const { hasPermission } = useAuth()
+  const canManagePasses = hasPermission('MANAGE_VISITOR_PASSES')
+  const canManagePool = hasPermission('MANAGE_VISITOR_POOL')
+
+  const [pool, setPool] = useState([])
+  const [passes, setPasses] = useState([])
+  const [devices, setDevices] = useState([])
+  const [loading, setLoading] = useState(true)
+  const [processing, setProcessing] = useState(false)
+  const [statusFilter, setStatusFilter] = useState('active')
+
+  const [showPassModal, setShowPassModal] = useState(false)
+  const [passForm, setPassForm] = useState(emptyPassForm)
+  const [hostSearch, setHostSearch] = useState('')
+  const [hostResults, setHostResults] = useState([])
+
+  const [showPoolModal, setShowPoolModal] = useState(false)
+  const [poolForm, setPoolForm] = useState({ tag_uid: '', note: '' })
+
+  const [viewingPass, setViewingPass] = useState(null)
+
+  const today = format(new Date(), 'yyyy-MM-dd')
+  const [logRange, setLogRange] = useState({ from: today, to: today })
+  const [visitorLog, setVisitorLog] = useState(null)
+
+  useEffect(() => {
+    fetchData()
+  }, [statusFilter])
+
+  useEffect(() => {
+    if (!showPassModal || hostSearch.length < 2) {
+      setHostResults([])
+      return
+    }
+
+    const timeout = setTimeout(async () => {
+      try {
+        const response = await api.getEmployees({ search: hostSearch, limit: 20 })
+        setHostResults((response.data || []).filter(employee => employee.is_active !== false))
+      } catch (error) {
+        console.error('Error searching employees:', error)
+      }
+    }, 300)
+    return () => clearTimeout(timeout)
+  }, [hostSearch, showPassModal])
+
+  const fetchData = async () => {
+    try {
+      const [poolResponse, passesResponse] = await Promise.all([
+        api.getVisitorPool(),
+        canManagePasses
+          ? api.getVisitorPasses({ ...(statusFilter && { status: statusFilter }), limit: 200 })
+          : Promise.resolve({ data: [] })
+      ])
+      setPool(poolResponse.data || [])
+      setPasses(passesResponse.data || [])
+    } catch (error) {
+      console.error('Error fetching visitor passes:', error)
+    } finally {
+      setLoading(false)
+    }
+  }
+
+  const openPassModal = async () => {
+    setPassForm(emptyPassForm())
+    setHostSearch('')
+    setShowPassModal(true)
+
+    try {
+      const response = await api.getDevices()
+      setDevices(response.data || [])
+    } catch (error) {
+      console.error('Error fetching devices:', error)
+    }
+  }
+
+  const toggleDevice = (deviceId) => {
+    const selected = passForm.allowed_device_ids
+    setPassForm({
+      ...passForm,
+      allowed_device_ids: selected.includes(deviceId)
+        ? selected.filter(id => id !== deviceId)
+        : [...selected, deviceId]
+    })
+  }
+
+  const handleCreatePass = async (e) => {
+    e.preventDefault()
+    if (!passForm.rfid_tag_id || !passForm.host_employee_id) {
+      alert('Please select a badge and a host')
+      return
+    }
+
+    try {
+      setProcessing(true)
+      await api.createVisitorPass({
+        ...passForm,
+        valid_from: new Date(passForm.valid_from).toISOString(),
+        valid_until: new Date(passForm.valid_until).toISOString(),
+        visitor_company: passForm.visitor_company || undefined,
+        note: passForm.note || undefined
+      })
+      setShowPassModal(false)
+      fetchData()
+    } catch (error) {
+      console.error('Error issuing pass:', error)
+      alert(error.message || 'Failed to issue pass')
+    } finally {
+      setProcessing(false)
+    }
+  }
+
+  const handleReturnPass = async (pass, revoke = false) => {
+    const message = revoke
+      ? `Revoke the pass of ${pass.visitor_name}? Badge ${pass.tag_uid} stops working immediately.`
+      : `Return badge ${pass.tag_uid} from ${pass.visitor_name} to the pool?`
+    if (!confirm(message)) return
+
+    try {
+      setProcessing(true)
+      await api.returnVisitorPass(pass.id, revoke)
+      fetchData()
+    } catch (error) {
+      console.error('Error returning pass:', error)
+      alert(error.message || 'Failed to return pass')
+    } finally {
+      setProcessing(false)
+    }
+  }
+
+  const handleViewPass = async (pass) => {
+    try {
+      setProcessing(true)
+      const response = await api.getVisitorPass(pass.id)
+      setViewingPass(response.data)
+    } catch (error) {
+      console.error('Error fetching pass:', error)
+      alert(error.message || 'Failed to load pass')
+    } finally {
+      setProcessing(false)
+    }
+  }
+
+  const handleAddPoolTag = async (e) => {
+    e.preventDefault()
+
+    try {
+      setProcessing(true)
+      await api.addVisitorPoolTag(poolForm.tag_uid.trim(), poolForm.note || undefined)
+      setShowPoolModal(false)
+      setPoolForm({ tag_uid: '', note: '' })
+      fetchData()
+    } catch (error) {
+      console.error('Error adding badge:', error)
+      alert(error.message || 'Failed to add badge')
+    } finally {
+      setProcessing(false)
+    }
+  }
+
+  const handleRemovePoolTag = async (tag) => {
+    if (!confirm(`Remove badge ${tag.uid} from the visitor pool?`)) return
+
+    try {
+      setProcessing(true)
+      await api.removeVisitorPoolTag(tag.id)
+      fetchData()
+    } catch (error) {
+      console.error('Error removing badge:', error)
+      alert(error.message || 'Failed to remove badge')
+    } finally {
+      setProcessing(false)
+    }
+  }
+
+  const handleLoadLog = async () => {
+    try {
+      setProcessing(true)
+      const response = await api.getVisitorLog(null, logRange.from, logRange.to)
+      setVisitorLog(response.data.passes || [])
+    } catch (error) {
+      console.error('Error loading visitor log:', error)
+      alert(error.message || 'Failed to load visitor log')
+    } finally {
+      setProcessing(false)
+    }
+  }
+
+  const handleExportLog = async () => {
+    try {
+      setProcessing(true)
+      const blob = await api.exportVisitorLog(null, logRange.from, logRange.to)
+
+      const url = window.URL.createObjectURL(blob)
+      const link = document.createElement('a')
+      link.href = url
+      link.setAttribute('download', `visitor-log-${logRange.from}-${logRange.to}.csv`)
+      document.body.appendChild(link)
+      link.click()
+      link.remove()
+      window.URL.revokeObjectURL(url)
+    } catch (error) {
+      console.error('Error exporting visitor log:', error)
+      alert('Failed to export visitor log')
+    } finally {
+      setProcessing(false)
+    }
+  }
+
+  const formatWindow = (pass) =>
+    `${format(new Date(pass.valid_from), 'MMM dd, HH:mm')} – ${format(new Date(pass.valid_until), 'MMM dd, HH:mm')}`
+
+  if (loading) return <PageLoader message="Loading visitor passes..." />
+
+  const availableTags = pool.filter(tag => tag.available)
+
+  return (
+    <div className="space-y-8">
+      <SectionHeader
+        title="Visitors"
+        subtitle="Temporary badges for visitors and interns, returned to the pool when their pass ends"
+        actions={
+          <div className="flex space-x-3">
+            {canManagePool && (
+              <button onClick={() => setShowPoolModal(true)} className="btn btn-secondary flex items-center">
+                <Plus className="w-4 h-4 mr-2" />
+                Add Badge
+              </button>
+            )}
+            {canManagePasses && (
+              <button onClick={openPassModal} className="btn btn-primary flex items-center" disabled={availableTags.length === 0}>
+                <Contact className="w-4 h-4 mr-2" />
+                Issue Pass
+              </button>
+            )}
+          </div>
+        }
+      />
+
+      {/* Badge Pool */}
+      <div className="card">
+        <h3 className="text-lg font-semibold text-gray-900 mb-1">Badge Pool</h3>
+        <p className="text-sm text-gray-500 mb-4">
+          {availableTags.length} of {pool.length} badge(s) available
+        </p>
+        {pool.length === 0 ? (
+          <p className="text-sm text-gray-500">No badges in the visitor pool yet</p>
+        ) : (
+          <div className="grid grid-cols-2 md:grid-cols-4 lg:grid-cols-6 gap-3">
+            {pool.map((tag) => (
+              <div
+                key={tag.id}
+                className={`border rounded-lg px-3 py-2 text-sm ${tag.available ? 'border-green-200 bg-green-50' : 'border-gray-200 bg-gray-50'}`}
+              >
+                <div className="flex items-center justify-between">
+                  <span className="font-mono font-medium">{tag.uid}</span>
+                  {canManagePool && !tag.active_pass && (
+                    <button
+                      onClick={() => handleRemovePoolTag(tag)}
+                      className="text-gray-400 hover:text-red-600"
+                      title="Remove from pool"
+                    >
+                      <Trash2 className="w-4 h-4" />
+                    </button>
+                  )}
+                </div>
+                <p className="text-xs text-gray-500 mt-1">
+                  {!tag.is_active
+                    ? `Blocked (${tag.status})`
+                    : tag.active_pass
+                      ? `${tag.active_pass.visitor_name || 'Lent'} until ${format(new Date(tag.active_pass.valid_until), 'MMM dd, HH:mm')}`
+                      : 'Available'}
+                </p>
+              </div>
+            ))}
+          </div>
+        )}
+      </div>
+
+      {canManagePasses && (
+        <>
+          {/* Passes */}
+          <div className="card">
+            <div className="flex items-center justify-between mb-4">
+              <h3 className="text-lg font-semibold text-gray-900">Passes</h3>
+              <select
+                value={statusFilter}
+                onChange={(e) => setStatusFilter(e.target.value)}
+                className="input w-40"
+              >
+                <option value="active">Active</option>
+                <option value="returned">Returned</option>
+                <option value="revoked">Revoked</option>
+                <option value="expired">Expired</option>
+                <option value="">All</option>
+              </select>
+            </div>
+
+            {passes.length === 0 ? (
+              <p className="text-sm text-gray-500">No {statusFilter} passes</p>
+            ) : (
+              <div className="divide-y divide-gray-200">
+                {passes.map((pass) => (
+                  <div key={pass.id} className="flex items-start justify-between py-3 text-sm">
+                    <div>
+                      <p className="font-medium text-gray-900">
+                        {pass.visitor_name}
+                        {pass.visitor_company && <span className="text-gray-500 font-normal"> • {pass.visitor_company}</span>}
+                        <span className={`ml-2 px-2 py-0.5 rounded-full text-xs font-medium ${STATUS_STYLES[pass.status]}`}>
+                          {pass.status}
+                        </span>
+                        {pass.visitor_type === 'intern' && (
+                          <span className="ml-2 px-2 py-0.5 rounded-full text-xs font-medium bg-indigo-100 text-indigo-800">intern</span>
+                        )}
+                      </p>
+                      <div className="flex flex-wrap items-center gap-x-4 text-gray-500 mt-1">
+                        <span className="font-mono">{pass.tag_uid}</span>
+                        <span className="inline-flex items-center">
+                          <Clock className="w-4 h-4 mr-1" />
+                          {formatWindow(pass)}
+                        </span>
+                        <span>Host: {pass.employees?.name}</span>
+                        {pass.companies?.name && <span>{pass.companies.name}</span>}
+                        <span className="inline-flex items-center">
+                          <Radio className="w-4 h-4 mr-1" />
+                          {pass.allowed_device_ids?.length ? `${pass.allowed_device_ids.length} reader(s)` : 'All readers'}
+                        </span>
+                      </div>
+                    </div>
+                    <div className="flex items-center space-x-3">
+                      <button onClick={() => handleViewPass(pass)} className="text-gray-500 hover:text-indigo-600" title="Scans">
+                        <Eye className="w-4 h-4" />
+                      </button>
+                      {pass.status === 'active' && (
+                        <>
+                          <button
+                            onClick={() => handleReturnPass(pass)}
+                            className="inline-flex items-center text-indigo-600 hover:text-indigo-800 font-medium"
+                          >
+                            <Undo2 className="w-4 h-4 mr-1" />
+                            Return
+                          </button>
+                          <button onClick={() => handleReturnPass(pass, true)} className="text-gray-500 hover:text-red-600" title="Revoke">
+                            <Ban className="w-4 h-4" />
+                          </button>
+                        </>
+                      )}
+                    </div>
+                  </div>
+                ))}
+              </div>
+            )}
+          </div>
+
+          {/* Visitor Log */}
+          <div className="card">
+            <h3 className="text-lg font-semibold text-gray-900 mb-4">Visitor Log</h3>
+            <div className="flex flex-col md:flex-row md:items-end gap-4">
+              <div>
+                <label className="label">From</label>
+                <input
+                  type="date"
+                  value={logRange.from}
+                  onChange={(e) => setLogRange({ ...logRange, from: e.target.value })}
+                  className="input"
+                />
+              </div>
+              <div>
+                <label className="label">To</label>
+                <input
+                  type="date"
+                  value={logRange.to}
+                  onChange={(e) => setLogRange({ ...logRange, to: e.target.value })}
+                  className="input"
+                />
+              </div>
+              <button onClick={handleLoadLog} className="btn btn-primary">Show</button>
+              <button onClick={handleExportLog} className="btn btn-secondary flex items-center">
+                <Download className="w-4 h-4 mr-2" />
+                CSV
+              </button>
+            </div>
+
+            {visitorLog && (
+              visitorLog.length === 0 ? (
+                <p className="text-sm text-gray-500 mt-4">No visitors in this period</p>
+              ) : (
+                <div className="overflow-x-auto mt-4">
+                  <table className="min-w-full text-sm">
+                    <thead>
+                      <tr className="text-left text-gray-500 border-b">
+                        <th className="py-2 pr-4">Visitor</th>
+                        <th className="py-2 pr-4">Host</th>
+                        <th className="py-2 pr-4">Badge</th>
+                        <th className="py-2 pr-4">Window</th>
+                        <th className="py-2 pr-4">First Scan</th>
+                        <th className="py-2 pr-4">Last Scan</th>
+                        <th className="py-2 pr-4">Refused</th>
+                      </tr>
+                    </thead>
+                    <tbody className="divide-y divide-gray-100">
+                      {visitorLog.map((entry) => (
+                        <tr key={entry.id}>
+                          <td className="py-2 pr-4">
+                            {entry.visitor_name}
+                            {entry.visitor_company && <span className="text-gray-500"> • {entry.visitor_company}</span>}
+                          </td>
+                          <td className="py-2 pr-4">{entry.employees?.name}</td>
+                          <td className="py-2 pr-4 font-mono">{entry.tag_uid}</td>
+                          <td className="py-2 pr-4">{formatWindow(entry)}</td>
+                          <td className="py-2 pr-4">{entry.first_scan ? format(new Date(entry.first_scan), 'MMM dd, HH:mm') : '—'}</td>
+                          <td className="py-2 pr-4">{entry.last_scan ? format(new Date(entry.last_scan), 'MMM dd, HH:mm') : '—'}</td>
+                          <td className={`py-2 pr-4 ${entry.refused_scans ? 'text-red-600 font-medium' : ''}`}>{entry.refused_scans}</td>
+                        </tr>
+                      ))}
+                    </tbody>
+                  </table>
+                </div>
+              )
+            )}
+          </div>
+        </>
+      )}
+
+      {/* Issue Pass Modal */}
+      <Modal isOpen={showPassModal} onClose={() => setShowPassModal(false)} title="Issue Visitor Pass">
+        <form onSubmit={handleCreatePass} className="space-y-4">
+          <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+            <div>
+              <label className="label">Visitor Name *</label>
+              <input
+                type="text"
+                value={passForm.visitor_name}
+                onChange={(e) => setPassForm({ ...passForm, visitor_name: e.target.value })}
+                className="input w-full"
+                required
+              />
+            </div>
+            <div>
+              <label className="label">Visitor Company</label>
+              <input
+                type="text"
+                value={passForm.visitor_company}
+                onChange={(e) => setPassForm({ ...passForm, visitor_company: e.target.value })}
+                className="input w-full"
+                placeholder="Optional"
+              />
+            </div>
+            <div>
+              <label className="label">Type</label>
+              <select
+                value={passForm.visitor_type}
+                onChange={(e) => setPassForm({ ...passForm, visitor_type: e.target.value })}
+                className="input w-full"
+              >
+                <option value="visitor">Visitor</option>
+                <option value="intern">Intern</option>
+              </select>
+            </div>
+            <div>
+              <label className="label">Badge *</label>
+              <select
+                value={passForm.rfid_tag_id}
+                onChange={(e) => setPassForm({ ...passForm, rfid_tag_id: e.target.value })}
+                className="input w-full"
+                required
+              >
+                <option value="">Select a badge</option>
+                {availableTags.map((tag) => (
+                  <option key={tag.id} value={tag.id}>{tag.uid}</option>
+                ))}
+              </select>
+            </div>
+            <div>
+              <label className="label">Valid From *</label>
+              <input
+                type="datetime-local"
+                value={passForm.valid_from}
+                onChange={(e) => setPassForm({ ...passForm, valid_from: e.target.value })}
+                className="input w-full"
+                required
+              />
+            </div>
+            <div>
+              <label className="label">Valid Until *</label>
+              <input
+                type="datetime-local"
+                value={passForm.valid_until}
+                onChange={(e) => setPassForm({ ...passForm, valid_until: e.target.value })}
+                className="input w-full"
+                required
+              />
+            </div>
+          </div>
+
+          <div>
+            <label className="label">Host Employee *</label>
+            <input
+              type="text"
+              value={hostSearch}
+              onChange={(e) => setHostSearch(e.target.value)}
+              className="input w-full"
+              placeholder="Search by name..."
+            />
+            {hostResults.length > 0 && (
+              <div className="mt-2 max-h-40 overflow-y-auto border border-gray-200 rounded-lg divide-y divide-gray-100">
+                {hostResults.map((employee) => (
+                  <label key={employee.id} className="flex items-center px-3 py-2 text-sm cursor-pointer">
+                    <input
+                      type="radio"
+                      name="host_employee_id"
+                      checked={passForm.host_employee_id === employee.id}
+                      onChange={() => setPassForm({ ...passForm, host_employee_id: employee.id })}
+                      className="w-4 h-4 mr-2 text-indigo-600 border-gray-300"
+                    />
+                    {employee.name}
+                    <span className="ml-auto text-xs text-gray-500">
+                      {employee.employee_id}{employee.companies?.name && ` • ${employee.companies.name}`}
+                    </span>
+                  </label>
+                ))}
+              </div>
+            )}
+          </div>
+
+          <div>
+            <label className="label">Allowed Readers</label>
+            <p className="text-xs text-gray-500 mb-2">Leave all unchecked to allow every reader</p>
+            <div className="max-h-40 overflow-y-auto border border-gray-200 rounded-lg divide-y divide-gray-100">
+              {devices.map((device) => (
+                <label key={device.id} className="flex items-center px-3 py-2 text-sm cursor-pointer">
+                  <input
+                    type="checkbox"
+                    checked={passForm.allowed_device_ids.includes(device.id)}
+                    onChange={() => toggleDevice(device.id)}
+                    className="w-4 h-4 mr-2 text-indigo-600 border-gray-300 rounded"
+                  />
+                  {device.device_name || device.device_uuid}
+                  {device.location && <span className="ml-auto text-xs text-gray-500">{device.location}</span>}
+                </label>
+              ))}
+            </div>
+          </div>
+
+          <div>
+            <label className="label">Note</label>
+            <input
+              type="text"
+              value={passForm.note}
+              onChange={(e) => setPassForm({ ...passForm, note: e.target.value })}
+              className="input w-full"
+              placeholder="Optional"
+            />
+          </div>
+
+          <div className="flex justify-end space-x-3 pt-4">
+            <button type="button" onClick={() => setShowPassModal(false)} className="btn btn-secondary" disabled={processing}>
+              Cancel
+            </button>
+            <button type="submit" className="btn btn-primary" disabled={processing || !passForm.host_employee_id}>
+              Issue Pass
+            </button>
+          </div>
+        </form>
+      </Modal>
+
+      {/* Add Badge Modal */}
+      <Modal isOpen={showPoolModal} onClose={() => setShowPoolModal(false)} title="Add Badge to Visitor Pool" size="small">
+        <form onSubmit={handleAddPoolTag} className="space-y-4">
+          <div>
+            <label className="label">Tag UID *</label>
+            <input
+              type="text"
+              value={poolForm.tag_uid}
+              onChange={(e) => setPoolForm({ ...poolForm, tag_uid: e.target.value })}
+              className="input w-full font-mono"
+              required
+              autoFocus
+            />
+          </div>
+          <div>
+            <label className="label">Note</label>
+            <input
+              type="text"
+              value={poolForm.note}
+              onChange={(e) => setPoolForm({ ...poolForm, note: e.target.value })}
+              className="input w-full"
+              placeholder="e.g. Badge #12"
+            />
+          </div>
+          <p className="text-xs text-gray-500">
+            Pool badges are never assigned to employees. Their scans are only accepted during an active pass.
+          </p>
+          <div className="flex justify-end space-x-3 pt-4">
+            <button type="button" onClick={() => setShowPoolModal(false)} className="btn btn-secondary" disabled={processing}>
+              Cancel
+            </button>
+            <button type="submit" className="btn btn-primary" disabled={processing || !poolForm.tag_uid.trim()}>
+              Add Badge
+            </button>
+          </div>
+        </form>
+      </Modal>
+
+      {/* Pass Scans Modal */}
+      <Modal
+        isOpen={!!viewingPass}
+        onClose={() => setViewingPass(null)}
+        title={`Pass of ${viewingPass?.visitor_name || ''}`}
+      >
+        {viewingPass && (
+          <div className="space-y-4 text-sm">
+            <div className="grid grid-cols-2 gap-2 text-gray-600">
+              <span>Badge: <span className="font-mono">{viewingPass.tag_uid}</span></span>
+              <span>Host: {viewingPass.employees?.name}</span>
+              <span>Window: {formatWindow(viewingPass)}</span>
+              <span>Status: {viewingPass.status}</span>
+              {viewingPass.note && <span className="col-span-2">Note: {viewingPass.note}</span>}
+            </div>
+            {viewingPass.scans.length === 0 ? (
+              <p className="text-gray-500">No scans yet</p>
+            ) : (
+              <div className="divide-y divide-gray-100 max-h-80 overflow-y-auto">
+                {viewingPass.scans.map((scan) => (
+                  <div key={scan.id} className="flex items-center justify-between py-2">
+                    <span>{format(new Date(scan.recorded_at), 'MMM dd, HH:mm:ss')}</span>
+                    <span className="text-gray-500">{scan.devices?.device_name || scan.devices?.device_uuid}</span>
+                    <span className={scan.accepted ? 'text-green-700' : 'text-red-600'}>
+                      {scan.accepted ? 'Accepted' : REJECT_LABELS[scan.reject_reason]}
+                    </span>
+                  </div>
+                ))}
+              </div>
+            )}
+          </div>
+        )}
+      </Modal>
+
+      {processing && <SpinnerOverlay message="Processing..." />}
+    </div>
+  )
+}
@@ -86,6 +86,79 @@ export const api = {
       headers: getAuthHeaders(),
     }).then(handleResponse),
 
+  getEmployeeTimesheet: (id, params = {}) => {
+    const query = new URLSearchParams(params).toString()
+    return fetch(`${API_URL}/employees/${id}/timesheet?${query}`, {
+      headers: getAuthHeaders(),
+    }).then(handleResponse)
+  },
+
+  getEmployeeSelfService: (id) =>
+    fetch(`${API_URL}/employees/${id}/self-service`, {
+      headers: getAuthHeaders(),
+    }).then(handleResponse),
+
+  enableEmployeeSelfService: (id, data) =>
+    fetch(`${API_URL}/employees/${id}/self-service`, {
+      method: 'POST',
+      headers: getAuthHeaders(),
+      body: JSON.stringify(data),
+    }).then(handleResponse),
+
+  disableEmployeeSelfService: (id) =>
+    fetch(`${API_URL}/employees/${id}/self-service`, {
+      method: 'DELETE',
+      headers: getAuthHeaders(),
+    }).then(handleResponse),
+
+  // Shifts
+  getShifts: (params = {}) => {
+    const query = new URLSearchParams(params).toString()
+    return fetch(`${API_URL}/shifts?${query}`, {
+      headers: getAuthHeaders(),
+    }).then(handleResponse)
+  },
+
+  createShift: (data) =>
+    fetch(`${API_URL}/shifts`, {
+      method: 'POST',
+      headers: getAuthHeaders(),
+      body: JSON.stringify(data),
+    }).then(handleResponse),
+
+  updateShift: (id, data) =>
+    fetch(`${API_URL}/shifts/${id}`, {
+      method: 'PUT',
+      headers: getAuthHeaders(),
+      body: JSON.stringify(data),
+    }).then(handleResponse),
+
+  deleteShift: (id) =>
+    fetch(`${API_URL}/shifts/${id}`, {
+      method: 'DELETE',
+      headers: getAuthHeaders(),
+    }).then(handleResponse),
+
+  getShiftAssignments: (params = {}) => {
+    const query = new URLSearchParams(params).toString()
+    return fetch(`${API_URL}/shifts/assignments?${query}`, {
+      headers: getAuthHeaders(),
+    }).then(handleResponse)
+  },
+
+  assignShift: (data) =>
+    fetch(`${API_URL}/shifts/assignments`, {
+      method: 'POST',
+      headers: getAuthHeaders(),
+      body: JSON.stringify(data),
+    }).then(handleResponse),
+
+  deleteShiftAssignment: (id) =>
+    fetch(`${API_URL}/shifts/assignments/${id}`, {
+      method: 'DELETE',
+      headers: getAuthHeaders(),
+    }).then(handleResponse),
+
   // Tags
   getTags: (params = {}) => {
     const query = new URLSearchParams(params).toString()
@@ -94,6 +167,136 @@ export const api = {
     }).then(handleResponse)
   },
 
+  getTagStock: (params = {}) => {
+    const query = new URLSearchParams(params).toString()
+    return fetch(`${API_URL}/tags/stock?${query}`, {
+      headers: getAuthHeaders(),
+    }).then(handleResponse)
+  },
+
+  getTagHistory: (params = {}) => {
+    const query = new URLSearchParams(params).toString()
+    return fetch(`${API_URL}/tags/history?${query}`, {
+      headers: getAuthHeaders(),
+    }).then(handleResponse)
+  },
+
+  importTags: (csv, params = {}) => {
+    const query = new URLSearchParams(params).toString()
+    return fetch(`${API_URL}/tags/import?${query}`, {
+      method: 'POST',
+      headers: { ...getAuthHeaders(), 'Content-Type': 'text/csv' },
+      body: csv,
+    }).then(handleResponse)
+  },
+
+  bulkAssignTags: (csv, params = {}) => {
+    const query = new URLSearchParams(params).toString()
+    return fetch(`${API_URL}/tags/bulk-assign?${query}`, {
+      method: 'POST',
+      headers: { ...getAuthHeaders(), 'Content-Type': 'text/csv' },
+      body: csv,
+    }).then(handleResponse)
+  },
+
+  updateTagStatus: (id, status, note) =>
+    fetch(`${API_URL}/tags/${id}/status`, {
+      method: 'PUT',
+      headers: getAuthHeaders(),
+      body: JSON.stringify({ status, note }),
+    }).then(handleResponse),
+
+  replaceTag: (id, data) =>
+    fetch(`${API_URL}/tags/${id}/replace`, {
+      method: 'POST',
+      headers: getAuthHeaders(),
+      body: JSON.stringify(data),
+    }).then(handleResponse),
+
+  startTagEnrollment: (data) =>
+    fetch(`${API_URL}/tags/enrollments`, {
+      method: 'POST',
+      headers: getAuthHeaders(),
+      body: JSON.stringify(data),
+    }).then(handleResponse),
+
+  getTagEnrollment: (id) =>
+    fetch(`${API_URL}/tags/enrollments/${id}`, {
+      headers: getAuthHeaders(),
+    }).then(handleResponse),
+
+  cancelTagEnrollment: (id) =>
+    fetch(`${API_URL}/tags/enrollments/${id}`, {
+      method: 'DELETE',
+      headers: getAuthHeaders(),
+    }).then(handleResponse),
+
+  getUnknownScans: (params = {}) => {
+    const query = new URLSearchParams(params).toString()
+    return fetch(`${API_URL}/tags/unknown-scans?${query}`, {
+      headers: getAuthHeaders(),
+    }).then(handleResponse)
+  },
+
+  assignUnknownScan: (id, employee_id, note) =>
+    fetch(`${API_URL}/tags/unknown-scans/${id}/assign`, {
+      method: 'POST',
+      headers: getAuthHeaders(),
+      body: JSON.stringify({ employee_id, note }),
+    }).then(handleResponse),
+
+  dismissUnknownScan: (id, allForTag = false) =>
+    fetch(`${API_URL}/tags/unknown-scans/${id}/dismiss`, {
+      method: 'POST',
+      headers: getAuthHeaders(),
+      body: JSON.stringify({ all_for_tag: allForTag }),
+    }).then(handleResponse),
+
+  // Visitor passes
+  getVisitorPool: () =>
+    fetch(`${API_URL}/visitors/pool`, {
+      headers: getAuthHeaders(),
+    }).then(handleResponse),
+
+  addVisitorPoolTag: (tag_uid, note) =>
+    fetch(`${API_URL}/visitors/pool`, {
+      method: 'POST',
+      headers: getAuthHeaders(),
+      body: JSON.stringify({ tag_uid, note }),
+    }).then(handleResponse),
+
+  removeVisitorPoolTag: (id) =>
+    fetch(`${API_URL}/visitors/pool/${id}`, {
+      method: 'DELETE',
+      headers: getAuthHeaders(),
+    }).then(handleResponse),
+
+  getVisitorPasses: (params = {}) => {
+    const query = new URLSearchParams(params).toString()
+    return fetch(`${API_URL}/visitors/passes?${query}`, {
+      headers: getAuthHeaders(),
+    }).then(handleResponse)
+  },
+
+  getVisitorPass: (id) =>
+    fetch(`${API_URL}/visitors/passes/${id}`, {
+      headers: getAuthHeaders(),
+    }).then(handleResponse),
+
+  createVisitorPass: (data) =>
+    fetch(`${API_URL}/visitors/passes`, {
+      method: 'POST',
+      headers: getAuthHeaders(),
+      body: JSON.stringify(data),
+    }).then(handleResponse),
+
+  returnVisitorPass: (id, revoke = false) =>
+    fetch(`${API_URL}/visitors/passes/${id}/return`, {
+      method: 'POST',
+      headers: getAuthHeaders(),
+      body: JSON.stringify({ revoke }),
+    }).then(handleResponse),
+
   assignTag: (tag_uid, employee_id, note) =>
     fetch(`${API_URL}/tags/assign`, {
       method: 'POST',
@@ -107,6 +310,114 @@ export const api = {
       headers: getAuthHeaders(),
     }).then(handleResponse),
 
+  updateDevice: (id, data) =>
+    fetch(`${API_URL}/devices/${id}`, {
+      method: 'PUT',
+      headers: getAuthHeaders(),
+      body: JSON.stringify(data),
+    }).then(handleResponse),
+
+  deleteDevice: (id) =>
+    fetch(`${API_URL}/devices/${id}`, {
+      method: 'DELETE',
+      headers: getAuthHeaders(),
+    }).then(handleResponse),
+
+  deactivateDevice: (id) =>
+    fetch(`${API_URL}/devices/${id}/deactivate`, {
+      method: 'POST',
+      headers: getAuthHeaders(),
+    }).then(handleResponse),
+
+  revokeDeviceTokens: (id) =>
+    fetch(`${API_URL}/devices/${id}/revoke-tokens`, {
+      method: 'POST',
+      headers: getAuthHeaders(),
+    }).then(handleResponse),
+
+  reprovisionDevice: (id, data = {}) =>
+    fetch(`${API_URL}/devices/${id}/reprovision`, {
+      method: 'POST',
+      headers: getAuthHeaders(),
+      body: JSON.stringify(data),
+    }).then(handleResponse),
+
+  // Device configuration profiles
+  getConfigProfiles: () =>
+    fetch(`${API_URL}/devices/config-profiles`, {
+      headers: getAuthHeaders(),
+    }).then(handleResponse),
+
+  createConfigProfile: (data) =>
+    fetch(`${API_URL}/devices/config-profiles`, {
+      method: 'POST',
+      headers: getAuthHeaders(),
+      body: JSON.stringify(data),
+    }).then(handleResponse),
+
+  updateConfigProfile: (id, data) =>
+    fetch(`${API_URL}/devices/config-profiles/${id}`, {
+      method: 'PUT',
+      headers: getAuthHeaders(),
+      body: JSON.stringify(data),
+    }).then(handleResponse),
+
+  deleteConfigProfile: (id) =>
+    fetch(`${API_URL}/devices/config-profiles/${id}`, {
+      method: 'DELETE',
+      headers: getAuthHeaders(),
+    }).then(handleResponse),
+
+  getDeviceConfig: (id) =>
+    fetch(`${API_URL}/devices/${id}/config`, {
+      headers: getAuthHeaders(),
+    }).then(handleResponse),
+
+  getDeviceTelemetry: (id, params = {}) => {
+    const query = new URLSearchParams(params).toString()
+    return fetch(`${API_URL}/devices/${id}/telemetry?${query}`, {
+      headers: getAuthHeaders(),
+    }).then(handleResponse)
+  },
+
+  // Device remote commands
+  getDeviceCommands: (id) =>
+    fetch(`${API_URL}/devices/${id}/commands`, {
+      headers: getAuthHeaders(),
+    }).then(handleResponse),
+
+  sendDeviceCommand: (id, data) =>
+    fetch(`${API_URL}/devices/${id}/commands`, {
+      method: 'POST',
+      headers: getAuthHeaders(),
+      body: JSON.stringify(data),
+    }).then(handleResponse),
+
+  cancelDeviceCommand: (id, commandId) =>
+    fetch(`${API_URL}/devices/${id}/commands/${commandId}`, {
+      method: 'DELETE',
+      headers: getAuthHeaders(),
+    }).then(handleResponse),
+
+  // Device enrollment codes
+  getEnrollmentCodes: () =>
+    fetch(`${API_URL}/devices/enrollment-codes`, {
+      headers: getAuthHeaders(),
+    }).then(handleResponse),
+
+  createEnrollmentCode: (data) =>
+    fetch(`${API_URL}/devices/enrollment-codes`, {
+      method: 'POST',
+      headers: getAuthHeaders(),
+      body: JSON.stringify(data),
+    }).then(handleResponse),
+
+  revokeEnrollmentCode: (id) =>
+    fetch(`${API_URL}/devices/enrollment-codes/${id}`, {
+      method: 'DELETE',
+      headers: getAuthHeaders(),
+    }).then(handleResponse),
+
   // Attendance
   getAttendance: (params = {}) => {
     const query = new URLSearchParams(params).toString()
@@ -115,6 +426,226 @@ export const api = {
     }).then(handleResponse)
   },
 
+  getAttendanceSessions: (params = {}) => {
+    const query = new URLSearchParams(params).toString()
+    return fetch(`${API_URL}/attendance/sessions?${query}`, {
+      headers: getAuthHeaders(),
+    }).then(handleResponse)
+  },
+
+  getMissingPunches: (params = {}) => {
+    const query = new URLSearchParams(params).toString()
+    return fetch(`${API_URL}/attendance/missing-punches?${query}`, {
+      headers: getAuthHeaders(),
+    }).then(handleResponse)
+  },
+
+  resolveMissingPunch: (id, data) =>
+    fetch(`${API_URL}/attendance/missing-punches/${id}/resolve`, {
+      method: 'POST',
+      headers: getAuthHeaders(),
+      body: JSON.stringify(data),
+    }).then(handleResponse),
+
+  // Attendance corrections
+  getCorrections: (params = {}) => {
+    const query = new URLSearchParams(params).toString()
+    return fetch(`${API_URL}/attendance-corrections?${query}`, {
+      headers: getAuthHeaders(),
+    }).then(handleResponse)
+  },
+
+  getCorrectionPunches: (params = {}) => {
+    const query = new URLSearchParams(params).toString()
+    return fetch(`${API_URL}/attendance-corrections/punches?${query}`, {
+      headers: getAuthHeaders(),
+    }).then(handleResponse)
+  },
+
+  requestCorrection: (data) =>
+    fetch(`${API_URL}/attendance-corrections`, {
+      method: 'POST',
+      headers: getAuthHeaders(),
+      body: JSON.stringify(data),
+    }).then(handleResponse),
+
+  approveCorrection: (id, data = {}) =>
+    fetch(`${API_URL}/attendance-corrections/${id}/approve`, {
+      method: 'POST',
+      headers: getAuthHeaders(),
+      body: JSON.stringify(data),
+    }).then(handleResponse),
+
+  rejectCorrection: (id, data = {}) =>
+    fetch(`${API_URL}/attendance-corrections/${id}/reject`, {
+      method: 'POST',
+      headers: getAuthHeaders(),
+      body: JSON.stringify(data),
+    }).then(handleResponse),
+
+  cancelCorrection: (id) =>
+    fetch(`${API_URL}/attendance-corrections/${id}/cancel`, {
+      method: 'POST',
+      headers: getAuthHeaders(),
+    }).then(handleResponse),
+
+  // Self-service
+  getMyProfile: () =>
+    fetch(`${API_URL}/self`, {
+      headers: getAuthHeaders(),
+    }).then(handleResponse),
+
+  getMyTimesheet: (params = {}) => {
+    const query = new URLSearchParams(params).toString()
+    return fetch(`${API_URL}/self/timesheet?${query}`, {
+      headers: getAuthHeaders(),
+    }).then(handleResponse)
+  },
+
+  // Holidays
+  getHolidays: (params = {}) => {
+    const query = new URLSearchParams(params).toString()
+    return fetch(`${API_URL}/holidays?${query}`, {
+      headers: getAuthHeaders(),
+    }).then(handleResponse)
+  },
+
+  createHoliday: (data) =>
+    fetch(`${API_URL}/holidays`, {
+      method: 'POST',
+      headers: getAuthHeaders(),
+      body: JSON.stringify(data),
+    }).then(handleResponse),
+
+  deleteHoliday: (id) =>
+    fetch(`${API_URL}/holidays/${id}`, {
+      method: 'DELETE',
+      headers: getAuthHeaders(),
+    }).then(handleResponse),
+
+  // Leave
+  getLeaveTypes: (params = {}) => {
+    const query = new URLSearchParams(params).toString()
+    return fetch(`${API_URL}/leave/types?${query}`, {
+      headers: getAuthHeaders(),
+    }).then(handleResponse)
+  },
+
+  createLeaveType: (data) =>
+    fetch(`${API_URL}/leave/types`, {
+      method: 'POST',
+      headers: getAuthHeaders(),
+      body: JSON.stringify(data),
+    }).then(handleResponse),
+
+  updateLeaveType: (id, data) =>
+    fetch(`${API_URL}/leave/types/${id}`, {
+      method: 'PUT',
+      headers: getAuthHeaders(),
+      body: JSON.stringify(data),
+    }).then(handleResponse),
+
+  getLeaveBalances: (params = {}) => {
+    const query = new URLSearchParams(params).toString()
+    return fetch(`${API_URL}/leave/balances?${query}`, {
+      headers: getAuthHeaders(),
+    }).then(handleResponse)
+  },
+
+  setLeaveBalance: (data) =>
+    fetch(`${API_URL}/leave/balances`, {
+      method: 'PUT',
+      headers: getAuthHeaders(),
+      body: JSON.stringify(data),
+    }).then(handleResponse),
+
+  getLeaveRequests: (params = {}) => {
+    const query = new URLSearchParams(params).toString()
+    return fetch(`${API_URL}/leave/requests?${query}`, {
+      headers: getAuthHeaders(),
+    }).then(handleResponse)
+  },
+
+  requestLeave: (data) =>
+    fetch(`${API_URL}/leave/requests`, {
+      method: 'POST',
+      headers: getAuthHeaders(),
+      body: JSON.stringify(data),
+    }).then(handleResponse),
+
+  approveLeave: (id, data = {}) =>
+    fetch(`${API_URL}/leave/requests/${id}/approve`, {
+      method: 'POST',
+      headers: getAuthHeaders(),
+      body: JSON.stringify(data),
+    }).then(handleResponse),
+
+  rejectLeave: (id, data = {}) =>
+    fetch(`${API_URL}/leave/requests/${id}/reject`, {
+      method: 'POST',
+      headers: getAuthHeaders(),
+      body: JSON.stringify(data),
+    }).then(handleResponse),
+
+  cancelLeave: (id) =>
+    fetch(`${API_URL}/leave/requests/${id}/cancel`, {
+      method: 'POST',
+      headers: getAuthHeaders(),
+    }).then(handleResponse),
+
+  // Payroll export templates
+  getPayrollFields: () =>
+    fetch(`${API_URL}/payroll-templates/fields`, {
+      headers: getAuthHeaders(),
+    }).then(handleResponse),
+
+  getPayrollTemplates: (params = {}) => {
+    const query = new URLSearchParams(params).toString()
+    return fetch(`${API_URL}/payroll-templates?${query}`, {
+      headers: getAuthHeaders(),
+    }).then(handleResponse)
+  },
+
+  createPayrollTemplate: (data) =>
+    fetch(`${API_URL}/payroll-templates`, {
+      method: 'POST',
+      headers: getAuthHeaders(),
+      body: JSON.stringify(data),
+    }).then(handleResponse),
+
+  updatePayrollTemplate: (id, data) =>
+    fetch(`${API_URL}/payroll-templates/${id}`, {
+      method: 'PUT',
+      headers: getAuthHeaders(),
+      body: JSON.stringify(data),
+    }).then(handleResponse),
+
+  deletePayrollTemplate: (id) =>
+    fetch(`${API_URL}/payroll-templates/${id}`, {
+      method: 'DELETE',
+      headers: getAuthHeaders(),
+    }).then(handleResponse),
+
+  // Notifications
+  getNotifications: (params = {}) => {
+    const query = new URLSearchParams(params).toString()
+    return fetch(`${API_URL}/notifications?${query}`, {
+      headers: getAuthHeaders(),
+    }).then(handleResponse)
+  },
+
+  markNotificationRead: (id) =>
+    fetch(`${API_URL}/notifications/${id}/read`, {
+      method: 'POST',
+      headers: getAuthHeaders(),
+    }).then(handleResponse),
+
+  markAllNotificationsRead: () =>
+    fetch(`${API_URL}/notifications/read-all`, {
+      method: 'POST',
+      headers: getAuthHeaders(),
+    }).then(handleResponse),
+
   // Reports
   getDailyReport: (company_id, start_date, end_date) => {
     const params = new URLSearchParams()
@@ -144,6 +675,151 @@ export const api = {
     })
   },
 
+  createExportJob: (data) =>
+    fetch(`${API_URL}/reports/export-jobs`, {
+      method: 'POST',
+      headers: getAuthHeaders(),
+      body: JSON.stringify(data),
+    }).then(handleResponse),
+
+  getExportJobs: () =>
+    fetch(`${API_URL}/reports/export-jobs`, {
+      headers: getAuthHeaders(),
+    }).then(handleResponse),
+
+  getExportJobDownload: (id) =>
+    fetch(`${API_URL}/reports/export-jobs/${id}/download`, {
+      headers: getAuthHeaders(),
+    }).then(handleResponse),
+
+  getAttendanceStatus: (params = {}) => {
+    const query = new URLSearchParams(params).toString()
+    return fetch(`${API_URL}/reports/attendance-status?${query}`, {
+      headers: getAuthHeaders(),
+    }).then(handleResponse)
+  },
+
+  exportAttendanceStatus: (params = {}) => {
+    const query = new URLSearchParams({ ...params, format: 'csv' }).toString()
+    return fetch(`${API_URL}/reports/attendance-status?${query}`, {
+      headers: getAuthHeaders(),
+    }).then(response => {
+      if (!response.ok) {
+        throw new Error('Export failed')
+      }
+      return response.blob()
+    })
+  },
+
+  getMusterRoll: (params = {}) => {
+    const query = new URLSearchParams(params).toString()
+    return fetch(`${API_URL}/reports/muster-roll?${query}`, {
+      headers: getAuthHeaders(),
+    }).then(handleResponse)
+  },
+
+  exportMusterRoll: (params = {}, format = 'csv') => {
+    const query = new URLSearchParams({ ...params, format }).toString()
+    return fetch(`${API_URL}/reports/muster-roll?${query}`, {
+      headers: getAuthHeaders(),
+    }).then(response => {
+      if (!response.ok) {
+        throw new Error('Export failed')
+      }
+      return response.blob()
+    })
+  },
+
+  getPayrollSummary: (params = {}) => {
+    const query = new URLSearchParams(params).toString()
+    return fetch(`${API_URL}/reports/payroll-export?${query}`, {
+      headers: getAuthHeaders(),
+    }).then(handleResponse)
+  },
+
+  exportPayroll: (params = {}) => {
+    const query = new URLSearchParams(params).toString()
+    return fetch(`${API_URL}/reports/payroll-export?${query}`, {
+      headers: getAuthHeaders(),
+    }).then(response => {
+      if (!response.ok) {
+        throw new Error('Export failed')
+      }
+      return response.blob()
+    })
+  },
+
+  getVisitorLog: (company_id, from, to) => {
+    const params = new URLSearchParams({ from, to })
+    if (company_id) params.append('company_id', company_id)
+    return fetch(`${API_URL}/reports/visitor-log?${params.toString()}`, {
+      headers: getAuthHeaders(),
+    }).then(handleResponse)
+  },
+
+  exportVisitorLog: (company_id, from, to) => {
+    const params = new URLSearchParams({ from, to, format: 'csv' })
+    if (company_id) params.append('company_id', company_id)
+    return fetch(`${API_URL}/reports/visitor-log?${params.toString()}`, {
+      headers: getAuthHeaders(),
+    }).then(response => {
+      if (!response.ok) {
+        throw new Error('Export failed')
+      }
+      return response.blob()
+    })
+  },
+
+  // Firmware releases & OTA rollouts
+  getFirmwareReleases: () =>
+    fetch(`${API_URL}/firmware/releases`, {
+      headers: getAuthHeaders(),
+    }).then(handleResponse),
+
+  createFirmwareRelease: (data) =>
+    fetch(`${API_URL}/firmware/releases`, {
+      method: 'POST',
+      headers: getAuthHeaders(),
+      body: JSON.stringify(data),
+    }).then(handleResponse),
+
+  uploadFirmwareBinary: (id, file) =>
+    fetch(`${API_URL}/firmware/releases/${id}/binary`, {
+      method: 'PUT',
+      headers: { ...getAuthHeaders(), 'Content-Type': 'application/octet-stream' },
+      body: file,
+    }).then(handleResponse),
+
+  deleteFirmwareRelease: (id) =>
+    fetch(`${API_URL}/firmware/releases/${id}`, {
+      method: 'DELETE',
+      headers: getAuthHeaders(),
+    }).then(handleResponse),
+
+  getFirmwareRollouts: () =>
+    fetch(`${API_URL}/firmware/rollouts`, {
+      headers: getAuthHeaders(),
+    }).then(handleResponse),
+
+  getFirmwareRollout: (id) =>
+    fetch(`${API_URL}/firmware/rollouts/${id}`, {
+      headers: getAuthHeaders(),
+    }).then(handleResponse),
+
+  createFirmwareRollout: (data) =>
+    fetch(`${API_URL}/firmware/rollouts`, {
+      method: 'POST',
+      headers: getAuthHeaders(),
+      body: JSON.stringify(data),
+    }).then(handleResponse),
+
+  updateFirmwareRollout: (id, data) =>
+    fetch(`${API_URL}/firmware/rollouts/${id}`, {
+      method: 'PUT',
+      headers: getAuthHeaders(),
+      body: JSON.stringify(data),
+    }).then(handleResponse),
+
   // Users
   getUsers: (params = {}) => {
     const query = new URLSearchParams(params).toString()
@@ -5,12 +5,14 @@
  * - incubation_head: Full system access (super admin)
  * - company_admin: Company-specific access
  * - technician: Read-only access for maintenance
+ * - employee: Self-service access to own attendance
  */
 
 export const ROLES = {
   INCUBATION_HEAD: 'incubation_head',
   COMPANY_ADMIN: 'company_admin',
   TECHNICIAN: 'technician',
+  EMPLOYEE: 'employee',
 }
 
 export const PERMISSIONS = {
@@ -28,6 +30,15 @@ export const PERMISSIONS = {
   EDIT_EMPLOYEE: [ROLES.INCUBATION_HEAD, ROLES.COMPANY_ADMIN],
   DELETE_EMPLOYEE: [ROLES.INCUBATION_HEAD, ROLES.COMPANY_ADMIN],
   ASSIGN_RFID_TAG: [ROLES.INCUBATION_HEAD, ROLES.COMPANY_ADMIN],
+  MANAGE_TAG_INVENTORY: [ROLES.INCUBATION_HEAD, ROLES.COMPANY_ADMIN, ROLES.TECHNICIAN],
+  MANAGE_VISITOR_PASSES: [ROLES.INCUBATION_HEAD, ROLES.COMPANY_ADMIN],
+  MANAGE_VISITOR_POOL: [ROLES.INCUBATION_HEAD, ROLES.TECHNICIAN],
+  MANAGE_SHIFTS: [ROLES.INCUBATION_HEAD, ROLES.COMPANY_ADMIN],
+  MANAGE_LEAVE: [ROLES.INCUBATION_HEAD, ROLES.COMPANY_ADMIN],
+  REVIEW_ATTENDANCE: [ROLES.INCUBATION_HEAD, ROLES.COMPANY_ADMIN],
+  REQUEST_CORRECTION: [ROLES.INCUBATION_HEAD, ROLES.COMPANY_ADMIN, ROLES.EMPLOYEE],
+  MANAGE_SELF_SERVICE: [ROLES.INCUBATION_HEAD, ROLES.COMPANY_ADMIN],
+  VIEW_OWN_ATTENDANCE: [ROLES.EMPLOYEE],
 
   // Device Management
   VIEW_ALL_DEVICES: [ROLES.INCUBATION_HEAD, ROLES.TECHNICIAN],
@@ -36,6 +47,8 @@ export const PERMISSIONS = {
   EDIT_DEVICE: [ROLES.INCUBATION_HEAD, ROLES.TECHNICIAN],
   DELETE_DEVICE: [ROLES.INCUBATION_HEAD],
   RESET_DEVICE: [ROLES.INCUBATION_HEAD, ROLES.TECHNICIAN],
+  MANAGE_FIRMWARE: [ROLES.INCUBATION_HEAD, ROLES.TECHNICIAN],
+  DELETE_FIRMWARE: [ROLES.INCUBATION_HEAD],
 
   // Reports & Analytics
   VIEW_ALL_REPORTS: [ROLES.INCUBATION_HEAD],
@@ -83,6 +96,7 @@ export function getRoleDisplayName(role) {
     [ROLES.INCUBATION_HEAD]: 'Incubation Head',
     [ROLES.COMPANY_ADMIN]: 'Company Admin',
     [ROLES.TECHNICIAN]: 'Technician',
+    [ROLES.EMPLOYEE]: 'Employee',
   }
   return roleNames[role] || role
 }
@@ -95,6 +109,7 @@ export function getRoleColor(role) {
     [ROLES.INCUBATION_HEAD]: 'bg-purple-100 text-purple-800',
     [ROLES.COMPANY_ADMIN]: 'bg-blue-100 text-blue-800',
     [ROLES.TECHNICIAN]: 'bg-gray-100 text-gray-800',
+    [ROLES.EMPLOYEE]: 'bg-green-100 text-green-800',
   }
   return roleColors[role] || 'bg-gray-100 text-gray-800'
 }
@@ -141,12 +156,60 @@ export const NAVIGATION_ITEMS = [
     icon: 'Users',
     roles: [ROLES.INCUBATION_HEAD, ROLES.COMPANY_ADMIN],
   },
+  {
+    name: 'My Attendance',
+    path: '/my-attendance',
+    icon: 'CalendarCheck',
+    roles: [ROLES.EMPLOYEE],
+  },
+  {
+    name: 'Shifts',
+    path: '/shifts',
+    icon: 'CalendarClock',
+    roles: [ROLES.INCUBATION_HEAD, ROLES.COMPANY_ADMIN],
+  },
+  {
+    name: 'Leave & Holidays',
+    path: '/leave',
+    icon: 'Palmtree',
+    roles: [ROLES.INCUBATION_HEAD, ROLES.COMPANY_ADMIN],
+  },
+  {
+    name: 'Attendance Review',
+    path: '/attendance-review',
+    icon: 'ClipboardCheck',
+    roles: [ROLES.INCUBATION_HEAD, ROLES.COMPANY_ADMIN],
+  },
+  {
+    name: 'Tags',
+    path: '/tags',
+    icon: 'CreditCard',
+    roles: [ROLES.INCUBATION_HEAD, ROLES.COMPANY_ADMIN, ROLES.TECHNICIAN],
+  },
+  {
+    name: 'Unknown Scans',
+    path: '/unknown-scans',
+    icon: 'ScanLine',
+    roles: [ROLES.INCUBATION_HEAD, ROLES.COMPANY_ADMIN],
+  },
+  {
+    name: 'Visitors',
+    path: '/visitors',
+    icon: 'Contact',
+    roles: [ROLES.INCUBATION_HEAD, ROLES.COMPANY_ADMIN, ROLES.TECHNICIAN],
+  },
   {
     name: 'Devices',
     path: '/devices',
     icon: 'Radio',
     roles: [ROLES.COMPANY_ADMIN, ROLES.TECHNICIAN],
   },
+  {
+    name: 'Firmware',
+    path: '/firmware',
+    icon: 'Cpu',
+    roles: [ROLES.INCUBATION_HEAD, ROLES.TECHNICIAN],
+  },
   {
     name: 'Reports',
     path: '/reports',
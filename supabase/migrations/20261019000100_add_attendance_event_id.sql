@@ -0,0 +1,12 @@
+-- Idempotent scan ingestion
+-- Devices send a client-generated event_id (device UUID + counter, or a UUID)
+-- so a retried POST /devices/event returns the original log instead of inserting a duplicate
+
+ALTER TABLE attendance_logs
+ADD COLUMN event_id VARCHAR(100);
+
+-- One log per device event; legacy rows without event_id are unaffected (NULLs are distinct)
+ALTER TABLE attendance_logs
+ADD CONSTRAINT attendance_logs_device_event_unique UNIQUE (device_id, event_id);
+
+COMMENT ON COLUMN attendance_logs.event_id IS 'Client-generated event ID used to deduplicate device retries';
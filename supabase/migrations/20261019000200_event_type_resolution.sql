@@ -0,0 +1,27 @@
+-- Order-independent IN/OUT resolution
+-- Day boundaries follow the company's timezone, and every event_type rewritten
+-- by the resolver (late or out-of-order scans) is kept in an audit table
+
+ALTER TABLE companies
+ADD COLUMN timezone VARCHAR(64) NOT NULL DEFAULT 'Asia/Kolkata';
+
+COMMENT ON COLUMN companies.timezone IS 'IANA timezone used for attendance day boundaries';
+
+CREATE TABLE attendance_event_type_changes (
+    id BIGSERIAL PRIMARY KEY,
+    log_id BIGINT NOT NULL REFERENCES attendance_logs(id) ON DELETE CASCADE,
+    employee_id UUID REFERENCES employees(id) ON DELETE CASCADE,
+    previous_event_type VARCHAR(50),
+    new_event_type VARCHAR(50) NOT NULL,
+    reason VARCHAR(50) NOT NULL,
+    trigger_log_id BIGINT REFERENCES attendance_logs(id) ON DELETE SET NULL,
+    changed_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX idx_event_type_changes_log_id ON attendance_event_type_changes(log_id);
+CREATE INDEX idx_event_type_changes_employee_changed ON attendance_event_type_changes(employee_id, changed_at);
+
+ALTER TABLE attendance_event_type_changes ENABLE ROW LEVEL SECURITY;
+CREATE POLICY "Service role bypass" ON attendance_event_type_changes FOR ALL USING (auth.role() = 'service_role');
+
+COMMENT ON TABLE attendance_event_type_changes IS 'Audit trail of IN/OUT rewrites made by the event resolver';
@@ -0,0 +1,15 @@
+-- Constant-time device token lookup
+-- New tokens have the form <key_id>.<secret>; key_id is public and indexes a single
+-- row so authentication verifies exactly one bcrypt hash.
+-- Existing tokens keep key_id NULL and remain valid until the device re-registers.
+
+ALTER TABLE device_tokens
+ADD COLUMN key_id VARCHAR(32);
+
+ALTER TABLE device_tokens
+ADD CONSTRAINT device_tokens_key_id_unique UNIQUE (key_id);
+
+-- Legacy tokens are still matched by scanning, but only among rows without a key_id
+CREATE INDEX idx_device_tokens_legacy ON device_tokens(id) WHERE key_id IS NULL;
+
+COMMENT ON COLUMN device_tokens.key_id IS 'Public token prefix used to look up the token row (NULL for legacy tokens)';
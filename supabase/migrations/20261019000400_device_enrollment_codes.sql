@@ -0,0 +1,30 @@
+-- One-time device enrollment codes
+-- Replaces the shared DEVICE_PROVISIONING_SECRET: admins generate short-lived,
+-- single-use codes bound to a company and location; registration consumes the code.
+-- Codes bound to an existing device (device_id) are "re-provision" codes and are the
+-- only way to re-register a known device UUID.
+
+ALTER TABLE devices
+ADD COLUMN IF NOT EXISTS device_name VARCHAR(255);
+
+CREATE TABLE device_enrollment_codes (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    code_hash TEXT NOT NULL UNIQUE,
+    company_id UUID NOT NULL REFERENCES companies(id) ON DELETE CASCADE,
+    location VARCHAR(255),
+    device_name VARCHAR(255),
+    device_id UUID REFERENCES devices(id) ON DELETE CASCADE,
+    expires_at TIMESTAMPTZ NOT NULL,
+    used_at TIMESTAMPTZ,
+    used_by_device_id UUID REFERENCES devices(id) ON DELETE SET NULL,
+    created_by UUID REFERENCES users(id) ON DELETE SET NULL,
+    created_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX idx_enrollment_codes_company_id ON device_enrollment_codes(company_id);
+CREATE INDEX idx_enrollment_codes_expires_at ON device_enrollment_codes(expires_at);
+
+ALTER TABLE device_enrollment_codes ENABLE ROW LEVEL SECURITY;
+CREATE POLICY "Service role bypass" ON device_enrollment_codes FOR ALL USING (auth.role() = 'service_role');
+
+COMMENT ON TABLE device_enrollment_codes IS 'Single-use enrollment codes for registering or re-provisioning readers';
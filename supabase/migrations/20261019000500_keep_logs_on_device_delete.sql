@@ -0,0 +1,12 @@
+-- Keep attendance history when a reader is deleted
+-- attendance_logs.device_id previously cascaded, so deleting a device erased its scans
+
+ALTER TABLE attendance_logs
+ALTER COLUMN device_id DROP NOT NULL;
+
+ALTER TABLE attendance_logs
+DROP CONSTRAINT IF EXISTS attendance_logs_device_id_fkey;
+
+ALTER TABLE attendance_logs
+ADD CONSTRAINT attendance_logs_device_id_fkey
+    FOREIGN KEY (device_id) REFERENCES devices(id) ON DELETE SET NULL;
@@ -0,0 +1,41 @@
+-- Remote command queue for readers
+-- Admins enqueue commands from the dashboard; heartbeat and event responses deliver
+-- pending commands and the device acknowledges them on its next call.
+-- Status flow: pending -> delivered -> acknowledged | failed, or expired when
+-- a command is not delivered/acknowledged before expires_at.
+
+CREATE TABLE device_commands (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    device_id UUID NOT NULL REFERENCES devices(id) ON DELETE CASCADE,
+    command VARCHAR(50) NOT NULL CHECK (command IN (
+        'reboot',
+        'flush_buffer',
+        'clear_buffer',
+        're_register',
+        'wifi_setup',
+        'display_message',
+        'start_ota'
+    )),
+    payload JSONB NOT NULL DEFAULT '{}'::jsonb,
+    status VARCHAR(20) NOT NULL DEFAULT 'pending' CHECK (status IN (
+        'pending',
+        'delivered',
+        'acknowledged',
+        'failed',
+        'expired'
+    )),
+    result TEXT,
+    expires_at TIMESTAMPTZ NOT NULL,
+    delivered_at TIMESTAMPTZ,
+    acknowledged_at TIMESTAMPTZ,
+    created_by UUID REFERENCES users(id) ON DELETE SET NULL,
+    created_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX idx_device_commands_device_status ON device_commands(device_id, status);
+CREATE INDEX idx_device_commands_created_at ON device_commands(created_at DESC);
+
+ALTER TABLE device_commands ENABLE ROW LEVEL SECURITY;
+CREATE POLICY "Service role bypass" ON device_commands FOR ALL USING (auth.role() = 'service_role');
+
+COMMENT ON TABLE device_commands IS 'Commands queued for readers, delivered in heartbeat/event responses';
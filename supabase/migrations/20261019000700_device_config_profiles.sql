@@ -0,0 +1,46 @@
+-- Server-managed reader configuration profiles
+-- Settings are layered: built-in defaults <- company profile <- location group
+-- profile <- device override. Readers fetch the merged result from
+-- GET /api/v1/devices/config and revalidate it with an ETag.
+
+ALTER TABLE devices
+ADD COLUMN IF NOT EXISTS location_group VARCHAR(100);
+
+CREATE INDEX IF NOT EXISTS idx_devices_location_group ON devices(company_id, location_group);
+
+CREATE TABLE device_config_profiles (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    name VARCHAR(255) NOT NULL,
+    scope VARCHAR(20) NOT NULL CHECK (scope IN ('company', 'location', 'device')),
+    company_id UUID REFERENCES companies(id) ON DELETE CASCADE,
+    location_group VARCHAR(100),
+    device_id UUID REFERENCES devices(id) ON DELETE CASCADE,
+    settings JSONB NOT NULL DEFAULT '{}'::jsonb,
+    version INTEGER NOT NULL DEFAULT 1,
+    is_active BOOLEAN DEFAULT true,
+    created_by UUID REFERENCES users(id) ON DELETE SET NULL,
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    updated_at TIMESTAMPTZ DEFAULT NOW(),
+    CHECK (
+        (scope = 'company' AND company_id IS NOT NULL AND location_group IS NULL AND device_id IS NULL) OR
+        (scope = 'location' AND company_id IS NOT NULL AND location_group IS NOT NULL AND device_id IS NULL) OR
+        (scope = 'device' AND device_id IS NOT NULL AND location_group IS NULL)
+    )
+);
+
+-- One profile per target, so the merge order is unambiguous
+CREATE UNIQUE INDEX idx_config_profiles_company ON device_config_profiles(company_id)
+    WHERE scope = 'company';
+CREATE UNIQUE INDEX idx_config_profiles_location ON device_config_profiles(company_id, location_group)
+    WHERE scope = 'location';
+CREATE UNIQUE INDEX idx_config_profiles_device ON device_config_profiles(device_id)
+    WHERE scope = 'device';
+
+CREATE TRIGGER update_device_config_profiles_updated_at BEFORE UPDATE ON device_config_profiles
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+ALTER TABLE device_config_profiles ENABLE ROW LEVEL SECURITY;
+CREATE POLICY "Service role bypass" ON device_config_profiles FOR ALL USING (auth.role() = 'service_role');
+
+COMMENT ON TABLE device_config_profiles IS 'Versioned reader settings per company, location group or device';
+COMMENT ON COLUMN devices.location_group IS 'Groups readers of a building/floor for shared configuration profiles';
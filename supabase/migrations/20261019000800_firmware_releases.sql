@@ -0,0 +1,80 @@
+-- Firmware release registry and staged OTA rollouts
+-- Releases hold an uploaded binary (private "firmware" storage bucket).
+-- A rollout targets a cohort (all devices, one company, a device list) optionally
+-- limited to a canary percentage. Targeted readers are offered the release as a
+-- start_ota command on heartbeat; firmware_rollout_devices tracks each one from
+-- offer to install. Upgraded readers that stop heartbeating halt the rollout.
+
+CREATE TABLE firmware_releases (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    version VARCHAR(50) NOT NULL UNIQUE,
+    release_notes TEXT,
+    checksum_sha256 VARCHAR(64) NOT NULL,
+    checksum_md5 VARCHAR(32),
+    size_bytes INTEGER,
+    storage_path TEXT,
+    uploaded_at TIMESTAMPTZ,
+    created_by UUID REFERENCES users(id) ON DELETE SET NULL,
+    created_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE TABLE firmware_rollouts (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    release_id UUID NOT NULL REFERENCES firmware_releases(id) ON DELETE CASCADE,
+    target VARCHAR(20) NOT NULL CHECK (target IN ('all', 'company', 'devices')),
+    company_id UUID REFERENCES companies(id) ON DELETE CASCADE,
+    device_ids UUID[],
+    percentage INTEGER NOT NULL DEFAULT 100 CHECK (percentage BETWEEN 1 AND 100),
+    status VARCHAR(20) NOT NULL DEFAULT 'active' CHECK (status IN ('active', 'paused', 'halted')),
+    health_window_minutes INTEGER NOT NULL DEFAULT 30,
+    max_unhealthy INTEGER NOT NULL DEFAULT 1,
+    halt_reason TEXT,
+    created_by UUID REFERENCES users(id) ON DELETE SET NULL,
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    updated_at TIMESTAMPTZ DEFAULT NOW(),
+    CHECK (target <> 'company' OR company_id IS NOT NULL),
+    CHECK (target <> 'devices' OR cardinality(device_ids) > 0)
+);
+
+CREATE TABLE firmware_rollout_devices (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    rollout_id UUID NOT NULL REFERENCES firmware_rollouts(id) ON DELETE CASCADE,
+    device_id UUID NOT NULL REFERENCES devices(id) ON DELETE CASCADE,
+    command_id UUID REFERENCES device_commands(id) ON DELETE SET NULL,
+    status VARCHAR(20) NOT NULL DEFAULT 'offered' CHECK (status IN (
+        'offered',
+        'downloading',
+        'installed',
+        'failed',
+        'unhealthy'
+    )),
+    from_version VARCHAR(50),
+    error TEXT,
+    offered_at TIMESTAMPTZ DEFAULT NOW(),
+    downloaded_at TIMESTAMPTZ,
+    installed_at TIMESTAMPTZ,
+    UNIQUE(rollout_id, device_id)
+);
+
+CREATE INDEX idx_firmware_rollouts_status ON firmware_rollouts(status);
+CREATE INDEX idx_rollout_devices_device_id ON firmware_rollout_devices(device_id);
+CREATE INDEX idx_rollout_devices_status ON firmware_rollout_devices(rollout_id, status);
+
+CREATE TRIGGER update_firmware_rollouts_updated_at BEFORE UPDATE ON firmware_rollouts
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+ALTER TABLE firmware_releases ENABLE ROW LEVEL SECURITY;
+ALTER TABLE firmware_rollouts ENABLE ROW LEVEL SECURITY;
+ALTER TABLE firmware_rollout_devices ENABLE ROW LEVEL SECURITY;
+CREATE POLICY "Service role bypass" ON firmware_releases FOR ALL USING (auth.role() = 'service_role');
+CREATE POLICY "Service role bypass" ON firmware_rollouts FOR ALL USING (auth.role() = 'service_role');
+CREATE POLICY "Service role bypass" ON firmware_rollout_devices FOR ALL USING (auth.role() = 'service_role');
+
+-- Private bucket for binaries; served only through the authenticated download endpoint
+INSERT INTO storage.buckets (id, name, public)
+VALUES ('firmware', 'firmware', false)
+ON CONFLICT (id) DO NOTHING;
+
+COMMENT ON TABLE firmware_releases IS 'Uploaded reader firmware binaries';
+COMMENT ON TABLE firmware_rollouts IS 'Staged OTA rollouts of a release to a cohort of readers';
+COMMENT ON TABLE firmware_rollout_devices IS 'Per-device OTA state of a rollout';
@@ -0,0 +1,34 @@
+-- Device telemetry history
+-- Every heartbeat appends a sample (signal strength, uptime, heap, error counters,
+-- reset reason) so reader health can be charted over time. The devices row keeps
+-- only the latest values. Samples older than TELEMETRY_RETENTION_DAYS are purged
+-- by the backend.
+
+CREATE TABLE device_telemetry (
+    id BIGSERIAL PRIMARY KEY,
+    device_id UUID NOT NULL REFERENCES devices(id) ON DELETE CASCADE,
+    recorded_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    firmware_version VARCHAR(50),
+    buffer_count INTEGER,
+    rssi INTEGER,
+    uptime_ms BIGINT,
+    free_heap INTEGER,
+    min_free_heap INTEGER,
+    reset_reason VARCHAR(32),
+    wifi_disconnects INTEGER,
+    http_errors INTEGER,
+    buffer_overflows INTEGER,
+    ntp_sync_failures INTEGER,
+    token_expired INTEGER
+);
+
+CREATE INDEX idx_device_telemetry_device_time ON device_telemetry(device_id, recorded_at DESC);
+CREATE INDEX idx_device_telemetry_recorded_at ON device_telemetry(recorded_at);
+
+ALTER TABLE devices ADD COLUMN rssi INTEGER;
+ALTER TABLE devices ADD COLUMN reset_reason VARCHAR(32);
+
+ALTER TABLE device_telemetry ENABLE ROW LEVEL SECURITY;
+CREATE POLICY "Service role bypass" ON device_telemetry FOR ALL USING (auth.role() = 'service_role');
+
+COMMENT ON TABLE device_telemetry IS 'Heartbeat telemetry samples per device';
@@ -0,0 +1,37 @@
+-- Quarantine for scans that cannot become attendance
+-- attendance_logs requires an employee and a tag, so scans of unregistered,
+-- unassigned or inactive tags, inactive employees, and tags of another company
+-- are kept here for review instead. Assigning the tag from the dashboard
+-- resolves every open scan of that UID.
+
+CREATE TABLE unknown_scans (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    tag_uid VARCHAR(100) NOT NULL,
+    rfid_tag_id UUID REFERENCES rfid_tags(id) ON DELETE SET NULL,
+    employee_id UUID REFERENCES employees(id) ON DELETE SET NULL,
+    device_id UUID NOT NULL REFERENCES devices(id) ON DELETE CASCADE,
+    company_id UUID REFERENCES companies(id) ON DELETE CASCADE,
+    reason VARCHAR(30) NOT NULL CHECK (reason IN (
+        'unregistered',
+        'unassigned',
+        'inactive_tag',
+        'inactive_employee',
+        'wrong_company'
+    )),
+    recorded_at TIMESTAMPTZ NOT NULL,
+    event_id VARCHAR(100),
+    status VARCHAR(20) NOT NULL DEFAULT 'open' CHECK (status IN ('open', 'resolved', 'dismissed')),
+    resolved_by UUID REFERENCES users(id) ON DELETE SET NULL,
+    resolved_at TIMESTAMPTZ,
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    UNIQUE(device_id, event_id)
+);
+
+CREATE INDEX idx_unknown_scans_status ON unknown_scans(status, recorded_at DESC);
+CREATE INDEX idx_unknown_scans_company_id ON unknown_scans(company_id);
+CREATE INDEX idx_unknown_scans_tag_uid ON unknown_scans(tag_uid);
+
+ALTER TABLE unknown_scans ENABLE ROW LEVEL SECURITY;
+CREATE POLICY "Service role bypass" ON unknown_scans FOR ALL USING (auth.role() = 'service_role');
+
+COMMENT ON TABLE unknown_scans IS 'Scans of unknown or rejected tags held for review';
@@ -0,0 +1,34 @@
+-- Tag enrollment from a physical reader
+-- While a session is pending, the next live scan on its reader is captured as the
+-- employee's tag instead of being logged as attendance. Sessions expire after a
+-- short timeout; a reader has at most one pending session.
+
+CREATE TABLE tag_enrollment_sessions (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    device_id UUID NOT NULL REFERENCES devices(id) ON DELETE CASCADE,
+    employee_id UUID NOT NULL REFERENCES employees(id) ON DELETE CASCADE,
+    company_id UUID NOT NULL REFERENCES companies(id) ON DELETE CASCADE,
+    status VARCHAR(20) NOT NULL DEFAULT 'pending' CHECK (status IN (
+        'pending',
+        'completed',
+        'failed',
+        'cancelled',
+        'expired'
+    )),
+    tag_uid VARCHAR(100),
+    rfid_tag_id UUID REFERENCES rfid_tags(id) ON DELETE SET NULL,
+    error TEXT,
+    expires_at TIMESTAMPTZ NOT NULL,
+    completed_at TIMESTAMPTZ,
+    created_by UUID REFERENCES users(id) ON DELETE SET NULL,
+    created_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE UNIQUE INDEX idx_tag_enrollment_pending_device
+    ON tag_enrollment_sessions(device_id) WHERE status = 'pending';
+CREATE INDEX idx_tag_enrollment_employee_id ON tag_enrollment_sessions(employee_id);
+
+ALTER TABLE tag_enrollment_sessions ENABLE ROW LEVEL SECURITY;
+CREATE POLICY "Service role bypass" ON tag_enrollment_sessions FOR ALL USING (auth.role() = 'service_role');
+
+COMMENT ON TABLE tag_enrollment_sessions IS 'Reader-driven RFID tag enrollment sessions';
@@ -0,0 +1,132 @@
+-- RFID tag lifecycle and assignment history
+-- Tags move between in_stock and assigned as employees are (un)assigned, and can
+-- be blocked as lost, stolen, damaged or retired. Blocked tags have no holder and
+-- their scans raise alerts. is_active is kept in sync with the status for older
+-- queries. Every holder of a tag is recorded in rfid_tag_assignments, so the
+-- holder of a UID on any date can be looked up.
+
+ALTER TABLE rfid_tags
+ADD COLUMN status VARCHAR(20) NOT NULL DEFAULT 'in_stock' CHECK (status IN (
+    'in_stock',
+    'assigned',
+    'lost',
+    'stolen',
+    'damaged',
+    'retired'
+)),
+ADD COLUMN status_changed_at TIMESTAMPTZ DEFAULT NOW(),
+ADD COLUMN replaced_by_tag_id UUID REFERENCES rfid_tags(id) ON DELETE SET NULL;
+
+CREATE INDEX idx_rfid_tags_status ON rfid_tags(status);
+
+CREATE TABLE rfid_tag_assignments (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    rfid_tag_id UUID NOT NULL REFERENCES rfid_tags(id) ON DELETE CASCADE,
+    tag_uid VARCHAR(100) NOT NULL,
+    employee_id UUID NOT NULL REFERENCES employees(id) ON DELETE CASCADE,
+    company_id UUID REFERENCES companies(id) ON DELETE CASCADE,
+    assigned_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    unassigned_at TIMESTAMPTZ,
+    end_reason VARCHAR(20) CHECK (end_reason IN (
+        'unassigned',
+        'reassigned',
+        'lost',
+        'stolen',
+        'damaged',
+        'retired'
+    ))
+);
+
+CREATE INDEX idx_tag_assignments_tag_uid ON rfid_tag_assignments(tag_uid, assigned_at);
+CREATE INDEX idx_tag_assignments_employee_id ON rfid_tag_assignments(employee_id, assigned_at);
+CREATE UNIQUE INDEX idx_tag_assignments_open ON rfid_tag_assignments(rfid_tag_id) WHERE unassigned_at IS NULL;
+
+-- Backfill: current holders, and holders of tags already deactivated
+INSERT INTO rfid_tag_assignments (rfid_tag_id, tag_uid, employee_id, company_id, assigned_at, unassigned_at, end_reason)
+SELECT
+    t.id,
+    t.uid,
+    t.employee_id,
+    t.company_id,
+    COALESCE(t.assigned_at, t.created_at, NOW()),
+    CASE WHEN t.is_active THEN NULL ELSE t.updated_at END,
+    CASE WHEN t.is_active THEN NULL ELSE 'retired' END
+FROM rfid_tags t
+WHERE t.employee_id IS NOT NULL;
+
+UPDATE rfid_tags SET
+    status = CASE
+        WHEN NOT is_active THEN 'retired'
+        WHEN employee_id IS NULL THEN 'in_stock'
+        ELSE 'assigned'
+    END,
+    employee_id = CASE WHEN is_active THEN employee_id END;
+
+-- Keep status, holder and is_active consistent
+CREATE OR REPLACE FUNCTION sync_rfid_tag_status()
+RETURNS TRIGGER AS $$
+BEGIN
+    IF NEW.status IN ('in_stock', 'assigned') THEN
+        NEW.status = CASE WHEN NEW.employee_id IS NULL THEN 'in_stock' ELSE 'assigned' END;
+    ELSE
+        NEW.employee_id = NULL;
+    END IF;
+
+    NEW.is_active = NEW.status IN ('in_stock', 'assigned');
+
+    IF TG_OP = 'INSERT' OR NEW.status IS DISTINCT FROM OLD.status THEN
+        NEW.status_changed_at = NOW();
+    END IF;
+
+    RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+CREATE TRIGGER sync_rfid_tags_status BEFORE INSERT OR UPDATE ON rfid_tags
+    FOR EACH ROW EXECUTE FUNCTION sync_rfid_tag_status();
+
+-- Close and open assignment history rows as the holder changes
+CREATE OR REPLACE FUNCTION record_rfid_tag_assignment()
+RETURNS TRIGGER AS $$
+BEGIN
+    IF TG_OP = 'UPDATE' AND OLD.employee_id IS NOT NULL AND OLD.employee_id IS DISTINCT FROM NEW.employee_id THEN
+        UPDATE rfid_tag_assignments SET
+            unassigned_at = NOW(),
+            end_reason = CASE
+                WHEN NEW.status IN ('lost', 'stolen', 'damaged', 'retired') THEN NEW.status
+                WHEN NEW.employee_id IS NULL THEN 'unassigned'
+                ELSE 'reassigned'
+            END
+        WHERE rfid_tag_id = NEW.id AND unassigned_at IS NULL;
+    END IF;
+
+    IF NEW.employee_id IS NOT NULL AND (TG_OP = 'INSERT' OR OLD.employee_id IS DISTINCT FROM NEW.employee_id) THEN
+        INSERT INTO rfid_tag_assignments (rfid_tag_id, tag_uid, employee_id, company_id, assigned_at)
+        VALUES (NEW.id, NEW.uid, NEW.employee_id, NEW.company_id, NOW());
+    END IF;
+
+    RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+CREATE TRIGGER record_rfid_tags_assignment AFTER INSERT OR UPDATE ON rfid_tags
+    FOR EACH ROW EXECUTE FUNCTION record_rfid_tag_assignment();
+
+-- Scans of blocked tags are quarantined as alerts, visible to the tag's company too
+ALTER TABLE unknown_scans DROP CONSTRAINT unknown_scans_reason_check;
+ALTER TABLE unknown_scans ADD CONSTRAINT unknown_scans_reason_check CHECK (reason IN (
+    'unregistered',
+    'unassigned',
+    'inactive_tag',
+    'blocked_tag',
+    'inactive_employee',
+    'wrong_company'
+));
+ALTER TABLE unknown_scans ADD COLUMN tag_company_id UUID REFERENCES companies(id) ON DELETE SET NULL;
+CREATE INDEX idx_unknown_scans_tag_company_id ON unknown_scans(tag_company_id);
+
+ALTER TABLE rfid_tag_assignments ENABLE ROW LEVEL SECURITY;
+CREATE POLICY "Service role bypass" ON rfid_tag_assignments FOR ALL USING (auth.role() = 'service_role');
+
+COMMENT ON COLUMN rfid_tags.status IS 'Lifecycle state; lost, stolen, damaged and retired tags are blocked';
+COMMENT ON TABLE rfid_tag_assignments IS 'History of which employee held each RFID tag';
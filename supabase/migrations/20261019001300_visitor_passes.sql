@@ -0,0 +1,76 @@
+-- Temporary visitor passes
+-- Tags in the visitor pool are never assigned to employees. A pass lends a pool tag
+-- to a visitor or intern for a validity window, optionally limited to some readers.
+-- Scans of pool tags are checked against the pass and kept in visitor_scans instead
+-- of attendance_logs. A tag is back in the pool once its pass is returned, revoked
+-- or expired; a tag has at most one active pass.
+
+ALTER TABLE rfid_tags ADD COLUMN is_visitor_pool BOOLEAN NOT NULL DEFAULT false;
+
+CREATE INDEX idx_rfid_tags_visitor_pool ON rfid_tags(is_visitor_pool) WHERE is_visitor_pool;
+
+CREATE TABLE visitor_passes (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    rfid_tag_id UUID NOT NULL REFERENCES rfid_tags(id) ON DELETE CASCADE,
+    tag_uid VARCHAR(100) NOT NULL,
+    company_id UUID NOT NULL REFERENCES companies(id) ON DELETE CASCADE,
+    host_employee_id UUID NOT NULL REFERENCES employees(id) ON DELETE CASCADE,
+    visitor_name VARCHAR(255) NOT NULL,
+    visitor_company VARCHAR(255),
+    visitor_type VARCHAR(20) NOT NULL DEFAULT 'visitor' CHECK (visitor_type IN ('visitor', 'intern')),
+    valid_from TIMESTAMPTZ NOT NULL,
+    valid_until TIMESTAMPTZ NOT NULL,
+    allowed_device_ids UUID[] NOT NULL DEFAULT '{}',
+    status VARCHAR(20) NOT NULL DEFAULT 'active' CHECK (status IN (
+        'active',
+        'returned',
+        'revoked',
+        'expired'
+    )),
+    returned_at TIMESTAMPTZ,
+    note TEXT,
+    created_by UUID REFERENCES users(id) ON DELETE SET NULL,
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    updated_at TIMESTAMPTZ DEFAULT NOW(),
+    CHECK (valid_until > valid_from)
+);
+
+CREATE UNIQUE INDEX idx_visitor_passes_active_tag ON visitor_passes(rfid_tag_id) WHERE status = 'active';
+CREATE INDEX idx_visitor_passes_tag_window ON visitor_passes(rfid_tag_id, valid_from);
+CREATE INDEX idx_visitor_passes_company_id ON visitor_passes(company_id, valid_from);
+CREATE INDEX idx_visitor_passes_expiry ON visitor_passes(valid_until) WHERE status = 'active';
+
+CREATE TRIGGER update_visitor_passes_updated_at BEFORE UPDATE ON visitor_passes
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+CREATE TABLE visitor_scans (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    pass_id UUID REFERENCES visitor_passes(id) ON DELETE CASCADE,
+    rfid_tag_id UUID REFERENCES rfid_tags(id) ON DELETE SET NULL,
+    tag_uid VARCHAR(100) NOT NULL,
+    device_id UUID REFERENCES devices(id) ON DELETE SET NULL,
+    company_id UUID REFERENCES companies(id) ON DELETE CASCADE,
+    recorded_at TIMESTAMPTZ NOT NULL,
+    accepted BOOLEAN NOT NULL,
+    reject_reason VARCHAR(30) CHECK (reject_reason IN (
+        'no_active_pass',
+        'outside_window',
+        'pass_closed',
+        'reader_not_allowed'
+    )),
+    event_id VARCHAR(100),
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    UNIQUE (device_id, event_id)
+);
+
+CREATE INDEX idx_visitor_scans_pass_id ON visitor_scans(pass_id, recorded_at);
+CREATE INDEX idx_visitor_scans_recorded_at ON visitor_scans(recorded_at);
+
+ALTER TABLE visitor_passes ENABLE ROW LEVEL SECURITY;
+ALTER TABLE visitor_scans ENABLE ROW LEVEL SECURITY;
+CREATE POLICY "Service role bypass" ON visitor_passes FOR ALL USING (auth.role() = 'service_role');
+CREATE POLICY "Service role bypass" ON visitor_scans FOR ALL USING (auth.role() = 'service_role');
+
+COMMENT ON COLUMN rfid_tags.is_visitor_pool IS 'Tag is lent out on visitor passes and never assigned to an employee';
+COMMENT ON TABLE visitor_passes IS 'Temporary passes lending a visitor pool tag to a visitor or intern';
+COMMENT ON TABLE visitor_scans IS 'Accepted and rejected scans of visitor pool tags';
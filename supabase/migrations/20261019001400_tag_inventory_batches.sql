@@ -0,0 +1,22 @@
+-- Bulk tag inventory
+-- Tags can be registered ahead of assignment from a CSV import, labelled with the
+-- delivery batch and optionally stocked for a company. unassigned_tags lists that
+-- stock; visitor pool badges are not employee stock and are left out.
+
+ALTER TABLE rfid_tags ADD COLUMN batch VARCHAR(100);
+
+CREATE INDEX idx_rfid_tags_batch ON rfid_tags(batch);
+
+CREATE OR REPLACE VIEW unassigned_tags WITH (security_invoker=on) AS
+SELECT
+    t.id,
+    t.uid,
+    t.company_id,
+    c.name as company_name,
+    t.created_at,
+    t.batch
+FROM rfid_tags t
+LEFT JOIN companies c ON t.company_id = c.id
+WHERE t.employee_id IS NULL AND t.is_active = true AND NOT t.is_visitor_pool;
+
+COMMENT ON COLUMN rfid_tags.batch IS 'Delivery batch the tag was imported with';
@@ -0,0 +1,59 @@
+-- Shifts and work schedules
+-- A company defines shifts (start and end in the company timezone, grace periods,
+-- break and half-day rules, and the weekdays it runs on). An end time at or before
+-- the start time is an overnight shift. Employees are assigned shifts with effective
+-- dates; an assignment may cover only some weekdays, so a weekly pattern is a set of
+-- assignments. Employees without an assignment follow the company's default shift.
+
+CREATE TABLE shifts (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    company_id UUID NOT NULL REFERENCES companies(id) ON DELETE CASCADE,
+    name VARCHAR(100) NOT NULL,
+    start_time TIME NOT NULL,
+    end_time TIME NOT NULL,
+    late_grace_minutes INTEGER NOT NULL DEFAULT 10 CHECK (late_grace_minutes BETWEEN 0 AND 240),
+    early_leave_grace_minutes INTEGER NOT NULL DEFAULT 10 CHECK (early_leave_grace_minutes BETWEEN 0 AND 240),
+    break_minutes INTEGER NOT NULL DEFAULT 60 CHECK (break_minutes BETWEEN 0 AND 480),
+    half_day_minutes INTEGER NOT NULL DEFAULT 240 CHECK (half_day_minutes BETWEEN 0 AND 1440),
+    full_day_minutes INTEGER CHECK (full_day_minutes BETWEEN 0 AND 1440),
+    work_days SMALLINT[] NOT NULL DEFAULT '{1,2,3,4,5}',
+    is_default BOOLEAN NOT NULL DEFAULT false,
+    is_active BOOLEAN NOT NULL DEFAULT true,
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    updated_at TIMESTAMPTZ DEFAULT NOW(),
+    UNIQUE (company_id, name),
+    CHECK (start_time <> end_time),
+    CHECK (work_days <@ '{1,2,3,4,5,6,7}'::SMALLINT[])
+);
+
+CREATE UNIQUE INDEX idx_shifts_company_default ON shifts(company_id) WHERE is_default;
+
+CREATE TRIGGER update_shifts_updated_at BEFORE UPDATE ON shifts
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+CREATE TABLE employee_shifts (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    employee_id UUID NOT NULL REFERENCES employees(id) ON DELETE CASCADE,
+    shift_id UUID NOT NULL REFERENCES shifts(id) ON DELETE CASCADE,
+    company_id UUID NOT NULL REFERENCES companies(id) ON DELETE CASCADE,
+    effective_from DATE NOT NULL,
+    effective_to DATE,
+    weekdays SMALLINT[],
+    created_by UUID REFERENCES users(id) ON DELETE SET NULL,
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    CHECK (effective_to IS NULL OR effective_to >= effective_from),
+    CHECK (weekdays IS NULL OR weekdays <@ '{1,2,3,4,5,6,7}'::SMALLINT[])
+);
+
+CREATE INDEX idx_employee_shifts_employee ON employee_shifts(employee_id, effective_from);
+CREATE INDEX idx_employee_shifts_company ON employee_shifts(company_id);
+CREATE INDEX idx_employee_shifts_shift ON employee_shifts(shift_id);
+
+ALTER TABLE shifts ENABLE ROW LEVEL SECURITY;
+ALTER TABLE employee_shifts ENABLE ROW LEVEL SECURITY;
+CREATE POLICY "Service role bypass" ON shifts FOR ALL USING (auth.role() = 'service_role');
+CREATE POLICY "Service role bypass" ON employee_shifts FOR ALL USING (auth.role() = 'service_role');
+
+COMMENT ON TABLE shifts IS 'Work shifts per company; weekdays are ISO numbers (1 = Monday)';
+COMMENT ON COLUMN shifts.full_day_minutes IS 'On-site minutes for a full day; defaults to the shift length minus break_minutes';
+COMMENT ON TABLE employee_shifts IS 'Shift assignments with effective dates; weekdays overrides the shift''s work_days';
@@ -0,0 +1,59 @@
+-- Missing punch detection
+-- After a company's local day ends, a day whose last scan is an IN has a missing OUT.
+-- Depending on the company's setting the IN is either closed with a generated OUT at
+-- auto_close_time (flagged auto_closed) or left for an admin to review. Either way the
+-- company admins get a notification listing the affected employees.
+
+ALTER TABLE companies
+ADD COLUMN missing_punch_action VARCHAR(20) NOT NULL DEFAULT 'review'
+    CHECK (missing_punch_action IN ('auto_close', 'review'));
+
+ALTER TABLE companies
+ADD COLUMN auto_close_time TIME NOT NULL DEFAULT '19:00';
+
+ALTER TABLE attendance_logs
+ADD COLUMN auto_closed BOOLEAN NOT NULL DEFAULT false;
+
+CREATE TABLE missing_punches (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    employee_id UUID NOT NULL REFERENCES employees(id) ON DELETE CASCADE,
+    company_id UUID NOT NULL REFERENCES companies(id) ON DELETE CASCADE,
+    in_log_id BIGINT NOT NULL UNIQUE REFERENCES attendance_logs(id) ON DELETE CASCADE,
+    work_date DATE NOT NULL,
+    status VARCHAR(20) NOT NULL DEFAULT 'pending_review'
+        CHECK (status IN ('pending_review', 'auto_closed', 'closed', 'dismissed')),
+    closing_log_id BIGINT REFERENCES attendance_logs(id) ON DELETE SET NULL,
+    detected_at TIMESTAMPTZ DEFAULT NOW(),
+    resolved_by UUID REFERENCES users(id) ON DELETE SET NULL,
+    resolved_at TIMESTAMPTZ,
+    note TEXT
+);
+
+CREATE INDEX idx_missing_punches_company_status ON missing_punches(company_id, status, work_date DESC);
+CREATE INDEX idx_missing_punches_employee ON missing_punches(employee_id, work_date DESC);
+
+-- In-app notifications; company_id NULL addresses the incubation heads
+CREATE TABLE notifications (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    company_id UUID REFERENCES companies(id) ON DELETE CASCADE,
+    type VARCHAR(50) NOT NULL,
+    title VARCHAR(200) NOT NULL,
+    message TEXT,
+    data JSONB NOT NULL DEFAULT '{}',
+    read_at TIMESTAMPTZ,
+    read_by UUID REFERENCES users(id) ON DELETE SET NULL,
+    created_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX idx_notifications_company ON notifications(company_id, created_at DESC);
+
+ALTER TABLE missing_punches ENABLE ROW LEVEL SECURITY;
+ALTER TABLE notifications ENABLE ROW LEVEL SECURITY;
+CREATE POLICY "Service role bypass" ON missing_punches FOR ALL USING (auth.role() = 'service_role');
+CREATE POLICY "Service role bypass" ON notifications FOR ALL USING (auth.role() = 'service_role');
+
+COMMENT ON COLUMN companies.missing_punch_action IS 'auto_close: generate an OUT at auto_close_time; review: flag for an admin';
+COMMENT ON COLUMN companies.auto_close_time IS 'Local time of the OUT generated for a missing punch';
+COMMENT ON COLUMN attendance_logs.auto_closed IS 'OUT generated by the missing punch job, not scanned';
+COMMENT ON TABLE missing_punches IS 'Days that ended on an IN, with how each was closed';
+COMMENT ON TABLE notifications IS 'In-app notifications for company admins (or incubation heads when company_id is NULL)';
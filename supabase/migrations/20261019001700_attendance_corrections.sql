@@ -0,0 +1,95 @@
+-- Attendance corrections (regularization)
+-- A company admin, or an employee through a self-service account, asks to add a punch,
+-- remove one, or change its type or time, giving a reason. Once another admin (or an
+-- incubation head) approves it the change is applied without touching scanned data:
+-- added and changed punches become new attendance_logs rows with source 'manual' and
+-- their approver, and removed or replaced rows are voided rather than deleted.
+
+-- Self-service accounts: users with role 'employee' linked to one employee record
+ALTER TABLE users DROP CONSTRAINT IF EXISTS users_role_check;
+ALTER TABLE users ADD CONSTRAINT users_role_check
+    CHECK (role IN ('incubation_head', 'company_admin', 'technician', 'employee'));
+
+ALTER TABLE users
+ADD COLUMN employee_id UUID UNIQUE REFERENCES employees(id) ON DELETE CASCADE;
+
+ALTER TABLE users ADD CONSTRAINT users_employee_link_check
+    CHECK ((role = 'employee') = (employee_id IS NOT NULL));
+
+CREATE TABLE attendance_corrections (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    company_id UUID NOT NULL REFERENCES companies(id) ON DELETE CASCADE,
+    employee_id UUID NOT NULL REFERENCES employees(id) ON DELETE CASCADE,
+    type VARCHAR(20) NOT NULL CHECK (type IN ('add_punch', 'remove_punch', 'change_punch')),
+    log_id BIGINT REFERENCES attendance_logs(id) ON DELETE SET NULL,
+    original_event_type VARCHAR(50),
+    original_recorded_at TIMESTAMPTZ,
+    event_type VARCHAR(10) CHECK (event_type IN ('IN', 'OUT')),
+    recorded_at TIMESTAMPTZ,
+    reason TEXT NOT NULL,
+    status VARCHAR(20) NOT NULL DEFAULT 'pending'
+        CHECK (status IN ('pending', 'approved', 'rejected', 'cancelled')),
+    requested_by UUID REFERENCES users(id) ON DELETE SET NULL,
+    requested_via VARCHAR(20) NOT NULL DEFAULT 'admin' CHECK (requested_via IN ('admin', 'self_service')),
+    reviewed_by UUID REFERENCES users(id) ON DELETE SET NULL,
+    reviewed_at TIMESTAMPTZ,
+    review_note TEXT,
+    created_log_id BIGINT REFERENCES attendance_logs(id) ON DELETE SET NULL,
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    updated_at TIMESTAMPTZ DEFAULT NOW(),
+    CHECK (type = 'add_punch' OR log_id IS NOT NULL),
+    CHECK (type = 'remove_punch' OR recorded_at IS NOT NULL)
+);
+
+CREATE INDEX idx_attendance_corrections_company ON attendance_corrections(company_id, status, created_at DESC);
+CREATE INDEX idx_attendance_corrections_employee ON attendance_corrections(employee_id, created_at DESC);
+-- One open request per punch
+CREATE UNIQUE INDEX idx_attendance_corrections_pending_log ON attendance_corrections(log_id) WHERE status = 'pending';
+
+CREATE TRIGGER update_attendance_corrections_updated_at BEFORE UPDATE ON attendance_corrections
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+-- Where each log came from, who approved manual ones, and whether a correction voided it
+ALTER TABLE attendance_logs
+ADD COLUMN source VARCHAR(20) NOT NULL DEFAULT 'device'
+    CHECK (source IN ('device', 'auto_close', 'manual'));
+
+UPDATE attendance_logs SET source = 'auto_close' WHERE auto_closed;
+
+ALTER TABLE attendance_logs
+ADD COLUMN correction_id UUID REFERENCES attendance_corrections(id) ON DELETE SET NULL,
+ADD COLUMN approved_by UUID REFERENCES users(id) ON DELETE SET NULL,
+ADD COLUMN voided_at TIMESTAMPTZ,
+ADD COLUMN voided_by_correction_id UUID REFERENCES attendance_corrections(id) ON DELETE SET NULL;
+
+-- Manual punches have no tag
+ALTER TABLE attendance_logs ALTER COLUMN rfid_tag_id DROP NOT NULL;
+
+CREATE INDEX idx_attendance_logs_voided ON attendance_logs(voided_at) WHERE voided_at IS NOT NULL;
+
+-- Voided logs no longer count towards the daily summary
+DROP VIEW IF EXISTS daily_attendance_summary;
+
+CREATE VIEW daily_attendance_summary WITH (security_invoker=on) AS
+SELECT
+    DATE(recorded_at) as date,
+    company_id,
+    employee_id,
+    COUNT(*) as scan_count,
+    MIN(recorded_at) as first_scan,
+    MAX(recorded_at) as last_scan,
+    CASE
+        WHEN COUNT(*) >= 2 THEN 'PRESENT'
+        ELSE 'PARTIAL'
+    END as status
+FROM attendance_logs
+WHERE voided_at IS NULL
+GROUP BY DATE(recorded_at), company_id, employee_id;
+
+ALTER TABLE attendance_corrections ENABLE ROW LEVEL SECURITY;
+CREATE POLICY "Service role bypass" ON attendance_corrections FOR ALL USING (auth.role() = 'service_role');
+
+COMMENT ON TABLE attendance_corrections IS 'Requested punch corrections and their approval; approved ones add manual logs or void existing ones';
+COMMENT ON COLUMN attendance_logs.source IS 'device: scanned; auto_close: generated by the missing punch job; manual: approved correction';
+COMMENT ON COLUMN attendance_logs.voided_at IS 'Set when an approved correction removed or replaced the log; voided logs are kept for audit only';
+COMMENT ON COLUMN users.employee_id IS 'Employee record of a self-service (role employee) account';
@@ -0,0 +1,93 @@
+-- Holidays and leave
+-- Holidays belong to a company, or to the whole incubator when company_id is null;
+-- every company observes the incubator-wide ones. Each company defines leave types with
+-- a yearly allowance (null = unlimited, e.g. unpaid leave), which an employee's
+-- leave_balances row can override for a year. Leave requests cover whole days and,
+-- once approved, mark those days on leave in attendance reports.
+
+CREATE TABLE holidays (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    company_id UUID REFERENCES companies(id) ON DELETE CASCADE,
+    date DATE NOT NULL,
+    name VARCHAR(100) NOT NULL,
+    created_by UUID REFERENCES users(id) ON DELETE SET NULL,
+    created_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE UNIQUE INDEX idx_holidays_company_date ON holidays(company_id, date) WHERE company_id IS NOT NULL;
+CREATE UNIQUE INDEX idx_holidays_incubator_date ON holidays(date) WHERE company_id IS NULL;
+CREATE INDEX idx_holidays_date ON holidays(date);
+
+CREATE TABLE leave_types (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    company_id UUID NOT NULL REFERENCES companies(id) ON DELETE CASCADE,
+    name VARCHAR(100) NOT NULL,
+    code VARCHAR(10),
+    is_paid BOOLEAN NOT NULL DEFAULT true,
+    annual_allowance NUMERIC(5,1) CHECK (annual_allowance >= 0),
+    is_active BOOLEAN NOT NULL DEFAULT true,
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    updated_at TIMESTAMPTZ DEFAULT NOW(),
+    UNIQUE (company_id, name)
+);
+
+CREATE TRIGGER update_leave_types_updated_at BEFORE UPDATE ON leave_types
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+CREATE TABLE leave_balances (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    employee_id UUID NOT NULL REFERENCES employees(id) ON DELETE CASCADE,
+    leave_type_id UUID NOT NULL REFERENCES leave_types(id) ON DELETE CASCADE,
+    year SMALLINT NOT NULL CHECK (year BETWEEN 2000 AND 2100),
+    allocated NUMERIC(5,1) NOT NULL CHECK (allocated >= 0),
+    note TEXT,
+    updated_by UUID REFERENCES users(id) ON DELETE SET NULL,
+    updated_at TIMESTAMPTZ DEFAULT NOW(),
+    UNIQUE (employee_id, leave_type_id, year)
+);
+
+CREATE TRIGGER update_leave_balances_updated_at BEFORE UPDATE ON leave_balances
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+CREATE TABLE leave_requests (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    company_id UUID NOT NULL REFERENCES companies(id) ON DELETE CASCADE,
+    employee_id UUID NOT NULL REFERENCES employees(id) ON DELETE CASCADE,
+    leave_type_id UUID NOT NULL REFERENCES leave_types(id) ON DELETE RESTRICT,
+    start_date DATE NOT NULL,
+    end_date DATE NOT NULL,
+    days SMALLINT NOT NULL CHECK (days > 0),
+    reason TEXT,
+    status VARCHAR(20) NOT NULL DEFAULT 'pending'
+        CHECK (status IN ('pending', 'approved', 'rejected', 'cancelled')),
+    requested_by UUID REFERENCES users(id) ON DELETE SET NULL,
+    requested_via VARCHAR(20) NOT NULL DEFAULT 'admin' CHECK (requested_via IN ('admin', 'self_service')),
+    reviewed_by UUID REFERENCES users(id) ON DELETE SET NULL,
+    reviewed_at TIMESTAMPTZ,
+    review_note TEXT,
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    updated_at TIMESTAMPTZ DEFAULT NOW(),
+    CHECK (end_date >= start_date),
+    -- One calendar year per request, so it counts against one balance
+    CONSTRAINT leave_requests_single_year CHECK (EXTRACT(YEAR FROM start_date) = EXTRACT(YEAR FROM end_date))
+);
+
+CREATE INDEX idx_leave_requests_company ON leave_requests(company_id, status, start_date DESC);
+CREATE INDEX idx_leave_requests_employee ON leave_requests(employee_id, start_date);
+
+CREATE TRIGGER update_leave_requests_updated_at BEFORE UPDATE ON leave_requests
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+ALTER TABLE holidays ENABLE ROW LEVEL SECURITY;
+ALTER TABLE leave_types ENABLE ROW LEVEL SECURITY;
+ALTER TABLE leave_balances ENABLE ROW LEVEL SECURITY;
+ALTER TABLE leave_requests ENABLE ROW LEVEL SECURITY;
+CREATE POLICY "Service role bypass" ON holidays FOR ALL USING (auth.role() = 'service_role');
+CREATE POLICY "Service role bypass" ON leave_types FOR ALL USING (auth.role() = 'service_role');
+CREATE POLICY "Service role bypass" ON leave_balances FOR ALL USING (auth.role() = 'service_role');
+CREATE POLICY "Service role bypass" ON leave_requests FOR ALL USING (auth.role() = 'service_role');
+
+COMMENT ON TABLE holidays IS 'Company holidays; rows without a company apply to every company';
+COMMENT ON COLUMN leave_types.annual_allowance IS 'Days per year; null means unlimited';
+COMMENT ON TABLE leave_balances IS 'Per-employee yearly allocation overriding the leave type allowance';
+COMMENT ON COLUMN leave_requests.days IS 'Working days covered: scheduled workdays that are not holidays';
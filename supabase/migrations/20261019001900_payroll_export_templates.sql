@@ -0,0 +1,28 @@
+-- Payroll export templates
+-- A company's column mapping for its payroll tool: which summary fields go out, under
+-- which headers, in a delimited file or a fixed-width one. Each entry of columns is
+-- { field, header, width, align, value }; width is required for fixed-width files and
+-- value holds the text of 'constant' columns.
+
+CREATE TABLE payroll_export_templates (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    company_id UUID NOT NULL REFERENCES companies(id) ON DELETE CASCADE,
+    name VARCHAR(100) NOT NULL,
+    format VARCHAR(20) NOT NULL DEFAULT 'csv' CHECK (format IN ('csv', 'fixed_width')),
+    delimiter VARCHAR(1) NOT NULL DEFAULT ',' CHECK (delimiter IN (',', ';', '|', E'\t')),
+    include_header BOOLEAN NOT NULL DEFAULT true,
+    columns JSONB NOT NULL CHECK (jsonb_typeof(columns) = 'array'),
+    created_by UUID REFERENCES users(id) ON DELETE SET NULL,
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    updated_at TIMESTAMPTZ DEFAULT NOW(),
+    UNIQUE (company_id, name)
+);
+
+CREATE TRIGGER update_payroll_export_templates_updated_at BEFORE UPDATE ON payroll_export_templates
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+ALTER TABLE payroll_export_templates ENABLE ROW LEVEL SECURITY;
+CREATE POLICY "Service role bypass" ON payroll_export_templates FOR ALL USING (auth.role() = 'service_role');
+
+COMMENT ON TABLE payroll_export_templates IS 'Per-company column mappings for payroll exports';
+COMMENT ON COLUMN payroll_export_templates.columns IS 'Ordered [{ field, header, width, align, value }]';
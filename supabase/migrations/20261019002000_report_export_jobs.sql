@@ -0,0 +1,47 @@
+-- Background report exports
+-- Long attendance exports run as jobs: the server pages through attendance_logs, writes the
+-- file to the private "report-exports" bucket and records progress as it goes. Files are
+-- removed once expires_at passes.
+
+CREATE TABLE report_export_jobs (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    company_id UUID REFERENCES companies(id) ON DELETE CASCADE,
+    requested_by UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    format VARCHAR(10) NOT NULL CHECK (format IN ('csv', 'pdf')),
+    from_date DATE NOT NULL,
+    to_date DATE NOT NULL,
+    status VARCHAR(20) NOT NULL DEFAULT 'queued'
+        CHECK (status IN ('queued', 'running', 'completed', 'failed', 'expired')),
+    total_rows INTEGER,
+    rows_processed INTEGER NOT NULL DEFAULT 0,
+    storage_path TEXT,
+    size_bytes BIGINT,
+    error TEXT,
+    started_at TIMESTAMPTZ,
+    completed_at TIMESTAMPTZ,
+    expires_at TIMESTAMPTZ,
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    updated_at TIMESTAMPTZ DEFAULT NOW(),
+    CHECK (from_date <= to_date)
+);
+
+CREATE INDEX idx_report_export_jobs_requested_by ON report_export_jobs(requested_by, created_at DESC);
+CREATE INDEX idx_report_export_jobs_status ON report_export_jobs(status);
+
+-- Keyset pagination of exports walks logs in (recorded_at, id) order
+CREATE INDEX idx_attendance_logs_recorded_at_id ON attendance_logs(recorded_at, id);
+
+CREATE TRIGGER update_report_export_jobs_updated_at BEFORE UPDATE ON report_export_jobs
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+ALTER TABLE report_export_jobs ENABLE ROW LEVEL SECURITY;
+CREATE POLICY "Service role bypass" ON report_export_jobs FOR ALL USING (auth.role() = 'service_role');
+
+-- Private bucket for finished exports; handed out only as short-lived signed URLs
+INSERT INTO storage.buckets (id, name, public)
+VALUES ('report-exports', 'report-exports', false)
+ON CONFLICT (id) DO NOTHING;
+
+COMMENT ON TABLE report_export_jobs IS 'Attendance exports produced in the background for large date ranges';
+COMMENT ON COLUMN report_export_jobs.company_id IS 'NULL exports every company (incubation head only)';
+COMMENT ON COLUMN report_export_jobs.total_rows IS 'Rows counted when the job started; progress is rows_processed / total_rows';
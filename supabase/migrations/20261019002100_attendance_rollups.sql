@@ -0,0 +1,230 @@
+-- Attendance report rollups
+-- Scan counts per company and company-local hour, and per employee and company-local day,
+-- kept current by a trigger on attendance_logs so reports never count raw rows. Voided
+-- logs do not count; voiding, restoring, moving or re-typing a log shifts its counts.
+-- Changing a company's timezone rebuilds that company's rollups.
+
+CREATE TABLE attendance_hourly_rollups (
+    company_id UUID NOT NULL,
+    log_date DATE NOT NULL,
+    log_hour SMALLINT NOT NULL CHECK (log_hour BETWEEN 0 AND 23),
+    scans INTEGER NOT NULL DEFAULT 0,
+    in_scans INTEGER NOT NULL DEFAULT 0,
+    out_scans INTEGER NOT NULL DEFAULT 0,
+    PRIMARY KEY (company_id, log_date, log_hour)
+);
+
+CREATE TABLE attendance_daily_employee_rollups (
+    company_id UUID NOT NULL,
+    employee_id UUID NOT NULL,
+    log_date DATE NOT NULL,
+    scans INTEGER NOT NULL DEFAULT 0,
+    in_scans INTEGER NOT NULL DEFAULT 0,
+    PRIMARY KEY (company_id, log_date, employee_id)
+);
+
+CREATE INDEX idx_attendance_hourly_rollups_date ON attendance_hourly_rollups(log_date);
+CREATE INDEX idx_attendance_daily_employee_rollups_date ON attendance_daily_employee_rollups(log_date);
+
+-- Add (p_sign = 1) or remove (p_sign = -1) one log from the rollups
+-- Removals only update existing rows: when a company or employee is deleted its rollup
+-- rows may already be gone while the cascade removes the logs
+CREATE OR REPLACE FUNCTION rollup_attendance_log(
+    p_company_id UUID,
+    p_employee_id UUID,
+    p_recorded_at TIMESTAMPTZ,
+    p_event_type VARCHAR,
+    p_sign INTEGER
+)
+RETURNS VOID AS $$
+DECLARE
+    local_time TIMESTAMP;
+    is_in INTEGER := CASE WHEN p_event_type = 'IN' THEN p_sign ELSE 0 END;
+    is_out INTEGER := CASE WHEN p_event_type = 'OUT' THEN p_sign ELSE 0 END;
+BEGIN
+    SELECT p_recorded_at AT TIME ZONE timezone INTO local_time
+    FROM companies
+    WHERE id = p_company_id;
+
+    IF local_time IS NULL THEN
+        RETURN;
+    END IF;
+
+    IF p_sign > 0 THEN
+        INSERT INTO attendance_hourly_rollups AS r (company_id, log_date, log_hour, scans, in_scans, out_scans)
+        VALUES (p_company_id, local_time::DATE, EXTRACT(HOUR FROM local_time), 1, is_in, is_out)
+        ON CONFLICT (company_id, log_date, log_hour) DO UPDATE SET
+            scans = r.scans + 1,
+            in_scans = r.in_scans + EXCLUDED.in_scans,
+            out_scans = r.out_scans + EXCLUDED.out_scans;
+
+        INSERT INTO attendance_daily_employee_rollups AS r (company_id, employee_id, log_date, scans, in_scans)
+        VALUES (p_company_id, p_employee_id, local_time::DATE, 1, is_in)
+        ON CONFLICT (company_id, log_date, employee_id) DO UPDATE SET
+            scans = r.scans + 1,
+            in_scans = r.in_scans + EXCLUDED.in_scans;
+    ELSE
+        UPDATE attendance_hourly_rollups SET
+            scans = scans - 1,
+            in_scans = in_scans + is_in,
+            out_scans = out_scans + is_out
+        WHERE company_id = p_company_id
+            AND log_date = local_time::DATE
+            AND log_hour = EXTRACT(HOUR FROM local_time);
+
+        UPDATE attendance_daily_employee_rollups SET
+            scans = scans - 1,
+            in_scans = in_scans + is_in
+        WHERE company_id = p_company_id
+            AND log_date = local_time::DATE
+            AND employee_id = p_employee_id;
+    END IF;
+END;
+$$ LANGUAGE plpgsql;
+
+CREATE OR REPLACE FUNCTION sync_attendance_rollups()
+RETURNS TRIGGER AS $$
+BEGIN
+    IF TG_OP = 'UPDATE'
+        AND OLD.voided_at IS NOT DISTINCT FROM NEW.voided_at
+        AND OLD.event_type IS NOT DISTINCT FROM NEW.event_type
+        AND OLD.recorded_at = NEW.recorded_at
+        AND OLD.company_id = NEW.company_id
+        AND OLD.employee_id = NEW.employee_id THEN
+        RETURN NULL;
+    END IF;
+
+    IF TG_OP IN ('UPDATE', 'DELETE') AND OLD.voided_at IS NULL THEN
+        PERFORM rollup_attendance_log(OLD.company_id, OLD.employee_id, OLD.recorded_at, OLD.event_type, -1);
+    END IF;
+
+    IF TG_OP IN ('INSERT', 'UPDATE') AND NEW.voided_at IS NULL THEN
+        PERFORM rollup_attendance_log(NEW.company_id, NEW.employee_id, NEW.recorded_at, NEW.event_type, 1);
+    END IF;
+
+    RETURN NULL;
+END;
+$$ LANGUAGE plpgsql;
+
+CREATE TRIGGER sync_attendance_logs_rollups AFTER INSERT OR UPDATE OR DELETE ON attendance_logs
+    FOR EACH ROW EXECUTE FUNCTION sync_attendance_rollups();
+
+-- Recount a company's rollups (every company when NULL) from its logs
+CREATE OR REPLACE FUNCTION rebuild_attendance_rollups(p_company_id UUID DEFAULT NULL)
+RETURNS VOID AS $$
+BEGIN
+    DELETE FROM attendance_hourly_rollups WHERE p_company_id IS NULL OR company_id = p_company_id;
+    DELETE FROM attendance_daily_employee_rollups WHERE p_company_id IS NULL OR company_id = p_company_id;
+
+    INSERT INTO attendance_hourly_rollups (company_id, log_date, log_hour, scans, in_scans, out_scans)
+    SELECT
+        l.company_id,
+        (l.recorded_at AT TIME ZONE c.timezone)::DATE,
+        EXTRACT(HOUR FROM l.recorded_at AT TIME ZONE c.timezone),
+        COUNT(*),
+        COUNT(*) FILTER (WHERE l.event_type = 'IN'),
+        COUNT(*) FILTER (WHERE l.event_type = 'OUT')
+    FROM attendance_logs l
+    JOIN companies c ON c.id = l.company_id
+    WHERE l.voided_at IS NULL
+        AND (p_company_id IS NULL OR l.company_id = p_company_id)
+    GROUP BY 1, 2, 3;
+
+    INSERT INTO attendance_daily_employee_rollups (company_id, employee_id, log_date, scans, in_scans)
+    SELECT
+        l.company_id,
+        l.employee_id,
+        (l.recorded_at AT TIME ZONE c.timezone)::DATE,
+        COUNT(*),
+        COUNT(*) FILTER (WHERE l.event_type = 'IN')
+    FROM attendance_logs l
+    JOIN companies c ON c.id = l.company_id
+    WHERE l.voided_at IS NULL
+        AND (p_company_id IS NULL OR l.company_id = p_company_id)
+    GROUP BY 1, 2, 3;
+END;
+$$ LANGUAGE plpgsql;
+
+CREATE OR REPLACE FUNCTION rebuild_company_attendance_rollups()
+RETURNS TRIGGER AS $$
+BEGIN
+    PERFORM rebuild_attendance_rollups(NEW.id);
+    RETURN NULL;
+END;
+$$ LANGUAGE plpgsql;
+
+CREATE TRIGGER rebuild_companies_attendance_rollups AFTER UPDATE OF timezone ON companies
+    FOR EACH ROW WHEN (OLD.timezone IS DISTINCT FROM NEW.timezone)
+    EXECUTE FUNCTION rebuild_company_attendance_rollups();
+
+-- Rows of deleted companies and employees would never be read again
+CREATE OR REPLACE FUNCTION purge_attendance_rollups()
+RETURNS TRIGGER AS $$
+BEGIN
+    IF TG_TABLE_NAME = 'companies' THEN
+        DELETE FROM attendance_hourly_rollups WHERE company_id = OLD.id;
+        DELETE FROM attendance_daily_employee_rollups WHERE company_id = OLD.id;
+    ELSE
+        DELETE FROM attendance_daily_employee_rollups WHERE employee_id = OLD.id;
+    END IF;
+    RETURN NULL;
+END;
+$$ LANGUAGE plpgsql;
+
+CREATE TRIGGER purge_companies_attendance_rollups AFTER DELETE ON companies
+    FOR EACH ROW EXECUTE FUNCTION purge_attendance_rollups();
+
+CREATE TRIGGER purge_employees_attendance_rollups AFTER DELETE ON employees
+    FOR EACH ROW EXECUTE FUNCTION purge_attendance_rollups();
+
+-- Report queries; p_company_id NULL covers every company, dates are company-local
+
+-- Scans, employees with any scan and employees with an IN over a period
+CREATE OR REPLACE FUNCTION report_attendance_totals(p_company_id UUID, p_from DATE, p_to DATE)
+RETURNS TABLE (total_scans BIGINT, unique_employees BIGINT, present_employees BIGINT) AS $$
+    SELECT
+        COALESCE(SUM(scans), 0)::BIGINT,
+        COUNT(DISTINCT employee_id) FILTER (WHERE scans > 0),
+        COUNT(DISTINCT employee_id) FILTER (WHERE in_scans > 0)
+    FROM attendance_daily_employee_rollups
+    WHERE (p_company_id IS NULL OR company_id = p_company_id)
+        AND log_date BETWEEN p_from AND p_to;
+$$ LANGUAGE sql STABLE;
+
+-- Scans and employees seen per day
+CREATE OR REPLACE FUNCTION report_attendance_daily(p_company_id UUID, p_from DATE, p_to DATE)
+RETURNS TABLE (date DATE, total_scans BIGINT, unique_employees BIGINT) AS $$
+    SELECT
+        log_date,
+        SUM(scans)::BIGINT,
+        COUNT(DISTINCT employee_id) FILTER (WHERE scans > 0)
+    FROM attendance_daily_employee_rollups
+    WHERE (p_company_id IS NULL OR company_id = p_company_id)
+        AND log_date BETWEEN p_from AND p_to
+    GROUP BY log_date
+    HAVING SUM(scans) > 0
+    ORDER BY log_date;
+$$ LANGUAGE sql STABLE;
+
+-- Scans per hour of the day over a period
+CREATE OR REPLACE FUNCTION report_attendance_hourly(p_company_id UUID, p_from DATE, p_to DATE)
+RETURNS TABLE (hour SMALLINT, count BIGINT) AS $$
+    SELECT log_hour, SUM(scans)::BIGINT
+    FROM attendance_hourly_rollups
+    WHERE (p_company_id IS NULL OR company_id = p_company_id)
+        AND log_date BETWEEN p_from AND p_to
+    GROUP BY log_hour
+    HAVING SUM(scans) > 0
+    ORDER BY log_hour;
+$$ LANGUAGE sql STABLE;
+
+ALTER TABLE attendance_hourly_rollups ENABLE ROW LEVEL SECURITY;
+ALTER TABLE attendance_daily_employee_rollups ENABLE ROW LEVEL SECURITY;
+CREATE POLICY "Service role bypass" ON attendance_hourly_rollups FOR ALL USING (auth.role() = 'service_role');
+CREATE POLICY "Service role bypass" ON attendance_daily_employee_rollups FOR ALL USING (auth.role() = 'service_role');
+
+-- Counts for the logs already stored
+SELECT rebuild_attendance_rollups();
+
+COMMENT ON TABLE attendance_hourly_rollups IS 'Non-voided scans per company and company-local hour, maintained by trigger';
+COMMENT ON TABLE attendance_daily_employee_rollups IS 'Non-voided scans per employee and company-local day, maintained by trigger';